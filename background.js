@@ -0,0 +1,162 @@
+(() => {
+  // src/shared/panelModes.js
+  var PANEL_MODES = ["overlay", "sidepanel", "both"];
+  var DEFAULT_PANEL_MODE = "overlay";
+  function resolvePanelMode(mode) {
+    return PANEL_MODES.includes(mode) ? mode : DEFAULT_PANEL_MODE;
+  }
+  function showsOverlay(mode) {
+    return resolvePanelMode(mode) !== "sidepanel";
+  }
+  function showsSidePanel(mode) {
+    return resolvePanelMode(mode) !== "overlay";
+  }
+
+  // src/shared/messages.js
+  var MESSAGE_TYPES = {
+    RUN_ACTION: "gpt-snippets/run-action",
+    SNIPPET_COUNT: "gpt-snippets/snippet-count",
+    OPEN_LIBRARY: "gpt-snippets/open-library",
+    GET_PANEL_STATE: "gpt-snippets/get-panel-state",
+    PANEL_STATE: "gpt-snippets/panel-state",
+    NAVIGATE_TO_SNIPPET: "gpt-snippets/navigate-to-snippet",
+    DELETE_SNIPPET: "gpt-snippets/delete-snippet",
+    SET_PANEL_MODE: "gpt-snippets/set-panel-mode"
+  };
+  var isSnippetId = (id) => typeof id === "string" && id.length > 0;
+  var PAYLOAD_CHECKS = {
+    [MESSAGE_TYPES.RUN_ACTION]: ({ action }) => typeof action === "string" && action.length > 0,
+    [MESSAGE_TYPES.SNIPPET_COUNT]: ({ count }) => Number.isInteger(count) && count >= 0,
+    [MESSAGE_TYPES.OPEN_LIBRARY]: () => true,
+    [MESSAGE_TYPES.GET_PANEL_STATE]: () => true,
+    [MESSAGE_TYPES.PANEL_STATE]: ({ conversationId, snippets, conversations }) => (conversationId === null || typeof conversationId === "string") && Array.isArray(snippets) && Boolean(conversations) && typeof conversations === "object",
+    [MESSAGE_TYPES.NAVIGATE_TO_SNIPPET]: ({ id }) => isSnippetId(id),
+    [MESSAGE_TYPES.DELETE_SNIPPET]: ({ id }) => isSnippetId(id),
+    [MESSAGE_TYPES.SET_PANEL_MODE]: ({ mode }) => PANEL_MODES.includes(mode)
+  };
+  function isValidMessage(message, type = null) {
+    if (!message || typeof message !== "object") return false;
+    if (type && message.type !== type) return false;
+    const check = PAYLOAD_CHECKS[message.type];
+    return Boolean(check && check(message));
+  }
+  function createMessage(type, payload = {}) {
+    const message = { ...payload, type };
+    if (!isValidMessage(message)) {
+      throw new Error(`Invalid message: ${type}`);
+    }
+    return message;
+  }
+
+  // src/background/handlers.js
+  var CONTEXT_MENU_ID = "gpt-snippets-save-selection";
+  var BADGE_COLOR = "#10a37f";
+  var MAX_BADGE_COUNT = 999;
+  var panelMode = DEFAULT_PANEL_MODE;
+  var COMMAND_ACTIONS = {
+    "toggle-panel": "togglePanel",
+    "save-selection": "saveSelection",
+    "focus-search": "focusSearch"
+  };
+  async function sendToTab(tabId, message) {
+    if (typeof tabId !== "number" || tabId < 0) return false;
+    try {
+      await chrome.tabs.sendMessage(tabId, message);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+  async function runActionInTab(tab, action) {
+    let tabId = tab?.id;
+    if (typeof tabId !== "number") {
+      const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      tabId = activeTab?.id;
+    }
+    return sendToTab(tabId, createMessage(MESSAGE_TYPES.RUN_ACTION, { action }));
+  }
+  function registerContextMenu() {
+    const matches = chrome.runtime.getManifest().content_scripts?.flatMap((script) => script.matches) || [];
+    chrome.contextMenus.removeAll(() => {
+      chrome.contextMenus.create({
+        id: CONTEXT_MENU_ID,
+        title: "Save selection to GPT Snippets",
+        contexts: ["selection"],
+        documentUrlPatterns: matches
+      });
+    });
+  }
+  function handleContextMenuClick(info, tab) {
+    if (info.menuItemId !== CONTEXT_MENU_ID) return Promise.resolve(false);
+    return runActionInTab(tab, "saveSelection");
+  }
+  function handleCommand(command, tab) {
+    const action = COMMAND_ACTIONS[command];
+    if (!action) return Promise.resolve(false);
+    if (action === "togglePanel" && !showsOverlay(panelMode) && chrome.sidePanel && typeof tab?.windowId === "number") {
+      return chrome.sidePanel.open({ windowId: tab.windowId }).then(() => true, () => false);
+    }
+    return runActionInTab(tab, action);
+  }
+  async function handleActionClick(tab) {
+    const delivered = await runActionInTab(tab, "togglePanel");
+    if (!delivered) {
+      await chrome.runtime.openOptionsPage();
+    }
+    return delivered;
+  }
+  function applyPanelMode(mode) {
+    panelMode = resolvePanelMode(mode);
+    if (!chrome.sidePanel) return;
+    const enabled = showsSidePanel(panelMode);
+    chrome.sidePanel.setOptions({ enabled }).catch(() => {
+    });
+    chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: enabled }).catch(() => {
+    });
+  }
+  async function loadPanelMode() {
+    const { settings } = await chrome.storage.local.get("settings");
+    applyPanelMode(settings?.panelMode);
+  }
+  function handleSettingsChange(changes, areaName) {
+    if (areaName !== "local" || !changes.settings) return;
+    const mode = resolvePanelMode(changes.settings.newValue?.panelMode);
+    if (mode !== panelMode) {
+      applyPanelMode(mode);
+    }
+  }
+  function formatBadgeCount(count) {
+    if (!count) return "";
+    return count > MAX_BADGE_COUNT ? `${MAX_BADGE_COUNT}+` : String(count);
+  }
+  function handleRuntimeMessage(message, sender) {
+    if (!isValidMessage(message) || sender?.id !== chrome.runtime.id) return false;
+    const tabId = sender.tab?.id;
+    if (typeof tabId !== "number") return false;
+    switch (message.type) {
+      case MESSAGE_TYPES.SNIPPET_COUNT:
+        chrome.action.setBadgeText({ tabId, text: formatBadgeCount(message.count) });
+        return true;
+      case MESSAGE_TYPES.OPEN_LIBRARY:
+        chrome.runtime.openOptionsPage();
+        return true;
+      default:
+        return false;
+    }
+  }
+  function setupBackground() {
+    chrome.runtime.onInstalled.addListener(registerContextMenu);
+    chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOR });
+    chrome.contextMenus.onClicked.addListener(handleContextMenuClick);
+    chrome.commands.onCommand.addListener(handleCommand);
+    chrome.action.onClicked.addListener(handleActionClick);
+    chrome.storage.onChanged.addListener(handleSettingsChange);
+    loadPanelMode();
+    chrome.runtime.onMessage.addListener((message, sender) => {
+      handleRuntimeMessage(message, sender);
+    });
+  }
+
+  // src/background/background.js
+  setupBackground();
+})();
@@ -30,31 +30,84 @@ async function buildContentScript({ outfile, minify }) {
   });
 }
 
+async function buildBackgroundScript({ outfile, minify }) {
+  await build({
+    entryPoints: ['src/background/background.js'],
+    bundle: true,
+    minify,
+    outfile,
+    format: 'iife',
+    target: 'es2020',
+    legalComments: 'none',
+  });
+}
+
+async function buildLibraryScript({ outfile, minify }) {
+  await build({
+    entryPoints: ['src/library/library.js'],
+    bundle: true,
+    minify,
+    outfile,
+    format: 'iife',
+    target: 'es2020',
+    legalComments: 'none',
+  });
+}
+
+async function buildSidePanelScript({ outfile, minify }) {
+  await build({
+    entryPoints: ['src/sidepanel/sidepanel.js'],
+    bundle: true,
+    minify,
+    outfile,
+    format: 'iife',
+    target: 'es2020',
+    legalComments: 'none',
+  });
+}
+
 async function buildJS() {
   console.log('Building content.js...');
   await buildContentScript({ outfile: 'content.js', minify: false });
   await buildContentScript({ outfile: join(distDir, 'content.js'), minify: true });
   console.log('✓ content.js built');
-}
-
-async function minifyCSS() {
-  console.log('Minifying content.css...');
   
-  const cssContent = readFileSync('content.css', 'utf-8');
+  console.log('Building background.js...');
+  await buildBackgroundScript({ outfile: 'background.js', minify: false });
+  await buildBackgroundScript({ outfile: join(distDir, 'background.js'), minify: true });
+  console.log('✓ background.js built');
   
-  await build({
-    stdin: {
-      contents: cssContent,
-      loader: 'css',
-      resolveDir: __dirname,
-    },
-    bundle: false,
-    minify: true,
-    outfile: join(distDir, 'content.css'),
-    write: true,
-  });
+  console.log('Building library.js...');
+  await buildLibraryScript({ outfile: 'library.js', minify: false });
+  await buildLibraryScript({ outfile: join(distDir, 'library.js'), minify: true });
+  console.log('✓ library.js built');
   
-  console.log('✓ content.css minified');
+  console.log('Building sidepanel.js...');
+  await buildSidePanelScript({ outfile: 'sidepanel.js', minify: false });
+  await buildSidePanelScript({ outfile: join(distDir, 'sidepanel.js'), minify: true });
+  console.log('✓ sidepanel.js built');
+}
+
+async function minifyCSS() {
+  for (const file of ['content.css', 'library.css', 'sidepanel.css']) {
+    console.log(`Minifying ${file}...`);
+    
+    const cssContent = readFileSync(file, 'utf-8');
+    
+    await build({
+      stdin: {
+        contents: cssContent,
+        loader: 'css',
+        resolveDir: __dirname,
+      },
+      bundle: false,
+      minify: true,
+      outfile: join(distDir, file),
+      write: true,
+    });
+    
+    console.log(`✓ ${file} minified`);
+  }
 }
 
 async function copyManifest() {
@@ -64,6 +117,14 @@ async function copyManifest() {
   console.log('✓ manifest.json copied');
 }
 
+function copyPages() {
+  for (const file of ['library.html', 'sidepanel.html']) {
+    console.log(`Copying ${file}...`);
+    writeFileSync(join(distDir, file), readFileSync(file, 'utf-8'));
+    console.log(`✓ ${file} copied`);
+  }
+}
+
 function copyIcons() {
   console.log('Copying icons...');
   const iconsDir = join(distDir, 'icons');
@@ -80,6 +141,7 @@ async function runBuild() {
     await buildJS();
     await minifyCSS();
     copyManifest();
+    copyPages();
     copyIcons();
     console.log('\n✓ Build complete! Output in dist/');
   } catch (error) {
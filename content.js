@@ -1,31 +1,96 @@
 (() => {
   // src/content/storage.js
   var STORAGE_KEY = "snippets";
-  var SCHEMA_VERSION = 2;
+  var BACKUP_KEY_PREFIX = "snippets_backup_v";
+  var SCHEMA_VERSION = 3;
+  var READ_ONLY_MESSAGE = "Snippets were saved by a newer version of the extension. Update it to make changes.";
+  var DAY_MS = 24 * 60 * 60 * 1e3;
+  var TOMBSTONE_TTL_MS = 30 * DAY_MS;
+  var DEFAULT_TRASH_RETENTION_DAYS = 30;
   function createEmptyStorage() {
     return {
       schemaVersion: SCHEMA_VERSION,
       snippetsById: {},
       index: {
-        byThread: {},
-        byProject: {},
+        byThread: createIndexMap(),
+        byProject: createIndexMap(),
+        byTag: createIndexMap(),
         byTime: []
       },
+      // Soft-deleted snippets (ID -> snippet with deletedAt), restorable until purged
+      trash: {},
+      // Permanently deleted snippet IDs -> purgedAt, so other tabs don't resurrect them
+      tombstones: {},
+      // Conversation ID -> {title, projectId, projectName, updatedAt}, shared by its snippets
+      conversations: {},
       meta: {
         lastUpdatedAt: Date.now(),
         totalCount: 0
       }
     };
   }
-  function migrateV1ToV2(v1Data) {
-    if (!v1Data || !Array.isArray(v1Data.items)) {
-      return createEmptyStorage();
+  function getSnippetVersion(snippet) {
+    return snippet?.updatedAt || snippet?.createdAt || 0;
+  }
+  function getSnippetTags(snippet) {
+    if (!Array.isArray(snippet?.tags)) return [];
+    return [...new Set(snippet.tags.filter((tag) => typeof tag === "string" && tag))];
+  }
+  function createIndexMap(buckets) {
+    return Object.assign(/* @__PURE__ */ Object.create(null), buckets);
+  }
+  function addToBucket(buckets, key, id) {
+    const ids = buckets[key] || [];
+    if (!ids.includes(id)) {
+      buckets[key] = [...ids, id];
+    }
+  }
+  function removeFromBucket(buckets, key, id) {
+    if (!buckets[key]) return;
+    const ids = buckets[key].filter((sid) => sid !== id);
+    if (ids.length === 0) {
+      delete buckets[key];
+    } else {
+      buckets[key] = ids;
     }
+  }
+  function buildIndexes(snippetsById) {
+    const byThread = createIndexMap();
+    const byProject = createIndexMap();
+    const byTag = createIndexMap();
+    const snippets = Object.values(snippetsById);
+    snippets.forEach((snippet) => {
+      const conversationId = snippet.conversationId || null;
+      if (conversationId !== null) {
+        if (!byThread[conversationId]) {
+          byThread[conversationId] = [];
+        }
+        byThread[conversationId].push(snippet.id);
+      }
+      const projectId = snippet.projectId || null;
+      if (projectId !== null) {
+        if (!byProject[projectId]) {
+          byProject[projectId] = [];
+        }
+        byProject[projectId].push(snippet.id);
+      }
+      getSnippetTags(snippet).forEach((tag) => {
+        if (!byTag[tag]) {
+          byTag[tag] = [];
+        }
+        byTag[tag].push(snippet.id);
+      });
+    });
+    const byTime = snippets.slice().sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0)).map((snippet) => snippet.id);
+    return { byThread, byProject, byTag, byTime };
+  }
+  function migrateV1ToV2(v1Data) {
+    const items = Array.isArray(v1Data?.items) ? v1Data.items : [];
     const snippetsById = {};
     const byThread = {};
     const byProject = {};
     const byTime = [];
-    v1Data.items.forEach((snippet) => {
+    items.forEach((snippet) => {
       if (!snippet || !snippet.id) {
         return;
       }
@@ -52,7 +117,7 @@
       return time2 - time1;
     });
     return {
-      schemaVersion: SCHEMA_VERSION,
+      schemaVersion: 2,
       snippetsById,
       index: {
         byThread,
@@ -65,6 +130,75 @@
       }
     };
   }
+  function migrateV2ToV3(v2Data) {
+    const stamp = (snippet, deletedAt) => ({
+      ...snippet,
+      updatedAt: snippet.updatedAt || snippet.createdAt || 0,
+      revision: snippet.revision || 1,
+      deletedAt
+    });
+    const snippetsById = {};
+    Object.values(v2Data?.snippetsById || {}).forEach((snippet) => {
+      if (snippet && snippet.id) {
+        snippetsById[snippet.id] = stamp(snippet, null);
+      }
+    });
+    const trash = {};
+    Object.values(v2Data?.trash || {}).forEach((snippet) => {
+      if (snippet && snippet.id) {
+        trash[snippet.id] = stamp(snippet, snippet.deletedAt || Date.now());
+      }
+    });
+    return {
+      schemaVersion: 3,
+      snippetsById,
+      index: buildIndexes(snippetsById),
+      trash,
+      tombstones: { ...v2Data?.tombstones },
+      meta: {
+        ...v2Data?.meta,
+        lastUpdatedAt: v2Data?.meta?.lastUpdatedAt || Date.now(),
+        totalCount: Object.keys(snippetsById).length
+      }
+    };
+  }
+  var MIGRATIONS = [
+    { from: 1, to: 2, migrate: migrateV1ToV2 },
+    { from: 2, to: 3, migrate: migrateV2ToV3 }
+  ];
+  function migrateStorage(data) {
+    let current = data;
+    while (current.schemaVersion !== SCHEMA_VERSION) {
+      const migration = MIGRATIONS.find((step) => step.from === current.schemaVersion);
+      if (!migration) {
+        return null;
+      }
+      current = { ...migration.migrate(current), schemaVersion: migration.to };
+    }
+    return current;
+  }
+  function isUnsupportedVersion(data) {
+    if (data.schemaVersion === SCHEMA_VERSION) return false;
+    return !MIGRATIONS.some((step) => step.from === data.schemaVersion);
+  }
+  function createReadOnlyStorage(data) {
+    const snippetsById = {};
+    Object.values(data.snippetsById && typeof data.snippetsById === "object" ? data.snippetsById : {}).forEach((snippet) => {
+      if (snippet && typeof snippet.id === "string" && typeof snippet.text === "string" && !snippet.deletedAt) {
+        snippetsById[snippet.id] = snippet;
+      }
+    });
+    const empty = createEmptyStorage();
+    return {
+      ...empty,
+      snippetsById,
+      index: buildIndexes(snippetsById),
+      conversations: data.conversations && typeof data.conversations === "object" ? { ...data.conversations } : {},
+      meta: { ...empty.meta, totalCount: Object.keys(snippetsById).length },
+      readOnly: true,
+      unsupportedSchemaVersion: data.schemaVersion
+    };
+  }
   async function loadStorage() {
     try {
       const result = await chrome.storage.local.get(STORAGE_KEY);
@@ -72,35 +206,53 @@
       if (!data) {
         return createEmptyStorage();
       }
-      if (data.schemaVersion === 1) {
-        console.log("Migrating snippets from v1 to v2...");
-        const migrated = migrateV1ToV2(data);
+      if (isUnsupportedVersion(data)) {
+        console.warn(`Unsupported schema version: ${data.schemaVersion}, opening read-only`);
+        return createReadOnlyStorage(data);
+      }
+      if (data.schemaVersion !== SCHEMA_VERSION) {
+        console.log(`Migrating snippets from v${data.schemaVersion} to v${SCHEMA_VERSION}...`);
+        const migrated = migrateStorage(data);
         try {
-          await chrome.storage.local.set({ [STORAGE_KEY]: migrated });
+          await chrome.storage.local.set({
+            [`${BACKUP_KEY_PREFIX}${data.schemaVersion}`]: data,
+            [STORAGE_KEY]: migrated
+          });
           console.log("Migration completed successfully");
         } catch (error) {
           console.error("Failed to save migrated data:", error);
         }
         return migrated;
       }
-      if (data.schemaVersion === SCHEMA_VERSION) {
-        if (!data.snippetsById || !data.index) {
-          console.warn("Invalid v2 structure, creating empty storage");
-          return createEmptyStorage();
-        }
-        if (!data.index.byProject) {
-          data.index.byProject = {};
-        }
-        return data;
+      if (!data.snippetsById || !data.index) {
+        console.warn(`Invalid v${SCHEMA_VERSION} structure, creating empty storage`);
+        return createEmptyStorage();
       }
-      console.warn(`Unknown schema version: ${data.schemaVersion}, creating empty storage`);
-      return createEmptyStorage();
+      if (!data.index.byTag) {
+        data.index.byTag = buildIndexes(data.snippetsById).byTag;
+      }
+      data.index.byThread = createIndexMap(data.index.byThread);
+      data.index.byProject = createIndexMap(data.index.byProject);
+      data.index.byTag = createIndexMap(data.index.byTag);
+      if (!data.tombstones) {
+        data.tombstones = {};
+      }
+      if (!data.trash) {
+        data.trash = {};
+      }
+      if (!data.conversations) {
+        data.conversations = {};
+      }
+      return data;
     } catch (error) {
       console.error("Failed to load storage:", error);
       return createEmptyStorage();
     }
   }
   async function saveStorage(storage) {
+    if (storage.readOnly) {
+      throw new Error(READ_ONLY_MESSAGE);
+    }
     try {
       storage.meta = {
         ...storage.meta,
@@ -132,8 +284,9 @@
     }
     const snippetsById = { ...storage.snippetsById };
     const index = {
-      byThread: { ...storage.index.byThread },
-      byProject: { ...storage.index.byProject },
+      byThread: createIndexMap(storage.index.byThread),
+      byProject: createIndexMap(storage.index.byProject),
+      byTag: createIndexMap(storage.index.byTag),
       byTime: [...storage.index.byTime]
     };
     const existingSnippet = snippetsById[snippet.id];
@@ -144,7 +297,27 @@
     if (!snippet.createdAt) {
       snippet.createdAt = existingSnippet?.createdAt || Date.now();
     }
-    snippetsById[snippet.id] = { ...snippet };
+    const previousRevision = Math.max(
+      existingSnippet?.revision || 0,
+      storage.trash?.[snippet.id]?.revision || 0,
+      snippet.revision || 0
+    );
+    snippetsById[snippet.id] = {
+      ...snippet,
+      updatedAt: Date.now(),
+      revision: previousRevision + 1,
+      deletedAt: null
+    };
+    let tombstones = storage.tombstones;
+    if (tombstones && tombstones[snippet.id] !== void 0) {
+      tombstones = { ...tombstones };
+      delete tombstones[snippet.id];
+    }
+    let trash = storage.trash;
+    if (trash && trash[snippet.id]) {
+      trash = { ...trash };
+      delete trash[snippet.id];
+    }
     if (oldConversationId !== newConversationId) {
       if (oldConversationId !== null && index.byThread[oldConversationId]) {
         index.byThread[oldConversationId] = index.byThread[oldConversationId].filter((id) => id !== snippet.id);
@@ -185,6 +358,10 @@
     } else if (newProjectId !== null && !index.byProject[newProjectId].includes(snippet.id)) {
       index.byProject[newProjectId].push(snippet.id);
     }
+    const oldTags = getSnippetTags(existingSnippet);
+    const newTags = getSnippetTags(snippet);
+    oldTags.filter((tag) => !newTags.includes(tag)).forEach((tag) => removeFromBucket(index.byTag, tag, snippet.id));
+    newTags.forEach((tag) => addToBucket(index.byTag, tag, snippet.id));
     const timeIndex = index.byTime.indexOf(snippet.id);
     if (timeIndex !== -1) {
       index.byTime.splice(timeIndex, 1);
@@ -205,10 +382,15 @@
     return {
       ...storage,
       snippetsById,
-      index
+      index,
+      trash,
+      tombstones
     };
   }
-  function removeSnippet(storage, id) {
+  function trashEntry(snippet, deletedAt) {
+    return { ...snippet, deletedAt, revision: (snippet.revision || 0) + 1 };
+  }
+  function removeSnippet(storage, id, deletedAt = Date.now()) {
     const snippet = storage.snippetsById[id];
     if (!snippet) {
       return storage;
@@ -216,8 +398,9 @@
     const snippetsById = { ...storage.snippetsById };
     delete snippetsById[id];
     const index = {
-      byThread: { ...storage.index.byThread },
-      byProject: { ...storage.index.byProject },
+      byThread: createIndexMap(storage.index.byThread),
+      byProject: createIndexMap(storage.index.byProject),
+      byTag: createIndexMap(storage.index.byTag),
       byTime: [...storage.index.byTime]
     };
     const conversationId = snippet.conversationId || null;
@@ -234,15 +417,278 @@
         delete index.byProject[projectId];
       }
     }
+    getSnippetTags(snippet).forEach((tag) => removeFromBucket(index.byTag, tag, id));
     index.byTime = index.byTime.filter((sid) => sid !== id);
     return {
       ...storage,
       snippetsById,
-      index
+      index,
+      trash: { ...storage.trash, [id]: trashEntry(snippet, deletedAt) }
+    };
+  }
+  function restoreSnippet(storage, id) {
+    const trashed = storage.trash?.[id];
+    if (!trashed) {
+      return storage;
+    }
+    const snippet = { ...trashed };
+    delete snippet.deletedAt;
+    return upsertSnippet(storage, snippet);
+  }
+  function purgeSnippets(storage, ids, purgedAt = Date.now()) {
+    const purgeIds = ids.filter((id) => storage.trash?.[id]);
+    if (purgeIds.length === 0) {
+      return storage;
+    }
+    const trash = { ...storage.trash };
+    const tombstones = { ...storage.tombstones };
+    purgeIds.forEach((id) => {
+      delete trash[id];
+      tombstones[id] = purgedAt;
+    });
+    return { ...storage, trash, tombstones };
+  }
+  function emptyTrash(storage, purgedAt = Date.now()) {
+    return purgeSnippets(storage, Object.keys(storage.trash || {}), purgedAt);
+  }
+  function purgeExpiredTrash(storage, retentionDays = DEFAULT_TRASH_RETENTION_DAYS, now = Date.now()) {
+    const cutoff = now - retentionDays * DAY_MS;
+    const expiredIds = Object.values(storage.trash || {}).filter((snippet) => (snippet.deletedAt || 0) < cutoff).map((snippet) => snippet.id);
+    return purgeSnippets(storage, expiredIds, now);
+  }
+  function getTrashedSnippets(storage) {
+    return Object.values(storage.trash || {}).sort((a, b) => (b.deletedAt || 0) - (a.deletedAt || 0));
+  }
+  function getTagCounts(storage) {
+    return Object.entries(storage.index.byTag || {}).map(([tag, ids]) => ({ tag, count: ids.length })).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+  function renameTag(storage, fromTag, toTag) {
+    const ids = storage.index.byTag?.[fromTag] || [];
+    if (!toTag || fromTag === toTag || ids.length === 0) {
+      return storage;
+    }
+    return ids.reduce((updated, id) => {
+      const snippet = updated.snippetsById[id];
+      if (!snippet) return updated;
+      const tags = [...new Set(getSnippetTags(snippet).map((tag) => tag === fromTag ? toTag : tag))];
+      return upsertSnippet(updated, { ...snippet, tags });
+    }, storage);
+  }
+  function mergeTags(storage, tags, targetTag) {
+    return tags.reduce((updated, tag) => renameTag(updated, tag, targetTag), storage);
+  }
+  function upsertConversation(storage, conversationId, fields, updatedAt = Date.now()) {
+    if (!conversationId) {
+      return storage;
+    }
+    const existing = storage.conversations?.[conversationId] || {};
+    const changes = {};
+    ["title", "projectId", "projectName"].forEach((key) => {
+      const value = typeof fields[key] === "string" ? fields[key].trim() : "";
+      if (value && value !== existing[key]) {
+        changes[key] = value;
+      }
+    });
+    if (Object.keys(changes).length === 0) {
+      return storage;
+    }
+    return {
+      ...storage,
+      conversations: {
+        ...storage.conversations,
+        [conversationId]: { ...existing, ...changes, updatedAt }
+      }
     };
   }
+  function getConversation(storage, conversationId) {
+    return conversationId && storage.conversations?.[conversationId] || null;
+  }
+  function findProjectName(storage, projectId) {
+    if (!projectId) {
+      return null;
+    }
+    const named = Object.values(storage.conversations || {}).filter((conversation) => conversation.projectId === projectId && conversation.projectName).sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+    return named.length > 0 ? named[0].projectName : null;
+  }
+  function mergeConversations(local = {}, remote = {}) {
+    const conversations = { ...local };
+    let localChanged = false;
+    let remoteChanged = false;
+    (/* @__PURE__ */ new Set([...Object.keys(local), ...Object.keys(remote)])).forEach((id) => {
+      const localEntry = local[id];
+      const remoteEntry = remote[id];
+      if (!remoteEntry) {
+        remoteChanged = true;
+      } else if (!localEntry || (remoteEntry.updatedAt || 0) > (localEntry.updatedAt || 0)) {
+        conversations[id] = remoteEntry;
+        localChanged = true;
+      } else if (JSON.stringify(localEntry) !== JSON.stringify(remoteEntry)) {
+        remoteChanged = true;
+      }
+    });
+    return { conversations, localChanged, remoteChanged };
+  }
   function clearAll(storage) {
-    return createEmptyStorage();
+    const cleared = createEmptyStorage();
+    const deletedAt = Date.now();
+    cleared.tombstones = { ...storage.tombstones };
+    cleared.trash = { ...storage.trash };
+    cleared.conversations = { ...storage.conversations };
+    Object.values(storage.snippetsById || {}).forEach((snippet) => {
+      cleared.trash[snippet.id] = trashEntry(snippet, deletedAt);
+    });
+    return cleared;
+  }
+  function pickSnippetWinner(localSnippet, remoteSnippet, localMeta, remoteMeta) {
+    const localVersion = getSnippetVersion(localSnippet);
+    const remoteVersion = getSnippetVersion(remoteSnippet);
+    if (localVersion !== remoteVersion) {
+      return localVersion > remoteVersion ? "local" : "remote";
+    }
+    const localRevision = localSnippet?.revision || 0;
+    const remoteRevision = remoteSnippet?.revision || 0;
+    if (localRevision !== remoteRevision) {
+      return localRevision > remoteRevision ? "local" : "remote";
+    }
+    if (localRevision > 0) {
+      return "equal";
+    }
+    const localJson = JSON.stringify(localSnippet);
+    const remoteJson = JSON.stringify(remoteSnippet);
+    if (localJson === remoteJson) {
+      return "equal";
+    }
+    const localWrittenAt = localMeta?.lastUpdatedAt || 0;
+    const remoteWrittenAt = remoteMeta?.lastUpdatedAt || 0;
+    if (localWrittenAt !== remoteWrittenAt) {
+      return localWrittenAt > remoteWrittenAt ? "local" : "remote";
+    }
+    return localJson > remoteJson ? "local" : "remote";
+  }
+  var ENTRY_RANK = { live: 0, trash: 1, purged: 2 };
+  function getSnippetEntry(storage, id) {
+    const entries = [];
+    const live = storage?.snippetsById?.[id];
+    if (live) {
+      entries.push({ kind: "live", version: getSnippetVersion(live), value: live });
+    }
+    const trashed = storage?.trash?.[id];
+    if (trashed) {
+      entries.push({ kind: "trash", version: trashed.deletedAt || 0, value: trashed });
+    }
+    const purgedAt = storage?.tombstones?.[id];
+    if (purgedAt !== void 0) {
+      entries.push({ kind: "purged", version: purgedAt, value: purgedAt });
+    }
+    if (entries.length === 0) {
+      return null;
+    }
+    const newest = entries.reduce((best, entry) => compareEntries(entry, best) > 0 ? entry : best);
+    return { ...newest, conflicting: entries.length > 1 };
+  }
+  function compareEntries(a, b) {
+    if (a.version !== b.version) {
+      return a.version - b.version;
+    }
+    return ENTRY_RANK[a.kind] - ENTRY_RANK[b.kind];
+  }
+  function mergeStorage(local, remote, now = Date.now()) {
+    const ids = /* @__PURE__ */ new Set();
+    [local, remote].forEach((side) => {
+      ["snippetsById", "trash", "tombstones"].forEach((area) => {
+        Object.keys(side?.[area] || {}).forEach((id) => ids.add(id));
+      });
+    });
+    const snippetsById = {};
+    const trash = {};
+    const tombstones = {};
+    let localChanged = false;
+    let remoteChanged = false;
+    ids.forEach((id) => {
+      const localEntry = getSnippetEntry(local, id);
+      const remoteEntry = getSnippetEntry(remote, id);
+      let winningSide;
+      if (!remoteEntry) {
+        winningSide = "local";
+      } else if (!localEntry) {
+        winningSide = "remote";
+      } else {
+        const order = compareEntries(localEntry, remoteEntry);
+        if (order !== 0) {
+          winningSide = order > 0 ? "local" : "remote";
+        } else if (localEntry.kind === "purged") {
+          winningSide = "equal";
+        } else {
+          winningSide = pickSnippetWinner(localEntry.value, remoteEntry.value, local.meta, remote.meta);
+        }
+      }
+      const winner = winningSide === "remote" ? remoteEntry : localEntry;
+      const expired = winner.kind === "purged" && now - winner.value >= TOMBSTONE_TTL_MS;
+      if (winner.kind === "live") {
+        snippetsById[id] = winner.value;
+      } else if (winner.kind === "trash") {
+        trash[id] = winner.value;
+      } else if (!expired) {
+        tombstones[id] = winner.value;
+      }
+      const sideChanged = (entry, heldWinner) => {
+        if (entry?.conflicting) return true;
+        if (expired) return Boolean(entry) && entry.kind !== "purged";
+        return !heldWinner;
+      };
+      if (sideChanged(localEntry, winningSide !== "remote")) localChanged = true;
+      if (sideChanged(remoteEntry, winningSide !== "local")) remoteChanged = true;
+    });
+    const merged = mergeConversations(local?.conversations, remote?.conversations);
+    if (merged.localChanged) localChanged = true;
+    if (merged.remoteChanged) remoteChanged = true;
+    const localWrittenAt = local?.meta?.lastUpdatedAt || 0;
+    const remoteWrittenAt = remote?.meta?.lastUpdatedAt || 0;
+    return {
+      storage: {
+        ...local,
+        schemaVersion: SCHEMA_VERSION,
+        snippetsById,
+        index: buildIndexes(snippetsById),
+        trash,
+        tombstones,
+        conversations: merged.conversations,
+        meta: {
+          ...local?.meta,
+          lastUpdatedAt: Math.max(localWrittenAt, remoteWrittenAt),
+          totalCount: Object.keys(snippetsById).length
+        }
+      },
+      localChanged,
+      remoteChanged
+    };
+  }
+  var chromeBackend = {
+    load: () => loadStorage(),
+    save: (storage) => saveStorage(storage)
+  };
+  async function removeStorage() {
+    await chrome.storage.local.remove(STORAGE_KEY);
+  }
+  async function commitStorage(storage, adapter = chromeBackend) {
+    const remote = await adapter.load();
+    if (remote.readOnly) {
+      throw new Error(READ_ONLY_MESSAGE);
+    }
+    const { storage: merged } = mergeStorage(storage, remote);
+    await adapter.save(merged);
+    return merged;
+  }
+  function subscribeToStorageChanges(onChange) {
+    const listener = (changes, areaName) => {
+      if (areaName !== "local" || !changes[STORAGE_KEY]) return;
+      const newValue = changes[STORAGE_KEY].newValue;
+      if (!newValue || !newValue.snippetsById) return;
+      if (newValue.schemaVersion > SCHEMA_VERSION) return;
+      onChange(newValue);
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
   }
 
   // src/shared/hash.js
@@ -259,7 +705,23 @@
   }
 
   // src/shared/anchor.js
-  function buildAnchor({ conversationId, messageId, messageText, selectionText, selectionStart, selectionEnd }) {
+  var QUOTE_CONTEXT_LENGTH = 32;
+  var FUZZY_PART_LENGTH = 32;
+  var MAX_ERROR_RATE = 0.25;
+  var MIN_MATCH_CONFIDENCE = 0.5;
+  var APPROXIMATE_MATCH_CONFIDENCE = 0.9;
+  function normalizeAnchorText(text) {
+    return (text || "").trim().replace(/\s+/g, " ");
+  }
+  function buildTextQuote(messageText, selectionText, start, end) {
+    const normalized = normalizeAnchorText(messageText);
+    return {
+      exact: normalizeAnchorText(selectionText),
+      prefix: normalized.substring(Math.max(0, start - QUOTE_CONTEXT_LENGTH), start),
+      suffix: normalized.substring(end, end + QUOTE_CONTEXT_LENGTH)
+    };
+  }
+  function buildAnchor({ conversationId, messageId, messageText, selectionText, selectionStart, selectionEnd, messageOrdinal, messageCount }) {
     const textHash = hashText(messageText);
     const selectionPrefix = selectionText.substring(0, 32).trim();
     return {
@@ -267,32 +729,138 @@
       messageId: messageId || null,
       textHash,
       selectionPrefix,
+      quote: buildTextQuote(messageText, selectionText, selectionStart, selectionEnd),
+      // Where the message sits in the thread, so lazy-loaded conversations can be scrolled toward it
+      messageOrdinal: Number.isInteger(messageOrdinal) ? messageOrdinal : null,
+      messageCount: Number.isInteger(messageCount) ? messageCount : null,
       selectionOffsets: {
         start: selectionStart,
         end: selectionEnd
       }
     };
   }
-  function findSelectionOffsets(messageText, selectionText) {
-    if (!selectionText || !messageText) return null;
-    const normalizedMessage = messageText.replace(/\s+/g, " ");
-    const normalizedSelection = selectionText.trim().replace(/\s+/g, " ");
-    const index = normalizedMessage.indexOf(normalizedSelection);
-    if (index === -1) {
-      const firstWords = normalizedSelection.split(" ").slice(0, 3).join(" ");
-      const fallbackIndex = normalizedMessage.indexOf(firstWords);
-      if (fallbackIndex !== -1) {
-        return {
-          start: fallbackIndex,
-          end: fallbackIndex + normalizedSelection.length
-        };
+  function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j - 1] + cost, previous[j] + 1, current[j - 1] + 1);
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+  function similarity(a, b) {
+    const length = Math.max(a.length, b.length);
+    if (length === 0) return 1;
+    return 1 - editDistance(a, b) / length;
+  }
+  function findExactMatches(text, pattern) {
+    const matches = [];
+    let index = text.indexOf(pattern);
+    while (index !== -1) {
+      matches.push({ start: index, end: index + pattern.length, errors: 0 });
+      index = text.indexOf(pattern, index + 1);
+    }
+    return matches;
+  }
+  function findApproximateMatches(text, pattern, maxErrors) {
+    const m = pattern.length;
+    let distances = Int32Array.from({ length: m + 1 }, (_, i) => i);
+    let starts = new Int32Array(m + 1);
+    let nextDistances = new Int32Array(m + 1);
+    let nextStarts = new Int32Array(m + 1);
+    const matches = [];
+    for (let j = 0; j < text.length; j++) {
+      nextDistances[0] = 0;
+      nextStarts[0] = j + 1;
+      for (let i = 1; i <= m; i++) {
+        let best = distances[i - 1] + (pattern[i - 1] === text[j] ? 0 : 1);
+        let start = starts[i - 1];
+        if (nextDistances[i - 1] + 1 < best) {
+          best = nextDistances[i - 1] + 1;
+          start = nextStarts[i - 1];
+        }
+        if (distances[i] + 1 < best) {
+          best = distances[i] + 1;
+          start = starts[i];
+        }
+        nextDistances[i] = best;
+        nextStarts[i] = start;
+      }
+      if (nextDistances[m] <= maxErrors) {
+        matches.push({ start: nextStarts[m], end: j + 1, errors: nextDistances[m] });
+      }
+      [distances, nextDistances] = [nextDistances, distances];
+      [starts, nextStarts] = [nextStarts, starts];
+    }
+    const accepted = [];
+    matches.sort((a, b) => a.errors - b.errors || b.end - b.start - (a.end - a.start)).forEach((match) => {
+      if (!accepted.some((other) => match.start < other.end && other.start < match.end)) {
+        accepted.push(match);
+      }
+    });
+    return accepted;
+  }
+  function findQuoteCandidates(text, exact) {
+    const exactMatches = findExactMatches(text, exact);
+    if (exactMatches.length > 0) {
+      return exactMatches.map((match) => ({ start: match.start, end: match.end, quoteScore: 1 }));
+    }
+    if (exact.length <= FUZZY_PART_LENGTH * 2) {
+      const maxErrors2 = Math.floor(exact.length * MAX_ERROR_RATE);
+      return findApproximateMatches(text, exact, maxErrors2).map((match) => ({
+        start: match.start,
+        end: match.end,
+        quoteScore: 1 - match.errors / exact.length
+      }));
+    }
+    const maxErrors = Math.floor(FUZZY_PART_LENGTH * MAX_ERROR_RATE);
+    const heads = findApproximateMatches(text, exact.substring(0, FUZZY_PART_LENGTH), maxErrors);
+    const tails = findApproximateMatches(text, exact.substring(exact.length - FUZZY_PART_LENGTH), maxErrors);
+    const candidates = [];
+    heads.forEach((head) => {
+      tails.forEach((tail) => {
+        const length = tail.end - head.start;
+        if (tail.start >= head.start && Math.abs(length - exact.length) <= exact.length * MAX_ERROR_RATE) {
+          candidates.push({
+            start: head.start,
+            end: tail.end,
+            quoteScore: 1 - (head.errors + tail.errors) / (FUZZY_PART_LENGTH * 2)
+          });
+        }
+      });
+    });
+    return candidates;
+  }
+  function matchTextQuote(messageText, quote, positionHint = null) {
+    const text = normalizeAnchorText(messageText);
+    const exact = normalizeAnchorText(quote?.exact);
+    if (!text || !exact) return null;
+    const prefix = quote.prefix || "";
+    const suffix = quote.suffix || "";
+    let best = null;
+    findQuoteCandidates(text, exact).forEach((candidate) => {
+      const before = text.substring(Math.max(0, candidate.start - prefix.length), candidate.start);
+      const after = text.substring(candidate.end, candidate.end + suffix.length);
+      const contextScore = (similarity(before, prefix) + similarity(after, suffix)) / 2;
+      const confidence = candidate.quoteScore * (0.8 + 0.2 * contextScore);
+      const proximity = typeof positionHint === "number" ? 1 - Math.min(1, Math.abs(candidate.start - positionHint) / text.length) : 0;
+      const rank = confidence + proximity * 1e-3;
+      if (!best || rank > best.rank) {
+        best = { start: candidate.start, end: candidate.end, confidence, rank };
       }
+    });
+    if (!best || best.confidence < MIN_MATCH_CONFIDENCE) {
       return null;
     }
-    return {
-      start: index,
-      end: index + normalizedSelection.length
-    };
+    return { start: best.start, end: best.end, confidence: Math.round(best.confidence * 1e3) / 1e3 };
+  }
+  function findSelectionOffsets(messageText, selectionText, positionHint = null) {
+    if (!selectionText || !messageText) return null;
+    const match = matchTextQuote(messageText, { exact: selectionText }, positionHint);
+    return match ? { start: match.start, end: match.end } : null;
   }
 
   // src/shared/urlIds.js
@@ -325,9 +893,390 @@
     return null;
   }
 
+  // src/content/richText.js
+  var MAX_HTML_SIZE = 5e4;
+  var SKIPPED_TAGS = /* @__PURE__ */ new Set(["SCRIPT", "STYLE", "BUTTON", "SVG", "NOSCRIPT", "TEMPLATE"]);
+  var BLOCK_TAGS = /* @__PURE__ */ new Set(["P", "DIV", "SECTION", "ARTICLE", "HEADER", "FOOTER", "FIGURE"]);
+  var DROPPED_HTML_TAGS = /* @__PURE__ */ new Set([
+    "SCRIPT",
+    "STYLE",
+    "NOSCRIPT",
+    "TEMPLATE",
+    "BUTTON",
+    "IFRAME",
+    "FRAME",
+    "FRAMESET",
+    "OBJECT",
+    "EMBED",
+    "APPLET",
+    "FORM",
+    "INPUT",
+    "SELECT",
+    "TEXTAREA",
+    "SVG",
+    "MATH",
+    "LINK",
+    "META",
+    "BASE",
+    "AUDIO",
+    "VIDEO",
+    "CANVAS",
+    "DIALOG"
+  ]);
+  var ALLOWED_HTML_TAGS = /* @__PURE__ */ new Set([
+    "P",
+    "DIV",
+    "SPAN",
+    "BR",
+    "HR",
+    "H1",
+    "H2",
+    "H3",
+    "H4",
+    "H5",
+    "H6",
+    "STRONG",
+    "B",
+    "EM",
+    "I",
+    "U",
+    "S",
+    "DEL",
+    "INS",
+    "MARK",
+    "SUB",
+    "SUP",
+    "SMALL",
+    "CODE",
+    "PRE",
+    "KBD",
+    "SAMP",
+    "BLOCKQUOTE",
+    "Q",
+    "CITE",
+    "ABBR",
+    "UL",
+    "OL",
+    "LI",
+    "DL",
+    "DT",
+    "DD",
+    "TABLE",
+    "CAPTION",
+    "THEAD",
+    "TBODY",
+    "TFOOT",
+    "TR",
+    "TH",
+    "TD",
+    "A",
+    "IMG",
+    "FIGURE",
+    "FIGCAPTION"
+  ]);
+  var ALLOWED_HTML_ATTRIBUTES = {
+    "*": ["title", "lang", "dir"],
+    A: ["href"],
+    IMG: ["src", "alt", "width", "height"],
+    OL: ["start"],
+    TH: ["colspan", "rowspan"],
+    TD: ["colspan", "rowspan"],
+    // Code blocks carry their language as a class (see getCodeLanguage)
+    PRE: ["class"],
+    CODE: ["class"]
+  };
+  var LINK_SCHEMES = /* @__PURE__ */ new Set(["http:", "https:", "mailto:"]);
+  var IMAGE_SCHEMES = /* @__PURE__ */ new Set(["http:", "https:"]);
+  function getCodeLanguage(pre) {
+    if (!pre) return "";
+    const code = pre.tagName === "CODE" ? pre : pre.querySelector?.("code");
+    const classNames = `${code?.className || ""} ${pre.className || ""}`;
+    const match = classNames.match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/);
+    if (match) {
+      return match[1];
+    }
+    const dataLanguage = pre.getAttribute?.("data-language") || code?.getAttribute?.("data-language");
+    return dataLanguage || "";
+  }
+  function getKatexSource(katex) {
+    const annotation = katex.querySelector('annotation[encoding="application/x-tex"]');
+    if (annotation) {
+      return annotation.textContent.trim();
+    }
+    const html = katex.querySelector(".katex-html");
+    return (html || katex).textContent.trim();
+  }
+  function fenceCode(code, language) {
+    const content = code.replace(/\n+$/, "");
+    const longestRun = Math.max(2, ...(content.match(/`+/g) || []).map((run) => run.length));
+    const fence = "`".repeat(longestRun + 1);
+    return `${fence}${language}
+${content}
+${fence}`;
+  }
+  function inlineCode(code) {
+    const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map((run) => run.length));
+    const ticks = "`".repeat(longestRun + 1);
+    const padding = code.startsWith("`") || code.endsWith("`") ? " " : "";
+    return `${ticks}${padding}${code}${padding}${ticks}`;
+  }
+  function wrapInline(content, marker) {
+    const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!match[2]) return content;
+    return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+  }
+  function convertList(list, ctx) {
+    const ordered = list.tagName === "OL";
+    let number = ordered ? parseInt(list.getAttribute("start") || "1", 10) : 0;
+    const lines = [];
+    Array.from(list.children).forEach((child) => {
+      if (child.tagName !== "LI") return;
+      const marker = ordered ? `${number++}.` : "-";
+      const content = convertChildren(child, ctx).replace(/\n{2,}/g, "\n").trim().replace(/@@ce-code-(\d+)@@/g, (_, i) => ctx.codeBlocks[Number(i)]);
+      const itemLines = content.split("\n").map((line) => line.replace(/^ (?=\S)/, ""));
+      const indent = " ".repeat(marker.length + 1);
+      lines.push(`${marker} ${itemLines[0]}`);
+      itemLines.slice(1).forEach((line) => {
+        lines.push(line ? `${indent}${line}` : "");
+      });
+    });
+    return `
+
+${lines.join("\n")}
+
+`;
+  }
+  function convertTable(table, ctx) {
+    const rows = Array.from(table.querySelectorAll("tr")).map((row) => Array.from(row.children).filter((cell) => cell.tagName === "TD" || cell.tagName === "TH").map((cell) => convertChildren(cell, ctx).replace(/\s+/g, " ").replace(/\|/g, "\\|").trim())).filter((cells) => cells.length > 0);
+    if (rows.length === 0) return "";
+    const columnCount = Math.max(...rows.map((cells) => cells.length));
+    const formatRow = (cells) => {
+      const padded = [...cells, ...Array(columnCount - cells.length).fill("")];
+      return `| ${padded.join(" | ")} |`;
+    };
+    const lines = [
+      formatRow(rows[0]),
+      formatRow(Array(columnCount).fill("---")),
+      ...rows.slice(1).map(formatRow)
+    ];
+    return `
+
+${lines.join("\n")}
+
+`;
+  }
+  function convertChildren(node, ctx) {
+    return Array.from(node.childNodes).map((child) => convertNode(child, ctx)).join("");
+  }
+  function convertNode(node, ctx) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent.replace(/\s+/g, " ");
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) {
+      return "";
+    }
+    if (node.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+      return convertChildren(node, ctx);
+    }
+    const tag = node.tagName.toUpperCase();
+    if (SKIPPED_TAGS.has(tag) || node.getAttribute("aria-hidden") === "true") {
+      return "";
+    }
+    if (node.classList.contains("katex-display")) {
+      return `
+
+$$
+${getKatexSource(node)}
+$$
+
+`;
+    }
+    if (node.classList.contains("katex")) {
+      return `$${getKatexSource(node)}$`;
+    }
+    switch (tag) {
+      case "PRE": {
+        const code = node.querySelector("code") || node;
+        const placeholder = `@@ce-code-${ctx.codeBlocks.length}@@`;
+        ctx.codeBlocks.push(fenceCode(code.textContent, getCodeLanguage(node)));
+        return `
+
+${placeholder}
+
+`;
+      }
+      case "CODE":
+        return inlineCode(node.textContent);
+      case "STRONG":
+      case "B":
+        return wrapInline(convertChildren(node, ctx), "**");
+      case "EM":
+      case "I":
+        return wrapInline(convertChildren(node, ctx), "*");
+      case "DEL":
+      case "S":
+        return wrapInline(convertChildren(node, ctx), "~~");
+      case "A": {
+        const text = convertChildren(node, ctx).trim();
+        const href = node.getAttribute("href");
+        if (!href || href.startsWith("javascript:")) return text;
+        return `[${text || href}](${href})`;
+      }
+      case "IMG": {
+        const src = node.getAttribute("src");
+        return src ? `![${node.getAttribute("alt") || ""}](${src})` : "";
+      }
+      case "BR":
+        return "\n";
+      case "HR":
+        return "\n\n---\n\n";
+      case "H1":
+      case "H2":
+      case "H3":
+      case "H4":
+      case "H5":
+      case "H6": {
+        const level = parseInt(tag.substring(1), 10);
+        return `
+
+${"#".repeat(level)} ${convertChildren(node, ctx).trim()}
+
+`;
+      }
+      case "UL":
+      case "OL":
+        return convertList(node, ctx);
+      case "LI":
+        return `
+- ${convertChildren(node, ctx).trim()}
+`;
+      case "TABLE":
+        return convertTable(node, ctx);
+      case "BLOCKQUOTE": {
+        const content = cleanupMarkdown(convertChildren(node, ctx), ctx);
+        return `
+
+${content.split("\n").map((line) => line ? `> ${line}` : ">").join("\n")}
+
+`;
+      }
+      default:
+        if (BLOCK_TAGS.has(tag)) {
+          return `
+
+${convertChildren(node, ctx)}
+
+`;
+        }
+        return convertChildren(node, ctx);
+    }
+  }
+  function cleanupMarkdown(markdown, ctx) {
+    return markdown.split("\n").map((line) => line.replace(/[ \t]+$/, "")).map((line) => line.trim() ? line.replace(/^ (?=\S)/, "") : "").join("\n").replace(/\n{3,}/g, "\n\n").trim().replace(/@@ce-code-(\d+)@@/g, (_, i) => ctx.codeBlocks[Number(i)]);
+  }
+  function nodeToMarkdown(node) {
+    if (!node) return "";
+    const ctx = { codeBlocks: [] };
+    return cleanupMarkdown(convertNode(node, ctx), ctx);
+  }
+  function closestElement(node, selector) {
+    const element = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+    return element?.closest?.(selector) || null;
+  }
+  function rangeToMarkdown(range) {
+    if (!range) return "";
+    const common = range.commonAncestorContainer;
+    const katex = closestElement(common, ".katex");
+    if (katex) {
+      const display = katex.closest(".katex-display");
+      const source = getKatexSource(katex);
+      return display ? `$$
+${source}
+$$` : `$${source}$`;
+    }
+    const pre = closestElement(common, "pre");
+    if (pre) {
+      return fenceCode(range.toString(), getCodeLanguage(pre));
+    }
+    const code = closestElement(common, "code");
+    if (code) {
+      return inlineCode(range.toString());
+    }
+    return nodeToMarkdown(range.cloneContents());
+  }
+  function isAllowedUrl(value, schemes) {
+    try {
+      return schemes.has(new URL(value, document.baseURI).protocol);
+    } catch {
+      return false;
+    }
+  }
+  function sanitizeAttributes(element, tag) {
+    const allowed = [...ALLOWED_HTML_ATTRIBUTES["*"], ...ALLOWED_HTML_ATTRIBUTES[tag] || []];
+    Array.from(element.attributes).forEach(({ name, value }) => {
+      const keep = allowed.includes(name) && (name !== "href" || isAllowedUrl(value, LINK_SCHEMES)) && (name !== "src" || isAllowedUrl(value, IMAGE_SCHEMES));
+      if (!keep) {
+        element.removeAttribute(name);
+      }
+    });
+  }
+  function sanitizeChildren(parent) {
+    Array.from(parent.children).forEach((element) => {
+      const tag = element.tagName.toUpperCase();
+      if (DROPPED_HTML_TAGS.has(tag)) {
+        element.remove();
+        return;
+      }
+      sanitizeChildren(element);
+      if (ALLOWED_HTML_TAGS.has(tag)) {
+        sanitizeAttributes(element, tag);
+      } else {
+        element.replaceWith(...element.childNodes);
+      }
+    });
+  }
+  function serializeHtml(wrapper) {
+    const html = wrapper.innerHTML.trim();
+    if (!html || html.length > MAX_HTML_SIZE) {
+      return null;
+    }
+    return html;
+  }
+  function sanitizeHtml(html) {
+    if (typeof html !== "string") return null;
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    sanitizeChildren(template.content);
+    const wrapper = document.createElement("div");
+    wrapper.appendChild(template.content);
+    return serializeHtml(wrapper);
+  }
+  function rangeToHtml(range) {
+    if (!range) return null;
+    const wrapper = document.createElement("div");
+    wrapper.appendChild(range.cloneContents());
+    sanitizeChildren(wrapper);
+    return serializeHtml(wrapper);
+  }
+  function extractRichContent(range) {
+    try {
+      const markdown = rangeToMarkdown(range);
+      return {
+        markdown: markdown || null,
+        html: rangeToHtml(range)
+      };
+    } catch (error) {
+      console.warn("Failed to extract rich content from selection:", error);
+      return { markdown: null, html: null };
+    }
+  }
+
   // src/content/selection.js
   var MAX_SELECTION_SIZE = 1e4;
   var MIN_SELECTION_LENGTH = 3;
+  var MESSAGE_SELECTOR = "[data-message-id], [data-message-author-role]";
+  var GENERIC_TITLES = ["chatgpt", "new chat"];
+  var TITLE_SUFFIX_PATTERN = /\s+[-|–]\s+ChatGPT$/;
   function getConversationId() {
     return getConversationIdFromUrl(window.location.href);
   }
@@ -368,6 +1317,50 @@
     const text = messageBlock.innerText || messageBlock.textContent || "";
     return text.trim();
   }
+  function getMessageBlocks() {
+    return Array.from(document.querySelectorAll(MESSAGE_SELECTOR)).filter((block) => !block.parentElement?.closest(MESSAGE_SELECTOR));
+  }
+  function getMessagePosition(messageBlock) {
+    if (!messageBlock) return null;
+    const blocks = getMessageBlocks();
+    const ordinal = blocks.findIndex((block) => block === messageBlock || block.contains(messageBlock));
+    return ordinal === -1 ? null : { ordinal, count: blocks.length };
+  }
+  function getMessageAttribute(messageBlock, name) {
+    if (!messageBlock) return null;
+    const element = messageBlock.closest?.(`[${name}]`) || messageBlock.querySelector?.(`[${name}]`);
+    return element?.getAttribute(name) || null;
+  }
+  function getMessageRole(messageBlock) {
+    const role = getMessageAttribute(messageBlock, "data-message-author-role");
+    return role ? role.toLowerCase() : null;
+  }
+  function getMessageModel(messageBlock) {
+    return getMessageAttribute(messageBlock, "data-message-model-slug");
+  }
+  function getSidebarLinkText(matches) {
+    const link = Array.from(document.querySelectorAll("nav a[href]")).find((anchor) => {
+      try {
+        return matches(decodeURIComponent(new URL(anchor.getAttribute("href"), window.location.href).pathname)) && anchor.textContent.trim();
+      } catch (error) {
+        return false;
+      }
+    });
+    return link ? link.textContent.trim() : null;
+  }
+  function getConversationTitle(conversationId = getConversationId()) {
+    if (!conversationId) return null;
+    const linkTitle = getSidebarLinkText((pathname) => pathname.endsWith(`/c/${conversationId}`));
+    if (linkTitle) return linkTitle;
+    if (conversationId !== getConversationId()) return null;
+    const pageTitle = (document.title || "").replace(TITLE_SUFFIX_PATTERN, "").trim();
+    return pageTitle && !GENERIC_TITLES.includes(pageTitle.toLowerCase()) ? pageTitle : null;
+  }
+  function getProjectName(projectId) {
+    if (!projectId) return null;
+    const prefix = `/g/${projectId}`;
+    return getSidebarLinkText((pathname) => (pathname === prefix || pathname.startsWith(`${prefix}/`)) && !pathname.includes("/c/"));
+  }
   function isSelectionInExtensionUI(selection) {
     if (!selection || selection.rangeCount === 0) return false;
     const range = selection.getRangeAt(0);
@@ -383,6 +1376,17 @@
     }
     return false;
   }
+  function isEditableTarget(node) {
+    const element = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+    if (!element) return false;
+    const tagName = element.tagName;
+    if (tagName === "TEXTAREA" || tagName === "SELECT") return true;
+    if (tagName === "INPUT") {
+      const nonTextTypes = ["button", "checkbox", "radio", "submit", "reset", "file", "range", "color"];
+      return !nonTextTypes.includes((element.type || "text").toLowerCase());
+    }
+    return Boolean(element.closest?.('[contenteditable]:not([contenteditable="false"])'));
+  }
   function getSelectionText() {
     const selection = window.getSelection();
     if (!selection || selection.rangeCount === 0) return "";
@@ -407,28 +1411,64 @@
     const range = selection.getRangeAt(0);
     const startNode = range.startContainer;
     const messageBlock = findMessageBlock(startNode);
-    if (!messageBlock) {
+    const rich = truncated ? { markdown: null, html: null } : extractRichContent(range);
+    const projectId = getProjectIdFromUrl(window.location.href);
+    const parts = getSelectedMessageParts(range);
+    if (parts.length > 1) {
+      const conversationId2 = getConversationId();
+      const segments = buildSegments(parts, conversationId2, truncated);
+      const [first] = segments;
       return {
         id: generateSnippetId(),
         text: finalText,
-        conversationId: getConversationId(),
-        projectId: getProjectIdFromUrl(window.location.href),
+        markdown: rich.markdown,
+        html: rich.html,
+        conversationId: conversationId2,
+        projectId,
         sourceUrl: window.location.href,
-        anchor: null,
+        anchor: first.anchor,
+        role: first.role,
+        model: first.model,
+        messageIndex: first.messageIndex,
+        segments,
+        conversationTitle: getConversationTitle(conversationId2),
+        projectName: getProjectName(projectId),
         createdAt: Date.now(),
         truncated
       };
     }
-    const messageId = getMessageId(messageBlock);
+    if (!messageBlock) {
+      return {
+        id: generateSnippetId(),
+        text: finalText,
+        markdown: rich.markdown,
+        html: rich.html,
+        conversationId: getConversationId(),
+        projectId,
+        sourceUrl: window.location.href,
+        anchor: null,
+        role: null,
+        model: null,
+        messageIndex: null,
+        conversationTitle: getConversationTitle(),
+        projectName: getProjectName(projectId),
+        createdAt: Date.now(),
+        truncated
+      };
+    }
+    const messageId = getMessageId(messageBlock);
     const messageText = getMessageText(messageBlock);
     const conversationId = getConversationId();
-    const offsets = findSelectionOffsets(messageText, finalText);
+    const offsets = findSelectionOffsets(messageText, finalText, getSelectionStartHint(messageBlock, range));
     const selectionStart = offsets?.start ?? 0;
     const selectionEnd = offsets?.end ?? finalText.length;
+    const position = getMessagePosition(messageBlock);
     const anchor = buildAnchor({
       conversationId,
       messageId,
       messageText,
+      messageOrdinal: position?.ordinal,
+      messageCount: position?.count,
       selectionText: finalText,
       selectionStart,
       selectionEnd
@@ -436,20 +1476,274 @@
     return {
       id: generateSnippetId(),
       text: finalText,
+      markdown: rich.markdown,
+      html: rich.html,
       conversationId,
-      projectId: getProjectIdFromUrl(window.location.href),
+      projectId,
       sourceUrl: window.location.href,
       anchor,
+      role: getMessageRole(messageBlock),
+      model: getMessageModel(messageBlock),
+      messageIndex: position ? position.ordinal : null,
+      conversationTitle: getConversationTitle(conversationId),
+      projectName: getProjectName(projectId),
       createdAt: Date.now(),
       truncated
     };
   }
+  function getSelectedMessageParts(range) {
+    return getMessageBlocks().filter((block) => range.intersectsNode(block)).map((block) => {
+      const part = range.cloneRange();
+      if (!block.contains(range.startContainer)) part.setStart(block, 0);
+      if (!block.contains(range.endContainer)) part.setEnd(block, block.childNodes.length);
+      return { block, range: part };
+    }).filter(({ range: part }) => part.toString().trim());
+  }
+  function buildSegments(parts, conversationId, truncated) {
+    let remaining = MAX_SELECTION_SIZE;
+    const segments = [];
+    parts.forEach(({ block, range }) => {
+      if (remaining <= 0) return;
+      const text = range.toString().trim().substring(0, remaining);
+      remaining -= text.length;
+      const messageText = getMessageText(block);
+      const offsets = findSelectionOffsets(messageText, text, getSelectionStartHint(block, range));
+      const position = getMessagePosition(block);
+      segments.push({
+        text,
+        markdown: truncated ? null : extractRichContent(range).markdown,
+        anchor: buildAnchor({
+          conversationId,
+          messageId: getMessageAttribute(block, "data-message-id"),
+          messageText,
+          messageOrdinal: position?.ordinal,
+          messageCount: position?.count,
+          selectionText: text,
+          selectionStart: offsets?.start ?? 0,
+          selectionEnd: offsets?.end ?? text.length
+        }),
+        role: getMessageRole(block),
+        model: getMessageModel(block),
+        messageIndex: position ? position.ordinal : null
+      });
+    });
+    return segments;
+  }
+  function getSelectionStartHint(messageBlock, range) {
+    try {
+      const before = document.createRange();
+      before.setStart(messageBlock, 0);
+      before.setEnd(range.startContainer, range.startOffset);
+      return before.toString().replace(/\s+/g, " ").trimStart().length;
+    } catch (error) {
+      return null;
+    }
+  }
   function generateSnippetId() {
     return `snippet_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
   }
 
+  // src/shared/segments.js
+  var SEGMENT_LABELS = { user: "Q", assistant: "A" };
+  function isCompoundSnippet(snippet) {
+    return Array.isArray(snippet?.segments) && snippet.segments.length > 1;
+  }
+  function getSegmentLabel(role) {
+    if (SEGMENT_LABELS[role]) return SEGMENT_LABELS[role];
+    return role ? role.charAt(0).toUpperCase() + role.slice(1) : "Excerpt";
+  }
+  function formatSegmentsMarkdown(segments) {
+    return segments.map((segment) => `**${getSegmentLabel(segment.role)}:** ${segment.markdown || segment.text}`).join("\n\n");
+  }
+  function normalizeSegments(raw) {
+    if (!Array.isArray(raw)) return null;
+    const segments = raw.filter((segment) => segment && typeof segment.text === "string" && segment.text.trim()).map((segment) => ({
+      text: segment.text.trim(),
+      markdown: typeof segment.markdown === "string" ? segment.markdown : null,
+      anchor: segment.anchor && typeof segment.anchor === "object" ? segment.anchor : null,
+      role: typeof segment.role === "string" ? segment.role : null,
+      model: typeof segment.model === "string" ? segment.model : null,
+      messageIndex: Number.isInteger(segment.messageIndex) ? segment.messageIndex : null
+    }));
+    return segments.length > 1 ? segments : null;
+  }
+
+  // src/shared/palette.js
+  var DEFAULT_PALETTE = [
+    { id: "yellow", label: "Fact", color: "#facc15" },
+    { id: "green", label: "To-do", color: "#22c55e" },
+    { id: "red", label: "Question", color: "#ef4444" },
+    { id: "blue", label: "Idea", color: "#3b82f6" },
+    { id: "purple", label: "Quote", color: "#a855f7" }
+  ];
+  var COLOR_ID_PATTERN = /^[a-z0-9-]{1,24}$/;
+  var HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+  var MAX_LABEL_LENGTH = 24;
+  var HIGHLIGHT_ALPHA = 0.35;
+  function isColorId(id) {
+    return typeof id === "string" && COLOR_ID_PATTERN.test(id);
+  }
+  function resolvePalette(saved) {
+    if (!Array.isArray(saved)) return DEFAULT_PALETTE.map((entry) => ({ ...entry }));
+    const seen = /* @__PURE__ */ new Set();
+    const palette = saved.filter((entry) => {
+      if (!entry || !isColorId(entry.id) || seen.has(entry.id)) return false;
+      if (typeof entry.label !== "string" || !entry.label.trim() || !HEX_COLOR_PATTERN.test(entry.color)) return false;
+      seen.add(entry.id);
+      return true;
+    }).map((entry) => ({ id: entry.id, label: entry.label.trim().slice(0, MAX_LABEL_LENGTH), color: entry.color.toLowerCase() }));
+    return palette.length > 0 ? palette : DEFAULT_PALETTE.map((entry) => ({ ...entry }));
+  }
+  function updatePaletteEntry(palette, id, changes) {
+    return palette.map((entry) => {
+      if (entry.id !== id) return entry;
+      const label = typeof changes.label === "string" && changes.label.trim() ? changes.label.trim().slice(0, MAX_LABEL_LENGTH) : entry.label;
+      const color = HEX_COLOR_PATTERN.test(changes.color || "") ? changes.color.toLowerCase() : entry.color;
+      return { ...entry, label, color };
+    });
+  }
+  function findPaletteEntry(palette, id) {
+    if (!id || !Array.isArray(palette)) return null;
+    return palette.find((entry) => entry.id === id) || null;
+  }
+  function getColorLabel(palette, id) {
+    return findPaletteEntry(palette, id)?.label || null;
+  }
+  function colorVar(id, background = false) {
+    return `var(--ce-color-${id}${background ? "-bg" : ""})`;
+  }
+  function hexToRgba(hex, alpha) {
+    const value = parseInt(hex.slice(1), 16);
+    return `rgba(${value >> 16 & 255}, ${value >> 8 & 255}, ${value & 255}, ${alpha})`;
+  }
+  function buildPaletteCss(palette) {
+    const variables = palette.map(
+      ({ id, color }) => `  --ce-color-${id}: ${color};
+  --ce-color-${id}-bg: ${hexToRgba(color, HIGHLIGHT_ALPHA)};`
+    );
+    const highlights = palette.map(
+      ({ id, color }) => `::highlight(ce-snippet-${id}),
+::highlight(ce-transient-${id}) {
+  background-color: ${hexToRgba(color, HIGHLIGHT_ALPHA)};
+}`
+    );
+    return [`:root {
+${variables.join("\n")}
+}`, ...highlights].join("\n\n");
+  }
+
+  // src/content/rangePainter.js
+  var LAYER_CLASS = "ce-highlight-layer";
+  function supportsCustomHighlights() {
+    return typeof CSS !== "undefined" && Boolean(CSS.highlights) && typeof globalThis.Highlight === "function";
+  }
+  function getHighlightName(name, color = null) {
+    return isColorId(color) ? `${name}-${color}` : name;
+  }
+  function createRangePainter({ name, layerId, overlayClass, mode = null }) {
+    const paintMode = mode || (supportsCustomHighlights() ? "custom" : "overlay");
+    let entries = [];
+    let rects = null;
+    let frame = null;
+    let layer = null;
+    let listening = false;
+    let painted = /* @__PURE__ */ new Set();
+    const measure = () => {
+      rects = entries.flatMap((entry) => Array.from(entry.range.getClientRects(), (rect) => ({ entry, rect })));
+      return rects;
+    };
+    const drawOverlays = () => {
+      frame = null;
+      if (!layer) return;
+      layer.innerHTML = "";
+      measure().forEach(({ entry, rect }) => {
+        const box = document.createElement("div");
+        box.className = overlayClass;
+        if (isColorId(entry.color)) {
+          box.style.backgroundColor = colorVar(entry.color, true);
+        }
+        box.style.top = `${rect.top}px`;
+        box.style.left = `${rect.left}px`;
+        box.style.width = `${rect.width}px`;
+        box.style.height = `${rect.height}px`;
+        layer.appendChild(box);
+      });
+    };
+    const handleViewportChange = () => {
+      rects = null;
+      if (paintMode !== "overlay" || frame !== null) return;
+      frame = requestAnimationFrame(drawOverlays);
+    };
+    const listen = () => {
+      if (listening) return;
+      listening = true;
+      window.addEventListener("scroll", handleViewportChange, { capture: true, passive: true });
+      window.addEventListener("resize", handleViewportChange);
+    };
+    const unlisten = () => {
+      if (!listening) return;
+      listening = false;
+      window.removeEventListener("scroll", handleViewportChange, { capture: true });
+      window.removeEventListener("resize", handleViewportChange);
+    };
+    function paint(nextEntries) {
+      entries = nextEntries;
+      rects = null;
+      listen();
+      if (paintMode === "custom") {
+        const groups = /* @__PURE__ */ new Map();
+        entries.forEach(({ range, color }) => {
+          const highlightName = getHighlightName(name, color);
+          groups.set(highlightName, [...groups.get(highlightName) || [], range]);
+        });
+        painted.forEach((highlightName) => {
+          if (!groups.has(highlightName)) CSS.highlights.delete(highlightName);
+        });
+        groups.forEach((ranges, highlightName) => CSS.highlights.set(highlightName, new globalThis.Highlight(...ranges)));
+        painted = new Set(groups.keys());
+        return;
+      }
+      if (!layer) {
+        layer = document.createElement("div");
+        layer.id = layerId;
+        layer.className = LAYER_CLASS;
+        layer.setAttribute("aria-hidden", "true");
+      }
+      if (!layer.isConnected) {
+        document.body.appendChild(layer);
+      }
+      drawOverlays();
+    }
+    function clear() {
+      entries = [];
+      rects = null;
+      if (frame !== null) cancelAnimationFrame(frame);
+      frame = null;
+      unlisten();
+      painted.forEach((highlightName) => CSS.highlights.delete(highlightName));
+      painted = /* @__PURE__ */ new Set();
+      if (layer && layer.parentNode) layer.parentNode.removeChild(layer);
+      layer = null;
+    }
+    function hitTest(x, y) {
+      const hit = (rects || measure()).find(
+        ({ rect }) => x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom
+      );
+      return hit ? hit.entry : null;
+    }
+    return {
+      paint,
+      clear,
+      hitTest,
+      getMode: () => paintMode
+    };
+  }
+
   // src/content/navigation.js
   var HIGHLIGHT_DURATION = 2500;
+  var TRANSIENT_HIGHLIGHT_NAME = "ce-transient";
+  var transientPainter = null;
+  var transientTimer = null;
   function findMessageById(messageId) {
     if (!messageId) return null;
     const selector = `[data-message-id="${messageId}"]`;
@@ -479,8 +1773,25 @@
     }
     return null;
   }
-  function applyTransientHighlight(element, startOffset, endOffset) {
-    if (!element) return;
+  function getBlockText(block) {
+    return (block.innerText || block.textContent || "").trim();
+  }
+  function findMessageByQuote(quote, positionHint = null) {
+    const exact = normalizeAnchorText(quote?.exact);
+    if (!exact) return null;
+    const blocks = Array.from(document.querySelectorAll("[data-message-id], [data-message-author-role]"));
+    const containing = blocks.filter((block) => normalizeAnchorText(getBlockText(block)).includes(exact));
+    let best = null;
+    (containing.length > 0 ? containing : blocks).forEach((block) => {
+      const match = matchTextQuote(getBlockText(block), quote, positionHint);
+      if (match && (!best || match.confidence > best.match.confidence)) {
+        best = { element: block, match };
+      }
+    });
+    return best;
+  }
+  function createTextRange(element, startOffset, endOffset) {
+    if (!element) return null;
     const walker = document.createTreeWalker(
       element,
       NodeFilter.SHOW_TEXT,
@@ -507,40 +1818,42 @@
       }
       currentOffset += nodeLength;
     }
-    if (!startNode || !endNode) {
-      element.classList.add("ce-highlight-transient");
-      setTimeout(() => {
-        element.classList.remove("ce-highlight-transient");
-      }, HIGHLIGHT_DURATION);
-      element.scrollIntoView({ behavior: "smooth", block: "center" });
-      return;
-    }
+    if (!startNode || !endNode) return null;
     try {
       const range = document.createRange();
       range.setStart(startNode, Math.min(startNodeOffset, startNode.textContent.length));
       range.setEnd(endNode, Math.min(endNodeOffset, endNode.textContent.length));
-      const highlight = document.createElement("span");
-      highlight.className = "ce-highlight-transient";
-      highlight.textContent = range.toString();
-      range.deleteContents();
-      range.insertNode(highlight);
-      highlight.scrollIntoView({ behavior: "smooth", block: "center" });
-      setTimeout(() => {
-        if (highlight.parentNode) {
-          highlight.parentNode.replaceChild(document.createTextNode(highlight.textContent), highlight);
-          highlight.parentNode.normalize();
-        }
-      }, HIGHLIGHT_DURATION);
+      return range;
     } catch (error) {
-      console.warn("Failed to create precise highlight, using element highlight:", error);
-      element.classList.add("ce-highlight-transient");
-      setTimeout(() => {
-        element.classList.remove("ce-highlight-transient");
-      }, HIGHLIGHT_DURATION);
+      console.warn("Failed to create text range:", error);
+      return null;
+    }
+  }
+  function createMessageRange(element) {
+    const range = document.createRange();
+    range.selectNodeContents(element);
+    return range;
+  }
+  function showTransientHighlight(ranges, color = null) {
+    if (!transientPainter) {
+      transientPainter = createRangePainter({ name: TRANSIENT_HIGHLIGHT_NAME, layerId: "ce-transient-layer", overlayClass: "ce-highlight-transient" });
+    }
+    clearTimeout(transientTimer);
+    transientPainter.paint(ranges.map((range) => ({ range, color })));
+    transientTimer = setTimeout(() => transientPainter.clear(), HIGHLIGHT_DURATION);
+  }
+  function scrollToRange(range) {
+    const node = range.startContainer;
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    if (element) {
       element.scrollIntoView({ behavior: "smooth", block: "center" });
     }
   }
-  function navigateToSource(snippet) {
+  function getSourceParts(snippet) {
+    if (!isCompoundSnippet(snippet)) return [snippet];
+    return snippet.segments.map((segment) => ({ ...snippet, anchor: segment.anchor }));
+  }
+  function locateSource(snippet) {
     if (!snippet || !snippet.anchor) {
       return { success: false, reason: "Snippet has no anchor information" };
     }
@@ -561,6 +1874,20 @@
     if (!messageBlock && anchor.textHash) {
       messageBlock = findMessageByTextHash(anchor.textHash);
     }
+    let match = null;
+    if (anchor.quote) {
+      const positionHint = anchor.selectionOffsets?.start ?? null;
+      if (messageBlock) {
+        match = matchTextQuote(getBlockText(messageBlock), anchor.quote, positionHint);
+      }
+      if (!match) {
+        const found = findMessageByQuote(anchor.quote, positionHint);
+        if (found) {
+          messageBlock = found.element;
+          match = found.match;
+        }
+      }
+    }
     if (!messageBlock && anchor.selectionPrefix) {
       messageBlock = findMessageByPrefix(anchor.selectionPrefix);
     }
@@ -569,7 +1896,8 @@
       if (anchor.conversationId && currentConversationId && currentConversationId === anchor.conversationId) {
         return {
           success: false,
-          reason: "Source message not found. It may have been deleted or the page needs to be scrolled to load it."
+          reason: "Source message not found. It may have been deleted or the page needs to be scrolled to load it.",
+          notRendered: true
         };
       }
       return {
@@ -577,27 +1905,1235 @@
         reason: "Source not found. The message may be in a different conversation or may have been deleted."
       };
     }
+    if (match) {
+      return { success: true, element: messageBlock, start: match.start, end: match.end, confidence: match.confidence };
+    }
+    if (anchor.quote) {
+      return { success: true, element: messageBlock, start: null, end: null, confidence: 0 };
+    }
     if (anchor.selectionOffsets) {
-      applyTransientHighlight(
-        messageBlock,
-        anchor.selectionOffsets.start,
-        anchor.selectionOffsets.end
-      );
-    } else {
-      messageBlock.classList.add("ce-highlight-transient");
-      setTimeout(() => {
-        messageBlock.classList.remove("ce-highlight-transient");
-      }, HIGHLIGHT_DURATION);
-      messageBlock.scrollIntoView({ behavior: "smooth", block: "center" });
+      return { success: true, element: messageBlock, start: anchor.selectionOffsets.start, end: anchor.selectionOffsets.end };
+    }
+    return { success: true, element: messageBlock, start: null, end: null };
+  }
+  function navigateToSource(snippet) {
+    const [first, ...rest] = getSourceParts(snippet).map(locateSource);
+    if (!first.success) {
+      return first;
+    }
+    const located = [first, ...rest.filter((part) => part.success)];
+    const ranges = located.map(
+      ({ element, start, end }) => (start === null ? null : createTextRange(element, start, end)) || createMessageRange(element)
+    );
+    showTransientHighlight(ranges, snippet.color);
+    scrollToRange(ranges[0]);
+    const result = { success: true };
+    const confidences = located.map((part) => part.confidence).filter((confidence) => confidence !== void 0);
+    if (confidences.length > 0) {
+      result.confidence = Math.min(...confidences);
+    }
+    if (located.length < rest.length + 1) {
+      result.missingSegments = rest.length + 1 - located.length;
     }
-    return { success: true };
+    return result;
   }
   function getConversationId2() {
     return getConversationIdFromUrl(window.location.href);
   }
 
+  // src/content/routeWatcher.js
+  var POLL_INTERVAL_MS = 1e3;
+  function resolveRoute(url) {
+    return {
+      url,
+      conversationId: getConversationIdFromUrl(url),
+      projectId: getProjectIdFromUrl(url)
+    };
+  }
+  function hasRouteChanged(previous, next) {
+    if (!previous) return true;
+    return previous.conversationId !== next.conversationId || previous.projectId !== next.projectId;
+  }
+  function watchRouteChanges(onChange, { pollInterval = POLL_INTERVAL_MS } = {}) {
+    let currentRoute = resolveRoute(window.location.href);
+    const check = () => {
+      const href = window.location.href;
+      if (href === currentRoute.url) return;
+      const nextRoute = resolveRoute(href);
+      const previousRoute = currentRoute;
+      currentRoute = nextRoute;
+      if (hasRouteChanged(previousRoute, nextRoute)) {
+        onChange(nextRoute, previousRoute);
+      }
+    };
+    const originalPushState = history.pushState;
+    const originalReplaceState = history.replaceState;
+    history.pushState = function pushState(...args) {
+      const result = originalPushState.apply(this, args);
+      check();
+      return result;
+    };
+    history.replaceState = function replaceState(...args) {
+      const result = originalReplaceState.apply(this, args);
+      check();
+      return result;
+    };
+    window.addEventListener("popstate", check);
+    const intervalId = pollInterval > 0 ? setInterval(check, pollInterval) : null;
+    return function stop() {
+      history.pushState = originalPushState;
+      history.replaceState = originalReplaceState;
+      window.removeEventListener("popstate", check);
+      if (intervalId !== null) {
+        clearInterval(intervalId);
+      }
+    };
+  }
+
+  // src/content/pendingNavigation.js
+  var PENDING_KEY = "ce-pending-navigation";
+  var SPA_FALLBACK_MS = 2e3;
+  var QUIET_PERIOD_MS = 1500;
+  var MESSAGE_SELECTOR2 = "[data-message-id], [data-message-author-role]";
+  var PENDING_NAVIGATION_TIMEOUT_MS = 15e3;
+  function getSnippetConversationId(snippet) {
+    return snippet?.anchor?.conversationId || snippet?.conversationId || null;
+  }
+  function getConversationUrl(snippet) {
+    const conversationId = getSnippetConversationId(snippet);
+    if (!conversationId) return null;
+    if (snippet.sourceUrl && getConversationIdFromUrl(snippet.sourceUrl) === conversationId) {
+      return snippet.sourceUrl;
+    }
+    return new URL(`/c/${conversationId}`, window.location.href).href;
+  }
+  function savePendingNavigation(snippet, now = Date.now()) {
+    try {
+      sessionStorage.setItem(PENDING_KEY, JSON.stringify({
+        snippetId: snippet.id,
+        conversationId: getSnippetConversationId(snippet),
+        createdAt: now
+      }));
+    } catch (error) {
+      console.warn("Failed to remember pending navigation:", error);
+    }
+  }
+  function clearPendingNavigation() {
+    try {
+      sessionStorage.removeItem(PENDING_KEY);
+    } catch (error) {
+      console.warn("Failed to clear pending navigation:", error);
+    }
+  }
+  function getPendingNavigation(now = Date.now()) {
+    let pending = null;
+    try {
+      pending = JSON.parse(sessionStorage.getItem(PENDING_KEY) || "null");
+    } catch (error) {
+      pending = null;
+    }
+    if (!pending || !pending.snippetId || now - (pending.createdAt || 0) > PENDING_NAVIGATION_TIMEOUT_MS) {
+      clearPendingNavigation();
+      return null;
+    }
+    return pending;
+  }
+  function takePendingNavigation(conversationId, now = Date.now()) {
+    const pending = getPendingNavigation(now);
+    if (!pending || !conversationId || pending.conversationId !== conversationId) {
+      return null;
+    }
+    clearPendingNavigation();
+    return pending;
+  }
+  function findConversationLink(conversationId) {
+    return Array.from(document.querySelectorAll("a[href]")).find((link) => {
+      if (link.closest("#ce-root")) return false;
+      return getConversationIdFromUrl(link.href) === conversationId;
+    }) || null;
+  }
+  function openConversation(url) {
+    const conversationId = getConversationIdFromUrl(url);
+    const link = conversationId ? findConversationLink(conversationId) : null;
+    if (!link) {
+      window.location.assign(url);
+      return "reload";
+    }
+    const fallbackId = setTimeout(() => {
+      stopWatching();
+      if (getConversationIdFromUrl(window.location.href) !== conversationId) {
+        window.location.assign(url);
+      }
+    }, SPA_FALLBACK_MS);
+    const stopWatching = watchRouteChanges(() => {
+      clearTimeout(fallbackId);
+      stopWatching();
+    });
+    link.click();
+    return "spa";
+  }
+  function waitForSource(snippet, { timeout = PENDING_NAVIGATION_TIMEOUT_MS, quietPeriod = QUIET_PERIOD_MS } = {}) {
+    return new Promise((resolve) => {
+      let observer = null;
+      let timeoutId = null;
+      let quietId = null;
+      let scheduled = false;
+      let done = false;
+      const finish = (result) => {
+        done = true;
+        if (observer) observer.disconnect();
+        clearTimeout(timeoutId);
+        clearTimeout(quietId);
+        resolve(result);
+      };
+      const attempt = () => {
+        scheduled = false;
+        if (done) return true;
+        const result = navigateToSource(snippet);
+        if (result.success) {
+          finish(result);
+          return true;
+        }
+        clearTimeout(quietId);
+        if (result.notRendered && document.querySelector(MESSAGE_SELECTOR2)) {
+          quietId = setTimeout(() => finish(result), quietPeriod);
+        }
+        return false;
+      };
+      if (attempt()) return;
+      observer = new MutationObserver(() => {
+        clearTimeout(quietId);
+        if (scheduled) return;
+        scheduled = true;
+        setTimeout(attempt, 100);
+      });
+      observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+      timeoutId = setTimeout(() => {
+        finish({
+          success: false,
+          reason: "Opened the source conversation, but the snippet did not appear. The message may have been deleted or not loaded yet."
+        });
+      }, Math.max(0, timeout));
+    });
+  }
+
+  // src/content/seeker.js
+  var MESSAGE_SELECTOR3 = "[data-message-id], [data-message-author-role]";
+  var STEP_RATIO = 0.8;
+  var DEFAULT_SEEK_OPTIONS = {
+    maxSteps: 40,
+    timeout: 2e4,
+    // ms
+    settleMs: 600
+    // Max wait for messages to render after each scroll
+  };
+  function getRelativeMessagePosition(anchor) {
+    const ordinal = anchor?.messageOrdinal;
+    const count = anchor?.messageCount;
+    if (!Number.isInteger(ordinal) || !Number.isInteger(count) || count < 1) {
+      return null;
+    }
+    return count === 1 ? 1 : Math.min(1, Math.max(0, ordinal / (count - 1)));
+  }
+  function findScrollContainer() {
+    const message = document.querySelector(MESSAGE_SELECTOR3);
+    for (let element = message?.parentElement; element && element !== document.body; element = element.parentElement) {
+      const overflowY = window.getComputedStyle(element).overflowY;
+      if ((overflowY === "auto" || overflowY === "scroll") && element.scrollHeight > element.clientHeight) {
+        return element;
+      }
+    }
+    return document.scrollingElement || document.documentElement;
+  }
+  function nextSeekPosition({ scrollTop, maxScroll, viewport, target, phase }) {
+    const stride = Math.max(1, viewport * STEP_RATIO);
+    if (phase === "approach") {
+      if (Math.abs(target - scrollTop) <= 1) {
+        return nextSeekPosition({ scrollTop, maxScroll, viewport, target, phase: "up" });
+      }
+      const next = target > scrollTop ? Math.min(target, scrollTop + stride) : Math.max(target, scrollTop - stride);
+      return { scrollTop: next, phase };
+    }
+    if (phase === "up") {
+      if (scrollTop > 0) {
+        return { scrollTop: Math.max(0, scrollTop - stride), phase };
+      }
+      const next = Math.min(maxScroll, target + stride);
+      return next > target ? { scrollTop: next, phase: "down" } : null;
+    }
+    if (scrollTop >= maxScroll) {
+      return null;
+    }
+    return { scrollTop: Math.min(maxScroll, scrollTop + stride), phase };
+  }
+  function waitForMessages(settleMs, onWake) {
+    return new Promise((resolve) => {
+      let timeoutId = null;
+      const observer = new MutationObserver((mutations) => {
+        const rendered = mutations.some((mutation) => Array.from(mutation.addedNodes).some(
+          (node) => node.nodeType === Node.ELEMENT_NODE && (node.matches(MESSAGE_SELECTOR3) || node.querySelector(MESSAGE_SELECTOR3))
+        ));
+        if (rendered) done();
+      });
+      const done = () => {
+        observer.disconnect();
+        clearTimeout(timeoutId);
+        resolve();
+      };
+      observer.observe(document.body, { childList: true, subtree: true });
+      timeoutId = setTimeout(done, settleMs);
+      onWake(done);
+    });
+  }
+  function seekSource(snippet, options = {}) {
+    const { maxSteps, timeout, settleMs } = { ...DEFAULT_SEEK_OPTIONS, ...options };
+    const { onProgress } = options;
+    let canceled = false;
+    let wake = null;
+    const cancel = () => {
+      canceled = true;
+      if (wake) wake();
+    };
+    const canceledResult = { success: false, canceled: true, reason: "Search canceled" };
+    const run = async () => {
+      const container2 = findScrollContainer();
+      const startScrollTop = container2.scrollTop;
+      const relative = getRelativeMessagePosition(snippet?.anchor);
+      const deadline = Date.now() + timeout;
+      let phase = relative === null ? "up" : "approach";
+      for (let step = 1; step <= maxSteps && Date.now() < deadline; step++) {
+        if (canceled) return canceledResult;
+        const maxScroll = Math.max(0, container2.scrollHeight - container2.clientHeight);
+        const next = nextSeekPosition({
+          scrollTop: container2.scrollTop,
+          maxScroll,
+          viewport: container2.clientHeight,
+          target: relative === null ? 0 : relative * maxScroll,
+          phase
+        });
+        if (!next) break;
+        phase = next.phase;
+        container2.scrollTop = next.scrollTop;
+        if (onProgress) onProgress({ step, maxSteps });
+        await waitForMessages(settleMs, (done) => {
+          wake = done;
+        });
+        wake = null;
+        if (canceled) return canceledResult;
+        const result = navigateToSource(snippet);
+        if (result.success) return result;
+      }
+      container2.scrollTop = startScrollTop;
+      return {
+        success: false,
+        reason: "Scrolled through the conversation but could not find the source message. It may have been deleted."
+      };
+    };
+    return { promise: run(), cancel };
+  }
+
+  // src/content/highlighter.js
+  var HIGHLIGHT_NAME = "ce-snippet";
+  var LAYER_ID = "ce-highlight-layer";
+  var TOOLTIP_ID = "ce-highlight-tooltip";
+  var REFRESH_DELAY = 250;
+  function resolveSnippetRanges(snippets) {
+    const entries = [];
+    snippets.forEach((snippet) => {
+      getSourceParts(snippet).forEach((part) => {
+        const located = locateSource(part);
+        if (!located.success || located.start === null) return;
+        const range = createTextRange(located.element, located.start, located.end);
+        if (range && !range.collapsed) {
+          entries.push({ snippet, range, color: snippet.color });
+        }
+      });
+    });
+    return entries;
+  }
+  function isExtensionNode(node) {
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return Boolean(element?.closest(`#ce-root, .${LAYER_CLASS}, #${TOOLTIP_ID}, .ce-save-bubble`));
+  }
+  function isExtensionMutation(mutation) {
+    if (isExtensionNode(mutation.target)) return true;
+    const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+    return mutation.type === "childList" && nodes.length > 0 && nodes.every(
+      (node) => node.nodeType === Node.ELEMENT_NODE && (node.classList.contains(LAYER_CLASS) || node.id === TOOLTIP_ID || isExtensionNode(node))
+    );
+  }
+  function renderTooltip(tooltip, snippet) {
+    tooltip.innerHTML = "";
+    const tags = Array.isArray(snippet.tags) ? snippet.tags : [];
+    if (!snippet.note && tags.length === 0) return false;
+    if (snippet.note) {
+      const note = document.createElement("div");
+      note.className = "ce-snippet-note";
+      note.textContent = snippet.note;
+      tooltip.appendChild(note);
+    }
+    if (tags.length > 0) {
+      const tagList = document.createElement("div");
+      tagList.className = "ce-snippet-tags";
+      tags.forEach((tag) => {
+        const tagEl = document.createElement("span");
+        tagEl.className = "ce-tag";
+        tagEl.textContent = `#${tag}`;
+        tagList.appendChild(tagEl);
+      });
+      tooltip.appendChild(tagList);
+    }
+    return true;
+  }
+  function createHighlighter({ getSnippets, getThemeClass = () => "ce-theme-light", mode = null }) {
+    const painter = createRangePainter({ name: HIGHLIGHT_NAME, layerId: LAYER_ID, overlayClass: "ce-highlight-overlay", mode });
+    let active = false;
+    let observer = null;
+    let refreshTimer = null;
+    let tooltip = null;
+    let hovered = null;
+    const hideTooltip = () => {
+      hovered = null;
+      if (tooltip) tooltip.classList.remove("ce-highlight-tooltip-show");
+    };
+    const handleMouseMove = (event) => {
+      const entry = painter.hitTest(event.clientX, event.clientY);
+      if (!entry) {
+        hideTooltip();
+        return;
+      }
+      if (!tooltip) {
+        tooltip = document.createElement("div");
+        tooltip.id = TOOLTIP_ID;
+        tooltip.className = "ce-highlight-tooltip";
+        tooltip.setAttribute("role", "tooltip");
+        document.body.appendChild(tooltip);
+      }
+      if (hovered !== entry.snippet && !renderTooltip(tooltip, entry.snippet)) {
+        hideTooltip();
+        return;
+      }
+      hovered = entry.snippet;
+      tooltip.classList.remove("ce-theme-light", "ce-theme-dark");
+      tooltip.classList.add(getThemeClass(), "ce-highlight-tooltip-show");
+      tooltip.style.top = `${event.clientY + 16}px`;
+      tooltip.style.left = `${Math.max(8, Math.min(event.clientX, window.innerWidth - tooltip.offsetWidth - 8))}px`;
+    };
+    const handleMutations = (mutations) => {
+      if (mutations.every(isExtensionMutation)) return;
+      clearTimeout(refreshTimer);
+      refreshTimer = setTimeout(refresh, REFRESH_DELAY);
+    };
+    function refresh() {
+      clearTimeout(refreshTimer);
+      if (!active) return;
+      painter.paint(resolveSnippetRanges(getSnippets()));
+    }
+    function start() {
+      if (active) return;
+      active = true;
+      refresh();
+      observer = new MutationObserver(handleMutations);
+      observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+      document.addEventListener("mousemove", handleMouseMove, { passive: true });
+    }
+    function stop() {
+      if (!active) return;
+      active = false;
+      clearTimeout(refreshTimer);
+      if (observer) observer.disconnect();
+      observer = null;
+      document.removeEventListener("mousemove", handleMouseMove);
+      painter.clear();
+      if (tooltip && tooltip.parentNode) tooltip.parentNode.removeChild(tooltip);
+      tooltip = null;
+      hovered = null;
+    }
+    return {
+      start,
+      stop,
+      refresh,
+      isActive: () => active,
+      getMode: () => painter.getMode()
+    };
+  }
+
+  // src/content/storageAdapters.js
+  function sortByCreatedAt(snippets) {
+    return [...snippets].sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  }
+  function createChromeStorageAdapter() {
+    const getSnippets = async (ids) => {
+      const storage = await loadStorage();
+      return ids(storage).map((id) => storage.snippetsById[id]).filter(Boolean);
+    };
+    return {
+      name: "chrome",
+      load: () => loadStorage(),
+      save: (storage) => saveStorage(storage),
+      subscribe: (onChange) => subscribeToStorageChanges(onChange),
+      async getSnippetsByConversation(conversationId) {
+        return sortByCreatedAt(await getSnippets((storage) => storage.index.byThread[conversationId] || []));
+      },
+      async getSnippetsByProject(projectId) {
+        return sortByCreatedAt(await getSnippets((storage) => storage.index.byProject?.[projectId] || []));
+      },
+      async getRecentSnippets(limit = Infinity) {
+        const snippets = await getSnippets((storage) => Object.keys(storage.snippetsById));
+        return sortByCreatedAt(snippets).reverse().slice(0, limit);
+      },
+      clear: () => removeStorage()
+    };
+  }
+
+  // src/content/history.js
+  var DEFAULT_HISTORY_LIMIT = 50;
+  function diffSnippets(beforeById, afterById) {
+    const changes = [];
+    const before = beforeById || {};
+    const after = afterById || {};
+    Object.keys(before).forEach((id) => {
+      if (before[id] !== after[id]) {
+        changes.push({ id, before: before[id], after: after[id] || null });
+      }
+    });
+    Object.keys(after).forEach((id) => {
+      if (!before[id]) {
+        changes.push({ id, before: null, after: after[id] });
+      }
+    });
+    return changes;
+  }
+  function getReplayableChanges(storage, changes) {
+    return changes.filter((change) => storage.tombstones?.[change.id] === void 0);
+  }
+  function popReplayableEntry(stack, storage) {
+    let entry = stack.pop();
+    while (entry && getReplayableChanges(storage, entry.changes).length === 0) {
+      entry = stack.pop();
+    }
+    return entry;
+  }
+  function applyChanges(storage, changes, side) {
+    return getReplayableChanges(storage, changes).reduce((updated, change) => {
+      const snippet = change[side];
+      return snippet ? upsertSnippet(updated, { ...snippet }) : removeSnippet(updated, change.id);
+    }, storage);
+  }
+  function createHistory({ limit = DEFAULT_HISTORY_LIMIT } = {}) {
+    const undoStack = [];
+    const redoStack = [];
+    return {
+      /**
+       * Records a mutation. Mutations that changed nothing are ignored.
+       * @param {string} label - Human-readable description (e.g. "Delete snippet")
+       * @param {Object} beforeStorage - Storage before the mutation
+       * @param {Object} afterStorage - Storage after the mutation
+       * @returns {Object|null} Recorded entry or null
+       */
+      record(label, beforeStorage, afterStorage) {
+        const changes = diffSnippets(beforeStorage?.snippetsById, afterStorage?.snippetsById);
+        if (changes.length === 0) {
+          return null;
+        }
+        const entry = { label, changes, createdAt: Date.now() };
+        undoStack.push(entry);
+        if (undoStack.length > limit) {
+          undoStack.splice(0, undoStack.length - limit);
+        }
+        redoStack.length = 0;
+        return entry;
+      },
+      /**
+       * Undoes the most recent entry that doesn't only touch permanently deleted snippets.
+       * @param {Object} storage - Current storage
+       * @returns {{storage: Object, entry: Object}|null} Updated storage and entry, or null if nothing to undo
+       */
+      undo(storage) {
+        const entry = popReplayableEntry(undoStack, storage);
+        if (!entry) return null;
+        redoStack.push(entry);
+        return { storage: applyChanges(storage, entry.changes, "before"), entry };
+      },
+      /**
+       * Redoes the most recently undone entry that doesn't only touch permanently deleted snippets.
+       * @param {Object} storage - Current storage
+       * @returns {{storage: Object, entry: Object}|null} Updated storage and entry, or null if nothing to redo
+       */
+      redo(storage) {
+        const entry = popReplayableEntry(redoStack, storage);
+        if (!entry) return null;
+        undoStack.push(entry);
+        return { storage: applyChanges(storage, entry.changes, "after"), entry };
+      },
+      canUndo() {
+        return undoStack.length > 0;
+      },
+      canRedo() {
+        return redoStack.length > 0;
+      },
+      clear() {
+        undoStack.length = 0;
+        redoStack.length = 0;
+      }
+    };
+  }
+
+  // src/content/shortcuts.js
+  var MODIFIERS = ["Ctrl", "Alt", "Shift", "Meta"];
+  var KEY_ALIASES = {
+    " ": "Space",
+    Esc: "Escape",
+    Up: "ArrowUp",
+    Down: "ArrowDown",
+    Left: "ArrowLeft",
+    Right: "ArrowRight",
+    Del: "Delete",
+    Control: "Ctrl",
+    Cmd: "Meta",
+    Command: "Meta",
+    Option: "Alt"
+  };
+  var SHORTCUT_ACTIONS = [
+    { id: "togglePanel", label: "Toggle panel" },
+    { id: "saveSelection", label: "Save current selection" },
+    { id: "focusSearch", label: "Focus search" },
+    { id: "nextSnippet", label: "Next snippet" },
+    { id: "previousSnippet", label: "Previous snippet" },
+    { id: "openSource", label: "Open focused snippet source" },
+    { id: "deleteSnippet", label: "Delete focused snippet" },
+    { id: "copySnippet", label: "Copy focused snippet" },
+    { id: "undo", label: "Undo" },
+    { id: "redo", label: "Redo" },
+    { id: "saveColor1", label: "Save selection with color 1" },
+    { id: "saveColor2", label: "Save selection with color 2" },
+    { id: "saveColor3", label: "Save selection with color 3" },
+    { id: "saveColor4", label: "Save selection with color 4" },
+    { id: "saveColor5", label: "Save selection with color 5" }
+  ];
+  var DEFAULT_SHORTCUTS = {
+    togglePanel: "Alt+Shift+P",
+    saveSelection: "Alt+Shift+S",
+    focusSearch: "Alt+Shift+F",
+    nextSnippet: "Alt+Shift+J",
+    previousSnippet: "Alt+Shift+K",
+    openSource: "Alt+Shift+O",
+    deleteSnippet: "Alt+Shift+D",
+    copySnippet: "Alt+Shift+C",
+    undo: "Alt+Shift+Z",
+    redo: "Alt+Shift+Y",
+    saveColor1: "Alt+Shift+1",
+    saveColor2: "Alt+Shift+2",
+    saveColor3: "Alt+Shift+3",
+    saveColor4: "Alt+Shift+4",
+    saveColor5: "Alt+Shift+5"
+  };
+  function normalizeKey(key) {
+    const aliased = KEY_ALIASES[key] || key;
+    return aliased.length === 1 ? aliased.toUpperCase() : aliased;
+  }
+  function toModifier(part) {
+    const lower = part.toLowerCase();
+    const aliasMatch = Object.keys(KEY_ALIASES).find((alias) => alias.toLowerCase() === lower);
+    const candidate = aliasMatch ? KEY_ALIASES[aliasMatch] : part;
+    return MODIFIERS.find((mod) => mod.toLowerCase() === candidate.toLowerCase()) || null;
+  }
+  function normalizeShortcut(shortcut) {
+    if (!shortcut || typeof shortcut !== "string") return "";
+    const parts = shortcut.trim().split(/\+(?!$)/).map((part) => part.trim()).filter(Boolean);
+    const modifiers = /* @__PURE__ */ new Set();
+    let key = "";
+    parts.forEach((part) => {
+      const modifier = toModifier(part);
+      if (modifier) {
+        modifiers.add(modifier);
+      } else {
+        key = normalizeKey(part);
+      }
+    });
+    if (!key) return "";
+    return [...MODIFIERS.filter((mod) => modifiers.has(mod)), key].join("+");
+  }
+  function eventToShortcut(event) {
+    if (!event || !event.key) return null;
+    if (["Control", "Alt", "Shift", "Meta"].includes(event.key)) return null;
+    let key = event.key;
+    const code = event.code || "";
+    if (/^Key[A-Z]$/.test(code)) {
+      key = code.substring(3);
+    } else if (/^Digit[0-9]$/.test(code)) {
+      key = code.substring(5);
+    }
+    const parts = [];
+    if (event.ctrlKey) parts.push("Ctrl");
+    if (event.altKey) parts.push("Alt");
+    if (event.shiftKey) parts.push("Shift");
+    if (event.metaKey) parts.push("Meta");
+    parts.push(normalizeKey(key));
+    return parts.join("+");
+  }
+  function hasCommandModifier(shortcut) {
+    return /(^|\+)(Ctrl|Alt|Meta)\+/.test(shortcut || "");
+  }
+  function findShortcutAction(shortcuts, shortcut) {
+    if (!shortcut || !shortcuts) return null;
+    const normalized = normalizeShortcut(shortcut);
+    const match = Object.entries(shortcuts).find(([, bound]) => normalizeShortcut(bound) === normalized);
+    return match ? match[0] : null;
+  }
+  function assignShortcut(shortcuts, action, shortcut) {
+    const normalized = normalizeShortcut(shortcut);
+    const updated = { ...shortcuts };
+    if (normalized) {
+      Object.keys(updated).forEach((otherAction) => {
+        if (otherAction !== action && normalizeShortcut(updated[otherAction]) === normalized) {
+          updated[otherAction] = "";
+        }
+      });
+    }
+    updated[action] = normalized;
+    return updated;
+  }
+  function resolveShortcuts(saved) {
+    const resolved = { ...DEFAULT_SHORTCUTS };
+    if (saved && typeof saved === "object") {
+      Object.keys(DEFAULT_SHORTCUTS).forEach((action) => {
+        if (typeof saved[action] === "string") {
+          resolved[action] = normalizeShortcut(saved[action]);
+        }
+      });
+    }
+    return resolved;
+  }
+  function formatShortcut(shortcut) {
+    if (!shortcut) return "Not set";
+    return shortcut.split(/\+(?!$)/).map((part) => part.replace(/^Arrow/, "")).join(" + ");
+  }
+
+  // src/shared/tags.js
+  var MAX_TAG_LENGTH = 40;
+  var MAX_SUGGESTIONS = 8;
+  function normalizeTag(value) {
+    if (typeof value !== "string") return "";
+    return value.trim().replace(/^#+/, "").trim().replace(/\s+/g, "-").toLowerCase().slice(0, MAX_TAG_LENGTH);
+  }
+  function suggestTags(tags, input, exclude = [], limit = MAX_SUGGESTIONS) {
+    const query = normalizeTag(input);
+    const candidates = tags.filter((tag) => !exclude.includes(tag));
+    if (!query) return candidates.slice(0, limit);
+    const prefixed = candidates.filter((tag) => tag.startsWith(query));
+    const containing = candidates.filter((tag) => !tag.startsWith(query) && tag.includes(query));
+    return [...prefixed, ...containing].slice(0, limit);
+  }
+
+  // src/shared/query.js
+  var FIELDS = ["tag", "color", "conv", "project", "before", "after", "role", "has", "truncated"];
+  var ROLES = ["user", "assistant"];
+  var HAS_VALUES = ["note", "tag", "color"];
+  var BOOLEAN_VALUES = ["true", "false"];
+  var DATE_PATTERN = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/;
+  function tokenize(input, errors) {
+    const tokens = [];
+    let i = 0;
+    const readQuoted = (start) => {
+      const close = input.indexOf('"', start + 1);
+      if (close === -1) {
+        errors.push({ message: "Missing closing quote", start, end: input.length });
+        return { value: input.slice(start + 1), end: input.length };
+      }
+      return { value: input.slice(start + 1, close), end: close + 1 };
+    };
+    const readWord = (start) => {
+      let end = start;
+      while (end < input.length && !/[\s()"]/.test(input[end])) end++;
+      return { value: input.slice(start, end), end };
+    };
+    while (i < input.length) {
+      const char = input[i];
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+      if (char === "(" || char === ")") {
+        tokens.push({ type: char === "(" ? "open" : "close", start: i, end: i + 1 });
+        i++;
+        continue;
+      }
+      const start = i;
+      let negated = false;
+      if (char === "-" && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+        negated = true;
+        i++;
+      }
+      if (input[i] === '"') {
+        const { value: value2, end: end2 } = readQuoted(i);
+        tokens.push({ type: "text", value: value2, phrase: true, negated, start, end: end2 });
+        i = end2;
+        continue;
+      }
+      if (input[i] === "(") {
+        tokens.push({ type: "not", start, end: i });
+        continue;
+      }
+      const { value, end } = readWord(i);
+      const fieldMatch = /^([a-z]+):(.*)$/i.exec(value);
+      if (fieldMatch && FIELDS.includes(fieldMatch[1].toLowerCase())) {
+        const field = fieldMatch[1].toLowerCase();
+        let fieldValue = fieldMatch[2];
+        let fieldEnd = end;
+        if (!fieldValue && input[end] === '"') {
+          ({ value: fieldValue, end: fieldEnd } = readQuoted(end));
+        }
+        tokens.push({ type: "field", field, value: fieldValue, negated, start, end: fieldEnd });
+        i = fieldEnd;
+        continue;
+      }
+      if (!negated && (value === "OR" || value === "|")) {
+        tokens.push({ type: "or", start, end });
+      } else if (value === "-") {
+        errors.push({ message: 'Nothing to exclude after "-"', start, end });
+      } else {
+        tokens.push({ type: "text", value, phrase: false, negated, start, end });
+      }
+      i = end;
+    }
+    return tokens;
+  }
+  function parseDateRange(value) {
+    const match = DATE_PATTERN.exec(value);
+    if (!match) return null;
+    const year = Number(match[1]);
+    const month = match[2] ? Number(match[2]) - 1 : 0;
+    const day = match[3] ? Number(match[3]) : 1;
+    const start = new Date(year, month, day);
+    if (start.getFullYear() !== year || start.getMonth() !== month || start.getDate() !== day) return null;
+    const end = match[3] ? new Date(year, month, day + 1) : match[2] ? new Date(year, month + 1, 1) : new Date(year + 1, 0, 1);
+    return { start: start.getTime(), end: end.getTime() };
+  }
+  function validateField({ field, value }) {
+    if (!value) return `"${field}:" needs a value`;
+    const lower = value.toLowerCase();
+    switch (field) {
+      case "before":
+      case "after":
+        return parseDateRange(value) ? null : `"${value}" is not a date (use YYYY-MM-DD)`;
+      case "role":
+        return ROLES.includes(lower) ? null : `role: must be ${ROLES.join(" or ")}`;
+      case "has":
+        return HAS_VALUES.includes(lower) ? null : `has: must be ${HAS_VALUES.join(", ")}`;
+      case "truncated":
+        return BOOLEAN_VALUES.includes(lower) ? null : "truncated: must be true or false";
+      case "tag":
+        return normalizeTag(value) ? null : `"${value}" is not a tag`;
+      default:
+        return null;
+    }
+  }
+  function parseQuery(input) {
+    const errors = [];
+    const tokens = tokenize(typeof input === "string" ? input : "", errors);
+    let position = 0;
+    const peek = () => tokens[position];
+    const parseOperand = () => {
+      const token = tokens[position++];
+      if (token.type === "open" || token.type === "not") {
+        const negated = token.type === "not";
+        if (negated) position++;
+        const inner = parseOr(true);
+        if (peek()?.type === "close") {
+          position++;
+        } else {
+          errors.push({ message: "Missing closing parenthesis", start: token.start, end: token.end + 1 });
+        }
+        if (!inner) return null;
+        return negated ? { type: "not", child: inner } : inner;
+      }
+      if (token.type === "field") {
+        const message = validateField(token);
+        if (message) {
+          errors.push({ message, start: token.start, end: token.end });
+          return null;
+        }
+        const node2 = { type: "field", field: token.field, value: token.value };
+        return token.negated ? { type: "not", child: node2 } : node2;
+      }
+      if (!token.value) return null;
+      const node = { type: "text", value: token.value.toLowerCase(), phrase: token.phrase };
+      return token.negated ? { type: "not", child: node } : node;
+    };
+    const parseAnd = (nested) => {
+      const children = [];
+      while (position < tokens.length) {
+        const token = peek();
+        if (token.type === "or") break;
+        if (token.type === "close") {
+          if (nested) break;
+          errors.push({ message: 'Unmatched ")"', start: token.start, end: token.end });
+          position++;
+          continue;
+        }
+        const operand = parseOperand();
+        if (operand) children.push(operand);
+      }
+      if (children.length === 0) return null;
+      return children.length === 1 ? children[0] : { type: "and", children };
+    };
+    function parseOr(nested = false) {
+      const children = [];
+      let orToken = null;
+      for (; ; ) {
+        const branch = parseAnd(nested);
+        if (branch) {
+          children.push(branch);
+        } else if (orToken) {
+          errors.push({ message: "OR needs a search term on both sides", start: orToken.start, end: orToken.end });
+        }
+        if (peek()?.type !== "or") break;
+        orToken = tokens[position++];
+        if (children.length === 0) {
+          errors.push({ message: "OR needs a search term on both sides", start: orToken.start, end: orToken.end });
+        }
+      }
+      if (children.length === 0) return null;
+      return children.length === 1 ? children[0] : { type: "or", children };
+    }
+    const ast = tokens.length > 0 ? parseOr() : null;
+    return { ast, errors };
+  }
+  function matchesText(snippet, term) {
+    return [snippet.text, snippet.note].some((field) => typeof field === "string" && field.toLowerCase().includes(term));
+  }
+  function getQueryTerms(ast) {
+    if (!ast) return [];
+    switch (ast.type) {
+      case "and":
+      case "or":
+        return ast.children.flatMap(getQueryTerms);
+      case "text":
+        return [{ value: ast.value, phrase: ast.phrase }];
+      default:
+        return [];
+    }
+  }
+  function matchesField(snippet, { field, value }, context) {
+    const lower = value.toLowerCase();
+    const includes = (text) => typeof text === "string" && text.toLowerCase().includes(lower);
+    switch (field) {
+      case "tag":
+        return Array.isArray(snippet.tags) && snippet.tags.includes(normalizeTag(value));
+      case "color": {
+        if (!snippet.color) return false;
+        const entry = (context.palette || []).find(({ id }) => id === snippet.color);
+        return snippet.color === lower || Boolean(entry && entry.label.toLowerCase() === lower);
+      }
+      case "conv":
+        return snippet.conversationId === value || includes(context.getConversationTitle?.(snippet));
+      case "project":
+        return snippet.projectId === value || includes(context.getProjectName?.(snippet));
+      case "before":
+        return (snippet.createdAt || 0) < parseDateRange(value).start;
+      case "after":
+        return (snippet.createdAt || 0) >= parseDateRange(value).start;
+      case "role":
+        return snippet.role === lower || Array.isArray(snippet.segments) && snippet.segments.some((segment) => segment.role === lower);
+      case "has":
+        if (lower === "note") return Boolean(snippet.note && snippet.note.trim());
+        if (lower === "tag") return Array.isArray(snippet.tags) && snippet.tags.length > 0;
+        return Boolean(snippet.color);
+      case "truncated":
+        return Boolean(snippet.truncated) === (lower === "true");
+      default:
+        return false;
+    }
+  }
+  function matchesQuery(snippet, ast, context = {}) {
+    if (!ast) return true;
+    switch (ast.type) {
+      case "and":
+        return ast.children.every((child) => matchesQuery(snippet, child, context));
+      case "or":
+        return ast.children.some((child) => matchesQuery(snippet, child, context));
+      case "not":
+        return !matchesQuery(snippet, ast.child, context);
+      case "field":
+        return matchesField(snippet, ast, context);
+      default:
+        return context.matchText ? context.matchText(snippet, ast) : matchesText(snippet, ast.value);
+    }
+  }
+
+  // src/shared/searchIndex.js
+  var K1 = 1.2;
+  var B = 0.75;
+  var EXACT_WEIGHT = 1;
+  var PREFIX_WEIGHT = 0.7;
+  var FUZZY_WEIGHT = 0.4;
+  var MIN_PREFIX_LENGTH = 2;
+  var MIN_FUZZY_LENGTH = 4;
+  var MIN_TWO_TYPO_LENGTH = 8;
+  var TERM_PATTERN = /[\p{L}\p{N}]+/gu;
+  var MARKS_PATTERN = /\p{M}/gu;
+  function foldText(text) {
+    return String(text || "").normalize("NFD").replace(MARKS_PATTERN, "").toLowerCase();
+  }
+  function tokenizeText(text) {
+    return foldText(text).match(TERM_PATTERN) || [];
+  }
+  function editDistance2(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const nextRow = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+        if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, previousRow[j - 2] + 1);
+        }
+        nextRow.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+      if (rowMin > max) return max + 1;
+      previousRow = row;
+      row = nextRow;
+    }
+    return row[b.length];
+  }
+  function getTermMatchWeight(queryTerm, term, exactOnly = false) {
+    if (term === queryTerm) return EXACT_WEIGHT;
+    if (exactOnly) return 0;
+    if (queryTerm.length >= MIN_PREFIX_LENGTH && term.startsWith(queryTerm)) return PREFIX_WEIGHT;
+    if (queryTerm.length >= MIN_FUZZY_LENGTH) {
+      const maxTypos = queryTerm.length >= MIN_TWO_TYPO_LENGTH ? 2 : 1;
+      if (editDistance2(queryTerm, term, maxTypos) <= maxTypos) return FUZZY_WEIGHT;
+    }
+    return 0;
+  }
+  function findMatchRanges(text, terms) {
+    if (!text || !terms || terms.length === 0) return [];
+    let folded = "";
+    const offsets = [];
+    Array.from(text).reduce((position, char) => {
+      const foldedChar = foldText(char);
+      for (let i = 0; i < foldedChar.length; i++) offsets.push(position);
+      folded += foldedChar;
+      return position + char.length;
+    }, 0);
+    offsets.push(text.length);
+    const toOriginal = (start, end) => ({ start: offsets[start], end: offsets[end] });
+    const ranges = [];
+    const words = terms.filter((term) => !term.phrase).flatMap((term) => tokenizeText(term.value));
+    for (const match of folded.matchAll(TERM_PATTERN)) {
+      if (words.some((word) => getTermMatchWeight(word, match[0]) > 0)) {
+        ranges.push(toOriginal(match.index, match.index + match[0].length));
+      }
+    }
+    terms.filter((term) => term.phrase).forEach(({ value }) => {
+      const phrase = foldText(value);
+      if (!phrase) return;
+      let index = folded.indexOf(phrase);
+      while (index !== -1) {
+        ranges.push(toOriginal(index, index + phrase.length));
+        index = folded.indexOf(phrase, index + phrase.length);
+      }
+    });
+    ranges.sort((a, b) => a.start - b.start);
+    return ranges.reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ ...range });
+      }
+      return merged;
+    }, []);
+  }
+  function getSearchableText(snippet) {
+    return [snippet.text, snippet.note].filter((field) => typeof field === "string" && field).join("\n");
+  }
+  function createSearchIndex() {
+    const postings = /* @__PURE__ */ new Map();
+    const docs = /* @__PURE__ */ new Map();
+    let totalLength = 0;
+    let version = 0;
+    function add(snippet) {
+      if (docs.has(snippet.id)) remove(snippet.id);
+      const text = getSearchableText(snippet);
+      const terms = tokenizeText(text);
+      const frequencies = /* @__PURE__ */ new Map();
+      terms.forEach((term) => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+      frequencies.forEach((frequency, term) => {
+        if (!postings.has(term)) postings.set(term, /* @__PURE__ */ new Map());
+        postings.get(term).set(snippet.id, frequency);
+      });
+      docs.set(snippet.id, { source: snippet, length: terms.length, terms: [...frequencies.keys()], folded: foldText(text) });
+      totalLength += terms.length;
+      version += 1;
+    }
+    function remove(id) {
+      const doc = docs.get(id);
+      if (!doc) return;
+      doc.terms.forEach((term) => {
+        const ids = postings.get(term);
+        ids.delete(id);
+        if (ids.size === 0) postings.delete(term);
+      });
+      docs.delete(id);
+      totalLength -= doc.length;
+      version += 1;
+    }
+    function isIndexed(doc, snippet) {
+      if (!doc) return false;
+      if (doc.source === snippet) return true;
+      return Number.isInteger(snippet.revision) && snippet.revision > 0 && doc.source.revision === snippet.revision && doc.source.updatedAt === snippet.updatedAt;
+    }
+    function sync(snippetsById) {
+      const before = version;
+      Array.from(docs.keys()).forEach((id) => {
+        if (!snippetsById[id]) remove(id);
+      });
+      Object.values(snippetsById).forEach((snippet) => {
+        if (!isIndexed(docs.get(snippet.id), snippet)) add(snippet);
+      });
+      return version !== before;
+    }
+    function scoreTerm(queryTerm, exactOnly) {
+      const scores = /* @__PURE__ */ new Map();
+      const averageLength = docs.size > 0 ? totalLength / docs.size : 0;
+      postings.forEach((ids, term) => {
+        const weight = getTermMatchWeight(queryTerm, term, exactOnly);
+        if (weight === 0) return;
+        const idf = Math.log(1 + (docs.size - ids.size + 0.5) / (ids.size + 0.5));
+        ids.forEach((frequency, id) => {
+          const lengthNorm = averageLength > 0 ? docs.get(id).length / averageLength : 1;
+          const score = weight * idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * lengthNorm));
+          if (score > (scores.get(id) || 0)) scores.set(id, score);
+        });
+      });
+      return scores;
+    }
+    function search(value, { phrase = false } = {}) {
+      const queryTerms = tokenizeText(value);
+      if (queryTerms.length === 0) return /* @__PURE__ */ new Map();
+      let results = null;
+      queryTerms.forEach((queryTerm) => {
+        const scores = scoreTerm(queryTerm, phrase);
+        if (results === null) {
+          results = scores;
+          return;
+        }
+        const combined = /* @__PURE__ */ new Map();
+        results.forEach((score, id) => {
+          if (scores.has(id)) combined.set(id, score + scores.get(id));
+        });
+        results = combined;
+      });
+      if (phrase) {
+        const folded = foldText(value).trim();
+        Array.from(results.keys()).forEach((id) => {
+          if (!docs.get(id).folded.includes(folded)) results.delete(id);
+        });
+      }
+      return results;
+    }
+    return {
+      add,
+      remove,
+      sync,
+      search,
+      size: () => docs.size,
+      getVersion: () => version
+    };
+  }
+
+  // src/shared/listView.js
+  var SORT_OPTIONS = [
+    { id: "newest", label: "Newest" },
+    { id: "oldest", label: "Oldest" },
+    { id: "alphabetical", label: "A\u2013Z" },
+    { id: "longest", label: "Longest" },
+    { id: "edited", label: "Recently edited" }
+  ];
+  var GROUP_OPTIONS = [
+    { id: "none", label: "No grouping" },
+    { id: "conversation", label: "By conversation" },
+    { id: "project", label: "By project" },
+    { id: "color", label: "By color" }
+  ];
+  var LIST_SCOPES = ["thread", "project", "all"];
+  var DEFAULT_LIST_VIEW = { sort: "newest", group: "none" };
+  function resolveListViews(saved) {
+    const views = {};
+    LIST_SCOPES.forEach((scope) => {
+      const view = saved && typeof saved === "object" ? saved[scope] : null;
+      views[scope] = {
+        sort: SORT_OPTIONS.some(({ id }) => id === view?.sort) ? view.sort : DEFAULT_LIST_VIEW.sort,
+        group: GROUP_OPTIONS.some(({ id }) => id === view?.group) ? view.group : DEFAULT_LIST_VIEW.group
+      };
+    });
+    return views;
+  }
+  var byNewest = (a, b) => (b.createdAt || 0) - (a.createdAt || 0);
+  var COMPARATORS = {
+    newest: byNewest,
+    oldest: (a, b) => (a.createdAt || 0) - (b.createdAt || 0),
+    alphabetical: (a, b) => (a.text || "").trim().localeCompare((b.text || "").trim(), void 0, { sensitivity: "base" }) || byNewest(a, b),
+    longest: (a, b) => (b.text || "").length - (a.text || "").length || byNewest(a, b),
+    edited: (a, b) => (b.updatedAt || b.createdAt || 0) - (a.updatedAt || a.createdAt || 0) || byNewest(a, b)
+  };
+  function sortSnippets(snippets, sort) {
+    return [...snippets].sort(COMPARATORS[sort] || byNewest);
+  }
+  var GROUP_KEYS = {
+    conversation: (snippet) => snippet.conversationId || "",
+    project: (snippet) => snippet.projectId || "",
+    color: (snippet) => snippet.color || ""
+  };
+  function groupSnippets(snippets, group, { palette = [] } = {}) {
+    const getKey = GROUP_KEYS[group];
+    if (!getKey) return null;
+    const groups = /* @__PURE__ */ new Map();
+    snippets.forEach((snippet) => {
+      const key = getKey(snippet);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(snippet);
+    });
+    const rank = (key) => {
+      if (key === "") return Infinity;
+      if (group !== "color") return 0;
+      const index = palette.findIndex(({ id }) => id === key);
+      return index === -1 ? palette.length : index;
+    };
+    return Array.from(groups, ([key, items]) => ({ key, snippets: items })).sort((a, b) => rank(a.key) - rank(b.key));
+  }
+
+  // src/shared/panelModes.js
+  var PANEL_MODES = ["overlay", "sidepanel", "both"];
+  var DEFAULT_PANEL_MODE = "overlay";
+  var PANEL_MODE_LABELS = {
+    overlay: "Overlay",
+    sidepanel: "Side panel",
+    both: "Both"
+  };
+  function resolvePanelMode(mode) {
+    return PANEL_MODES.includes(mode) ? mode : DEFAULT_PANEL_MODE;
+  }
+  function showsOverlay(mode) {
+    return resolvePanelMode(mode) !== "sidepanel";
+  }
+  function showsSidePanel(mode) {
+    return resolvePanelMode(mode) !== "overlay";
+  }
+
   // src/content/ui.js
   var CONTAINER_ID = "ce-root";
+  var TRASH_RETENTION_OPTIONS = [7, 14, 30, 90];
+  var PALETTE_STYLE_ID = "ce-palette-style";
+  var MAX_NOTE_LENGTH = 2e3;
+  var NOTE_COUNTER_WARNING = 0.9;
+  var MAX_FILTER_TAGS = 15;
   function createContainer() {
     let container2 = document.getElementById(CONTAINER_ID);
     if (container2) return container2;
@@ -618,7 +3154,7 @@
     fab2.addEventListener("click", onClick);
     return fab2;
   }
-  function createPanel({ snippets, onCopy, onClear, onClose, onRemove, onSnippetClick, onManage, onToggleAutoSave, autoSaveEnabled, onToggleTheme, currentTheme, totalCount, searchQuery, onScopeChange, currentScope, currentProjectId, onSearch }) {
+  function createPanel({ snippets, onCopy, onClear, onClose, onRemove, onSnippetClick, onNoteChange, onManage, onOpenLibrary, onOpenShortcuts, onCycleCaptureMode, captureMode, onCyclePanelMode, panelMode, onToggleTheme, currentTheme, onToggleHighlights, highlightsEnabled, totalCount, searchQuery, onScopeChange, currentScope, currentProjectId, onSearch, selection, trash, colors, tags, search, view }) {
     const panel2 = document.createElement("div");
     panel2.className = "ce-panel";
     panel2.setAttribute("role", "dialog");
@@ -628,26 +3164,46 @@
       onClear,
       onClose,
       onManage,
-      onToggleAutoSave,
-      autoSaveEnabled,
+      onOpenLibrary,
+      onOpenShortcuts,
+      onCycleCaptureMode,
+      captureMode,
+      onCyclePanelMode,
+      panelMode,
       onToggleTheme,
       currentTheme,
+      onToggleHighlights,
+      highlightsEnabled,
       snippetCount: snippets.length,
       totalCount: totalCount !== void 0 ? totalCount : snippets.length,
       searchQuery: searchQuery || "",
       onSearch,
       onScopeChange,
       currentScope: currentScope || "thread",
-      currentProjectId: currentProjectId || null
+      currentProjectId: currentProjectId || null,
+      trash,
+      colors,
+      tags,
+      search,
+      view
     });
-    const list = createSnippetList({ snippets, onRemove, onSnippetClick });
-    const footer = createPanelFooter();
     panel2.appendChild(header);
+    if (trash && trash.open) {
+      panel2.classList.add("ce-panel-trash");
+      panel2.appendChild(createTrashView(trash));
+      panel2.appendChild(createPanelFooter(`Trashed snippets are deleted permanently after ${trash.retentionDays} days`));
+      return panel2;
+    }
+    const list = createSnippetList({ snippets, onRemove, onSnippetClick, onNoteChange, selection, tags, search, view });
+    const footer = createPanelFooter();
+    if (selection) {
+      panel2.appendChild(createBulkActionBar(snippets, selection));
+    }
     panel2.appendChild(list);
     panel2.appendChild(footer);
     return panel2;
   }
-  function createPanelHeader({ onCopy, onClear, onClose, onManage, onToggleAutoSave, autoSaveEnabled, onToggleTheme, currentTheme, snippetCount, totalCount, searchQuery, onSearch, onScopeChange, currentScope, currentProjectId }) {
+  function createPanelHeader({ onCopy, onClear, onClose, onManage, onOpenLibrary, onOpenShortcuts, onCycleCaptureMode, captureMode, onCyclePanelMode, panelMode, onToggleTheme, currentTheme, onToggleHighlights, highlightsEnabled, snippetCount, totalCount, searchQuery, onSearch, onScopeChange, currentScope, currentProjectId, trash, colors, tags, search, view }) {
     const header = document.createElement("div");
     header.className = "ce-panel-header";
     const titleRow = document.createElement("div");
@@ -667,38 +3223,7 @@
     titleRow.appendChild(title);
     titleRow.appendChild(closeBtn);
     if (onSearch) {
-      const searchContainer = document.createElement("div");
-      searchContainer.className = "ce-search-container";
-      const searchWrapper = document.createElement("div");
-      searchWrapper.className = "ce-search-wrapper";
-      const searchInput = document.createElement("input");
-      searchInput.type = "text";
-      searchInput.className = "ce-search-input";
-      searchInput.placeholder = "Search snippets...";
-      searchInput.value = searchQuery || "";
-      searchInput.setAttribute("aria-label", "Search snippets");
-      searchInput.addEventListener("input", (e) => {
-        if (onSearch) {
-          onSearch(e.target.value);
-        }
-      });
-      const clearSearchBtn = document.createElement("button");
-      clearSearchBtn.className = "ce-search-clear";
-      clearSearchBtn.innerHTML = "\xD7";
-      clearSearchBtn.setAttribute("aria-label", "Clear search");
-      clearSearchBtn.title = "Clear search";
-      clearSearchBtn.style.display = searchQuery && searchQuery.trim() ? "flex" : "none";
-      clearSearchBtn.addEventListener("click", (e) => {
-        e.stopPropagation();
-        searchInput.value = "";
-        if (onSearch) {
-          onSearch("");
-        }
-      });
-      searchWrapper.appendChild(searchInput);
-      searchWrapper.appendChild(clearSearchBtn);
-      searchContainer.appendChild(searchWrapper);
-      header.appendChild(searchContainer);
+      header.appendChild(createSearchBox({ searchQuery, onSearch, search }));
     }
     const actions = document.createElement("div");
     actions.className = "ce-panel-actions";
@@ -713,15 +3238,57 @@
       themeBtn.addEventListener("click", onToggleTheme);
       actions.appendChild(themeBtn);
     }
-    if (onToggleAutoSave) {
+    if (onToggleHighlights) {
+      const highlightsBtn = document.createElement("button");
+      highlightsBtn.className = "ce-btn ce-btn-icon ce-btn-highlights";
+      highlightsBtn.classList.toggle("ce-btn-active", Boolean(highlightsEnabled));
+      highlightsBtn.innerHTML = "\u{1F58D}";
+      highlightsBtn.setAttribute("aria-label", "Highlight snippets in the page");
+      highlightsBtn.setAttribute("aria-pressed", highlightsEnabled ? "true" : "false");
+      highlightsBtn.title = highlightsEnabled ? "Page highlights: on (click to turn off)" : "Page highlights: off (click to highlight saved snippets in the conversation)";
+      highlightsBtn.addEventListener("click", onToggleHighlights);
+      actions.appendChild(highlightsBtn);
+    }
+    if (onOpenShortcuts) {
+      const shortcutsBtn = document.createElement("button");
+      shortcutsBtn.className = "ce-btn ce-btn-icon ce-btn-shortcuts";
+      shortcutsBtn.innerHTML = "\u2328";
+      shortcutsBtn.setAttribute("aria-label", "Keyboard shortcuts");
+      shortcutsBtn.title = "Keyboard shortcuts";
+      shortcutsBtn.addEventListener("click", onOpenShortcuts);
+      actions.appendChild(shortcutsBtn);
+    }
+    if (onCycleCaptureMode) {
+      const modeLabels = { auto: "Auto-save", bubble: "Manual", off: "Off" };
+      const modeTitles = {
+        auto: "Selections are saved automatically (click to switch to manual)",
+        bubble: "Selections show a Save bubble (click to turn capture off)",
+        off: "Selections are not captured (click to enable auto-save)"
+      };
+      const mode = modeLabels[captureMode] ? captureMode : "auto";
       const autoSaveBtn = document.createElement("button");
       autoSaveBtn.className = "ce-btn ce-btn-secondary ce-btn-auto-save";
-      autoSaveBtn.textContent = autoSaveEnabled ? "Auto-save: ON" : "Auto-save: OFF";
-      autoSaveBtn.setAttribute("aria-label", `Auto-save is ${autoSaveEnabled ? "enabled" : "disabled"}`);
-      autoSaveBtn.title = autoSaveEnabled ? "Click to disable auto-save" : "Click to enable auto-save";
-      autoSaveBtn.addEventListener("click", onToggleAutoSave);
+      autoSaveBtn.textContent = `Capture: ${modeLabels[mode]}`;
+      autoSaveBtn.setAttribute("aria-label", `Capture mode: ${modeLabels[mode]}`);
+      autoSaveBtn.title = modeTitles[mode];
+      autoSaveBtn.addEventListener("click", onCycleCaptureMode);
       actions.appendChild(autoSaveBtn);
     }
+    if (onCyclePanelMode) {
+      const mode = PANEL_MODE_LABELS[panelMode] ? panelMode : "overlay";
+      const modeTitles = {
+        overlay: "Snippets are shown in this panel (click to use the side panel instead)",
+        sidepanel: "Snippets are shown in the side panel (click to show them in both)",
+        both: "Snippets are shown here and in the side panel (click to use this panel only)"
+      };
+      const panelModeBtn = document.createElement("button");
+      panelModeBtn.className = "ce-btn ce-btn-secondary ce-btn-panel-mode";
+      panelModeBtn.textContent = `Panel: ${PANEL_MODE_LABELS[mode]}`;
+      panelModeBtn.setAttribute("aria-label", `Panel mode: ${PANEL_MODE_LABELS[mode]}`);
+      panelModeBtn.title = modeTitles[mode];
+      panelModeBtn.addEventListener("click", onCyclePanelMode);
+      actions.appendChild(panelModeBtn);
+    }
     const copyBtn = document.createElement("button");
     copyBtn.className = "ce-btn ce-btn-secondary ce-btn-copy";
     copyBtn.textContent = "Copy";
@@ -742,6 +3309,23 @@
     actions.appendChild(copyBtn);
     actions.appendChild(clearBtn);
     actions.appendChild(manageBtn);
+    if (onOpenLibrary) {
+      const libraryBtn = document.createElement("button");
+      libraryBtn.className = "ce-btn ce-btn-secondary ce-btn-library";
+      libraryBtn.textContent = "Library";
+      libraryBtn.setAttribute("aria-label", "Open the snippet library in a tab");
+      libraryBtn.title = "Browse and manage all snippets in a tab";
+      libraryBtn.addEventListener("click", onOpenLibrary);
+      actions.appendChild(libraryBtn);
+    }
+    if (trash) {
+      const trashBtn = document.createElement("button");
+      trashBtn.className = "ce-btn ce-btn-secondary ce-btn-trash";
+      trashBtn.textContent = trash.open ? "\u2190 Snippets" : `Trash (${trash.count})`;
+      trashBtn.setAttribute("aria-label", trash.open ? "Back to snippets" : `Trash: ${trash.count} snippets`);
+      trashBtn.addEventListener("click", trash.onToggle);
+      actions.appendChild(trashBtn);
+    }
     header.appendChild(titleRow);
     if (searchQuery && searchQuery.trim() && onScopeChange) {
       const scopeSelector = document.createElement("div");
@@ -768,32 +3352,527 @@
       });
       header.appendChild(scopeSelector);
     }
+    if (colors && !(trash && trash.open)) {
+      header.appendChild(createColorFilter(colors));
+    }
+    if (tags && !(trash && trash.open)) {
+      header.appendChild(createTagFilter(tags));
+    }
+    if (view && !(trash && trash.open)) {
+      header.appendChild(createListControls(view));
+    }
     header.appendChild(actions);
     return header;
   }
-  function createSnippetList({ snippets, onRemove, onSnippetClick }) {
+  function createSearchBox({ searchQuery, onSearch, search = null }) {
+    const searchContainer = document.createElement("div");
+    searchContainer.className = "ce-search-container";
+    const searchWrapper = document.createElement("div");
+    searchWrapper.className = "ce-search-wrapper";
+    const searchInput = document.createElement("input");
+    searchInput.type = "text";
+    searchInput.className = "ce-search-input";
+    searchInput.placeholder = "Search snippets...";
+    searchInput.value = searchQuery || "";
+    searchInput.setAttribute("aria-label", "Search snippets");
+    searchInput.title = 'Words and "phrases", -exclude, OR. Filters: tag: color: conv: project: before: after: role:user|assistant has:note truncated:true';
+    searchInput.addEventListener("input", (e) => {
+      onSearch(e.target.value);
+    });
+    const clearSearchBtn = document.createElement("button");
+    clearSearchBtn.className = "ce-search-clear";
+    clearSearchBtn.innerHTML = "\xD7";
+    clearSearchBtn.setAttribute("aria-label", "Clear search");
+    clearSearchBtn.title = "Clear search";
+    clearSearchBtn.style.display = searchQuery && searchQuery.trim() ? "flex" : "none";
+    clearSearchBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      searchInput.value = "";
+      onSearch("");
+    });
+    const feedback = document.createElement("div");
+    feedback.className = "ce-search-feedback";
+    feedback.id = "ce-search-feedback";
+    feedback.setAttribute("role", "status");
+    searchInput.setAttribute("aria-describedby", feedback.id);
+    searchWrapper.appendChild(searchInput);
+    searchWrapper.appendChild(clearSearchBtn);
+    searchContainer.appendChild(searchWrapper);
+    if (search && searchQuery && searchQuery.trim()) {
+      searchContainer.appendChild(createSearchSortToggle(search));
+    }
+    searchContainer.appendChild(feedback);
+    renderSearchFeedback(searchContainer, searchQuery);
+    return searchContainer;
+  }
+  function renderSearchFeedback(root, searchQuery) {
+    const input = root.querySelector(".ce-search-input");
+    const feedback = root.querySelector(".ce-search-feedback");
+    if (!input || !feedback) return;
+    const { errors } = parseQuery(searchQuery || "");
+    input.classList.toggle("ce-search-input-invalid", errors.length > 0);
+    input.setAttribute("aria-invalid", errors.length > 0 ? "true" : "false");
+    feedback.hidden = errors.length === 0;
+    feedback.textContent = errors.map(({ message }) => message).join(" \xB7 ");
+  }
+  function createSearchSortToggle({ sort, onSortChange }) {
+    const byRelevance = sort !== "time";
+    const btn = document.createElement("button");
+    btn.className = "ce-search-sort";
+    btn.textContent = byRelevance ? "Sort: Relevance" : "Sort: Time";
+    btn.setAttribute("aria-label", byRelevance ? "Results sorted by relevance" : "Results sorted by time");
+    btn.title = byRelevance ? "Best matches first (click to sort by time)" : "Sorted by time (click to sort by relevance)";
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      onSortChange(byRelevance ? "time" : "relevance");
+    });
+    return btn;
+  }
+  function setHighlightedText(element, text, terms) {
+    const ranges = findMatchRanges(text, terms);
+    if (ranges.length === 0) {
+      element.textContent = text;
+      return;
+    }
+    element.textContent = "";
+    let position = 0;
+    ranges.forEach(({ start, end }) => {
+      if (start > position) {
+        element.appendChild(document.createTextNode(text.slice(position, start)));
+      }
+      const mark = document.createElement("mark");
+      mark.className = "ce-search-match";
+      mark.textContent = text.slice(start, end);
+      element.appendChild(mark);
+      position = end;
+    });
+    if (position < text.length) {
+      element.appendChild(document.createTextNode(text.slice(position)));
+    }
+  }
+  function createColorFilter({ palette, activeColor, onFilterChange, onEditPalette }) {
+    const row = document.createElement("div");
+    row.className = "ce-color-filter";
+    row.setAttribute("role", "group");
+    row.setAttribute("aria-label", "Filter by color");
+    const addChip = (colorId, label) => {
+      const chip = document.createElement("button");
+      chip.className = "ce-color-chip";
+      chip.classList.toggle("active", activeColor === colorId);
+      chip.setAttribute("aria-pressed", activeColor === colorId ? "true" : "false");
+      if (colorId) {
+        chip.setAttribute("data-color", colorId);
+        const dot = document.createElement("span");
+        dot.className = "ce-color-dot";
+        dot.style.background = colorVar(colorId);
+        chip.appendChild(dot);
+      }
+      chip.appendChild(document.createTextNode(label));
+      chip.addEventListener("click", () => onFilterChange(colorId));
+      row.appendChild(chip);
+    };
+    addChip(null, "All");
+    palette.forEach(({ id, label }) => addChip(id, label));
+    if (onEditPalette) {
+      const editBtn = document.createElement("button");
+      editBtn.className = "ce-color-chip ce-color-edit";
+      editBtn.textContent = "\u270E";
+      editBtn.title = "Edit colors";
+      editBtn.setAttribute("aria-label", "Edit colors");
+      editBtn.addEventListener("click", onEditPalette);
+      row.appendChild(editBtn);
+    }
+    return row;
+  }
+  function createColorSwatches(palette, onChange) {
+    const row = document.createElement("div");
+    row.className = "ce-color-swatches";
+    row.setAttribute("role", "group");
+    row.setAttribute("aria-label", "Color");
+    let selected = null;
+    palette.forEach(({ id, label }) => {
+      const swatch = document.createElement("button");
+      swatch.className = "ce-color-swatch";
+      swatch.setAttribute("data-color", id);
+      swatch.setAttribute("aria-label", label);
+      swatch.setAttribute("aria-pressed", "false");
+      swatch.title = label;
+      swatch.style.background = colorVar(id);
+      swatch.addEventListener("click", () => {
+        selected = selected === id ? null : id;
+        row.querySelectorAll(".ce-color-swatch").forEach((el) => {
+          el.setAttribute("aria-pressed", el.getAttribute("data-color") === selected ? "true" : "false");
+        });
+        onChange(selected);
+      });
+      row.appendChild(swatch);
+    });
+    return row;
+  }
+  function applyPaletteStyle(css) {
+    let style = document.getElementById(PALETTE_STYLE_ID);
+    if (!style) {
+      style = document.createElement("style");
+      style.id = PALETTE_STYLE_ID;
+      (document.head || document.documentElement).appendChild(style);
+    }
+    style.textContent = css;
+  }
+  function createSnippetList({ snippets, onRemove, onSnippetClick, onNoteChange, selection, tags, search, view, emptyMessage = "Select text to save a snippet" }) {
     const list = document.createElement("div");
     list.className = "ce-snippet-list";
-    if (snippets.length === 0) {
+    if (snippets.length === 0 && !view?.groups?.length) {
       const emptyState = document.createElement("div");
       emptyState.className = "ce-empty-state";
-      emptyState.textContent = "Select text to save a snippet";
+      emptyState.textContent = emptyMessage;
       list.appendChild(emptyState);
       return list;
     }
-    snippets.forEach((snippet, index) => {
-      const item = createSnippetItem(snippet, index, onRemove, onSnippetClick);
-      list.appendChild(item);
-    });
+    appendSnippetItems(list, snippets, view, (snippet, index) => createSnippetItem(snippet, index, onRemove, onSnippetClick, selection, onNoteChange, tags, search, view));
     return list;
   }
-  function createSnippetItem(snippet, index, onRemove, onSnippetClick) {
+  function appendSnippetItems(list, snippets, view, createItem) {
+    if (!view || !view.groups) {
+      snippets.forEach((snippet, index) => list.appendChild(createItem(snippet, index)));
+      return;
+    }
+    let position = 0;
+    view.groups.forEach((group) => {
+      list.appendChild(createGroupHeader(group, view.onToggleGroup));
+      if (group.collapsed) return;
+      snippets.slice(position, position + group.count).forEach((snippet, offset) => {
+        list.appendChild(createItem(snippet, position + offset));
+      });
+      position += group.count;
+    });
+  }
+  function createGroupHeader({ key, label, count, collapsed }, onToggle) {
+    const header = document.createElement("button");
+    header.className = "ce-group-header";
+    header.classList.toggle("ce-group-collapsed", collapsed);
+    header.setAttribute("data-group", key);
+    header.setAttribute("aria-expanded", collapsed ? "false" : "true");
+    header.title = collapsed ? "Expand group" : "Collapse group";
+    const chevron = document.createElement("span");
+    chevron.className = "ce-group-chevron";
+    chevron.textContent = collapsed ? "\u25B8" : "\u25BE";
+    const labelEl = document.createElement("span");
+    labelEl.className = "ce-group-label";
+    labelEl.textContent = label;
+    const countEl = document.createElement("span");
+    countEl.className = "ce-group-count";
+    countEl.textContent = String(count);
+    header.appendChild(chevron);
+    header.appendChild(labelEl);
+    header.appendChild(countEl);
+    header.addEventListener("click", () => onToggle(key));
+    return header;
+  }
+  function createListControls({ sort, group, onSortChange, onGroupChange }) {
+    const row = document.createElement("div");
+    row.className = "ce-list-controls";
+    const createSelect = (className, label, options, value, onChange) => {
+      const select = document.createElement("select");
+      select.className = className;
+      select.setAttribute("aria-label", label);
+      select.title = label;
+      options.forEach(({ id, label: optionLabel }) => {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = optionLabel;
+        select.appendChild(option);
+      });
+      select.value = value;
+      select.addEventListener("change", () => onChange(select.value));
+      return select;
+    };
+    row.appendChild(createSelect("ce-sort-select", "Sort snippets", SORT_OPTIONS, sort, onSortChange));
+    row.appendChild(createSelect("ce-group-select", "Group snippets", GROUP_OPTIONS, group, onGroupChange));
+    return row;
+  }
+  function renderNote(item, snippet, onNoteChange, searchTerms = null) {
+    item.querySelectorAll(".ce-snippet-note, .ce-note-edit").forEach((element) => element.remove());
+    const addBtn = item.querySelector(".ce-note-add");
+    if (addBtn) {
+      addBtn.hidden = Boolean(snippet.note);
+    }
+    if (!snippet.note) return;
+    const note = document.createElement("div");
+    note.className = "ce-snippet-note";
+    setHighlightedText(note, snippet.note, searchTerms);
+    if (onNoteChange) {
+      note.classList.add("ce-snippet-note-editable");
+      note.title = "Click to edit note";
+      note.tabIndex = 0;
+      note.setAttribute("role", "button");
+      note.addEventListener("click", (e) => {
+        e.stopPropagation();
+        openNoteEditor(item, snippet, onNoteChange);
+      });
+      note.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") {
+          e.preventDefault();
+          e.stopPropagation();
+          openNoteEditor(item, snippet, onNoteChange);
+        }
+      });
+    }
+    item.querySelector(".ce-snippet-text").after(note);
+  }
+  function openNoteEditor(item, snippet, onNoteChange, draft = snippet.note || "") {
+    renderNote(item, { ...snippet, note: "" }, onNoteChange);
+    const addBtn = item.querySelector(".ce-note-add");
+    if (addBtn) {
+      addBtn.hidden = true;
+    }
+    const editor = document.createElement("div");
+    editor.className = "ce-note-edit";
+    const textarea = document.createElement("textarea");
+    textarea.className = "ce-note-editor";
+    textarea.rows = 3;
+    textarea.maxLength = MAX_NOTE_LENGTH;
+    textarea.placeholder = "Add a note (Markdown)\u2026";
+    textarea.setAttribute("aria-label", "Snippet note");
+    textarea.value = draft.slice(0, MAX_NOTE_LENGTH);
+    const counter = document.createElement("div");
+    counter.className = "ce-note-counter";
+    const updateCounter = () => {
+      counter.textContent = `${textarea.value.length}/${MAX_NOTE_LENGTH}`;
+      counter.classList.toggle("ce-note-counter-warning", textarea.value.length >= MAX_NOTE_LENGTH * NOTE_COUNTER_WARNING);
+    };
+    updateCounter();
+    let closed = false;
+    const close = (save) => {
+      if (closed) return;
+      closed = true;
+      const note = save ? textarea.value.trim() : snippet.note || "";
+      renderNote(item, { ...snippet, note }, onNoteChange);
+      if (save) {
+        onNoteChange(snippet.id, note);
+      }
+    };
+    textarea.addEventListener("input", updateCounter);
+    textarea.addEventListener("blur", () => {
+      if (!editor.isConnected) return;
+      close(true);
+    });
+    textarea.addEventListener("keydown", (e) => {
+      e.stopPropagation();
+      if (e.key === "Escape") {
+        e.preventDefault();
+        close(false);
+      } else if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        close(true);
+      }
+    });
+    editor.addEventListener("click", (e) => e.stopPropagation());
+    editor.appendChild(textarea);
+    editor.appendChild(counter);
+    item.querySelector(".ce-snippet-text").after(editor);
+    textarea.focus();
+    return textarea;
+  }
+  function createTagInput({ suggestions, exclude = [], onSubmit, onCancel = () => {
+  }, placeholder = "Tag\u2026" }) {
+    const wrapper = document.createElement("span");
+    wrapper.className = "ce-tag-input-wrapper";
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "ce-tag-input";
+    input.placeholder = placeholder;
+    input.maxLength = MAX_TAG_LENGTH;
+    input.setAttribute("aria-label", "Add tag");
+    input.setAttribute("aria-autocomplete", "list");
+    const list = document.createElement("div");
+    list.className = "ce-tag-suggestions";
+    list.setAttribute("role", "listbox");
+    let matches = [];
+    let activeIndex = -1;
+    const submit = (value) => {
+      const tag = normalizeTag(value);
+      input.value = "";
+      activeIndex = -1;
+      renderSuggestions();
+      if (tag) {
+        onSubmit(tag);
+      }
+    };
+    const renderSuggestions = () => {
+      matches = suggestTags(suggestions, input.value, exclude);
+      activeIndex = Math.min(activeIndex, matches.length - 1);
+      list.innerHTML = "";
+      list.hidden = matches.length === 0;
+      matches.forEach((tag, i) => {
+        const option = document.createElement("div");
+        option.className = "ce-tag-suggestion";
+        option.setAttribute("role", "option");
+        option.setAttribute("aria-selected", i === activeIndex ? "true" : "false");
+        option.classList.toggle("active", i === activeIndex);
+        option.textContent = `#${tag}`;
+        option.addEventListener("mousedown", (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          submit(tag);
+        });
+        list.appendChild(option);
+      });
+    };
+    input.addEventListener("input", () => {
+      activeIndex = -1;
+      renderSuggestions();
+    });
+    input.addEventListener("focus", renderSuggestions);
+    input.addEventListener("blur", () => onCancel());
+    input.addEventListener("keydown", (e) => {
+      e.stopPropagation();
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        if (matches.length === 0) return;
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        activeIndex = (activeIndex + step + matches.length) % matches.length;
+        renderSuggestions();
+      } else if (e.key === "Tab" && activeIndex >= 0) {
+        e.preventDefault();
+        input.value = matches[activeIndex];
+        activeIndex = -1;
+        renderSuggestions();
+      } else if (e.key === "Enter") {
+        e.preventDefault();
+        submit(activeIndex >= 0 ? matches[activeIndex] : input.value);
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        onCancel();
+      }
+    });
+    input.addEventListener("click", (e) => e.stopPropagation());
+    list.hidden = true;
+    wrapper.appendChild(input);
+    wrapper.appendChild(list);
+    return wrapper;
+  }
+  function createSnippetTagEditor(snippet, tagging) {
+    const tags = Array.isArray(snippet.tags) ? snippet.tags : [];
+    const container2 = document.createElement("span");
+    container2.className = "ce-snippet-tags";
+    tags.forEach((tag) => {
+      const tagEl = document.createElement("span");
+      tagEl.className = "ce-tag ce-tag-editable";
+      tagEl.setAttribute("data-tag", tag);
+      const label = document.createElement("button");
+      label.className = "ce-tag-label";
+      label.textContent = `#${tag}`;
+      label.title = `Show snippets tagged #${tag}`;
+      label.addEventListener("click", (e) => {
+        e.stopPropagation();
+        tagging.onFilterChange(tag);
+      });
+      const removeBtn = document.createElement("button");
+      removeBtn.className = "ce-tag-remove";
+      removeBtn.textContent = "\xD7";
+      removeBtn.setAttribute("aria-label", `Remove tag ${tag}`);
+      removeBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        tagging.onTagsChange(snippet.id, tags.filter((other) => other !== tag));
+      });
+      tagEl.appendChild(label);
+      tagEl.appendChild(removeBtn);
+      container2.appendChild(tagEl);
+    });
+    const addBtn = document.createElement("button");
+    addBtn.className = "ce-tag-add";
+    addBtn.textContent = "+ Tag";
+    addBtn.setAttribute("aria-label", "Add tag");
+    addBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      const tagInput = createTagInput({
+        suggestions: tagging.all,
+        exclude: tags,
+        onSubmit: (tag) => {
+          if (!tags.includes(tag)) {
+            tagging.onTagsChange(snippet.id, [...tags, tag]);
+          }
+        },
+        onCancel: () => {
+          if (tagInput.isConnected) {
+            tagInput.replaceWith(addBtn);
+          }
+        }
+      });
+      addBtn.replaceWith(tagInput);
+      tagInput.querySelector(".ce-tag-input").focus();
+    });
+    container2.appendChild(addBtn);
+    return container2;
+  }
+  function createTagFilter({ all, visible, activeTag, onFilterChange, onManage }) {
+    const row = document.createElement("div");
+    row.className = "ce-tag-filter";
+    row.setAttribute("role", "group");
+    row.setAttribute("aria-label", "Filter by tag");
+    let shown = visible.slice(0, MAX_FILTER_TAGS);
+    if (activeTag && !shown.some(({ tag }) => tag === activeTag)) {
+      shown = [{ tag: activeTag, count: 0 }, ...shown];
+    }
+    row.hidden = shown.length === 0 && all.length === 0;
+    shown.forEach(({ tag, count }) => {
+      const isActive = tag === activeTag;
+      const chip = document.createElement("button");
+      chip.className = "ce-tag-chip";
+      chip.classList.toggle("active", isActive);
+      chip.setAttribute("data-tag", tag);
+      chip.setAttribute("aria-pressed", isActive ? "true" : "false");
+      chip.textContent = `#${tag}`;
+      if (count > 0) {
+        const countEl = document.createElement("span");
+        countEl.className = "ce-tag-chip-count";
+        countEl.textContent = String(count);
+        chip.appendChild(countEl);
+      }
+      chip.addEventListener("click", () => onFilterChange(isActive ? null : tag));
+      row.appendChild(chip);
+    });
+    if (onManage && all.length > 0) {
+      const manageBtn = document.createElement("button");
+      manageBtn.className = "ce-tag-chip ce-tag-manage";
+      manageBtn.textContent = "\u270E";
+      manageBtn.title = "Rename or merge tags";
+      manageBtn.setAttribute("aria-label", "Rename or merge tags");
+      manageBtn.addEventListener("click", onManage);
+      row.appendChild(manageBtn);
+    }
+    return row;
+  }
+  function formatSnippetSource({ title, role, model } = {}, { includeModel = false } = {}) {
+    const parts = [title, role, includeModel ? model : null].filter(Boolean);
+    return parts.length > 0 ? `from: ${parts.join(" \xB7 ")}` : null;
+  }
+  function createSnippetItem(snippet, index, onRemove, onSnippetClick, selection, onNoteChange = null, tagging = null, search = null, view = null) {
     const item = document.createElement("div");
     item.className = "ce-snippet-item";
     item.setAttribute("data-snippet-id", snippet.id);
+    if (isColorId(snippet.color)) {
+      item.classList.add("ce-snippet-colored");
+      item.setAttribute("data-color", snippet.color);
+      item.style.setProperty("--ce-snippet-color", colorVar(snippet.color));
+    }
+    if (selection) {
+      const isSelected = selection.selectedIds.has(snippet.id);
+      item.classList.toggle("ce-snippet-selected", isSelected);
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.className = "ce-snippet-checkbox";
+      checkbox.checked = isSelected;
+      checkbox.setAttribute("aria-label", "Select snippet");
+      checkbox.addEventListener("click", (e) => {
+        e.stopPropagation();
+        selection.onToggleSelect(snippet.id, checkbox.checked, e.shiftKey);
+      });
+      item.appendChild(checkbox);
+    }
     const text = document.createElement("div");
     text.className = "ce-snippet-text";
-    text.textContent = snippet.text;
+    setHighlightedText(text, snippet.text, search?.terms);
     text.setAttribute("title", snippet.text);
     text.style.cursor = "pointer";
     text.addEventListener("click", () => onSnippetClick(snippet));
@@ -804,12 +3883,45 @@
     const timeEl = document.createElement("span");
     timeEl.textContent = timeStr;
     meta.appendChild(timeEl);
+    const source = view?.getSource?.(snippet);
+    const sourceLabel = source ? formatSnippetSource(source) : null;
+    if (sourceLabel) {
+      const sourceEl = document.createElement("span");
+      sourceEl.className = "ce-snippet-source";
+      sourceEl.textContent = sourceLabel;
+      sourceEl.title = formatSnippetSource(source, { includeModel: true });
+      meta.appendChild(sourceEl);
+    }
     if (snippet.duplicateIndex && snippet.duplicateIndex > 1) {
       const dup = document.createElement("span");
       dup.className = "ce-duplicate-badge";
       dup.textContent = `Duplicate #${snippet.duplicateIndex}`;
       meta.appendChild(dup);
     }
+    if (tagging) {
+      meta.appendChild(createSnippetTagEditor(snippet, tagging));
+    } else if (Array.isArray(snippet.tags) && snippet.tags.length > 0) {
+      const tags = document.createElement("span");
+      tags.className = "ce-snippet-tags";
+      snippet.tags.forEach((tag) => {
+        const tagEl = document.createElement("span");
+        tagEl.className = "ce-tag";
+        tagEl.textContent = `#${tag}`;
+        tags.appendChild(tagEl);
+      });
+      meta.appendChild(tags);
+    }
+    if (onNoteChange) {
+      const addNoteBtn = document.createElement("button");
+      addNoteBtn.className = "ce-note-add";
+      addNoteBtn.textContent = "+ Note";
+      addNoteBtn.setAttribute("aria-label", "Add note");
+      addNoteBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        openNoteEditor(item, snippet, onNoteChange);
+      });
+      meta.appendChild(addNoteBtn);
+    }
     const removeBtn = document.createElement("button");
     removeBtn.className = "ce-btn ce-btn-icon ce-btn-small";
     removeBtn.setAttribute("aria-label", "Remove snippet");
@@ -821,12 +3933,164 @@
     item.appendChild(text);
     item.appendChild(meta);
     item.appendChild(removeBtn);
+    renderNote(item, snippet, onNoteChange, search?.terms);
     return item;
   }
-  function createPanelFooter() {
+  function createBulkActionBar(snippets, selection) {
+    const bar = document.createElement("div");
+    bar.className = "ce-button-bar";
+    const selectedCount = snippets.filter((snippet) => selection.selectedIds.has(snippet.id)).length;
+    const hasSelection = selectedCount > 0;
+    const selectAllWrapper = document.createElement("label");
+    selectAllWrapper.className = "ce-select-all-wrapper";
+    selectAllWrapper.title = "Select all visible snippets";
+    const selectAll = document.createElement("input");
+    selectAll.type = "checkbox";
+    selectAll.className = "ce-select-all-checkbox";
+    selectAll.setAttribute("aria-label", "Select all visible snippets");
+    selectAll.checked = snippets.length > 0 && selectedCount === snippets.length;
+    selectAll.indeterminate = hasSelection && selectedCount < snippets.length;
+    selectAll.disabled = snippets.length === 0;
+    selectAll.addEventListener("change", () => selection.onSelectAll(selectAll.checked));
+    selectAllWrapper.appendChild(selectAll);
+    bar.appendChild(selectAllWrapper);
+    const addButton = (icon, label, onClick) => {
+      const btn = document.createElement("button");
+      btn.className = "ce-button-bar-btn";
+      btn.textContent = icon;
+      btn.title = label;
+      btn.setAttribute("aria-label", label);
+      btn.disabled = !hasSelection;
+      btn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        onClick();
+      });
+      bar.appendChild(btn);
+      return btn;
+    };
+    addButton("\u{1F5D1}", "Delete selected", selection.onBulkDelete);
+    addButton("\u29C9", "Copy selected", selection.onBulkCopy);
+    const separator = document.createElement("span");
+    separator.className = "ce-button-bar-separator";
+    bar.appendChild(separator);
+    addButton("{}", "Export selected as JSON", selection.onBulkExportJson);
+    addButton("MD", "Export selected as Markdown", selection.onBulkExportMarkdown);
+    const tagInput = document.createElement("input");
+    tagInput.type = "text";
+    tagInput.className = "ce-bulk-tag-input";
+    tagInput.placeholder = "Tag\u2026";
+    tagInput.setAttribute("aria-label", "Tag selected snippets");
+    tagInput.style.display = "none";
+    tagInput.addEventListener("keydown", (e) => {
+      e.stopPropagation();
+      if (e.key === "Enter") {
+        const tag = normalizeTag(tagInput.value);
+        if (tag) {
+          selection.onBulkTag(tag);
+        }
+        tagInput.value = "";
+        tagInput.style.display = "none";
+      } else if (e.key === "Escape") {
+        tagInput.value = "";
+        tagInput.style.display = "none";
+      }
+    });
+    addButton("#", "Tag selected", () => {
+      tagInput.style.display = "";
+      tagInput.focus();
+    });
+    bar.appendChild(tagInput);
+    const counter = document.createElement("span");
+    counter.className = "ce-snippet-counter";
+    counter.textContent = hasSelection ? `${selectedCount} selected` : `${snippets.length} shown`;
+    bar.appendChild(counter);
+    return bar;
+  }
+  function createTrashView({ snippets, retentionDays, onRestore, onDeletePermanently, onEmptyTrash, onRetentionChange }) {
+    const view = document.createElement("div");
+    view.className = "ce-trash-view";
+    const bar = document.createElement("div");
+    bar.className = "ce-button-bar ce-trash-bar";
+    const retentionLabel = document.createElement("label");
+    retentionLabel.className = "ce-trash-retention";
+    retentionLabel.textContent = "Keep for ";
+    const retentionSelect = document.createElement("select");
+    retentionSelect.className = "ce-trash-retention-select";
+    retentionSelect.setAttribute("aria-label", "Days to keep trashed snippets");
+    const options = TRASH_RETENTION_OPTIONS.includes(retentionDays) ? TRASH_RETENTION_OPTIONS : [...TRASH_RETENTION_OPTIONS, retentionDays].sort((a, b) => a - b);
+    options.forEach((days) => {
+      const option = document.createElement("option");
+      option.value = String(days);
+      option.textContent = `${days} days`;
+      option.selected = days === retentionDays;
+      retentionSelect.appendChild(option);
+    });
+    retentionSelect.addEventListener("change", () => onRetentionChange(Number(retentionSelect.value)));
+    retentionLabel.appendChild(retentionSelect);
+    bar.appendChild(retentionLabel);
+    const emptyBtn = document.createElement("button");
+    emptyBtn.className = "ce-btn ce-btn-secondary ce-btn-danger ce-btn-empty-trash";
+    emptyBtn.textContent = "Empty trash";
+    emptyBtn.disabled = snippets.length === 0;
+    emptyBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      onEmptyTrash();
+    });
+    bar.appendChild(emptyBtn);
+    view.appendChild(bar);
+    const list = document.createElement("div");
+    list.className = "ce-snippet-list ce-trash-list";
+    if (snippets.length === 0) {
+      const emptyState = document.createElement("div");
+      emptyState.className = "ce-empty-state";
+      emptyState.textContent = "Trash is empty";
+      list.appendChild(emptyState);
+    }
+    snippets.forEach((snippet) => {
+      const item = document.createElement("div");
+      item.className = "ce-snippet-item ce-trash-item";
+      item.setAttribute("data-snippet-id", snippet.id);
+      const text = document.createElement("div");
+      text.className = "ce-snippet-text";
+      text.textContent = snippet.text;
+      text.setAttribute("title", snippet.text);
+      const meta = document.createElement("div");
+      meta.className = "ce-snippet-meta";
+      const deletedAt = new Date(snippet.deletedAt || Date.now());
+      meta.textContent = `Deleted ${deletedAt.toLocaleDateString()} ${deletedAt.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`;
+      const actions = document.createElement("div");
+      actions.className = "ce-trash-actions";
+      const restoreBtn = document.createElement("button");
+      restoreBtn.className = "ce-btn ce-btn-secondary ce-btn-restore";
+      restoreBtn.textContent = "Restore";
+      restoreBtn.setAttribute("aria-label", "Restore snippet");
+      restoreBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        onRestore(snippet.id);
+      });
+      const deleteBtn = document.createElement("button");
+      deleteBtn.className = "ce-btn ce-btn-icon ce-btn-small ce-btn-delete-forever";
+      deleteBtn.innerHTML = "\xD7";
+      deleteBtn.setAttribute("aria-label", "Delete permanently");
+      deleteBtn.title = "Delete permanently";
+      deleteBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        onDeletePermanently(snippet.id);
+      });
+      actions.appendChild(restoreBtn);
+      actions.appendChild(deleteBtn);
+      item.appendChild(text);
+      item.appendChild(meta);
+      item.appendChild(actions);
+      list.appendChild(item);
+    });
+    view.appendChild(list);
+    return view;
+  }
+  function createPanelFooter(message = "Click a snippet to navigate to its source") {
     const footer = document.createElement("div");
     footer.className = "ce-panel-footer";
-    footer.textContent = "Click a snippet to navigate to its source";
+    footer.textContent = message;
     return footer;
   }
   function createImportExportModal({ snippetCount, onClose, onExportJson, onExportMarkdown, onPreview, onConfirm }) {
@@ -993,12 +4257,94 @@
     replaceInput.addEventListener("change", runPreview);
     return overlay;
   }
-  function createToast(message, duration = 3e3) {
+  function getBubblePosition(rect, size, viewport, gap = 8) {
+    const margin = 8;
+    const centerX = (rect.left + rect.right) / 2;
+    const maxLeft = Math.max(margin, viewport.width - size.width - margin);
+    const left = Math.min(Math.max(centerX - size.width / 2, margin), maxLeft);
+    const above = rect.top - size.height - gap;
+    if (above >= margin) {
+      return { top: above, left, placement: "above" };
+    }
+    const below = rect.bottom + gap;
+    const maxTop = Math.max(margin, viewport.height - size.height - margin);
+    return { top: Math.min(below, maxTop), left, placement: "below" };
+  }
+  function createSaveBubble({ onSave, onSaveWithNote, onSaveWithTag, onDismiss, palette, onColorChange }) {
+    const bubble = document.createElement("div");
+    bubble.className = "ce-save-bubble ce-extension";
+    bubble.setAttribute("role", "toolbar");
+    bubble.setAttribute("aria-label", "Save snippet");
+    bubble.addEventListener("mousedown", (e) => {
+      if (e.target.tagName !== "INPUT") {
+        e.preventDefault();
+      }
+    });
+    const actions = document.createElement("div");
+    actions.className = "ce-save-bubble-actions";
+    const saveBtn = document.createElement("button");
+    saveBtn.className = "ce-toolbar-btn ce-save-bubble-btn";
+    saveBtn.textContent = "Save";
+    saveBtn.setAttribute("aria-label", "Save snippet");
+    saveBtn.addEventListener("click", () => onSave());
+    const noteBtn = document.createElement("button");
+    noteBtn.className = "ce-toolbar-btn ce-save-bubble-btn";
+    noteBtn.textContent = "+ Note";
+    noteBtn.setAttribute("aria-label", "Save snippet with note");
+    const tagBtn = document.createElement("button");
+    tagBtn.className = "ce-toolbar-btn ce-save-bubble-btn";
+    tagBtn.textContent = "+ Tag";
+    tagBtn.setAttribute("aria-label", "Save snippet with tag");
+    actions.appendChild(saveBtn);
+    actions.appendChild(noteBtn);
+    actions.appendChild(tagBtn);
+    bubble.appendChild(actions);
+    if (palette && palette.length > 0 && onColorChange) {
+      bubble.appendChild(createColorSwatches(palette, onColorChange));
+    }
+    const showInput = (placeholder, onSubmit) => {
+      bubble.querySelector(".ce-save-bubble-input")?.remove();
+      const input = document.createElement("input");
+      input.type = "text";
+      input.className = "ce-search-input ce-save-bubble-input";
+      input.placeholder = placeholder;
+      input.setAttribute("aria-label", placeholder);
+      input.addEventListener("keydown", (e) => {
+        e.stopPropagation();
+        if (e.key === "Enter") {
+          e.preventDefault();
+          onSubmit(input.value.trim());
+        } else if (e.key === "Escape") {
+          e.preventDefault();
+          onDismiss();
+        }
+      });
+      bubble.appendChild(input);
+      input.focus();
+    };
+    noteBtn.addEventListener("click", () => showInput("Note\u2026 (Enter to save)", onSaveWithNote));
+    tagBtn.addEventListener("click", () => showInput("Tag\u2026 (Enter to save)", onSaveWithTag));
+    return bubble;
+  }
+  function createToast(message, duration = 3e3, action = null) {
     const toast = document.createElement("div");
     toast.className = "ce-toast";
     toast.textContent = message;
     toast.setAttribute("role", "status");
     toast.setAttribute("aria-live", "polite");
+    if (action) {
+      const actionBtn = document.createElement("button");
+      actionBtn.className = "ce-toast-action";
+      actionBtn.textContent = action.label;
+      actionBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        action.onClick();
+        if (toast.parentNode) {
+          toast.parentNode.removeChild(toast);
+        }
+      });
+      toast.appendChild(actionBtn);
+    }
     const container2 = document.getElementById(CONTAINER_ID) || createContainer();
     container2.appendChild(toast);
     requestAnimationFrame(() => {
@@ -1014,6 +4360,375 @@
     }, duration);
     return toast;
   }
+  function createProgressToast({ message, onCancel }) {
+    const toast = document.createElement("div");
+    toast.className = "ce-toast ce-toast-progress";
+    toast.setAttribute("role", "status");
+    toast.setAttribute("aria-live", "polite");
+    const text = document.createElement("span");
+    text.textContent = message;
+    toast.appendChild(text);
+    const cancelBtn = document.createElement("button");
+    cancelBtn.className = "ce-toast-action";
+    cancelBtn.textContent = "Cancel";
+    toast.appendChild(cancelBtn);
+    const bar = document.createElement("div");
+    bar.className = "ce-toast-progress-bar";
+    bar.setAttribute("role", "progressbar");
+    bar.setAttribute("aria-valuemin", "0");
+    bar.setAttribute("aria-valuemax", "100");
+    const fill = document.createElement("div");
+    fill.className = "ce-toast-progress-fill";
+    bar.appendChild(fill);
+    toast.appendChild(bar);
+    const close = () => {
+      toast.classList.remove("ce-toast-show");
+      setTimeout(() => {
+        if (toast.parentNode) {
+          toast.parentNode.removeChild(toast);
+        }
+      }, 300);
+    };
+    const update = (fraction) => {
+      const percent = Math.round(Math.min(1, Math.max(0, fraction)) * 100);
+      fill.style.width = `${percent}%`;
+      bar.setAttribute("aria-valuenow", String(percent));
+    };
+    cancelBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      close();
+      onCancel();
+    });
+    const container2 = document.getElementById(CONTAINER_ID) || createContainer();
+    container2.appendChild(toast);
+    requestAnimationFrame(() => {
+      toast.classList.add("ce-toast-show");
+    });
+    return { element: toast, update, close };
+  }
+  function setFocusedSnippet(panel2, id) {
+    if (!panel2) return;
+    panel2.querySelectorAll(".ce-snippet-focused").forEach((item2) => {
+      item2.classList.remove("ce-snippet-focused");
+    });
+    if (!id) return;
+    const item = Array.from(panel2.querySelectorAll(".ce-snippet-item")).find((el) => el.getAttribute("data-snippet-id") === id);
+    if (item) {
+      item.classList.add("ce-snippet-focused");
+      item.scrollIntoView?.({ block: "nearest" });
+    }
+  }
+  function createShortcutsModal({ shortcuts, onChange, onReset, onClose }) {
+    let currentShortcuts = { ...shortcuts };
+    const overlay = document.createElement("div");
+    overlay.className = "ce-modal-overlay ce-extension";
+    overlay.addEventListener("click", (e) => {
+      if (e.target === overlay) {
+        onClose();
+      }
+    });
+    const modal = document.createElement("div");
+    modal.className = "ce-modal ce-modal-show";
+    const body = document.createElement("div");
+    body.className = "ce-modal-body";
+    const titleRow = document.createElement("div");
+    titleRow.className = "ce-modal-title-row";
+    const title = document.createElement("h3");
+    title.className = "ce-modal-title";
+    title.textContent = "Keyboard Shortcuts";
+    const closeIcon = document.createElement("button");
+    closeIcon.className = "ce-btn ce-btn-icon";
+    closeIcon.setAttribute("aria-label", "Close keyboard shortcuts");
+    closeIcon.innerHTML = "\xD7";
+    closeIcon.addEventListener("click", onClose);
+    titleRow.appendChild(title);
+    titleRow.appendChild(closeIcon);
+    const message = document.createElement("p");
+    message.className = "ce-modal-message";
+    message.textContent = "Click a shortcut, then press the new key combination. Shortcuts never fire while typing in ChatGPT's prompt.";
+    const list = document.createElement("div");
+    list.className = "ce-shortcut-list";
+    const renderRows = () => {
+      list.innerHTML = "";
+      SHORTCUT_ACTIONS.forEach(({ id, label }) => {
+        const row = document.createElement("div");
+        row.className = "ce-shortcut-row";
+        const labelEl = document.createElement("span");
+        labelEl.className = "ce-shortcut-label";
+        labelEl.textContent = label;
+        const keyBtn = document.createElement("button");
+        keyBtn.className = "ce-btn ce-btn-secondary ce-shortcut-key";
+        keyBtn.setAttribute("data-action", id);
+        keyBtn.textContent = formatShortcut(currentShortcuts[id]);
+        keyBtn.setAttribute("aria-label", `${label}: ${formatShortcut(currentShortcuts[id])}. Click to change`);
+        keyBtn.addEventListener("click", () => {
+          keyBtn.textContent = "Press keys\u2026";
+          keyBtn.classList.add("ce-shortcut-recording");
+          const onKeyDown = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (e.key === "Escape") {
+              stopRecording();
+              renderRows();
+              return;
+            }
+            if (e.key === "Backspace" || e.key === "Delete") {
+              stopRecording();
+              currentShortcuts = onChange(id, "");
+              renderRows();
+              return;
+            }
+            const shortcut = eventToShortcut(e);
+            if (!shortcut) return;
+            stopRecording();
+            currentShortcuts = onChange(id, shortcut);
+            renderRows();
+          };
+          const stopRecording = () => {
+            document.removeEventListener("keydown", onKeyDown, true);
+          };
+          document.addEventListener("keydown", onKeyDown, true);
+        });
+        row.appendChild(labelEl);
+        row.appendChild(keyBtn);
+        list.appendChild(row);
+      });
+    };
+    renderRows();
+    const actions = document.createElement("div");
+    actions.className = "ce-modal-actions";
+    const resetBtn = document.createElement("button");
+    resetBtn.className = "ce-btn ce-btn-secondary";
+    resetBtn.textContent = "Reset to defaults";
+    resetBtn.addEventListener("click", () => {
+      currentShortcuts = onReset();
+      renderRows();
+    });
+    const closeBtn = document.createElement("button");
+    closeBtn.className = "ce-btn ce-btn-secondary";
+    closeBtn.textContent = "Close";
+    closeBtn.addEventListener("click", onClose);
+    actions.appendChild(resetBtn);
+    actions.appendChild(closeBtn);
+    body.appendChild(titleRow);
+    body.appendChild(message);
+    body.appendChild(list);
+    modal.appendChild(body);
+    modal.appendChild(actions);
+    overlay.appendChild(modal);
+    return overlay;
+  }
+  function createPaletteModal({ palette, onChange, onReset, onClose }) {
+    let currentPalette = palette;
+    const overlay = document.createElement("div");
+    overlay.className = "ce-modal-overlay ce-extension";
+    overlay.addEventListener("click", (e) => {
+      if (e.target === overlay) {
+        onClose();
+      }
+    });
+    const modal = document.createElement("div");
+    modal.className = "ce-modal ce-modal-show";
+    const body = document.createElement("div");
+    body.className = "ce-modal-body";
+    const titleRow = document.createElement("div");
+    titleRow.className = "ce-modal-title-row";
+    const title = document.createElement("h3");
+    title.className = "ce-modal-title";
+    title.textContent = "Colors";
+    const closeIcon = document.createElement("button");
+    closeIcon.className = "ce-btn ce-btn-icon";
+    closeIcon.setAttribute("aria-label", "Close colors");
+    closeIcon.innerHTML = "\xD7";
+    closeIcon.addEventListener("click", onClose);
+    titleRow.appendChild(title);
+    titleRow.appendChild(closeIcon);
+    const message = document.createElement("p");
+    message.className = "ce-modal-message";
+    message.textContent = "Name each color after what you use it for. Colors are picked in the Save bubble or with the Save with color shortcuts.";
+    const list = document.createElement("div");
+    list.className = "ce-palette-list";
+    const renderRows = () => {
+      list.innerHTML = "";
+      currentPalette.forEach(({ id, label, color }) => {
+        const row = document.createElement("div");
+        row.className = "ce-palette-row";
+        row.setAttribute("data-color", id);
+        const colorInput = document.createElement("input");
+        colorInput.type = "color";
+        colorInput.className = "ce-palette-color";
+        colorInput.value = color;
+        colorInput.setAttribute("aria-label", `${label} color`);
+        colorInput.addEventListener("change", () => {
+          currentPalette = onChange(id, { color: colorInput.value });
+        });
+        const labelInput = document.createElement("input");
+        labelInput.type = "text";
+        labelInput.className = "ce-search-input ce-palette-label";
+        labelInput.value = label;
+        labelInput.maxLength = 24;
+        labelInput.setAttribute("aria-label", `Label for ${label}`);
+        labelInput.addEventListener("keydown", (e) => e.stopPropagation());
+        labelInput.addEventListener("change", () => {
+          currentPalette = onChange(id, { label: labelInput.value });
+          labelInput.value = currentPalette.find((entry) => entry.id === id)?.label || label;
+        });
+        row.appendChild(colorInput);
+        row.appendChild(labelInput);
+        list.appendChild(row);
+      });
+    };
+    renderRows();
+    const actions = document.createElement("div");
+    actions.className = "ce-modal-actions";
+    const resetBtn = document.createElement("button");
+    resetBtn.className = "ce-btn ce-btn-secondary";
+    resetBtn.textContent = "Reset to defaults";
+    resetBtn.addEventListener("click", () => {
+      currentPalette = onReset();
+      renderRows();
+    });
+    const closeBtn = document.createElement("button");
+    closeBtn.className = "ce-btn ce-btn-secondary";
+    closeBtn.textContent = "Close";
+    closeBtn.addEventListener("click", onClose);
+    actions.appendChild(resetBtn);
+    actions.appendChild(closeBtn);
+    body.appendChild(titleRow);
+    body.appendChild(message);
+    body.appendChild(list);
+    modal.appendChild(body);
+    modal.appendChild(actions);
+    overlay.appendChild(modal);
+    return overlay;
+  }
+  function createTagManagerModal({ tags, onRename, onMerge, onClose }) {
+    let currentTags = tags;
+    const selected = /* @__PURE__ */ new Set();
+    const overlay = document.createElement("div");
+    overlay.className = "ce-modal-overlay ce-extension";
+    overlay.addEventListener("click", (e) => {
+      if (e.target === overlay) {
+        onClose();
+      }
+    });
+    const modal = document.createElement("div");
+    modal.className = "ce-modal ce-modal-show";
+    const body = document.createElement("div");
+    body.className = "ce-modal-body";
+    const titleRow = document.createElement("div");
+    titleRow.className = "ce-modal-title-row";
+    const title = document.createElement("h3");
+    title.className = "ce-modal-title";
+    title.textContent = "Tags";
+    const closeIcon = document.createElement("button");
+    closeIcon.className = "ce-btn ce-btn-icon";
+    closeIcon.setAttribute("aria-label", "Close tags");
+    closeIcon.innerHTML = "\xD7";
+    closeIcon.addEventListener("click", onClose);
+    titleRow.appendChild(title);
+    titleRow.appendChild(closeIcon);
+    const message = document.createElement("p");
+    message.className = "ce-modal-message";
+    message.textContent = "Rename a tag on every snippet that has it. Renaming to an existing tag merges the two.";
+    const list = document.createElement("div");
+    list.className = "ce-tag-manager-list";
+    const mergeRow = document.createElement("div");
+    mergeRow.className = "ce-tag-manager-merge";
+    const targetInput = document.createElement("input");
+    targetInput.type = "text";
+    targetInput.className = "ce-search-input ce-tag-manager-target";
+    targetInput.placeholder = "Merge into\u2026";
+    targetInput.maxLength = MAX_TAG_LENGTH;
+    targetInput.setAttribute("aria-label", "Tag to merge the selected tags into");
+    targetInput.addEventListener("keydown", (e) => e.stopPropagation());
+    const mergeBtn = document.createElement("button");
+    mergeBtn.className = "ce-btn ce-btn-secondary";
+    mergeBtn.textContent = "Merge selected";
+    const updateMergeState = () => {
+      mergeBtn.disabled = selected.size < 2 && !(selected.size === 1 && normalizeTag(targetInput.value));
+    };
+    targetInput.addEventListener("input", updateMergeState);
+    const renderRows = () => {
+      list.innerHTML = "";
+      if (currentTags.length === 0) {
+        const empty = document.createElement("div");
+        empty.className = "ce-empty-state";
+        empty.textContent = "No tags yet";
+        list.appendChild(empty);
+      }
+      currentTags.forEach(({ tag, count }) => {
+        const row = document.createElement("div");
+        row.className = "ce-tag-manager-row";
+        row.setAttribute("data-tag", tag);
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.className = "ce-tag-manager-select";
+        checkbox.checked = selected.has(tag);
+        checkbox.setAttribute("aria-label", `Select #${tag}`);
+        checkbox.addEventListener("change", () => {
+          if (checkbox.checked) {
+            selected.add(tag);
+          } else {
+            selected.delete(tag);
+          }
+          updateMergeState();
+        });
+        const nameInput = document.createElement("input");
+        nameInput.type = "text";
+        nameInput.className = "ce-search-input ce-tag-manager-name";
+        nameInput.value = tag;
+        nameInput.maxLength = MAX_TAG_LENGTH;
+        nameInput.setAttribute("aria-label", `Rename #${tag}`);
+        nameInput.addEventListener("keydown", (e) => e.stopPropagation());
+        nameInput.addEventListener("change", () => {
+          const newTag = normalizeTag(nameInput.value);
+          if (!newTag || newTag === tag) {
+            nameInput.value = tag;
+            return;
+          }
+          selected.delete(tag);
+          currentTags = onRename(tag, newTag);
+          renderRows();
+        });
+        const countEl = document.createElement("span");
+        countEl.className = "ce-tag-manager-count";
+        countEl.textContent = `${count} snippet${count !== 1 ? "s" : ""}`;
+        row.appendChild(checkbox);
+        row.appendChild(nameInput);
+        row.appendChild(countEl);
+        list.appendChild(row);
+      });
+      updateMergeState();
+    };
+    mergeBtn.addEventListener("click", () => {
+      const sources = currentTags.map(({ tag }) => tag).filter((tag) => selected.has(tag));
+      const target = normalizeTag(targetInput.value) || sources[0];
+      if (!target || sources.length === 0) return;
+      currentTags = onMerge(sources, target);
+      selected.clear();
+      targetInput.value = "";
+      renderRows();
+    });
+    renderRows();
+    mergeRow.appendChild(targetInput);
+    mergeRow.appendChild(mergeBtn);
+    const actions = document.createElement("div");
+    actions.className = "ce-modal-actions";
+    const closeBtn = document.createElement("button");
+    closeBtn.className = "ce-btn ce-btn-secondary";
+    closeBtn.textContent = "Close";
+    closeBtn.addEventListener("click", onClose);
+    actions.appendChild(closeBtn);
+    body.appendChild(titleRow);
+    body.appendChild(message);
+    body.appendChild(list);
+    body.appendChild(mergeRow);
+    modal.appendChild(body);
+    modal.appendChild(actions);
+    overlay.appendChild(modal);
+    return overlay;
+  }
   function updateFABCount(fab2, count) {
     const countEl = fab2.querySelector(".ce-fab-count");
     if (countEl) {
@@ -1021,19 +4736,36 @@
     }
     fab2.setAttribute("aria-label", `Collected snippets: ${count}`);
   }
-  function updatePanel(panel2, snippets, onRemove, onSnippetClick, totalCount, searchQuery, onSearch, onScopeChange, currentScope, currentProjectId) {
+  function updatePanel(panel2, snippets, onRemove, onSnippetClick, totalCount, searchQuery, onSearch, onScopeChange, currentScope, currentProjectId, selection, colors, onNoteChange, tags, search, view) {
     const list = panel2.querySelector(".ce-snippet-list");
     if (!list) return;
+    const openEditor = list.querySelector(".ce-note-editor");
+    const noteDraft = openEditor && document.activeElement === openEditor ? { id: openEditor.closest(".ce-snippet-item").getAttribute("data-snippet-id"), value: openEditor.value } : null;
+    const existingBar = panel2.querySelector(".ce-button-bar");
+    if (selection) {
+      const bar = createBulkActionBar(snippets, selection);
+      if (existingBar) {
+        existingBar.replaceWith(bar);
+      } else {
+        list.parentNode.insertBefore(bar, list);
+      }
+    } else if (existingBar) {
+      existingBar.remove();
+    }
     list.innerHTML = "";
-    if (snippets.length === 0) {
+    if (snippets.length === 0 && !view?.groups?.length) {
       const emptyState = document.createElement("div");
       emptyState.className = "ce-empty-state";
       emptyState.textContent = searchQuery && searchQuery.trim() ? "No snippets match your search" : "Select text to save a snippet";
       list.appendChild(emptyState);
     } else {
-      snippets.forEach((snippet, index) => {
-        const item = createSnippetItem(snippet, index, onRemove, onSnippetClick);
-        list.appendChild(item);
+      appendSnippetItems(list, snippets, view, (snippet, index) => {
+        const item = createSnippetItem(snippet, index, onRemove, onSnippetClick, selection, onNoteChange, tags, search, view);
+        if (noteDraft && noteDraft.id === snippet.id && onNoteChange) {
+          list.appendChild(item);
+          openNoteEditor(item, snippet, onNoteChange, noteDraft.value);
+        }
+        return item;
       });
     }
     const searchInput = panel2.querySelector(".ce-search-input");
@@ -1044,6 +4776,19 @@
     if (clearSearchBtn) {
       clearSearchBtn.style.display = searchQuery && searchQuery.trim() ? "flex" : "none";
     }
+    renderSearchFeedback(panel2, searchQuery);
+    const sortToggle = panel2.querySelector(".ce-search-sort");
+    if (search && searchQuery && searchQuery.trim()) {
+      const newSortToggle = createSearchSortToggle(search);
+      const feedback = panel2.querySelector(".ce-search-feedback");
+      if (sortToggle) {
+        sortToggle.replaceWith(newSortToggle);
+      } else if (feedback) {
+        feedback.before(newSortToggle);
+      }
+    } else if (sortToggle) {
+      sortToggle.remove();
+    }
     const scopeSelector = panel2.querySelector(".ce-scope-selector");
     const hasSearchQuery = searchQuery && searchQuery.trim();
     console.log("[updatePanel] Scope selector check:", {
@@ -1117,6 +4862,42 @@
     } else if (scopeSelector && !hasSearchQuery) {
       scopeSelector.remove();
     }
+    const colorFilter = panel2.querySelector(".ce-color-filter");
+    if (colors) {
+      const newColorFilter = createColorFilter(colors);
+      const actions = panel2.querySelector(".ce-panel-actions");
+      if (colorFilter) {
+        colorFilter.replaceWith(newColorFilter);
+      } else if (actions) {
+        actions.parentNode.insertBefore(newColorFilter, actions);
+      }
+    } else if (colorFilter) {
+      colorFilter.remove();
+    }
+    const tagFilter = panel2.querySelector(".ce-tag-filter");
+    if (tags) {
+      const newTagFilter = createTagFilter(tags);
+      const actions = panel2.querySelector(".ce-panel-actions");
+      if (tagFilter) {
+        tagFilter.replaceWith(newTagFilter);
+      } else if (actions) {
+        actions.parentNode.insertBefore(newTagFilter, actions);
+      }
+    } else if (tagFilter) {
+      tagFilter.remove();
+    }
+    const listControls = panel2.querySelector(".ce-list-controls");
+    if (view) {
+      const newListControls = createListControls(view);
+      const actions = panel2.querySelector(".ce-panel-actions");
+      if (listControls) {
+        listControls.replaceWith(newListControls);
+      } else if (actions) {
+        actions.parentNode.insertBefore(newListControls, actions);
+      }
+    } else if (listControls) {
+      listControls.remove();
+    }
     const title = panel2.querySelector(".ce-panel-title");
     if (title && searchQuery && searchQuery.trim() && totalCount !== void 0 && totalCount !== snippets.length) {
       title.textContent = `Collected Snippets (${snippets.length} of ${totalCount})`;
@@ -1129,64 +4910,176 @@
     if (clearBtn) clearBtn.disabled = snippets.length === 0;
   }
 
-  // src/content/content.js
-  var state = {
-    storage: {
-      snippetsById: {},
-      index: {
-        byThread: {},
-        byTime: []
-      },
-      meta: {
-        lastUpdatedAt: 0,
-        totalCount: 0
-      }
-    },
-    panelOpen: false,
-    settings: {
-      autoSave: true,
-      // Default to auto-save enabled
-      theme: "auto"
-      // Default to auto (follows system)
-    },
-    searchQuery: "",
-    searchScope: "thread",
-    // 'thread', 'project', or 'all'
-    sortOrder: "desc",
-    // Cache for performance optimization
-    cache: {
-      key: null,
-      currentSnippets: [],
-      totalSnippets: [],
-      itemsVersion: 0
-    },
-    // Selection cache
-    selectionCache: {
-      visibleIds: /* @__PURE__ */ new Set(),
-      selectedVisibleCount: 0
-    },
-    selectedIds: /* @__PURE__ */ new Set()
+  // src/content/pageSession.js
+  function resolveTheme(theme) {
+    if (theme === "light" || theme === "dark") return theme;
+    const prefersDark = window.matchMedia && window.matchMedia("(prefers-color-scheme: dark)").matches;
+    return prefersDark ? "dark" : "light";
+  }
+  function applyTheme(theme, elements) {
+    const resolved = resolveTheme(theme);
+    elements.forEach((element) => {
+      element.classList.remove("ce-theme-light", "ce-theme-dark");
+      element.classList.add(`ce-theme-${resolved}`);
+    });
+  }
+  function createLibrarySession({ adapter, getStorage, setStorage, onChange, saveSettings = null }) {
+    const history2 = createHistory();
+    async function save() {
+      try {
+        if (!getStorage().readOnly) {
+          const committed = await commitStorage(getStorage(), adapter);
+          const { storage, localChanged } = mergeStorage(getStorage(), committed);
+          setStorage(storage);
+          if (localChanged) {
+            onChange();
+          }
+        }
+        if (saveSettings) {
+          await saveSettings();
+        }
+      } catch (error) {
+        console.error("Failed to save state:", error);
+        let message = "Failed to save snippets";
+        if (error.message && error.message.includes("quota")) {
+          message = "Storage full. Please clear some snippets or export your data.";
+        } else if (error.message && error.message.includes("newer version")) {
+          message = error.message;
+        }
+        createToast(message);
+      }
+    }
+    function mergeRemote(remoteStorage) {
+      const { storage, localChanged, remoteChanged } = mergeStorage(getStorage(), remoteStorage);
+      if (localChanged) {
+        setStorage(storage);
+        onChange();
+      }
+      if (remoteChanged) {
+        save();
+      }
+    }
+    function isReadOnly() {
+      if (!getStorage().readOnly) return false;
+      createToast(READ_ONLY_MESSAGE);
+      return true;
+    }
+    function refresh() {
+      onChange();
+      return save();
+    }
+    function applyMutation(label, mutate) {
+      if (isReadOnly()) return Promise.resolve();
+      const before = getStorage();
+      setStorage(mutate(before));
+      history2.record(label, before, getStorage());
+      return refresh();
+    }
+    function undo() {
+      const result = history2.undo(getStorage());
+      if (!result) {
+        createToast("Nothing to undo");
+        return;
+      }
+      setStorage(result.storage);
+      refresh();
+      createToast(`Undone: ${result.entry.label}`, 5e3, { label: "Redo", onClick: redo });
+    }
+    function redo() {
+      const result = history2.redo(getStorage());
+      if (!result) {
+        createToast("Nothing to redo");
+        return;
+      }
+      setStorage(result.storage);
+      refresh();
+      createToast(`Redone: ${result.entry.label}`, 5e3, undoAction);
+    }
+    const undoAction = { label: "Undo", onClick: undo };
+    return {
+      save,
+      mergeRemote,
+      isReadOnly,
+      refresh,
+      applyMutation,
+      undo,
+      redo,
+      undoAction
+    };
+  }
+
+  // src/shared/snippetSearch.js
+  function createSnippetSearch() {
+    const index = createSearchIndex();
+    let termCache = { version: -1, results: /* @__PURE__ */ new Map() };
+    function lookup({ value, phrase }) {
+      const version = index.getVersion();
+      if (termCache.version !== version) {
+        termCache = { version, results: /* @__PURE__ */ new Map() };
+      }
+      const key = `${phrase ? "phrase" : "word"}:${value}`;
+      if (!termCache.results.has(key)) {
+        termCache.results.set(key, index.search(value, { phrase }));
+      }
+      return termCache.results.get(key);
+    }
+    function sync(snippetsById) {
+      index.sync(snippetsById);
+    }
+    function filter(snippets, searchQuery, context = {}) {
+      const { ast } = parseQuery(searchQuery);
+      const matchContext = { ...context, matchText: (snippet, term) => lookup(term).has(snippet.id) };
+      return snippets.filter((snippet) => matchesQuery(snippet, ast, matchContext));
+    }
+    function rank(snippets, searchQuery) {
+      const terms = getQueryTerms(parseQuery(searchQuery).ast);
+      if (terms.length === 0) return snippets;
+      const scores = new Map(snippets.map((snippet) => [
+        snippet.id,
+        terms.reduce((sum, term) => sum + (lookup(term).get(snippet.id) || 0), 0)
+      ]));
+      return [...snippets].sort((a, b) => scores.get(b.id) - scores.get(a.id));
+    }
+    return { sync, filter, rank };
+  }
+
+  // src/shared/messages.js
+  var MESSAGE_TYPES = {
+    RUN_ACTION: "gpt-snippets/run-action",
+    SNIPPET_COUNT: "gpt-snippets/snippet-count",
+    OPEN_LIBRARY: "gpt-snippets/open-library",
+    GET_PANEL_STATE: "gpt-snippets/get-panel-state",
+    PANEL_STATE: "gpt-snippets/panel-state",
+    NAVIGATE_TO_SNIPPET: "gpt-snippets/navigate-to-snippet",
+    DELETE_SNIPPET: "gpt-snippets/delete-snippet",
+    SET_PANEL_MODE: "gpt-snippets/set-panel-mode"
   };
-  var DEFAULT_THEME = "auto";
-  var lastSnippetHash = null;
-  var lastSnippetTime = 0;
-  var DEDUPE_WINDOW_MS = 1e3;
-  var container = null;
-  var fab = null;
-  var panel = null;
-  var importExportModal = null;
-  var modalOpen = false;
-  function debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-      const later = () => {
-        clearTimeout(timeout);
-        func(...args);
-      };
-      clearTimeout(timeout);
-      timeout = setTimeout(later, wait);
-    };
+  var isSnippetId = (id) => typeof id === "string" && id.length > 0;
+  var PAYLOAD_CHECKS = {
+    [MESSAGE_TYPES.RUN_ACTION]: ({ action }) => typeof action === "string" && action.length > 0,
+    [MESSAGE_TYPES.SNIPPET_COUNT]: ({ count }) => Number.isInteger(count) && count >= 0,
+    [MESSAGE_TYPES.OPEN_LIBRARY]: () => true,
+    [MESSAGE_TYPES.GET_PANEL_STATE]: () => true,
+    [MESSAGE_TYPES.PANEL_STATE]: ({ conversationId, snippets, conversations }) => (conversationId === null || typeof conversationId === "string") && Array.isArray(snippets) && Boolean(conversations) && typeof conversations === "object",
+    [MESSAGE_TYPES.NAVIGATE_TO_SNIPPET]: ({ id }) => isSnippetId(id),
+    [MESSAGE_TYPES.DELETE_SNIPPET]: ({ id }) => isSnippetId(id),
+    [MESSAGE_TYPES.SET_PANEL_MODE]: ({ mode }) => PANEL_MODES.includes(mode)
+  };
+  function isValidMessage(message, type = null) {
+    if (!message || typeof message !== "object") return false;
+    if (type && message.type !== type) return false;
+    const check = PAYLOAD_CHECKS[message.type];
+    return Boolean(check && check(message));
+  }
+  function createMessage(type, payload = {}) {
+    const message = { ...payload, type };
+    if (!isValidMessage(message)) {
+      throw new Error(`Invalid message: ${type}`);
+    }
+    return message;
   }
+
+  // src/content/exchange.js
   function generateSnippetId2() {
     return `snippet_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
   }
@@ -1211,8 +5104,22 @@
       conversationId: typeof raw.conversationId === "string" ? raw.conversationId : null,
       projectId: typeof raw.projectId === "string" ? raw.projectId : null,
       sourceUrl: typeof raw.sourceUrl === "string" ? raw.sourceUrl : null,
+      note: typeof raw.note === "string" ? raw.note.slice(0, MAX_NOTE_LENGTH) : "",
+      tags: Array.isArray(raw.tags) ? raw.tags.filter((tag) => typeof tag === "string") : [],
+      color: isColorId(raw.color) ? raw.color : null,
+      markdown: typeof raw.markdown === "string" ? raw.markdown : null,
+      html: sanitizeHtml(raw.html),
       anchor: raw.anchor && typeof raw.anchor === "object" ? raw.anchor : null,
+      role: typeof raw.role === "string" ? raw.role : null,
+      model: typeof raw.model === "string" ? raw.model : null,
+      messageIndex: Number.isInteger(raw.messageIndex) ? raw.messageIndex : null,
+      segments: normalizeSegments(raw.segments),
+      // Conversation metadata, recorded apart from the snippet on import
+      conversationTitle: typeof raw.conversationTitle === "string" ? raw.conversationTitle : null,
+      projectName: typeof raw.projectName === "string" ? raw.projectName : null,
       createdAt: Number.isFinite(raw.createdAt) ? raw.createdAt : Number.isFinite(raw.timestamp) ? raw.timestamp : Date.now(),
+      // When the exported copy was last edited, to tell changed snippets from duplicates
+      updatedAt: Number.isFinite(raw.updatedAt) ? raw.updatedAt : null,
       truncated: Boolean(raw.truncated)
     };
   }
@@ -1243,9 +5150,11 @@
   function mergeSnippets(existing, incoming) {
     const existingMap = new Map(existing.map((snippet) => [snippetKey(snippet), snippet]));
     const existingKeys = new Set(existingMap.keys());
+    const existingIds = new Set(existing.map((snippet) => snippet.id));
     const seenIncoming = /* @__PURE__ */ new Set();
     const merged = [];
     let added = 0;
+    let updated = 0;
     let skipped = 0;
     incoming.forEach((snippet) => {
       const key = snippetKey(snippet);
@@ -1255,11 +5164,17 @@
       }
       seenIncoming.add(key);
       if (existingMap.has(key)) {
-        skipped += 1;
-        merged.push(existingMap.get(key));
+        const current = existingMap.get(key);
+        if (snippet.updatedAt && snippet.updatedAt > (current.updatedAt || current.createdAt || 0)) {
+          updated += 1;
+          merged.push({ ...snippet, id: current.id });
+        } else {
+          skipped += 1;
+          merged.push(current);
+        }
         return;
       }
-      merged.push(snippet);
+      merged.push(existingIds.has(snippet.id) ? { ...snippet, id: generateSnippetId2() } : snippet);
       added += 1;
     });
     existing.forEach((snippet) => {
@@ -1268,10 +5183,150 @@
         merged.push(snippet);
       }
     });
-    return { items: merged, added, skipped };
+    return { items: merged, added, updated, skipped };
+  }
+  function upsertImportedSnippet(storage, { conversationTitle, projectName, ...snippet }) {
+    if (!snippet.createdAt) {
+      snippet.createdAt = snippet.timestamp || Date.now();
+    }
+    const updated = upsertSnippet(storage, snippet);
+    if (getConversation(updated, snippet.conversationId)) {
+      return updated;
+    }
+    return upsertConversation(updated, snippet.conversationId, { title: conversationTitle, projectId: snippet.projectId, projectName });
+  }
+  function getLibrarySnippets(storage) {
+    return storage.index.byTime.map((id) => storage.snippetsById[id]).filter(Boolean);
+  }
+  async function previewImportFile(storage, file, mode) {
+    let parsed;
+    try {
+      parsed = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error("Failed to read import file.");
+    }
+    const items = Array.isArray(parsed) ? parsed : parsed?.items;
+    if (!Array.isArray(items)) {
+      throw new Error("Invalid JSON format.");
+    }
+    const normalized = normalizeImportedSnippets(items);
+    if (normalized.length === 0) {
+      throw new Error("No valid snippets found.");
+    }
+    const { items: expanded, duplicates } = expandImportDuplicates(normalized);
+    const duplicateNote = duplicates ? ` ${duplicates} duplicate${duplicates !== 1 ? "s" : ""} in file will be labeled.` : "";
+    if (mode === "replace") {
+      const currentCount = storage.meta.totalCount || 0;
+      return {
+        items: expanded,
+        preview: `Preview: ${expanded.length} snippet${expanded.length !== 1 ? "s" : ""} will replace ${currentCount}.${duplicateNote}`
+      };
+    }
+    const { items: merged, added, updated, skipped } = mergeSnippets(getLibrarySnippets(storage), expanded);
+    const updateNote = updated ? ` update ${updated} changed,` : "";
+    return {
+      items: expanded,
+      preview: `Preview: add ${added} new,${updateNote} skip ${skipped} duplicate${skipped !== 1 ? "s" : ""}. Total after import: ${merged.length}.${duplicateNote}`
+    };
+  }
+  function applyImport(storage, items, mode) {
+    if (mode === "replace") {
+      const updated2 = items.reduce(upsertImportedSnippet, clearAll(storage));
+      return { storage: updated2, added: items.length, updated: 0, skipped: 0 };
+    }
+    const { items: merged, added, updated, skipped } = mergeSnippets(getLibrarySnippets(storage), items);
+    const changed = merged.filter((snippet) => snippet !== storage.snippetsById[snippet.id]);
+    return { storage: changed.reduce(upsertImportedSnippet, storage), added, updated, skipped };
+  }
+  function formatImportStatus({ added, updated, skipped }) {
+    const details = [
+      updated ? `${updated} updated` : "",
+      skipped ? `${skipped} duplicates skipped` : ""
+    ].filter(Boolean).join(", ");
+    return `Imported ${added} new snippet${added !== 1 ? "s" : ""}${details ? ` (${details})` : ""}.`;
+  }
+  function getSnippetSource(storage, snippet) {
+    const title = getConversation(storage, snippet.conversationId)?.title || null;
+    if (isCompoundSnippet(snippet)) {
+      const roles = snippet.segments.map((segment) => segment.role).filter(Boolean).filter((role, index, all) => role !== all[index - 1]);
+      const models = [...new Set(snippet.segments.map((segment) => segment.model).filter(Boolean))];
+      return { title, role: roles.join(" \u2192 ") || null, model: models.join(", ") || null };
+    }
+    return {
+      title,
+      role: snippet.role || null,
+      model: snippet.model || null
+    };
+  }
+  function formatSnippetMarkdown(snippet, { palette = null, includeNotes = false, getSource = null } = {}) {
+    const content = isCompoundSnippet(snippet) ? formatSegmentsMarkdown(snippet.segments) : snippet.markdown || snippet.text;
+    const [first, ...rest] = content.split("\n");
+    const continuation = rest.map((line) => line ? `  ${line}` : "");
+    const colorLabel = palette ? getColorLabel(palette, snippet.color) : null;
+    const lines = [`- ${colorLabel ? `[${colorLabel}] ` : ""}${first}`, ...continuation];
+    const source = getSource ? formatSnippetSource(getSource(snippet), { includeModel: true }) : null;
+    if (source) {
+      lines.push("", `  _${source}_`);
+    }
+    if (includeNotes && snippet.note && snippet.note.trim()) {
+      lines.push("", ...snippet.note.trim().split("\n").map((line) => line ? `  > ${line}` : "  >"));
+    }
+    return lines.join("\n");
+  }
+  function buildMarkdownFromSnippets(snippets, options = {}) {
+    return snippets.map((snippet) => formatSnippetMarkdown(snippet, options)).join("\n");
+  }
+  function buildHtmlFromSnippets(snippets) {
+    const escapeHtml = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    const items = snippets.map((snippet) => `<li>${snippet.html && sanitizeHtml(snippet.html) || escapeHtml(snippet.text)}</li>`);
+    return `<ul>${items.join("")}</ul>`;
+  }
+  function buildMarkdownExport(storage, snippets, palette) {
+    return buildMarkdownFromSnippets(snippets, {
+      palette,
+      includeNotes: true,
+      getSource: (snippet) => getSnippetSource(storage, snippet)
+    });
+  }
+  function buildJsonExport(storage, snippets, palette) {
+    const items = snippets.map((snippet) => {
+      const exported = { ...snippet };
+      if (exported.createdAt && !exported.timestamp) {
+        exported.timestamp = exported.createdAt;
+      }
+      const colorLabel = getColorLabel(palette, snippet.color);
+      if (colorLabel) {
+        exported.colorLabel = colorLabel;
+      }
+      const conversation = getConversation(storage, snippet.conversationId);
+      if (conversation?.title) {
+        exported.conversationTitle = conversation.title;
+      }
+      const projectName = findProjectName(storage, snippet.projectId);
+      if (projectName) {
+        exported.projectName = projectName;
+      }
+      return exported;
+    });
+    return {
+      schemaVersion: 1,
+      // Export as v1 for compatibility
+      exportedAt: (/* @__PURE__ */ new Date()).toISOString(),
+      items
+    };
   }
-  function buildMarkdownFromSnippets(snippets) {
-    return snippets.map((snippet) => `- ${snippet.text}`).join("\n");
+  async function writeSnippetsToClipboard(snippets) {
+    const markdown = buildMarkdownFromSnippets(snippets);
+    if (typeof ClipboardItem !== "undefined" && snippets.some((snippet) => snippet.html)) {
+      await navigator.clipboard.write([
+        new ClipboardItem({
+          "text/plain": new Blob([markdown], { type: "text/plain" }),
+          "text/html": new Blob([buildHtmlFromSnippets(snippets)], { type: "text/html" })
+        })
+      ]);
+    } else {
+      await navigator.clipboard.writeText(markdown);
+    }
   }
   function downloadTextFile(filename, text, mimeType) {
     const blob = new Blob([text], { type: mimeType });
@@ -1291,8 +5346,132 @@
     const stamp = (/* @__PURE__ */ new Date()).toISOString().replace(/[:.]/g, "-");
     return `chatgpt-snippets-${stamp}.${extension}`;
   }
+
+  // src/content/content.js
+  var state = {
+    storage: {
+      snippetsById: {},
+      index: {
+        byThread: {},
+        byTime: []
+      },
+      meta: {
+        lastUpdatedAt: 0,
+        totalCount: 0
+      }
+    },
+    panelOpen: false,
+    // Current route (conversation + project), kept in sync by the route watcher
+    route: {
+      url: null,
+      conversationId: null,
+      projectId: null
+    },
+    settings: {
+      autoSave: true,
+      // Legacy flag, mirrors captureMode === 'auto'
+      captureMode: "auto",
+      // 'auto', 'bubble' (manual save bubble), or 'off'
+      theme: "auto",
+      // Default to auto (follows system)
+      shortcuts: { ...DEFAULT_SHORTCUTS },
+      // Action -> shortcut (see shortcuts.js)
+      trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,
+      persistentHighlights: false,
+      // Paint every snippet of the conversation in the page
+      palette: resolvePalette(null),
+      // Snippet colors {id, label, color} (see palette.js)
+      listViews: resolveListViews(null),
+      // List scope -> {sort, group} (see listView.js)
+      panelMode: DEFAULT_PANEL_MODE
+      // 'overlay', 'sidepanel' or 'both' (see panelModes.js)
+    },
+    // Whether the panel shows the trash instead of the snippet list
+    trashOpen: false,
+    // Snippet focused with the keyboard (next/previous shortcuts)
+    focusedSnippetId: null,
+    searchQuery: "",
+    searchScope: "thread",
+    // 'thread', 'project', or 'all'
+    colorFilter: null,
+    // Palette color ID the list is filtered on, or null for all
+    tagFilter: null,
+    // Tag the list is filtered on, or null for all
+    searchSort: "relevance",
+    // Search result order: 'relevance' or 'time' (the list's sort)
+    collapsedGroups: /* @__PURE__ */ new Set(),
+    // '<group mode>:<group key>' of collapsed list groups
+    // Cache for performance optimization
+    cache: {
+      visibleTags: [],
+      // Tag counts of the list before the tag filter
+      groups: null,
+      // List groups {key, label, count, collapsed}, or null when not grouping
+      key: null,
+      currentSnippets: [],
+      totalSnippets: [],
+      itemsVersion: 0
+    },
+    // Selection cache
+    selectionCache: {
+      visibleIds: /* @__PURE__ */ new Set(),
+      selectedVisibleCount: 0
+    },
+    selectedIds: /* @__PURE__ */ new Set(),
+    // Last checkbox clicked, the anchor for shift-click range selection
+    selectionAnchorId: null
+  };
+  var DEFAULT_THEME = "auto";
+  var lastSnippetHash = null;
+  var lastSnippetTime = 0;
+  var DEDUPE_WINDOW_MS = 1e3;
+  var container = null;
+  var fab = null;
+  var panel = null;
+  var importExportModal = null;
+  var shortcutsModal = null;
+  var paletteModal = null;
+  var tagManagerModal = null;
+  var modalOpen = false;
+  var saveBubble = null;
+  var storageAdapter = createChromeStorageAdapter();
+  var activeSeek = null;
+  var highlighter = null;
+  var snippetSearch = createSnippetSearch();
+  var reportedCount = null;
+  var reportedPanelState = null;
+  var session = createLibrarySession({
+    adapter: storageAdapter,
+    getStorage: () => state.storage,
+    setStorage: (storage) => {
+      state.storage = storage;
+    },
+    onChange: () => {
+      state.cache.key = null;
+      state.cache.itemsVersion += 1;
+      syncSearchIndex();
+      updateUI();
+    },
+    saveSettings: () => chrome.storage.local.set({ settings: state.settings })
+  });
+  var CAPTURE_MODES = ["auto", "bubble", "off"];
+  var KEYBOARD_SELECTION_KEYS = ["Shift", "ArrowLeft", "ArrowRight", "ArrowUp", "ArrowDown", "Home", "End", "PageUp", "PageDown"];
+  function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+      const later = () => {
+        clearTimeout(timeout);
+        func(...args);
+      };
+      clearTimeout(timeout);
+      timeout = setTimeout(later, wait);
+    };
+  }
+  function getSnippetById(id) {
+    return state.storage.snippetsById[id] || null;
+  }
   function getCurrentProjectId() {
-    return getProjectIdFromUrl(window.location.href);
+    return state.route.projectId;
   }
   function getTotalCountForConversation(conversationId) {
     if (conversationId === null) {
@@ -1301,6 +5480,57 @@
     const threadIds = state.storage.index.byThread[conversationId] || [];
     return threadIds.length;
   }
+  function filterBySearchQuery(snippets, searchQuery) {
+    syncSearchIndex();
+    return snippetSearch.filter(snippets, searchQuery, {
+      palette: state.settings.palette,
+      getConversationTitle: (snippet) => getConversation(state.storage, snippet.conversationId)?.title || null,
+      getProjectName: (snippet) => findProjectName(state.storage, snippet.projectId)
+    });
+  }
+  function syncSearchIndex() {
+    snippetSearch.sync(state.storage.snippetsById);
+  }
+  function getSearchConfig() {
+    return {
+      terms: getQueryTerms(parseQuery(state.searchQuery || "").ast),
+      sort: state.searchSort,
+      onSortChange: handleSearchSortChange
+    };
+  }
+  function getListScope() {
+    if (state.searchQuery && state.searchQuery.trim()) {
+      return state.searchScope || "thread";
+    }
+    return state.route.conversationId === null ? "all" : "thread";
+  }
+  function getListView() {
+    return state.settings.listViews[getListScope()];
+  }
+  function getGroupLabel(group, key) {
+    if (group === "color") {
+      return key ? getColorLabel(state.settings.palette, key) || key : "No color";
+    }
+    if (group === "project") {
+      return key ? findProjectName(state.storage, key) || `Project ${key}` : "No project";
+    }
+    if (!key) {
+      return "No conversation";
+    }
+    return getConversation(state.storage, key)?.title || `Conversation ${key.slice(0, 8)}`;
+  }
+  function getListViewConfig() {
+    const view = getListView();
+    return {
+      sort: view.sort,
+      group: view.group,
+      groups: state.cache.groups,
+      getSource: (snippet) => getSnippetSource(state.storage, snippet),
+      onSortChange: (sort) => handleListViewChange({ sort }),
+      onGroupChange: (group) => handleListViewChange({ group }),
+      onToggleGroup: handleToggleGroup
+    };
+  }
   function getAllSnippets(searchQuery = "", sortOrder = "desc") {
     const { snippetsById, index } = state.storage;
     let snippets = [];
@@ -1311,10 +5541,7 @@
       }
     });
     if (searchQuery && searchQuery.trim()) {
-      const query = searchQuery.toLowerCase().trim();
-      snippets = snippets.filter(
-        (snippet) => snippet.text && snippet.text.toLowerCase().includes(query)
-      );
+      snippets = filterBySearchQuery(snippets, searchQuery);
     }
     if (sortOrder === "asc") {
       snippets.reverse();
@@ -1340,10 +5567,7 @@
       return sortOrder === "desc" ? bTime - aTime : aTime - bTime;
     });
     if (searchQuery && searchQuery.trim()) {
-      const query = searchQuery.toLowerCase().trim();
-      snippets = snippets.filter(
-        (snippet) => snippet.text && snippet.text.toLowerCase().includes(query)
-      );
+      snippets = filterBySearchQuery(snippets, searchQuery);
     }
     return snippets;
   }
@@ -1351,7 +5575,7 @@
     const { snippetsById, index } = state.storage;
     let snippets = [];
     if (scope === "thread") {
-      const conversationId = getConversationId();
+      const conversationId = state.route.conversationId;
       if (conversationId === null) {
         return [];
       }
@@ -1388,84 +5612,99 @@
       return getAllSnippets(searchQuery, sortOrder);
     }
     if (searchQuery && searchQuery.trim()) {
-      const query = searchQuery.toLowerCase().trim();
-      snippets = snippets.filter(
-        (snippet) => snippet.text && snippet.text.toLowerCase().includes(query)
-      );
+      snippets = filterBySearchQuery(snippets, searchQuery);
     }
     return snippets;
   }
   async function init() {
     container = createContainer();
+    state.route = resolveRoute(window.location.href);
     await loadState();
-    applyTheme(state.settings.theme || DEFAULT_THEME);
+    applyTheme(state.settings.theme || DEFAULT_THEME, [container]);
+    applyPaletteStyle(buildPaletteCss(state.settings.palette));
+    applyPanelMode();
     if (window.matchMedia) {
       window.matchMedia("(prefers-color-scheme: dark)").addEventListener("change", () => {
         if (state.settings.theme === "auto") {
-          applyTheme("auto");
+          applyTheme("auto", [container]);
         }
       });
     }
+    highlighter = createHighlighter({
+      getSnippets: getHighlightedSnippets,
+      getThemeClass: getUIThemeClass
+    });
+    if (state.settings.persistentHighlights) {
+      highlighter.start();
+    }
     renderUI();
+    purgeTrash();
+    syncConversationMetadata();
     setupEventListeners();
+    watchRouteChanges(handleRouteChange);
+    resumePendingNavigation();
+    storageAdapter.subscribe(session.mergeRemote);
+    chrome.storage.onChanged.addListener(handleSettingsChange);
     const totalCount = state.storage.meta.totalCount || 0;
     if (totalCount > 0) {
       createToast(`Loaded ${totalCount} snippet${totalCount !== 1 ? "s" : ""}`);
     }
   }
-  function applyTheme(theme) {
+  function applyPanelMode() {
     if (!container) return;
-    container.classList.remove("ce-theme-light", "ce-theme-dark");
-    if (theme === "auto") {
-      const prefersDark = window.matchMedia && window.matchMedia("(prefers-color-scheme: dark)").matches;
-      container.classList.add(prefersDark ? "ce-theme-dark" : "ce-theme-light");
-    } else {
-      container.classList.add(`ce-theme-${theme}`);
-    }
+    container.classList.toggle("ce-overlay-off", !showsOverlay(state.settings.panelMode));
+  }
+  function getUIThemeClass() {
+    return container?.classList.contains("ce-theme-dark") ? "ce-theme-dark" : "ce-theme-light";
   }
   function getCurrentTheme() {
     return state.settings.theme || DEFAULT_THEME;
   }
   async function loadState() {
     try {
-      const storage = await loadStorage();
+      const settingsResult = await chrome.storage.local.get("settings");
+      if (settingsResult.settings) {
+        state.settings = { ...state.settings, ...settingsResult.settings };
+        if (!settingsResult.settings.captureMode && settingsResult.settings.autoSave === false) {
+          state.settings.captureMode = "bubble";
+        }
+      }
+      state.settings.shortcuts = resolveShortcuts(state.settings.shortcuts);
+      state.settings.palette = resolvePalette(state.settings.palette);
+      state.settings.listViews = resolveListViews(state.settings.listViews);
+      state.settings.panelMode = resolvePanelMode(state.settings.panelMode);
+      const storage = await storageAdapter.load();
       state.storage = storage;
+      syncSearchIndex();
+      if (storage.readOnly) {
+        createToast("Snippets were saved by a newer version of the extension. Changes won't be saved until you update it.", 8e3);
+      }
       state.cache.key = null;
       state.cache.itemsVersion = 0;
       state.selectionCache.visibleIds = /* @__PURE__ */ new Set();
       state.selectionCache.selectedVisibleCount = 0;
       state.selectedIds = /* @__PURE__ */ new Set();
-      const settingsResult = await chrome.storage.local.get("settings");
-      if (settingsResult.settings) {
-        state.settings = { ...state.settings, ...settingsResult.settings };
-      }
+      state.selectionAnchorId = null;
     } catch (error) {
       console.error("Failed to load state:", error);
       createToast("Failed to load snippets");
     }
   }
-  async function persistState() {
-    try {
-      await saveStorage(state.storage);
-      state.cache.itemsVersion += 1;
-      await chrome.storage.local.set({ settings: state.settings });
-    } catch (error) {
-      console.error("Failed to save state:", error);
-      const message = error.message && error.message.includes("quota") ? "Storage full. Please clear some snippets or export your data." : "Failed to save snippets";
-      createToast(message);
-    }
-  }
   function getCurrentConversationSnippets() {
-    const conversationId = getConversationId();
-    const url = window.location.href;
-    const isMainPage = !url.includes("/c/") && !url.includes("conversationId=");
+    const conversationId = state.route.conversationId;
+    const isMainPage = conversationId === null;
     const hasSearchQuery = state.searchQuery && state.searchQuery.trim();
+    const view = getListView();
     const cacheKey = JSON.stringify({
       conversationId,
       isMainPage,
       searchQuery: state.searchQuery || "",
       searchScope: state.searchScope || "thread",
-      sortOrder: state.sortOrder || "desc",
+      searchSort: state.searchSort,
+      view,
+      collapsedGroups: Array.from(state.collapsedGroups),
+      colorFilter: state.colorFilter,
+      tagFilter: state.tagFilter,
       itemsVersion: state.cache.itemsVersion
     });
     if (state.cache.key === cacheKey && state.cache.currentSnippets.length >= 0) {
@@ -1478,25 +5717,49 @@
         scope = "thread";
         state.searchScope = "thread";
       }
-      snippets = getSnippetsByScope(scope, state.searchQuery || "", state.sortOrder || "desc");
+      snippets = getSnippetsByScope(scope, state.searchQuery || "");
     } else {
       if (isMainPage) {
-        snippets = getAllSnippets("", state.sortOrder || "desc");
+        snippets = getAllSnippets("");
       } else if (conversationId) {
-        snippets = getSnippetsForConversation(conversationId, "", state.sortOrder || "desc");
+        snippets = getSnippetsForConversation(conversationId, "");
       }
     }
+    snippets = sortSnippets(snippets, view.sort);
+    if (hasSearchQuery && state.searchSort === "relevance") {
+      snippets = snippetSearch.rank(snippets, state.searchQuery);
+    }
+    if (state.colorFilter) {
+      snippets = snippets.filter((snippet) => snippet.color === state.colorFilter);
+    }
+    const visibleTags = countTags(snippets);
+    if (state.tagFilter) {
+      const taggedIds = new Set(state.storage.index.byTag?.[state.tagFilter] || []);
+      snippets = snippets.filter((snippet) => taggedIds.has(snippet.id));
+    }
+    let groups = groupSnippets(snippets, view.group, { palette: state.settings.palette });
+    if (groups) {
+      groups = groups.map(({ key, snippets: items }) => ({
+        key,
+        label: getGroupLabel(view.group, key),
+        count: items.length,
+        collapsed: state.collapsedGroups.has(`${view.group}:${key}`),
+        snippets: items
+      }));
+      snippets = groups.flatMap((group) => group.collapsed ? [] : group.snippets);
+    }
     state.cache.key = cacheKey;
     state.cache.currentSnippets = snippets;
+    state.cache.visibleTags = visibleTags;
+    state.cache.groups = groups && groups.map(({ key, label, count, collapsed }) => ({ key, label, count, collapsed }));
     state.selectionCache.visibleIds = new Set(snippets.map((s) => s.id));
     state.selectionCache.selectedVisibleCount = snippets.filter((s) => state.selectedIds.has(s.id)).length;
     return snippets;
   }
   function renderUI() {
     const currentSnippets = getCurrentConversationSnippets();
-    const conversationId = getConversationId();
-    const url = window.location.href;
-    const isMainPage = !url.includes("/c/") && !url.includes("conversationId=");
+    const conversationId = state.route.conversationId;
+    const isMainPage = conversationId === null;
     let totalCount = 0;
     if (isMainPage) {
       totalCount = state.storage.meta.totalCount || 0;
@@ -1518,27 +5781,47 @@
       onClose: handleClose,
       onRemove: handleRemove,
       onSnippetClick: handleSnippetClick,
+      onNoteChange: handleNoteChange,
       onManage: handleOpenImportExport,
-      onToggleAutoSave: handleToggleAutoSave,
-      autoSaveEnabled: state.settings.autoSave,
+      onOpenLibrary: handleOpenLibrary,
+      onOpenShortcuts: handleOpenShortcuts,
+      onCycleCaptureMode: handleCycleCaptureMode,
+      captureMode: state.settings.captureMode,
+      onCyclePanelMode: handleCyclePanelMode,
+      panelMode: state.settings.panelMode,
       onToggleTheme: handleToggleTheme,
       currentTheme: getCurrentTheme(),
+      onToggleHighlights: handleToggleHighlights,
+      highlightsEnabled: Boolean(state.settings.persistentHighlights),
       totalCount,
       searchQuery: state.searchQuery || "",
       onSearch: handleSearch,
       onScopeChange: handleScopeChange,
       currentScope: state.searchScope || "thread",
-      currentProjectId: getCurrentProjectId()
+      currentProjectId: getCurrentProjectId(),
+      selection: getSelectionConfig(),
+      trash: getTrashConfig(),
+      colors: getColorConfig(),
+      tags: getTagConfig(),
+      search: getSearchConfig(),
+      view: getListViewConfig()
     });
     panel.classList.toggle("ce-panel-open", state.panelOpen);
     container.appendChild(panel);
+    syncFocusedSnippet();
+    refreshHighlights();
+    reportPanelState();
   }
   function updateUI() {
     state.cache.key = null;
+    state.selectedIds.forEach((id) => {
+      if (!state.storage.snippetsById[id]) {
+        state.selectedIds.delete(id);
+      }
+    });
     const currentSnippets = getCurrentConversationSnippets();
-    const conversationId = getConversationId();
-    const url = window.location.href;
-    const isMainPage = !url.includes("/c/") && !url.includes("conversationId=");
+    const conversationId = state.route.conversationId;
+    const isMainPage = conversationId === null;
     let totalCount = 0;
     if (isMainPage) {
       totalCount = state.storage.meta.totalCount || 0;
@@ -1548,7 +5831,14 @@
     if (fab) {
       updateFABCount(fab, totalCount);
     }
-    if (panel) {
+    reportSnippetCount(totalCount);
+    reportPanelState();
+    if (!panel || !state.trashOpen) {
+      refreshHighlights();
+    }
+    if (panel && state.trashOpen) {
+      renderUI();
+    } else if (panel) {
       console.log("[updateUI] Calling updatePanel with:", {
         searchQuery: state.searchQuery || "",
         searchScope: state.searchScope || "thread",
@@ -1565,8 +5855,15 @@
         handleSearch,
         handleScopeChange,
         state.searchScope || "thread",
-        getCurrentProjectId()
+        getCurrentProjectId(),
+        getSelectionConfig(),
+        getColorConfig(),
+        handleNoteChange,
+        getTagConfig(),
+        getSearchConfig(),
+        getListViewConfig()
       );
+      syncFocusedSnippet();
     } else {
       console.warn("[updateUI] Panel not found, calling renderUI instead");
       renderUI();
@@ -1575,22 +5872,260 @@
   function setupEventListeners() {
     const debouncedHandleSelection = debounce(handleSelection, 100);
     document.addEventListener("mouseup", debouncedHandleSelection);
+    document.addEventListener("keyup", (e) => {
+      if (!e.shiftKey && e.key !== "Shift") return;
+      if (!KEYBOARD_SELECTION_KEYS.includes(e.key)) return;
+      if (isEditableTarget(e.target)) return;
+      debouncedHandleSelection(e);
+    });
+    document.addEventListener("scroll", (e) => {
+      if (saveBubble && !saveBubble.contains(e.target)) {
+        hideSaveBubble();
+      }
+    }, true);
+    document.addEventListener("mousedown", (e) => {
+      if (saveBubble && !saveBubble.contains(e.target)) {
+        hideSaveBubble();
+      }
+    });
+    if (document.head) {
+      const debouncedSyncMetadata = debounce(syncConversationMetadata, 500);
+      let lastTitle = document.title;
+      new MutationObserver(() => {
+        if (document.title === lastTitle) return;
+        lastTitle = document.title;
+        debouncedSyncMetadata();
+      }).observe(document.head, { childList: true, subtree: true, characterData: true });
+    }
+    chrome.runtime?.onMessage?.addListener(handleRuntimeMessage);
     document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && saveBubble) {
+        hideSaveBubble();
+        return;
+      }
       if (e.key === "Escape" && modalOpen) {
+        handleCloseShortcuts();
         handleCloseImportExport();
         return;
       }
       if (e.key === "Escape" && state.panelOpen) {
         handleClose();
+        return;
+      }
+      handleShortcutKeydown(e);
+    });
+    document.addEventListener("click", (e) => {
+      if (modalOpen) return;
+      if (saveBubble && saveBubble.contains(e.target)) return;
+      if (state.panelOpen && panel && !panel.contains(e.target) && !fab.contains(e.target)) {
+        handleClose();
+      }
+    });
+  }
+  function handleRuntimeMessage(message, sender, sendResponse) {
+    if (!isValidMessage(message)) return;
+    switch (message.type) {
+      case MESSAGE_TYPES.RUN_ACTION:
+        runShortcutAction(message.action);
+        break;
+      case MESSAGE_TYPES.GET_PANEL_STATE:
+        sendResponse(buildPanelState());
+        break;
+      case MESSAGE_TYPES.NAVIGATE_TO_SNIPPET: {
+        const snippet = getSnippetById(message.id);
+        if (snippet) {
+          handleSnippetClick(snippet);
+        }
+        break;
+      }
+      case MESSAGE_TYPES.DELETE_SNIPPET:
+        if (getSnippetById(message.id)) {
+          handleRemove(message.id);
+        }
+        break;
+      case MESSAGE_TYPES.SET_PANEL_MODE:
+        setPanelMode(message.mode);
+        break;
+      default:
+        break;
+    }
+  }
+  function buildPanelState() {
+    const conversationId = state.route.conversationId;
+    const isMainPage = conversationId === null;
+    let snippets = [];
+    if (isMainPage) {
+      snippets = getAllSnippets("");
+    } else if (conversationId) {
+      snippets = getSnippetsForConversation(conversationId, "");
+    }
+    const conversations = {};
+    snippets.forEach((snippet) => {
+      const conversation = getConversation(state.storage, snippet.conversationId);
+      if (conversation) {
+        conversations[snippet.conversationId] = conversation;
       }
     });
-    document.addEventListener("click", (e) => {
-      if (modalOpen) return;
-      if (state.panelOpen && panel && !panel.contains(e.target) && !fab.contains(e.target)) {
-        handleClose();
-      }
+    return createMessage(MESSAGE_TYPES.PANEL_STATE, {
+      conversationId: isMainPage ? null : conversationId || null,
+      snippets,
+      conversations
+    });
+  }
+  function reportPanelState() {
+    if (!showsSidePanel(state.settings.panelMode) || !chrome.runtime?.id) return;
+    const message = buildPanelState();
+    const last = reportedPanelState;
+    const unchanged = last && last.conversationId === message.conversationId && last.conversationsRef === state.storage.conversations && last.snippets.length === message.snippets.length && last.snippets.every((snippet, index) => snippet === message.snippets[index]);
+    if (unchanged) return;
+    reportedPanelState = {
+      conversationId: message.conversationId,
+      snippets: message.snippets,
+      conversationsRef: state.storage.conversations
+    };
+    chrome.runtime.sendMessage(message).catch(() => {
+      reportedPanelState = null;
     });
   }
+  function reportSnippetCount(count) {
+    if (count === reportedCount || !chrome.runtime?.id) return;
+    reportedCount = count;
+    chrome.runtime.sendMessage(createMessage(MESSAGE_TYPES.SNIPPET_COUNT, { count })).catch(() => {
+      reportedCount = null;
+    });
+  }
+  function handleShortcutKeydown(e) {
+    if (modalOpen || e.defaultPrevented || e.isComposing) return;
+    const shortcut = eventToShortcut(e);
+    const action = findShortcutAction(state.settings.shortcuts, shortcut);
+    if (!action) return;
+    if (isEditableTarget(e.target)) {
+      const insidePanel = container && container.contains(e.target);
+      if (!insidePanel || !hasCommandModifier(shortcut)) return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+    runShortcutAction(action);
+  }
+  function runShortcutAction(action) {
+    switch (action) {
+      case "togglePanel":
+        togglePanel();
+        break;
+      case "saveSelection":
+        handleSaveSelectionShortcut();
+        break;
+      case "focusSearch":
+        openPanel();
+        panel?.querySelector(".ce-search-input")?.focus();
+        break;
+      case "nextSnippet":
+        moveSnippetFocus(1);
+        break;
+      case "previousSnippet":
+        moveSnippetFocus(-1);
+        break;
+      case "openSource": {
+        const snippet = getFocusedSnippet();
+        if (snippet) handleSnippetClick(snippet);
+        break;
+      }
+      case "deleteSnippet":
+        handleDeleteFocusedSnippet();
+        break;
+      case "copySnippet":
+        handleCopyFocusedSnippet();
+        break;
+      case "undo":
+        session.undo();
+        break;
+      case "redo":
+        session.redo();
+        break;
+      case "saveColor1":
+      case "saveColor2":
+      case "saveColor3":
+      case "saveColor4":
+      case "saveColor5": {
+        const entry = state.settings.palette[Number(action.slice(-1)) - 1];
+        if (!entry) {
+          createToast("That color is not in the palette");
+          break;
+        }
+        handleSaveSelectionShortcut(entry.id);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  function handleSaveSelectionShortcut(color = null) {
+    hideSaveBubble();
+    const snippet = buildSnippetFromSelection();
+    if (!snippet || !snippet.text || snippet.text.length < 3) {
+      createToast("Select some text to save");
+      return;
+    }
+    saveCapturedSnippet(color ? { ...snippet, color } : snippet);
+    window.getSelection()?.removeAllRanges();
+  }
+  function getFocusedSnippet() {
+    if (!state.focusedSnippetId) return null;
+    return getCurrentConversationSnippets().find((s) => s.id === state.focusedSnippetId) || null;
+  }
+  function moveSnippetFocus(delta) {
+    const snippets = getCurrentConversationSnippets();
+    if (snippets.length === 0) return;
+    openPanel();
+    const currentIndex = snippets.findIndex((s) => s.id === state.focusedSnippetId);
+    let nextIndex;
+    if (currentIndex === -1) {
+      nextIndex = delta > 0 ? 0 : snippets.length - 1;
+    } else {
+      nextIndex = Math.min(Math.max(currentIndex + delta, 0), snippets.length - 1);
+    }
+    state.focusedSnippetId = snippets[nextIndex].id;
+    setFocusedSnippet(panel, state.focusedSnippetId);
+  }
+  function syncFocusedSnippet() {
+    if (state.focusedSnippetId && !getFocusedSnippet()) {
+      state.focusedSnippetId = null;
+    }
+    setFocusedSnippet(panel, state.focusedSnippetId);
+  }
+  function handleDeleteFocusedSnippet() {
+    const snippet = getFocusedSnippet();
+    if (!snippet) return;
+    const snippets = getCurrentConversationSnippets();
+    const index = snippets.findIndex((s) => s.id === snippet.id);
+    const neighbour = snippets[index + 1] || snippets[index - 1] || null;
+    state.focusedSnippetId = neighbour ? neighbour.id : null;
+    handleRemove(snippet.id);
+  }
+  async function handleCopyFocusedSnippet() {
+    const snippet = getFocusedSnippet();
+    if (!snippet) return;
+    try {
+      await navigator.clipboard.writeText(snippet.markdown || snippet.text);
+      createToast("Snippet copied to clipboard");
+    } catch (error) {
+      console.error("Failed to copy:", error);
+      createToast("Failed to copy to clipboard");
+    }
+  }
+  function handleRouteChange(route) {
+    state.route = route;
+    if (state.searchScope === "project" && route.projectId === null) {
+      state.searchScope = "thread";
+    }
+    state.cache.key = null;
+    state.selectionCache.visibleIds = /* @__PURE__ */ new Set();
+    state.selectionCache.selectedVisibleCount = 0;
+    renderUI();
+    syncConversationMetadata();
+    cancelActiveSeek();
+    resumePendingNavigation();
+  }
   function handleSelection(e) {
     setTimeout(() => {
       const selection = window.getSelection();
@@ -1600,61 +6135,370 @@
       if (container && container.contains(e.target)) {
         return;
       }
-      if (!state.settings.autoSave) {
+      if (saveBubble && saveBubble.contains(e.target)) {
+        return;
+      }
+      const captureMode = state.settings.captureMode || "auto";
+      if (captureMode === "off") {
         return;
       }
       const snippet = buildSnippetFromSelection();
-      if (snippet && snippet.text && snippet.text.length >= 3) {
-        const hash = hashText(snippet.text);
-        const now = Date.now();
-        if (hash === lastSnippetHash && now - lastSnippetTime < DEDUPE_WINDOW_MS) {
-          return;
-        }
-        lastSnippetHash = hash;
-        lastSnippetTime = now;
-        addSnippet(snippet);
-        if (snippet.truncated) {
-          createToast("Snippet truncated (max 10,000 characters)");
-        } else {
-          createToast("Snippet saved");
-        }
+      if (!snippet || !snippet.text || snippet.text.length < 3) {
+        return;
+      }
+      if (captureMode === "bubble") {
+        showSaveBubble(snippet, selection.getRangeAt(0).getBoundingClientRect());
+        return;
+      }
+      const hash = hashText(snippet.text);
+      const now = Date.now();
+      if (hash === lastSnippetHash && now - lastSnippetTime < DEDUPE_WINDOW_MS) {
+        return;
       }
+      lastSnippetHash = hash;
+      lastSnippetTime = now;
+      saveCapturedSnippet(snippet);
     }, 10);
   }
-  function addSnippet(snippet) {
+  function saveCapturedSnippet(snippet) {
+    if (session.isReadOnly()) return;
+    addSnippet(snippet);
+    if (snippet.truncated) {
+      createToast("Snippet truncated (max 10,000 characters)");
+    } else {
+      createToast("Snippet saved");
+    }
+  }
+  function showSaveBubble(snippet, rect) {
+    hideSaveBubble();
+    let color = null;
+    const save = (extra = {}) => {
+      hideSaveBubble();
+      saveCapturedSnippet({ ...snippet, ...color ? { color } : {}, ...extra });
+      window.getSelection()?.removeAllRanges();
+    };
+    saveBubble = createSaveBubble({
+      onSave: () => save(),
+      onSaveWithNote: (note) => save(note ? { note } : {}),
+      onSaveWithTag: (tag) => save(normalizeTag(tag) ? { tags: [normalizeTag(tag)] } : {}),
+      onDismiss: hideSaveBubble,
+      palette: state.settings.palette,
+      onColorChange: (colorId) => {
+        color = colorId;
+      }
+    });
+    saveBubble.classList.add(getUIThemeClass());
+    saveBubble.style.visibility = "hidden";
+    document.body.appendChild(saveBubble);
+    const position = getBubblePosition(
+      rect,
+      { width: saveBubble.offsetWidth, height: saveBubble.offsetHeight },
+      { width: window.innerWidth, height: window.innerHeight }
+    );
+    saveBubble.style.top = `${position.top}px`;
+    saveBubble.style.left = `${position.left}px`;
+    saveBubble.style.visibility = "";
+    saveBubble.classList.add(`ce-save-bubble-${position.placement}`);
+  }
+  function hideSaveBubble() {
+    if (!saveBubble) return;
+    saveBubble.remove();
+    saveBubble = null;
+  }
+  function addSnippet({ conversationTitle, projectName, ...snippet }) {
     if (!snippet.id) {
       snippet.id = generateSnippetId2();
     }
     if (!snippet.createdAt) {
       snippet.createdAt = Date.now();
     }
-    state.storage = upsertSnippet(state.storage, snippet);
+    session.applyMutation("Save snippet", (storage) => upsertConversation(
+      upsertSnippet(storage, snippet),
+      snippet.conversationId,
+      { title: conversationTitle, projectId: snippet.projectId, projectName }
+    ));
+  }
+  function syncConversationMetadata() {
+    const conversationId = state.route.conversationId;
+    if (state.storage.readOnly || !conversationId || !(state.storage.index.byThread[conversationId] || []).length) {
+      return;
+    }
+    const projectId = getCurrentProjectId();
+    const updated = upsertConversation(state.storage, conversationId, {
+      title: getConversationTitle(conversationId),
+      projectId,
+      projectName: getProjectName(projectId)
+    });
+    if (updated === state.storage) {
+      return;
+    }
+    state.storage = updated;
     state.cache.key = null;
     state.cache.itemsVersion += 1;
     updateUI();
-    persistState();
+    session.save();
   }
   function handleRemove(id) {
-    state.storage = removeSnippet(state.storage, id);
+    if (session.isReadOnly()) return;
     state.selectedIds.delete(id);
+    session.applyMutation("Delete snippet", (storage) => removeSnippet(storage, id));
+    createToast("Snippet moved to trash", 5e3, session.undoAction);
+  }
+  function getSelectionConfig() {
+    return {
+      selectedIds: state.selectedIds,
+      onToggleSelect: handleToggleSelect,
+      onSelectAll: handleSelectAllVisible,
+      onBulkDelete: handleBulkDelete,
+      onBulkCopy: handleBulkCopy,
+      onBulkExportJson: handleBulkExportJson,
+      onBulkExportMarkdown: handleBulkExportMarkdown,
+      onBulkTag: handleBulkTag
+    };
+  }
+  function getSelectedVisibleSnippets() {
+    return getCurrentConversationSnippets().filter((snippet) => state.selectedIds.has(snippet.id));
+  }
+  function handleToggleSelect(id, selected, shiftKey) {
+    const snippets = getCurrentConversationSnippets();
+    const index = snippets.findIndex((snippet) => snippet.id === id);
+    const anchorIndex = snippets.findIndex((snippet) => snippet.id === state.selectionAnchorId);
+    if (shiftKey && index !== -1 && anchorIndex !== -1) {
+      const [start, end] = index < anchorIndex ? [index, anchorIndex] : [anchorIndex, index];
+      snippets.slice(start, end + 1).forEach((snippet) => {
+        if (selected) {
+          state.selectedIds.add(snippet.id);
+        } else {
+          state.selectedIds.delete(snippet.id);
+        }
+      });
+    } else if (selected) {
+      state.selectedIds.add(id);
+    } else {
+      state.selectedIds.delete(id);
+    }
+    state.selectionAnchorId = id;
+    updateUI();
+  }
+  function handleSelectAllVisible(selected) {
+    getCurrentConversationSnippets().forEach((snippet) => {
+      if (selected) {
+        state.selectedIds.add(snippet.id);
+      } else {
+        state.selectedIds.delete(snippet.id);
+      }
+    });
+    state.selectionAnchorId = null;
+    updateUI();
+  }
+  function handleBulkDelete() {
+    if (session.isReadOnly()) return;
+    const snippets = getSelectedVisibleSnippets();
+    if (snippets.length === 0) return;
+    snippets.forEach((snippet) => state.selectedIds.delete(snippet.id));
+    state.selectionAnchorId = null;
+    const label = `Delete ${snippets.length} snippet${snippets.length !== 1 ? "s" : ""}`;
+    session.applyMutation(label, (storage) => snippets.reduce((updated, snippet) => removeSnippet(updated, snippet.id), storage));
+    createToast(`Moved ${snippets.length} snippet${snippets.length !== 1 ? "s" : ""} to trash`, 5e3, session.undoAction);
+  }
+  function handleBulkCopy() {
+    const snippets = getSelectedVisibleSnippets();
+    if (snippets.length === 0) return;
+    copySnippetsToClipboard(snippets);
+  }
+  function handleBulkExportJson() {
+    exportSnippetsAsJson(getSelectedVisibleSnippets());
+  }
+  function handleBulkExportMarkdown() {
+    exportSnippetsAsMarkdown(getSelectedVisibleSnippets());
+  }
+  function handleBulkTag(rawTag) {
+    if (session.isReadOnly()) return;
+    const snippets = getSelectedVisibleSnippets();
+    const tag = normalizeTag(rawTag);
+    if (snippets.length === 0 || !tag) return;
+    session.applyMutation(`Tag #${tag}`, (storage) => snippets.reduce((updated, snippet) => {
+      const tags = Array.isArray(snippet.tags) ? snippet.tags : [];
+      return tags.includes(tag) ? updated : upsertSnippet(updated, { ...snippet, tags: [...tags, tag] });
+    }, storage));
+    createToast(`Tagged ${snippets.length} snippet${snippets.length !== 1 ? "s" : ""} #${tag}`, 5e3, session.undoAction);
+  }
+  function handleNoteChange(id, note) {
+    const snippet = state.storage.snippetsById[id];
+    const value = note.trim().slice(0, MAX_NOTE_LENGTH);
+    if (!snippet || value === (snippet.note || "")) return;
+    session.applyMutation(value ? "Edit note" : "Remove note", (storage) => upsertSnippet(storage, { ...snippet, note: value }));
+  }
+  function countTags(snippets) {
+    const counts = /* @__PURE__ */ new Map();
+    snippets.forEach((snippet) => {
+      new Set(Array.isArray(snippet.tags) ? snippet.tags : []).forEach((tag) => {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      });
+    });
+    return Array.from(counts, ([tag, count]) => ({ tag, count })).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+  function getTagConfig() {
+    return {
+      all: getTagCounts(state.storage).map(({ tag }) => tag),
+      visible: state.cache.visibleTags,
+      activeTag: state.tagFilter,
+      onFilterChange: handleTagFilterChange,
+      onTagsChange: handleTagsChange,
+      onManage: handleOpenTagManager
+    };
+  }
+  function handleTagFilterChange(tag) {
+    state.tagFilter = tag;
+    state.cache.key = null;
+    updateUI();
+  }
+  function handleTagsChange(id, tags) {
+    const snippet = state.storage.snippetsById[id];
+    if (!snippet) return;
+    const previous = Array.isArray(snippet.tags) ? snippet.tags : [];
+    const added = tags.find((tag) => !previous.includes(tag));
+    const label = added ? `Tag #${added}` : "Remove tag";
+    session.applyMutation(label, (storage) => upsertSnippet(storage, { ...snippet, tags }));
+  }
+  function handleRenameTag(fromTag, toTag) {
+    if (session.isReadOnly()) return getTagCounts(state.storage);
+    const count = state.storage.index.byTag?.[fromTag]?.length || 0;
+    if (state.tagFilter === fromTag) {
+      state.tagFilter = toTag;
+    }
+    session.applyMutation(`Rename #${fromTag}`, (storage) => renameTag(storage, fromTag, toTag));
+    createToast(`Renamed #${fromTag} to #${toTag} on ${count} snippet${count !== 1 ? "s" : ""}`, 5e3, session.undoAction);
+    return getTagCounts(state.storage);
+  }
+  function handleMergeTags(tags, targetTag) {
+    if (session.isReadOnly()) return getTagCounts(state.storage);
+    if (tags.includes(state.tagFilter)) {
+      state.tagFilter = targetTag;
+    }
+    session.applyMutation(`Merge into #${targetTag}`, (storage) => mergeTags(storage, tags, targetTag));
+    const count = state.storage.index.byTag?.[targetTag]?.length || 0;
+    createToast(`Merged ${tags.length} tag${tags.length !== 1 ? "s" : ""} into #${targetTag} (${count} snippet${count !== 1 ? "s" : ""})`, 5e3, session.undoAction);
+    return getTagCounts(state.storage);
+  }
+  function handleOpenTagManager() {
+    if (modalOpen) return;
+    tagManagerModal = createTagManagerModal({
+      tags: getTagCounts(state.storage),
+      onRename: handleRenameTag,
+      onMerge: handleMergeTags,
+      onClose: handleCloseTagManager
+    });
+    document.body.appendChild(tagManagerModal);
+    modalOpen = true;
+  }
+  function handleCloseTagManager() {
+    if (!tagManagerModal) return;
+    tagManagerModal.remove();
+    tagManagerModal = null;
+    modalOpen = false;
+  }
+  function getTrashConfig() {
+    const trashed = getTrashedSnippets(state.storage);
+    return {
+      open: state.trashOpen,
+      count: trashed.length,
+      snippets: state.trashOpen ? trashed : [],
+      retentionDays: state.settings.trashRetentionDays,
+      onToggle: handleToggleTrash,
+      onRestore: handleRestoreFromTrash,
+      onDeletePermanently: handleDeletePermanently,
+      onEmptyTrash: handleEmptyTrash,
+      onRetentionChange: handleTrashRetentionChange
+    };
+  }
+  function getColorConfig() {
+    return {
+      palette: state.settings.palette,
+      activeColor: state.colorFilter,
+      onFilterChange: handleColorFilterChange,
+      onEditPalette: handleOpenPalette
+    };
+  }
+  function handleColorFilterChange(colorId) {
+    state.colorFilter = colorId;
     state.cache.key = null;
-    state.cache.itemsVersion += 1;
     updateUI();
-    persistState();
-    createToast("Snippet removed");
+  }
+  function handleOpenPalette() {
+    if (modalOpen) return;
+    const applyPalette = (palette) => {
+      state.settings.palette = palette;
+      applyPaletteStyle(buildPaletteCss(palette));
+      session.save();
+      updateUI();
+      return palette;
+    };
+    paletteModal = createPaletteModal({
+      palette: state.settings.palette,
+      onChange: (id, changes) => applyPalette(updatePaletteEntry(state.settings.palette, id, changes)),
+      onReset: () => applyPalette(resolvePalette(null)),
+      onClose: handleClosePalette
+    });
+    document.body.appendChild(paletteModal);
+    modalOpen = true;
+  }
+  function handleClosePalette() {
+    if (!paletteModal) return;
+    paletteModal.remove();
+    paletteModal = null;
+    modalOpen = false;
+  }
+  function purgeTrash() {
+    if (state.storage.readOnly) return;
+    const purged = purgeExpiredTrash(state.storage, state.settings.trashRetentionDays);
+    if (purged !== state.storage) {
+      state.storage = purged;
+      session.refresh();
+    }
+  }
+  function handleToggleTrash() {
+    state.trashOpen = !state.trashOpen;
+    if (state.trashOpen) {
+      purgeTrash();
+    }
+    renderUI();
+  }
+  function handleRestoreFromTrash(id) {
+    if (session.isReadOnly()) return;
+    session.applyMutation("Restore snippet", (storage) => restoreSnippet(storage, id));
+    createToast("Snippet restored", 5e3, session.undoAction);
+  }
+  function handleDeletePermanently(id) {
+    if (session.isReadOnly()) return;
+    state.storage = purgeSnippets(state.storage, [id]);
+    session.refresh();
+    createToast("Snippet deleted permanently");
+  }
+  function handleEmptyTrash() {
+    const count = getTrashedSnippets(state.storage).length;
+    if (count === 0 || session.isReadOnly()) return;
+    if (confirm(`Permanently delete ${count} trashed snippet${count !== 1 ? "s" : ""}? This cannot be undone.`)) {
+      state.storage = emptyTrash(state.storage);
+      session.refresh();
+      createToast("Trash emptied");
+    }
+  }
+  async function handleTrashRetentionChange(days) {
+    state.settings.trashRetentionDays = days;
+    purgeTrash();
+    await session.save();
+    renderUI();
   }
   function handleClear() {
+    if (session.isReadOnly()) return;
     const totalCount = state.storage.meta.totalCount || 0;
     if (totalCount === 0) return;
     if (confirm(`Clear all ${totalCount} snippet${totalCount !== 1 ? "s" : ""}?`)) {
-      state.storage = clearAll(state.storage);
       state.selectedIds.clear();
       state.selectionCache.selectedVisibleCount = 0;
-      state.cache.key = null;
-      state.cache.itemsVersion += 1;
-      updateUI();
-      persistState();
-      createToast("All snippets cleared");
+      session.applyMutation("Clear all snippets", clearAll);
+      createToast("All snippets moved to trash", 5e3, session.undoAction);
     }
   }
   async function handleCopy() {
@@ -1663,15 +6507,24 @@
       createToast("No snippets to copy");
       return;
     }
-    const markdown = buildMarkdownFromSnippets(allSnippets);
+    await copySnippetsToClipboard(allSnippets);
+  }
+  async function copySnippetsToClipboard(snippets) {
     try {
-      await navigator.clipboard.writeText(markdown);
-      createToast(`Copied ${allSnippets.length} snippet${allSnippets.length !== 1 ? "s" : ""} to clipboard`);
+      await writeSnippetsToClipboard(snippets);
+      createToast(`Copied ${snippets.length} snippet${snippets.length !== 1 ? "s" : ""} to clipboard`);
     } catch (error) {
       console.error("Failed to copy:", error);
       createToast("Failed to copy to clipboard");
     }
   }
+  function handleOpenLibrary() {
+    if (!chrome.runtime?.id) return;
+    chrome.runtime.sendMessage(createMessage(MESSAGE_TYPES.OPEN_LIBRARY)).catch((error) => {
+      console.error("Failed to open the library:", error);
+      createToast("Could not open the library. Reload the page and try again.");
+    });
+  }
   function handleOpenImportExport() {
     if (modalOpen) return;
     const totalCount = state.storage.meta.totalCount || 0;
@@ -1692,74 +6545,64 @@
     importExportModal = null;
     modalOpen = false;
   }
+  function handleOpenShortcuts() {
+    if (modalOpen) return;
+    shortcutsModal = createShortcutsModal({
+      shortcuts: state.settings.shortcuts,
+      onChange: (action, shortcut) => {
+        state.settings.shortcuts = assignShortcut(state.settings.shortcuts, action, shortcut);
+        session.save();
+        return state.settings.shortcuts;
+      },
+      onReset: () => {
+        state.settings.shortcuts = { ...DEFAULT_SHORTCUTS };
+        session.save();
+        return state.settings.shortcuts;
+      },
+      onClose: handleCloseShortcuts
+    });
+    document.body.appendChild(shortcutsModal);
+    modalOpen = true;
+  }
+  function handleCloseShortcuts() {
+    if (!shortcutsModal) return;
+    shortcutsModal.remove();
+    shortcutsModal = null;
+    modalOpen = false;
+  }
   function handleExportJson() {
-    const allSnippets = getAllSnippets();
-    if (allSnippets.length === 0) {
+    exportSnippetsAsJson(getAllSnippets());
+  }
+  function handleExportMarkdown() {
+    exportSnippetsAsMarkdown(getAllSnippets());
+  }
+  function exportSnippetsAsJson(snippets) {
+    if (snippets.length === 0) {
       createToast("No snippets to export");
       return;
     }
-    const items = allSnippets.map((snippet) => {
-      const exported = { ...snippet };
-      if (exported.createdAt && !exported.timestamp) {
-        exported.timestamp = exported.createdAt;
-      }
-      return exported;
-    });
-    const payload = {
-      schemaVersion: 1,
-      // Export as v1 for compatibility
-      exportedAt: (/* @__PURE__ */ new Date()).toISOString(),
-      items
-    };
+    const payload = buildJsonExport(state.storage, snippets, state.settings.palette);
     downloadTextFile(exportFilename("json"), JSON.stringify(payload, null, 2), "application/json");
-    createToast(`Exported ${allSnippets.length} snippet${allSnippets.length !== 1 ? "s" : ""}`);
+    createToast(`Exported ${snippets.length} snippet${snippets.length !== 1 ? "s" : ""}`);
   }
-  function handleExportMarkdown() {
-    const allSnippets = getAllSnippets();
-    if (allSnippets.length === 0) {
+  function exportSnippetsAsMarkdown(snippets) {
+    if (snippets.length === 0) {
       createToast("No snippets to export");
       return;
     }
-    const markdown = buildMarkdownFromSnippets(allSnippets);
+    const markdown = buildMarkdownExport(state.storage, snippets, state.settings.palette);
     downloadTextFile(exportFilename("md"), markdown, "text/markdown");
-    createToast(`Exported ${allSnippets.length} snippet${allSnippets.length !== 1 ? "s" : ""}`);
+    createToast(`Exported ${snippets.length} snippet${snippets.length !== 1 ? "s" : ""}`);
   }
   async function handlePreviewImport(file, mode, setStatus, setPreview, setPending) {
     try {
-      const text = await file.text();
-      const parsed = JSON.parse(text);
-      const items = Array.isArray(parsed) ? parsed : parsed.items;
-      if (!Array.isArray(items)) {
-        setStatus("Invalid JSON format.", "error");
-        setPreview("Preview unavailable.", "error");
-        setPending(null);
-        return;
-      }
-      const normalized = normalizeImportedSnippets(items);
-      if (normalized.length === 0) {
-        setStatus("No valid snippets found.", "error");
-        setPreview("Preview unavailable.", "error");
-        setPending(null);
-        return;
-      }
-      const { items: expanded, duplicates } = expandImportDuplicates(normalized);
-      const currentCount = state.storage.meta.totalCount || 0;
-      if (mode === "replace") {
-        const preview2 = `Preview: ${expanded.length} snippet${expanded.length !== 1 ? "s" : ""} will replace ${currentCount}.` + (duplicates ? ` ${duplicates} duplicate${duplicates !== 1 ? "s" : ""} in file will be labeled.` : "");
-        setStatus("Preview ready.", "success");
-        setPreview(preview2, "success");
-        setPending({ items: expanded });
-        return;
-      }
-      const existingSnippets = getAllSnippets();
-      const { items: merged, added, skipped } = mergeSnippets(existingSnippets, expanded);
-      const preview = `Preview: add ${added} new, skip ${skipped} duplicate${skipped !== 1 ? "s" : ""}. Total after import: ${merged.length}.` + (duplicates ? ` ${duplicates} duplicate${duplicates !== 1 ? "s" : ""} in file will be labeled.` : "");
+      const { items, preview } = await previewImportFile(state.storage, file, mode);
       setStatus("Preview ready.", "success");
       setPreview(preview, "success");
-      setPending({ items: expanded });
+      setPending({ items });
     } catch (error) {
       console.error("Failed to import snippets:", error);
-      setStatus("Failed to read import file.", "error");
+      setStatus(error.message, "error");
       setPreview("Preview unavailable.", "error");
       setPending(null);
     }
@@ -1770,40 +6613,25 @@
         setStatus("No preview data available.", "error");
         return;
       }
+      if (state.storage.readOnly) {
+        setStatus(READ_ONLY_MESSAGE, "error");
+        return;
+      }
       if (mode === "replace") {
-        state.storage = clearAll(state.storage);
         state.selectedIds.clear();
         state.selectionCache.selectedVisibleCount = 0;
-        for (const snippet of pending.items) {
-          if (!snippet.createdAt) {
-            snippet.createdAt = snippet.timestamp || Date.now();
-          }
-          state.storage = upsertSnippet(state.storage, snippet);
-        }
-        state.cache.key = null;
-        state.cache.itemsVersion += 1;
-        updateUI();
-        await persistState();
-        setStatus(`Imported ${pending.items.length} snippet${pending.items.length !== 1 ? "s" : ""}.`, "success");
-        setPreview("Import complete. You can select another file to import.", "success");
-        setPending(null);
-        return;
       }
-      const existingSnippets = getAllSnippets();
-      const { items: merged, added, skipped } = mergeSnippets(existingSnippets, pending.items);
-      state.storage = clearAll(state.storage);
-      for (const snippet of merged) {
-        if (!snippet.createdAt) {
-          snippet.createdAt = snippet.timestamp || Date.now();
-        }
-        state.storage = upsertSnippet(state.storage, snippet);
+      let result = null;
+      await session.applyMutation(mode === "replace" ? "Replace with import" : "Import snippets", (storage) => {
+        result = applyImport(storage, pending.items, mode);
+        return result.storage;
+      });
+      if (mode === "replace") {
+        createToast("Snippets replaced with import", 5e3, session.undoAction);
+        setStatus(`Imported ${pending.items.length} snippet${pending.items.length !== 1 ? "s" : ""}.`, "success");
+      } else {
+        setStatus(formatImportStatus(result), "success");
       }
-      state.cache.key = null;
-      state.cache.itemsVersion += 1;
-      updateUI();
-      await persistState();
-      const suffix = skipped ? ` (${skipped} duplicates skipped)` : "";
-      setStatus(`Imported ${added} new snippet${added !== 1 ? "s" : ""}${suffix}.`, "success");
       setPreview("Import complete. You can select another file to import.", "success");
       setPending(null);
     } catch (error) {
@@ -1812,28 +6640,143 @@
     }
   }
   function handleSnippetClick(snippet) {
+    const conversationId = getSnippetConversationId(snippet);
+    if (snippet.anchor && conversationId && conversationId !== state.route.conversationId) {
+      openSourceConversation(snippet);
+      return;
+    }
     const result = navigateToSource(snippet);
+    if (result.notRendered) {
+      seekToSource(snippet);
+      return;
+    }
+    reportNavigationResult(result);
+  }
+  function openSourceConversation(snippet) {
+    const url = getConversationUrl(snippet);
+    if (!url) {
+      createToast("Source conversation unknown");
+      return;
+    }
+    savePendingNavigation(snippet);
+    createToast("Opening source conversation...");
+    openConversation(url);
+  }
+  async function resumePendingNavigation() {
+    const pending = takePendingNavigation(state.route.conversationId);
+    if (!pending) return;
+    const snippet = state.storage.snippetsById[pending.snippetId];
+    if (!snippet) return;
+    const timeout = pending.createdAt + PENDING_NAVIGATION_TIMEOUT_MS - Date.now();
+    const result = await waitForSource(snippet, { timeout });
+    if (result.notRendered && getSnippetConversationId(snippet) === state.route.conversationId) {
+      seekToSource(snippet);
+      return;
+    }
+    reportNavigationResult(result);
+  }
+  async function seekToSource(snippet) {
+    cancelActiveSeek();
+    const toast = createProgressToast({
+      message: "Scrolling to find the source...",
+      onCancel: cancelActiveSeek
+    });
+    const seek = seekSource(snippet, {
+      onProgress: ({ step, maxSteps }) => toast.update(step / maxSteps)
+    });
+    activeSeek = { ...seek, toast };
+    const result = await seek.promise;
+    toast.close();
+    if (activeSeek && activeSeek.promise === seek.promise) {
+      activeSeek = null;
+    }
+    if (!result.canceled) {
+      reportNavigationResult(result);
+    }
+  }
+  function cancelActiveSeek() {
+    if (!activeSeek) return;
+    activeSeek.cancel();
+    activeSeek.toast.close();
+    activeSeek = null;
+  }
+  function reportNavigationResult(result) {
     if (!result.success) {
       createToast(result.reason || "Source not found");
+    } else if (result.confidence === 0) {
+      createToast("The snippet text is no longer in this message. Showing the message instead.");
+    } else if (typeof result.confidence === "number" && result.confidence < APPROXIMATE_MATCH_CONFIDENCE) {
+      createToast(`Source text has changed. Showing the closest match (${Math.round(result.confidence * 100)}% similar).`);
+    } else if (result.missingSegments) {
+      createToast(`${result.missingSegments} of the snippet's messages could not be found.`);
     }
   }
   function togglePanel() {
+    if (!showsOverlay(state.settings.panelMode)) {
+      createToast("Snippets are shown in the side panel: open it from the toolbar button");
+      return;
+    }
     state.panelOpen = !state.panelOpen;
     if (panel) {
       panel.classList.toggle("ce-panel-open", state.panelOpen);
     }
   }
+  function openPanel() {
+    if (!state.panelOpen) {
+      togglePanel();
+    }
+  }
   function handleClose() {
     state.panelOpen = false;
     if (panel) {
       panel.classList.remove("ce-panel-open");
     }
   }
-  async function handleToggleAutoSave() {
-    state.settings.autoSave = !state.settings.autoSave;
-    await persistState();
-    updateUI();
-    createToast(`Auto-save ${state.settings.autoSave ? "enabled" : "disabled"}`);
+  async function handleCycleCaptureMode() {
+    const currentIndex = CAPTURE_MODES.indexOf(state.settings.captureMode);
+    const nextMode = CAPTURE_MODES[(currentIndex + 1) % CAPTURE_MODES.length];
+    state.settings.captureMode = nextMode;
+    state.settings.autoSave = nextMode === "auto";
+    hideSaveBubble();
+    await session.save();
+    renderUI();
+    const modeMessages = {
+      auto: "Auto-save enabled",
+      bubble: "Manual save: select text, then click Save",
+      off: "Capture disabled"
+    };
+    createToast(modeMessages[nextMode]);
+  }
+  function handleCyclePanelMode() {
+    const currentIndex = PANEL_MODES.indexOf(state.settings.panelMode);
+    return setPanelMode(PANEL_MODES[(currentIndex + 1) % PANEL_MODES.length]);
+  }
+  async function setPanelMode(mode) {
+    if (mode === state.settings.panelMode) return;
+    usePanelMode(mode);
+    await session.save();
+    const modeMessages = {
+      overlay: "Snippets are shown in the page panel",
+      sidepanel: "Snippets are shown in the side panel: open it from the toolbar button",
+      both: "Snippets are shown in the page panel and the side panel"
+    };
+    createToast(modeMessages[mode]);
+  }
+  function usePanelMode(mode) {
+    state.settings.panelMode = mode;
+    if (!showsOverlay(mode)) {
+      handleClose();
+    }
+    reportedPanelState = null;
+    applyPanelMode();
+    renderUI();
+  }
+  function handleSettingsChange(changes, areaName) {
+    if (areaName !== "local" || !changes.settings?.newValue) return;
+    const mode = resolvePanelMode(changes.settings.newValue.panelMode);
+    if (mode !== state.settings.panelMode) {
+      usePanelMode(mode);
+    }
   }
   async function handleToggleTheme() {
     const currentTheme = getCurrentTheme();
@@ -1846,12 +6789,34 @@
       nextTheme = "auto";
     }
     state.settings.theme = nextTheme;
-    applyTheme(nextTheme);
-    await persistState();
+    applyTheme(nextTheme, [container]);
+    await session.save();
     updateUI();
     const themeLabels = { auto: "Auto", light: "Light", dark: "Dark" };
     createToast(`Theme: ${themeLabels[nextTheme]}`);
   }
+  async function handleToggleHighlights() {
+    state.settings.persistentHighlights = !state.settings.persistentHighlights;
+    if (state.settings.persistentHighlights) {
+      highlighter.start();
+    } else {
+      highlighter.stop();
+    }
+    await session.save();
+    renderUI();
+    createToast(state.settings.persistentHighlights ? "Highlighting saved snippets in the page" : "Page highlights off");
+  }
+  function getHighlightedSnippets() {
+    const conversationId = state.route.conversationId;
+    if (!conversationId) return [];
+    const { snippetsById, index } = state.storage;
+    return (index.byThread[conversationId] || []).map((id) => snippetsById[id]).filter(Boolean);
+  }
+  function refreshHighlights() {
+    if (highlighter && highlighter.isActive()) {
+      highlighter.refresh();
+    }
+  }
   function handleSearch(query) {
     console.log("[handleSearch] Called with query:", query);
     state.searchQuery = query || "";
@@ -1877,6 +6842,34 @@
     state.cache.key = null;
     updateUI();
   }
+  async function handleListViewChange(change) {
+    const scope = getListScope();
+    state.settings.listViews = resolveListViews({
+      ...state.settings.listViews,
+      [scope]: { ...state.settings.listViews[scope], ...change }
+    });
+    state.cache.key = null;
+    updateUI();
+    await session.save();
+  }
+  function handleToggleGroup(key) {
+    const id = `${getListView().group}:${key}`;
+    if (state.collapsedGroups.has(id)) {
+      state.collapsedGroups.delete(id);
+    } else {
+      state.collapsedGroups.add(id);
+    }
+    state.cache.key = null;
+    updateUI();
+  }
+  function handleSearchSortChange(sort) {
+    if (!["relevance", "time"].includes(sort)) {
+      return;
+    }
+    state.searchSort = sort;
+    state.cache.key = null;
+    updateUI();
+  }
   if (document.readyState === "loading") {
     document.addEventListener("DOMContentLoaded", init);
   } else {
@@ -0,0 +1,3484 @@
+(() => {
+  // src/content/storage.js
+  var STORAGE_KEY = "snippets";
+  var BACKUP_KEY_PREFIX = "snippets_backup_v";
+  var SCHEMA_VERSION = 3;
+  var READ_ONLY_MESSAGE = "Snippets were saved by a newer version of the extension. Update it to make changes.";
+  var DAY_MS = 24 * 60 * 60 * 1e3;
+  var TOMBSTONE_TTL_MS = 30 * DAY_MS;
+  function createEmptyStorage() {
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      snippetsById: {},
+      index: {
+        byThread: createIndexMap(),
+        byProject: createIndexMap(),
+        byTag: createIndexMap(),
+        byTime: []
+      },
+      // Soft-deleted snippets (ID -> snippet with deletedAt), restorable until purged
+      trash: {},
+      // Permanently deleted snippet IDs -> purgedAt, so other tabs don't resurrect them
+      tombstones: {},
+      // Conversation ID -> {title, projectId, projectName, updatedAt}, shared by its snippets
+      conversations: {},
+      meta: {
+        lastUpdatedAt: Date.now(),
+        totalCount: 0
+      }
+    };
+  }
+  function getSnippetVersion(snippet) {
+    return snippet?.updatedAt || snippet?.createdAt || 0;
+  }
+  function getSnippetTags(snippet) {
+    if (!Array.isArray(snippet?.tags)) return [];
+    return [...new Set(snippet.tags.filter((tag) => typeof tag === "string" && tag))];
+  }
+  function createIndexMap(buckets) {
+    return Object.assign(/* @__PURE__ */ Object.create(null), buckets);
+  }
+  function addToBucket(buckets, key, id) {
+    const ids = buckets[key] || [];
+    if (!ids.includes(id)) {
+      buckets[key] = [...ids, id];
+    }
+  }
+  function removeFromBucket(buckets, key, id) {
+    if (!buckets[key]) return;
+    const ids = buckets[key].filter((sid) => sid !== id);
+    if (ids.length === 0) {
+      delete buckets[key];
+    } else {
+      buckets[key] = ids;
+    }
+  }
+  function buildIndexes(snippetsById) {
+    const byThread = createIndexMap();
+    const byProject = createIndexMap();
+    const byTag = createIndexMap();
+    const snippets = Object.values(snippetsById);
+    snippets.forEach((snippet) => {
+      const conversationId = snippet.conversationId || null;
+      if (conversationId !== null) {
+        if (!byThread[conversationId]) {
+          byThread[conversationId] = [];
+        }
+        byThread[conversationId].push(snippet.id);
+      }
+      const projectId = snippet.projectId || null;
+      if (projectId !== null) {
+        if (!byProject[projectId]) {
+          byProject[projectId] = [];
+        }
+        byProject[projectId].push(snippet.id);
+      }
+      getSnippetTags(snippet).forEach((tag) => {
+        if (!byTag[tag]) {
+          byTag[tag] = [];
+        }
+        byTag[tag].push(snippet.id);
+      });
+    });
+    const byTime = snippets.slice().sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0)).map((snippet) => snippet.id);
+    return { byThread, byProject, byTag, byTime };
+  }
+  function migrateV1ToV2(v1Data) {
+    const items = Array.isArray(v1Data?.items) ? v1Data.items : [];
+    const snippetsById = {};
+    const byThread = {};
+    const byProject = {};
+    const byTime = [];
+    items.forEach((snippet) => {
+      if (!snippet || !snippet.id) {
+        return;
+      }
+      const migratedSnippet = {
+        ...snippet,
+        createdAt: snippet.timestamp || snippet.createdAt || Date.now()
+      };
+      if (migratedSnippet.timestamp && !migratedSnippet.createdAt) {
+        migratedSnippet.createdAt = migratedSnippet.timestamp;
+      }
+      snippetsById[snippet.id] = migratedSnippet;
+      const conversationId = snippet.conversationId || null;
+      if (!byThread[conversationId]) {
+        byThread[conversationId] = [];
+      }
+      byThread[conversationId].push(snippet.id);
+      byTime.push(snippet.id);
+    });
+    byTime.sort((id1, id2) => {
+      const snippet1 = snippetsById[id1];
+      const snippet2 = snippetsById[id2];
+      const time1 = snippet1?.createdAt || 0;
+      const time2 = snippet2?.createdAt || 0;
+      return time2 - time1;
+    });
+    return {
+      schemaVersion: 2,
+      snippetsById,
+      index: {
+        byThread,
+        byProject,
+        byTime
+      },
+      meta: {
+        lastUpdatedAt: Date.now(),
+        totalCount: Object.keys(snippetsById).length
+      }
+    };
+  }
+  function migrateV2ToV3(v2Data) {
+    const stamp = (snippet, deletedAt) => ({
+      ...snippet,
+      updatedAt: snippet.updatedAt || snippet.createdAt || 0,
+      revision: snippet.revision || 1,
+      deletedAt
+    });
+    const snippetsById = {};
+    Object.values(v2Data?.snippetsById || {}).forEach((snippet) => {
+      if (snippet && snippet.id) {
+        snippetsById[snippet.id] = stamp(snippet, null);
+      }
+    });
+    const trash = {};
+    Object.values(v2Data?.trash || {}).forEach((snippet) => {
+      if (snippet && snippet.id) {
+        trash[snippet.id] = stamp(snippet, snippet.deletedAt || Date.now());
+      }
+    });
+    return {
+      schemaVersion: 3,
+      snippetsById,
+      index: buildIndexes(snippetsById),
+      trash,
+      tombstones: { ...v2Data?.tombstones },
+      meta: {
+        ...v2Data?.meta,
+        lastUpdatedAt: v2Data?.meta?.lastUpdatedAt || Date.now(),
+        totalCount: Object.keys(snippetsById).length
+      }
+    };
+  }
+  var MIGRATIONS = [
+    { from: 1, to: 2, migrate: migrateV1ToV2 },
+    { from: 2, to: 3, migrate: migrateV2ToV3 }
+  ];
+  function migrateStorage(data) {
+    let current = data;
+    while (current.schemaVersion !== SCHEMA_VERSION) {
+      const migration = MIGRATIONS.find((step) => step.from === current.schemaVersion);
+      if (!migration) {
+        return null;
+      }
+      current = { ...migration.migrate(current), schemaVersion: migration.to };
+    }
+    return current;
+  }
+  function isUnsupportedVersion(data) {
+    if (data.schemaVersion === SCHEMA_VERSION) return false;
+    return !MIGRATIONS.some((step) => step.from === data.schemaVersion);
+  }
+  function createReadOnlyStorage(data) {
+    const snippetsById = {};
+    Object.values(data.snippetsById && typeof data.snippetsById === "object" ? data.snippetsById : {}).forEach((snippet) => {
+      if (snippet && typeof snippet.id === "string" && typeof snippet.text === "string" && !snippet.deletedAt) {
+        snippetsById[snippet.id] = snippet;
+      }
+    });
+    const empty = createEmptyStorage();
+    return {
+      ...empty,
+      snippetsById,
+      index: buildIndexes(snippetsById),
+      conversations: data.conversations && typeof data.conversations === "object" ? { ...data.conversations } : {},
+      meta: { ...empty.meta, totalCount: Object.keys(snippetsById).length },
+      readOnly: true,
+      unsupportedSchemaVersion: data.schemaVersion
+    };
+  }
+  async function loadStorage() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEY);
+      const data = result[STORAGE_KEY];
+      if (!data) {
+        return createEmptyStorage();
+      }
+      if (isUnsupportedVersion(data)) {
+        console.warn(`Unsupported schema version: ${data.schemaVersion}, opening read-only`);
+        return createReadOnlyStorage(data);
+      }
+      if (data.schemaVersion !== SCHEMA_VERSION) {
+        console.log(`Migrating snippets from v${data.schemaVersion} to v${SCHEMA_VERSION}...`);
+        const migrated = migrateStorage(data);
+        try {
+          await chrome.storage.local.set({
+            [`${BACKUP_KEY_PREFIX}${data.schemaVersion}`]: data,
+            [STORAGE_KEY]: migrated
+          });
+          console.log("Migration completed successfully");
+        } catch (error) {
+          console.error("Failed to save migrated data:", error);
+        }
+        return migrated;
+      }
+      if (!data.snippetsById || !data.index) {
+        console.warn(`Invalid v${SCHEMA_VERSION} structure, creating empty storage`);
+        return createEmptyStorage();
+      }
+      if (!data.index.byTag) {
+        data.index.byTag = buildIndexes(data.snippetsById).byTag;
+      }
+      data.index.byThread = createIndexMap(data.index.byThread);
+      data.index.byProject = createIndexMap(data.index.byProject);
+      data.index.byTag = createIndexMap(data.index.byTag);
+      if (!data.tombstones) {
+        data.tombstones = {};
+      }
+      if (!data.trash) {
+        data.trash = {};
+      }
+      if (!data.conversations) {
+        data.conversations = {};
+      }
+      return data;
+    } catch (error) {
+      console.error("Failed to load storage:", error);
+      return createEmptyStorage();
+    }
+  }
+  async function saveStorage(storage) {
+    if (storage.readOnly) {
+      throw new Error(READ_ONLY_MESSAGE);
+    }
+    try {
+      storage.meta = {
+        ...storage.meta,
+        lastUpdatedAt: Date.now(),
+        totalCount: Object.keys(storage.snippetsById || {}).length
+      };
+      await chrome.storage.local.set({ [STORAGE_KEY]: storage });
+      if (chrome.runtime.lastError) {
+        const error = chrome.runtime.lastError;
+        if (error.message && error.message.includes("quota")) {
+          throw new Error("Storage quota exceeded. Please clear some snippets or export your data.");
+        }
+        throw new Error(error.message || "Failed to save storage");
+      }
+    } catch (error) {
+      console.error("Failed to save storage:", error);
+      if (error.message && error.message.includes("quota")) {
+        throw error;
+      }
+      if (error.message && (error.message.includes("QUOTA_BYTES") || error.message.includes("exceeded"))) {
+        throw new Error("Storage quota exceeded. Please clear some snippets or export your data.");
+      }
+      throw error;
+    }
+  }
+  function upsertSnippet(storage, snippet) {
+    if (!snippet || !snippet.id) {
+      throw new Error("Snippet must have an id");
+    }
+    const snippetsById = { ...storage.snippetsById };
+    const index = {
+      byThread: createIndexMap(storage.index.byThread),
+      byProject: createIndexMap(storage.index.byProject),
+      byTag: createIndexMap(storage.index.byTag),
+      byTime: [...storage.index.byTime]
+    };
+    const existingSnippet = snippetsById[snippet.id];
+    const oldConversationId = existingSnippet?.conversationId || null;
+    const newConversationId = snippet.conversationId || null;
+    const oldProjectId = existingSnippet?.projectId || null;
+    const newProjectId = snippet.projectId || null;
+    if (!snippet.createdAt) {
+      snippet.createdAt = existingSnippet?.createdAt || Date.now();
+    }
+    const previousRevision = Math.max(
+      existingSnippet?.revision || 0,
+      storage.trash?.[snippet.id]?.revision || 0,
+      snippet.revision || 0
+    );
+    snippetsById[snippet.id] = {
+      ...snippet,
+      updatedAt: Date.now(),
+      revision: previousRevision + 1,
+      deletedAt: null
+    };
+    let tombstones = storage.tombstones;
+    if (tombstones && tombstones[snippet.id] !== void 0) {
+      tombstones = { ...tombstones };
+      delete tombstones[snippet.id];
+    }
+    let trash = storage.trash;
+    if (trash && trash[snippet.id]) {
+      trash = { ...trash };
+      delete trash[snippet.id];
+    }
+    if (oldConversationId !== newConversationId) {
+      if (oldConversationId !== null && index.byThread[oldConversationId]) {
+        index.byThread[oldConversationId] = index.byThread[oldConversationId].filter((id) => id !== snippet.id);
+        if (index.byThread[oldConversationId].length === 0) {
+          delete index.byThread[oldConversationId];
+        }
+      }
+      if (newConversationId !== null) {
+        if (!index.byThread[newConversationId]) {
+          index.byThread[newConversationId] = [];
+        }
+        if (!index.byThread[newConversationId].includes(snippet.id)) {
+          index.byThread[newConversationId].push(snippet.id);
+        }
+      }
+    } else if (newConversationId !== null && !index.byThread[newConversationId]) {
+      index.byThread[newConversationId] = [snippet.id];
+    } else if (newConversationId !== null && !index.byThread[newConversationId].includes(snippet.id)) {
+      index.byThread[newConversationId].push(snippet.id);
+    }
+    if (oldProjectId !== newProjectId) {
+      if (oldProjectId !== null && index.byProject[oldProjectId]) {
+        index.byProject[oldProjectId] = index.byProject[oldProjectId].filter((id) => id !== snippet.id);
+        if (index.byProject[oldProjectId].length === 0) {
+          delete index.byProject[oldProjectId];
+        }
+      }
+      if (newProjectId !== null) {
+        if (!index.byProject[newProjectId]) {
+          index.byProject[newProjectId] = [];
+        }
+        if (!index.byProject[newProjectId].includes(snippet.id)) {
+          index.byProject[newProjectId].push(snippet.id);
+        }
+      }
+    } else if (newProjectId !== null && !index.byProject[newProjectId]) {
+      index.byProject[newProjectId] = [snippet.id];
+    } else if (newProjectId !== null && !index.byProject[newProjectId].includes(snippet.id)) {
+      index.byProject[newProjectId].push(snippet.id);
+    }
+    const oldTags = getSnippetTags(existingSnippet);
+    const newTags = getSnippetTags(snippet);
+    oldTags.filter((tag) => !newTags.includes(tag)).forEach((tag) => removeFromBucket(index.byTag, tag, snippet.id));
+    newTags.forEach((tag) => addToBucket(index.byTag, tag, snippet.id));
+    const timeIndex = index.byTime.indexOf(snippet.id);
+    if (timeIndex !== -1) {
+      index.byTime.splice(timeIndex, 1);
+    }
+    const createdAt = snippet.createdAt || 0;
+    let insertIndex = 0;
+    for (let i = 0; i < index.byTime.length; i++) {
+      const otherId = index.byTime[i];
+      const otherSnippet = snippetsById[otherId];
+      const otherTime = otherSnippet?.createdAt || 0;
+      if (createdAt < otherTime) {
+        insertIndex = i + 1;
+      } else {
+        break;
+      }
+    }
+    index.byTime.splice(insertIndex, 0, snippet.id);
+    return {
+      ...storage,
+      snippetsById,
+      index,
+      trash,
+      tombstones
+    };
+  }
+  function trashEntry(snippet, deletedAt) {
+    return { ...snippet, deletedAt, revision: (snippet.revision || 0) + 1 };
+  }
+  function removeSnippet(storage, id, deletedAt = Date.now()) {
+    const snippet = storage.snippetsById[id];
+    if (!snippet) {
+      return storage;
+    }
+    const snippetsById = { ...storage.snippetsById };
+    delete snippetsById[id];
+    const index = {
+      byThread: createIndexMap(storage.index.byThread),
+      byProject: createIndexMap(storage.index.byProject),
+      byTag: createIndexMap(storage.index.byTag),
+      byTime: [...storage.index.byTime]
+    };
+    const conversationId = snippet.conversationId || null;
+    if (conversationId !== null && index.byThread[conversationId]) {
+      index.byThread[conversationId] = index.byThread[conversationId].filter((sid) => sid !== id);
+      if (index.byThread[conversationId].length === 0) {
+        delete index.byThread[conversationId];
+      }
+    }
+    const projectId = snippet.projectId || null;
+    if (projectId !== null && index.byProject[projectId]) {
+      index.byProject[projectId] = index.byProject[projectId].filter((sid) => sid !== id);
+      if (index.byProject[projectId].length === 0) {
+        delete index.byProject[projectId];
+      }
+    }
+    getSnippetTags(snippet).forEach((tag) => removeFromBucket(index.byTag, tag, id));
+    index.byTime = index.byTime.filter((sid) => sid !== id);
+    return {
+      ...storage,
+      snippetsById,
+      index,
+      trash: { ...storage.trash, [id]: trashEntry(snippet, deletedAt) }
+    };
+  }
+  function getTagCounts(storage) {
+    return Object.entries(storage.index.byTag || {}).map(([tag, ids]) => ({ tag, count: ids.length })).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+  function upsertConversation(storage, conversationId, fields, updatedAt = Date.now()) {
+    if (!conversationId) {
+      return storage;
+    }
+    const existing = storage.conversations?.[conversationId] || {};
+    const changes = {};
+    ["title", "projectId", "projectName"].forEach((key) => {
+      const value = typeof fields[key] === "string" ? fields[key].trim() : "";
+      if (value && value !== existing[key]) {
+        changes[key] = value;
+      }
+    });
+    if (Object.keys(changes).length === 0) {
+      return storage;
+    }
+    return {
+      ...storage,
+      conversations: {
+        ...storage.conversations,
+        [conversationId]: { ...existing, ...changes, updatedAt }
+      }
+    };
+  }
+  function getConversation(storage, conversationId) {
+    return conversationId && storage.conversations?.[conversationId] || null;
+  }
+  function findProjectName(storage, projectId) {
+    if (!projectId) {
+      return null;
+    }
+    const named = Object.values(storage.conversations || {}).filter((conversation) => conversation.projectId === projectId && conversation.projectName).sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+    return named.length > 0 ? named[0].projectName : null;
+  }
+  function mergeConversations(local = {}, remote = {}) {
+    const conversations = { ...local };
+    let localChanged = false;
+    let remoteChanged = false;
+    (/* @__PURE__ */ new Set([...Object.keys(local), ...Object.keys(remote)])).forEach((id) => {
+      const localEntry = local[id];
+      const remoteEntry = remote[id];
+      if (!remoteEntry) {
+        remoteChanged = true;
+      } else if (!localEntry || (remoteEntry.updatedAt || 0) > (localEntry.updatedAt || 0)) {
+        conversations[id] = remoteEntry;
+        localChanged = true;
+      } else if (JSON.stringify(localEntry) !== JSON.stringify(remoteEntry)) {
+        remoteChanged = true;
+      }
+    });
+    return { conversations, localChanged, remoteChanged };
+  }
+  function clearAll(storage) {
+    const cleared = createEmptyStorage();
+    const deletedAt = Date.now();
+    cleared.tombstones = { ...storage.tombstones };
+    cleared.trash = { ...storage.trash };
+    cleared.conversations = { ...storage.conversations };
+    Object.values(storage.snippetsById || {}).forEach((snippet) => {
+      cleared.trash[snippet.id] = trashEntry(snippet, deletedAt);
+    });
+    return cleared;
+  }
+  function pickSnippetWinner(localSnippet, remoteSnippet, localMeta, remoteMeta) {
+    const localVersion = getSnippetVersion(localSnippet);
+    const remoteVersion = getSnippetVersion(remoteSnippet);
+    if (localVersion !== remoteVersion) {
+      return localVersion > remoteVersion ? "local" : "remote";
+    }
+    const localRevision = localSnippet?.revision || 0;
+    const remoteRevision = remoteSnippet?.revision || 0;
+    if (localRevision !== remoteRevision) {
+      return localRevision > remoteRevision ? "local" : "remote";
+    }
+    if (localRevision > 0) {
+      return "equal";
+    }
+    const localJson = JSON.stringify(localSnippet);
+    const remoteJson = JSON.stringify(remoteSnippet);
+    if (localJson === remoteJson) {
+      return "equal";
+    }
+    const localWrittenAt = localMeta?.lastUpdatedAt || 0;
+    const remoteWrittenAt = remoteMeta?.lastUpdatedAt || 0;
+    if (localWrittenAt !== remoteWrittenAt) {
+      return localWrittenAt > remoteWrittenAt ? "local" : "remote";
+    }
+    return localJson > remoteJson ? "local" : "remote";
+  }
+  var ENTRY_RANK = { live: 0, trash: 1, purged: 2 };
+  function getSnippetEntry(storage, id) {
+    const entries = [];
+    const live = storage?.snippetsById?.[id];
+    if (live) {
+      entries.push({ kind: "live", version: getSnippetVersion(live), value: live });
+    }
+    const trashed = storage?.trash?.[id];
+    if (trashed) {
+      entries.push({ kind: "trash", version: trashed.deletedAt || 0, value: trashed });
+    }
+    const purgedAt = storage?.tombstones?.[id];
+    if (purgedAt !== void 0) {
+      entries.push({ kind: "purged", version: purgedAt, value: purgedAt });
+    }
+    if (entries.length === 0) {
+      return null;
+    }
+    const newest = entries.reduce((best, entry) => compareEntries(entry, best) > 0 ? entry : best);
+    return { ...newest, conflicting: entries.length > 1 };
+  }
+  function compareEntries(a, b) {
+    if (a.version !== b.version) {
+      return a.version - b.version;
+    }
+    return ENTRY_RANK[a.kind] - ENTRY_RANK[b.kind];
+  }
+  function mergeStorage(local, remote, now = Date.now()) {
+    const ids = /* @__PURE__ */ new Set();
+    [local, remote].forEach((side) => {
+      ["snippetsById", "trash", "tombstones"].forEach((area) => {
+        Object.keys(side?.[area] || {}).forEach((id) => ids.add(id));
+      });
+    });
+    const snippetsById = {};
+    const trash = {};
+    const tombstones = {};
+    let localChanged = false;
+    let remoteChanged = false;
+    ids.forEach((id) => {
+      const localEntry = getSnippetEntry(local, id);
+      const remoteEntry = getSnippetEntry(remote, id);
+      let winningSide;
+      if (!remoteEntry) {
+        winningSide = "local";
+      } else if (!localEntry) {
+        winningSide = "remote";
+      } else {
+        const order = compareEntries(localEntry, remoteEntry);
+        if (order !== 0) {
+          winningSide = order > 0 ? "local" : "remote";
+        } else if (localEntry.kind === "purged") {
+          winningSide = "equal";
+        } else {
+          winningSide = pickSnippetWinner(localEntry.value, remoteEntry.value, local.meta, remote.meta);
+        }
+      }
+      const winner = winningSide === "remote" ? remoteEntry : localEntry;
+      const expired = winner.kind === "purged" && now - winner.value >= TOMBSTONE_TTL_MS;
+      if (winner.kind === "live") {
+        snippetsById[id] = winner.value;
+      } else if (winner.kind === "trash") {
+        trash[id] = winner.value;
+      } else if (!expired) {
+        tombstones[id] = winner.value;
+      }
+      const sideChanged = (entry, heldWinner) => {
+        if (entry?.conflicting) return true;
+        if (expired) return Boolean(entry) && entry.kind !== "purged";
+        return !heldWinner;
+      };
+      if (sideChanged(localEntry, winningSide !== "remote")) localChanged = true;
+      if (sideChanged(remoteEntry, winningSide !== "local")) remoteChanged = true;
+    });
+    const merged = mergeConversations(local?.conversations, remote?.conversations);
+    if (merged.localChanged) localChanged = true;
+    if (merged.remoteChanged) remoteChanged = true;
+    const localWrittenAt = local?.meta?.lastUpdatedAt || 0;
+    const remoteWrittenAt = remote?.meta?.lastUpdatedAt || 0;
+    return {
+      storage: {
+        ...local,
+        schemaVersion: SCHEMA_VERSION,
+        snippetsById,
+        index: buildIndexes(snippetsById),
+        trash,
+        tombstones,
+        conversations: merged.conversations,
+        meta: {
+          ...local?.meta,
+          lastUpdatedAt: Math.max(localWrittenAt, remoteWrittenAt),
+          totalCount: Object.keys(snippetsById).length
+        }
+      },
+      localChanged,
+      remoteChanged
+    };
+  }
+  var chromeBackend = {
+    load: () => loadStorage(),
+    save: (storage) => saveStorage(storage)
+  };
+  async function removeStorage() {
+    await chrome.storage.local.remove(STORAGE_KEY);
+  }
+  async function commitStorage(storage, adapter = chromeBackend) {
+    const remote = await adapter.load();
+    if (remote.readOnly) {
+      throw new Error(READ_ONLY_MESSAGE);
+    }
+    const { storage: merged } = mergeStorage(storage, remote);
+    await adapter.save(merged);
+    return merged;
+  }
+  function subscribeToStorageChanges(onChange) {
+    const listener = (changes, areaName) => {
+      if (areaName !== "local" || !changes[STORAGE_KEY]) return;
+      const newValue = changes[STORAGE_KEY].newValue;
+      if (!newValue || !newValue.snippetsById) return;
+      if (newValue.schemaVersion > SCHEMA_VERSION) return;
+      onChange(newValue);
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+
+  // src/content/storageAdapters.js
+  function sortByCreatedAt(snippets) {
+    return [...snippets].sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  }
+  function createChromeStorageAdapter() {
+    const getSnippets = async (ids) => {
+      const storage = await loadStorage();
+      return ids(storage).map((id) => storage.snippetsById[id]).filter(Boolean);
+    };
+    return {
+      name: "chrome",
+      load: () => loadStorage(),
+      save: (storage) => saveStorage(storage),
+      subscribe: (onChange) => subscribeToStorageChanges(onChange),
+      async getSnippetsByConversation(conversationId) {
+        return sortByCreatedAt(await getSnippets((storage) => storage.index.byThread[conversationId] || []));
+      },
+      async getSnippetsByProject(projectId) {
+        return sortByCreatedAt(await getSnippets((storage) => storage.index.byProject?.[projectId] || []));
+      },
+      async getRecentSnippets(limit = Infinity) {
+        const snippets = await getSnippets((storage) => Object.keys(storage.snippetsById));
+        return sortByCreatedAt(snippets).reverse().slice(0, limit);
+      },
+      clear: () => removeStorage()
+    };
+  }
+
+  // src/content/history.js
+  var DEFAULT_HISTORY_LIMIT = 50;
+  function diffSnippets(beforeById, afterById) {
+    const changes = [];
+    const before = beforeById || {};
+    const after = afterById || {};
+    Object.keys(before).forEach((id) => {
+      if (before[id] !== after[id]) {
+        changes.push({ id, before: before[id], after: after[id] || null });
+      }
+    });
+    Object.keys(after).forEach((id) => {
+      if (!before[id]) {
+        changes.push({ id, before: null, after: after[id] });
+      }
+    });
+    return changes;
+  }
+  function getReplayableChanges(storage, changes) {
+    return changes.filter((change) => storage.tombstones?.[change.id] === void 0);
+  }
+  function popReplayableEntry(stack, storage) {
+    let entry = stack.pop();
+    while (entry && getReplayableChanges(storage, entry.changes).length === 0) {
+      entry = stack.pop();
+    }
+    return entry;
+  }
+  function applyChanges(storage, changes, side) {
+    return getReplayableChanges(storage, changes).reduce((updated, change) => {
+      const snippet = change[side];
+      return snippet ? upsertSnippet(updated, { ...snippet }) : removeSnippet(updated, change.id);
+    }, storage);
+  }
+  function createHistory({ limit = DEFAULT_HISTORY_LIMIT } = {}) {
+    const undoStack = [];
+    const redoStack = [];
+    return {
+      /**
+       * Records a mutation. Mutations that changed nothing are ignored.
+       * @param {string} label - Human-readable description (e.g. "Delete snippet")
+       * @param {Object} beforeStorage - Storage before the mutation
+       * @param {Object} afterStorage - Storage after the mutation
+       * @returns {Object|null} Recorded entry or null
+       */
+      record(label, beforeStorage, afterStorage) {
+        const changes = diffSnippets(beforeStorage?.snippetsById, afterStorage?.snippetsById);
+        if (changes.length === 0) {
+          return null;
+        }
+        const entry = { label, changes, createdAt: Date.now() };
+        undoStack.push(entry);
+        if (undoStack.length > limit) {
+          undoStack.splice(0, undoStack.length - limit);
+        }
+        redoStack.length = 0;
+        return entry;
+      },
+      /**
+       * Undoes the most recent entry that doesn't only touch permanently deleted snippets.
+       * @param {Object} storage - Current storage
+       * @returns {{storage: Object, entry: Object}|null} Updated storage and entry, or null if nothing to undo
+       */
+      undo(storage) {
+        const entry = popReplayableEntry(undoStack, storage);
+        if (!entry) return null;
+        redoStack.push(entry);
+        return { storage: applyChanges(storage, entry.changes, "before"), entry };
+      },
+      /**
+       * Redoes the most recently undone entry that doesn't only touch permanently deleted snippets.
+       * @param {Object} storage - Current storage
+       * @returns {{storage: Object, entry: Object}|null} Updated storage and entry, or null if nothing to redo
+       */
+      redo(storage) {
+        const entry = popReplayableEntry(redoStack, storage);
+        if (!entry) return null;
+        undoStack.push(entry);
+        return { storage: applyChanges(storage, entry.changes, "after"), entry };
+      },
+      canUndo() {
+        return undoStack.length > 0;
+      },
+      canRedo() {
+        return redoStack.length > 0;
+      },
+      clear() {
+        undoStack.length = 0;
+        redoStack.length = 0;
+      }
+    };
+  }
+
+  // src/shared/palette.js
+  var DEFAULT_PALETTE = [
+    { id: "yellow", label: "Fact", color: "#facc15" },
+    { id: "green", label: "To-do", color: "#22c55e" },
+    { id: "red", label: "Question", color: "#ef4444" },
+    { id: "blue", label: "Idea", color: "#3b82f6" },
+    { id: "purple", label: "Quote", color: "#a855f7" }
+  ];
+  var COLOR_ID_PATTERN = /^[a-z0-9-]{1,24}$/;
+  var HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+  var MAX_LABEL_LENGTH = 24;
+  var HIGHLIGHT_ALPHA = 0.35;
+  function isColorId(id) {
+    return typeof id === "string" && COLOR_ID_PATTERN.test(id);
+  }
+  function resolvePalette(saved) {
+    if (!Array.isArray(saved)) return DEFAULT_PALETTE.map((entry) => ({ ...entry }));
+    const seen = /* @__PURE__ */ new Set();
+    const palette = saved.filter((entry) => {
+      if (!entry || !isColorId(entry.id) || seen.has(entry.id)) return false;
+      if (typeof entry.label !== "string" || !entry.label.trim() || !HEX_COLOR_PATTERN.test(entry.color)) return false;
+      seen.add(entry.id);
+      return true;
+    }).map((entry) => ({ id: entry.id, label: entry.label.trim().slice(0, MAX_LABEL_LENGTH), color: entry.color.toLowerCase() }));
+    return palette.length > 0 ? palette : DEFAULT_PALETTE.map((entry) => ({ ...entry }));
+  }
+  function findPaletteEntry(palette, id) {
+    if (!id || !Array.isArray(palette)) return null;
+    return palette.find((entry) => entry.id === id) || null;
+  }
+  function getColorLabel(palette, id) {
+    return findPaletteEntry(palette, id)?.label || null;
+  }
+  function colorVar(id, background = false) {
+    return `var(--ce-color-${id}${background ? "-bg" : ""})`;
+  }
+  function hexToRgba(hex, alpha) {
+    const value = parseInt(hex.slice(1), 16);
+    return `rgba(${value >> 16 & 255}, ${value >> 8 & 255}, ${value & 255}, ${alpha})`;
+  }
+  function buildPaletteCss(palette) {
+    const variables = palette.map(
+      ({ id, color }) => `  --ce-color-${id}: ${color};
+  --ce-color-${id}-bg: ${hexToRgba(color, HIGHLIGHT_ALPHA)};`
+    );
+    const highlights = palette.map(
+      ({ id, color }) => `::highlight(ce-snippet-${id}),
+::highlight(ce-transient-${id}) {
+  background-color: ${hexToRgba(color, HIGHLIGHT_ALPHA)};
+}`
+    );
+    return [`:root {
+${variables.join("\n")}
+}`, ...highlights].join("\n\n");
+  }
+
+  // src/shared/tags.js
+  var MAX_TAG_LENGTH = 40;
+  var MAX_SUGGESTIONS = 8;
+  function normalizeTag(value) {
+    if (typeof value !== "string") return "";
+    return value.trim().replace(/^#+/, "").trim().replace(/\s+/g, "-").toLowerCase().slice(0, MAX_TAG_LENGTH);
+  }
+  function suggestTags(tags, input, exclude = [], limit = MAX_SUGGESTIONS) {
+    const query = normalizeTag(input);
+    const candidates = tags.filter((tag) => !exclude.includes(tag));
+    if (!query) return candidates.slice(0, limit);
+    const prefixed = candidates.filter((tag) => tag.startsWith(query));
+    const containing = candidates.filter((tag) => !tag.startsWith(query) && tag.includes(query));
+    return [...prefixed, ...containing].slice(0, limit);
+  }
+
+  // src/shared/query.js
+  var FIELDS = ["tag", "color", "conv", "project", "before", "after", "role", "has", "truncated"];
+  var ROLES = ["user", "assistant"];
+  var HAS_VALUES = ["note", "tag", "color"];
+  var BOOLEAN_VALUES = ["true", "false"];
+  var DATE_PATTERN = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/;
+  function tokenize(input, errors) {
+    const tokens = [];
+    let i = 0;
+    const readQuoted = (start) => {
+      const close = input.indexOf('"', start + 1);
+      if (close === -1) {
+        errors.push({ message: "Missing closing quote", start, end: input.length });
+        return { value: input.slice(start + 1), end: input.length };
+      }
+      return { value: input.slice(start + 1, close), end: close + 1 };
+    };
+    const readWord = (start) => {
+      let end = start;
+      while (end < input.length && !/[\s()"]/.test(input[end])) end++;
+      return { value: input.slice(start, end), end };
+    };
+    while (i < input.length) {
+      const char = input[i];
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+      if (char === "(" || char === ")") {
+        tokens.push({ type: char === "(" ? "open" : "close", start: i, end: i + 1 });
+        i++;
+        continue;
+      }
+      const start = i;
+      let negated = false;
+      if (char === "-" && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+        negated = true;
+        i++;
+      }
+      if (input[i] === '"') {
+        const { value: value2, end: end2 } = readQuoted(i);
+        tokens.push({ type: "text", value: value2, phrase: true, negated, start, end: end2 });
+        i = end2;
+        continue;
+      }
+      if (input[i] === "(") {
+        tokens.push({ type: "not", start, end: i });
+        continue;
+      }
+      const { value, end } = readWord(i);
+      const fieldMatch = /^([a-z]+):(.*)$/i.exec(value);
+      if (fieldMatch && FIELDS.includes(fieldMatch[1].toLowerCase())) {
+        const field = fieldMatch[1].toLowerCase();
+        let fieldValue = fieldMatch[2];
+        let fieldEnd = end;
+        if (!fieldValue && input[end] === '"') {
+          ({ value: fieldValue, end: fieldEnd } = readQuoted(end));
+        }
+        tokens.push({ type: "field", field, value: fieldValue, negated, start, end: fieldEnd });
+        i = fieldEnd;
+        continue;
+      }
+      if (!negated && (value === "OR" || value === "|")) {
+        tokens.push({ type: "or", start, end });
+      } else if (value === "-") {
+        errors.push({ message: 'Nothing to exclude after "-"', start, end });
+      } else {
+        tokens.push({ type: "text", value, phrase: false, negated, start, end });
+      }
+      i = end;
+    }
+    return tokens;
+  }
+  function parseDateRange(value) {
+    const match = DATE_PATTERN.exec(value);
+    if (!match) return null;
+    const year = Number(match[1]);
+    const month = match[2] ? Number(match[2]) - 1 : 0;
+    const day = match[3] ? Number(match[3]) : 1;
+    const start = new Date(year, month, day);
+    if (start.getFullYear() !== year || start.getMonth() !== month || start.getDate() !== day) return null;
+    const end = match[3] ? new Date(year, month, day + 1) : match[2] ? new Date(year, month + 1, 1) : new Date(year + 1, 0, 1);
+    return { start: start.getTime(), end: end.getTime() };
+  }
+  function validateField({ field, value }) {
+    if (!value) return `"${field}:" needs a value`;
+    const lower = value.toLowerCase();
+    switch (field) {
+      case "before":
+      case "after":
+        return parseDateRange(value) ? null : `"${value}" is not a date (use YYYY-MM-DD)`;
+      case "role":
+        return ROLES.includes(lower) ? null : `role: must be ${ROLES.join(" or ")}`;
+      case "has":
+        return HAS_VALUES.includes(lower) ? null : `has: must be ${HAS_VALUES.join(", ")}`;
+      case "truncated":
+        return BOOLEAN_VALUES.includes(lower) ? null : "truncated: must be true or false";
+      case "tag":
+        return normalizeTag(value) ? null : `"${value}" is not a tag`;
+      default:
+        return null;
+    }
+  }
+  function parseQuery(input) {
+    const errors = [];
+    const tokens = tokenize(typeof input === "string" ? input : "", errors);
+    let position = 0;
+    const peek = () => tokens[position];
+    const parseOperand = () => {
+      const token = tokens[position++];
+      if (token.type === "open" || token.type === "not") {
+        const negated = token.type === "not";
+        if (negated) position++;
+        const inner = parseOr(true);
+        if (peek()?.type === "close") {
+          position++;
+        } else {
+          errors.push({ message: "Missing closing parenthesis", start: token.start, end: token.end + 1 });
+        }
+        if (!inner) return null;
+        return negated ? { type: "not", child: inner } : inner;
+      }
+      if (token.type === "field") {
+        const message = validateField(token);
+        if (message) {
+          errors.push({ message, start: token.start, end: token.end });
+          return null;
+        }
+        const node2 = { type: "field", field: token.field, value: token.value };
+        return token.negated ? { type: "not", child: node2 } : node2;
+      }
+      if (!token.value) return null;
+      const node = { type: "text", value: token.value.toLowerCase(), phrase: token.phrase };
+      return token.negated ? { type: "not", child: node } : node;
+    };
+    const parseAnd = (nested) => {
+      const children = [];
+      while (position < tokens.length) {
+        const token = peek();
+        if (token.type === "or") break;
+        if (token.type === "close") {
+          if (nested) break;
+          errors.push({ message: 'Unmatched ")"', start: token.start, end: token.end });
+          position++;
+          continue;
+        }
+        const operand = parseOperand();
+        if (operand) children.push(operand);
+      }
+      if (children.length === 0) return null;
+      return children.length === 1 ? children[0] : { type: "and", children };
+    };
+    function parseOr(nested = false) {
+      const children = [];
+      let orToken = null;
+      for (; ; ) {
+        const branch = parseAnd(nested);
+        if (branch) {
+          children.push(branch);
+        } else if (orToken) {
+          errors.push({ message: "OR needs a search term on both sides", start: orToken.start, end: orToken.end });
+        }
+        if (peek()?.type !== "or") break;
+        orToken = tokens[position++];
+        if (children.length === 0) {
+          errors.push({ message: "OR needs a search term on both sides", start: orToken.start, end: orToken.end });
+        }
+      }
+      if (children.length === 0) return null;
+      return children.length === 1 ? children[0] : { type: "or", children };
+    }
+    const ast = tokens.length > 0 ? parseOr() : null;
+    return { ast, errors };
+  }
+  function matchesText(snippet, term) {
+    return [snippet.text, snippet.note].some((field) => typeof field === "string" && field.toLowerCase().includes(term));
+  }
+  function getQueryTerms(ast) {
+    if (!ast) return [];
+    switch (ast.type) {
+      case "and":
+      case "or":
+        return ast.children.flatMap(getQueryTerms);
+      case "text":
+        return [{ value: ast.value, phrase: ast.phrase }];
+      default:
+        return [];
+    }
+  }
+  function matchesField(snippet, { field, value }, context) {
+    const lower = value.toLowerCase();
+    const includes = (text) => typeof text === "string" && text.toLowerCase().includes(lower);
+    switch (field) {
+      case "tag":
+        return Array.isArray(snippet.tags) && snippet.tags.includes(normalizeTag(value));
+      case "color": {
+        if (!snippet.color) return false;
+        const entry = (context.palette || []).find(({ id }) => id === snippet.color);
+        return snippet.color === lower || Boolean(entry && entry.label.toLowerCase() === lower);
+      }
+      case "conv":
+        return snippet.conversationId === value || includes(context.getConversationTitle?.(snippet));
+      case "project":
+        return snippet.projectId === value || includes(context.getProjectName?.(snippet));
+      case "before":
+        return (snippet.createdAt || 0) < parseDateRange(value).start;
+      case "after":
+        return (snippet.createdAt || 0) >= parseDateRange(value).start;
+      case "role":
+        return snippet.role === lower || Array.isArray(snippet.segments) && snippet.segments.some((segment) => segment.role === lower);
+      case "has":
+        if (lower === "note") return Boolean(snippet.note && snippet.note.trim());
+        if (lower === "tag") return Array.isArray(snippet.tags) && snippet.tags.length > 0;
+        return Boolean(snippet.color);
+      case "truncated":
+        return Boolean(snippet.truncated) === (lower === "true");
+      default:
+        return false;
+    }
+  }
+  function matchesQuery(snippet, ast, context = {}) {
+    if (!ast) return true;
+    switch (ast.type) {
+      case "and":
+        return ast.children.every((child) => matchesQuery(snippet, child, context));
+      case "or":
+        return ast.children.some((child) => matchesQuery(snippet, child, context));
+      case "not":
+        return !matchesQuery(snippet, ast.child, context);
+      case "field":
+        return matchesField(snippet, ast, context);
+      default:
+        return context.matchText ? context.matchText(snippet, ast) : matchesText(snippet, ast.value);
+    }
+  }
+
+  // src/shared/searchIndex.js
+  var K1 = 1.2;
+  var B = 0.75;
+  var EXACT_WEIGHT = 1;
+  var PREFIX_WEIGHT = 0.7;
+  var FUZZY_WEIGHT = 0.4;
+  var MIN_PREFIX_LENGTH = 2;
+  var MIN_FUZZY_LENGTH = 4;
+  var MIN_TWO_TYPO_LENGTH = 8;
+  var TERM_PATTERN = /[\p{L}\p{N}]+/gu;
+  var MARKS_PATTERN = /\p{M}/gu;
+  function foldText(text) {
+    return String(text || "").normalize("NFD").replace(MARKS_PATTERN, "").toLowerCase();
+  }
+  function tokenizeText(text) {
+    return foldText(text).match(TERM_PATTERN) || [];
+  }
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const nextRow = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+        if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, previousRow[j - 2] + 1);
+        }
+        nextRow.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+      if (rowMin > max) return max + 1;
+      previousRow = row;
+      row = nextRow;
+    }
+    return row[b.length];
+  }
+  function getTermMatchWeight(queryTerm, term, exactOnly = false) {
+    if (term === queryTerm) return EXACT_WEIGHT;
+    if (exactOnly) return 0;
+    if (queryTerm.length >= MIN_PREFIX_LENGTH && term.startsWith(queryTerm)) return PREFIX_WEIGHT;
+    if (queryTerm.length >= MIN_FUZZY_LENGTH) {
+      const maxTypos = queryTerm.length >= MIN_TWO_TYPO_LENGTH ? 2 : 1;
+      if (editDistance(queryTerm, term, maxTypos) <= maxTypos) return FUZZY_WEIGHT;
+    }
+    return 0;
+  }
+  function findMatchRanges(text, terms) {
+    if (!text || !terms || terms.length === 0) return [];
+    let folded = "";
+    const offsets = [];
+    Array.from(text).reduce((position, char) => {
+      const foldedChar = foldText(char);
+      for (let i = 0; i < foldedChar.length; i++) offsets.push(position);
+      folded += foldedChar;
+      return position + char.length;
+    }, 0);
+    offsets.push(text.length);
+    const toOriginal = (start, end) => ({ start: offsets[start], end: offsets[end] });
+    const ranges = [];
+    const words = terms.filter((term) => !term.phrase).flatMap((term) => tokenizeText(term.value));
+    for (const match of folded.matchAll(TERM_PATTERN)) {
+      if (words.some((word) => getTermMatchWeight(word, match[0]) > 0)) {
+        ranges.push(toOriginal(match.index, match.index + match[0].length));
+      }
+    }
+    terms.filter((term) => term.phrase).forEach(({ value }) => {
+      const phrase = foldText(value);
+      if (!phrase) return;
+      let index = folded.indexOf(phrase);
+      while (index !== -1) {
+        ranges.push(toOriginal(index, index + phrase.length));
+        index = folded.indexOf(phrase, index + phrase.length);
+      }
+    });
+    ranges.sort((a, b) => a.start - b.start);
+    return ranges.reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ ...range });
+      }
+      return merged;
+    }, []);
+  }
+  function getSearchableText(snippet) {
+    return [snippet.text, snippet.note].filter((field) => typeof field === "string" && field).join("\n");
+  }
+  function createSearchIndex() {
+    const postings = /* @__PURE__ */ new Map();
+    const docs = /* @__PURE__ */ new Map();
+    let totalLength = 0;
+    let version = 0;
+    function add(snippet) {
+      if (docs.has(snippet.id)) remove(snippet.id);
+      const text = getSearchableText(snippet);
+      const terms = tokenizeText(text);
+      const frequencies = /* @__PURE__ */ new Map();
+      terms.forEach((term) => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+      frequencies.forEach((frequency, term) => {
+        if (!postings.has(term)) postings.set(term, /* @__PURE__ */ new Map());
+        postings.get(term).set(snippet.id, frequency);
+      });
+      docs.set(snippet.id, { source: snippet, length: terms.length, terms: [...frequencies.keys()], folded: foldText(text) });
+      totalLength += terms.length;
+      version += 1;
+    }
+    function remove(id) {
+      const doc = docs.get(id);
+      if (!doc) return;
+      doc.terms.forEach((term) => {
+        const ids = postings.get(term);
+        ids.delete(id);
+        if (ids.size === 0) postings.delete(term);
+      });
+      docs.delete(id);
+      totalLength -= doc.length;
+      version += 1;
+    }
+    function isIndexed(doc, snippet) {
+      if (!doc) return false;
+      if (doc.source === snippet) return true;
+      return Number.isInteger(snippet.revision) && snippet.revision > 0 && doc.source.revision === snippet.revision && doc.source.updatedAt === snippet.updatedAt;
+    }
+    function sync(snippetsById) {
+      const before = version;
+      Array.from(docs.keys()).forEach((id) => {
+        if (!snippetsById[id]) remove(id);
+      });
+      Object.values(snippetsById).forEach((snippet) => {
+        if (!isIndexed(docs.get(snippet.id), snippet)) add(snippet);
+      });
+      return version !== before;
+    }
+    function scoreTerm(queryTerm, exactOnly) {
+      const scores = /* @__PURE__ */ new Map();
+      const averageLength = docs.size > 0 ? totalLength / docs.size : 0;
+      postings.forEach((ids, term) => {
+        const weight = getTermMatchWeight(queryTerm, term, exactOnly);
+        if (weight === 0) return;
+        const idf = Math.log(1 + (docs.size - ids.size + 0.5) / (ids.size + 0.5));
+        ids.forEach((frequency, id) => {
+          const lengthNorm = averageLength > 0 ? docs.get(id).length / averageLength : 1;
+          const score = weight * idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * lengthNorm));
+          if (score > (scores.get(id) || 0)) scores.set(id, score);
+        });
+      });
+      return scores;
+    }
+    function search(value, { phrase = false } = {}) {
+      const queryTerms = tokenizeText(value);
+      if (queryTerms.length === 0) return /* @__PURE__ */ new Map();
+      let results = null;
+      queryTerms.forEach((queryTerm) => {
+        const scores = scoreTerm(queryTerm, phrase);
+        if (results === null) {
+          results = scores;
+          return;
+        }
+        const combined = /* @__PURE__ */ new Map();
+        results.forEach((score, id) => {
+          if (scores.has(id)) combined.set(id, score + scores.get(id));
+        });
+        results = combined;
+      });
+      if (phrase) {
+        const folded = foldText(value).trim();
+        Array.from(results.keys()).forEach((id) => {
+          if (!docs.get(id).folded.includes(folded)) results.delete(id);
+        });
+      }
+      return results;
+    }
+    return {
+      add,
+      remove,
+      sync,
+      search,
+      size: () => docs.size,
+      getVersion: () => version
+    };
+  }
+
+  // src/shared/listView.js
+  var SORT_OPTIONS = [
+    { id: "newest", label: "Newest" },
+    { id: "oldest", label: "Oldest" },
+    { id: "alphabetical", label: "A\u2013Z" },
+    { id: "longest", label: "Longest" },
+    { id: "edited", label: "Recently edited" }
+  ];
+  var GROUP_OPTIONS = [
+    { id: "none", label: "No grouping" },
+    { id: "conversation", label: "By conversation" },
+    { id: "project", label: "By project" },
+    { id: "color", label: "By color" }
+  ];
+  var DEFAULT_LIST_VIEW = { sort: "newest", group: "none" };
+  var byNewest = (a, b) => (b.createdAt || 0) - (a.createdAt || 0);
+  var COMPARATORS = {
+    newest: byNewest,
+    oldest: (a, b) => (a.createdAt || 0) - (b.createdAt || 0),
+    alphabetical: (a, b) => (a.text || "").trim().localeCompare((b.text || "").trim(), void 0, { sensitivity: "base" }) || byNewest(a, b),
+    longest: (a, b) => (b.text || "").length - (a.text || "").length || byNewest(a, b),
+    edited: (a, b) => (b.updatedAt || b.createdAt || 0) - (a.updatedAt || a.createdAt || 0) || byNewest(a, b)
+  };
+  function sortSnippets(snippets, sort) {
+    return [...snippets].sort(COMPARATORS[sort] || byNewest);
+  }
+  var GROUP_KEYS = {
+    conversation: (snippet) => snippet.conversationId || "",
+    project: (snippet) => snippet.projectId || "",
+    color: (snippet) => snippet.color || ""
+  };
+  function groupSnippets(snippets, group, { palette = [] } = {}) {
+    const getKey = GROUP_KEYS[group];
+    if (!getKey) return null;
+    const groups = /* @__PURE__ */ new Map();
+    snippets.forEach((snippet) => {
+      const key = getKey(snippet);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(snippet);
+    });
+    const rank = (key) => {
+      if (key === "") return Infinity;
+      if (group !== "color") return 0;
+      const index = palette.findIndex(({ id }) => id === key);
+      return index === -1 ? palette.length : index;
+    };
+    return Array.from(groups, ([key, items]) => ({ key, snippets: items })).sort((a, b) => rank(a.key) - rank(b.key));
+  }
+
+  // src/content/ui.js
+  var CONTAINER_ID = "ce-root";
+  var PALETTE_STYLE_ID = "ce-palette-style";
+  var MAX_NOTE_LENGTH = 2e3;
+  var NOTE_COUNTER_WARNING = 0.9;
+  function createContainer() {
+    let container = document.getElementById(CONTAINER_ID);
+    if (container) return container;
+    container = document.createElement("div");
+    container.id = CONTAINER_ID;
+    container.className = "ce-extension";
+    document.body.appendChild(container);
+    return container;
+  }
+  function createSearchBox({ searchQuery, onSearch, search = null }) {
+    const searchContainer = document.createElement("div");
+    searchContainer.className = "ce-search-container";
+    const searchWrapper = document.createElement("div");
+    searchWrapper.className = "ce-search-wrapper";
+    const searchInput = document.createElement("input");
+    searchInput.type = "text";
+    searchInput.className = "ce-search-input";
+    searchInput.placeholder = "Search snippets...";
+    searchInput.value = searchQuery || "";
+    searchInput.setAttribute("aria-label", "Search snippets");
+    searchInput.title = 'Words and "phrases", -exclude, OR. Filters: tag: color: conv: project: before: after: role:user|assistant has:note truncated:true';
+    searchInput.addEventListener("input", (e) => {
+      onSearch(e.target.value);
+    });
+    const clearSearchBtn = document.createElement("button");
+    clearSearchBtn.className = "ce-search-clear";
+    clearSearchBtn.innerHTML = "\xD7";
+    clearSearchBtn.setAttribute("aria-label", "Clear search");
+    clearSearchBtn.title = "Clear search";
+    clearSearchBtn.style.display = searchQuery && searchQuery.trim() ? "flex" : "none";
+    clearSearchBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      searchInput.value = "";
+      onSearch("");
+    });
+    const feedback = document.createElement("div");
+    feedback.className = "ce-search-feedback";
+    feedback.id = "ce-search-feedback";
+    feedback.setAttribute("role", "status");
+    searchInput.setAttribute("aria-describedby", feedback.id);
+    searchWrapper.appendChild(searchInput);
+    searchWrapper.appendChild(clearSearchBtn);
+    searchContainer.appendChild(searchWrapper);
+    if (search && searchQuery && searchQuery.trim()) {
+      searchContainer.appendChild(createSearchSortToggle(search));
+    }
+    searchContainer.appendChild(feedback);
+    renderSearchFeedback(searchContainer, searchQuery);
+    return searchContainer;
+  }
+  function renderSearchFeedback(root2, searchQuery) {
+    const input = root2.querySelector(".ce-search-input");
+    const feedback = root2.querySelector(".ce-search-feedback");
+    if (!input || !feedback) return;
+    const { errors } = parseQuery(searchQuery || "");
+    input.classList.toggle("ce-search-input-invalid", errors.length > 0);
+    input.setAttribute("aria-invalid", errors.length > 0 ? "true" : "false");
+    feedback.hidden = errors.length === 0;
+    feedback.textContent = errors.map(({ message }) => message).join(" \xB7 ");
+  }
+  function createSearchSortToggle({ sort, onSortChange }) {
+    const byRelevance = sort !== "time";
+    const btn = document.createElement("button");
+    btn.className = "ce-search-sort";
+    btn.textContent = byRelevance ? "Sort: Relevance" : "Sort: Time";
+    btn.setAttribute("aria-label", byRelevance ? "Results sorted by relevance" : "Results sorted by time");
+    btn.title = byRelevance ? "Best matches first (click to sort by time)" : "Sorted by time (click to sort by relevance)";
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      onSortChange(byRelevance ? "time" : "relevance");
+    });
+    return btn;
+  }
+  function setHighlightedText(element, text, terms) {
+    const ranges = findMatchRanges(text, terms);
+    if (ranges.length === 0) {
+      element.textContent = text;
+      return;
+    }
+    element.textContent = "";
+    let position = 0;
+    ranges.forEach(({ start, end }) => {
+      if (start > position) {
+        element.appendChild(document.createTextNode(text.slice(position, start)));
+      }
+      const mark = document.createElement("mark");
+      mark.className = "ce-search-match";
+      mark.textContent = text.slice(start, end);
+      element.appendChild(mark);
+      position = end;
+    });
+    if (position < text.length) {
+      element.appendChild(document.createTextNode(text.slice(position)));
+    }
+  }
+  function createColorFilter({ palette, activeColor, onFilterChange, onEditPalette }) {
+    const row = document.createElement("div");
+    row.className = "ce-color-filter";
+    row.setAttribute("role", "group");
+    row.setAttribute("aria-label", "Filter by color");
+    const addChip = (colorId, label) => {
+      const chip = document.createElement("button");
+      chip.className = "ce-color-chip";
+      chip.classList.toggle("active", activeColor === colorId);
+      chip.setAttribute("aria-pressed", activeColor === colorId ? "true" : "false");
+      if (colorId) {
+        chip.setAttribute("data-color", colorId);
+        const dot = document.createElement("span");
+        dot.className = "ce-color-dot";
+        dot.style.background = colorVar(colorId);
+        chip.appendChild(dot);
+      }
+      chip.appendChild(document.createTextNode(label));
+      chip.addEventListener("click", () => onFilterChange(colorId));
+      row.appendChild(chip);
+    };
+    addChip(null, "All");
+    palette.forEach(({ id, label }) => addChip(id, label));
+    if (onEditPalette) {
+      const editBtn = document.createElement("button");
+      editBtn.className = "ce-color-chip ce-color-edit";
+      editBtn.textContent = "\u270E";
+      editBtn.title = "Edit colors";
+      editBtn.setAttribute("aria-label", "Edit colors");
+      editBtn.addEventListener("click", onEditPalette);
+      row.appendChild(editBtn);
+    }
+    return row;
+  }
+  function applyPaletteStyle(css) {
+    let style = document.getElementById(PALETTE_STYLE_ID);
+    if (!style) {
+      style = document.createElement("style");
+      style.id = PALETTE_STYLE_ID;
+      (document.head || document.documentElement).appendChild(style);
+    }
+    style.textContent = css;
+  }
+  function createSnippetList({ snippets, onRemove, onSnippetClick, onNoteChange, selection, tags, search, view, emptyMessage = "Select text to save a snippet" }) {
+    const list = document.createElement("div");
+    list.className = "ce-snippet-list";
+    if (snippets.length === 0 && !view?.groups?.length) {
+      const emptyState = document.createElement("div");
+      emptyState.className = "ce-empty-state";
+      emptyState.textContent = emptyMessage;
+      list.appendChild(emptyState);
+      return list;
+    }
+    appendSnippetItems(list, snippets, view, (snippet, index) => createSnippetItem(snippet, index, onRemove, onSnippetClick, selection, onNoteChange, tags, search, view));
+    return list;
+  }
+  function appendSnippetItems(list, snippets, view, createItem) {
+    if (!view || !view.groups) {
+      snippets.forEach((snippet, index) => list.appendChild(createItem(snippet, index)));
+      return;
+    }
+    let position = 0;
+    view.groups.forEach((group) => {
+      list.appendChild(createGroupHeader(group, view.onToggleGroup));
+      if (group.collapsed) return;
+      snippets.slice(position, position + group.count).forEach((snippet, offset) => {
+        list.appendChild(createItem(snippet, position + offset));
+      });
+      position += group.count;
+    });
+  }
+  function createGroupHeader({ key, label, count, collapsed }, onToggle) {
+    const header = document.createElement("button");
+    header.className = "ce-group-header";
+    header.classList.toggle("ce-group-collapsed", collapsed);
+    header.setAttribute("data-group", key);
+    header.setAttribute("aria-expanded", collapsed ? "false" : "true");
+    header.title = collapsed ? "Expand group" : "Collapse group";
+    const chevron = document.createElement("span");
+    chevron.className = "ce-group-chevron";
+    chevron.textContent = collapsed ? "\u25B8" : "\u25BE";
+    const labelEl = document.createElement("span");
+    labelEl.className = "ce-group-label";
+    labelEl.textContent = label;
+    const countEl = document.createElement("span");
+    countEl.className = "ce-group-count";
+    countEl.textContent = String(count);
+    header.appendChild(chevron);
+    header.appendChild(labelEl);
+    header.appendChild(countEl);
+    header.addEventListener("click", () => onToggle(key));
+    return header;
+  }
+  function createListControls({ sort, group, onSortChange, onGroupChange }) {
+    const row = document.createElement("div");
+    row.className = "ce-list-controls";
+    const createSelect = (className, label, options, value, onChange) => {
+      const select = document.createElement("select");
+      select.className = className;
+      select.setAttribute("aria-label", label);
+      select.title = label;
+      options.forEach(({ id, label: optionLabel }) => {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = optionLabel;
+        select.appendChild(option);
+      });
+      select.value = value;
+      select.addEventListener("change", () => onChange(select.value));
+      return select;
+    };
+    row.appendChild(createSelect("ce-sort-select", "Sort snippets", SORT_OPTIONS, sort, onSortChange));
+    row.appendChild(createSelect("ce-group-select", "Group snippets", GROUP_OPTIONS, group, onGroupChange));
+    return row;
+  }
+  function renderNote(item, snippet, onNoteChange, searchTerms = null) {
+    item.querySelectorAll(".ce-snippet-note, .ce-note-edit").forEach((element) => element.remove());
+    const addBtn = item.querySelector(".ce-note-add");
+    if (addBtn) {
+      addBtn.hidden = Boolean(snippet.note);
+    }
+    if (!snippet.note) return;
+    const note = document.createElement("div");
+    note.className = "ce-snippet-note";
+    setHighlightedText(note, snippet.note, searchTerms);
+    if (onNoteChange) {
+      note.classList.add("ce-snippet-note-editable");
+      note.title = "Click to edit note";
+      note.tabIndex = 0;
+      note.setAttribute("role", "button");
+      note.addEventListener("click", (e) => {
+        e.stopPropagation();
+        openNoteEditor(item, snippet, onNoteChange);
+      });
+      note.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") {
+          e.preventDefault();
+          e.stopPropagation();
+          openNoteEditor(item, snippet, onNoteChange);
+        }
+      });
+    }
+    item.querySelector(".ce-snippet-text").after(note);
+  }
+  function openNoteEditor(item, snippet, onNoteChange, draft = snippet.note || "") {
+    renderNote(item, { ...snippet, note: "" }, onNoteChange);
+    const addBtn = item.querySelector(".ce-note-add");
+    if (addBtn) {
+      addBtn.hidden = true;
+    }
+    const editor = document.createElement("div");
+    editor.className = "ce-note-edit";
+    const textarea = document.createElement("textarea");
+    textarea.className = "ce-note-editor";
+    textarea.rows = 3;
+    textarea.maxLength = MAX_NOTE_LENGTH;
+    textarea.placeholder = "Add a note (Markdown)\u2026";
+    textarea.setAttribute("aria-label", "Snippet note");
+    textarea.value = draft.slice(0, MAX_NOTE_LENGTH);
+    const counter = document.createElement("div");
+    counter.className = "ce-note-counter";
+    const updateCounter = () => {
+      counter.textContent = `${textarea.value.length}/${MAX_NOTE_LENGTH}`;
+      counter.classList.toggle("ce-note-counter-warning", textarea.value.length >= MAX_NOTE_LENGTH * NOTE_COUNTER_WARNING);
+    };
+    updateCounter();
+    let closed = false;
+    const close = (save) => {
+      if (closed) return;
+      closed = true;
+      const note = save ? textarea.value.trim() : snippet.note || "";
+      renderNote(item, { ...snippet, note }, onNoteChange);
+      if (save) {
+        onNoteChange(snippet.id, note);
+      }
+    };
+    textarea.addEventListener("input", updateCounter);
+    textarea.addEventListener("blur", () => {
+      if (!editor.isConnected) return;
+      close(true);
+    });
+    textarea.addEventListener("keydown", (e) => {
+      e.stopPropagation();
+      if (e.key === "Escape") {
+        e.preventDefault();
+        close(false);
+      } else if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        close(true);
+      }
+    });
+    editor.addEventListener("click", (e) => e.stopPropagation());
+    editor.appendChild(textarea);
+    editor.appendChild(counter);
+    item.querySelector(".ce-snippet-text").after(editor);
+    textarea.focus();
+    return textarea;
+  }
+  function createTagInput({ suggestions, exclude = [], onSubmit, onCancel = () => {
+  }, placeholder = "Tag\u2026" }) {
+    const wrapper = document.createElement("span");
+    wrapper.className = "ce-tag-input-wrapper";
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "ce-tag-input";
+    input.placeholder = placeholder;
+    input.maxLength = MAX_TAG_LENGTH;
+    input.setAttribute("aria-label", "Add tag");
+    input.setAttribute("aria-autocomplete", "list");
+    const list = document.createElement("div");
+    list.className = "ce-tag-suggestions";
+    list.setAttribute("role", "listbox");
+    let matches = [];
+    let activeIndex = -1;
+    const submit = (value) => {
+      const tag = normalizeTag(value);
+      input.value = "";
+      activeIndex = -1;
+      renderSuggestions();
+      if (tag) {
+        onSubmit(tag);
+      }
+    };
+    const renderSuggestions = () => {
+      matches = suggestTags(suggestions, input.value, exclude);
+      activeIndex = Math.min(activeIndex, matches.length - 1);
+      list.innerHTML = "";
+      list.hidden = matches.length === 0;
+      matches.forEach((tag, i) => {
+        const option = document.createElement("div");
+        option.className = "ce-tag-suggestion";
+        option.setAttribute("role", "option");
+        option.setAttribute("aria-selected", i === activeIndex ? "true" : "false");
+        option.classList.toggle("active", i === activeIndex);
+        option.textContent = `#${tag}`;
+        option.addEventListener("mousedown", (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          submit(tag);
+        });
+        list.appendChild(option);
+      });
+    };
+    input.addEventListener("input", () => {
+      activeIndex = -1;
+      renderSuggestions();
+    });
+    input.addEventListener("focus", renderSuggestions);
+    input.addEventListener("blur", () => onCancel());
+    input.addEventListener("keydown", (e) => {
+      e.stopPropagation();
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        if (matches.length === 0) return;
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        activeIndex = (activeIndex + step + matches.length) % matches.length;
+        renderSuggestions();
+      } else if (e.key === "Tab" && activeIndex >= 0) {
+        e.preventDefault();
+        input.value = matches[activeIndex];
+        activeIndex = -1;
+        renderSuggestions();
+      } else if (e.key === "Enter") {
+        e.preventDefault();
+        submit(activeIndex >= 0 ? matches[activeIndex] : input.value);
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        onCancel();
+      }
+    });
+    input.addEventListener("click", (e) => e.stopPropagation());
+    list.hidden = true;
+    wrapper.appendChild(input);
+    wrapper.appendChild(list);
+    return wrapper;
+  }
+  function createSnippetTagEditor(snippet, tagging) {
+    const tags = Array.isArray(snippet.tags) ? snippet.tags : [];
+    const container = document.createElement("span");
+    container.className = "ce-snippet-tags";
+    tags.forEach((tag) => {
+      const tagEl = document.createElement("span");
+      tagEl.className = "ce-tag ce-tag-editable";
+      tagEl.setAttribute("data-tag", tag);
+      const label = document.createElement("button");
+      label.className = "ce-tag-label";
+      label.textContent = `#${tag}`;
+      label.title = `Show snippets tagged #${tag}`;
+      label.addEventListener("click", (e) => {
+        e.stopPropagation();
+        tagging.onFilterChange(tag);
+      });
+      const removeBtn = document.createElement("button");
+      removeBtn.className = "ce-tag-remove";
+      removeBtn.textContent = "\xD7";
+      removeBtn.setAttribute("aria-label", `Remove tag ${tag}`);
+      removeBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        tagging.onTagsChange(snippet.id, tags.filter((other) => other !== tag));
+      });
+      tagEl.appendChild(label);
+      tagEl.appendChild(removeBtn);
+      container.appendChild(tagEl);
+    });
+    const addBtn = document.createElement("button");
+    addBtn.className = "ce-tag-add";
+    addBtn.textContent = "+ Tag";
+    addBtn.setAttribute("aria-label", "Add tag");
+    addBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      const tagInput = createTagInput({
+        suggestions: tagging.all,
+        exclude: tags,
+        onSubmit: (tag) => {
+          if (!tags.includes(tag)) {
+            tagging.onTagsChange(snippet.id, [...tags, tag]);
+          }
+        },
+        onCancel: () => {
+          if (tagInput.isConnected) {
+            tagInput.replaceWith(addBtn);
+          }
+        }
+      });
+      addBtn.replaceWith(tagInput);
+      tagInput.querySelector(".ce-tag-input").focus();
+    });
+    container.appendChild(addBtn);
+    return container;
+  }
+  function formatSnippetSource({ title, role, model } = {}, { includeModel = false } = {}) {
+    const parts = [title, role, includeModel ? model : null].filter(Boolean);
+    return parts.length > 0 ? `from: ${parts.join(" \xB7 ")}` : null;
+  }
+  function createSnippetItem(snippet, index, onRemove, onSnippetClick, selection, onNoteChange = null, tagging = null, search = null, view = null) {
+    const item = document.createElement("div");
+    item.className = "ce-snippet-item";
+    item.setAttribute("data-snippet-id", snippet.id);
+    if (isColorId(snippet.color)) {
+      item.classList.add("ce-snippet-colored");
+      item.setAttribute("data-color", snippet.color);
+      item.style.setProperty("--ce-snippet-color", colorVar(snippet.color));
+    }
+    if (selection) {
+      const isSelected = selection.selectedIds.has(snippet.id);
+      item.classList.toggle("ce-snippet-selected", isSelected);
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.className = "ce-snippet-checkbox";
+      checkbox.checked = isSelected;
+      checkbox.setAttribute("aria-label", "Select snippet");
+      checkbox.addEventListener("click", (e) => {
+        e.stopPropagation();
+        selection.onToggleSelect(snippet.id, checkbox.checked, e.shiftKey);
+      });
+      item.appendChild(checkbox);
+    }
+    const text = document.createElement("div");
+    text.className = "ce-snippet-text";
+    setHighlightedText(text, snippet.text, search?.terms);
+    text.setAttribute("title", snippet.text);
+    text.style.cursor = "pointer";
+    text.addEventListener("click", () => onSnippetClick(snippet));
+    const meta = document.createElement("div");
+    meta.className = "ce-snippet-meta";
+    const timestamp = new Date(snippet.createdAt || snippet.timestamp || Date.now());
+    const timeStr = timestamp.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    const timeEl = document.createElement("span");
+    timeEl.textContent = timeStr;
+    meta.appendChild(timeEl);
+    const source = view?.getSource?.(snippet);
+    const sourceLabel = source ? formatSnippetSource(source) : null;
+    if (sourceLabel) {
+      const sourceEl = document.createElement("span");
+      sourceEl.className = "ce-snippet-source";
+      sourceEl.textContent = sourceLabel;
+      sourceEl.title = formatSnippetSource(source, { includeModel: true });
+      meta.appendChild(sourceEl);
+    }
+    if (snippet.duplicateIndex && snippet.duplicateIndex > 1) {
+      const dup = document.createElement("span");
+      dup.className = "ce-duplicate-badge";
+      dup.textContent = `Duplicate #${snippet.duplicateIndex}`;
+      meta.appendChild(dup);
+    }
+    if (tagging) {
+      meta.appendChild(createSnippetTagEditor(snippet, tagging));
+    } else if (Array.isArray(snippet.tags) && snippet.tags.length > 0) {
+      const tags = document.createElement("span");
+      tags.className = "ce-snippet-tags";
+      snippet.tags.forEach((tag) => {
+        const tagEl = document.createElement("span");
+        tagEl.className = "ce-tag";
+        tagEl.textContent = `#${tag}`;
+        tags.appendChild(tagEl);
+      });
+      meta.appendChild(tags);
+    }
+    if (onNoteChange) {
+      const addNoteBtn = document.createElement("button");
+      addNoteBtn.className = "ce-note-add";
+      addNoteBtn.textContent = "+ Note";
+      addNoteBtn.setAttribute("aria-label", "Add note");
+      addNoteBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        openNoteEditor(item, snippet, onNoteChange);
+      });
+      meta.appendChild(addNoteBtn);
+    }
+    const removeBtn = document.createElement("button");
+    removeBtn.className = "ce-btn ce-btn-icon ce-btn-small";
+    removeBtn.setAttribute("aria-label", "Remove snippet");
+    removeBtn.innerHTML = "\xD7";
+    removeBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      onRemove(snippet.id);
+    });
+    item.appendChild(text);
+    item.appendChild(meta);
+    item.appendChild(removeBtn);
+    renderNote(item, snippet, onNoteChange, search?.terms);
+    return item;
+  }
+  function createBulkActionBar(snippets, selection) {
+    const bar = document.createElement("div");
+    bar.className = "ce-button-bar";
+    const selectedCount = snippets.filter((snippet) => selection.selectedIds.has(snippet.id)).length;
+    const hasSelection = selectedCount > 0;
+    const selectAllWrapper = document.createElement("label");
+    selectAllWrapper.className = "ce-select-all-wrapper";
+    selectAllWrapper.title = "Select all visible snippets";
+    const selectAll = document.createElement("input");
+    selectAll.type = "checkbox";
+    selectAll.className = "ce-select-all-checkbox";
+    selectAll.setAttribute("aria-label", "Select all visible snippets");
+    selectAll.checked = snippets.length > 0 && selectedCount === snippets.length;
+    selectAll.indeterminate = hasSelection && selectedCount < snippets.length;
+    selectAll.disabled = snippets.length === 0;
+    selectAll.addEventListener("change", () => selection.onSelectAll(selectAll.checked));
+    selectAllWrapper.appendChild(selectAll);
+    bar.appendChild(selectAllWrapper);
+    const addButton = (icon, label, onClick) => {
+      const btn = document.createElement("button");
+      btn.className = "ce-button-bar-btn";
+      btn.textContent = icon;
+      btn.title = label;
+      btn.setAttribute("aria-label", label);
+      btn.disabled = !hasSelection;
+      btn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        onClick();
+      });
+      bar.appendChild(btn);
+      return btn;
+    };
+    addButton("\u{1F5D1}", "Delete selected", selection.onBulkDelete);
+    addButton("\u29C9", "Copy selected", selection.onBulkCopy);
+    const separator = document.createElement("span");
+    separator.className = "ce-button-bar-separator";
+    bar.appendChild(separator);
+    addButton("{}", "Export selected as JSON", selection.onBulkExportJson);
+    addButton("MD", "Export selected as Markdown", selection.onBulkExportMarkdown);
+    const tagInput = document.createElement("input");
+    tagInput.type = "text";
+    tagInput.className = "ce-bulk-tag-input";
+    tagInput.placeholder = "Tag\u2026";
+    tagInput.setAttribute("aria-label", "Tag selected snippets");
+    tagInput.style.display = "none";
+    tagInput.addEventListener("keydown", (e) => {
+      e.stopPropagation();
+      if (e.key === "Enter") {
+        const tag = normalizeTag(tagInput.value);
+        if (tag) {
+          selection.onBulkTag(tag);
+        }
+        tagInput.value = "";
+        tagInput.style.display = "none";
+      } else if (e.key === "Escape") {
+        tagInput.value = "";
+        tagInput.style.display = "none";
+      }
+    });
+    addButton("#", "Tag selected", () => {
+      tagInput.style.display = "";
+      tagInput.focus();
+    });
+    bar.appendChild(tagInput);
+    const counter = document.createElement("span");
+    counter.className = "ce-snippet-counter";
+    counter.textContent = hasSelection ? `${selectedCount} selected` : `${snippets.length} shown`;
+    bar.appendChild(counter);
+    return bar;
+  }
+  function createImportExportModal({ snippetCount, onClose, onExportJson, onExportMarkdown, onPreview, onConfirm }) {
+    const overlay = document.createElement("div");
+    overlay.className = "ce-modal-overlay ce-extension";
+    overlay.addEventListener("click", (e) => {
+      if (e.target === overlay) {
+        onClose();
+      }
+    });
+    const modal = document.createElement("div");
+    modal.className = "ce-modal ce-modal-show";
+    const body = document.createElement("div");
+    body.className = "ce-modal-body";
+    const titleRow = document.createElement("div");
+    titleRow.className = "ce-modal-title-row";
+    const title = document.createElement("h3");
+    title.className = "ce-modal-title";
+    title.textContent = "Import / Export";
+    const closeIcon = document.createElement("button");
+    closeIcon.className = "ce-btn ce-btn-icon";
+    closeIcon.setAttribute("aria-label", "Close import/export");
+    closeIcon.innerHTML = "\xD7";
+    closeIcon.addEventListener("click", onClose);
+    titleRow.appendChild(title);
+    titleRow.appendChild(closeIcon);
+    const message = document.createElement("p");
+    message.className = "ce-modal-message";
+    message.textContent = "Export your snippets as JSON or Markdown, or import a JSON backup.";
+    const exportSection = document.createElement("div");
+    exportSection.className = "ce-modal-section";
+    const exportLabel = document.createElement("div");
+    exportLabel.className = "ce-modal-label";
+    exportLabel.textContent = "Export";
+    const exportRow = document.createElement("div");
+    exportRow.className = "ce-modal-row";
+    const exportJsonBtn = document.createElement("button");
+    exportJsonBtn.className = "ce-btn ce-btn-secondary";
+    exportJsonBtn.textContent = "Export JSON";
+    exportJsonBtn.disabled = snippetCount === 0;
+    exportJsonBtn.addEventListener("click", onExportJson);
+    const exportMdBtn = document.createElement("button");
+    exportMdBtn.className = "ce-btn ce-btn-secondary";
+    exportMdBtn.textContent = "Export Markdown";
+    exportMdBtn.disabled = snippetCount === 0;
+    exportMdBtn.addEventListener("click", onExportMarkdown);
+    exportRow.appendChild(exportJsonBtn);
+    exportRow.appendChild(exportMdBtn);
+    exportSection.appendChild(exportLabel);
+    exportSection.appendChild(exportRow);
+    const importSection = document.createElement("div");
+    importSection.className = "ce-modal-section";
+    const importLabel = document.createElement("div");
+    importLabel.className = "ce-modal-label";
+    importLabel.textContent = "Import (JSON)";
+    const importRow = document.createElement("div");
+    importRow.className = "ce-modal-row";
+    const radioGroup = document.createElement("div");
+    radioGroup.className = "ce-radio-group";
+    const mergeId = `ce-import-merge-${Date.now()}`;
+    const replaceId = `ce-import-replace-${Date.now()}`;
+    const mergeLabel = document.createElement("label");
+    mergeLabel.className = "ce-radio";
+    const mergeInput = document.createElement("input");
+    mergeInput.type = "radio";
+    mergeInput.name = "ce-import-mode";
+    mergeInput.id = mergeId;
+    mergeInput.checked = true;
+    mergeLabel.appendChild(mergeInput);
+    mergeLabel.append("Merge (skip duplicates)");
+    const replaceLabel = document.createElement("label");
+    replaceLabel.className = "ce-radio";
+    const replaceInput = document.createElement("input");
+    replaceInput.type = "radio";
+    replaceInput.name = "ce-import-mode";
+    replaceInput.id = replaceId;
+    replaceLabel.appendChild(replaceInput);
+    replaceLabel.append("Replace existing");
+    radioGroup.appendChild(mergeLabel);
+    radioGroup.appendChild(replaceLabel);
+    const fileInput = document.createElement("input");
+    fileInput.type = "file";
+    fileInput.accept = ".json,application/json";
+    fileInput.style.display = "none";
+    const chooseBtn = document.createElement("button");
+    chooseBtn.className = "ce-btn ce-btn-secondary";
+    chooseBtn.textContent = "Choose JSON";
+    chooseBtn.addEventListener("click", () => fileInput.click());
+    const fileName = document.createElement("div");
+    fileName.className = "ce-file-name";
+    fileName.textContent = "No file selected";
+    const status = document.createElement("div");
+    status.className = "ce-import-status";
+    status.setAttribute("role", "status");
+    status.setAttribute("aria-live", "polite");
+    status.textContent = "No import yet.";
+    const setStatus = (message2, type = "info") => {
+      status.textContent = message2;
+      status.classList.remove("is-success", "is-error");
+      if (type === "success") status.classList.add("is-success");
+      if (type === "error") status.classList.add("is-error");
+    };
+    const preview = document.createElement("div");
+    preview.className = "ce-import-preview";
+    preview.textContent = "Select a JSON file to preview import.";
+    const setPreview = (message2, type = "info") => {
+      preview.textContent = message2;
+      preview.classList.remove("is-success", "is-error");
+      if (type === "success") preview.classList.add("is-success");
+      if (type === "error") preview.classList.add("is-error");
+    };
+    let pendingImport = null;
+    let lastFile = null;
+    const setPending = (data) => {
+      pendingImport = data;
+      confirmBtn.disabled = !pendingImport;
+    };
+    const runPreview = () => {
+      if (!lastFile) return;
+      const mode = mergeInput.checked ? "merge" : "replace";
+      onPreview(lastFile, mode, setStatus, setPreview, setPending);
+    };
+    fileInput.addEventListener("change", () => {
+      const file = fileInput.files?.[0];
+      if (!file) return;
+      lastFile = file;
+      fileName.textContent = file.name;
+      runPreview();
+      fileInput.value = "";
+    });
+    importRow.appendChild(chooseBtn);
+    importRow.appendChild(fileName);
+    importSection.appendChild(importLabel);
+    importSection.appendChild(radioGroup);
+    importSection.appendChild(importRow);
+    importSection.appendChild(status);
+    importSection.appendChild(preview);
+    const actions = document.createElement("div");
+    actions.className = "ce-modal-actions";
+    const confirmBtn = document.createElement("button");
+    confirmBtn.className = "ce-btn ce-btn-secondary";
+    confirmBtn.textContent = "Confirm import";
+    confirmBtn.disabled = true;
+    confirmBtn.addEventListener("click", () => {
+      if (!pendingImport) return;
+      const mode = mergeInput.checked ? "merge" : "replace";
+      onConfirm(pendingImport, mode, setStatus, setPreview, setPending);
+    });
+    const closeBtn = document.createElement("button");
+    closeBtn.className = "ce-btn ce-btn-secondary";
+    closeBtn.textContent = "Close";
+    closeBtn.addEventListener("click", onClose);
+    actions.appendChild(confirmBtn);
+    actions.appendChild(closeBtn);
+    body.appendChild(titleRow);
+    body.appendChild(message);
+    body.appendChild(exportSection);
+    body.appendChild(importSection);
+    modal.appendChild(body);
+    modal.appendChild(actions);
+    overlay.appendChild(modal);
+    overlay.appendChild(fileInput);
+    mergeInput.addEventListener("change", runPreview);
+    replaceInput.addEventListener("change", runPreview);
+    return overlay;
+  }
+  function createToast(message, duration = 3e3, action = null) {
+    const toast = document.createElement("div");
+    toast.className = "ce-toast";
+    toast.textContent = message;
+    toast.setAttribute("role", "status");
+    toast.setAttribute("aria-live", "polite");
+    if (action) {
+      const actionBtn = document.createElement("button");
+      actionBtn.className = "ce-toast-action";
+      actionBtn.textContent = action.label;
+      actionBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        action.onClick();
+        if (toast.parentNode) {
+          toast.parentNode.removeChild(toast);
+        }
+      });
+      toast.appendChild(actionBtn);
+    }
+    const container = document.getElementById(CONTAINER_ID) || createContainer();
+    container.appendChild(toast);
+    requestAnimationFrame(() => {
+      toast.classList.add("ce-toast-show");
+    });
+    setTimeout(() => {
+      toast.classList.remove("ce-toast-show");
+      setTimeout(() => {
+        if (toast.parentNode) {
+          toast.parentNode.removeChild(toast);
+        }
+      }, 300);
+    }, duration);
+    return toast;
+  }
+  function setFocusedSnippet(panel, id) {
+    if (!panel) return;
+    panel.querySelectorAll(".ce-snippet-focused").forEach((item2) => {
+      item2.classList.remove("ce-snippet-focused");
+    });
+    if (!id) return;
+    const item = Array.from(panel.querySelectorAll(".ce-snippet-item")).find((el) => el.getAttribute("data-snippet-id") === id);
+    if (item) {
+      item.classList.add("ce-snippet-focused");
+      item.scrollIntoView?.({ block: "nearest" });
+    }
+  }
+
+  // src/content/pageSession.js
+  function resolveTheme(theme) {
+    if (theme === "light" || theme === "dark") return theme;
+    const prefersDark = window.matchMedia && window.matchMedia("(prefers-color-scheme: dark)").matches;
+    return prefersDark ? "dark" : "light";
+  }
+  function applyTheme(theme, elements) {
+    const resolved = resolveTheme(theme);
+    elements.forEach((element) => {
+      element.classList.remove("ce-theme-light", "ce-theme-dark");
+      element.classList.add(`ce-theme-${resolved}`);
+    });
+  }
+  function applyPageSettings(settings) {
+    applyTheme(settings.theme, [document.documentElement, createContainer()]);
+    applyPaletteStyle(buildPaletteCss(settings.palette));
+  }
+  function watchPageSettings({ getSettings, applySettings: applySettings2, render }) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== "local" || !changes.settings) return;
+      applySettings2(changes.settings.newValue);
+      applyPageSettings(getSettings());
+      render();
+    });
+    if (window.matchMedia) {
+      window.matchMedia("(prefers-color-scheme: dark)").addEventListener("change", () => {
+        applyTheme(getSettings().theme, [document.documentElement, createContainer()]);
+      });
+    }
+  }
+  function createLibrarySession({ adapter, getStorage, setStorage, onChange, saveSettings = null }) {
+    const history2 = createHistory();
+    async function save() {
+      try {
+        if (!getStorage().readOnly) {
+          const committed = await commitStorage(getStorage(), adapter);
+          const { storage, localChanged } = mergeStorage(getStorage(), committed);
+          setStorage(storage);
+          if (localChanged) {
+            onChange();
+          }
+        }
+        if (saveSettings) {
+          await saveSettings();
+        }
+      } catch (error) {
+        console.error("Failed to save state:", error);
+        let message = "Failed to save snippets";
+        if (error.message && error.message.includes("quota")) {
+          message = "Storage full. Please clear some snippets or export your data.";
+        } else if (error.message && error.message.includes("newer version")) {
+          message = error.message;
+        }
+        createToast(message);
+      }
+    }
+    function mergeRemote(remoteStorage) {
+      const { storage, localChanged, remoteChanged } = mergeStorage(getStorage(), remoteStorage);
+      if (localChanged) {
+        setStorage(storage);
+        onChange();
+      }
+      if (remoteChanged) {
+        save();
+      }
+    }
+    function isReadOnly() {
+      if (!getStorage().readOnly) return false;
+      createToast(READ_ONLY_MESSAGE);
+      return true;
+    }
+    function refresh2() {
+      onChange();
+      return save();
+    }
+    function applyMutation(label, mutate) {
+      if (isReadOnly()) return Promise.resolve();
+      const before = getStorage();
+      setStorage(mutate(before));
+      history2.record(label, before, getStorage());
+      return refresh2();
+    }
+    function undo() {
+      const result = history2.undo(getStorage());
+      if (!result) {
+        createToast("Nothing to undo");
+        return;
+      }
+      setStorage(result.storage);
+      refresh2();
+      createToast(`Undone: ${result.entry.label}`, 5e3, { label: "Redo", onClick: redo });
+    }
+    function redo() {
+      const result = history2.redo(getStorage());
+      if (!result) {
+        createToast("Nothing to redo");
+        return;
+      }
+      setStorage(result.storage);
+      refresh2();
+      createToast(`Redone: ${result.entry.label}`, 5e3, undoAction);
+    }
+    const undoAction = { label: "Undo", onClick: undo };
+    return {
+      save,
+      mergeRemote,
+      isReadOnly,
+      refresh: refresh2,
+      applyMutation,
+      undo,
+      redo,
+      undoAction
+    };
+  }
+
+  // src/content/richText.js
+  var MAX_HTML_SIZE = 5e4;
+  var DROPPED_HTML_TAGS = /* @__PURE__ */ new Set([
+    "SCRIPT",
+    "STYLE",
+    "NOSCRIPT",
+    "TEMPLATE",
+    "BUTTON",
+    "IFRAME",
+    "FRAME",
+    "FRAMESET",
+    "OBJECT",
+    "EMBED",
+    "APPLET",
+    "FORM",
+    "INPUT",
+    "SELECT",
+    "TEXTAREA",
+    "SVG",
+    "MATH",
+    "LINK",
+    "META",
+    "BASE",
+    "AUDIO",
+    "VIDEO",
+    "CANVAS",
+    "DIALOG"
+  ]);
+  var ALLOWED_HTML_TAGS = /* @__PURE__ */ new Set([
+    "P",
+    "DIV",
+    "SPAN",
+    "BR",
+    "HR",
+    "H1",
+    "H2",
+    "H3",
+    "H4",
+    "H5",
+    "H6",
+    "STRONG",
+    "B",
+    "EM",
+    "I",
+    "U",
+    "S",
+    "DEL",
+    "INS",
+    "MARK",
+    "SUB",
+    "SUP",
+    "SMALL",
+    "CODE",
+    "PRE",
+    "KBD",
+    "SAMP",
+    "BLOCKQUOTE",
+    "Q",
+    "CITE",
+    "ABBR",
+    "UL",
+    "OL",
+    "LI",
+    "DL",
+    "DT",
+    "DD",
+    "TABLE",
+    "CAPTION",
+    "THEAD",
+    "TBODY",
+    "TFOOT",
+    "TR",
+    "TH",
+    "TD",
+    "A",
+    "IMG",
+    "FIGURE",
+    "FIGCAPTION"
+  ]);
+  var ALLOWED_HTML_ATTRIBUTES = {
+    "*": ["title", "lang", "dir"],
+    A: ["href"],
+    IMG: ["src", "alt", "width", "height"],
+    OL: ["start"],
+    TH: ["colspan", "rowspan"],
+    TD: ["colspan", "rowspan"],
+    // Code blocks carry their language as a class (see getCodeLanguage)
+    PRE: ["class"],
+    CODE: ["class"]
+  };
+  var LINK_SCHEMES = /* @__PURE__ */ new Set(["http:", "https:", "mailto:"]);
+  var IMAGE_SCHEMES = /* @__PURE__ */ new Set(["http:", "https:"]);
+  function isAllowedUrl(value, schemes) {
+    try {
+      return schemes.has(new URL(value, document.baseURI).protocol);
+    } catch {
+      return false;
+    }
+  }
+  function sanitizeAttributes(element, tag) {
+    const allowed = [...ALLOWED_HTML_ATTRIBUTES["*"], ...ALLOWED_HTML_ATTRIBUTES[tag] || []];
+    Array.from(element.attributes).forEach(({ name, value }) => {
+      const keep = allowed.includes(name) && (name !== "href" || isAllowedUrl(value, LINK_SCHEMES)) && (name !== "src" || isAllowedUrl(value, IMAGE_SCHEMES));
+      if (!keep) {
+        element.removeAttribute(name);
+      }
+    });
+  }
+  function sanitizeChildren(parent) {
+    Array.from(parent.children).forEach((element) => {
+      const tag = element.tagName.toUpperCase();
+      if (DROPPED_HTML_TAGS.has(tag)) {
+        element.remove();
+        return;
+      }
+      sanitizeChildren(element);
+      if (ALLOWED_HTML_TAGS.has(tag)) {
+        sanitizeAttributes(element, tag);
+      } else {
+        element.replaceWith(...element.childNodes);
+      }
+    });
+  }
+  function serializeHtml(wrapper) {
+    const html = wrapper.innerHTML.trim();
+    if (!html || html.length > MAX_HTML_SIZE) {
+      return null;
+    }
+    return html;
+  }
+  function sanitizeHtml(html) {
+    if (typeof html !== "string") return null;
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    sanitizeChildren(template.content);
+    const wrapper = document.createElement("div");
+    wrapper.appendChild(template.content);
+    return serializeHtml(wrapper);
+  }
+
+  // src/shared/hash.js
+  function hashText(text) {
+    if (!text) return "";
+    const normalized = text.trim().replace(/\s+/g, " ");
+    let hash = 0;
+    for (let i = 0; i < normalized.length; i++) {
+      const char = normalized.charCodeAt(i);
+      hash = (hash << 5) - hash + char;
+      hash = hash & hash;
+    }
+    return Math.abs(hash).toString(36);
+  }
+
+  // src/shared/segments.js
+  var SEGMENT_LABELS = { user: "Q", assistant: "A" };
+  function isCompoundSnippet(snippet) {
+    return Array.isArray(snippet?.segments) && snippet.segments.length > 1;
+  }
+  function getSegmentLabel(role) {
+    if (SEGMENT_LABELS[role]) return SEGMENT_LABELS[role];
+    return role ? role.charAt(0).toUpperCase() + role.slice(1) : "Excerpt";
+  }
+  function formatSegmentsMarkdown(segments) {
+    return segments.map((segment) => `**${getSegmentLabel(segment.role)}:** ${segment.markdown || segment.text}`).join("\n\n");
+  }
+  function normalizeSegments(raw) {
+    if (!Array.isArray(raw)) return null;
+    const segments = raw.filter((segment) => segment && typeof segment.text === "string" && segment.text.trim()).map((segment) => ({
+      text: segment.text.trim(),
+      markdown: typeof segment.markdown === "string" ? segment.markdown : null,
+      anchor: segment.anchor && typeof segment.anchor === "object" ? segment.anchor : null,
+      role: typeof segment.role === "string" ? segment.role : null,
+      model: typeof segment.model === "string" ? segment.model : null,
+      messageIndex: Number.isInteger(segment.messageIndex) ? segment.messageIndex : null
+    }));
+    return segments.length > 1 ? segments : null;
+  }
+
+  // src/content/exchange.js
+  function generateSnippetId() {
+    return `snippet_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  }
+  function snippetKey(snippet) {
+    const anchor = snippet?.anchor || {};
+    const offsets = anchor.selectionOffsets || {};
+    return [
+      hashText(snippet?.text || ""),
+      snippet?.conversationId || "",
+      anchor.textHash || "",
+      offsets.start ?? "",
+      offsets.end ?? ""
+    ].join("|");
+  }
+  function normalizeImportedSnippet(raw) {
+    if (!raw || typeof raw.text !== "string") return null;
+    const text = raw.text.trim();
+    if (!text) return null;
+    return {
+      id: typeof raw.id === "string" ? raw.id : generateSnippetId(),
+      text,
+      conversationId: typeof raw.conversationId === "string" ? raw.conversationId : null,
+      projectId: typeof raw.projectId === "string" ? raw.projectId : null,
+      sourceUrl: typeof raw.sourceUrl === "string" ? raw.sourceUrl : null,
+      note: typeof raw.note === "string" ? raw.note.slice(0, MAX_NOTE_LENGTH) : "",
+      tags: Array.isArray(raw.tags) ? raw.tags.filter((tag) => typeof tag === "string") : [],
+      color: isColorId(raw.color) ? raw.color : null,
+      markdown: typeof raw.markdown === "string" ? raw.markdown : null,
+      html: sanitizeHtml(raw.html),
+      anchor: raw.anchor && typeof raw.anchor === "object" ? raw.anchor : null,
+      role: typeof raw.role === "string" ? raw.role : null,
+      model: typeof raw.model === "string" ? raw.model : null,
+      messageIndex: Number.isInteger(raw.messageIndex) ? raw.messageIndex : null,
+      segments: normalizeSegments(raw.segments),
+      // Conversation metadata, recorded apart from the snippet on import
+      conversationTitle: typeof raw.conversationTitle === "string" ? raw.conversationTitle : null,
+      projectName: typeof raw.projectName === "string" ? raw.projectName : null,
+      createdAt: Number.isFinite(raw.createdAt) ? raw.createdAt : Number.isFinite(raw.timestamp) ? raw.timestamp : Date.now(),
+      // When the exported copy was last edited, to tell changed snippets from duplicates
+      updatedAt: Number.isFinite(raw.updatedAt) ? raw.updatedAt : null,
+      truncated: Boolean(raw.truncated)
+    };
+  }
+  function normalizeImportedSnippets(items) {
+    return items.map(normalizeImportedSnippet).filter(Boolean);
+  }
+  function expandImportDuplicates(items) {
+    const seen = /* @__PURE__ */ new Map();
+    const expanded = [];
+    let duplicates = 0;
+    items.forEach((snippet) => {
+      const key = snippetKey(snippet);
+      const count = seen.get(key) || 0;
+      if (count === 0) {
+        expanded.push(snippet);
+      } else {
+        expanded.push({
+          ...snippet,
+          id: generateSnippetId(),
+          duplicateIndex: count + 1
+        });
+        duplicates += 1;
+      }
+      seen.set(key, count + 1);
+    });
+    return { items: expanded, duplicates };
+  }
+  function mergeSnippets(existing, incoming) {
+    const existingMap = new Map(existing.map((snippet) => [snippetKey(snippet), snippet]));
+    const existingKeys = new Set(existingMap.keys());
+    const existingIds = new Set(existing.map((snippet) => snippet.id));
+    const seenIncoming = /* @__PURE__ */ new Set();
+    const merged = [];
+    let added = 0;
+    let updated = 0;
+    let skipped = 0;
+    incoming.forEach((snippet) => {
+      const key = snippetKey(snippet);
+      if (seenIncoming.has(key)) {
+        skipped += 1;
+        return;
+      }
+      seenIncoming.add(key);
+      if (existingMap.has(key)) {
+        const current = existingMap.get(key);
+        if (snippet.updatedAt && snippet.updatedAt > (current.updatedAt || current.createdAt || 0)) {
+          updated += 1;
+          merged.push({ ...snippet, id: current.id });
+        } else {
+          skipped += 1;
+          merged.push(current);
+        }
+        return;
+      }
+      merged.push(existingIds.has(snippet.id) ? { ...snippet, id: generateSnippetId() } : snippet);
+      added += 1;
+    });
+    existing.forEach((snippet) => {
+      const key = snippetKey(snippet);
+      if (!seenIncoming.has(key) && existingKeys.has(key)) {
+        merged.push(snippet);
+      }
+    });
+    return { items: merged, added, updated, skipped };
+  }
+  function upsertImportedSnippet(storage, { conversationTitle, projectName, ...snippet }) {
+    if (!snippet.createdAt) {
+      snippet.createdAt = snippet.timestamp || Date.now();
+    }
+    const updated = upsertSnippet(storage, snippet);
+    if (getConversation(updated, snippet.conversationId)) {
+      return updated;
+    }
+    return upsertConversation(updated, snippet.conversationId, { title: conversationTitle, projectId: snippet.projectId, projectName });
+  }
+  function getLibrarySnippets(storage) {
+    return storage.index.byTime.map((id) => storage.snippetsById[id]).filter(Boolean);
+  }
+  async function previewImportFile(storage, file, mode) {
+    let parsed;
+    try {
+      parsed = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error("Failed to read import file.");
+    }
+    const items = Array.isArray(parsed) ? parsed : parsed?.items;
+    if (!Array.isArray(items)) {
+      throw new Error("Invalid JSON format.");
+    }
+    const normalized = normalizeImportedSnippets(items);
+    if (normalized.length === 0) {
+      throw new Error("No valid snippets found.");
+    }
+    const { items: expanded, duplicates } = expandImportDuplicates(normalized);
+    const duplicateNote = duplicates ? ` ${duplicates} duplicate${duplicates !== 1 ? "s" : ""} in file will be labeled.` : "";
+    if (mode === "replace") {
+      const currentCount = storage.meta.totalCount || 0;
+      return {
+        items: expanded,
+        preview: `Preview: ${expanded.length} snippet${expanded.length !== 1 ? "s" : ""} will replace ${currentCount}.${duplicateNote}`
+      };
+    }
+    const { items: merged, added, updated, skipped } = mergeSnippets(getLibrarySnippets(storage), expanded);
+    const updateNote = updated ? ` update ${updated} changed,` : "";
+    return {
+      items: expanded,
+      preview: `Preview: add ${added} new,${updateNote} skip ${skipped} duplicate${skipped !== 1 ? "s" : ""}. Total after import: ${merged.length}.${duplicateNote}`
+    };
+  }
+  function applyImport(storage, items, mode) {
+    if (mode === "replace") {
+      const updated2 = items.reduce(upsertImportedSnippet, clearAll(storage));
+      return { storage: updated2, added: items.length, updated: 0, skipped: 0 };
+    }
+    const { items: merged, added, updated, skipped } = mergeSnippets(getLibrarySnippets(storage), items);
+    const changed = merged.filter((snippet) => snippet !== storage.snippetsById[snippet.id]);
+    return { storage: changed.reduce(upsertImportedSnippet, storage), added, updated, skipped };
+  }
+  function formatImportStatus({ added, updated, skipped }) {
+    const details = [
+      updated ? `${updated} updated` : "",
+      skipped ? `${skipped} duplicates skipped` : ""
+    ].filter(Boolean).join(", ");
+    return `Imported ${added} new snippet${added !== 1 ? "s" : ""}${details ? ` (${details})` : ""}.`;
+  }
+  function getSnippetSource(storage, snippet) {
+    const title = getConversation(storage, snippet.conversationId)?.title || null;
+    if (isCompoundSnippet(snippet)) {
+      const roles = snippet.segments.map((segment) => segment.role).filter(Boolean).filter((role, index, all) => role !== all[index - 1]);
+      const models = [...new Set(snippet.segments.map((segment) => segment.model).filter(Boolean))];
+      return { title, role: roles.join(" \u2192 ") || null, model: models.join(", ") || null };
+    }
+    return {
+      title,
+      role: snippet.role || null,
+      model: snippet.model || null
+    };
+  }
+  function formatSnippetMarkdown(snippet, { palette = null, includeNotes = false, getSource = null } = {}) {
+    const content = isCompoundSnippet(snippet) ? formatSegmentsMarkdown(snippet.segments) : snippet.markdown || snippet.text;
+    const [first, ...rest] = content.split("\n");
+    const continuation = rest.map((line) => line ? `  ${line}` : "");
+    const colorLabel = palette ? getColorLabel(palette, snippet.color) : null;
+    const lines = [`- ${colorLabel ? `[${colorLabel}] ` : ""}${first}`, ...continuation];
+    const source = getSource ? formatSnippetSource(getSource(snippet), { includeModel: true }) : null;
+    if (source) {
+      lines.push("", `  _${source}_`);
+    }
+    if (includeNotes && snippet.note && snippet.note.trim()) {
+      lines.push("", ...snippet.note.trim().split("\n").map((line) => line ? `  > ${line}` : "  >"));
+    }
+    return lines.join("\n");
+  }
+  function buildMarkdownFromSnippets(snippets, options = {}) {
+    return snippets.map((snippet) => formatSnippetMarkdown(snippet, options)).join("\n");
+  }
+  function buildHtmlFromSnippets(snippets) {
+    const escapeHtml = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    const items = snippets.map((snippet) => `<li>${snippet.html && sanitizeHtml(snippet.html) || escapeHtml(snippet.text)}</li>`);
+    return `<ul>${items.join("")}</ul>`;
+  }
+  function buildMarkdownExport(storage, snippets, palette) {
+    return buildMarkdownFromSnippets(snippets, {
+      palette,
+      includeNotes: true,
+      getSource: (snippet) => getSnippetSource(storage, snippet)
+    });
+  }
+  function buildJsonExport(storage, snippets, palette) {
+    const items = snippets.map((snippet) => {
+      const exported = { ...snippet };
+      if (exported.createdAt && !exported.timestamp) {
+        exported.timestamp = exported.createdAt;
+      }
+      const colorLabel = getColorLabel(palette, snippet.color);
+      if (colorLabel) {
+        exported.colorLabel = colorLabel;
+      }
+      const conversation = getConversation(storage, snippet.conversationId);
+      if (conversation?.title) {
+        exported.conversationTitle = conversation.title;
+      }
+      const projectName = findProjectName(storage, snippet.projectId);
+      if (projectName) {
+        exported.projectName = projectName;
+      }
+      return exported;
+    });
+    return {
+      schemaVersion: 1,
+      // Export as v1 for compatibility
+      exportedAt: (/* @__PURE__ */ new Date()).toISOString(),
+      items
+    };
+  }
+  async function writeSnippetsToClipboard(snippets) {
+    const markdown = buildMarkdownFromSnippets(snippets);
+    if (typeof ClipboardItem !== "undefined" && snippets.some((snippet) => snippet.html)) {
+      await navigator.clipboard.write([
+        new ClipboardItem({
+          "text/plain": new Blob([markdown], { type: "text/plain" }),
+          "text/html": new Blob([buildHtmlFromSnippets(snippets)], { type: "text/html" })
+        })
+      ]);
+    } else {
+      await navigator.clipboard.writeText(markdown);
+    }
+  }
+  function downloadTextFile(filename, text, mimeType) {
+    const blob = new Blob([text], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.style.display = "none";
+    document.body.appendChild(link);
+    link.click();
+    setTimeout(() => {
+      URL.revokeObjectURL(url);
+      link.remove();
+    }, 0);
+  }
+  function exportFilename(extension) {
+    const stamp = (/* @__PURE__ */ new Date()).toISOString().replace(/[:.]/g, "-");
+    return `chatgpt-snippets-${stamp}.${extension}`;
+  }
+
+  // src/shared/snippetSearch.js
+  function createSnippetSearch() {
+    const index = createSearchIndex();
+    let termCache = { version: -1, results: /* @__PURE__ */ new Map() };
+    function lookup({ value, phrase }) {
+      const version = index.getVersion();
+      if (termCache.version !== version) {
+        termCache = { version, results: /* @__PURE__ */ new Map() };
+      }
+      const key = `${phrase ? "phrase" : "word"}:${value}`;
+      if (!termCache.results.has(key)) {
+        termCache.results.set(key, index.search(value, { phrase }));
+      }
+      return termCache.results.get(key);
+    }
+    function sync(snippetsById) {
+      index.sync(snippetsById);
+    }
+    function filter(snippets, searchQuery, context = {}) {
+      const { ast } = parseQuery(searchQuery);
+      const matchContext = { ...context, matchText: (snippet, term) => lookup(term).has(snippet.id) };
+      return snippets.filter((snippet) => matchesQuery(snippet, ast, matchContext));
+    }
+    function rank(snippets, searchQuery) {
+      const terms = getQueryTerms(parseQuery(searchQuery).ast);
+      if (terms.length === 0) return snippets;
+      const scores = new Map(snippets.map((snippet) => [
+        snippet.id,
+        terms.reduce((sum, term) => sum + (lookup(term).get(snippet.id) || 0), 0)
+      ]));
+      return [...snippets].sort((a, b) => scores.get(b.id) - scores.get(a.id));
+    }
+    return { sync, filter, rank };
+  }
+
+  // src/shared/stats.js
+  var DAY_MS2 = 24 * 60 * 60 * 1e3;
+  var RECENT_DAYS = 7;
+  function computeLibraryStats(storage, now = Date.now()) {
+    const snippets = Object.values(storage.snippetsById || {});
+    const index = storage.index || {};
+    const countBuckets = (buckets) => Object.values(buckets || {}).filter((ids) => ids.length > 0).length;
+    const byRole = {};
+    snippets.forEach((snippet) => {
+      const role = snippet.role || "unknown";
+      byRole[role] = (byRole[role] || 0) + 1;
+    });
+    const times = snippets.map((snippet) => snippet.createdAt).filter(Number.isFinite);
+    return {
+      snippets: snippets.length,
+      conversations: countBuckets(index.byThread),
+      projects: countBuckets(index.byProject),
+      tags: countBuckets(index.byTag),
+      withNotes: snippets.filter((snippet) => typeof snippet.note === "string" && snippet.note.trim()).length,
+      colored: snippets.filter((snippet) => snippet.color).length,
+      truncated: snippets.filter((snippet) => snippet.truncated).length,
+      compound: snippets.filter((snippet) => Array.isArray(snippet.segments) && snippet.segments.length > 1).length,
+      recent: times.filter((time) => time >= now - RECENT_DAYS * DAY_MS2).length,
+      trashed: Object.keys(storage.trash || {}).length,
+      byRole,
+      oldest: times.length > 0 ? times.reduce((a, b) => Math.min(a, b)) : null,
+      newest: times.length > 0 ? times.reduce((a, b) => Math.max(a, b)) : null
+    };
+  }
+
+  // src/library/tree.js
+  var ALL_NODE = { type: "all", id: null };
+  function getConversationLabel(storage, conversationId) {
+    return getConversation(storage, conversationId)?.title || `Conversation ${conversationId.slice(0, 8)}`;
+  }
+  function getProjectLabel(storage, projectId) {
+    return findProjectName(storage, projectId) || `Project ${projectId}`;
+  }
+  function getLatestTime(storage, ids) {
+    return ids.reduce((latest, id) => Math.max(latest, storage.snippetsById[id]?.createdAt || 0), 0);
+  }
+  function buildLibraryTree(storage) {
+    const { byThread = {}, byProject = {} } = storage.index;
+    const snippets = Object.values(storage.snippetsById);
+    const conversations = Object.entries(byThread).filter(([, ids]) => ids.length > 0).map(([id, ids]) => {
+      const recorded = getConversation(storage, id)?.projectId;
+      const projectId = recorded || ids.map((sid) => storage.snippetsById[sid]?.projectId).find(Boolean) || null;
+      return { id, label: getConversationLabel(storage, id), count: ids.length, projectId, latest: getLatestTime(storage, ids) };
+    }).sort((a, b) => b.latest - a.latest);
+    const projects = Object.entries(byProject).filter(([, ids]) => ids.length > 0).map(([id, ids]) => ({
+      id,
+      label: getProjectLabel(storage, id),
+      count: ids.length,
+      latest: getLatestTime(storage, ids),
+      conversations: conversations.filter((conversation) => conversation.projectId === id).map(({ id: conversationId, label, count }) => ({ id: conversationId, label, count }))
+    })).sort((a, b) => b.latest - a.latest).map(({ id, label, count, conversations: projectConversations }) => ({ id, label, count, conversations: projectConversations }));
+    const projectIds = new Set(projects.map((project) => project.id));
+    return {
+      total: snippets.length,
+      unfiled: snippets.filter((snippet) => !snippet.conversationId).length,
+      projects,
+      conversations: conversations.filter((conversation) => !projectIds.has(conversation.projectId)).map(({ id, label, count }) => ({ id, label, count })),
+      tags: getTagCounts(storage)
+    };
+  }
+  function getNodeSnippets(storage, node) {
+    const { snippetsById, index } = storage;
+    const all = index.byTime.map((id) => snippetsById[id]).filter(Boolean);
+    switch (node?.type) {
+      case "conversation":
+      case "project":
+      case "tag": {
+        const buckets = { conversation: index.byThread, project: index.byProject, tag: index.byTag }[node.type];
+        const ids = new Set(buckets?.[node.id] || []);
+        return all.filter((snippet) => ids.has(snippet.id));
+      }
+      case "unfiled":
+        return all.filter((snippet) => !snippet.conversationId);
+      default:
+        return all;
+    }
+  }
+  function isNodeAvailable(storage, node) {
+    if (!node || node.type === "all") return true;
+    return getNodeSnippets(storage, node).length > 0;
+  }
+  function getNodeLabel(storage, node) {
+    switch (node?.type) {
+      case "conversation":
+        return getConversationLabel(storage, node.id);
+      case "project":
+        return getProjectLabel(storage, node.id);
+      case "tag":
+        return `#${node.id}`;
+      case "unfiled":
+        return "No conversation";
+      default:
+        return "All snippets";
+    }
+  }
+
+  // src/shared/urlIds.js
+  function getConversationIdFromUrl(url) {
+    if (!url) return null;
+    try {
+      const matches = Array.from(String(url).matchAll(/\/c\/([^/?#]+)/g));
+      if (matches.length > 0) {
+        return decodeURIComponent(matches[matches.length - 1][1]);
+      }
+      const match2 = String(url).match(/[?&]conversationId=([^&]+)/);
+      if (match2) {
+        return decodeURIComponent(match2[1]);
+      }
+    } catch (error) {
+      console.warn("Failed to parse conversationId from URL:", error);
+    }
+    return null;
+  }
+
+  // src/content/pendingNavigation.js
+  function getSnippetConversationId(snippet) {
+    return snippet?.anchor?.conversationId || snippet?.conversationId || null;
+  }
+
+  // src/library/links.js
+  var CHATGPT_HOSTS = ["chatgpt.com", "chat.openai.com"];
+  var DEFAULT_ORIGIN = "https://chatgpt.com";
+  function isChatGptUrl(url) {
+    try {
+      const { protocol, hostname } = new URL(url);
+      return protocol === "https:" && CHATGPT_HOSTS.includes(hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+  function getSnippetUrl(snippet) {
+    const conversationId = getSnippetConversationId(snippet);
+    const sourceUrl = snippet?.sourceUrl;
+    if (sourceUrl && isChatGptUrl(sourceUrl) && (!conversationId || getConversationIdFromUrl(sourceUrl) === conversationId)) {
+      return sourceUrl;
+    }
+    if (!conversationId) return null;
+    const origin = sourceUrl && isChatGptUrl(sourceUrl) ? new URL(sourceUrl).origin : DEFAULT_ORIGIN;
+    return `${origin}/c/${encodeURIComponent(conversationId)}`;
+  }
+
+  // src/library/library.js
+  var state = {
+    storage: createEmptyStorage(),
+    settings: {
+      theme: "auto",
+      palette: resolvePalette(null)
+    },
+    // Tree node the list shows (see tree.js)
+    node: ALL_NODE,
+    searchQuery: "",
+    searchSort: "relevance",
+    // 'relevance' or 'time' (the list's sort)
+    colorFilter: null,
+    view: { ...DEFAULT_LIST_VIEW },
+    collapsedGroups: /* @__PURE__ */ new Set(),
+    // '<group mode>:<group key>' of collapsed list groups
+    selectedIds: /* @__PURE__ */ new Set(),
+    // Last checkbox clicked, the anchor for shift-click range selection
+    selectionAnchorId: null,
+    // Snippet shown in the detail pane
+    detailId: null
+  };
+  var root = null;
+  var searchBox = null;
+  var nav = null;
+  var main = null;
+  var detail = null;
+  var importExportModal = null;
+  var storageAdapter = createChromeStorageAdapter();
+  var snippetSearch = createSnippetSearch();
+  var session = createLibrarySession({
+    adapter: storageAdapter,
+    getStorage: () => state.storage,
+    setStorage: (storage) => {
+      state.storage = storage;
+    },
+    onChange: () => refresh()
+  });
+  async function init() {
+    root = document.getElementById("ce-library");
+    createContainer();
+    await loadState();
+    applyPageSettings(state.settings);
+    renderPage();
+    storageAdapter.subscribe(session.mergeRemote);
+    watchPageSettings({ getSettings: () => state.settings, applySettings, render: renderPage });
+    document.addEventListener("keydown", handleKeydown);
+  }
+  async function loadState() {
+    try {
+      const { settings } = await chrome.storage.local.get("settings");
+      applySettings(settings);
+      state.storage = await storageAdapter.load();
+      snippetSearch.sync(state.storage.snippetsById);
+    } catch (error) {
+      console.error("Failed to load state:", error);
+      createToast("Failed to load snippets");
+    }
+  }
+  function applySettings(settings) {
+    state.settings = {
+      theme: settings?.theme || "auto",
+      palette: resolvePalette(settings?.palette)
+    };
+  }
+  function refresh() {
+    snippetSearch.sync(state.storage.snippetsById);
+    state.selectedIds.forEach((id) => {
+      if (!state.storage.snippetsById[id]) {
+        state.selectedIds.delete(id);
+      }
+    });
+    if (!isNodeAvailable(state.storage, state.node)) {
+      state.node = ALL_NODE;
+    }
+    if (state.detailId && !state.storage.snippetsById[state.detailId]) {
+      state.detailId = null;
+    }
+    renderNav();
+    renderMain();
+    renderDetail();
+  }
+  function renderPage() {
+    root.innerHTML = "";
+    const header = document.createElement("header");
+    header.className = "ce-library-header";
+    const title = document.createElement("h1");
+    title.className = "ce-library-title";
+    title.textContent = "Snippet Library";
+    header.appendChild(title);
+    searchBox = createSearchBox({ searchQuery: state.searchQuery, onSearch: handleSearch, search: getSearchConfig() });
+    header.appendChild(searchBox);
+    const actions = document.createElement("div");
+    actions.className = "ce-library-actions";
+    const manageBtn = document.createElement("button");
+    manageBtn.className = "ce-btn ce-btn-secondary ce-btn-manage";
+    manageBtn.textContent = "Import/Export";
+    manageBtn.setAttribute("aria-label", "Import or export snippets");
+    manageBtn.addEventListener("click", handleOpenImportExport);
+    actions.appendChild(manageBtn);
+    header.appendChild(actions);
+    root.appendChild(header);
+    if (state.storage.readOnly) {
+      const notice = document.createElement("div");
+      notice.className = "ce-library-notice";
+      notice.setAttribute("role", "note");
+      notice.textContent = "Snippets were saved by a newer version of the extension. Changes won't be saved until you update it.";
+      root.appendChild(notice);
+    }
+    const body = document.createElement("div");
+    body.className = "ce-library-body";
+    nav = document.createElement("nav");
+    nav.className = "ce-library-nav";
+    nav.setAttribute("aria-label", "Projects, conversations and tags");
+    main = document.createElement("main");
+    main.className = "ce-library-main";
+    detail = document.createElement("aside");
+    detail.className = "ce-library-detail";
+    detail.setAttribute("aria-label", "Snippet details");
+    body.appendChild(nav);
+    body.appendChild(main);
+    body.appendChild(detail);
+    root.appendChild(body);
+    refresh();
+  }
+  function renderNav() {
+    nav.innerHTML = "";
+    nav.appendChild(createStats(computeLibraryStats(state.storage)));
+    const tree = buildLibraryTree(state.storage);
+    const addSection = (label, nodes) => {
+      if (nodes.length === 0) return;
+      const heading = document.createElement("h2");
+      heading.className = "ce-library-nav-heading";
+      heading.textContent = label;
+      nav.appendChild(heading);
+      const list = document.createElement("ul");
+      list.className = "ce-library-tree";
+      nodes.forEach(({ node, label: nodeLabel, count, children = [] }) => {
+        const entry = document.createElement("li");
+        entry.appendChild(createNavButton(node, nodeLabel, count));
+        if (children.length > 0) {
+          const nested = document.createElement("ul");
+          nested.className = "ce-library-tree";
+          children.forEach((child) => {
+            const childEntry = document.createElement("li");
+            childEntry.appendChild(createNavButton(child.node, child.label, child.count));
+            nested.appendChild(childEntry);
+          });
+          entry.appendChild(nested);
+        }
+        list.appendChild(entry);
+      });
+      nav.appendChild(list);
+    };
+    addSection("Library", [
+      { node: ALL_NODE, label: "All snippets", count: tree.total },
+      ...tree.unfiled > 0 ? [{ node: { type: "unfiled", id: null }, label: "No conversation", count: tree.unfiled }] : []
+    ]);
+    addSection("Projects", tree.projects.map((project) => ({
+      node: { type: "project", id: project.id },
+      label: project.label,
+      count: project.count,
+      children: project.conversations.map((conversation) => ({
+        node: { type: "conversation", id: conversation.id },
+        label: conversation.label,
+        count: conversation.count
+      }))
+    })));
+    addSection("Conversations", tree.conversations.map((conversation) => ({
+      node: { type: "conversation", id: conversation.id },
+      label: conversation.label,
+      count: conversation.count
+    })));
+    addSection("Tags", tree.tags.map(({ tag, count }) => ({ node: { type: "tag", id: tag }, label: `#${tag}`, count })));
+  }
+  function createNavButton(node, label, count) {
+    const active = state.node.type === node.type && state.node.id === node.id;
+    const btn = document.createElement("button");
+    btn.className = "ce-library-node";
+    btn.classList.toggle("active", active);
+    btn.setAttribute("aria-current", active ? "true" : "false");
+    btn.title = label;
+    const labelEl = document.createElement("span");
+    labelEl.className = "ce-library-node-label";
+    labelEl.textContent = label;
+    const countEl = document.createElement("span");
+    countEl.className = "ce-library-node-count";
+    countEl.textContent = String(count);
+    btn.appendChild(labelEl);
+    btn.appendChild(countEl);
+    btn.addEventListener("click", () => handleSelectNode(node));
+    return btn;
+  }
+  function createStats(stats) {
+    const list = document.createElement("dl");
+    list.className = "ce-library-stats";
+    const rows = [
+      ["Snippets", stats.snippets],
+      ["Conversations", stats.conversations],
+      ["Projects", stats.projects],
+      ["Tags", stats.tags],
+      ["Saved this week", stats.recent],
+      ["With notes", stats.withNotes],
+      ["From your messages", stats.byRole.user || 0],
+      ["From ChatGPT", stats.byRole.assistant || 0],
+      ["In trash", stats.trashed]
+    ];
+    rows.forEach(([label, value]) => {
+      const term = document.createElement("dt");
+      term.textContent = label;
+      const description = document.createElement("dd");
+      description.textContent = String(value);
+      list.appendChild(term);
+      list.appendChild(description);
+    });
+    return list;
+  }
+  function getListSnippets() {
+    let snippets = getNodeSnippets(state.storage, state.node);
+    const searching = Boolean(state.searchQuery.trim());
+    if (searching) {
+      snippets = snippetSearch.filter(snippets, state.searchQuery, {
+        palette: state.settings.palette,
+        getConversationTitle: (snippet) => getConversation(state.storage, snippet.conversationId)?.title || null,
+        getProjectName: (snippet) => findProjectName(state.storage, snippet.projectId)
+      });
+    }
+    snippets = sortSnippets(snippets, state.view.sort);
+    if (searching && state.searchSort === "relevance") {
+      snippets = snippetSearch.rank(snippets, state.searchQuery);
+    }
+    if (state.colorFilter) {
+      snippets = snippets.filter((snippet) => snippet.color === state.colorFilter);
+    }
+    let groups = groupSnippets(snippets, state.view.group, { palette: state.settings.palette });
+    if (!groups) {
+      return { snippets, shown: snippets, groups: null };
+    }
+    groups = groups.map(({ key, snippets: items }) => ({
+      key,
+      label: getGroupLabel(state.view.group, key),
+      count: items.length,
+      collapsed: state.collapsedGroups.has(`${state.view.group}:${key}`),
+      snippets: items
+    }));
+    return {
+      snippets,
+      shown: groups.flatMap((group) => group.collapsed ? [] : group.snippets),
+      groups: groups.map(({ key, label, count, collapsed }) => ({ key, label, count, collapsed }))
+    };
+  }
+  function getGroupLabel(group, key) {
+    if (group === "color") {
+      return key ? getColorLabel(state.settings.palette, key) || key : "No color";
+    }
+    if (group === "project") {
+      return key ? getProjectLabel(state.storage, key) : "No project";
+    }
+    return key ? getConversationLabel(state.storage, key) : "No conversation";
+  }
+  function getSearchConfig() {
+    return {
+      terms: getQueryTerms(parseQuery(state.searchQuery).ast),
+      sort: state.searchSort,
+      onSortChange: handleSearchSortChange
+    };
+  }
+  function renderMain() {
+    main.innerHTML = "";
+    const { snippets, shown, groups } = getListSnippets();
+    const heading = document.createElement("div");
+    heading.className = "ce-library-main-heading";
+    const title = document.createElement("h2");
+    title.textContent = getNodeLabel(state.storage, state.node);
+    const count = document.createElement("span");
+    count.className = "ce-library-count";
+    count.textContent = `${snippets.length} snippet${snippets.length !== 1 ? "s" : ""}`;
+    heading.appendChild(title);
+    heading.appendChild(count);
+    main.appendChild(heading);
+    const controls = document.createElement("div");
+    controls.className = "ce-library-controls";
+    controls.appendChild(createColorFilter({
+      palette: state.settings.palette,
+      activeColor: state.colorFilter,
+      onFilterChange: handleColorFilterChange
+    }));
+    controls.appendChild(createListControls({
+      sort: state.view.sort,
+      group: state.view.group,
+      onSortChange: (sort) => handleListViewChange({ sort }),
+      onGroupChange: (group) => handleListViewChange({ group })
+    }));
+    main.appendChild(controls);
+    const selection = getSelectionConfig();
+    main.appendChild(createBulkActionBar(shown, selection));
+    const list = createSnippetList({
+      snippets: shown,
+      onRemove: handleRemove,
+      onSnippetClick: handleOpenSource,
+      onNoteChange: handleNoteChange,
+      selection,
+      tags: {
+        all: Object.keys(state.storage.index.byTag || {}),
+        onFilterChange: (tag) => handleSelectNode({ type: "tag", id: tag }),
+        onTagsChange: handleTagsChange
+      },
+      search: getSearchConfig(),
+      view: {
+        groups,
+        getSource: (snippet) => getSnippetSource(state.storage, snippet),
+        onToggleGroup: handleToggleGroup
+      },
+      emptyMessage: state.searchQuery.trim() ? "No snippets match your search" : "No snippets here yet"
+    });
+    list.addEventListener("click", (e) => {
+      if (e.target.closest("button, input, textarea, a, .ce-snippet-text")) return;
+      const item = e.target.closest(".ce-snippet-item");
+      if (item) {
+        handleShowDetail(item.getAttribute("data-snippet-id"));
+      }
+    });
+    main.appendChild(list);
+    setFocusedSnippet(list, state.detailId);
+  }
+  function renderDetail() {
+    detail.innerHTML = "";
+    const snippet = state.detailId ? state.storage.snippetsById[state.detailId] : null;
+    detail.hidden = !snippet;
+    if (!snippet) return;
+    const header = document.createElement("div");
+    header.className = "ce-library-detail-header";
+    const title = document.createElement("h2");
+    title.textContent = snippet.conversationId ? getConversationLabel(state.storage, snippet.conversationId) : "Snippet";
+    const closeBtn = document.createElement("button");
+    closeBtn.className = "ce-btn ce-btn-icon";
+    closeBtn.setAttribute("aria-label", "Close details");
+    closeBtn.innerHTML = "\xD7";
+    closeBtn.addEventListener("click", () => handleShowDetail(null));
+    header.appendChild(title);
+    header.appendChild(closeBtn);
+    detail.appendChild(header);
+    const parts = isCompoundSnippet(snippet) ? snippet.segments.map((segment) => ({ label: getSegmentLabel(segment.role), text: segment.text })) : [{ label: null, text: snippet.text }];
+    parts.forEach(({ label, text }) => {
+      const block = document.createElement("div");
+      block.className = "ce-library-detail-text";
+      if (label) {
+        const labelEl = document.createElement("strong");
+        labelEl.textContent = `${label}: `;
+        block.appendChild(labelEl);
+      }
+      block.appendChild(document.createTextNode(text));
+      detail.appendChild(block);
+    });
+    const facts = document.createElement("dl");
+    facts.className = "ce-library-detail-facts";
+    const source = getSnippetSource(state.storage, snippet);
+    const formatTime = (time) => time ? new Date(time).toLocaleString() : null;
+    [
+      ["Source", formatSnippetSource({ role: source.role, model: source.model }, { includeModel: true })?.replace(/^from: /, "")],
+      ["Project", snippet.projectId ? getProjectLabel(state.storage, snippet.projectId) : null],
+      ["Color", getColorLabel(state.settings.palette, snippet.color)],
+      ["Tags", Array.isArray(snippet.tags) && snippet.tags.length > 0 ? snippet.tags.map((tag) => `#${tag}`).join(" ") : null],
+      ["Note", snippet.note || null],
+      ["Saved", formatTime(snippet.createdAt)],
+      ["Edited", snippet.updatedAt && snippet.updatedAt !== snippet.createdAt ? formatTime(snippet.updatedAt) : null],
+      ["Truncated", snippet.truncated ? "Yes, at 10,000 characters" : null]
+    ].filter(([, value]) => value).forEach(([label, value]) => {
+      const term = document.createElement("dt");
+      term.textContent = label;
+      const description = document.createElement("dd");
+      description.textContent = value;
+      facts.appendChild(term);
+      facts.appendChild(description);
+    });
+    detail.appendChild(facts);
+    const actions = document.createElement("div");
+    actions.className = "ce-library-detail-actions";
+    const addAction = (label, onClick, disabled = false) => {
+      const btn = document.createElement("button");
+      btn.className = "ce-btn ce-btn-secondary";
+      btn.textContent = label;
+      btn.disabled = disabled;
+      btn.addEventListener("click", onClick);
+      actions.appendChild(btn);
+    };
+    addAction("Open in ChatGPT", () => handleOpenSource(snippet), !getSnippetUrl(snippet));
+    addAction("Copy", () => copySnippets([snippet]));
+    addAction("Delete", () => handleRemove(snippet.id));
+    detail.appendChild(actions);
+  }
+  function updateSearchBox() {
+    const clearSearchBtn = searchBox.querySelector(".ce-search-clear");
+    clearSearchBtn.style.display = state.searchQuery.trim() ? "flex" : "none";
+    renderSearchFeedback(searchBox, state.searchQuery);
+    const replacement = createSearchBox({ searchQuery: state.searchQuery, onSearch: handleSearch, search: getSearchConfig() });
+    const sortToggle = searchBox.querySelector(".ce-search-sort");
+    const newSortToggle = replacement.querySelector(".ce-search-sort");
+    if (sortToggle && newSortToggle) {
+      sortToggle.replaceWith(newSortToggle);
+    } else if (sortToggle) {
+      sortToggle.remove();
+    } else if (newSortToggle) {
+      searchBox.querySelector(".ce-search-feedback").before(newSortToggle);
+    }
+  }
+  function handleSearch(query) {
+    state.searchQuery = query;
+    updateSearchBox();
+    renderMain();
+  }
+  function handleSearchSortChange(sort) {
+    state.searchSort = sort;
+    updateSearchBox();
+    renderMain();
+  }
+  function handleSelectNode(node) {
+    state.node = node;
+    state.selectedIds.clear();
+    state.selectionAnchorId = null;
+    renderNav();
+    renderMain();
+  }
+  function handleColorFilterChange(colorId) {
+    state.colorFilter = colorId;
+    renderMain();
+  }
+  function handleListViewChange(changes) {
+    state.view = { ...state.view, ...changes };
+    renderMain();
+  }
+  function handleToggleGroup(key) {
+    const id = `${state.view.group}:${key}`;
+    if (state.collapsedGroups.has(id)) {
+      state.collapsedGroups.delete(id);
+    } else {
+      state.collapsedGroups.add(id);
+    }
+    renderMain();
+  }
+  function handleShowDetail(id) {
+    state.detailId = id;
+    renderMain();
+    renderDetail();
+  }
+  function handleOpenSource(snippet) {
+    const url = getSnippetUrl(snippet);
+    if (!url) {
+      createToast("Source conversation unknown");
+      return;
+    }
+    chrome.tabs.create({ url });
+  }
+  function handleRemove(id) {
+    if (session.isReadOnly()) return;
+    state.selectedIds.delete(id);
+    session.applyMutation("Delete snippet", (storage) => removeSnippet(storage, id));
+    createToast("Snippet moved to trash", 5e3, session.undoAction);
+  }
+  function handleNoteChange(id, note) {
+    const snippet = state.storage.snippetsById[id];
+    const value = note.trim().slice(0, MAX_NOTE_LENGTH);
+    if (!snippet || value === (snippet.note || "")) return;
+    session.applyMutation(value ? "Edit note" : "Remove note", (storage) => upsertSnippet(storage, { ...snippet, note: value }));
+  }
+  function handleTagsChange(id, tags) {
+    const snippet = state.storage.snippetsById[id];
+    if (!snippet) return;
+    const previous = Array.isArray(snippet.tags) ? snippet.tags : [];
+    const added = tags.find((tag) => !previous.includes(tag));
+    session.applyMutation(added ? `Tag #${added}` : "Remove tag", (storage) => upsertSnippet(storage, { ...snippet, tags }));
+  }
+  function getSelectionConfig() {
+    return {
+      selectedIds: state.selectedIds,
+      onToggleSelect: handleToggleSelect,
+      onSelectAll: handleSelectAllVisible,
+      onBulkDelete: handleBulkDelete,
+      onBulkCopy: () => copySnippets(getSelectedVisibleSnippets()),
+      onBulkExportJson: () => exportSnippetsAsJson(getSelectedVisibleSnippets()),
+      onBulkExportMarkdown: () => exportSnippetsAsMarkdown(getSelectedVisibleSnippets()),
+      onBulkTag: handleBulkTag
+    };
+  }
+  function getSelectedVisibleSnippets() {
+    return getListSnippets().shown.filter((snippet) => state.selectedIds.has(snippet.id));
+  }
+  function handleToggleSelect(id, selected, shiftKey) {
+    const { shown } = getListSnippets();
+    const index = shown.findIndex((snippet) => snippet.id === id);
+    const anchorIndex = shown.findIndex((snippet) => snippet.id === state.selectionAnchorId);
+    const range = shiftKey && index !== -1 && anchorIndex !== -1 ? shown.slice(Math.min(index, anchorIndex), Math.max(index, anchorIndex) + 1).map((snippet) => snippet.id) : [id];
+    range.forEach((rangeId) => {
+      if (selected) {
+        state.selectedIds.add(rangeId);
+      } else {
+        state.selectedIds.delete(rangeId);
+      }
+    });
+    state.selectionAnchorId = id;
+    renderMain();
+  }
+  function handleSelectAllVisible(selected) {
+    getListSnippets().shown.forEach((snippet) => {
+      if (selected) {
+        state.selectedIds.add(snippet.id);
+      } else {
+        state.selectedIds.delete(snippet.id);
+      }
+    });
+    state.selectionAnchorId = null;
+    renderMain();
+  }
+  function handleBulkDelete() {
+    if (session.isReadOnly()) return;
+    const snippets = getSelectedVisibleSnippets();
+    if (snippets.length === 0) return;
+    snippets.forEach((snippet) => state.selectedIds.delete(snippet.id));
+    state.selectionAnchorId = null;
+    const label = `Delete ${snippets.length} snippet${snippets.length !== 1 ? "s" : ""}`;
+    session.applyMutation(label, (storage) => snippets.reduce((updated, snippet) => removeSnippet(updated, snippet.id), storage));
+    createToast(`Moved ${snippets.length} snippet${snippets.length !== 1 ? "s" : ""} to trash`, 5e3, session.undoAction);
+  }
+  function handleBulkTag(rawTag) {
+    if (session.isReadOnly()) return;
+    const snippets = getSelectedVisibleSnippets();
+    const tag = normalizeTag(rawTag);
+    if (snippets.length === 0 || !tag) return;
+    session.applyMutation(`Tag #${tag}`, (storage) => snippets.reduce((updated, snippet) => {
+      const tags = Array.isArray(snippet.tags) ? snippet.tags : [];
+      return tags.includes(tag) ? updated : upsertSnippet(updated, { ...snippet, tags: [...tags, tag] });
+    }, storage));
+    createToast(`Tagged ${snippets.length} snippet${snippets.length !== 1 ? "s" : ""} #${tag}`, 5e3, session.undoAction);
+  }
+  async function copySnippets(snippets) {
+    if (snippets.length === 0) return;
+    try {
+      await writeSnippetsToClipboard(snippets);
+      createToast(`Copied ${snippets.length} snippet${snippets.length !== 1 ? "s" : ""} to clipboard`);
+    } catch (error) {
+      console.error("Failed to copy:", error);
+      createToast("Failed to copy to clipboard");
+    }
+  }
+  function exportSnippetsAsJson(snippets) {
+    if (snippets.length === 0) {
+      createToast("No snippets to export");
+      return;
+    }
+    const payload = buildJsonExport(state.storage, snippets, state.settings.palette);
+    downloadTextFile(exportFilename("json"), JSON.stringify(payload, null, 2), "application/json");
+    createToast(`Exported ${snippets.length} snippet${snippets.length !== 1 ? "s" : ""}`);
+  }
+  function exportSnippetsAsMarkdown(snippets) {
+    if (snippets.length === 0) {
+      createToast("No snippets to export");
+      return;
+    }
+    const markdown = buildMarkdownExport(state.storage, snippets, state.settings.palette);
+    downloadTextFile(exportFilename("md"), markdown, "text/markdown");
+    createToast(`Exported ${snippets.length} snippet${snippets.length !== 1 ? "s" : ""}`);
+  }
+  function handleOpenImportExport() {
+    if (importExportModal) return;
+    const getAll = () => getNodeSnippets(state.storage, ALL_NODE);
+    importExportModal = createImportExportModal({
+      snippetCount: state.storage.meta.totalCount || 0,
+      onClose: handleCloseImportExport,
+      onExportJson: () => exportSnippetsAsJson(getAll()),
+      onExportMarkdown: () => exportSnippetsAsMarkdown(getAll()),
+      onPreview: handlePreviewImport,
+      onConfirm: handleConfirmImport
+    });
+    document.body.appendChild(importExportModal);
+  }
+  function handleCloseImportExport() {
+    if (!importExportModal) return;
+    importExportModal.remove();
+    importExportModal = null;
+  }
+  async function handlePreviewImport(file, mode, setStatus, setPreview, setPending) {
+    try {
+      const { items, preview } = await previewImportFile(state.storage, file, mode);
+      setStatus("Preview ready.", "success");
+      setPreview(preview, "success");
+      setPending({ items });
+    } catch (error) {
+      console.error("Failed to import snippets:", error);
+      setStatus(error.message, "error");
+      setPreview("Preview unavailable.", "error");
+      setPending(null);
+    }
+  }
+  async function handleConfirmImport(pending, mode, setStatus, setPreview, setPending) {
+    if (!pending?.items) {
+      setStatus("No preview data available.", "error");
+      return;
+    }
+    if (state.storage.readOnly) {
+      setStatus(READ_ONLY_MESSAGE, "error");
+      return;
+    }
+    try {
+      if (mode === "replace") {
+        state.selectedIds.clear();
+      }
+      let result = null;
+      await session.applyMutation(mode === "replace" ? "Replace with import" : "Import snippets", (storage) => {
+        result = applyImport(storage, pending.items, mode);
+        return result.storage;
+      });
+      setStatus(formatImportStatus(result), "success");
+      setPreview("Import complete. You can select another file to import.", "success");
+      setPending(null);
+      createToast(mode === "replace" ? "Snippets replaced with import" : "Snippets imported", 5e3, session.undoAction);
+    } catch (error) {
+      console.error("Failed to import snippets:", error);
+      setStatus("Failed to import snippets.", "error");
+    }
+  }
+  function handleKeydown(e) {
+    if (e.key !== "Escape") return;
+    if (importExportModal) {
+      handleCloseImportExport();
+    } else if (state.detailId) {
+      handleShowDetail(null);
+    }
+  }
+  init();
+})();
@@ -0,0 +1,1384 @@
+(() => {
+  // src/content/storage.js
+  var DAY_MS = 24 * 60 * 60 * 1e3;
+  var TOMBSTONE_TTL_MS = 30 * DAY_MS;
+  function getConversation(storage, conversationId) {
+    return conversationId && storage.conversations?.[conversationId] || null;
+  }
+  function findProjectName(storage, projectId) {
+    if (!projectId) {
+      return null;
+    }
+    const named = Object.values(storage.conversations || {}).filter((conversation) => conversation.projectId === projectId && conversation.projectName).sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+    return named.length > 0 ? named[0].projectName : null;
+  }
+
+  // src/shared/palette.js
+  var DEFAULT_PALETTE = [
+    { id: "yellow", label: "Fact", color: "#facc15" },
+    { id: "green", label: "To-do", color: "#22c55e" },
+    { id: "red", label: "Question", color: "#ef4444" },
+    { id: "blue", label: "Idea", color: "#3b82f6" },
+    { id: "purple", label: "Quote", color: "#a855f7" }
+  ];
+  var COLOR_ID_PATTERN = /^[a-z0-9-]{1,24}$/;
+  var HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+  var MAX_LABEL_LENGTH = 24;
+  var HIGHLIGHT_ALPHA = 0.35;
+  function isColorId(id) {
+    return typeof id === "string" && COLOR_ID_PATTERN.test(id);
+  }
+  function resolvePalette(saved) {
+    if (!Array.isArray(saved)) return DEFAULT_PALETTE.map((entry) => ({ ...entry }));
+    const seen = /* @__PURE__ */ new Set();
+    const palette = saved.filter((entry) => {
+      if (!entry || !isColorId(entry.id) || seen.has(entry.id)) return false;
+      if (typeof entry.label !== "string" || !entry.label.trim() || !HEX_COLOR_PATTERN.test(entry.color)) return false;
+      seen.add(entry.id);
+      return true;
+    }).map((entry) => ({ id: entry.id, label: entry.label.trim().slice(0, MAX_LABEL_LENGTH), color: entry.color.toLowerCase() }));
+    return palette.length > 0 ? palette : DEFAULT_PALETTE.map((entry) => ({ ...entry }));
+  }
+  function colorVar(id, background = false) {
+    return `var(--ce-color-${id}${background ? "-bg" : ""})`;
+  }
+  function hexToRgba(hex, alpha) {
+    const value = parseInt(hex.slice(1), 16);
+    return `rgba(${value >> 16 & 255}, ${value >> 8 & 255}, ${value & 255}, ${alpha})`;
+  }
+  function buildPaletteCss(palette) {
+    const variables = palette.map(
+      ({ id, color }) => `  --ce-color-${id}: ${color};
+  --ce-color-${id}-bg: ${hexToRgba(color, HIGHLIGHT_ALPHA)};`
+    );
+    const highlights = palette.map(
+      ({ id, color }) => `::highlight(ce-snippet-${id}),
+::highlight(ce-transient-${id}) {
+  background-color: ${hexToRgba(color, HIGHLIGHT_ALPHA)};
+}`
+    );
+    return [`:root {
+${variables.join("\n")}
+}`, ...highlights].join("\n\n");
+  }
+
+  // src/shared/tags.js
+  var MAX_TAG_LENGTH = 40;
+  var MAX_SUGGESTIONS = 8;
+  function normalizeTag(value) {
+    if (typeof value !== "string") return "";
+    return value.trim().replace(/^#+/, "").trim().replace(/\s+/g, "-").toLowerCase().slice(0, MAX_TAG_LENGTH);
+  }
+  function suggestTags(tags, input, exclude = [], limit = MAX_SUGGESTIONS) {
+    const query = normalizeTag(input);
+    const candidates = tags.filter((tag) => !exclude.includes(tag));
+    if (!query) return candidates.slice(0, limit);
+    const prefixed = candidates.filter((tag) => tag.startsWith(query));
+    const containing = candidates.filter((tag) => !tag.startsWith(query) && tag.includes(query));
+    return [...prefixed, ...containing].slice(0, limit);
+  }
+
+  // src/shared/query.js
+  var FIELDS = ["tag", "color", "conv", "project", "before", "after", "role", "has", "truncated"];
+  var ROLES = ["user", "assistant"];
+  var HAS_VALUES = ["note", "tag", "color"];
+  var BOOLEAN_VALUES = ["true", "false"];
+  var DATE_PATTERN = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/;
+  function tokenize(input, errors) {
+    const tokens = [];
+    let i = 0;
+    const readQuoted = (start) => {
+      const close = input.indexOf('"', start + 1);
+      if (close === -1) {
+        errors.push({ message: "Missing closing quote", start, end: input.length });
+        return { value: input.slice(start + 1), end: input.length };
+      }
+      return { value: input.slice(start + 1, close), end: close + 1 };
+    };
+    const readWord = (start) => {
+      let end = start;
+      while (end < input.length && !/[\s()"]/.test(input[end])) end++;
+      return { value: input.slice(start, end), end };
+    };
+    while (i < input.length) {
+      const char = input[i];
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+      if (char === "(" || char === ")") {
+        tokens.push({ type: char === "(" ? "open" : "close", start: i, end: i + 1 });
+        i++;
+        continue;
+      }
+      const start = i;
+      let negated = false;
+      if (char === "-" && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+        negated = true;
+        i++;
+      }
+      if (input[i] === '"') {
+        const { value: value2, end: end2 } = readQuoted(i);
+        tokens.push({ type: "text", value: value2, phrase: true, negated, start, end: end2 });
+        i = end2;
+        continue;
+      }
+      if (input[i] === "(") {
+        tokens.push({ type: "not", start, end: i });
+        continue;
+      }
+      const { value, end } = readWord(i);
+      const fieldMatch = /^([a-z]+):(.*)$/i.exec(value);
+      if (fieldMatch && FIELDS.includes(fieldMatch[1].toLowerCase())) {
+        const field = fieldMatch[1].toLowerCase();
+        let fieldValue = fieldMatch[2];
+        let fieldEnd = end;
+        if (!fieldValue && input[end] === '"') {
+          ({ value: fieldValue, end: fieldEnd } = readQuoted(end));
+        }
+        tokens.push({ type: "field", field, value: fieldValue, negated, start, end: fieldEnd });
+        i = fieldEnd;
+        continue;
+      }
+      if (!negated && (value === "OR" || value === "|")) {
+        tokens.push({ type: "or", start, end });
+      } else if (value === "-") {
+        errors.push({ message: 'Nothing to exclude after "-"', start, end });
+      } else {
+        tokens.push({ type: "text", value, phrase: false, negated, start, end });
+      }
+      i = end;
+    }
+    return tokens;
+  }
+  function parseDateRange(value) {
+    const match = DATE_PATTERN.exec(value);
+    if (!match) return null;
+    const year = Number(match[1]);
+    const month = match[2] ? Number(match[2]) - 1 : 0;
+    const day = match[3] ? Number(match[3]) : 1;
+    const start = new Date(year, month, day);
+    if (start.getFullYear() !== year || start.getMonth() !== month || start.getDate() !== day) return null;
+    const end = match[3] ? new Date(year, month, day + 1) : match[2] ? new Date(year, month + 1, 1) : new Date(year + 1, 0, 1);
+    return { start: start.getTime(), end: end.getTime() };
+  }
+  function validateField({ field, value }) {
+    if (!value) return `"${field}:" needs a value`;
+    const lower = value.toLowerCase();
+    switch (field) {
+      case "before":
+      case "after":
+        return parseDateRange(value) ? null : `"${value}" is not a date (use YYYY-MM-DD)`;
+      case "role":
+        return ROLES.includes(lower) ? null : `role: must be ${ROLES.join(" or ")}`;
+      case "has":
+        return HAS_VALUES.includes(lower) ? null : `has: must be ${HAS_VALUES.join(", ")}`;
+      case "truncated":
+        return BOOLEAN_VALUES.includes(lower) ? null : "truncated: must be true or false";
+      case "tag":
+        return normalizeTag(value) ? null : `"${value}" is not a tag`;
+      default:
+        return null;
+    }
+  }
+  function parseQuery(input) {
+    const errors = [];
+    const tokens = tokenize(typeof input === "string" ? input : "", errors);
+    let position = 0;
+    const peek = () => tokens[position];
+    const parseOperand = () => {
+      const token = tokens[position++];
+      if (token.type === "open" || token.type === "not") {
+        const negated = token.type === "not";
+        if (negated) position++;
+        const inner = parseOr(true);
+        if (peek()?.type === "close") {
+          position++;
+        } else {
+          errors.push({ message: "Missing closing parenthesis", start: token.start, end: token.end + 1 });
+        }
+        if (!inner) return null;
+        return negated ? { type: "not", child: inner } : inner;
+      }
+      if (token.type === "field") {
+        const message = validateField(token);
+        if (message) {
+          errors.push({ message, start: token.start, end: token.end });
+          return null;
+        }
+        const node2 = { type: "field", field: token.field, value: token.value };
+        return token.negated ? { type: "not", child: node2 } : node2;
+      }
+      if (!token.value) return null;
+      const node = { type: "text", value: token.value.toLowerCase(), phrase: token.phrase };
+      return token.negated ? { type: "not", child: node } : node;
+    };
+    const parseAnd = (nested) => {
+      const children = [];
+      while (position < tokens.length) {
+        const token = peek();
+        if (token.type === "or") break;
+        if (token.type === "close") {
+          if (nested) break;
+          errors.push({ message: 'Unmatched ")"', start: token.start, end: token.end });
+          position++;
+          continue;
+        }
+        const operand = parseOperand();
+        if (operand) children.push(operand);
+      }
+      if (children.length === 0) return null;
+      return children.length === 1 ? children[0] : { type: "and", children };
+    };
+    function parseOr(nested = false) {
+      const children = [];
+      let orToken = null;
+      for (; ; ) {
+        const branch = parseAnd(nested);
+        if (branch) {
+          children.push(branch);
+        } else if (orToken) {
+          errors.push({ message: "OR needs a search term on both sides", start: orToken.start, end: orToken.end });
+        }
+        if (peek()?.type !== "or") break;
+        orToken = tokens[position++];
+        if (children.length === 0) {
+          errors.push({ message: "OR needs a search term on both sides", start: orToken.start, end: orToken.end });
+        }
+      }
+      if (children.length === 0) return null;
+      return children.length === 1 ? children[0] : { type: "or", children };
+    }
+    const ast = tokens.length > 0 ? parseOr() : null;
+    return { ast, errors };
+  }
+  function matchesText(snippet, term) {
+    return [snippet.text, snippet.note].some((field) => typeof field === "string" && field.toLowerCase().includes(term));
+  }
+  function getQueryTerms(ast) {
+    if (!ast) return [];
+    switch (ast.type) {
+      case "and":
+      case "or":
+        return ast.children.flatMap(getQueryTerms);
+      case "text":
+        return [{ value: ast.value, phrase: ast.phrase }];
+      default:
+        return [];
+    }
+  }
+  function matchesField(snippet, { field, value }, context) {
+    const lower = value.toLowerCase();
+    const includes = (text) => typeof text === "string" && text.toLowerCase().includes(lower);
+    switch (field) {
+      case "tag":
+        return Array.isArray(snippet.tags) && snippet.tags.includes(normalizeTag(value));
+      case "color": {
+        if (!snippet.color) return false;
+        const entry = (context.palette || []).find(({ id }) => id === snippet.color);
+        return snippet.color === lower || Boolean(entry && entry.label.toLowerCase() === lower);
+      }
+      case "conv":
+        return snippet.conversationId === value || includes(context.getConversationTitle?.(snippet));
+      case "project":
+        return snippet.projectId === value || includes(context.getProjectName?.(snippet));
+      case "before":
+        return (snippet.createdAt || 0) < parseDateRange(value).start;
+      case "after":
+        return (snippet.createdAt || 0) >= parseDateRange(value).start;
+      case "role":
+        return snippet.role === lower || Array.isArray(snippet.segments) && snippet.segments.some((segment) => segment.role === lower);
+      case "has":
+        if (lower === "note") return Boolean(snippet.note && snippet.note.trim());
+        if (lower === "tag") return Array.isArray(snippet.tags) && snippet.tags.length > 0;
+        return Boolean(snippet.color);
+      case "truncated":
+        return Boolean(snippet.truncated) === (lower === "true");
+      default:
+        return false;
+    }
+  }
+  function matchesQuery(snippet, ast, context = {}) {
+    if (!ast) return true;
+    switch (ast.type) {
+      case "and":
+        return ast.children.every((child) => matchesQuery(snippet, child, context));
+      case "or":
+        return ast.children.some((child) => matchesQuery(snippet, child, context));
+      case "not":
+        return !matchesQuery(snippet, ast.child, context);
+      case "field":
+        return matchesField(snippet, ast, context);
+      default:
+        return context.matchText ? context.matchText(snippet, ast) : matchesText(snippet, ast.value);
+    }
+  }
+
+  // src/shared/searchIndex.js
+  var K1 = 1.2;
+  var B = 0.75;
+  var EXACT_WEIGHT = 1;
+  var PREFIX_WEIGHT = 0.7;
+  var FUZZY_WEIGHT = 0.4;
+  var MIN_PREFIX_LENGTH = 2;
+  var MIN_FUZZY_LENGTH = 4;
+  var MIN_TWO_TYPO_LENGTH = 8;
+  var TERM_PATTERN = /[\p{L}\p{N}]+/gu;
+  var MARKS_PATTERN = /\p{M}/gu;
+  function foldText(text) {
+    return String(text || "").normalize("NFD").replace(MARKS_PATTERN, "").toLowerCase();
+  }
+  function tokenizeText(text) {
+    return foldText(text).match(TERM_PATTERN) || [];
+  }
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const nextRow = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+        if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, previousRow[j - 2] + 1);
+        }
+        nextRow.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+      if (rowMin > max) return max + 1;
+      previousRow = row;
+      row = nextRow;
+    }
+    return row[b.length];
+  }
+  function getTermMatchWeight(queryTerm, term, exactOnly = false) {
+    if (term === queryTerm) return EXACT_WEIGHT;
+    if (exactOnly) return 0;
+    if (queryTerm.length >= MIN_PREFIX_LENGTH && term.startsWith(queryTerm)) return PREFIX_WEIGHT;
+    if (queryTerm.length >= MIN_FUZZY_LENGTH) {
+      const maxTypos = queryTerm.length >= MIN_TWO_TYPO_LENGTH ? 2 : 1;
+      if (editDistance(queryTerm, term, maxTypos) <= maxTypos) return FUZZY_WEIGHT;
+    }
+    return 0;
+  }
+  function findMatchRanges(text, terms) {
+    if (!text || !terms || terms.length === 0) return [];
+    let folded = "";
+    const offsets = [];
+    Array.from(text).reduce((position, char) => {
+      const foldedChar = foldText(char);
+      for (let i = 0; i < foldedChar.length; i++) offsets.push(position);
+      folded += foldedChar;
+      return position + char.length;
+    }, 0);
+    offsets.push(text.length);
+    const toOriginal = (start, end) => ({ start: offsets[start], end: offsets[end] });
+    const ranges = [];
+    const words = terms.filter((term) => !term.phrase).flatMap((term) => tokenizeText(term.value));
+    for (const match of folded.matchAll(TERM_PATTERN)) {
+      if (words.some((word) => getTermMatchWeight(word, match[0]) > 0)) {
+        ranges.push(toOriginal(match.index, match.index + match[0].length));
+      }
+    }
+    terms.filter((term) => term.phrase).forEach(({ value }) => {
+      const phrase = foldText(value);
+      if (!phrase) return;
+      let index = folded.indexOf(phrase);
+      while (index !== -1) {
+        ranges.push(toOriginal(index, index + phrase.length));
+        index = folded.indexOf(phrase, index + phrase.length);
+      }
+    });
+    ranges.sort((a, b) => a.start - b.start);
+    return ranges.reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ ...range });
+      }
+      return merged;
+    }, []);
+  }
+  function getSearchableText(snippet) {
+    return [snippet.text, snippet.note].filter((field) => typeof field === "string" && field).join("\n");
+  }
+  function createSearchIndex() {
+    const postings = /* @__PURE__ */ new Map();
+    const docs = /* @__PURE__ */ new Map();
+    let totalLength = 0;
+    let version = 0;
+    function add(snippet) {
+      if (docs.has(snippet.id)) remove(snippet.id);
+      const text = getSearchableText(snippet);
+      const terms = tokenizeText(text);
+      const frequencies = /* @__PURE__ */ new Map();
+      terms.forEach((term) => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+      frequencies.forEach((frequency, term) => {
+        if (!postings.has(term)) postings.set(term, /* @__PURE__ */ new Map());
+        postings.get(term).set(snippet.id, frequency);
+      });
+      docs.set(snippet.id, { source: snippet, length: terms.length, terms: [...frequencies.keys()], folded: foldText(text) });
+      totalLength += terms.length;
+      version += 1;
+    }
+    function remove(id) {
+      const doc = docs.get(id);
+      if (!doc) return;
+      doc.terms.forEach((term) => {
+        const ids = postings.get(term);
+        ids.delete(id);
+        if (ids.size === 0) postings.delete(term);
+      });
+      docs.delete(id);
+      totalLength -= doc.length;
+      version += 1;
+    }
+    function isIndexed(doc, snippet) {
+      if (!doc) return false;
+      if (doc.source === snippet) return true;
+      return Number.isInteger(snippet.revision) && snippet.revision > 0 && doc.source.revision === snippet.revision && doc.source.updatedAt === snippet.updatedAt;
+    }
+    function sync(snippetsById) {
+      const before = version;
+      Array.from(docs.keys()).forEach((id) => {
+        if (!snippetsById[id]) remove(id);
+      });
+      Object.values(snippetsById).forEach((snippet) => {
+        if (!isIndexed(docs.get(snippet.id), snippet)) add(snippet);
+      });
+      return version !== before;
+    }
+    function scoreTerm(queryTerm, exactOnly) {
+      const scores = /* @__PURE__ */ new Map();
+      const averageLength = docs.size > 0 ? totalLength / docs.size : 0;
+      postings.forEach((ids, term) => {
+        const weight = getTermMatchWeight(queryTerm, term, exactOnly);
+        if (weight === 0) return;
+        const idf = Math.log(1 + (docs.size - ids.size + 0.5) / (ids.size + 0.5));
+        ids.forEach((frequency, id) => {
+          const lengthNorm = averageLength > 0 ? docs.get(id).length / averageLength : 1;
+          const score = weight * idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * lengthNorm));
+          if (score > (scores.get(id) || 0)) scores.set(id, score);
+        });
+      });
+      return scores;
+    }
+    function search(value, { phrase = false } = {}) {
+      const queryTerms = tokenizeText(value);
+      if (queryTerms.length === 0) return /* @__PURE__ */ new Map();
+      let results = null;
+      queryTerms.forEach((queryTerm) => {
+        const scores = scoreTerm(queryTerm, phrase);
+        if (results === null) {
+          results = scores;
+          return;
+        }
+        const combined = /* @__PURE__ */ new Map();
+        results.forEach((score, id) => {
+          if (scores.has(id)) combined.set(id, score + scores.get(id));
+        });
+        results = combined;
+      });
+      if (phrase) {
+        const folded = foldText(value).trim();
+        Array.from(results.keys()).forEach((id) => {
+          if (!docs.get(id).folded.includes(folded)) results.delete(id);
+        });
+      }
+      return results;
+    }
+    return {
+      add,
+      remove,
+      sync,
+      search,
+      size: () => docs.size,
+      getVersion: () => version
+    };
+  }
+
+  // src/shared/panelModes.js
+  var PANEL_MODES = ["overlay", "sidepanel", "both"];
+  var DEFAULT_PANEL_MODE = "overlay";
+  var PANEL_MODE_LABELS = {
+    overlay: "Overlay",
+    sidepanel: "Side panel",
+    both: "Both"
+  };
+  function resolvePanelMode(mode) {
+    return PANEL_MODES.includes(mode) ? mode : DEFAULT_PANEL_MODE;
+  }
+
+  // src/content/ui.js
+  var CONTAINER_ID = "ce-root";
+  var PALETTE_STYLE_ID = "ce-palette-style";
+  var MAX_NOTE_LENGTH = 2e3;
+  var NOTE_COUNTER_WARNING = 0.9;
+  function createContainer() {
+    let container = document.getElementById(CONTAINER_ID);
+    if (container) return container;
+    container = document.createElement("div");
+    container.id = CONTAINER_ID;
+    container.className = "ce-extension";
+    document.body.appendChild(container);
+    return container;
+  }
+  function createSearchBox({ searchQuery, onSearch, search = null }) {
+    const searchContainer = document.createElement("div");
+    searchContainer.className = "ce-search-container";
+    const searchWrapper = document.createElement("div");
+    searchWrapper.className = "ce-search-wrapper";
+    const searchInput = document.createElement("input");
+    searchInput.type = "text";
+    searchInput.className = "ce-search-input";
+    searchInput.placeholder = "Search snippets...";
+    searchInput.value = searchQuery || "";
+    searchInput.setAttribute("aria-label", "Search snippets");
+    searchInput.title = 'Words and "phrases", -exclude, OR. Filters: tag: color: conv: project: before: after: role:user|assistant has:note truncated:true';
+    searchInput.addEventListener("input", (e) => {
+      onSearch(e.target.value);
+    });
+    const clearSearchBtn = document.createElement("button");
+    clearSearchBtn.className = "ce-search-clear";
+    clearSearchBtn.innerHTML = "\xD7";
+    clearSearchBtn.setAttribute("aria-label", "Clear search");
+    clearSearchBtn.title = "Clear search";
+    clearSearchBtn.style.display = searchQuery && searchQuery.trim() ? "flex" : "none";
+    clearSearchBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      searchInput.value = "";
+      onSearch("");
+    });
+    const feedback = document.createElement("div");
+    feedback.className = "ce-search-feedback";
+    feedback.id = "ce-search-feedback";
+    feedback.setAttribute("role", "status");
+    searchInput.setAttribute("aria-describedby", feedback.id);
+    searchWrapper.appendChild(searchInput);
+    searchWrapper.appendChild(clearSearchBtn);
+    searchContainer.appendChild(searchWrapper);
+    if (search && searchQuery && searchQuery.trim()) {
+      searchContainer.appendChild(createSearchSortToggle(search));
+    }
+    searchContainer.appendChild(feedback);
+    renderSearchFeedback(searchContainer, searchQuery);
+    return searchContainer;
+  }
+  function renderSearchFeedback(root2, searchQuery) {
+    const input = root2.querySelector(".ce-search-input");
+    const feedback = root2.querySelector(".ce-search-feedback");
+    if (!input || !feedback) return;
+    const { errors } = parseQuery(searchQuery || "");
+    input.classList.toggle("ce-search-input-invalid", errors.length > 0);
+    input.setAttribute("aria-invalid", errors.length > 0 ? "true" : "false");
+    feedback.hidden = errors.length === 0;
+    feedback.textContent = errors.map(({ message }) => message).join(" \xB7 ");
+  }
+  function createSearchSortToggle({ sort, onSortChange }) {
+    const byRelevance = sort !== "time";
+    const btn = document.createElement("button");
+    btn.className = "ce-search-sort";
+    btn.textContent = byRelevance ? "Sort: Relevance" : "Sort: Time";
+    btn.setAttribute("aria-label", byRelevance ? "Results sorted by relevance" : "Results sorted by time");
+    btn.title = byRelevance ? "Best matches first (click to sort by time)" : "Sorted by time (click to sort by relevance)";
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      onSortChange(byRelevance ? "time" : "relevance");
+    });
+    return btn;
+  }
+  function setHighlightedText(element, text, terms) {
+    const ranges = findMatchRanges(text, terms);
+    if (ranges.length === 0) {
+      element.textContent = text;
+      return;
+    }
+    element.textContent = "";
+    let position = 0;
+    ranges.forEach(({ start, end }) => {
+      if (start > position) {
+        element.appendChild(document.createTextNode(text.slice(position, start)));
+      }
+      const mark = document.createElement("mark");
+      mark.className = "ce-search-match";
+      mark.textContent = text.slice(start, end);
+      element.appendChild(mark);
+      position = end;
+    });
+    if (position < text.length) {
+      element.appendChild(document.createTextNode(text.slice(position)));
+    }
+  }
+  function applyPaletteStyle(css) {
+    let style = document.getElementById(PALETTE_STYLE_ID);
+    if (!style) {
+      style = document.createElement("style");
+      style.id = PALETTE_STYLE_ID;
+      (document.head || document.documentElement).appendChild(style);
+    }
+    style.textContent = css;
+  }
+  function createSnippetList({ snippets, onRemove, onSnippetClick, onNoteChange, selection, tags, search, view, emptyMessage = "Select text to save a snippet" }) {
+    const list = document.createElement("div");
+    list.className = "ce-snippet-list";
+    if (snippets.length === 0 && !view?.groups?.length) {
+      const emptyState = document.createElement("div");
+      emptyState.className = "ce-empty-state";
+      emptyState.textContent = emptyMessage;
+      list.appendChild(emptyState);
+      return list;
+    }
+    appendSnippetItems(list, snippets, view, (snippet, index) => createSnippetItem(snippet, index, onRemove, onSnippetClick, selection, onNoteChange, tags, search, view));
+    return list;
+  }
+  function appendSnippetItems(list, snippets, view, createItem) {
+    if (!view || !view.groups) {
+      snippets.forEach((snippet, index) => list.appendChild(createItem(snippet, index)));
+      return;
+    }
+    let position = 0;
+    view.groups.forEach((group) => {
+      list.appendChild(createGroupHeader(group, view.onToggleGroup));
+      if (group.collapsed) return;
+      snippets.slice(position, position + group.count).forEach((snippet, offset) => {
+        list.appendChild(createItem(snippet, position + offset));
+      });
+      position += group.count;
+    });
+  }
+  function createGroupHeader({ key, label, count, collapsed }, onToggle) {
+    const header = document.createElement("button");
+    header.className = "ce-group-header";
+    header.classList.toggle("ce-group-collapsed", collapsed);
+    header.setAttribute("data-group", key);
+    header.setAttribute("aria-expanded", collapsed ? "false" : "true");
+    header.title = collapsed ? "Expand group" : "Collapse group";
+    const chevron = document.createElement("span");
+    chevron.className = "ce-group-chevron";
+    chevron.textContent = collapsed ? "\u25B8" : "\u25BE";
+    const labelEl = document.createElement("span");
+    labelEl.className = "ce-group-label";
+    labelEl.textContent = label;
+    const countEl = document.createElement("span");
+    countEl.className = "ce-group-count";
+    countEl.textContent = String(count);
+    header.appendChild(chevron);
+    header.appendChild(labelEl);
+    header.appendChild(countEl);
+    header.addEventListener("click", () => onToggle(key));
+    return header;
+  }
+  function renderNote(item, snippet, onNoteChange, searchTerms = null) {
+    item.querySelectorAll(".ce-snippet-note, .ce-note-edit").forEach((element) => element.remove());
+    const addBtn = item.querySelector(".ce-note-add");
+    if (addBtn) {
+      addBtn.hidden = Boolean(snippet.note);
+    }
+    if (!snippet.note) return;
+    const note = document.createElement("div");
+    note.className = "ce-snippet-note";
+    setHighlightedText(note, snippet.note, searchTerms);
+    if (onNoteChange) {
+      note.classList.add("ce-snippet-note-editable");
+      note.title = "Click to edit note";
+      note.tabIndex = 0;
+      note.setAttribute("role", "button");
+      note.addEventListener("click", (e) => {
+        e.stopPropagation();
+        openNoteEditor(item, snippet, onNoteChange);
+      });
+      note.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") {
+          e.preventDefault();
+          e.stopPropagation();
+          openNoteEditor(item, snippet, onNoteChange);
+        }
+      });
+    }
+    item.querySelector(".ce-snippet-text").after(note);
+  }
+  function openNoteEditor(item, snippet, onNoteChange, draft = snippet.note || "") {
+    renderNote(item, { ...snippet, note: "" }, onNoteChange);
+    const addBtn = item.querySelector(".ce-note-add");
+    if (addBtn) {
+      addBtn.hidden = true;
+    }
+    const editor = document.createElement("div");
+    editor.className = "ce-note-edit";
+    const textarea = document.createElement("textarea");
+    textarea.className = "ce-note-editor";
+    textarea.rows = 3;
+    textarea.maxLength = MAX_NOTE_LENGTH;
+    textarea.placeholder = "Add a note (Markdown)\u2026";
+    textarea.setAttribute("aria-label", "Snippet note");
+    textarea.value = draft.slice(0, MAX_NOTE_LENGTH);
+    const counter = document.createElement("div");
+    counter.className = "ce-note-counter";
+    const updateCounter = () => {
+      counter.textContent = `${textarea.value.length}/${MAX_NOTE_LENGTH}`;
+      counter.classList.toggle("ce-note-counter-warning", textarea.value.length >= MAX_NOTE_LENGTH * NOTE_COUNTER_WARNING);
+    };
+    updateCounter();
+    let closed = false;
+    const close = (save) => {
+      if (closed) return;
+      closed = true;
+      const note = save ? textarea.value.trim() : snippet.note || "";
+      renderNote(item, { ...snippet, note }, onNoteChange);
+      if (save) {
+        onNoteChange(snippet.id, note);
+      }
+    };
+    textarea.addEventListener("input", updateCounter);
+    textarea.addEventListener("blur", () => {
+      if (!editor.isConnected) return;
+      close(true);
+    });
+    textarea.addEventListener("keydown", (e) => {
+      e.stopPropagation();
+      if (e.key === "Escape") {
+        e.preventDefault();
+        close(false);
+      } else if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        close(true);
+      }
+    });
+    editor.addEventListener("click", (e) => e.stopPropagation());
+    editor.appendChild(textarea);
+    editor.appendChild(counter);
+    item.querySelector(".ce-snippet-text").after(editor);
+    textarea.focus();
+    return textarea;
+  }
+  function createTagInput({ suggestions, exclude = [], onSubmit, onCancel = () => {
+  }, placeholder = "Tag\u2026" }) {
+    const wrapper = document.createElement("span");
+    wrapper.className = "ce-tag-input-wrapper";
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "ce-tag-input";
+    input.placeholder = placeholder;
+    input.maxLength = MAX_TAG_LENGTH;
+    input.setAttribute("aria-label", "Add tag");
+    input.setAttribute("aria-autocomplete", "list");
+    const list = document.createElement("div");
+    list.className = "ce-tag-suggestions";
+    list.setAttribute("role", "listbox");
+    let matches = [];
+    let activeIndex = -1;
+    const submit = (value) => {
+      const tag = normalizeTag(value);
+      input.value = "";
+      activeIndex = -1;
+      renderSuggestions();
+      if (tag) {
+        onSubmit(tag);
+      }
+    };
+    const renderSuggestions = () => {
+      matches = suggestTags(suggestions, input.value, exclude);
+      activeIndex = Math.min(activeIndex, matches.length - 1);
+      list.innerHTML = "";
+      list.hidden = matches.length === 0;
+      matches.forEach((tag, i) => {
+        const option = document.createElement("div");
+        option.className = "ce-tag-suggestion";
+        option.setAttribute("role", "option");
+        option.setAttribute("aria-selected", i === activeIndex ? "true" : "false");
+        option.classList.toggle("active", i === activeIndex);
+        option.textContent = `#${tag}`;
+        option.addEventListener("mousedown", (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          submit(tag);
+        });
+        list.appendChild(option);
+      });
+    };
+    input.addEventListener("input", () => {
+      activeIndex = -1;
+      renderSuggestions();
+    });
+    input.addEventListener("focus", renderSuggestions);
+    input.addEventListener("blur", () => onCancel());
+    input.addEventListener("keydown", (e) => {
+      e.stopPropagation();
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        if (matches.length === 0) return;
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        activeIndex = (activeIndex + step + matches.length) % matches.length;
+        renderSuggestions();
+      } else if (e.key === "Tab" && activeIndex >= 0) {
+        e.preventDefault();
+        input.value = matches[activeIndex];
+        activeIndex = -1;
+        renderSuggestions();
+      } else if (e.key === "Enter") {
+        e.preventDefault();
+        submit(activeIndex >= 0 ? matches[activeIndex] : input.value);
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        onCancel();
+      }
+    });
+    input.addEventListener("click", (e) => e.stopPropagation());
+    list.hidden = true;
+    wrapper.appendChild(input);
+    wrapper.appendChild(list);
+    return wrapper;
+  }
+  function createSnippetTagEditor(snippet, tagging) {
+    const tags = Array.isArray(snippet.tags) ? snippet.tags : [];
+    const container = document.createElement("span");
+    container.className = "ce-snippet-tags";
+    tags.forEach((tag) => {
+      const tagEl = document.createElement("span");
+      tagEl.className = "ce-tag ce-tag-editable";
+      tagEl.setAttribute("data-tag", tag);
+      const label = document.createElement("button");
+      label.className = "ce-tag-label";
+      label.textContent = `#${tag}`;
+      label.title = `Show snippets tagged #${tag}`;
+      label.addEventListener("click", (e) => {
+        e.stopPropagation();
+        tagging.onFilterChange(tag);
+      });
+      const removeBtn = document.createElement("button");
+      removeBtn.className = "ce-tag-remove";
+      removeBtn.textContent = "\xD7";
+      removeBtn.setAttribute("aria-label", `Remove tag ${tag}`);
+      removeBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        tagging.onTagsChange(snippet.id, tags.filter((other) => other !== tag));
+      });
+      tagEl.appendChild(label);
+      tagEl.appendChild(removeBtn);
+      container.appendChild(tagEl);
+    });
+    const addBtn = document.createElement("button");
+    addBtn.className = "ce-tag-add";
+    addBtn.textContent = "+ Tag";
+    addBtn.setAttribute("aria-label", "Add tag");
+    addBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      const tagInput = createTagInput({
+        suggestions: tagging.all,
+        exclude: tags,
+        onSubmit: (tag) => {
+          if (!tags.includes(tag)) {
+            tagging.onTagsChange(snippet.id, [...tags, tag]);
+          }
+        },
+        onCancel: () => {
+          if (tagInput.isConnected) {
+            tagInput.replaceWith(addBtn);
+          }
+        }
+      });
+      addBtn.replaceWith(tagInput);
+      tagInput.querySelector(".ce-tag-input").focus();
+    });
+    container.appendChild(addBtn);
+    return container;
+  }
+  function formatSnippetSource({ title, role, model } = {}, { includeModel = false } = {}) {
+    const parts = [title, role, includeModel ? model : null].filter(Boolean);
+    return parts.length > 0 ? `from: ${parts.join(" \xB7 ")}` : null;
+  }
+  function createSnippetItem(snippet, index, onRemove, onSnippetClick, selection, onNoteChange = null, tagging = null, search = null, view = null) {
+    const item = document.createElement("div");
+    item.className = "ce-snippet-item";
+    item.setAttribute("data-snippet-id", snippet.id);
+    if (isColorId(snippet.color)) {
+      item.classList.add("ce-snippet-colored");
+      item.setAttribute("data-color", snippet.color);
+      item.style.setProperty("--ce-snippet-color", colorVar(snippet.color));
+    }
+    if (selection) {
+      const isSelected = selection.selectedIds.has(snippet.id);
+      item.classList.toggle("ce-snippet-selected", isSelected);
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.className = "ce-snippet-checkbox";
+      checkbox.checked = isSelected;
+      checkbox.setAttribute("aria-label", "Select snippet");
+      checkbox.addEventListener("click", (e) => {
+        e.stopPropagation();
+        selection.onToggleSelect(snippet.id, checkbox.checked, e.shiftKey);
+      });
+      item.appendChild(checkbox);
+    }
+    const text = document.createElement("div");
+    text.className = "ce-snippet-text";
+    setHighlightedText(text, snippet.text, search?.terms);
+    text.setAttribute("title", snippet.text);
+    text.style.cursor = "pointer";
+    text.addEventListener("click", () => onSnippetClick(snippet));
+    const meta = document.createElement("div");
+    meta.className = "ce-snippet-meta";
+    const timestamp = new Date(snippet.createdAt || snippet.timestamp || Date.now());
+    const timeStr = timestamp.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    const timeEl = document.createElement("span");
+    timeEl.textContent = timeStr;
+    meta.appendChild(timeEl);
+    const source = view?.getSource?.(snippet);
+    const sourceLabel = source ? formatSnippetSource(source) : null;
+    if (sourceLabel) {
+      const sourceEl = document.createElement("span");
+      sourceEl.className = "ce-snippet-source";
+      sourceEl.textContent = sourceLabel;
+      sourceEl.title = formatSnippetSource(source, { includeModel: true });
+      meta.appendChild(sourceEl);
+    }
+    if (snippet.duplicateIndex && snippet.duplicateIndex > 1) {
+      const dup = document.createElement("span");
+      dup.className = "ce-duplicate-badge";
+      dup.textContent = `Duplicate #${snippet.duplicateIndex}`;
+      meta.appendChild(dup);
+    }
+    if (tagging) {
+      meta.appendChild(createSnippetTagEditor(snippet, tagging));
+    } else if (Array.isArray(snippet.tags) && snippet.tags.length > 0) {
+      const tags = document.createElement("span");
+      tags.className = "ce-snippet-tags";
+      snippet.tags.forEach((tag) => {
+        const tagEl = document.createElement("span");
+        tagEl.className = "ce-tag";
+        tagEl.textContent = `#${tag}`;
+        tags.appendChild(tagEl);
+      });
+      meta.appendChild(tags);
+    }
+    if (onNoteChange) {
+      const addNoteBtn = document.createElement("button");
+      addNoteBtn.className = "ce-note-add";
+      addNoteBtn.textContent = "+ Note";
+      addNoteBtn.setAttribute("aria-label", "Add note");
+      addNoteBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        openNoteEditor(item, snippet, onNoteChange);
+      });
+      meta.appendChild(addNoteBtn);
+    }
+    const removeBtn = document.createElement("button");
+    removeBtn.className = "ce-btn ce-btn-icon ce-btn-small";
+    removeBtn.setAttribute("aria-label", "Remove snippet");
+    removeBtn.innerHTML = "\xD7";
+    removeBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      onRemove(snippet.id);
+    });
+    item.appendChild(text);
+    item.appendChild(meta);
+    item.appendChild(removeBtn);
+    renderNote(item, snippet, onNoteChange, search?.terms);
+    return item;
+  }
+  function createToast(message, duration = 3e3, action = null) {
+    const toast = document.createElement("div");
+    toast.className = "ce-toast";
+    toast.textContent = message;
+    toast.setAttribute("role", "status");
+    toast.setAttribute("aria-live", "polite");
+    if (action) {
+      const actionBtn = document.createElement("button");
+      actionBtn.className = "ce-toast-action";
+      actionBtn.textContent = action.label;
+      actionBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        action.onClick();
+        if (toast.parentNode) {
+          toast.parentNode.removeChild(toast);
+        }
+      });
+      toast.appendChild(actionBtn);
+    }
+    const container = document.getElementById(CONTAINER_ID) || createContainer();
+    container.appendChild(toast);
+    requestAnimationFrame(() => {
+      toast.classList.add("ce-toast-show");
+    });
+    setTimeout(() => {
+      toast.classList.remove("ce-toast-show");
+      setTimeout(() => {
+        if (toast.parentNode) {
+          toast.parentNode.removeChild(toast);
+        }
+      }, 300);
+    }, duration);
+    return toast;
+  }
+
+  // src/shared/segments.js
+  function isCompoundSnippet(snippet) {
+    return Array.isArray(snippet?.segments) && snippet.segments.length > 1;
+  }
+
+  // src/content/exchange.js
+  function getSnippetSource(storage, snippet) {
+    const title = getConversation(storage, snippet.conversationId)?.title || null;
+    if (isCompoundSnippet(snippet)) {
+      const roles = snippet.segments.map((segment) => segment.role).filter(Boolean).filter((role, index, all) => role !== all[index - 1]);
+      const models = [...new Set(snippet.segments.map((segment) => segment.model).filter(Boolean))];
+      return { title, role: roles.join(" \u2192 ") || null, model: models.join(", ") || null };
+    }
+    return {
+      title,
+      role: snippet.role || null,
+      model: snippet.model || null
+    };
+  }
+
+  // src/content/pageSession.js
+  function resolveTheme(theme) {
+    if (theme === "light" || theme === "dark") return theme;
+    const prefersDark = window.matchMedia && window.matchMedia("(prefers-color-scheme: dark)").matches;
+    return prefersDark ? "dark" : "light";
+  }
+  function applyTheme(theme, elements) {
+    const resolved = resolveTheme(theme);
+    elements.forEach((element) => {
+      element.classList.remove("ce-theme-light", "ce-theme-dark");
+      element.classList.add(`ce-theme-${resolved}`);
+    });
+  }
+  function applyPageSettings(settings) {
+    applyTheme(settings.theme, [document.documentElement, createContainer()]);
+    applyPaletteStyle(buildPaletteCss(settings.palette));
+  }
+  function watchPageSettings({ getSettings, applySettings: applySettings2, render }) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== "local" || !changes.settings) return;
+      applySettings2(changes.settings.newValue);
+      applyPageSettings(getSettings());
+      render();
+    });
+    if (window.matchMedia) {
+      window.matchMedia("(prefers-color-scheme: dark)").addEventListener("change", () => {
+        applyTheme(getSettings().theme, [document.documentElement, createContainer()]);
+      });
+    }
+  }
+
+  // src/shared/snippetSearch.js
+  function createSnippetSearch() {
+    const index = createSearchIndex();
+    let termCache = { version: -1, results: /* @__PURE__ */ new Map() };
+    function lookup({ value, phrase }) {
+      const version = index.getVersion();
+      if (termCache.version !== version) {
+        termCache = { version, results: /* @__PURE__ */ new Map() };
+      }
+      const key = `${phrase ? "phrase" : "word"}:${value}`;
+      if (!termCache.results.has(key)) {
+        termCache.results.set(key, index.search(value, { phrase }));
+      }
+      return termCache.results.get(key);
+    }
+    function sync(snippetsById) {
+      index.sync(snippetsById);
+    }
+    function filter(snippets, searchQuery, context = {}) {
+      const { ast } = parseQuery(searchQuery);
+      const matchContext = { ...context, matchText: (snippet, term) => lookup(term).has(snippet.id) };
+      return snippets.filter((snippet) => matchesQuery(snippet, ast, matchContext));
+    }
+    function rank(snippets, searchQuery) {
+      const terms = getQueryTerms(parseQuery(searchQuery).ast);
+      if (terms.length === 0) return snippets;
+      const scores = new Map(snippets.map((snippet) => [
+        snippet.id,
+        terms.reduce((sum, term) => sum + (lookup(term).get(snippet.id) || 0), 0)
+      ]));
+      return [...snippets].sort((a, b) => scores.get(b.id) - scores.get(a.id));
+    }
+    return { sync, filter, rank };
+  }
+
+  // src/shared/messages.js
+  var MESSAGE_TYPES = {
+    RUN_ACTION: "gpt-snippets/run-action",
+    SNIPPET_COUNT: "gpt-snippets/snippet-count",
+    OPEN_LIBRARY: "gpt-snippets/open-library",
+    GET_PANEL_STATE: "gpt-snippets/get-panel-state",
+    PANEL_STATE: "gpt-snippets/panel-state",
+    NAVIGATE_TO_SNIPPET: "gpt-snippets/navigate-to-snippet",
+    DELETE_SNIPPET: "gpt-snippets/delete-snippet",
+    SET_PANEL_MODE: "gpt-snippets/set-panel-mode"
+  };
+  var isSnippetId = (id) => typeof id === "string" && id.length > 0;
+  var PAYLOAD_CHECKS = {
+    [MESSAGE_TYPES.RUN_ACTION]: ({ action }) => typeof action === "string" && action.length > 0,
+    [MESSAGE_TYPES.SNIPPET_COUNT]: ({ count }) => Number.isInteger(count) && count >= 0,
+    [MESSAGE_TYPES.OPEN_LIBRARY]: () => true,
+    [MESSAGE_TYPES.GET_PANEL_STATE]: () => true,
+    [MESSAGE_TYPES.PANEL_STATE]: ({ conversationId, snippets, conversations }) => (conversationId === null || typeof conversationId === "string") && Array.isArray(snippets) && Boolean(conversations) && typeof conversations === "object",
+    [MESSAGE_TYPES.NAVIGATE_TO_SNIPPET]: ({ id }) => isSnippetId(id),
+    [MESSAGE_TYPES.DELETE_SNIPPET]: ({ id }) => isSnippetId(id),
+    [MESSAGE_TYPES.SET_PANEL_MODE]: ({ mode }) => PANEL_MODES.includes(mode)
+  };
+  function isValidMessage(message, type = null) {
+    if (!message || typeof message !== "object") return false;
+    if (type && message.type !== type) return false;
+    const check = PAYLOAD_CHECKS[message.type];
+    return Boolean(check && check(message));
+  }
+  function createMessage(type, payload = {}) {
+    const message = { ...payload, type };
+    if (!isValidMessage(message)) {
+      throw new Error(`Invalid message: ${type}`);
+    }
+    return message;
+  }
+
+  // src/sidepanel/sidepanel.js
+  var state = {
+    settings: {
+      theme: "auto",
+      palette: resolvePalette(null),
+      panelMode: resolvePanelMode(null)
+    },
+    // Window this side panel belongs to, and its active tab
+    windowId: null,
+    tabId: null,
+    // Whether the active tab answered (a ChatGPT page with the content script)
+    connected: false,
+    // Conversation open in the tab, null on the home page (which lists all snippets)
+    conversationId: null,
+    snippets: [],
+    // Conversation ID -> {title, projectId, projectName} of the listed snippets
+    conversations: {},
+    searchQuery: "",
+    searchSort: "relevance"
+    // 'relevance' or 'time' (newest first)
+  };
+  var root = null;
+  var searchBox = null;
+  var main = null;
+  var footer = null;
+  var snippetSearch = createSnippetSearch();
+  async function init() {
+    root = document.getElementById("ce-sidepanel");
+    createContainer();
+    try {
+      const { settings } = await chrome.storage.local.get("settings");
+      applySettings(settings);
+    } catch (error) {
+      console.error("Failed to load settings:", error);
+    }
+    applyPageSettings(state.settings);
+    renderPage();
+    chrome.runtime.onMessage.addListener(handleRuntimeMessage);
+    chrome.tabs.onActivated.addListener(handleTabActivated);
+    chrome.tabs.onUpdated.addListener(handleTabUpdated);
+    watchPageSettings({
+      getSettings: () => state.settings,
+      applySettings,
+      render: () => {
+        renderMain();
+        renderFooter();
+      }
+    });
+    const currentWindow = await chrome.windows.getCurrent();
+    state.windowId = currentWindow.id;
+    const [tab] = await chrome.tabs.query({ active: true, windowId: state.windowId });
+    state.tabId = tab?.id ?? null;
+    requestPanelState();
+  }
+  function applySettings(settings) {
+    state.settings = {
+      theme: settings?.theme || "auto",
+      palette: resolvePalette(settings?.palette),
+      panelMode: resolvePanelMode(settings?.panelMode)
+    };
+  }
+  async function requestPanelState() {
+    const { tabId } = state;
+    let response = null;
+    if (typeof tabId === "number") {
+      try {
+        response = await chrome.tabs.sendMessage(tabId, createMessage(MESSAGE_TYPES.GET_PANEL_STATE));
+      } catch (error) {
+        response = null;
+      }
+    }
+    if (tabId !== state.tabId) return;
+    applyPanelState(isValidMessage(response, MESSAGE_TYPES.PANEL_STATE) ? response : null);
+  }
+  function applyPanelState(message) {
+    state.connected = Boolean(message);
+    state.conversationId = message?.conversationId || null;
+    state.snippets = message?.snippets || [];
+    state.conversations = message?.conversations || {};
+    snippetSearch.sync(Object.fromEntries(state.snippets.map((snippet) => [snippet.id, snippet])));
+    renderMain();
+    renderFooter();
+  }
+  function handleRuntimeMessage(message, sender) {
+    if (!isValidMessage(message, MESSAGE_TYPES.PANEL_STATE)) return;
+    if (sender?.id !== chrome.runtime.id || sender.tab?.id !== state.tabId) return;
+    applyPanelState(message);
+  }
+  function handleTabActivated({ tabId, windowId }) {
+    if (windowId !== state.windowId) return;
+    state.tabId = tabId;
+    requestPanelState();
+  }
+  function handleTabUpdated(tabId, changeInfo) {
+    if (tabId !== state.tabId || changeInfo.status !== "complete") return;
+    requestPanelState();
+  }
+  async function sendToTab(message) {
+    try {
+      await chrome.tabs.sendMessage(state.tabId, message);
+      return true;
+    } catch (error) {
+      createToast("Can't reach the ChatGPT tab. Reload it and try again.");
+      return false;
+    }
+  }
+  function renderPage() {
+    root.innerHTML = "";
+    const header = document.createElement("header");
+    header.className = "ce-sidepanel-header";
+    searchBox = createSearchBox({ searchQuery: state.searchQuery, onSearch: handleSearch, search: getSearchConfig() });
+    header.appendChild(searchBox);
+    root.appendChild(header);
+    main = document.createElement("main");
+    main.className = "ce-sidepanel-main";
+    root.appendChild(main);
+    footer = document.createElement("footer");
+    footer.className = "ce-sidepanel-footer";
+    root.appendChild(footer);
+    renderMain();
+    renderFooter();
+  }
+  function getListSnippets() {
+    if (!state.searchQuery.trim()) {
+      return state.snippets;
+    }
+    const lookup = { conversations: state.conversations };
+    const snippets = snippetSearch.filter(state.snippets, state.searchQuery, {
+      palette: state.settings.palette,
+      getConversationTitle: (snippet) => state.conversations[snippet.conversationId]?.title || null,
+      getProjectName: (snippet) => findProjectName(lookup, snippet.projectId)
+    });
+    return state.searchSort === "relevance" ? snippetSearch.rank(snippets, state.searchQuery) : snippets;
+  }
+  function getSearchConfig() {
+    return {
+      terms: getQueryTerms(parseQuery(state.searchQuery).ast),
+      sort: state.searchSort,
+      onSortChange: handleSearchSortChange
+    };
+  }
+  function renderMain() {
+    if (!main) return;
+    main.innerHTML = "";
+    if (!state.connected) {
+      const notice = document.createElement("div");
+      notice.className = "ce-sidepanel-notice";
+      notice.setAttribute("role", "note");
+      notice.textContent = "Open a ChatGPT conversation to see its snippets here. If ChatGPT is already open in this tab, reload it.";
+      main.appendChild(notice);
+      return;
+    }
+    const snippets = getListSnippets();
+    const heading = document.createElement("div");
+    heading.className = "ce-sidepanel-heading";
+    const title = document.createElement("h1");
+    title.textContent = state.conversationId ? state.conversations[state.conversationId]?.title || "This conversation" : "All snippets";
+    title.title = title.textContent;
+    const count = document.createElement("span");
+    count.className = "ce-sidepanel-count";
+    count.textContent = state.searchQuery.trim() ? `${snippets.length} of ${state.snippets.length}` : `${snippets.length} snippet${snippets.length !== 1 ? "s" : ""}`;
+    heading.appendChild(title);
+    heading.appendChild(count);
+    main.appendChild(heading);
+    let emptyMessage = "Select text in the conversation to save a snippet";
+    if (state.searchQuery.trim()) {
+      emptyMessage = "No snippets match your search";
+    } else if (!state.conversationId) {
+      emptyMessage = "No snippets saved yet";
+    }
+    main.appendChild(createSnippetList({
+      snippets,
+      onRemove: handleRemove,
+      onSnippetClick: handleSnippetClick,
+      search: getSearchConfig(),
+      view: { getSource: (snippet) => getSnippetSource({ conversations: state.conversations }, snippet) },
+      emptyMessage
+    }));
+  }
+  function renderFooter() {
+    if (!footer) return;
+    footer.innerHTML = "";
+    const label = document.createElement("label");
+    label.className = "ce-sidepanel-mode";
+    label.textContent = "Show snippets in ";
+    const select = document.createElement("select");
+    select.className = "ce-sidepanel-mode-select";
+    PANEL_MODES.forEach((mode) => {
+      const option = document.createElement("option");
+      option.value = mode;
+      option.textContent = PANEL_MODE_LABELS[mode];
+      option.selected = mode === state.settings.panelMode;
+      select.appendChild(option);
+    });
+    select.disabled = !state.connected;
+    select.title = state.connected ? "Where snippets are shown" : "Open ChatGPT in this tab to change this";
+    select.addEventListener("change", () => handlePanelModeChange(select.value));
+    label.appendChild(select);
+    footer.appendChild(label);
+    const libraryBtn = document.createElement("button");
+    libraryBtn.className = "ce-btn ce-btn-secondary ce-btn-library";
+    libraryBtn.textContent = "Library";
+    libraryBtn.setAttribute("aria-label", "Open the snippet library in a tab");
+    libraryBtn.addEventListener("click", () => chrome.runtime.openOptionsPage());
+    footer.appendChild(libraryBtn);
+  }
+  function updateSearchBox() {
+    const clearSearchBtn = searchBox.querySelector(".ce-search-clear");
+    clearSearchBtn.style.display = state.searchQuery.trim() ? "flex" : "none";
+    renderSearchFeedback(searchBox, state.searchQuery);
+    const replacement = createSearchBox({ searchQuery: state.searchQuery, onSearch: handleSearch, search: getSearchConfig() });
+    const sortToggle = searchBox.querySelector(".ce-search-sort");
+    const newSortToggle = replacement.querySelector(".ce-search-sort");
+    if (sortToggle && newSortToggle) {
+      sortToggle.replaceWith(newSortToggle);
+    } else if (sortToggle) {
+      sortToggle.remove();
+    } else if (newSortToggle) {
+      searchBox.querySelector(".ce-search-feedback").before(newSortToggle);
+    }
+  }
+  function handleSearch(query) {
+    state.searchQuery = query;
+    updateSearchBox();
+    renderMain();
+  }
+  function handleSearchSortChange(sort) {
+    state.searchSort = sort;
+    updateSearchBox();
+    renderMain();
+  }
+  function handleSnippetClick(snippet) {
+    sendToTab(createMessage(MESSAGE_TYPES.NAVIGATE_TO_SNIPPET, { id: snippet.id }));
+  }
+  async function handleRemove(id) {
+    if (!await sendToTab(createMessage(MESSAGE_TYPES.DELETE_SNIPPET, { id }))) return;
+    createToast("Snippet moved to trash", 5e3, {
+      label: "Undo",
+      onClick: () => sendToTab(createMessage(MESSAGE_TYPES.RUN_ACTION, { action: "undo" }))
+    });
+  }
+  function handlePanelModeChange(mode) {
+    sendToTab(createMessage(MESSAGE_TYPES.SET_PANEL_MODE, { mode }));
+  }
+  init();
+})();
@@ -0,0 +1,7 @@
+/**
+ * Background service worker entry point (bundled to background.js).
+ */
+
+import { setupBackground } from './handlers.js';
+
+setupBackground();
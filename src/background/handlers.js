@@ -0,0 +1,206 @@
+/**
+ * Background service worker logic: the "Save selection" context menu item, the
+ * extension's keyboard commands, the toolbar button, the snippet count badge and
+ * the side panel.
+ * Menu items, commands and toolbar clicks are forwarded to the tab's content script
+ * as RUN_ACTION messages; the content script reports its count with SNIPPET_COUNT
+ * and asks for the library page with OPEN_LIBRARY (content scripts can't open it).
+ * The side panel is offered when the panel mode setting includes it; the side panel
+ * page then talks to the content script directly.
+ */
+
+import { MESSAGE_TYPES, createMessage, isValidMessage } from '../shared/messages.js';
+import { DEFAULT_PANEL_MODE, resolvePanelMode, showsOverlay, showsSidePanel } from '../shared/panelModes.js';
+
+export const CONTEXT_MENU_ID = 'gpt-snippets-save-selection';
+const BADGE_COLOR = '#10a37f';
+const MAX_BADGE_COUNT = 999;
+
+// Panel mode of the saved settings, kept current by handleSettingsChange
+let panelMode = DEFAULT_PANEL_MODE;
+
+/**
+ * Commands declared in manifest.json -> content script shortcut action.
+ */
+export const COMMAND_ACTIONS = {
+  'toggle-panel': 'togglePanel',
+  'save-selection': 'saveSelection',
+  'focus-search': 'focusSearch'
+};
+
+/**
+ * Sends a message to a tab's content script. Tabs without it (other sites, or
+ * ChatGPT tabs opened before the extension was installed) are ignored.
+ * @param {number} tabId - Tab ID
+ * @param {Object} message - Message (see createMessage)
+ * @returns {Promise<boolean>} True if the message was delivered
+ */
+export async function sendToTab(tabId, message) {
+  if (typeof tabId !== 'number' || tabId < 0) return false;
+  try {
+    await chrome.tabs.sendMessage(tabId, message);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Asks a tab's content script to run a shortcut action.
+ * @param {Object} tab - Tab the action is for (optional, defaults to the active tab)
+ * @param {string} action - Shortcut action ID
+ * @returns {Promise<boolean>} True if the message was delivered
+ */
+async function runActionInTab(tab, action) {
+  let tabId = tab?.id;
+  if (typeof tabId !== 'number') {
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    tabId = activeTab?.id;
+  }
+  return sendToTab(tabId, createMessage(MESSAGE_TYPES.RUN_ACTION, { action }));
+}
+
+/**
+ * Creates the context menu item, shown for selections on ChatGPT pages only.
+ */
+export function registerContextMenu() {
+  const matches = chrome.runtime.getManifest().content_scripts?.flatMap(script => script.matches) || [];
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_ID,
+      title: 'Save selection to GPT Snippets',
+      contexts: ['selection'],
+      documentUrlPatterns: matches
+    });
+  });
+}
+
+/**
+ * Handles a click on the context menu item.
+ * @param {Object} info - chrome.contextMenus.OnClickData
+ * @param {Object} tab - Tab the menu was opened in
+ * @returns {Promise<boolean>} True if the content script was asked to save
+ */
+export function handleContextMenuClick(info, tab) {
+  if (info.menuItemId !== CONTEXT_MENU_ID) return Promise.resolve(false);
+  return runActionInTab(tab, 'saveSelection');
+}
+
+/**
+ * Handles a keyboard command. Without the overlay panel, toggling the panel opens
+ * the side panel instead.
+ * @param {string} command - Command name from manifest.json
+ * @param {Object} tab - Active tab (optional, older browsers don't pass it)
+ * @returns {Promise<boolean>} True if the content script was asked to run it, or
+ *   the side panel was opened
+ */
+export function handleCommand(command, tab) {
+  const action = COMMAND_ACTIONS[command];
+  if (!action) return Promise.resolve(false);
+  if (action === 'togglePanel' && !showsOverlay(panelMode) && chrome.sidePanel && typeof tab?.windowId === 'number') {
+    // Called before anything is awaited: the side panel only opens in response to a user gesture
+    return chrome.sidePanel.open({ windowId: tab.windowId }).then(() => true, () => false);
+  }
+  return runActionInTab(tab, action);
+}
+
+/**
+ * Handles a click on the toolbar button: toggles the panel on ChatGPT pages, and
+ * opens the library page anywhere else. Not called while the side panel is
+ * offered: the button opens the side panel then (see applyPanelMode).
+ * @param {Object} tab - Active tab
+ * @returns {Promise<boolean>} True if the panel was toggled
+ */
+export async function handleActionClick(tab) {
+  const delivered = await runActionInTab(tab, 'togglePanel');
+  if (!delivered) {
+    await chrome.runtime.openOptionsPage();
+  }
+  return delivered;
+}
+
+/**
+ * Applies a panel mode: the side panel is only offered in the 'sidepanel' and
+ * 'both' modes, where the toolbar button opens it.
+ * @param {string} mode - Panel mode (see panelModes.js)
+ */
+export function applyPanelMode(mode) {
+  panelMode = resolvePanelMode(mode);
+  // Browsers without the side panel API keep the overlay only
+  if (!chrome.sidePanel) return;
+  const enabled = showsSidePanel(panelMode);
+  chrome.sidePanel.setOptions({ enabled }).catch(() => {});
+  chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: enabled }).catch(() => {});
+}
+
+/**
+ * Reads the panel mode from the saved settings.
+ * @returns {Promise} Resolves once applied
+ */
+export async function loadPanelMode() {
+  const { settings } = await chrome.storage.local.get('settings');
+  applyPanelMode(settings?.panelMode);
+}
+
+/**
+ * Follows panel mode changes saved by a ChatGPT tab.
+ */
+export function handleSettingsChange(changes, areaName) {
+  if (areaName !== 'local' || !changes.settings) return;
+  const mode = resolvePanelMode(changes.settings.newValue?.panelMode);
+  if (mode !== panelMode) {
+    applyPanelMode(mode);
+  }
+}
+
+/**
+ * Formats a snippet count for the badge.
+ * @param {number} count - Snippet count
+ * @returns {string} Badge text ('' hides the badge)
+ */
+export function formatBadgeCount(count) {
+  if (!count) return '';
+  return count > MAX_BADGE_COUNT ? `${MAX_BADGE_COUNT}+` : String(count);
+}
+
+/**
+ * Handles a message from a content script.
+ * @param {Object} message - Received message
+ * @param {Object} sender - chrome.runtime.MessageSender
+ * @returns {boolean} True if the message was handled
+ */
+export function handleRuntimeMessage(message, sender) {
+  if (!isValidMessage(message) || sender?.id !== chrome.runtime.id) return false;
+  const tabId = sender.tab?.id;
+  if (typeof tabId !== 'number') return false;
+
+  switch (message.type) {
+    case MESSAGE_TYPES.SNIPPET_COUNT:
+      chrome.action.setBadgeText({ tabId, text: formatBadgeCount(message.count) });
+      return true;
+    case MESSAGE_TYPES.OPEN_LIBRARY:
+      chrome.runtime.openOptionsPage();
+      return true;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Registers the service worker's listeners. They must be added synchronously when
+ * the worker starts, so Chrome can wake it up for the events.
+ */
+export function setupBackground() {
+  // Menu items survive restarts; the badge color doesn't
+  chrome.runtime.onInstalled.addListener(registerContextMenu);
+  chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOR });
+  chrome.contextMenus.onClicked.addListener(handleContextMenuClick);
+  chrome.commands.onCommand.addListener(handleCommand);
+  chrome.action.onClicked.addListener(handleActionClick);
+  chrome.storage.onChanged.addListener(handleSettingsChange);
+  loadPanelMode();
+  // Returns nothing: a true return would hold the sender's response channel open
+  chrome.runtime.onMessage.addListener((message, sender) => {
+    handleRuntimeMessage(message, sender);
+  });
+}
@@ -3,12 +3,27 @@
  * Orchestrates selection, state management, UI, and persistence.
  */
 
-import { loadStorage, saveStorage, upsertSnippet, removeSnippet, clearThread, clearAll } from './storage.js';
-import { buildSnippetFromSelection, getConversationId } from './selection.js';
+import { upsertSnippet, removeSnippet, clearThread, clearAll, restoreSnippet, purgeSnippets, emptyTrash, purgeExpiredTrash, getTrashedSnippets, getTagCounts, renameTag, mergeTags, upsertConversation, getConversation, findProjectName, DEFAULT_TRASH_RETENTION_DAYS, READ_ONLY_MESSAGE } from './storage.js';
+import { buildSnippetFromSelection, getConversationTitle, getProjectName, isEditableTarget } from './selection.js';
 import { navigateToSource } from './navigation.js';
+import { PENDING_NAVIGATION_TIMEOUT_MS, getConversationUrl, getSnippetConversationId, openConversation, savePendingNavigation, takePendingNavigation, waitForSource } from './pendingNavigation.js';
+import { seekSource } from './seeker.js';
+import { createHighlighter } from './highlighter.js';
+import { watchRouteChanges, resolveRoute } from './routeWatcher.js';
+import { createChromeStorageAdapter } from './storageAdapters.js';
+import { applyTheme, createLibrarySession } from './pageSession.js';
 import { hashText } from '../shared/hash.js';
-import { getProjectIdFromUrl } from '../shared/urlIds.js';
-import { createContainer, createFAB, createPanel, createImportExportModal, createToast, updateFABCount, updatePanel } from './ui.js';
+import { APPROXIMATE_MATCH_CONFIDENCE } from '../shared/anchor.js';
+import { normalizeTag } from '../shared/tags.js';
+import { getQueryTerms, parseQuery } from '../shared/query.js';
+import { createSnippetSearch } from '../shared/snippetSearch.js';
+import { groupSnippets, resolveListViews, sortSnippets } from '../shared/listView.js';
+import { buildPaletteCss, getColorLabel, resolvePalette, updatePaletteEntry } from '../shared/palette.js';
+import { MESSAGE_TYPES, createMessage, isValidMessage } from '../shared/messages.js';
+import { DEFAULT_PANEL_MODE, PANEL_MODES, resolvePanelMode, showsOverlay, showsSidePanel } from '../shared/panelModes.js';
+import { DEFAULT_SHORTCUTS, assignShortcut, eventToShortcut, findShortcutAction, hasCommandModifier, resolveShortcuts } from './shortcuts.js';
+import { applyImport, buildJsonExport, buildMarkdownExport, downloadTextFile, exportFilename, formatImportStatus, generateSnippetId, getSnippetSource, previewImportFile, snippetKey, writeSnippetsToClipboard } from './exchange.js';
+import { MAX_NOTE_LENGTH, applyPaletteStyle, createContainer, createFAB, createPanel, createImportExportModal, createPaletteModal, createProgressToast, createSaveBubble, createShortcutsModal, createTagManagerModal, createToast, getBubblePosition, setFocusedSnippet, updateFABCount, updatePanel } from './ui.js';
 
 // State
 let state = {
@@ -24,15 +39,37 @@ let state = {
     }
   },
   panelOpen: false,
+  // Current route (conversation + project), kept in sync by the route watcher
+  route: {
+    url: null,
+    conversationId: null,
+    projectId: null
+  },
   settings: {
-    autoSave: true, // Default to auto-save enabled
-    theme: 'auto' // Default to auto (follows system)
+    autoSave: true, // Legacy flag, mirrors captureMode === 'auto'
+    captureMode: 'auto', // 'auto', 'bubble' (manual save bubble), or 'off'
+    theme: 'auto', // Default to auto (follows system)
+    shortcuts: { ...DEFAULT_SHORTCUTS }, // Action -> shortcut (see shortcuts.js)
+    trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,
+    persistentHighlights: false, // Paint every snippet of the conversation in the page
+    palette: resolvePalette(null), // Snippet colors {id, label, color} (see palette.js)
+    listViews: resolveListViews(null), // List scope -> {sort, group} (see listView.js)
+    panelMode: DEFAULT_PANEL_MODE // 'overlay', 'sidepanel' or 'both' (see panelModes.js)
   },
+  // Whether the panel shows the trash instead of the snippet list
+  trashOpen: false,
+  // Snippet focused with the keyboard (next/previous shortcuts)
+  focusedSnippetId: null,
   searchQuery: '',
   searchScope: 'thread', // 'thread', 'project', or 'all'
-  sortOrder: 'desc',
+  colorFilter: null, // Palette color ID the list is filtered on, or null for all
+  tagFilter: null, // Tag the list is filtered on, or null for all
+  searchSort: 'relevance', // Search result order: 'relevance' or 'time' (the list's sort)
+  collapsedGroups: new Set(), // '<group mode>:<group key>' of collapsed list groups
   // Cache for performance optimization
   cache: {
+    visibleTags: [], // Tag counts of the list before the tag filter
+    groups: null, // List groups {key, label, count, collapsed}, or null when not grouping
     key: null,
     currentSnippets: [],
     totalSnippets: [],
@@ -43,7 +80,9 @@ let state = {
     visibleIds: new Set(),
     selectedVisibleCount: 0
   },
-  selectedIds: new Set()
+  selectedIds: new Set(),
+  // Last checkbox clicked, the anchor for shift-click range selection
+  selectionAnchorId: null
 };
 
 // Theme management
@@ -59,9 +98,44 @@ let container = null;
 let fab = null;
 let panel = null;
 let importExportModal = null;
+let shortcutsModal = null;
+let paletteModal = null;
+let tagManagerModal = null;
 let modalOpen = false;
+let saveBubble = null;
+
+// Backend holding the library (see storageAdapters.js)
+const storageAdapter = createChromeStorageAdapter();
+// Source seek in progress (lazy-loaded conversations)
+let activeSeek = null;
+// Persistent in-page highlights (see highlighter.js)
+let highlighter = null;
+// Full-text search over the live snippets (see snippetSearch.js)
+const snippetSearch = createSnippetSearch();
+// Snippet count last sent to the background worker (toolbar badge)
+let reportedCount = null;
+// Snippets last sent to the side panel {conversationId, snippets, conversations}
+let reportedPanelState = null;
+
+// Saving, merging and undo/redo of the library (module-level, so undo outlives panel re-renders)
+const session = createLibrarySession({
+  adapter: storageAdapter,
+  getStorage: () => state.storage,
+  setStorage: (storage) => {
+    state.storage = storage;
+  },
+  onChange: () => {
+    // Invalidate cache
+    state.cache.key = null;
+    state.cache.itemsVersion += 1;
+    syncSearchIndex();
+    updateUI();
+  },
+  saveSettings: () => chrome.storage.local.set({ settings: state.settings })
+});
 
-const SCHEMA_VERSION = 2;
+const CAPTURE_MODES = ['auto', 'bubble', 'off'];
+const KEYBOARD_SELECTION_KEYS = ['Shift', 'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'PageUp', 'PageDown'];
 
 /**
  * Debounce utility function
@@ -81,66 +155,6 @@ function debounce(func, wait) {
   };
 }
 
-function generateSnippetId() {
-  return `snippet_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
-}
-
-function snippetKey(snippet) {
-  const anchor = snippet?.anchor || {};
-  const offsets = anchor.selectionOffsets || {};
-  return [
-    hashText(snippet?.text || ''),
-    snippet?.conversationId || '',
-    anchor.textHash || '',
-    offsets.start ?? '',
-    offsets.end ?? ''
-  ].join('|');
-}
-
-function normalizeImportedSnippet(raw) {
-  if (!raw || typeof raw.text !== 'string') return null;
-  const text = raw.text.trim();
-  if (!text) return null;
-  return {
-    id: typeof raw.id === 'string' ? raw.id : generateSnippetId(),
-    text,
-    conversationId: typeof raw.conversationId === 'string' ? raw.conversationId : null,
-    projectId: typeof raw.projectId === 'string' ? raw.projectId : null,
-    sourceUrl: typeof raw.sourceUrl === 'string' ? raw.sourceUrl : null,
-    anchor: raw.anchor && typeof raw.anchor === 'object' ? raw.anchor : null,
-    createdAt: Number.isFinite(raw.createdAt) ? raw.createdAt : (Number.isFinite(raw.timestamp) ? raw.timestamp : Date.now()),
-    truncated: Boolean(raw.truncated)
-  };
-}
-
-function normalizeImportedSnippets(items) {
-  return items
-    .map(normalizeImportedSnippet)
-    .filter(Boolean);
-}
-
-function expandImportDuplicates(items) {
-  const seen = new Map();
-  const expanded = [];
-  let duplicates = 0;
-  items.forEach((snippet) => {
-    const key = snippetKey(snippet);
-    const count = seen.get(key) || 0;
-    if (count === 0) {
-      expanded.push(snippet);
-    } else {
-      expanded.push({
-        ...snippet,
-        id: generateSnippetId(),
-        duplicateIndex: count + 1
-      });
-      duplicates += 1;
-    }
-    seen.set(key, count + 1);
-  });
-  return { items: expanded, duplicates };
-}
-
 // eslint-disable-next-line no-unused-vars
 function dedupeSnippets(items) {
   const seen = new Set();
@@ -158,64 +172,6 @@ function dedupeSnippets(items) {
   return { items: deduped, skipped };
 }
 
-function mergeSnippets(existing, incoming) {
-  const existingMap = new Map(existing.map((snippet) => [snippetKey(snippet), snippet]));
-  const existingKeys = new Set(existingMap.keys());
-  const seenIncoming = new Set();
-  const merged = [];
-  let added = 0;
-  let skipped = 0;
-
-  incoming.forEach((snippet) => {
-    const key = snippetKey(snippet);
-    if (seenIncoming.has(key)) {
-      skipped += 1;
-      return;
-    }
-    seenIncoming.add(key);
-    if (existingMap.has(key)) {
-      skipped += 1;
-      merged.push(existingMap.get(key));
-      return;
-    }
-    merged.push(snippet);
-    added += 1;
-  });
-
-  existing.forEach((snippet) => {
-    const key = snippetKey(snippet);
-    if (!seenIncoming.has(key) && existingKeys.has(key)) {
-      merged.push(snippet);
-    }
-  });
-
-  return { items: merged, added, skipped };
-}
-
-function buildMarkdownFromSnippets(snippets) {
-  return snippets.map((snippet) => `- ${snippet.text}`).join('\n');
-}
-
-function downloadTextFile(filename, text, mimeType) {
-  const blob = new Blob([text], { type: mimeType });
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = filename;
-  link.style.display = 'none';
-  document.body.appendChild(link);
-  link.click();
-  setTimeout(() => {
-    URL.revokeObjectURL(url);
-    link.remove();
-  }, 0);
-}
-
-function exportFilename(extension) {
-  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
-  return `chatgpt-snippets-${stamp}.${extension}`;
-}
-
 /**
  * Gets a snippet by ID.
  * @param {string} id - Snippet ID
@@ -226,11 +182,11 @@ function getSnippetById(id) {
 }
 
 /**
- * Gets the current project ID from the URL.
+ * Gets the current project ID from the route.
  * @returns {string|null} Project ID or null
  */
 function getCurrentProjectId() {
-  return getProjectIdFromUrl(window.location.href);
+  return state.route.projectId;
 }
 
 /**
@@ -246,6 +202,99 @@ function getTotalCountForConversation(conversationId) {
   return threadIds.length;
 }
 
+/**
+ * Filters snippets by a search query (see query.js for the syntax).
+ * Syntax errors are shown under the search box; the valid part of the query still applies.
+ * @param {Array} snippets - Snippets
+ * @param {string} searchQuery - Query text
+ * @returns {Array} Matching snippets
+ */
+function filterBySearchQuery(snippets, searchQuery) {
+  syncSearchIndex();
+  return snippetSearch.filter(snippets, searchQuery, {
+    palette: state.settings.palette,
+    getConversationTitle: snippet => getConversation(state.storage, snippet.conversationId)?.title || null,
+    getProjectName: snippet => findProjectName(state.storage, snippet.projectId)
+  });
+}
+
+/**
+ * Brings the search index up to date with in-memory storage.
+ * Only snippets changed since the last call are re-indexed.
+ */
+function syncSearchIndex() {
+  snippetSearch.sync(state.storage.snippetsById);
+}
+
+/**
+ * Builds the search config passed to the panel (match highlighting and result order).
+ * @returns {Object} Highlighted terms, result order and handler
+ */
+function getSearchConfig() {
+  return {
+    terms: getQueryTerms(parseQuery(state.searchQuery || '').ast),
+    sort: state.searchSort,
+    onSortChange: handleSearchSortChange
+  };
+}
+
+/**
+ * Gets the scope whose list view (sort and grouping) applies: the search scope while
+ * searching, otherwise all snippets on the main page and the thread in a conversation.
+ * @returns {string} 'thread', 'project', or 'all'
+ */
+function getListScope() {
+  if (state.searchQuery && state.searchQuery.trim()) {
+    return state.searchScope || 'thread';
+  }
+  return state.route.conversationId === null ? 'all' : 'thread';
+}
+
+/**
+ * Gets the sort and grouping of the current list scope.
+ * @returns {{sort: string, group: string}} List view
+ */
+function getListView() {
+  return state.settings.listViews[getListScope()];
+}
+
+/**
+ * Gets the header label of a list group.
+ * @param {string} group - Grouping mode
+ * @param {string} key - Conversation ID, project ID or color ID ('' for none)
+ * @returns {string} Label
+ */
+function getGroupLabel(group, key) {
+  if (group === 'color') {
+    return key ? getColorLabel(state.settings.palette, key) || key : 'No color';
+  }
+  if (group === 'project') {
+    return key ? findProjectName(state.storage, key) || `Project ${key}` : 'No project';
+  }
+  if (!key) {
+    return 'No conversation';
+  }
+  return getConversation(state.storage, key)?.title || `Conversation ${key.slice(0, 8)}`;
+}
+
+/**
+ * Builds the list view config passed to the panel (sort and grouping controls, group headers).
+ * Call after getCurrentConversationSnippets(), which computes the groups.
+ * @returns {Object} View, groups and handlers
+ */
+function getListViewConfig() {
+  const view = getListView();
+  return {
+    sort: view.sort,
+    group: view.group,
+    groups: state.cache.groups,
+    getSource: snippet => getSnippetSource(state.storage, snippet),
+    onSortChange: sort => handleListViewChange({ sort }),
+    onGroupChange: group => handleListViewChange({ group }),
+    onToggleGroup: handleToggleGroup
+  };
+}
+
 /**
  * Gets all snippets with optional filtering and sorting.
  * @param {string} searchQuery - Optional search query
@@ -266,10 +315,7 @@ function getAllSnippets(searchQuery = '', sortOrder = 'desc') {
   
   // Apply search filter
   if (searchQuery && searchQuery.trim()) {
-    const query = searchQuery.toLowerCase().trim();
-    snippets = snippets.filter(snippet => 
-      snippet.text && snippet.text.toLowerCase().includes(query)
-    );
+    snippets = filterBySearchQuery(snippets, searchQuery);
   }
   
   // Apply sort order
@@ -314,10 +360,7 @@ function getSnippetsForConversation(conversationId, searchQuery = '', sortOrder
   
   // Apply search filter
   if (searchQuery && searchQuery.trim()) {
-    const query = searchQuery.toLowerCase().trim();
-    snippets = snippets.filter(snippet => 
-      snippet.text && snippet.text.toLowerCase().includes(query)
-    );
+    snippets = filterBySearchQuery(snippets, searchQuery);
   }
   
   return snippets;
@@ -336,7 +379,7 @@ function getSnippetsByScope(scope, searchQuery = '', sortOrder = 'desc') {
   
   if (scope === 'thread') {
     // Current conversation
-    const conversationId = getConversationId();
+    const conversationId = state.route.conversationId;
     if (conversationId === null) {
       return [];
     }
@@ -383,10 +426,7 @@ function getSnippetsByScope(scope, searchQuery = '', sortOrder = 'desc') {
   
   // Apply search filter
   if (searchQuery && searchQuery.trim()) {
-    const query = searchQuery.toLowerCase().trim();
-    snippets = snippets.filter(snippet => 
-      snippet.text && snippet.text.toLowerCase().includes(query)
-    );
+    snippets = filterBySearchQuery(snippets, searchQuery);
   }
   
   return snippets;
@@ -399,27 +439,61 @@ async function init() {
   // Create container
   container = createContainer();
   
+  // Resolve the initial route
+  state.route = resolveRoute(window.location.href);
+  
   // Load snippets from storage
   await loadState();
   
   // Apply theme
-  applyTheme(state.settings.theme || DEFAULT_THEME);
+  applyTheme(state.settings.theme || DEFAULT_THEME, [container]);
+  
+  // Expose snippet colors to the page (stripes and highlights)
+  applyPaletteStyle(buildPaletteCss(state.settings.palette));
+  
+  // Hide the floating button and panel when snippets are shown in the side panel
+  applyPanelMode();
   
   // Listen to system theme changes for auto mode
   if (window.matchMedia) {
     window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
       if (state.settings.theme === 'auto') {
-        applyTheme('auto');
+        applyTheme('auto', [container]);
       }
     });
   }
   
+  // Paint saved snippets in the page if enabled
+  highlighter = createHighlighter({
+    getSnippets: getHighlightedSnippets,
+    getThemeClass: getUIThemeClass
+  });
+  if (state.settings.persistentHighlights) {
+    highlighter.start();
+  }
+  
   // Create UI
   renderUI();
   
+  // Drop trashed snippets past their retention period
+  purgeTrash();
+  
+  // Record the open conversation's title for its snippets
+  syncConversationMetadata();
+  
   // Set up event listeners
   setupEventListeners();
   
+  // Re-scope the panel when ChatGPT navigates client-side
+  watchRouteChanges(handleRouteChange);
+  
+  // Finish a source navigation started before the page reloaded
+  resumePendingNavigation();
+  
+  // Keep in sync with snippets saved in other tabs
+  storageAdapter.subscribe(session.mergeRemote);
+  chrome.storage.onChanged.addListener(handleSettingsChange);
+  
   // Show toast if snippets were loaded
   const totalCount = state.storage.meta.totalCount || 0;
   if (totalCount > 0) {
@@ -428,20 +502,19 @@ async function init() {
 }
 
 /**
- * Applies theme to the extension UI.
- * @param {string} theme - Theme mode: 'light', 'dark', or 'auto'
+ * Shows or hides the overlay panel and its floating button for the panel mode.
  */
-function applyTheme(theme) {
+function applyPanelMode() {
   if (!container) return;
-  
-  container.classList.remove('ce-theme-light', 'ce-theme-dark');
-  
-  if (theme === 'auto') {
-    const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
-    container.classList.add(prefersDark ? 'ce-theme-dark' : 'ce-theme-light');
-  } else {
-    container.classList.add(`ce-theme-${theme}`);
-  }
+  container.classList.toggle('ce-overlay-off', !showsOverlay(state.settings.panelMode));
+}
+
+/**
+ * Gets the theme class applied to the extension UI (resolves 'auto').
+ * @returns {string} 'ce-theme-dark' or 'ce-theme-light'
+ */
+function getUIThemeClass() {
+  return container?.classList.contains('ce-theme-dark') ? 'ce-theme-dark' : 'ce-theme-light';
 }
 
 /**
@@ -457,8 +530,26 @@ function getCurrentTheme() {
  */
 async function loadState() {
   try {
-    const storage = await loadStorage();
+    const settingsResult = await chrome.storage.local.get('settings');
+    if (settingsResult.settings) {
+      state.settings = { ...state.settings, ...settingsResult.settings };
+      // Settings saved before capture modes existed: auto-save off means manual saving
+      if (!settingsResult.settings.captureMode && settingsResult.settings.autoSave === false) {
+        state.settings.captureMode = 'bubble';
+      }
+    }
+    // Fill in bindings for actions added since the settings were saved
+    state.settings.shortcuts = resolveShortcuts(state.settings.shortcuts);
+    state.settings.palette = resolvePalette(state.settings.palette);
+    state.settings.listViews = resolveListViews(state.settings.listViews);
+    state.settings.panelMode = resolvePanelMode(state.settings.panelMode);
+    
+    const storage = await storageAdapter.load();
     state.storage = storage;
+    syncSearchIndex();
+    if (storage.readOnly) {
+      createToast('Snippets were saved by a newer version of the extension. Changes won\'t be saved until you update it.', 8000);
+    }
     
     // Reset cache
     state.cache.key = null;
@@ -466,48 +557,23 @@ async function loadState() {
     state.selectionCache.visibleIds = new Set();
     state.selectionCache.selectedVisibleCount = 0;
     state.selectedIds = new Set();
-    
-    // Load settings
-    const settingsResult = await chrome.storage.local.get('settings');
-    if (settingsResult.settings) {
-      state.settings = { ...state.settings, ...settingsResult.settings };
-    }
+    state.selectionAnchorId = null;
   } catch (error) {
     console.error('Failed to load state:', error);
     createToast('Failed to load snippets');
   }
 }
 
-/**
- * Saves state to storage.
- */
-async function persistState() {
-  try {
-    await saveStorage(state.storage);
-    // Increment itemsVersion for cache invalidation
-    state.cache.itemsVersion += 1;
-    // Save settings separately
-    await chrome.storage.local.set({ settings: state.settings });
-  } catch (error) {
-    console.error('Failed to save state:', error);
-    // Show user-friendly error message
-    const message = error.message && error.message.includes('quota') 
-      ? 'Storage full. Please clear some snippets or export your data.'
-      : 'Failed to save snippets';
-    createToast(message);
-  }
-}
-
 /**
  * Gets current conversation snippets with caching.
  * Uses scope filtering when search is active.
  * @returns {Array} Array of snippet objects for current conversation
  */
 function getCurrentConversationSnippets() {
-  const conversationId = getConversationId();
-  const url = window.location.href;
-  const isMainPage = !url.includes('/c/') && !url.includes('conversationId=');
+  const conversationId = state.route.conversationId;
+  const isMainPage = conversationId === null;
   const hasSearchQuery = state.searchQuery && state.searchQuery.trim();
+  const view = getListView();
   
   // Build cache key
   const cacheKey = JSON.stringify({
@@ -515,7 +581,11 @@ function getCurrentConversationSnippets() {
     isMainPage,
     searchQuery: state.searchQuery || '',
     searchScope: state.searchScope || 'thread',
-    sortOrder: state.sortOrder || 'desc',
+    searchSort: state.searchSort,
+    view,
+    collapsedGroups: Array.from(state.collapsedGroups),
+    colorFilter: state.colorFilter,
+    tagFilter: state.tagFilter,
     itemsVersion: state.cache.itemsVersion
   });
   
@@ -535,19 +605,54 @@ function getCurrentConversationSnippets() {
       scope = 'thread';
       state.searchScope = 'thread'; // Update state to reflect fallback
     }
-    snippets = getSnippetsByScope(scope, state.searchQuery || '', state.sortOrder || 'desc');
+    snippets = getSnippetsByScope(scope, state.searchQuery || '');
   } else {
     // No search: default to current thread behavior
     if (isMainPage) {
-      snippets = getAllSnippets('', state.sortOrder || 'desc');
+      snippets = getAllSnippets('');
     } else if (conversationId) {
-      snippets = getSnippetsForConversation(conversationId, '', state.sortOrder || 'desc');
+      snippets = getSnippetsForConversation(conversationId, '');
     }
   }
   
+  // Apply sort order (relevance ties keep it)
+  snippets = sortSnippets(snippets, view.sort);
+  if (hasSearchQuery && state.searchSort === 'relevance') {
+    snippets = snippetSearch.rank(snippets, state.searchQuery);
+  }
+  
+  // Apply color filter
+  if (state.colorFilter) {
+    snippets = snippets.filter(snippet => snippet.color === state.colorFilter);
+  }
+  
+  // The tag filter row offers the tags of the list before it's filtered by tag
+  const visibleTags = countTags(snippets);
+  
+  // Apply tag filter
+  if (state.tagFilter) {
+    const taggedIds = new Set(state.storage.index.byTag?.[state.tagFilter] || []);
+    snippets = snippets.filter(snippet => taggedIds.has(snippet.id));
+  }
+  
+  // Group the list; snippets of collapsed groups are left out of it
+  let groups = groupSnippets(snippets, view.group, { palette: state.settings.palette });
+  if (groups) {
+    groups = groups.map(({ key, snippets: items }) => ({
+      key,
+      label: getGroupLabel(view.group, key),
+      count: items.length,
+      collapsed: state.collapsedGroups.has(`${view.group}:${key}`),
+      snippets: items
+    }));
+    snippets = groups.flatMap(group => (group.collapsed ? [] : group.snippets));
+  }
+  
   // Update cache
   state.cache.key = cacheKey;
   state.cache.currentSnippets = snippets;
+  state.cache.visibleTags = visibleTags;
+  state.cache.groups = groups && groups.map(({ key, label, count, collapsed }) => ({ key, label, count, collapsed }));
   
   // Update selection cache
   state.selectionCache.visibleIds = new Set(snippets.map(s => s.id));
@@ -562,9 +667,8 @@ function getCurrentConversationSnippets() {
 function renderUI() {
   // Get snippets for current conversation
   const currentSnippets = getCurrentConversationSnippets();
-  const conversationId = getConversationId();
-  const url = window.location.href;
-  const isMainPage = !url.includes('/c/') && !url.includes('conversationId=');
+  const conversationId = state.route.conversationId;
+  const isMainPage = conversationId === null;
   
   // Get total count for current conversation
   let totalCount = 0;
@@ -592,20 +696,36 @@ function renderUI() {
     onClose: handleClose,
     onRemove: handleRemove,
     onSnippetClick: handleSnippetClick,
+    onNoteChange: handleNoteChange,
     onManage: handleOpenImportExport,
-    onToggleAutoSave: handleToggleAutoSave,
-    autoSaveEnabled: state.settings.autoSave,
+    onOpenLibrary: handleOpenLibrary,
+    onOpenShortcuts: handleOpenShortcuts,
+    onCycleCaptureMode: handleCycleCaptureMode,
+    captureMode: state.settings.captureMode,
+    onCyclePanelMode: handleCyclePanelMode,
+    panelMode: state.settings.panelMode,
     onToggleTheme: handleToggleTheme,
     currentTheme: getCurrentTheme(),
+    onToggleHighlights: handleToggleHighlights,
+    highlightsEnabled: Boolean(state.settings.persistentHighlights),
     totalCount: totalCount,
     searchQuery: state.searchQuery || '',
     onSearch: handleSearch,
     onScopeChange: handleScopeChange,
     currentScope: state.searchScope || 'thread',
-    currentProjectId: getCurrentProjectId()
+    currentProjectId: getCurrentProjectId(),
+    selection: getSelectionConfig(),
+    trash: getTrashConfig(),
+    colors: getColorConfig(),
+    tags: getTagConfig(),
+    search: getSearchConfig(),
+    view: getListViewConfig()
   });
   panel.classList.toggle('ce-panel-open', state.panelOpen);
   container.appendChild(panel);
+  syncFocusedSnippet();
+  refreshHighlights();
+  reportPanelState();
 }
 
 /**
@@ -615,11 +735,17 @@ function updateUI() {
   // Invalidate cache to force recompute
   state.cache.key = null;
   
+  // Drop selected IDs whose snippets were deleted (here or in another tab)
+  state.selectedIds.forEach((id) => {
+    if (!state.storage.snippetsById[id]) {
+      state.selectedIds.delete(id);
+    }
+  });
+  
   // Get current snippets
   const currentSnippets = getCurrentConversationSnippets();
-  const conversationId = getConversationId();
-  const url = window.location.href;
-  const isMainPage = !url.includes('/c/') && !url.includes('conversationId=');
+  const conversationId = state.route.conversationId;
+  const isMainPage = conversationId === null;
   
   // Get total count for current conversation
   let totalCount = 0;
@@ -632,8 +758,18 @@ function updateUI() {
   if (fab) {
     updateFABCount(fab, totalCount);
   }
+  reportSnippetCount(totalCount);
+  reportPanelState();
   
-  if (panel) {
+  if (!panel || !state.trashOpen) {
+    // renderUI (below) refreshes them itself
+    refreshHighlights();
+  }
+  
+  if (panel && state.trashOpen) {
+    // The trash view is small and has no inputs to preserve, so rebuild it
+    renderUI();
+  } else if (panel) {
     console.log('[updateUI] Calling updatePanel with:', {
       searchQuery: state.searchQuery || '',
       searchScope: state.searchScope || 'thread',
@@ -650,8 +786,15 @@ function updateUI() {
       handleSearch,
       handleScopeChange,
       state.searchScope || 'thread',
-      getCurrentProjectId()
+      getCurrentProjectId(),
+      getSelectionConfig(),
+      getColorConfig(),
+      handleNoteChange,
+      getTagConfig(),
+      getSearchConfig(),
+      getListViewConfig()
     );
+    syncFocusedSnippet();
   } else {
     console.warn('[updateUI] Panel not found, calling renderUI instead');
     renderUI();
@@ -666,20 +809,64 @@ function setupEventListeners() {
   const debouncedHandleSelection = debounce(handleSelection, 100);
   document.addEventListener('mouseup', debouncedHandleSelection);
   
-  // Close panel on escape key
+  // Keyboard selections (shift+arrows, shift+home/end) go through the same flow
+  document.addEventListener('keyup', (e) => {
+    if (!e.shiftKey && e.key !== 'Shift') return;
+    if (!KEYBOARD_SELECTION_KEYS.includes(e.key)) return;
+    if (isEditableTarget(e.target)) return;
+    debouncedHandleSelection(e);
+  });
+  
+  // Dismiss the save bubble on scroll (capture: ChatGPT scrolls an inner container)
+  document.addEventListener('scroll', (e) => {
+    if (saveBubble && !saveBubble.contains(e.target)) {
+      hideSaveBubble();
+    }
+  }, true);
+  
+  // Dismiss the save bubble when clicking elsewhere
+  document.addEventListener('mousedown', (e) => {
+    if (saveBubble && !saveBubble.contains(e.target)) {
+      hideSaveBubble();
+    }
+  });
+  
+  // Chat titles appear some time after a conversation opens, and change on rename
+  if (document.head) {
+    const debouncedSyncMetadata = debounce(syncConversationMetadata, 500);
+    let lastTitle = document.title;
+    new MutationObserver(() => {
+      if (document.title === lastTitle) return;
+      lastTitle = document.title;
+      debouncedSyncMetadata();
+    }).observe(document.head, { childList: true, subtree: true, characterData: true });
+  }
+  
+  // Actions forwarded by the background worker, and requests of the side panel
+  chrome.runtime?.onMessage?.addListener(handleRuntimeMessage);
+  
+  // Close panel on escape key, then dispatch configurable shortcuts
   document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && saveBubble) {
+      hideSaveBubble();
+      return;
+    }
     if (e.key === 'Escape' && modalOpen) {
+      handleCloseShortcuts();
       handleCloseImportExport();
       return;
     }
     if (e.key === 'Escape' && state.panelOpen) {
       handleClose();
+      return;
     }
+    handleShortcutKeydown(e);
   });
   
   // Close panel when clicking outside
   document.addEventListener('click', (e) => {
     if (modalOpen) return;
+    if (saveBubble && saveBubble.contains(e.target)) return;
     if (state.panelOpen && panel && !panel.contains(e.target) && !fab.contains(e.target)) {
       handleClose();
     }
@@ -687,139 +874,920 @@ function setupEventListeners() {
 }
 
 /**
- * Handles text selection events.
+ * Handles a message from the background worker or the side panel.
+ * @param {Object} message - Received message (see shared/messages.js)
+ * @param {Object} sender - chrome.runtime.MessageSender
+ * @param {Function} sendResponse - Answers the message (GET_PANEL_STATE)
  */
-function handleSelection(e) {
-  // Small delay to ensure selection is complete
-  setTimeout(() => {
-    const selection = window.getSelection();
-    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
-      return;
-    }
-    
-    // Don't create snippet if clicking in UI
-    if (container && container.contains(e.target)) {
-      return;
-    }
-    
-    // Check if auto-save is enabled
-    if (!state.settings.autoSave) {
-      return;
-    }
-    
-    const snippet = buildSnippetFromSelection();
-    if (snippet && snippet.text && snippet.text.length >= 3) {
-      // Deduplication check
-      const hash = hashText(snippet.text);
-      const now = Date.now();
-      if (hash === lastSnippetHash && now - lastSnippetTime < DEDUPE_WINDOW_MS) {
-        return; // Skip duplicate
-      }
-      lastSnippetHash = hash;
-      lastSnippetTime = now;
-      
-      addSnippet(snippet);
-      
-      // Show toast if truncated
-      if (snippet.truncated) {
-        createToast('Snippet truncated (max 10,000 characters)');
-      } else {
-        createToast('Snippet saved');
+function handleRuntimeMessage(message, sender, sendResponse) {
+  if (!isValidMessage(message)) return;
+  switch (message.type) {
+    case MESSAGE_TYPES.RUN_ACTION:
+      runShortcutAction(message.action);
+      break;
+    case MESSAGE_TYPES.GET_PANEL_STATE:
+      sendResponse(buildPanelState());
+      break;
+    case MESSAGE_TYPES.NAVIGATE_TO_SNIPPET: {
+      const snippet = getSnippetById(message.id);
+      if (snippet) {
+        handleSnippetClick(snippet);
       }
+      break;
     }
-  }, 10);
+    case MESSAGE_TYPES.DELETE_SNIPPET:
+      if (getSnippetById(message.id)) {
+        handleRemove(message.id);
+      }
+      break;
+    case MESSAGE_TYPES.SET_PANEL_MODE:
+      setPanelMode(message.mode);
+      break;
+    default:
+      break;
+  }
 }
 
 /**
- * Adds a snippet to state.
+ * Builds the side panel's view of this tab: the snippets of the open conversation
+ * (all snippets on the home page), unfiltered, with their conversations' metadata.
+ * @returns {Object} PANEL_STATE message
  */
-function addSnippet(snippet) {
-  // Ensure snippet has required fields
-  if (!snippet.id) {
-    snippet.id = generateSnippetId();
-  }
-  if (!snippet.createdAt) {
-    snippet.createdAt = Date.now();
+function buildPanelState() {
+  const conversationId = state.route.conversationId;
+  const isMainPage = conversationId === null;
+  let snippets = [];
+  if (isMainPage) {
+    snippets = getAllSnippets('');
+  } else if (conversationId) {
+    snippets = getSnippetsForConversation(conversationId, '');
   }
-  
-  // Use upsertSnippet to add/update
-  state.storage = upsertSnippet(state.storage, snippet);
-  
-  // Invalidate cache
-  state.cache.key = null;
-  state.cache.itemsVersion += 1;
-  
-  updateUI();
-  persistState();
+  const conversations = {};
+  snippets.forEach((snippet) => {
+    const conversation = getConversation(state.storage, snippet.conversationId);
+    if (conversation) {
+      conversations[snippet.conversationId] = conversation;
+    }
+  });
+  return createMessage(MESSAGE_TYPES.PANEL_STATE, {
+    conversationId: isMainPage ? null : conversationId || null,
+    snippets,
+    conversations
+  });
 }
 
 /**
- * Removes a snippet by ID.
+ * Sends this tab's snippets to the side panel when they changed. Nothing is sent
+ * unless the panel mode includes the side panel.
  */
-function handleRemove(id) {
-  state.storage = removeSnippet(state.storage, id);
+function reportPanelState() {
+  if (!showsSidePanel(state.settings.panelMode) || !chrome.runtime?.id) return;
+  const message = buildPanelState();
+  const last = reportedPanelState;
+  // Storage is copy-on-write: unchanged snippets are the same objects
+  const unchanged = last &&
+    last.conversationId === message.conversationId &&
+    last.conversationsRef === state.storage.conversations &&
+    last.snippets.length === message.snippets.length &&
+    last.snippets.every((snippet, index) => snippet === message.snippets[index]);
+  if (unchanged) return;
+  reportedPanelState = {
+    conversationId: message.conversationId,
+    snippets: message.snippets,
+    conversationsRef: state.storage.conversations
+  };
+  chrome.runtime.sendMessage(message).catch(() => {
+    // The extension was reloaded under this page
+    reportedPanelState = null;
+  });
+}
+
+/**
+ * Tells the background worker the count shown on the FAB, for the toolbar badge.
+ * Only changes are sent.
+ * @param {number} count - Snippet count
+ */
+function reportSnippetCount(count) {
+  if (count === reportedCount || !chrome.runtime?.id) return;
+  reportedCount = count;
+  chrome.runtime.sendMessage(createMessage(MESSAGE_TYPES.SNIPPET_COUNT, { count })).catch(() => {
+    // The worker may be restarting, or the extension was reloaded under this page
+    reportedCount = null;
+  });
+}
+
+/**
+ * Runs the action bound to a key combination, if any.
+ * Shortcuts never fire while typing in the page (e.g. ChatGPT's prompt); inside the
+ * panel's own inputs only shortcuts with Ctrl/Alt/Meta are honored.
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleShortcutKeydown(e) {
+  if (modalOpen || e.defaultPrevented || e.isComposing) return;
   
-  // Remove from selection if selected
-  state.selectedIds.delete(id);
+  const shortcut = eventToShortcut(e);
+  const action = findShortcutAction(state.settings.shortcuts, shortcut);
+  if (!action) return;
   
-  // Invalidate cache
-  state.cache.key = null;
-  state.cache.itemsVersion += 1;
+  if (isEditableTarget(e.target)) {
+    const insidePanel = container && container.contains(e.target);
+    if (!insidePanel || !hasCommandModifier(shortcut)) return;
+  }
   
-  updateUI();
-  persistState();
-  createToast('Snippet removed');
+  e.preventDefault();
+  e.stopPropagation();
+  runShortcutAction(action);
 }
 
 /**
- * Clears all snippets.
+ * Runs a shortcut action, from the keyboard or forwarded by the background worker
+ * (context menu, browser commands, toolbar button).
+ * @param {string} action - Action ID (see SHORTCUT_ACTIONS)
  */
-function handleClear() {
-  const totalCount = state.storage.meta.totalCount || 0;
-  if (totalCount === 0) return;
-  
-  if (confirm(`Clear all ${totalCount} snippet${totalCount !== 1 ? 's' : ''}?`)) {
-    state.storage = clearAll(state.storage);
-    
-    // Clear selection
-    state.selectedIds.clear();
-    state.selectionCache.selectedVisibleCount = 0;
-    
-    // Invalidate cache
-    state.cache.key = null;
-    state.cache.itemsVersion += 1;
-    
-    updateUI();
-    persistState();
-    createToast('All snippets cleared');
+function runShortcutAction(action) {
+  switch (action) {
+    case 'togglePanel':
+      togglePanel();
+      break;
+    case 'saveSelection':
+      handleSaveSelectionShortcut();
+      break;
+    case 'focusSearch':
+      openPanel();
+      panel?.querySelector('.ce-search-input')?.focus();
+      break;
+    case 'nextSnippet':
+      moveSnippetFocus(1);
+      break;
+    case 'previousSnippet':
+      moveSnippetFocus(-1);
+      break;
+    case 'openSource': {
+      const snippet = getFocusedSnippet();
+      if (snippet) handleSnippetClick(snippet);
+      break;
+    }
+    case 'deleteSnippet':
+      handleDeleteFocusedSnippet();
+      break;
+    case 'copySnippet':
+      handleCopyFocusedSnippet();
+      break;
+    case 'undo':
+      session.undo();
+      break;
+    case 'redo':
+      session.redo();
+      break;
+    case 'saveColor1':
+    case 'saveColor2':
+    case 'saveColor3':
+    case 'saveColor4':
+    case 'saveColor5': {
+      const entry = state.settings.palette[Number(action.slice(-1)) - 1];
+      if (!entry) {
+        createToast('That color is not in the palette');
+        break;
+      }
+      handleSaveSelectionShortcut(entry.id);
+      break;
+    }
+    default:
+      break;
   }
 }
 
 /**
- * Copies all snippets to clipboard.
+ * Saves the current page selection, regardless of capture mode.
+ * @param {string|null} color - Palette color ID to save it with (optional)
  */
-async function handleCopy() {
-  const allSnippets = getAllSnippets();
-  if (allSnippets.length === 0) {
-    createToast('No snippets to copy');
+function handleSaveSelectionShortcut(color = null) {
+  hideSaveBubble();
+  const snippet = buildSnippetFromSelection();
+  if (!snippet || !snippet.text || snippet.text.length < 3) {
+    createToast('Select some text to save');
     return;
   }
-  
-  const markdown = buildMarkdownFromSnippets(allSnippets);
-  
-  try {
-    await navigator.clipboard.writeText(markdown);
-    createToast(`Copied ${allSnippets.length} snippet${allSnippets.length !== 1 ? 's' : ''} to clipboard`);
-  } catch (error) {
-    console.error('Failed to copy:', error);
-    createToast('Failed to copy to clipboard');
-  }
+  saveCapturedSnippet(color ? { ...snippet, color } : snippet);
+  window.getSelection()?.removeAllRanges();
 }
 
-function handleOpenImportExport() {
-  if (modalOpen) return;
-  const totalCount = state.storage.meta.totalCount || 0;
-  importExportModal = createImportExportModal({
+/**
+ * Gets the keyboard-focused snippet if it is still in the visible list.
+ * @returns {Object|null} Snippet or null
+ */
+function getFocusedSnippet() {
+  if (!state.focusedSnippetId) return null;
+  return getCurrentConversationSnippets().find(s => s.id === state.focusedSnippetId) || null;
+}
+
+/**
+ * Moves keyboard focus through the visible snippet list.
+ * @param {number} delta - 1 for next, -1 for previous
+ */
+function moveSnippetFocus(delta) {
+  const snippets = getCurrentConversationSnippets();
+  if (snippets.length === 0) return;
+  openPanel();
+  
+  const currentIndex = snippets.findIndex(s => s.id === state.focusedSnippetId);
+  let nextIndex;
+  if (currentIndex === -1) {
+    nextIndex = delta > 0 ? 0 : snippets.length - 1;
+  } else {
+    nextIndex = Math.min(Math.max(currentIndex + delta, 0), snippets.length - 1);
+  }
+  
+  state.focusedSnippetId = snippets[nextIndex].id;
+  setFocusedSnippet(panel, state.focusedSnippetId);
+}
+
+/**
+ * Re-applies keyboard focus after the list is re-rendered, dropping it if the
+ * snippet is no longer visible.
+ */
+function syncFocusedSnippet() {
+  if (state.focusedSnippetId && !getFocusedSnippet()) {
+    state.focusedSnippetId = null;
+  }
+  setFocusedSnippet(panel, state.focusedSnippetId);
+}
+
+/**
+ * Deletes the focused snippet and moves focus to its neighbour.
+ */
+function handleDeleteFocusedSnippet() {
+  const snippet = getFocusedSnippet();
+  if (!snippet) return;
+  
+  const snippets = getCurrentConversationSnippets();
+  const index = snippets.findIndex(s => s.id === snippet.id);
+  const neighbour = snippets[index + 1] || snippets[index - 1] || null;
+  state.focusedSnippetId = neighbour ? neighbour.id : null;
+  
+  handleRemove(snippet.id);
+}
+
+/**
+ * Copies the focused snippet (Markdown when available) to the clipboard.
+ */
+async function handleCopyFocusedSnippet() {
+  const snippet = getFocusedSnippet();
+  if (!snippet) return;
+  
+  try {
+    await navigator.clipboard.writeText(snippet.markdown || snippet.text);
+    createToast('Snippet copied to clipboard');
+  } catch (error) {
+    console.error('Failed to copy:', error);
+    createToast('Failed to copy to clipboard');
+  }
+}
+
+/**
+ * Handles SPA route changes (switching conversations or projects).
+ * @param {Object} route - New route from the route watcher
+ */
+function handleRouteChange(route) {
+  state.route = route;
+  
+  // Project scope is meaningless outside a project
+  if (state.searchScope === 'project' && route.projectId === null) {
+    state.searchScope = 'thread';
+  }
+  
+  // Invalidate cache so the thread-scoped list is recomputed
+  state.cache.key = null;
+  state.selectionCache.visibleIds = new Set();
+  state.selectionCache.selectedVisibleCount = 0;
+  
+  // Re-render FAB and panel (scope options depend on the project)
+  renderUI();
+  syncConversationMetadata();
+  
+  // A seek belongs to the conversation it started in
+  cancelActiveSeek();
+  
+  // A source navigation may have been waiting for this conversation
+  resumePendingNavigation();
+}
+
+/**
+ * Handles text selection events (mouse and keyboard).
+ */
+function handleSelection(e) {
+  // Small delay to ensure selection is complete
+  setTimeout(() => {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+      return;
+    }
+    
+    // Don't create snippet if clicking in UI
+    if (container && container.contains(e.target)) {
+      return;
+    }
+    if (saveBubble && saveBubble.contains(e.target)) {
+      return;
+    }
+    
+    const captureMode = state.settings.captureMode || 'auto';
+    if (captureMode === 'off') {
+      return;
+    }
+    
+    const snippet = buildSnippetFromSelection();
+    if (!snippet || !snippet.text || snippet.text.length < 3) {
+      return;
+    }
+    
+    if (captureMode === 'bubble') {
+      showSaveBubble(snippet, selection.getRangeAt(0).getBoundingClientRect());
+      return;
+    }
+    
+    // Deduplication check
+    const hash = hashText(snippet.text);
+    const now = Date.now();
+    if (hash === lastSnippetHash && now - lastSnippetTime < DEDUPE_WINDOW_MS) {
+      return; // Skip duplicate
+    }
+    lastSnippetHash = hash;
+    lastSnippetTime = now;
+    
+    saveCapturedSnippet(snippet);
+  }, 10);
+}
+
+/**
+ * Saves a snippet captured from the page and confirms with a toast.
+ * @param {Object} snippet - Snippet built from the selection
+ */
+function saveCapturedSnippet(snippet) {
+  if (session.isReadOnly()) return;
+  addSnippet(snippet);
+  
+  // Show toast if truncated
+  if (snippet.truncated) {
+    createToast('Snippet truncated (max 10,000 characters)');
+  } else {
+    createToast('Snippet saved');
+  }
+}
+
+/**
+ * Shows the manual "Save snippet" bubble next to the selection.
+ * The snippet is built up front, so clicking the bubble can't lose the selection.
+ * @param {Object} snippet - Snippet built from the selection
+ * @param {DOMRect} rect - Bounding rect of the selected range
+ */
+function showSaveBubble(snippet, rect) {
+  hideSaveBubble();
+  
+  let color = null;
+  const save = (extra = {}) => {
+    hideSaveBubble();
+    saveCapturedSnippet({ ...snippet, ...(color ? { color } : {}), ...extra });
+    window.getSelection()?.removeAllRanges();
+  };
+  
+  saveBubble = createSaveBubble({
+    onSave: () => save(),
+    onSaveWithNote: (note) => save(note ? { note } : {}),
+    onSaveWithTag: (tag) => save(normalizeTag(tag) ? { tags: [normalizeTag(tag)] } : {}),
+    onDismiss: hideSaveBubble,
+    palette: state.settings.palette,
+    onColorChange: (colorId) => {
+      color = colorId;
+    }
+  });
+  
+  // Match the panel theme (the bubble lives outside the container)
+  saveBubble.classList.add(getUIThemeClass());
+  saveBubble.style.visibility = 'hidden';
+  document.body.appendChild(saveBubble);
+  
+  const position = getBubblePosition(
+    rect,
+    { width: saveBubble.offsetWidth, height: saveBubble.offsetHeight },
+    { width: window.innerWidth, height: window.innerHeight }
+  );
+  saveBubble.style.top = `${position.top}px`;
+  saveBubble.style.left = `${position.left}px`;
+  saveBubble.style.visibility = '';
+  saveBubble.classList.add(`ce-save-bubble-${position.placement}`);
+}
+
+/**
+ * Hides the manual save bubble.
+ */
+function hideSaveBubble() {
+  if (!saveBubble) return;
+  saveBubble.remove();
+  saveBubble = null;
+}
+
+/**
+ * Adds a snippet to state.
+ * The conversation title and project name captured with it go to the conversation's
+ * metadata instead of the snippet.
+ */
+function addSnippet({ conversationTitle, projectName, ...snippet }) {
+  // Ensure snippet has required fields
+  if (!snippet.id) {
+    snippet.id = generateSnippetId();
+  }
+  if (!snippet.createdAt) {
+    snippet.createdAt = Date.now();
+  }
+  
+  // Use upsertSnippet to add/update
+  session.applyMutation('Save snippet', storage => upsertConversation(
+    upsertSnippet(storage, snippet),
+    snippet.conversationId,
+    { title: conversationTitle, projectId: snippet.projectId, projectName }
+  ));
+}
+
+/**
+ * Records the open conversation's title and project name as the page shows them,
+ * so a renamed chat updates the source of all its snippets at once. Only
+ * conversations with snippets are recorded.
+ */
+function syncConversationMetadata() {
+  const conversationId = state.route.conversationId;
+  if (state.storage.readOnly || !conversationId || !(state.storage.index.byThread[conversationId] || []).length) {
+    return;
+  }
+  const projectId = getCurrentProjectId();
+  const updated = upsertConversation(state.storage, conversationId, {
+    title: getConversationTitle(conversationId),
+    projectId,
+    projectName: getProjectName(projectId)
+  });
+  if (updated === state.storage) {
+    return;
+  }
+  state.storage = updated;
+  state.cache.key = null;
+  state.cache.itemsVersion += 1;
+  updateUI();
+  session.save();
+}
+
+/**
+ * Removes a snippet by ID.
+ */
+function handleRemove(id) {
+  if (session.isReadOnly()) return;
+  // Remove from selection if selected
+  state.selectedIds.delete(id);
+  
+  session.applyMutation('Delete snippet', storage => removeSnippet(storage, id));
+  createToast('Snippet moved to trash', 5000, session.undoAction);
+}
+
+/**
+ * Builds the multi-select config passed to the panel.
+ * @returns {Object} Selection state and bulk action handlers
+ */
+function getSelectionConfig() {
+  return {
+    selectedIds: state.selectedIds,
+    onToggleSelect: handleToggleSelect,
+    onSelectAll: handleSelectAllVisible,
+    onBulkDelete: handleBulkDelete,
+    onBulkCopy: handleBulkCopy,
+    onBulkExportJson: handleBulkExportJson,
+    onBulkExportMarkdown: handleBulkExportMarkdown,
+    onBulkTag: handleBulkTag
+  };
+}
+
+/**
+ * Gets the selected snippets that are visible under the current search and scope.
+ * Bulk actions only apply to these, so hidden snippets are never touched.
+ * @returns {Array} Selected visible snippets, in list order
+ */
+function getSelectedVisibleSnippets() {
+  return getCurrentConversationSnippets().filter(snippet => state.selectedIds.has(snippet.id));
+}
+
+/**
+ * Handles a snippet checkbox click.
+ * @param {string} id - Snippet ID
+ * @param {boolean} selected - New checked state
+ * @param {boolean} shiftKey - Whether shift was held (range selection)
+ */
+function handleToggleSelect(id, selected, shiftKey) {
+  const snippets = getCurrentConversationSnippets();
+  const index = snippets.findIndex(snippet => snippet.id === id);
+  const anchorIndex = snippets.findIndex(snippet => snippet.id === state.selectionAnchorId);
+  
+  if (shiftKey && index !== -1 && anchorIndex !== -1) {
+    const [start, end] = index < anchorIndex ? [index, anchorIndex] : [anchorIndex, index];
+    snippets.slice(start, end + 1).forEach((snippet) => {
+      if (selected) {
+        state.selectedIds.add(snippet.id);
+      } else {
+        state.selectedIds.delete(snippet.id);
+      }
+    });
+  } else if (selected) {
+    state.selectedIds.add(id);
+  } else {
+    state.selectedIds.delete(id);
+  }
+  
+  state.selectionAnchorId = id;
+  updateUI();
+}
+
+/**
+ * Selects or deselects every visible snippet.
+ * @param {boolean} selected - Whether to select
+ */
+function handleSelectAllVisible(selected) {
+  getCurrentConversationSnippets().forEach((snippet) => {
+    if (selected) {
+      state.selectedIds.add(snippet.id);
+    } else {
+      state.selectedIds.delete(snippet.id);
+    }
+  });
+  state.selectionAnchorId = null;
+  updateUI();
+}
+
+/**
+ * Deletes the selected snippets, with undo.
+ */
+function handleBulkDelete() {
+  if (session.isReadOnly()) return;
+  const snippets = getSelectedVisibleSnippets();
+  if (snippets.length === 0) return;
+  
+  snippets.forEach(snippet => state.selectedIds.delete(snippet.id));
+  state.selectionAnchorId = null;
+  
+  const label = `Delete ${snippets.length} snippet${snippets.length !== 1 ? 's' : ''}`;
+  session.applyMutation(label, storage => snippets.reduce((updated, snippet) => removeSnippet(updated, snippet.id), storage));
+  createToast(`Moved ${snippets.length} snippet${snippets.length !== 1 ? 's' : ''} to trash`, 5000, session.undoAction);
+}
+
+/**
+ * Copies the selected snippets to the clipboard.
+ */
+function handleBulkCopy() {
+  const snippets = getSelectedVisibleSnippets();
+  if (snippets.length === 0) return;
+  copySnippetsToClipboard(snippets);
+}
+
+function handleBulkExportJson() {
+  exportSnippetsAsJson(getSelectedVisibleSnippets());
+}
+
+function handleBulkExportMarkdown() {
+  exportSnippetsAsMarkdown(getSelectedVisibleSnippets());
+}
+
+/**
+ * Adds a tag to every selected snippet.
+ * @param {string} tag - Tag to add
+ */
+function handleBulkTag(rawTag) {
+  if (session.isReadOnly()) return;
+  const snippets = getSelectedVisibleSnippets();
+  const tag = normalizeTag(rawTag);
+  if (snippets.length === 0 || !tag) return;
+  
+  session.applyMutation(`Tag #${tag}`, storage => snippets.reduce((updated, snippet) => {
+    const tags = Array.isArray(snippet.tags) ? snippet.tags : [];
+    return tags.includes(tag) ? updated : upsertSnippet(updated, { ...snippet, tags: [...tags, tag] });
+  }, storage));
+  createToast(`Tagged ${snippets.length} snippet${snippets.length !== 1 ? 's' : ''} #${tag}`, 5000, session.undoAction);
+}
+
+/**
+ * Saves a note edited in the panel.
+ * @param {string} id - Snippet ID
+ * @param {string} note - New note (Markdown)
+ */
+function handleNoteChange(id, note) {
+  const snippet = state.storage.snippetsById[id];
+  const value = note.trim().slice(0, MAX_NOTE_LENGTH);
+  if (!snippet || value === (snippet.note || '')) return;
+  
+  session.applyMutation(value ? 'Edit note' : 'Remove note', storage => upsertSnippet(storage, { ...snippet, note: value }));
+}
+
+/**
+ * Counts the tags of a list of snippets.
+ * @param {Array} snippets - Snippets
+ * @returns {Array<{tag: string, count: number}>} Tags, most used first, then by name
+ */
+function countTags(snippets) {
+  const counts = new Map();
+  snippets.forEach((snippet) => {
+    new Set(Array.isArray(snippet.tags) ? snippet.tags : []).forEach((tag) => {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    });
+  });
+  return Array.from(counts, ([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Builds the tag config passed to the panel (tag editor and tag filter).
+ * Call after getCurrentConversationSnippets(), which computes the visible tags.
+ * @returns {Object} Tags, active filter and handlers
+ */
+function getTagConfig() {
+  return {
+    all: getTagCounts(state.storage).map(({ tag }) => tag),
+    visible: state.cache.visibleTags,
+    activeTag: state.tagFilter,
+    onFilterChange: handleTagFilterChange,
+    onTagsChange: handleTagsChange,
+    onManage: handleOpenTagManager
+  };
+}
+
+/**
+ * Filters the snippet list by tag.
+ * @param {string|null} tag - Tag, or null for all snippets
+ */
+function handleTagFilterChange(tag) {
+  state.tagFilter = tag;
+  state.cache.key = null;
+  updateUI();
+}
+
+/**
+ * Saves a snippet's tags edited in the panel.
+ * @param {string} id - Snippet ID
+ * @param {Array<string>} tags - New tags
+ */
+function handleTagsChange(id, tags) {
+  const snippet = state.storage.snippetsById[id];
+  if (!snippet) return;
+  const previous = Array.isArray(snippet.tags) ? snippet.tags : [];
+  const added = tags.find(tag => !previous.includes(tag));
+  const label = added ? `Tag #${added}` : 'Remove tag';
+  session.applyMutation(label, storage => upsertSnippet(storage, { ...snippet, tags }));
+}
+
+/**
+ * Renames a tag on every snippet (merging it into an existing tag of that name).
+ * @param {string} fromTag - Current tag
+ * @param {string} toTag - New tag
+ * @returns {Array<{tag: string, count: number}>} Updated tag counts
+ */
+function handleRenameTag(fromTag, toTag) {
+  if (session.isReadOnly()) return getTagCounts(state.storage);
+  const count = state.storage.index.byTag?.[fromTag]?.length || 0;
+  if (state.tagFilter === fromTag) {
+    state.tagFilter = toTag;
+  }
+  session.applyMutation(`Rename #${fromTag}`, storage => renameTag(storage, fromTag, toTag));
+  createToast(`Renamed #${fromTag} to #${toTag} on ${count} snippet${count !== 1 ? 's' : ''}`, 5000, session.undoAction);
+  return getTagCounts(state.storage);
+}
+
+/**
+ * Merges several tags into one on every snippet carrying them.
+ * @param {Array<string>} tags - Tags to merge
+ * @param {string} targetTag - Tag they become
+ * @returns {Array<{tag: string, count: number}>} Updated tag counts
+ */
+function handleMergeTags(tags, targetTag) {
+  if (session.isReadOnly()) return getTagCounts(state.storage);
+  if (tags.includes(state.tagFilter)) {
+    state.tagFilter = targetTag;
+  }
+  session.applyMutation(`Merge into #${targetTag}`, storage => mergeTags(storage, tags, targetTag));
+  const count = state.storage.index.byTag?.[targetTag]?.length || 0;
+  createToast(`Merged ${tags.length} tag${tags.length !== 1 ? 's' : ''} into #${targetTag} (${count} snippet${count !== 1 ? 's' : ''})`, 5000, session.undoAction);
+  return getTagCounts(state.storage);
+}
+
+function handleOpenTagManager() {
+  if (modalOpen) return;
+  tagManagerModal = createTagManagerModal({
+    tags: getTagCounts(state.storage),
+    onRename: handleRenameTag,
+    onMerge: handleMergeTags,
+    onClose: handleCloseTagManager
+  });
+  document.body.appendChild(tagManagerModal);
+  modalOpen = true;
+}
+
+function handleCloseTagManager() {
+  if (!tagManagerModal) return;
+  tagManagerModal.remove();
+  tagManagerModal = null;
+  modalOpen = false;
+}
+
+/**
+ * Builds the trash config passed to the panel.
+ * @returns {Object} Trash state and handlers
+ */
+function getTrashConfig() {
+  const trashed = getTrashedSnippets(state.storage);
+  return {
+    open: state.trashOpen,
+    count: trashed.length,
+    snippets: state.trashOpen ? trashed : [],
+    retentionDays: state.settings.trashRetentionDays,
+    onToggle: handleToggleTrash,
+    onRestore: handleRestoreFromTrash,
+    onDeletePermanently: handleDeletePermanently,
+    onEmptyTrash: handleEmptyTrash,
+    onRetentionChange: handleTrashRetentionChange
+  };
+}
+
+/**
+ * Builds the color config passed to the panel (filter chips).
+ * @returns {Object} Palette, active filter and handlers
+ */
+function getColorConfig() {
+  return {
+    palette: state.settings.palette,
+    activeColor: state.colorFilter,
+    onFilterChange: handleColorFilterChange,
+    onEditPalette: handleOpenPalette
+  };
+}
+
+/**
+ * Filters the snippet list by color.
+ * @param {string|null} colorId - Palette color ID, or null for all colors
+ */
+function handleColorFilterChange(colorId) {
+  state.colorFilter = colorId;
+  state.cache.key = null;
+  updateUI();
+}
+
+function handleOpenPalette() {
+  if (modalOpen) return;
+  const applyPalette = (palette) => {
+    state.settings.palette = palette;
+    applyPaletteStyle(buildPaletteCss(palette));
+    session.save();
+    updateUI();
+    return palette;
+  };
+  paletteModal = createPaletteModal({
+    palette: state.settings.palette,
+    onChange: (id, changes) => applyPalette(updatePaletteEntry(state.settings.palette, id, changes)),
+    onReset: () => applyPalette(resolvePalette(null)),
+    onClose: handleClosePalette
+  });
+  document.body.appendChild(paletteModal);
+  modalOpen = true;
+}
+
+function handleClosePalette() {
+  if (!paletteModal) return;
+  paletteModal.remove();
+  paletteModal = null;
+  modalOpen = false;
+}
+
+/**
+ * Permanently deletes trashed snippets older than the retention period.
+ */
+function purgeTrash() {
+  if (state.storage.readOnly) return;
+  const purged = purgeExpiredTrash(state.storage, state.settings.trashRetentionDays);
+  if (purged !== state.storage) {
+    state.storage = purged;
+    session.refresh();
+  }
+}
+
+/**
+ * Switches the panel between the snippet list and the trash.
+ */
+function handleToggleTrash() {
+  state.trashOpen = !state.trashOpen;
+  if (state.trashOpen) {
+    purgeTrash();
+  }
+  renderUI();
+}
+
+/**
+ * Restores a snippet from the trash (undoable).
+ * @param {string} id - Snippet ID
+ */
+function handleRestoreFromTrash(id) {
+  if (session.isReadOnly()) return;
+  session.applyMutation('Restore snippet', storage => restoreSnippet(storage, id));
+  createToast('Snippet restored', 5000, session.undoAction);
+}
+
+/**
+ * Permanently deletes a trashed snippet.
+ * @param {string} id - Snippet ID
+ */
+function handleDeletePermanently(id) {
+  if (session.isReadOnly()) return;
+  state.storage = purgeSnippets(state.storage, [id]);
+  session.refresh();
+  createToast('Snippet deleted permanently');
+}
+
+/**
+ * Permanently deletes everything in the trash.
+ */
+function handleEmptyTrash() {
+  const count = getTrashedSnippets(state.storage).length;
+  if (count === 0 || session.isReadOnly()) return;
+  
+  if (confirm(`Permanently delete ${count} trashed snippet${count !== 1 ? 's' : ''}? This cannot be undone.`)) {
+    state.storage = emptyTrash(state.storage);
+    session.refresh();
+    createToast('Trash emptied');
+  }
+}
+
+/**
+ * Updates how long trashed snippets are kept, purging anything now expired.
+ * @param {number} days - Retention period in days
+ */
+async function handleTrashRetentionChange(days) {
+  state.settings.trashRetentionDays = days;
+  purgeTrash();
+  await session.save();
+  renderUI();
+}
+
+/**
+ * Clears all snippets.
+ */
+function handleClear() {
+  if (session.isReadOnly()) return;
+  const totalCount = state.storage.meta.totalCount || 0;
+  if (totalCount === 0) return;
+  
+  if (confirm(`Clear all ${totalCount} snippet${totalCount !== 1 ? 's' : ''}?`)) {
+    // Clear selection
+    state.selectedIds.clear();
+    state.selectionCache.selectedVisibleCount = 0;
+    
+    session.applyMutation('Clear all snippets', clearAll);
+    createToast('All snippets moved to trash', 5000, session.undoAction);
+  }
+}
+
+/**
+ * Copies all snippets to clipboard.
+ */
+async function handleCopy() {
+  const allSnippets = getAllSnippets();
+  if (allSnippets.length === 0) {
+    createToast('No snippets to copy');
+    return;
+  }
+  
+  await copySnippetsToClipboard(allSnippets);
+}
+
+/**
+ * Copies snippets to the clipboard as Markdown (and HTML when available).
+ * @param {Array} snippets - Snippets to copy
+ */
+async function copySnippetsToClipboard(snippets) {
+  try {
+    await writeSnippetsToClipboard(snippets);
+    createToast(`Copied ${snippets.length} snippet${snippets.length !== 1 ? 's' : ''} to clipboard`);
+  } catch (error) {
+    console.error('Failed to copy:', error);
+    createToast('Failed to copy to clipboard');
+  }
+}
+
+/**
+ * Opens the library page in a tab (through the background worker).
+ */
+function handleOpenLibrary() {
+  if (!chrome.runtime?.id) return;
+  chrome.runtime.sendMessage(createMessage(MESSAGE_TYPES.OPEN_LIBRARY)).catch((error) => {
+    console.error('Failed to open the library:', error);
+    createToast('Could not open the library. Reload the page and try again.');
+  });
+}
+
+function handleOpenImportExport() {
+  if (modalOpen) return;
+  const totalCount = state.storage.meta.totalCount || 0;
+  importExportModal = createImportExportModal({
     snippetCount: totalCount,
     onClose: handleCloseImportExport,
     onExportJson: handleExportJson,
@@ -838,83 +1806,70 @@ function handleCloseImportExport() {
   modalOpen = false;
 }
 
+function handleOpenShortcuts() {
+  if (modalOpen) return;
+  shortcutsModal = createShortcutsModal({
+    shortcuts: state.settings.shortcuts,
+    onChange: (action, shortcut) => {
+      state.settings.shortcuts = assignShortcut(state.settings.shortcuts, action, shortcut);
+      session.save();
+      return state.settings.shortcuts;
+    },
+    onReset: () => {
+      state.settings.shortcuts = { ...DEFAULT_SHORTCUTS };
+      session.save();
+      return state.settings.shortcuts;
+    },
+    onClose: handleCloseShortcuts
+  });
+  document.body.appendChild(shortcutsModal);
+  modalOpen = true;
+}
+
+function handleCloseShortcuts() {
+  if (!shortcutsModal) return;
+  shortcutsModal.remove();
+  shortcutsModal = null;
+  modalOpen = false;
+}
+
 function handleExportJson() {
-  const allSnippets = getAllSnippets();
-  if (allSnippets.length === 0) {
+  exportSnippetsAsJson(getAllSnippets());
+}
+
+function handleExportMarkdown() {
+  exportSnippetsAsMarkdown(getAllSnippets());
+}
+
+function exportSnippetsAsJson(snippets) {
+  if (snippets.length === 0) {
     createToast('No snippets to export');
     return;
   }
-  
-  // Convert v2 to v1 format for backward compatibility
-  const items = allSnippets.map(snippet => {
-    const exported = { ...snippet };
-    // Convert createdAt back to timestamp for v1 compatibility
-    if (exported.createdAt && !exported.timestamp) {
-      exported.timestamp = exported.createdAt;
-    }
-    return exported;
-  });
-  
-  const payload = {
-    schemaVersion: 1, // Export as v1 for compatibility
-    exportedAt: new Date().toISOString(),
-    items
-  };
+  const payload = buildJsonExport(state.storage, snippets, state.settings.palette);
   downloadTextFile(exportFilename('json'), JSON.stringify(payload, null, 2), 'application/json');
-  createToast(`Exported ${allSnippets.length} snippet${allSnippets.length !== 1 ? 's' : ''}`);
+  createToast(`Exported ${snippets.length} snippet${snippets.length !== 1 ? 's' : ''}`);
 }
 
-function handleExportMarkdown() {
-  const allSnippets = getAllSnippets();
-  if (allSnippets.length === 0) {
+function exportSnippetsAsMarkdown(snippets) {
+  if (snippets.length === 0) {
     createToast('No snippets to export');
     return;
   }
-  const markdown = buildMarkdownFromSnippets(allSnippets);
+  const markdown = buildMarkdownExport(state.storage, snippets, state.settings.palette);
   downloadTextFile(exportFilename('md'), markdown, 'text/markdown');
-  createToast(`Exported ${allSnippets.length} snippet${allSnippets.length !== 1 ? 's' : ''}`);
+  createToast(`Exported ${snippets.length} snippet${snippets.length !== 1 ? 's' : ''}`);
 }
 
 async function handlePreviewImport(file, mode, setStatus, setPreview, setPending) {
   try {
-    const text = await file.text();
-    const parsed = JSON.parse(text);
-    const items = Array.isArray(parsed) ? parsed : parsed.items;
-    if (!Array.isArray(items)) {
-      setStatus('Invalid JSON format.', 'error');
-      setPreview('Preview unavailable.', 'error');
-      setPending(null);
-      return;
-    }
-    const normalized = normalizeImportedSnippets(items);
-    if (normalized.length === 0) {
-      setStatus('No valid snippets found.', 'error');
-      setPreview('Preview unavailable.', 'error');
-      setPending(null);
-      return;
-    }
-    const { items: expanded, duplicates } = expandImportDuplicates(normalized);
-    const currentCount = state.storage.meta.totalCount || 0;
-    if (mode === 'replace') {
-      const preview = `Preview: ${expanded.length} snippet${expanded.length !== 1 ? 's' : ''} will replace ${currentCount}.` +
-        (duplicates ? ` ${duplicates} duplicate${duplicates !== 1 ? 's' : ''} in file will be labeled.` : '');
-      setStatus('Preview ready.', 'success');
-      setPreview(preview, 'success');
-      setPending({ items: expanded });
-      return;
-    }
-    // For merge mode, we need to check against existing snippets
-    const existingSnippets = getAllSnippets();
-    const { items: merged, added, skipped } = mergeSnippets(existingSnippets, expanded);
-    const preview = `Preview: add ${added} new, skip ${skipped} duplicate${skipped !== 1 ? 's' : ''}.` +
-      ` Total after import: ${merged.length}.` +
-      (duplicates ? ` ${duplicates} duplicate${duplicates !== 1 ? 's' : ''} in file will be labeled.` : '');
+    const { items, preview } = await previewImportFile(state.storage, file, mode);
     setStatus('Preview ready.', 'success');
     setPreview(preview, 'success');
-    setPending({ items: expanded });
+    setPending({ items });
   } catch (error) {
     console.error('Failed to import snippets:', error);
-    setStatus('Failed to read import file.', 'error');
+    setStatus(error.message, 'error');
     setPreview('Preview unavailable.', 'error');
     setPending(null);
   }
@@ -926,54 +1881,28 @@ async function handleConfirmImport(pending, mode, setStatus, setPreview, setPend
       setStatus('No preview data available.', 'error');
       return;
     }
+    if (state.storage.readOnly) {
+      setStatus(READ_ONLY_MESSAGE, 'error');
+      return;
+    }
     
     if (mode === 'replace') {
-      // Clear all and add new snippets
-      state.storage = clearAll(state.storage);
       state.selectedIds.clear();
       state.selectionCache.selectedVisibleCount = 0;
-      
-      // Add all imported snippets
-      for (const snippet of pending.items) {
-        if (!snippet.createdAt) {
-          snippet.createdAt = snippet.timestamp || Date.now();
-        }
-        state.storage = upsertSnippet(state.storage, snippet);
-      }
-      
-      // Invalidate cache
-      state.cache.key = null;
-      state.cache.itemsVersion += 1;
-      
-      updateUI();
-      await persistState();
-      setStatus(`Imported ${pending.items.length} snippet${pending.items.length !== 1 ? 's' : ''}.`, 'success');
-      setPreview('Import complete. You can select another file to import.', 'success');
-      setPending(null);
-      return;
     }
     
-    // Merge mode: add new snippets, skip duplicates
-    const existingSnippets = getAllSnippets();
-    const { items: merged, added, skipped } = mergeSnippets(existingSnippets, pending.items);
-    
-    // Clear and rebuild storage with merged snippets
-    state.storage = clearAll(state.storage);
-    for (const snippet of merged) {
-      if (!snippet.createdAt) {
-        snippet.createdAt = snippet.timestamp || Date.now();
-      }
-      state.storage = upsertSnippet(state.storage, snippet);
+    // Import as one undoable step
+    let result = null;
+    await session.applyMutation(mode === 'replace' ? 'Replace with import' : 'Import snippets', (storage) => {
+      result = applyImport(storage, pending.items, mode);
+      return result.storage;
+    });
+    if (mode === 'replace') {
+      createToast('Snippets replaced with import', 5000, session.undoAction);
+      setStatus(`Imported ${pending.items.length} snippet${pending.items.length !== 1 ? 's' : ''}.`, 'success');
+    } else {
+      setStatus(formatImportStatus(result), 'success');
     }
-    
-    // Invalidate cache
-    state.cache.key = null;
-    state.cache.itemsVersion += 1;
-    
-    updateUI();
-    await persistState();
-    const suffix = skipped ? ` (${skipped} duplicates skipped)` : '';
-    setStatus(`Imported ${added} new snippet${added !== 1 ? 's' : ''}${suffix}.`, 'success');
     setPreview('Import complete. You can select another file to import.', 'success');
     setPending(null);
   } catch (error) {
@@ -984,11 +1913,107 @@ async function handleConfirmImport(pending, mode, setStatus, setPreview, setPend
 
 /**
  * Handles snippet click for source navigation.
+ * @param {Object} snippet - Clicked snippet
  */
 function handleSnippetClick(snippet) {
+  // Snippets from another conversation: open it, then highlight once it has loaded
+  const conversationId = getSnippetConversationId(snippet);
+  if (snippet.anchor && conversationId && conversationId !== state.route.conversationId) {
+    openSourceConversation(snippet);
+    return;
+  }
+  
   const result = navigateToSource(snippet);
+  if (result.notRendered) {
+    seekToSource(snippet);
+    return;
+  }
+  reportNavigationResult(result);
+}
+
+/**
+ * Opens a snippet's conversation, remembering the snippet so it is highlighted after the page changes.
+ * @param {Object} snippet - Snippet object
+ */
+function openSourceConversation(snippet) {
+  const url = getConversationUrl(snippet);
+  if (!url) {
+    createToast('Source conversation unknown');
+    return;
+  }
+  savePendingNavigation(snippet);
+  createToast('Opening source conversation...');
+  openConversation(url);
+}
+
+/**
+ * Highlights the snippet of a pending navigation once the current conversation renders it.
+ */
+async function resumePendingNavigation() {
+  const pending = takePendingNavigation(state.route.conversationId);
+  if (!pending) return;
+  
+  const snippet = state.storage.snippetsById[pending.snippetId];
+  if (!snippet) return;
+  
+  const timeout = pending.createdAt + PENDING_NAVIGATION_TIMEOUT_MS - Date.now();
+  const result = await waitForSource(snippet, { timeout });
+  if (result.notRendered && getSnippetConversationId(snippet) === state.route.conversationId) {
+    seekToSource(snippet);
+    return;
+  }
+  reportNavigationResult(result);
+}
+
+/**
+ * Scrolls a lazy-loaded conversation until a snippet's source renders, showing cancelable progress.
+ * @param {Object} snippet - Snippet object with anchor
+ */
+async function seekToSource(snippet) {
+  cancelActiveSeek();
+  
+  const toast = createProgressToast({
+    message: 'Scrolling to find the source...',
+    onCancel: cancelActiveSeek
+  });
+  const seek = seekSource(snippet, {
+    onProgress: ({ step, maxSteps }) => toast.update(step / maxSteps)
+  });
+  activeSeek = { ...seek, toast };
+  
+  const result = await seek.promise;
+  toast.close();
+  if (activeSeek && activeSeek.promise === seek.promise) {
+    activeSeek = null;
+  }
+  if (!result.canceled) {
+    reportNavigationResult(result);
+  }
+}
+
+/**
+ * Cancels the source seek in progress, if any.
+ */
+function cancelActiveSeek() {
+  if (!activeSeek) return;
+  activeSeek.cancel();
+  activeSeek.toast.close();
+  activeSeek = null;
+}
+
+/**
+ * Shows a toast for failed or approximate source navigation.
+ * @param {{success: boolean, reason?: string, confidence?: number, missingSegments?: number}} result - Result from navigateToSource
+ */
+function reportNavigationResult(result) {
   if (!result.success) {
     createToast(result.reason || 'Source not found');
+  } else if (result.confidence === 0) {
+    createToast('The snippet text is no longer in this message. Showing the message instead.');
+  } else if (typeof result.confidence === 'number' && result.confidence < APPROXIMATE_MATCH_CONFIDENCE) {
+    createToast(`Source text has changed. Showing the closest match (${Math.round(result.confidence * 100)}% similar).`);
+  } else if (result.missingSegments) {
+    createToast(`${result.missingSegments} of the snippet's messages could not be found.`);
   }
 }
 
@@ -996,12 +2021,25 @@ function handleSnippetClick(snippet) {
  * Toggles the panel visibility.
  */
 function togglePanel() {
+  if (!showsOverlay(state.settings.panelMode)) {
+    createToast('Snippets are shown in the side panel: open it from the toolbar button');
+    return;
+  }
   state.panelOpen = !state.panelOpen;
   if (panel) {
     panel.classList.toggle('ce-panel-open', state.panelOpen);
   }
 }
 
+/**
+ * Opens the panel if it is closed.
+ */
+function openPanel() {
+  if (!state.panelOpen) {
+    togglePanel();
+  }
+}
+
 /**
  * Closes the panel.
  */
@@ -1013,13 +2051,76 @@ function handleClose() {
 }
 
 /**
- * Toggles auto-save setting.
+ * Cycles the capture mode: auto-save -> manual (bubble) -> off.
  */
-async function handleToggleAutoSave() {
-  state.settings.autoSave = !state.settings.autoSave;
-  await persistState();
-  updateUI();
-  createToast(`Auto-save ${state.settings.autoSave ? 'enabled' : 'disabled'}`);
+async function handleCycleCaptureMode() {
+  const currentIndex = CAPTURE_MODES.indexOf(state.settings.captureMode);
+  const nextMode = CAPTURE_MODES[(currentIndex + 1) % CAPTURE_MODES.length];
+  state.settings.captureMode = nextMode;
+  state.settings.autoSave = nextMode === 'auto';
+  hideSaveBubble();
+  await session.save();
+  renderUI();
+  
+  const modeMessages = {
+    auto: 'Auto-save enabled',
+    bubble: 'Manual save: select text, then click Save',
+    off: 'Capture disabled'
+  };
+  createToast(modeMessages[nextMode]);
+}
+
+/**
+ * Cycles the panel mode: overlay -> side panel -> both.
+ */
+function handleCyclePanelMode() {
+  const currentIndex = PANEL_MODES.indexOf(state.settings.panelMode);
+  return setPanelMode(PANEL_MODES[(currentIndex + 1) % PANEL_MODES.length]);
+}
+
+/**
+ * Changes where snippets are shown: the overlay panel, the side panel, or both.
+ * The background worker follows the saved setting to offer the side panel.
+ * @param {string} mode - Panel mode (see panelModes.js)
+ */
+async function setPanelMode(mode) {
+  if (mode === state.settings.panelMode) return;
+  usePanelMode(mode);
+  await session.save();
+  
+  const modeMessages = {
+    overlay: 'Snippets are shown in the page panel',
+    sidepanel: 'Snippets are shown in the side panel: open it from the toolbar button',
+    both: 'Snippets are shown in the page panel and the side panel'
+  };
+  createToast(modeMessages[mode]);
+}
+
+/**
+ * Switches this tab to a panel mode.
+ * @param {string} mode - Panel mode
+ */
+function usePanelMode(mode) {
+  state.settings.panelMode = mode;
+  if (!showsOverlay(mode)) {
+    handleClose();
+  }
+  // The side panel may have missed changes while it was off
+  reportedPanelState = null;
+  applyPanelMode();
+  renderUI();
+}
+
+/**
+ * Follows a panel mode change made in another tab, so this tab doesn't save its
+ * old mode back with its settings.
+ */
+function handleSettingsChange(changes, areaName) {
+  if (areaName !== 'local' || !changes.settings?.newValue) return;
+  const mode = resolvePanelMode(changes.settings.newValue.panelMode);
+  if (mode !== state.settings.panelMode) {
+    usePanelMode(mode);
+  }
 }
 
 /**
@@ -1039,14 +2140,50 @@ async function handleToggleTheme() {
   }
   
   state.settings.theme = nextTheme;
-  applyTheme(nextTheme);
-  await persistState();
+  applyTheme(nextTheme, [container]);
+  await session.save();
   updateUI();
   
   const themeLabels = { auto: 'Auto', light: 'Light', dark: 'Dark' };
   createToast(`Theme: ${themeLabels[nextTheme]}`);
 }
 
+/**
+ * Turns persistent in-page highlights on or off.
+ */
+async function handleToggleHighlights() {
+  state.settings.persistentHighlights = !state.settings.persistentHighlights;
+  if (state.settings.persistentHighlights) {
+    highlighter.start();
+  } else {
+    highlighter.stop();
+  }
+  await session.save();
+  renderUI();
+  
+  createToast(state.settings.persistentHighlights ? 'Highlighting saved snippets in the page' : 'Page highlights off');
+}
+
+/**
+ * Gets the snippets to paint in the page: all snippets of the current conversation.
+ * @returns {Array} Snippet objects
+ */
+function getHighlightedSnippets() {
+  const conversationId = state.route.conversationId;
+  if (!conversationId) return [];
+  const { snippetsById, index } = state.storage;
+  return (index.byThread[conversationId] || []).map(id => snippetsById[id]).filter(Boolean);
+}
+
+/**
+ * Repaints persistent highlights after snippets or the route changed.
+ */
+function refreshHighlights() {
+  if (highlighter && highlighter.isActive()) {
+    highlighter.refresh();
+  }
+}
+
 /**
  * Handles search query changes.
  * @param {string} query - Search query
@@ -1095,6 +2232,49 @@ function handleScopeChange(scope) {
   updateUI();
 }
 
+/**
+ * Changes the sort or grouping of the current list scope and saves it in settings.
+ * @param {Object} change - {sort} and/or {group}
+ */
+async function handleListViewChange(change) {
+  const scope = getListScope();
+  state.settings.listViews = resolveListViews({
+    ...state.settings.listViews,
+    [scope]: { ...state.settings.listViews[scope], ...change }
+  });
+  state.cache.key = null;
+  updateUI();
+  await session.save();
+}
+
+/**
+ * Collapses or expands a list group.
+ * @param {string} key - Group key
+ */
+function handleToggleGroup(key) {
+  const id = `${getListView().group}:${key}`;
+  if (state.collapsedGroups.has(id)) {
+    state.collapsedGroups.delete(id);
+  } else {
+    state.collapsedGroups.add(id);
+  }
+  state.cache.key = null;
+  updateUI();
+}
+
+/**
+ * Switches search results between relevance and time order.
+ * @param {string} sort - 'relevance' or 'time'
+ */
+function handleSearchSortChange(sort) {
+  if (!['relevance', 'time'].includes(sort)) {
+    return;
+  }
+  state.searchSort = sort;
+  state.cache.key = null;
+  updateUI();
+}
+
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', init);
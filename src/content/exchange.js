@@ -0,0 +1,387 @@
+/**
+ * Getting snippets in and out of the library: JSON and Markdown exports, the
+ * clipboard, and JSON imports (preview, then merge or replace).
+ * Shared by the in-page panel and the library page; callers own the storage and
+ * apply the returned copies.
+ */
+
+import { clearAll, findProjectName, getConversation, upsertConversation, upsertSnippet } from './storage.js';
+import { sanitizeHtml } from './richText.js';
+import { MAX_NOTE_LENGTH, formatSnippetSource } from './ui.js';
+import { hashText } from '../shared/hash.js';
+import { getColorLabel, isColorId } from '../shared/palette.js';
+import { formatSegmentsMarkdown, isCompoundSnippet, normalizeSegments } from '../shared/segments.js';
+
+export function generateSnippetId() {
+  return `snippet_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+}
+
+export function snippetKey(snippet) {
+  const anchor = snippet?.anchor || {};
+  const offsets = anchor.selectionOffsets || {};
+  return [
+    hashText(snippet?.text || ''),
+    snippet?.conversationId || '',
+    anchor.textHash || '',
+    offsets.start ?? '',
+    offsets.end ?? ''
+  ].join('|');
+}
+
+export function normalizeImportedSnippet(raw) {
+  if (!raw || typeof raw.text !== 'string') return null;
+  const text = raw.text.trim();
+  if (!text) return null;
+  return {
+    id: typeof raw.id === 'string' ? raw.id : generateSnippetId(),
+    text,
+    conversationId: typeof raw.conversationId === 'string' ? raw.conversationId : null,
+    projectId: typeof raw.projectId === 'string' ? raw.projectId : null,
+    sourceUrl: typeof raw.sourceUrl === 'string' ? raw.sourceUrl : null,
+    note: typeof raw.note === 'string' ? raw.note.slice(0, MAX_NOTE_LENGTH) : '',
+    tags: Array.isArray(raw.tags) ? raw.tags.filter(tag => typeof tag === 'string') : [],
+    color: isColorId(raw.color) ? raw.color : null,
+    markdown: typeof raw.markdown === 'string' ? raw.markdown : null,
+    html: sanitizeHtml(raw.html),
+    anchor: raw.anchor && typeof raw.anchor === 'object' ? raw.anchor : null,
+    role: typeof raw.role === 'string' ? raw.role : null,
+    model: typeof raw.model === 'string' ? raw.model : null,
+    messageIndex: Number.isInteger(raw.messageIndex) ? raw.messageIndex : null,
+    segments: normalizeSegments(raw.segments),
+    // Conversation metadata, recorded apart from the snippet on import
+    conversationTitle: typeof raw.conversationTitle === 'string' ? raw.conversationTitle : null,
+    projectName: typeof raw.projectName === 'string' ? raw.projectName : null,
+    createdAt: Number.isFinite(raw.createdAt) ? raw.createdAt : (Number.isFinite(raw.timestamp) ? raw.timestamp : Date.now()),
+    // When the exported copy was last edited, to tell changed snippets from duplicates
+    updatedAt: Number.isFinite(raw.updatedAt) ? raw.updatedAt : null,
+    truncated: Boolean(raw.truncated)
+  };
+}
+
+export function normalizeImportedSnippets(items) {
+  return items
+    .map(normalizeImportedSnippet)
+    .filter(Boolean);
+}
+
+export function expandImportDuplicates(items) {
+  const seen = new Map();
+  const expanded = [];
+  let duplicates = 0;
+  items.forEach((snippet) => {
+    const key = snippetKey(snippet);
+    const count = seen.get(key) || 0;
+    if (count === 0) {
+      expanded.push(snippet);
+    } else {
+      expanded.push({
+        ...snippet,
+        id: generateSnippetId(),
+        duplicateIndex: count + 1
+      });
+      duplicates += 1;
+    }
+    seen.set(key, count + 1);
+  });
+  return { items: expanded, duplicates };
+}
+
+export function mergeSnippets(existing, incoming) {
+  const existingMap = new Map(existing.map((snippet) => [snippetKey(snippet), snippet]));
+  const existingKeys = new Set(existingMap.keys());
+  const existingIds = new Set(existing.map(snippet => snippet.id));
+  const seenIncoming = new Set();
+  const merged = [];
+  let added = 0;
+  let updated = 0;
+  let skipped = 0;
+
+  incoming.forEach((snippet) => {
+    const key = snippetKey(snippet);
+    if (seenIncoming.has(key)) {
+      skipped += 1;
+      return;
+    }
+    seenIncoming.add(key);
+    if (existingMap.has(key)) {
+      const current = existingMap.get(key);
+      // A copy edited after this library's one replaces it, under the local ID
+      if (snippet.updatedAt && snippet.updatedAt > (current.updatedAt || current.createdAt || 0)) {
+        updated += 1;
+        merged.push({ ...snippet, id: current.id });
+      } else {
+        skipped += 1;
+        merged.push(current);
+      }
+      return;
+    }
+    // A different snippet that happens to reuse a local ID must not overwrite it
+    merged.push(existingIds.has(snippet.id) ? { ...snippet, id: generateSnippetId() } : snippet);
+    added += 1;
+  });
+
+  existing.forEach((snippet) => {
+    const key = snippetKey(snippet);
+    if (!seenIncoming.has(key) && existingKeys.has(key)) {
+      merged.push(snippet);
+    }
+  });
+
+  return { items: merged, added, updated, skipped };
+}
+
+/**
+ * Adds an imported snippet. Its conversation title and project name are only used
+ * for conversations this browser knows nothing about yet.
+ * @param {Object} storage - Storage structure
+ * @param {Object} item - Normalized imported snippet
+ * @returns {Object} Updated storage structure
+ */
+export function upsertImportedSnippet(storage, { conversationTitle, projectName, ...snippet }) {
+  if (!snippet.createdAt) {
+    snippet.createdAt = snippet.timestamp || Date.now();
+  }
+  const updated = upsertSnippet(storage, snippet);
+  if (getConversation(updated, snippet.conversationId)) {
+    return updated;
+  }
+  return upsertConversation(updated, snippet.conversationId, { title: conversationTitle, projectId: snippet.projectId, projectName });
+}
+
+/**
+ * Gets the live snippets of a library, newest first.
+ * @param {Object} storage - Storage structure
+ * @returns {Array} Snippets
+ */
+function getLibrarySnippets(storage) {
+  return storage.index.byTime.map(id => storage.snippetsById[id]).filter(Boolean);
+}
+
+/**
+ * Reads an import file and describes what importing it would do.
+ * @param {Object} storage - Storage structure the file would be imported into
+ * @param {File|Blob} file - JSON export (or a bare array of snippets)
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Promise<{items: Array, preview: string}>} Snippets to import and the preview text
+ * @throws {Error} With a message for the user if the file can't be imported
+ */
+export async function previewImportFile(storage, file, mode) {
+  let parsed;
+  try {
+    parsed = JSON.parse(await file.text());
+  } catch (error) {
+    throw new Error('Failed to read import file.');
+  }
+  const items = Array.isArray(parsed) ? parsed : parsed?.items;
+  if (!Array.isArray(items)) {
+    throw new Error('Invalid JSON format.');
+  }
+  const normalized = normalizeImportedSnippets(items);
+  if (normalized.length === 0) {
+    throw new Error('No valid snippets found.');
+  }
+
+  const { items: expanded, duplicates } = expandImportDuplicates(normalized);
+  const duplicateNote = duplicates ? ` ${duplicates} duplicate${duplicates !== 1 ? 's' : ''} in file will be labeled.` : '';
+  if (mode === 'replace') {
+    const currentCount = storage.meta.totalCount || 0;
+    return {
+      items: expanded,
+      preview: `Preview: ${expanded.length} snippet${expanded.length !== 1 ? 's' : ''} will replace ${currentCount}.${duplicateNote}`
+    };
+  }
+  const { items: merged, added, updated, skipped } = mergeSnippets(getLibrarySnippets(storage), expanded);
+  const updateNote = updated ? ` update ${updated} changed,` : '';
+  return {
+    items: expanded,
+    preview: `Preview: add ${added} new,${updateNote} skip ${skipped} duplicate${skipped !== 1 ? 's' : ''}.` +
+      ` Total after import: ${merged.length}.${duplicateNote}`
+  };
+}
+
+/**
+ * Imports previewed snippets. Replacing moves the current library to the trash;
+ * merging keeps it, adds new snippets and updates the ones edited since, leaving
+ * the rest untouched.
+ * @param {Object} storage - Storage structure
+ * @param {Array} items - Snippets from previewImportFile
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {{storage: Object, added: number, updated: number, skipped: number}} Updated storage and counts
+ */
+export function applyImport(storage, items, mode) {
+  if (mode === 'replace') {
+    const updated = items.reduce(upsertImportedSnippet, clearAll(storage));
+    return { storage: updated, added: items.length, updated: 0, skipped: 0 };
+  }
+  const { items: merged, added, updated, skipped } = mergeSnippets(getLibrarySnippets(storage), items);
+  // Snippets the library already has come back as the same objects
+  const changed = merged.filter(snippet => snippet !== storage.snippetsById[snippet.id]);
+  return { storage: changed.reduce(upsertImportedSnippet, storage), added, updated, skipped };
+}
+
+/**
+ * Describes an import for the import dialog's status line.
+ * @param {{added: number, updated: number, skipped: number}} result - Counts from applyImport
+ * @returns {string} Status message
+ */
+export function formatImportStatus({ added, updated, skipped }) {
+  const details = [
+    updated ? `${updated} updated` : '',
+    skipped ? `${skipped} duplicates skipped` : ''
+  ].filter(Boolean).join(', ');
+  return `Imported ${added} new snippet${added !== 1 ? 's' : ''}${details ? ` (${details})` : ''}.`;
+}
+
+/**
+ * Gets where a snippet came from, with the conversation's current title.
+ * @param {Object} storage - Storage structure
+ * @param {Object} snippet - Snippet object
+ * @returns {{title: string|null, role: string|null, model: string|null}} Source
+ */
+export function getSnippetSource(storage, snippet) {
+  const title = getConversation(storage, snippet.conversationId)?.title || null;
+  if (isCompoundSnippet(snippet)) {
+    // "user → assistant" for a question and its answer
+    const roles = snippet.segments.map(segment => segment.role).filter(Boolean)
+      .filter((role, index, all) => role !== all[index - 1]);
+    const models = [...new Set(snippet.segments.map(segment => segment.model).filter(Boolean))];
+    return { title, role: roles.join(' → ') || null, model: models.join(', ') || null };
+  }
+  return {
+    title,
+    role: snippet.role || null,
+    model: snippet.model || null
+  };
+}
+
+/**
+ * Formats a snippet as a Markdown list item, preferring its rich Markdown.
+ * Continuation lines are indented so code blocks and lists stay inside the item.
+ * Exports pass the palette so the color label leads the item ("- [Fact] ..."), ask
+ * for notes, which follow as a quote inside the item, and pass getSource for the
+ * source line ("from: <title> · assistant · gpt-4o"). Snippets spanning several
+ * messages become a Q/A excerpt.
+ */
+export function formatSnippetMarkdown(snippet, { palette = null, includeNotes = false, getSource = null } = {}) {
+  const content = isCompoundSnippet(snippet) ? formatSegmentsMarkdown(snippet.segments) : snippet.markdown || snippet.text;
+  const [first, ...rest] = content.split('\n');
+  const continuation = rest.map(line => (line ? `  ${line}` : ''));
+  const colorLabel = palette ? getColorLabel(palette, snippet.color) : null;
+  const lines = [`- ${colorLabel ? `[${colorLabel}] ` : ''}${first}`, ...continuation];
+  const source = getSource ? formatSnippetSource(getSource(snippet), { includeModel: true }) : null;
+  if (source) {
+    lines.push('', `  _${source}_`);
+  }
+  if (includeNotes && snippet.note && snippet.note.trim()) {
+    lines.push('', ...snippet.note.trim().split('\n').map(line => (line ? `  > ${line}` : '  >')));
+  }
+  return lines.join('\n');
+}
+
+export function buildMarkdownFromSnippets(snippets, options = {}) {
+  return snippets.map(snippet => formatSnippetMarkdown(snippet, options)).join('\n');
+}
+
+export function buildHtmlFromSnippets(snippets) {
+  const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+  // Sanitized again: snippets imported before imports were sanitized may hold anything
+  const items = snippets.map(snippet => `<li>${(snippet.html && sanitizeHtml(snippet.html)) || escapeHtml(snippet.text)}</li>`);
+  return `<ul>${items.join('')}</ul>`;
+}
+
+/**
+ * Builds a Markdown export: color labels, notes and sources included.
+ * @param {Object} storage - Storage structure (conversation titles)
+ * @param {Array} snippets - Snippets to export
+ * @param {Array} palette - Palette entries
+ * @returns {string} Markdown
+ */
+export function buildMarkdownExport(storage, snippets, palette) {
+  return buildMarkdownFromSnippets(snippets, {
+    palette,
+    includeNotes: true,
+    getSource: snippet => getSnippetSource(storage, snippet)
+  });
+}
+
+/**
+ * Builds a JSON export. Snippets keep the v1 shape (timestamp) for older versions,
+ * and carry their color label and conversation metadata.
+ * @param {Object} storage - Storage structure (conversation metadata)
+ * @param {Array} snippets - Snippets to export
+ * @param {Array} palette - Palette entries
+ * @returns {Object} Export payload {schemaVersion, exportedAt, items}
+ */
+export function buildJsonExport(storage, snippets, palette) {
+  const items = snippets.map(snippet => {
+    const exported = { ...snippet };
+    // Convert createdAt back to timestamp for v1 compatibility
+    if (exported.createdAt && !exported.timestamp) {
+      exported.timestamp = exported.createdAt;
+    }
+    // The label makes the color meaningful outside this palette
+    const colorLabel = getColorLabel(palette, snippet.color);
+    if (colorLabel) {
+      exported.colorLabel = colorLabel;
+    }
+    // Conversation metadata travels with each snippet
+    const conversation = getConversation(storage, snippet.conversationId);
+    if (conversation?.title) {
+      exported.conversationTitle = conversation.title;
+    }
+    const projectName = findProjectName(storage, snippet.projectId);
+    if (projectName) {
+      exported.projectName = projectName;
+    }
+    return exported;
+  });
+
+  return {
+    schemaVersion: 1, // Export as v1 for compatibility
+    exportedAt: new Date().toISOString(),
+    items
+  };
+}
+
+/**
+ * Copies snippets to the clipboard as Markdown (and HTML when available).
+ * @param {Array} snippets - Snippets to copy
+ * @returns {Promise} Rejects if the clipboard refused the write
+ */
+export async function writeSnippetsToClipboard(snippets) {
+  const markdown = buildMarkdownFromSnippets(snippets);
+  // Offer HTML too, so pasting into rich editors keeps formatting
+  if (typeof ClipboardItem !== 'undefined' && snippets.some(snippet => snippet.html)) {
+    await navigator.clipboard.write([
+      new ClipboardItem({
+        'text/plain': new Blob([markdown], { type: 'text/plain' }),
+        'text/html': new Blob([buildHtmlFromSnippets(snippets)], { type: 'text/html' })
+      })
+    ]);
+  } else {
+    await navigator.clipboard.writeText(markdown);
+  }
+}
+
+export function downloadTextFile(filename, text, mimeType) {
+  const blob = new Blob([text], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  setTimeout(() => {
+    URL.revokeObjectURL(url);
+    link.remove();
+  }, 0);
+}
+
+export function exportFilename(extension) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `chatgpt-snippets-${stamp}.${extension}`;
+}
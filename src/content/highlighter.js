@@ -0,0 +1,188 @@
+/**
+ * Persistent in-page highlights for saved snippets.
+ * Paints every snippet of the current conversation without touching ChatGPT's DOM
+ * (see rangePainter.js). Highlights are recomputed as messages stream in or re-render,
+ * and hovering one shows the snippet's note and tags.
+ */
+
+import { createTextRange, getSourceParts, locateSource } from './navigation.js';
+import { LAYER_CLASS, createRangePainter } from './rangePainter.js';
+
+const HIGHLIGHT_NAME = 'ce-snippet';
+const LAYER_ID = 'ce-highlight-layer';
+const TOOLTIP_ID = 'ce-highlight-tooltip';
+// Streaming responses mutate the page many times a second; repaint once things settle
+const REFRESH_DELAY = 250; // ms
+
+/**
+ * Resolves the text ranges of snippets in the page.
+ * Snippets whose passage can't be found (or only its message) are left out; snippets
+ * spanning several messages get a range per segment found.
+ * @param {Array} snippets - Snippets of the current conversation
+ * @returns {Array<{snippet: Object, range: Range, color: string|null}>} Painted snippet ranges
+ */
+export function resolveSnippetRanges(snippets) {
+  const entries = [];
+  snippets.forEach((snippet) => {
+    getSourceParts(snippet).forEach((part) => {
+      const located = locateSource(part);
+      if (!located.success || located.start === null) return;
+      const range = createTextRange(located.element, located.start, located.end);
+      if (range && !range.collapsed) {
+        entries.push({ snippet, range, color: snippet.color });
+      }
+    });
+  });
+  return entries;
+}
+
+/**
+ * Checks if a node belongs to the extension's own elements (ignored by the observer).
+ * @param {Node} node - DOM node
+ * @returns {boolean} True for extension UI
+ */
+function isExtensionNode(node) {
+  const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  return Boolean(element?.closest(`#ce-root, .${LAYER_CLASS}, #${TOOLTIP_ID}, .ce-save-bubble`));
+}
+
+/**
+ * Checks if a mutation only touched the extension's own elements.
+ * @param {MutationRecord} mutation - Mutation record
+ * @returns {boolean} True if the page content didn't change
+ */
+function isExtensionMutation(mutation) {
+  if (isExtensionNode(mutation.target)) return true;
+  const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+  return mutation.type === 'childList' && nodes.length > 0 && nodes.every(node =>
+    node.nodeType === Node.ELEMENT_NODE && (node.classList.contains(LAYER_CLASS) || node.id === TOOLTIP_ID || isExtensionNode(node))
+  );
+}
+
+/**
+ * Fills the hover tooltip with a snippet's note and tags.
+ * @param {HTMLElement} tooltip - Tooltip element
+ * @param {Object} snippet - Hovered snippet
+ * @returns {boolean} False if the snippet has nothing to show
+ */
+function renderTooltip(tooltip, snippet) {
+  tooltip.innerHTML = '';
+  const tags = Array.isArray(snippet.tags) ? snippet.tags : [];
+  if (!snippet.note && tags.length === 0) return false;
+
+  if (snippet.note) {
+    const note = document.createElement('div');
+    note.className = 'ce-snippet-note';
+    note.textContent = snippet.note;
+    tooltip.appendChild(note);
+  }
+  if (tags.length > 0) {
+    const tagList = document.createElement('div');
+    tagList.className = 'ce-snippet-tags';
+    tags.forEach((tag) => {
+      const tagEl = document.createElement('span');
+      tagEl.className = 'ce-tag';
+      tagEl.textContent = `#${tag}`;
+      tagList.appendChild(tagEl);
+    });
+    tooltip.appendChild(tagList);
+  }
+  return true;
+}
+
+/**
+ * Creates the persistent highlighter.
+ * @param {Object} options
+ * @param {Function} options.getSnippets - Returns the snippets to paint (current conversation)
+ * @param {Function} options.getThemeClass - Returns the theme class for the tooltip (optional)
+ * @param {string} options.mode - 'custom' or 'overlay' (default: detected)
+ * @returns {{start: Function, stop: Function, refresh: Function, isActive: Function, getMode: Function}} Highlighter
+ */
+export function createHighlighter({ getSnippets, getThemeClass = () => 'ce-theme-light', mode = null }) {
+  const painter = createRangePainter({ name: HIGHLIGHT_NAME, layerId: LAYER_ID, overlayClass: 'ce-highlight-overlay', mode });
+  let active = false;
+  let observer = null;
+  let refreshTimer = null;
+  let tooltip = null;
+  let hovered = null;
+
+  const hideTooltip = () => {
+    hovered = null;
+    if (tooltip) tooltip.classList.remove('ce-highlight-tooltip-show');
+  };
+
+  const handleMouseMove = (event) => {
+    const entry = painter.hitTest(event.clientX, event.clientY);
+    if (!entry) {
+      hideTooltip();
+      return;
+    }
+    if (!tooltip) {
+      tooltip = document.createElement('div');
+      tooltip.id = TOOLTIP_ID;
+      tooltip.className = 'ce-highlight-tooltip';
+      tooltip.setAttribute('role', 'tooltip');
+      document.body.appendChild(tooltip);
+    }
+    if (hovered !== entry.snippet && !renderTooltip(tooltip, entry.snippet)) {
+      hideTooltip();
+      return;
+    }
+    hovered = entry.snippet;
+    tooltip.classList.remove('ce-theme-light', 'ce-theme-dark');
+    tooltip.classList.add(getThemeClass(), 'ce-highlight-tooltip-show');
+    tooltip.style.top = `${event.clientY + 16}px`;
+    tooltip.style.left = `${Math.max(8, Math.min(event.clientX, window.innerWidth - tooltip.offsetWidth - 8))}px`;
+  };
+
+  const handleMutations = (mutations) => {
+    if (mutations.every(isExtensionMutation)) return;
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(refresh, REFRESH_DELAY);
+  };
+
+  /**
+   * Recomputes and repaints all highlights.
+   */
+  function refresh() {
+    clearTimeout(refreshTimer);
+    if (!active) return;
+    painter.paint(resolveSnippetRanges(getSnippets()));
+  }
+
+  /**
+   * Starts painting and watching the page.
+   */
+  function start() {
+    if (active) return;
+    active = true;
+    refresh();
+    observer = new MutationObserver(handleMutations);
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+    document.addEventListener('mousemove', handleMouseMove, { passive: true });
+  }
+
+  /**
+   * Removes all highlights and stops watching the page.
+   */
+  function stop() {
+    if (!active) return;
+    active = false;
+    clearTimeout(refreshTimer);
+    if (observer) observer.disconnect();
+    observer = null;
+    document.removeEventListener('mousemove', handleMouseMove);
+    painter.clear();
+    if (tooltip && tooltip.parentNode) tooltip.parentNode.removeChild(tooltip);
+    tooltip = null;
+    hovered = null;
+  }
+
+  return {
+    start,
+    stop,
+    refresh,
+    isActive: () => active,
+    getMode: () => painter.getMode()
+  };
+}
@@ -0,0 +1,152 @@
+/**
+ * Undo/redo history for snippet mutations.
+ * Each entry stores the before/after version of every snippet a mutation touched,
+ * so undo and redo are replayed through upsertSnippet/removeSnippet and stay
+ * compatible with cross-tab merging (fresh updatedAt and tombstones).
+ */
+
+import { upsertSnippet, removeSnippet } from './storage.js';
+
+export const DEFAULT_HISTORY_LIMIT = 50;
+
+/**
+ * Computes the per-snippet changes between two snippetsById maps.
+ * Storage helpers copy-on-write, so unchanged snippets keep their identity.
+ * @param {Object} beforeById - snippetsById before the mutation
+ * @param {Object} afterById - snippetsById after the mutation
+ * @returns {Array<{id: string, before: Object|null, after: Object|null}>} Changes
+ */
+export function diffSnippets(beforeById, afterById) {
+  const changes = [];
+  const before = beforeById || {};
+  const after = afterById || {};
+
+  Object.keys(before).forEach((id) => {
+    if (before[id] !== after[id]) {
+      changes.push({ id, before: before[id], after: after[id] || null });
+    }
+  });
+  Object.keys(after).forEach((id) => {
+    if (!before[id]) {
+      changes.push({ id, before: null, after: after[id] });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Drops changes to snippets permanently deleted since they were recorded:
+ * replaying one would bring the snippet back and drop its tombstone.
+ * @param {Object} storage - Current storage
+ * @param {Array} changes - Changes from diffSnippets()
+ * @returns {Array} Changes that can still be applied
+ */
+function getReplayableChanges(storage, changes) {
+  return changes.filter(change => storage.tombstones?.[change.id] === undefined);
+}
+
+/**
+ * Pops the newest entry that still has replayable changes, discarding the
+ * entries that only touched permanently deleted snippets.
+ * @param {Array} stack - Undo or redo stack (mutated)
+ * @param {Object} storage - Current storage
+ * @returns {Object|undefined} Entry, or undefined if none is left
+ */
+function popReplayableEntry(stack, storage) {
+  let entry = stack.pop();
+  while (entry && getReplayableChanges(storage, entry.changes).length === 0) {
+    entry = stack.pop();
+  }
+  return entry;
+}
+
+/**
+ * Applies one side of a change list to storage. Snippets deleted permanently
+ * in the meantime are left deleted.
+ * @param {Object} storage - v2 storage structure
+ * @param {Array} changes - Changes from diffSnippets()
+ * @param {'before'|'after'} side - 'before' to undo, 'after' to redo
+ * @returns {Object} Updated storage structure
+ */
+export function applyChanges(storage, changes, side) {
+  return getReplayableChanges(storage, changes).reduce((updated, change) => {
+    const snippet = change[side];
+    return snippet
+      ? upsertSnippet(updated, { ...snippet })
+      : removeSnippet(updated, change.id);
+  }, storage);
+}
+
+/**
+ * Creates a bounded undo/redo history.
+ * @param {Object} options - History options
+ * @param {number} options.limit - Maximum number of undoable entries
+ * @returns {Object} History with record/undo/redo/canUndo/canRedo/clear
+ */
+export function createHistory({ limit = DEFAULT_HISTORY_LIMIT } = {}) {
+  const undoStack = [];
+  const redoStack = [];
+
+  return {
+    /**
+     * Records a mutation. Mutations that changed nothing are ignored.
+     * @param {string} label - Human-readable description (e.g. "Delete snippet")
+     * @param {Object} beforeStorage - Storage before the mutation
+     * @param {Object} afterStorage - Storage after the mutation
+     * @returns {Object|null} Recorded entry or null
+     */
+    record(label, beforeStorage, afterStorage) {
+      const changes = diffSnippets(beforeStorage?.snippetsById, afterStorage?.snippetsById);
+      if (changes.length === 0) {
+        return null;
+      }
+
+      const entry = { label, changes, createdAt: Date.now() };
+      undoStack.push(entry);
+      if (undoStack.length > limit) {
+        undoStack.splice(0, undoStack.length - limit);
+      }
+      // A new mutation invalidates anything that was undone
+      redoStack.length = 0;
+      return entry;
+    },
+
+    /**
+     * Undoes the most recent entry that doesn't only touch permanently deleted snippets.
+     * @param {Object} storage - Current storage
+     * @returns {{storage: Object, entry: Object}|null} Updated storage and entry, or null if nothing to undo
+     */
+    undo(storage) {
+      const entry = popReplayableEntry(undoStack, storage);
+      if (!entry) return null;
+      redoStack.push(entry);
+      return { storage: applyChanges(storage, entry.changes, 'before'), entry };
+    },
+
+    /**
+     * Redoes the most recently undone entry that doesn't only touch permanently deleted snippets.
+     * @param {Object} storage - Current storage
+     * @returns {{storage: Object, entry: Object}|null} Updated storage and entry, or null if nothing to redo
+     */
+    redo(storage) {
+      const entry = popReplayableEntry(redoStack, storage);
+      if (!entry) return null;
+      undoStack.push(entry);
+      return { storage: applyChanges(storage, entry.changes, 'after'), entry };
+    },
+
+    canUndo() {
+      return undoStack.length > 0;
+    },
+
+    canRedo() {
+      return redoStack.length > 0;
+    },
+
+    clear() {
+      undoStack.length = 0;
+      redoStack.length = 0;
+    }
+  };
+}
@@ -1,11 +1,19 @@
 /**
- * Source navigation and transient highlight functionality.
+ * Source location, navigation and transient highlight functionality.
  */
 
 import { hashText } from '../shared/hash.js';
+import { matchTextQuote, normalizeAnchorText } from '../shared/anchor.js';
 import { getConversationIdFromUrl } from '../shared/urlIds.js';
+import { isCompoundSnippet } from '../shared/segments.js';
+import { createRangePainter } from './rangePainter.js';
 
 const HIGHLIGHT_DURATION = 2500; // 2.5 seconds
+const TRANSIENT_HIGHLIGHT_NAME = 'ce-transient';
+
+// Paints the highlight flashed on a snippet's source (created on first use)
+let transientPainter = null;
+let transientTimer = null;
 
 /**
  * Finds a message block by message ID.
@@ -67,13 +75,47 @@ export function findMessageByPrefix(selectionPrefix) {
 }
 
 /**
- * Applies a transient highlight to a text range within an element.
+ * Gets the trimmed text of a message block.
+ * @param {HTMLElement} block - Message element
+ * @returns {string} Message text
+ */
+function getBlockText(block) {
+  return (block.innerText || block.textContent || '').trim();
+}
+
+/**
+ * Finds the message block that best matches a text quote.
+ * Blocks containing the exact quote are checked first; the rest are fuzzy-matched only if none do.
+ * @param {{exact: string, prefix?: string, suffix?: string}} quote - Text quote from the anchor
+ * @param {number|null} positionHint - Expected start offset (optional)
+ * @returns {{element: HTMLElement, match: {start: number, end: number, confidence: number}}|null} Best match or null
+ */
+export function findMessageByQuote(quote, positionHint = null) {
+  const exact = normalizeAnchorText(quote?.exact);
+  if (!exact) return null;
+
+  const blocks = Array.from(document.querySelectorAll('[data-message-id], [data-message-author-role]'));
+  const containing = blocks.filter(block => normalizeAnchorText(getBlockText(block)).includes(exact));
+
+  let best = null;
+  (containing.length > 0 ? containing : blocks).forEach((block) => {
+    const match = matchTextQuote(getBlockText(block), quote, positionHint);
+    if (match && (!best || match.confidence > best.match.confidence)) {
+      best = { element: block, match };
+    }
+  });
+  return best;
+}
+
+/**
+ * Creates a DOM range for a text range within an element, without changing the DOM.
  * @param {HTMLElement} element - Element containing the text
  * @param {number} startOffset - Start offset in normalized text
  * @param {number} endOffset - End offset in normalized text
+ * @returns {Range|null} Range, or null if the offsets don't map to text nodes
  */
-export function applyTransientHighlight(element, startOffset, endOffset) {
-  if (!element) return;
+export function createTextRange(element, startOffset, endOffset) {
+  if (!element) return null;
   
   // Find the text node(s) containing this range
   const walker = document.createTreeWalker(
@@ -108,57 +150,79 @@ export function applyTransientHighlight(element, startOffset, endOffset) {
     currentOffset += nodeLength;
   }
   
-  // If we couldn't find exact nodes, highlight the whole element
-  if (!startNode || !endNode) {
-    element.classList.add('ce-highlight-transient');
-    setTimeout(() => {
-      element.classList.remove('ce-highlight-transient');
-    }, HIGHLIGHT_DURATION);
-    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
-    return;
-  }
+  if (!startNode || !endNode) return null;
   
-  // Create a range and highlight it
   try {
     const range = document.createRange();
     range.setStart(startNode, Math.min(startNodeOffset, startNode.textContent.length));
     range.setEnd(endNode, Math.min(endNodeOffset, endNode.textContent.length));
-    
-    // Create a temporary span for highlighting
-    const highlight = document.createElement('span');
-    highlight.className = 'ce-highlight-transient';
-    highlight.textContent = range.toString();
-    
-    range.deleteContents();
-    range.insertNode(highlight);
-    
-    // Scroll into view
-    highlight.scrollIntoView({ behavior: 'smooth', block: 'center' });
-    
-    // Remove highlight after duration
-    setTimeout(() => {
-      if (highlight.parentNode) {
-        highlight.parentNode.replaceChild(document.createTextNode(highlight.textContent), highlight);
-        highlight.parentNode.normalize();
-      }
-    }, HIGHLIGHT_DURATION);
+    return range;
   } catch (error) {
-    // Fallback: highlight whole element
-    console.warn('Failed to create precise highlight, using element highlight:', error);
-    element.classList.add('ce-highlight-transient');
-    setTimeout(() => {
-      element.classList.remove('ce-highlight-transient');
-    }, HIGHLIGHT_DURATION);
+    console.warn('Failed to create text range:', error);
+    return null;
+  }
+}
+
+/**
+ * Creates a DOM range covering a whole message.
+ * @param {HTMLElement} element - Message element
+ * @returns {Range} Range
+ */
+function createMessageRange(element) {
+  const range = document.createRange();
+  range.selectNodeContents(element);
+  return range;
+}
+
+/**
+ * Briefly highlights ranges of the page, replacing a highlight still showing.
+ * Painted like the persistent highlights, so the page's own nodes are left alone.
+ * @param {Array<Range>} ranges - Ranges to highlight
+ * @param {string|null} color - Palette color ID (optional)
+ */
+function showTransientHighlight(ranges, color = null) {
+  if (!transientPainter) {
+    transientPainter = createRangePainter({ name: TRANSIENT_HIGHLIGHT_NAME, layerId: 'ce-transient-layer', overlayClass: 'ce-highlight-transient' });
+  }
+  clearTimeout(transientTimer);
+  transientPainter.paint(ranges.map(range => ({ range, color })));
+  transientTimer = setTimeout(() => transientPainter.clear(), HIGHLIGHT_DURATION);
+}
+
+/**
+ * Scrolls the element holding the start of a range into view.
+ * @param {Range} range - DOM range
+ */
+function scrollToRange(range) {
+  const node = range.startContainer;
+  const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  if (element) {
     element.scrollIntoView({ behavior: 'smooth', block: 'center' });
   }
 }
 
 /**
- * Navigates to the source of a snippet and applies transient highlight.
+ * Gets the parts of a snippet to locate: one per segment for snippets spanning
+ * several messages, otherwise the snippet itself.
+ * @param {Object} snippet - Snippet object
+ * @returns {Array<Object>} Snippet-like objects, each with the anchor of one part
+ */
+export function getSourceParts(snippet) {
+  if (!isCompoundSnippet(snippet)) return [snippet];
+  return snippet.segments.map(segment => ({ ...snippet, anchor: segment.anchor }));
+}
+
+/**
+ * Locates the source of a snippet in the page without highlighting it.
+ * The quote is re-anchored with context matching, so the result carries a confidence
+ * (1 = exact passage, lower = closest match, 0 = passage not found, only its message).
+ * Anchors saved before quotes existed report no confidence.
  * @param {Object} snippet - Snippet object with anchor
- * @returns {{success: boolean, reason?: string}} Result object with success status and optional reason
+ * @returns {{success: boolean, reason?: string, notRendered?: boolean, element?: HTMLElement, start?: number|null, end?: number|null, confidence?: number}}
+ *   Located message and text offsets (null offsets = whole message), or a failure reason;
+ *   notRendered marks a source that may load on scroll
  */
-export function navigateToSource(snippet) {
+export function locateSource(snippet) {
   if (!snippet || !snippet.anchor) {
     return { success: false, reason: 'Snippet has no anchor information' };
   }
@@ -188,7 +252,23 @@ export function navigateToSource(snippet) {
     messageBlock = findMessageByTextHash(anchor.textHash);
   }
   
-  // Fallback to selectionPrefix
+  // Locate the quote, in the identified message or (if it was re-rendered or edited) in any message
+  let match = null;
+  if (anchor.quote) {
+    const positionHint = anchor.selectionOffsets?.start ?? null;
+    if (messageBlock) {
+      match = matchTextQuote(getBlockText(messageBlock), anchor.quote, positionHint);
+    }
+    if (!match) {
+      const found = findMessageByQuote(anchor.quote, positionHint);
+      if (found) {
+        messageBlock = found.element;
+        match = found.match;
+      }
+    }
+  }
+  
+  // Fallback to selectionPrefix for anchors without a quote
   if (!messageBlock && anchor.selectionPrefix) {
     messageBlock = findMessageByPrefix(anchor.selectionPrefix);
   }
@@ -196,9 +276,11 @@ export function navigateToSource(snippet) {
   if (!messageBlock) {
     const currentConversationId = getConversationId();
     if (anchor.conversationId && currentConversationId && currentConversationId === anchor.conversationId) {
+      // Possibly not rendered yet (lazy-loaded thread): callers can scroll and retry
       return { 
         success: false, 
-        reason: 'Source message not found. It may have been deleted or the page needs to be scrolled to load it.' 
+        reason: 'Source message not found. It may have been deleted or the page needs to be scrolled to load it.',
+        notRendered: true
       };
     }
     return { 
@@ -207,23 +289,55 @@ export function navigateToSource(snippet) {
     };
   }
   
-  // Apply transient highlight
+  if (match) {
+    return { success: true, element: messageBlock, start: match.start, end: match.end, confidence: match.confidence };
+  }
+  
+  if (anchor.quote) {
+    // Message found but the passage isn't in it anymore
+    return { success: true, element: messageBlock, start: null, end: null, confidence: 0 };
+  }
+  
   if (anchor.selectionOffsets) {
-    applyTransientHighlight(
-      messageBlock,
-      anchor.selectionOffsets.start,
-      anchor.selectionOffsets.end
-    );
-  } else {
-    // No offsets, highlight whole message
-    messageBlock.classList.add('ce-highlight-transient');
-    setTimeout(() => {
-      messageBlock.classList.remove('ce-highlight-transient');
-    }, HIGHLIGHT_DURATION);
-    messageBlock.scrollIntoView({ behavior: 'smooth', block: 'center' });
-  }
-  
-  return { success: true };
+    return { success: true, element: messageBlock, start: anchor.selectionOffsets.start, end: anchor.selectionOffsets.end };
+  }
+  
+  // No offsets, the whole message
+  return { success: true, element: messageBlock, start: null, end: null };
+}
+
+/**
+ * Navigates to the source of a snippet and applies transient highlight.
+ * Snippets spanning several messages highlight every segment that can be found and
+ * scroll to the first, which has to be found for the navigation to succeed.
+ * @param {Object} snippet - Snippet object with anchor
+ * @returns {{success: boolean, reason?: string, confidence?: number, notRendered?: boolean, missingSegments?: number}}
+ *   Result object with success status, optional reason, match confidence (see
+ *   locateSource; the lowest of the segments) and the number of segments not found
+ */
+export function navigateToSource(snippet) {
+  const [first, ...rest] = getSourceParts(snippet).map(locateSource);
+  if (!first.success) {
+    return first;
+  }
+  
+  const located = [first, ...rest.filter(part => part.success)];
+  // Offsets that don't map to text nodes highlight the whole message
+  const ranges = located.map(({ element, start, end }) =>
+    (start === null ? null : createTextRange(element, start, end)) || createMessageRange(element)
+  );
+  showTransientHighlight(ranges, snippet.color);
+  scrollToRange(ranges[0]);
+  
+  const result = { success: true };
+  const confidences = located.map(part => part.confidence).filter(confidence => confidence !== undefined);
+  if (confidences.length > 0) {
+    result.confidence = Math.min(...confidences);
+  }
+  if (located.length < rest.length + 1) {
+    result.missingSegments = rest.length + 1 - located.length;
+  }
+  return result;
 }
 
 /**
@@ -0,0 +1,204 @@
+/**
+ * Plumbing shared by the pages showing the library (the content script, the library
+ * page and the side panel): the theme, and saving, merging and undoing changes to
+ * the library held in memory.
+ */
+
+import { READ_ONLY_MESSAGE, commitStorage, mergeStorage } from './storage.js';
+import { createHistory } from './history.js';
+import { applyPaletteStyle, createContainer, createToast } from './ui.js';
+import { buildPaletteCss } from '../shared/palette.js';
+
+/**
+ * Resolves a theme setting to the theme shown ('auto' follows the system).
+ * @param {string} theme - Theme setting: 'light', 'dark' or 'auto'
+ * @returns {string} 'light' or 'dark'
+ */
+export function resolveTheme(theme) {
+  if (theme === 'light' || theme === 'dark') return theme;
+  const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+  return prefersDark ? 'dark' : 'light';
+}
+
+/**
+ * Applies a theme setting to elements (their ce-theme-* class).
+ * @param {string} theme - Theme setting: 'light', 'dark' or 'auto'
+ * @param {Array<HTMLElement>} elements - Themed elements
+ */
+export function applyTheme(theme, elements) {
+  const resolved = resolveTheme(theme);
+  elements.forEach((element) => {
+    element.classList.remove('ce-theme-light', 'ce-theme-dark');
+    element.classList.add(`ce-theme-${resolved}`);
+  });
+}
+
+/**
+ * Shows the theme and palette settings on an extension page (the whole document
+ * and the toast container).
+ * @param {Object} settings - Settings {theme, palette}
+ */
+export function applyPageSettings(settings) {
+  applyTheme(settings.theme, [document.documentElement, createContainer()]);
+  applyPaletteStyle(buildPaletteCss(settings.palette));
+}
+
+/**
+ * Keeps an extension page in line with the settings saved by ChatGPT tabs (which
+ * own them) and with the system theme.
+ * @param {Object} options
+ * @param {Function} options.getSettings - () => the page's settings
+ * @param {Function} options.applySettings - (saved settings) => void, takes what the page uses
+ * @param {Function} options.render - Re-renders the page after a change
+ */
+export function watchPageSettings({ getSettings, applySettings, render }) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !changes.settings) return;
+    applySettings(changes.settings.newValue);
+    applyPageSettings(getSettings());
+    render();
+  });
+  if (window.matchMedia) {
+    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
+      applyTheme(getSettings().theme, [document.documentElement, createContainer()]);
+    });
+  }
+}
+
+/**
+ * Creates the save, merge and undo plumbing of a page holding the library in memory.
+ * The page keeps the storage (getStorage/setStorage); every change goes through
+ * onChange, which re-renders.
+ * @param {Object} options
+ * @param {Object} options.adapter - Storage adapter (see storageAdapters.js)
+ * @param {Function} options.getStorage - () => in-memory storage
+ * @param {Function} options.setStorage - (storage) => void
+ * @param {Function} options.onChange - Called after the in-memory storage changed
+ * @param {Function} options.saveSettings - Saves the page's settings along with the library (optional)
+ * @returns {Object} Session
+ */
+export function createLibrarySession({ adapter, getStorage, setStorage, onChange, saveSettings = null }) {
+  const history = createHistory();
+
+  /**
+   * Saves the library, merging with what other tabs have written.
+   * A library saved by a newer version is only shown; settings are still saved.
+   * @returns {Promise} Resolves once saved (failures are reported with a toast)
+   */
+  async function save() {
+    try {
+      if (!getStorage().readOnly) {
+        const committed = await commitStorage(getStorage(), adapter);
+        const { storage, localChanged } = mergeStorage(getStorage(), committed);
+        setStorage(storage);
+        if (localChanged) {
+          onChange();
+        }
+      }
+      if (saveSettings) {
+        await saveSettings();
+      }
+    } catch (error) {
+      console.error('Failed to save state:', error);
+      let message = 'Failed to save snippets';
+      if (error.message && error.message.includes('quota')) {
+        message = 'Storage full. Please clear some snippets or export your data.';
+      } else if (error.message && error.message.includes('newer version')) {
+        message = error.message;
+      }
+      createToast(message);
+    }
+  }
+
+  /**
+   * Merges the library saved by another tab into memory.
+   * @param {Object} remoteStorage - Storage structure from the storage backend
+   */
+  function mergeRemote(remoteStorage) {
+    const { storage, localChanged, remoteChanged } = mergeStorage(getStorage(), remoteStorage);
+    if (localChanged) {
+      setStorage(storage);
+      onChange();
+    }
+    // This page has changes the other tab's write didn't include: write them back
+    if (remoteChanged) {
+      save();
+    }
+  }
+
+  /**
+   * Checks if the library was saved by a newer version and can't be changed,
+   * telling the user so.
+   * @returns {boolean} True if changes are blocked
+   */
+  function isReadOnly() {
+    if (!getStorage().readOnly) return false;
+    createToast(READ_ONLY_MESSAGE);
+    return true;
+  }
+
+  /**
+   * Re-renders and saves after the in-memory storage changed.
+   * @returns {Promise} Resolves once the change is saved
+   */
+  function refresh() {
+    onChange();
+    return save();
+  }
+
+  /**
+   * Applies a snippet mutation, records it for undo, then re-renders and saves.
+   * @param {string} label - Description shown in undo/redo toasts
+   * @param {Function} mutate - (storage) => updated storage
+   * @returns {Promise} Resolves once the change is saved
+   */
+  function applyMutation(label, mutate) {
+    if (isReadOnly()) return Promise.resolve();
+    const before = getStorage();
+    setStorage(mutate(before));
+    history.record(label, before, getStorage());
+    return refresh();
+  }
+
+  /**
+   * Undoes the most recent snippet mutation.
+   */
+  function undo() {
+    const result = history.undo(getStorage());
+    if (!result) {
+      createToast('Nothing to undo');
+      return;
+    }
+    setStorage(result.storage);
+    refresh();
+    createToast(`Undone: ${result.entry.label}`, 5000, { label: 'Redo', onClick: redo });
+  }
+
+  /**
+   * Redoes the most recently undone snippet mutation.
+   */
+  function redo() {
+    const result = history.redo(getStorage());
+    if (!result) {
+      createToast('Nothing to redo');
+      return;
+    }
+    setStorage(result.storage);
+    refresh();
+    createToast(`Redone: ${result.entry.label}`, 5000, undoAction);
+  }
+
+  // Undo toast action
+  const undoAction = { label: 'Undo', onClick: undo };
+
+  return {
+    save,
+    mergeRemote,
+    isReadOnly,
+    refresh,
+    applyMutation,
+    undo,
+    redo,
+    undoAction
+  };
+}
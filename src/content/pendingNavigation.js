@@ -0,0 +1,217 @@
+/**
+ * Cross-conversation source navigation.
+ * Opening a snippet from another conversation changes the page, so the snippet to
+ * highlight is kept in sessionStorage (it survives both ChatGPT's client-side
+ * navigation and a full reload) until the target conversation has rendered it.
+ */
+
+import { getConversationIdFromUrl } from '../shared/urlIds.js';
+import { navigateToSource } from './navigation.js';
+import { watchRouteChanges } from './routeWatcher.js';
+
+const PENDING_KEY = 'ce-pending-navigation';
+// Client-side navigation that hasn't changed the route by then falls back to a full page load
+const SPA_FALLBACK_MS = 2000;
+// A rendered conversation that stays unchanged this long without the message needs seeking
+const QUIET_PERIOD_MS = 1500;
+const MESSAGE_SELECTOR = '[data-message-id], [data-message-author-role]';
+
+/**
+ * How long a pending navigation waits for the target message, counted from the click.
+ */
+export const PENDING_NAVIGATION_TIMEOUT_MS = 15000;
+
+/**
+ * Gets the conversation ID a snippet belongs to.
+ * @param {Object} snippet - Snippet object
+ * @returns {string|null} Conversation ID or null
+ */
+export function getSnippetConversationId(snippet) {
+  return snippet?.anchor?.conversationId || snippet?.conversationId || null;
+}
+
+/**
+ * Gets the URL of a snippet's conversation.
+ * Uses sourceUrl (which keeps the project path) when it points to the same conversation.
+ * @param {Object} snippet - Snippet object
+ * @returns {string|null} Conversation URL or null
+ */
+export function getConversationUrl(snippet) {
+  const conversationId = getSnippetConversationId(snippet);
+  if (!conversationId) return null;
+
+  if (snippet.sourceUrl && getConversationIdFromUrl(snippet.sourceUrl) === conversationId) {
+    return snippet.sourceUrl;
+  }
+  return new URL(`/c/${conversationId}`, window.location.href).href;
+}
+
+/**
+ * Remembers a snippet to highlight once its conversation has loaded.
+ * @param {Object} snippet - Snippet object
+ * @param {number} now - Current time (optional)
+ */
+export function savePendingNavigation(snippet, now = Date.now()) {
+  try {
+    sessionStorage.setItem(PENDING_KEY, JSON.stringify({
+      snippetId: snippet.id,
+      conversationId: getSnippetConversationId(snippet),
+      createdAt: now
+    }));
+  } catch (error) {
+    console.warn('Failed to remember pending navigation:', error);
+  }
+}
+
+/**
+ * Removes the pending navigation.
+ */
+export function clearPendingNavigation() {
+  try {
+    sessionStorage.removeItem(PENDING_KEY);
+  } catch (error) {
+    console.warn('Failed to clear pending navigation:', error);
+  }
+}
+
+/**
+ * Reads the pending navigation without removing it.
+ * @param {number} now - Current time (optional)
+ * @returns {{snippetId: string, conversationId: string, createdAt: number}|null} Pending navigation, or null if none or expired
+ */
+export function getPendingNavigation(now = Date.now()) {
+  let pending = null;
+  try {
+    pending = JSON.parse(sessionStorage.getItem(PENDING_KEY) || 'null');
+  } catch (error) {
+    pending = null;
+  }
+
+  if (!pending || !pending.snippetId || now - (pending.createdAt || 0) > PENDING_NAVIGATION_TIMEOUT_MS) {
+    clearPendingNavigation();
+    return null;
+  }
+  return pending;
+}
+
+/**
+ * Takes the pending navigation for a conversation, removing it.
+ * Pending navigations for other conversations are left alone (the page may pass
+ * through other URLs before reaching the target).
+ * @param {string|null} conversationId - Conversation currently shown
+ * @param {number} now - Current time (optional)
+ * @returns {Object|null} Pending navigation or null
+ */
+export function takePendingNavigation(conversationId, now = Date.now()) {
+  const pending = getPendingNavigation(now);
+  if (!pending || !conversationId || pending.conversationId !== conversationId) {
+    return null;
+  }
+  clearPendingNavigation();
+  return pending;
+}
+
+/**
+ * Finds a page link to a conversation, so it can be opened client-side.
+ * @param {string} conversationId - Conversation ID
+ * @returns {HTMLAnchorElement|null} Link or null
+ */
+function findConversationLink(conversationId) {
+  return Array.from(document.querySelectorAll('a[href]')).find((link) => {
+    if (link.closest('#ce-root')) return false;
+    return getConversationIdFromUrl(link.href) === conversationId;
+  }) || null;
+}
+
+/**
+ * Opens a conversation: through ChatGPT's own link when the sidebar has one
+ * (client-side navigation), otherwise with a full page load. The full load only
+ * follows a link click if the route hasn't changed at all by then, so it never
+ * takes the user away from a conversation they moved to in the meantime.
+ * @param {string} url - Conversation URL
+ * @returns {'spa'|'reload'} How the conversation is being opened
+ */
+export function openConversation(url) {
+  const conversationId = getConversationIdFromUrl(url);
+  const link = conversationId ? findConversationLink(conversationId) : null;
+
+  if (!link) {
+    window.location.assign(url);
+    return 'reload';
+  }
+
+  const fallbackId = setTimeout(() => {
+    stopWatching();
+    if (getConversationIdFromUrl(window.location.href) !== conversationId) {
+      window.location.assign(url);
+    }
+  }, SPA_FALLBACK_MS);
+  const stopWatching = watchRouteChanges(() => {
+    clearTimeout(fallbackId);
+    stopWatching();
+  });
+  link.click();
+  return 'spa';
+}
+
+/**
+ * Waits for a snippet's source to render, then highlights it.
+ * Retries navigateToSource whenever the page changes, until it succeeds or times out.
+ * Once the conversation has rendered and stays quiet while the message is still missing,
+ * it resolves early with the notRendered result so the caller can seek for it.
+ * @param {Object} snippet - Snippet object with anchor
+ * @param {Object} options - Options
+ * @param {number} options.timeout - Maximum wait in ms (default: PENDING_NAVIGATION_TIMEOUT_MS)
+ * @param {number} options.quietPeriod - Quiet time after which a missing message counts as not rendered
+ * @returns {Promise<{success: boolean, reason?: string, confidence?: number, notRendered?: boolean}>} Navigation result
+ */
+export function waitForSource(snippet, { timeout = PENDING_NAVIGATION_TIMEOUT_MS, quietPeriod = QUIET_PERIOD_MS } = {}) {
+  return new Promise((resolve) => {
+    let observer = null;
+    let timeoutId = null;
+    let quietId = null;
+    let scheduled = false;
+    let done = false;
+
+    const finish = (result) => {
+      done = true;
+      if (observer) observer.disconnect();
+      clearTimeout(timeoutId);
+      clearTimeout(quietId);
+      resolve(result);
+    };
+
+    const attempt = () => {
+      scheduled = false;
+      if (done) return true;
+      const result = navigateToSource(snippet);
+      if (result.success) {
+        finish(result);
+        return true;
+      }
+      clearTimeout(quietId);
+      if (result.notRendered && document.querySelector(MESSAGE_SELECTOR)) {
+        quietId = setTimeout(() => finish(result), quietPeriod);
+      }
+      return false;
+    };
+
+    if (attempt()) return;
+
+    observer = new MutationObserver(() => {
+      // Batch bursts of mutations (streamed rendering) into one attempt
+      clearTimeout(quietId);
+      if (scheduled) return;
+      scheduled = true;
+      setTimeout(attempt, 100);
+    });
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+
+    timeoutId = setTimeout(() => {
+      finish({
+        success: false,
+        reason: 'Opened the source conversation, but the snippet did not appear. The message may have been deleted or not loaded yet.'
+      });
+    }, Math.max(0, timeout));
+  });
+}
@@ -0,0 +1,165 @@
+/**
+ * Paints text ranges in the page without touching ChatGPT's DOM (React re-renders would
+ * undo or break inserted elements): through the CSS Custom Highlight API where the browser
+ * has it, otherwise with overlay rectangles in a fixed layer on top of the page.
+ * Used by the persistent highlighter and the highlight flashed on a snippet's source.
+ */
+
+import { colorVar, isColorId } from '../shared/palette.js';
+
+// Class of every painter's overlay layer (the highlighter ignores mutations inside them)
+export const LAYER_CLASS = 'ce-highlight-layer';
+
+/**
+ * Checks whether the browser supports the CSS Custom Highlight API.
+ * @returns {boolean} True if highlights can be painted without overlays
+ */
+export function supportsCustomHighlights() {
+  return typeof CSS !== 'undefined' && Boolean(CSS.highlights) && typeof globalThis.Highlight === 'function';
+}
+
+/**
+ * Gets the custom highlight name for a range color (one per palette color, see buildPaletteCss).
+ * @param {string} name - Painter's highlight name
+ * @param {string|null} color - Palette color ID (optional)
+ * @returns {string} Highlight name
+ */
+export function getHighlightName(name, color = null) {
+  return isColorId(color) ? `${name}-${color}` : name;
+}
+
+/**
+ * Creates a painter for a set of text ranges.
+ * Each entry is {range, color, ...}; hitTest() hands back the entry under a point.
+ * @param {Object} options
+ * @param {string} options.name - Custom highlight name (colored ranges get their own, see getHighlightName)
+ * @param {string} options.layerId - ID of the overlay layer
+ * @param {string} options.overlayClass - Class of the overlay rectangles
+ * @param {string} options.mode - 'custom' or 'overlay' (default: detected)
+ * @returns {{paint: Function, clear: Function, hitTest: Function, getMode: Function}} Painter
+ */
+export function createRangePainter({ name, layerId, overlayClass, mode = null }) {
+  const paintMode = mode || (supportsCustomHighlights() ? 'custom' : 'overlay');
+  let entries = [];
+  // Client rectangles of the painted ranges [{entry, rect}], measured once per paint or
+  // viewport change instead of on every hit test (each measurement forces a layout)
+  let rects = null;
+  let frame = null;
+  let layer = null;
+  let listening = false;
+  // Custom highlight names currently registered, so colors no longer used get removed
+  let painted = new Set();
+
+  const measure = () => {
+    rects = entries.flatMap(entry => Array.from(entry.range.getClientRects(), rect => ({ entry, rect })));
+    return rects;
+  };
+
+  const drawOverlays = () => {
+    frame = null;
+    if (!layer) return;
+    layer.innerHTML = '';
+    measure().forEach(({ entry, rect }) => {
+      const box = document.createElement('div');
+      box.className = overlayClass;
+      if (isColorId(entry.color)) {
+        box.style.backgroundColor = colorVar(entry.color, true);
+      }
+      box.style.top = `${rect.top}px`;
+      box.style.left = `${rect.left}px`;
+      box.style.width = `${rect.width}px`;
+      box.style.height = `${rect.height}px`;
+      layer.appendChild(box);
+    });
+  };
+
+  // Ranges move with scrolling (of any container) and resizing: overlays follow, rectangles are re-measured
+  const handleViewportChange = () => {
+    rects = null;
+    if (paintMode !== 'overlay' || frame !== null) return;
+    frame = requestAnimationFrame(drawOverlays);
+  };
+
+  const listen = () => {
+    if (listening) return;
+    listening = true;
+    window.addEventListener('scroll', handleViewportChange, { capture: true, passive: true });
+    window.addEventListener('resize', handleViewportChange);
+  };
+
+  const unlisten = () => {
+    if (!listening) return;
+    listening = false;
+    window.removeEventListener('scroll', handleViewportChange, { capture: true });
+    window.removeEventListener('resize', handleViewportChange);
+  };
+
+  /**
+   * Paints a set of ranges, replacing what was painted before.
+   * @param {Array<{range: Range, color: string|null}>} nextEntries - Ranges to paint
+   */
+  function paint(nextEntries) {
+    entries = nextEntries;
+    rects = null;
+    listen();
+    if (paintMode === 'custom') {
+      const groups = new Map();
+      entries.forEach(({ range, color }) => {
+        const highlightName = getHighlightName(name, color);
+        groups.set(highlightName, [...(groups.get(highlightName) || []), range]);
+      });
+      painted.forEach((highlightName) => {
+        if (!groups.has(highlightName)) CSS.highlights.delete(highlightName);
+      });
+      groups.forEach((ranges, highlightName) => CSS.highlights.set(highlightName, new globalThis.Highlight(...ranges)));
+      painted = new Set(groups.keys());
+      return;
+    }
+    if (!layer) {
+      layer = document.createElement('div');
+      layer.id = layerId;
+      layer.className = LAYER_CLASS;
+      layer.setAttribute('aria-hidden', 'true');
+    }
+    // Also puts back a layer the page removed
+    if (!layer.isConnected) {
+      document.body.appendChild(layer);
+    }
+    drawOverlays();
+  }
+
+  /**
+   * Removes everything painted.
+   */
+  function clear() {
+    entries = [];
+    rects = null;
+    if (frame !== null) cancelAnimationFrame(frame);
+    frame = null;
+    unlisten();
+    painted.forEach(highlightName => CSS.highlights.delete(highlightName));
+    painted = new Set();
+    if (layer && layer.parentNode) layer.parentNode.removeChild(layer);
+    layer = null;
+  }
+
+  /**
+   * Finds the painted entry under a point.
+   * @param {number} x - Client X
+   * @param {number} y - Client Y
+   * @returns {Object|null} Entry, or null if the point is on no range
+   */
+  function hitTest(x, y) {
+    const hit = (rects || measure()).find(({ rect }) =>
+      x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom
+    );
+    return hit ? hit.entry : null;
+  }
+
+  return {
+    paint,
+    clear,
+    hitTest,
+    getMode: () => paintMode
+  };
+}
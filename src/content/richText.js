@@ -0,0 +1,438 @@
+/**
+ * Rich-format capture: converts selected DOM content to Markdown and HTML.
+ */
+
+const MAX_HTML_SIZE = 50000; // 50k chars limit for stored HTML
+
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'BUTTON', 'SVG', 'NOSCRIPT', 'TEMPLATE']);
+const BLOCK_TAGS = new Set(['P', 'DIV', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'FIGURE']);
+
+// Stored HTML is written to the clipboard and pasted elsewhere, so it keeps only an allowlist:
+// elements removed with their content, formatting elements kept, any other element unwrapped
+const DROPPED_HTML_TAGS = new Set([
+  'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'BUTTON', 'IFRAME', 'FRAME', 'FRAMESET', 'OBJECT', 'EMBED',
+  'APPLET', 'FORM', 'INPUT', 'SELECT', 'TEXTAREA', 'SVG', 'MATH', 'LINK', 'META', 'BASE', 'AUDIO',
+  'VIDEO', 'CANVAS', 'DIALOG'
+]);
+const ALLOWED_HTML_TAGS = new Set([
+  'P', 'DIV', 'SPAN', 'BR', 'HR', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'STRONG', 'B', 'EM', 'I', 'U', 'S',
+  'DEL', 'INS', 'MARK', 'SUB', 'SUP', 'SMALL', 'CODE', 'PRE', 'KBD', 'SAMP', 'BLOCKQUOTE', 'Q', 'CITE',
+  'ABBR', 'UL', 'OL', 'LI', 'DL', 'DT', 'DD', 'TABLE', 'CAPTION', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'TH',
+  'TD', 'A', 'IMG', 'FIGURE', 'FIGCAPTION'
+]);
+const ALLOWED_HTML_ATTRIBUTES = {
+  '*': ['title', 'lang', 'dir'],
+  A: ['href'],
+  IMG: ['src', 'alt', 'width', 'height'],
+  OL: ['start'],
+  TH: ['colspan', 'rowspan'],
+  TD: ['colspan', 'rowspan'],
+  // Code blocks carry their language as a class (see getCodeLanguage)
+  PRE: ['class'],
+  CODE: ['class']
+};
+const LINK_SCHEMES = new Set(['http:', 'https:', 'mailto:']);
+const IMAGE_SCHEMES = new Set(['http:', 'https:']);
+
+/**
+ * Gets the language label of a code block.
+ * ChatGPT renders `<code class="language-xxx">` inside `<pre>`, with the label also shown in a header.
+ * @param {HTMLElement} pre - Pre element (or any element containing the code)
+ * @returns {string} Language or empty string
+ */
+export function getCodeLanguage(pre) {
+  if (!pre) return '';
+
+  const code = pre.tagName === 'CODE' ? pre : pre.querySelector?.('code');
+  const classNames = `${code?.className || ''} ${pre.className || ''}`;
+  const match = classNames.match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/);
+  if (match) {
+    return match[1];
+  }
+
+  const dataLanguage = pre.getAttribute?.('data-language') || code?.getAttribute?.('data-language');
+  return dataLanguage || '';
+}
+
+/**
+ * Gets the TeX source of a KaTeX element.
+ * @param {HTMLElement} katex - Element with the `katex` class
+ * @returns {string} TeX source or rendered text as fallback
+ */
+function getKatexSource(katex) {
+  const annotation = katex.querySelector('annotation[encoding="application/x-tex"]');
+  if (annotation) {
+    return annotation.textContent.trim();
+  }
+  const html = katex.querySelector('.katex-html');
+  return (html || katex).textContent.trim();
+}
+
+/**
+ * Builds a fenced code block.
+ * @param {string} code - Code content
+ * @param {string} language - Language label
+ * @returns {string} Fenced code block
+ */
+function fenceCode(code, language) {
+  const content = code.replace(/\n+$/, '');
+  // Use a fence longer than any backtick run inside the code
+  const longestRun = Math.max(2, ...(content.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  return `${fence}${language}\n${content}\n${fence}`;
+}
+
+/**
+ * Wraps inline code in backticks.
+ * @param {string} code - Inline code content
+ * @returns {string} Markdown inline code
+ */
+function inlineCode(code) {
+  const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  const ticks = '`'.repeat(longestRun + 1);
+  const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+  return `${ticks}${padding}${code}${padding}${ticks}`;
+}
+
+/**
+ * Wraps inline content with a marker, keeping surrounding whitespace outside.
+ */
+function wrapInline(content, marker) {
+  const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!match[2]) return content;
+  return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+}
+
+/**
+ * Converts a list element (ul/ol) to Markdown.
+ */
+function convertList(list, ctx) {
+  const ordered = list.tagName === 'OL';
+  let number = ordered ? parseInt(list.getAttribute('start') || '1', 10) : 0;
+
+  const lines = [];
+  Array.from(list.children).forEach((child) => {
+    if (child.tagName !== 'LI') return;
+
+    const marker = ordered ? `${number++}.` : '-';
+    // Resolve code blocks here so their lines get the item indentation
+    const content = convertChildren(child, ctx)
+      .replace(/\n{2,}/g, '\n')
+      .trim()
+      .replace(/@@ce-code-(\d+)@@/g, (_, i) => ctx.codeBlocks[Number(i)]);
+    const itemLines = content.split('\n').map(line => line.replace(/^ (?=\S)/, ''));
+    const indent = ' '.repeat(marker.length + 1);
+    lines.push(`${marker} ${itemLines[0]}`);
+    itemLines.slice(1).forEach((line) => {
+      lines.push(line ? `${indent}${line}` : '');
+    });
+  });
+
+  return `\n\n${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Converts a table element to a GFM table.
+ */
+function convertTable(table, ctx) {
+  const rows = Array.from(table.querySelectorAll('tr'))
+    .map(row => Array.from(row.children)
+      .filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH')
+      .map(cell => convertChildren(cell, ctx).replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim()))
+    .filter(cells => cells.length > 0);
+
+  if (rows.length === 0) return '';
+
+  const columnCount = Math.max(...rows.map(cells => cells.length));
+  const formatRow = cells => {
+    const padded = [...cells, ...Array(columnCount - cells.length).fill('')];
+    return `| ${padded.join(' | ')} |`;
+  };
+
+  const lines = [
+    formatRow(rows[0]),
+    formatRow(Array(columnCount).fill('---')),
+    ...rows.slice(1).map(formatRow)
+  ];
+  return `\n\n${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Converts the children of a node to Markdown.
+ */
+function convertChildren(node, ctx) {
+  return Array.from(node.childNodes).map(child => convertNode(child, ctx)).join('');
+}
+
+/**
+ * Converts a single DOM node to Markdown.
+ * Code blocks are replaced with placeholders so whitespace cleanup can't touch them.
+ */
+function convertNode(node, ctx) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return node.textContent.replace(/\s+/g, ' ');
+  }
+
+  if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) {
+    return '';
+  }
+
+  if (node.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+    return convertChildren(node, ctx);
+  }
+
+  const tag = node.tagName.toUpperCase();
+  if (SKIPPED_TAGS.has(tag) || node.getAttribute('aria-hidden') === 'true') {
+    return '';
+  }
+
+  // KaTeX math: emit the TeX source instead of the rendered glyphs
+  if (node.classList.contains('katex-display')) {
+    return `\n\n$$\n${getKatexSource(node)}\n$$\n\n`;
+  }
+  if (node.classList.contains('katex')) {
+    return `$${getKatexSource(node)}$`;
+  }
+
+  switch (tag) {
+    case 'PRE': {
+      const code = node.querySelector('code') || node;
+      const placeholder = `@@ce-code-${ctx.codeBlocks.length}@@`;
+      ctx.codeBlocks.push(fenceCode(code.textContent, getCodeLanguage(node)));
+      return `\n\n${placeholder}\n\n`;
+    }
+    case 'CODE':
+      return inlineCode(node.textContent);
+    case 'STRONG':
+    case 'B':
+      return wrapInline(convertChildren(node, ctx), '**');
+    case 'EM':
+    case 'I':
+      return wrapInline(convertChildren(node, ctx), '*');
+    case 'DEL':
+    case 'S':
+      return wrapInline(convertChildren(node, ctx), '~~');
+    case 'A': {
+      const text = convertChildren(node, ctx).trim();
+      const href = node.getAttribute('href');
+      if (!href || href.startsWith('javascript:')) return text;
+      return `[${text || href}](${href})`;
+    }
+    case 'IMG': {
+      const src = node.getAttribute('src');
+      return src ? `![${node.getAttribute('alt') || ''}](${src})` : '';
+    }
+    case 'BR':
+      return '\n';
+    case 'HR':
+      return '\n\n---\n\n';
+    case 'H1':
+    case 'H2':
+    case 'H3':
+    case 'H4':
+    case 'H5':
+    case 'H6': {
+      const level = parseInt(tag.substring(1), 10);
+      return `\n\n${'#'.repeat(level)} ${convertChildren(node, ctx).trim()}\n\n`;
+    }
+    case 'UL':
+    case 'OL':
+      return convertList(node, ctx);
+    case 'LI':
+      // List item without its list (partial selection)
+      return `\n- ${convertChildren(node, ctx).trim()}\n`;
+    case 'TABLE':
+      return convertTable(node, ctx);
+    case 'BLOCKQUOTE': {
+      const content = cleanupMarkdown(convertChildren(node, ctx), ctx);
+      return `\n\n${content.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')}\n\n`;
+    }
+    default:
+      if (BLOCK_TAGS.has(tag)) {
+        return `\n\n${convertChildren(node, ctx)}\n\n`;
+      }
+      return convertChildren(node, ctx);
+  }
+}
+
+/**
+ * Normalizes blank lines and trailing spaces, then restores code blocks.
+ */
+function cleanupMarkdown(markdown, ctx) {
+  return markdown
+    .split('\n')
+    .map(line => line.replace(/[ \t]+$/, ''))
+    .map(line => (line.trim() ? line.replace(/^ (?=\S)/, '') : ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .replace(/@@ce-code-(\d+)@@/g, (_, i) => ctx.codeBlocks[Number(i)]);
+}
+
+/**
+ * Converts a DOM node or fragment to Markdown.
+ * @param {Node} node - Element or DocumentFragment
+ * @returns {string} Markdown
+ */
+export function nodeToMarkdown(node) {
+  if (!node) return '';
+  const ctx = { codeBlocks: [] };
+  return cleanupMarkdown(convertNode(node, ctx), ctx);
+}
+
+/**
+ * Finds the closest ancestor element matching a selector.
+ * @param {Node} node - Starting node
+ * @param {string} selector - CSS selector
+ * @returns {HTMLElement|null} Matching element or null
+ */
+function closestElement(node, selector) {
+  const element = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+  return element?.closest?.(selector) || null;
+}
+
+/**
+ * Converts a selected Range to Markdown.
+ * A range that lies entirely inside a code block, inline code or math keeps that formatting.
+ * @param {Range} range - Selected range
+ * @returns {string} Markdown
+ */
+export function rangeToMarkdown(range) {
+  if (!range) return '';
+
+  const common = range.commonAncestorContainer;
+
+  const katex = closestElement(common, '.katex');
+  if (katex) {
+    const display = katex.closest('.katex-display');
+    const source = getKatexSource(katex);
+    return display ? `$$\n${source}\n$$` : `$${source}$`;
+  }
+
+  const pre = closestElement(common, 'pre');
+  if (pre) {
+    return fenceCode(range.toString(), getCodeLanguage(pre));
+  }
+
+  const code = closestElement(common, 'code');
+  if (code) {
+    return inlineCode(range.toString());
+  }
+
+  return nodeToMarkdown(range.cloneContents());
+}
+
+/**
+ * Checks whether a URL attribute uses an allowed scheme.
+ * Relative URLs resolve against the current page, as they would have when captured.
+ * @param {string} value - Attribute value
+ * @param {Set<string>} schemes - Allowed protocols
+ * @returns {boolean} True if the URL can be kept
+ */
+function isAllowedUrl(value, schemes) {
+  try {
+    return schemes.has(new URL(value, document.baseURI).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Removes every attribute of an element that isn't allowlisted for its tag.
+ * @param {Element} element - Element to clean
+ * @param {string} tag - Upper-case tag name
+ */
+function sanitizeAttributes(element, tag) {
+  const allowed = [...ALLOWED_HTML_ATTRIBUTES['*'], ...(ALLOWED_HTML_ATTRIBUTES[tag] || [])];
+  Array.from(element.attributes).forEach(({ name, value }) => {
+    const keep = allowed.includes(name)
+      && (name !== 'href' || isAllowedUrl(value, LINK_SCHEMES))
+      && (name !== 'src' || isAllowedUrl(value, IMAGE_SCHEMES));
+    if (!keep) {
+      element.removeAttribute(name);
+    }
+  });
+}
+
+/**
+ * Sanitizes the children of a node in place against the HTML allowlist.
+ * @param {Element|DocumentFragment} parent - Node whose content is cleaned
+ */
+function sanitizeChildren(parent) {
+  Array.from(parent.children).forEach((element) => {
+    const tag = element.tagName.toUpperCase();
+    if (DROPPED_HTML_TAGS.has(tag)) {
+      element.remove();
+      return;
+    }
+    sanitizeChildren(element);
+    if (ALLOWED_HTML_TAGS.has(tag)) {
+      sanitizeAttributes(element, tag);
+    } else {
+      element.replaceWith(...element.childNodes);
+    }
+  });
+}
+
+/**
+ * Serializes sanitized content, enforcing the stored HTML size limit.
+ * @param {Element} wrapper - Element holding the sanitized content
+ * @returns {string|null} HTML string or null if empty or too large
+ */
+function serializeHtml(wrapper) {
+  const html = wrapper.innerHTML.trim();
+  if (!html || html.length > MAX_HTML_SIZE) {
+    return null;
+  }
+  return html;
+}
+
+/**
+ * Sanitizes an HTML string (e.g. from an imported file) against the same allowlist as captured HTML.
+ * It's parsed in an inert template, so nothing in it loads or runs.
+ * @param {string} html - Untrusted HTML
+ * @returns {string|null} Sanitized HTML or null if empty or too large
+ */
+export function sanitizeHtml(html) {
+  if (typeof html !== 'string') return null;
+
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  sanitizeChildren(template.content);
+
+  const wrapper = document.createElement('div');
+  wrapper.appendChild(template.content);
+  return serializeHtml(wrapper);
+}
+
+/**
+ * Serializes a selected Range to HTML, keeping only allowlisted tags, attributes and URL schemes.
+ * @param {Range} range - Selected range
+ * @returns {string|null} HTML string or null if empty or too large
+ */
+export function rangeToHtml(range) {
+  if (!range) return null;
+
+  const wrapper = document.createElement('div');
+  wrapper.appendChild(range.cloneContents());
+  sanitizeChildren(wrapper);
+  return serializeHtml(wrapper);
+}
+
+/**
+ * Extracts rich content (Markdown + HTML) from a selected Range.
+ * @param {Range} range - Selected range
+ * @returns {{markdown: string|null, html: string|null}} Rich content
+ */
+export function extractRichContent(range) {
+  try {
+    const markdown = rangeToMarkdown(range);
+    return {
+      markdown: markdown || null,
+      html: rangeToHtml(range)
+    };
+  } catch (error) {
+    console.warn('Failed to extract rich content from selection:', error);
+    return { markdown: null, html: null };
+  }
+}
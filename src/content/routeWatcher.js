@@ -0,0 +1,85 @@
+/**
+ * Route change detection for ChatGPT's client-side (SPA) navigation.
+ */
+
+import { getConversationIdFromUrl, getProjectIdFromUrl } from '../shared/urlIds.js';
+
+const POLL_INTERVAL_MS = 1000;
+
+/**
+ * Resolves the route (conversation + project) for a URL.
+ * @param {string} url - URL to resolve
+ * @returns {{url: string, conversationId: string|null, projectId: string|null}} Route object
+ */
+export function resolveRoute(url) {
+  return {
+    url,
+    conversationId: getConversationIdFromUrl(url),
+    projectId: getProjectIdFromUrl(url)
+  };
+}
+
+/**
+ * Checks whether two routes point to a different conversation or project.
+ * @param {Object|null} previous - Previous route
+ * @param {Object} next - Next route
+ * @returns {boolean} True if the scope changed
+ */
+export function hasRouteChanged(previous, next) {
+  if (!previous) return true;
+  return previous.conversationId !== next.conversationId || previous.projectId !== next.projectId;
+}
+
+/**
+ * Watches for SPA route changes (history.pushState/replaceState, popstate).
+ * Content scripts run in an isolated world, so the page's own calls to the
+ * history API are not always visible to the patched methods; a low-frequency
+ * URL poll catches those.
+ * @param {Function} onChange - Called with (nextRoute, previousRoute) when the conversation or project changes
+ * @param {Object} options - Options
+ * @param {number} options.pollInterval - Poll interval in ms, 0 to disable (default: 1000)
+ * @returns {Function} Stop function that restores the history API and removes listeners
+ */
+export function watchRouteChanges(onChange, { pollInterval = POLL_INTERVAL_MS } = {}) {
+  let currentRoute = resolveRoute(window.location.href);
+
+  const check = () => {
+    const href = window.location.href;
+    if (href === currentRoute.url) return;
+
+    const nextRoute = resolveRoute(href);
+    const previousRoute = currentRoute;
+    currentRoute = nextRoute;
+
+    if (hasRouteChanged(previousRoute, nextRoute)) {
+      onChange(nextRoute, previousRoute);
+    }
+  };
+
+  const originalPushState = history.pushState;
+  const originalReplaceState = history.replaceState;
+
+  history.pushState = function pushState(...args) {
+    const result = originalPushState.apply(this, args);
+    check();
+    return result;
+  };
+  history.replaceState = function replaceState(...args) {
+    const result = originalReplaceState.apply(this, args);
+    check();
+    return result;
+  };
+
+  window.addEventListener('popstate', check);
+
+  const intervalId = pollInterval > 0 ? setInterval(check, pollInterval) : null;
+
+  return function stop() {
+    history.pushState = originalPushState;
+    history.replaceState = originalReplaceState;
+    window.removeEventListener('popstate', check);
+    if (intervalId !== null) {
+      clearInterval(intervalId);
+    }
+  };
+}
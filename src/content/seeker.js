@@ -0,0 +1,182 @@
+/**
+ * Lazy-load aware source seeking.
+ * Long conversations keep only part of the thread in the DOM. The seeker scrolls the
+ * conversation toward the snippet's stored position one step at a time, waits for newly
+ * rendered messages, and retries navigation after each step until the anchor resolves,
+ * the budget runs out or the seek is canceled.
+ */
+
+import { navigateToSource } from './navigation.js';
+
+const MESSAGE_SELECTOR = '[data-message-id], [data-message-author-role]';
+// Share of the viewport scrolled per step, so consecutive views overlap
+const STEP_RATIO = 0.8;
+
+/**
+ * Default seek budget.
+ */
+export const DEFAULT_SEEK_OPTIONS = {
+  maxSteps: 40,
+  timeout: 20000, // ms
+  settleMs: 600 // Max wait for messages to render after each scroll
+};
+
+/**
+ * Gets the relative position (0 = first message, 1 = last) of a snippet's message.
+ * @param {Object} anchor - Snippet anchor
+ * @returns {number|null} Relative position or null if unknown
+ */
+export function getRelativeMessagePosition(anchor) {
+  const ordinal = anchor?.messageOrdinal;
+  const count = anchor?.messageCount;
+  if (!Number.isInteger(ordinal) || !Number.isInteger(count) || count < 1) {
+    return null;
+  }
+  return count === 1 ? 1 : Math.min(1, Math.max(0, ordinal / (count - 1)));
+}
+
+/**
+ * Finds the element that scrolls the conversation.
+ * @returns {HTMLElement} Scroll container (the document scroller if no inner one is found)
+ */
+export function findScrollContainer() {
+  const message = document.querySelector(MESSAGE_SELECTOR);
+  for (let element = message?.parentElement; element && element !== document.body; element = element.parentElement) {
+    const overflowY = window.getComputedStyle(element).overflowY;
+    if ((overflowY === 'auto' || overflowY === 'scroll') && element.scrollHeight > element.clientHeight) {
+      return element;
+    }
+  }
+  return document.scrollingElement || document.documentElement;
+}
+
+/**
+ * Computes the next scroll position of a seek.
+ * Phases: 'approach' moves toward the target position; 'up' then sweeps toward older
+ * messages (which lazy-load at the top); 'down' finally sweeps from the target to the end.
+ * @param {Object} params
+ * @param {number} params.scrollTop - Current scroll position
+ * @param {number} params.maxScroll - Maximum scroll position
+ * @param {number} params.viewport - Visible height
+ * @param {number} params.target - Target scroll position
+ * @param {string} params.phase - Current phase
+ * @returns {{scrollTop: number, phase: string}|null} Next position, or null when the sweep is exhausted
+ */
+export function nextSeekPosition({ scrollTop, maxScroll, viewport, target, phase }) {
+  const stride = Math.max(1, viewport * STEP_RATIO);
+
+  if (phase === 'approach') {
+    if (Math.abs(target - scrollTop) <= 1) {
+      return nextSeekPosition({ scrollTop, maxScroll, viewport, target, phase: 'up' });
+    }
+    const next = target > scrollTop ? Math.min(target, scrollTop + stride) : Math.max(target, scrollTop - stride);
+    return { scrollTop: next, phase };
+  }
+
+  if (phase === 'up') {
+    if (scrollTop > 0) {
+      return { scrollTop: Math.max(0, scrollTop - stride), phase };
+    }
+    // Nothing more loaded at the top: continue below the target
+    const next = Math.min(maxScroll, target + stride);
+    return next > target ? { scrollTop: next, phase: 'down' } : null;
+  }
+
+  if (scrollTop >= maxScroll) {
+    return null;
+  }
+  return { scrollTop: Math.min(maxScroll, scrollTop + stride), phase };
+}
+
+/**
+ * Waits until new messages render or the settle time passes.
+ * @param {number} settleMs - Maximum wait
+ * @param {Function} onWake - Receives a function that ends the wait early (used by cancel)
+ * @returns {Promise<void>}
+ */
+function waitForMessages(settleMs, onWake) {
+  return new Promise((resolve) => {
+    let timeoutId = null;
+    const observer = new MutationObserver((mutations) => {
+      const rendered = mutations.some(mutation => Array.from(mutation.addedNodes).some(node =>
+        node.nodeType === Node.ELEMENT_NODE && (node.matches(MESSAGE_SELECTOR) || node.querySelector(MESSAGE_SELECTOR))
+      ));
+      if (rendered) done();
+    });
+    const done = () => {
+      observer.disconnect();
+      clearTimeout(timeoutId);
+      resolve();
+    };
+
+    observer.observe(document.body, { childList: true, subtree: true });
+    timeoutId = setTimeout(done, settleMs);
+    onWake(done);
+  });
+}
+
+/**
+ * Scrolls a lazy-loaded conversation until a snippet's source renders, then highlights it.
+ * A seek that doesn't find it scrolls back to where the user was reading.
+ * @param {Object} snippet - Snippet object with anchor
+ * @param {Object} options - Seek options (see DEFAULT_SEEK_OPTIONS)
+ * @param {Function} options.onProgress - Called with {step, maxSteps} after each scroll (optional)
+ * @returns {{promise: Promise<Object>, cancel: Function}} Seek whose promise resolves to a navigation
+ *   result ({canceled: true} if canceled) and a cancel function
+ */
+export function seekSource(snippet, options = {}) {
+  const { maxSteps, timeout, settleMs } = { ...DEFAULT_SEEK_OPTIONS, ...options };
+  const { onProgress } = options;
+  let canceled = false;
+  let wake = null;
+
+  const cancel = () => {
+    canceled = true;
+    if (wake) wake();
+  };
+
+  const canceledResult = { success: false, canceled: true, reason: 'Search canceled' };
+
+  const run = async () => {
+    const container = findScrollContainer();
+    const startScrollTop = container.scrollTop;
+    const relative = getRelativeMessagePosition(snippet?.anchor);
+    const deadline = Date.now() + timeout;
+    let phase = relative === null ? 'up' : 'approach';
+
+    for (let step = 1; step <= maxSteps && Date.now() < deadline; step++) {
+      if (canceled) return canceledResult;
+
+      const maxScroll = Math.max(0, container.scrollHeight - container.clientHeight);
+      const next = nextSeekPosition({
+        scrollTop: container.scrollTop,
+        maxScroll,
+        viewport: container.clientHeight,
+        target: relative === null ? 0 : relative * maxScroll,
+        phase
+      });
+      if (!next) break;
+
+      phase = next.phase;
+      container.scrollTop = next.scrollTop;
+      if (onProgress) onProgress({ step, maxSteps });
+
+      await waitForMessages(settleMs, (done) => {
+        wake = done;
+      });
+      wake = null;
+      if (canceled) return canceledResult;
+
+      const result = navigateToSource(snippet);
+      if (result.success) return result;
+    }
+
+    container.scrollTop = startScrollTop;
+    return {
+      success: false,
+      reason: 'Scrolled through the conversation but could not find the source message. It may have been deleted.'
+    };
+  };
+
+  return { promise: run(), cancel };
+}
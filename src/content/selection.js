@@ -4,9 +4,14 @@
 
 import { buildAnchor, findSelectionOffsets } from '../shared/anchor.js';
 import { getProjectIdFromUrl, getConversationIdFromUrl } from '../shared/urlIds.js';
+import { extractRichContent } from './richText.js';
 
 const MAX_SELECTION_SIZE = 10000; // 10k chars limit
 const MIN_SELECTION_LENGTH = 3; // Minimum characters to save a snippet
+const MESSAGE_SELECTOR = '[data-message-id], [data-message-author-role]';
+// Page titles that don't name the conversation
+const GENERIC_TITLES = ['chatgpt', 'new chat'];
+const TITLE_SUFFIX_PATTERN = /\s+[-|–]\s+ChatGPT$/;
 
 /**
  * Gets the conversation ID from the current URL.
@@ -84,6 +89,104 @@ export function getMessageText(messageBlock) {
   return text.trim();
 }
 
+/**
+ * Gets the conversation's rendered messages in page order.
+ * Outermost message elements only: ChatGPT nests data-message-id inside role containers.
+ * @returns {Array<HTMLElement>} Message elements
+ */
+function getMessageBlocks() {
+  return Array.from(document.querySelectorAll(MESSAGE_SELECTOR))
+    .filter(block => !block.parentElement?.closest(MESSAGE_SELECTOR));
+}
+
+/**
+ * Gets the position of a message block among the conversation's rendered messages.
+ * @param {HTMLElement} messageBlock - Message container element
+ * @returns {{ordinal: number, count: number}|null} Zero-based ordinal and message count, or null
+ */
+export function getMessagePosition(messageBlock) {
+  if (!messageBlock) return null;
+
+  const blocks = getMessageBlocks();
+  const ordinal = blocks.findIndex(block => block === messageBlock || block.contains(messageBlock));
+  return ordinal === -1 ? null : { ordinal, count: blocks.length };
+}
+
+/**
+ * Reads an attribute from a message block, its ancestors or its descendants
+ * (ChatGPT nests role, ID and model attributes at different levels).
+ * @param {HTMLElement} messageBlock - Message container element
+ * @param {string} name - Attribute name
+ * @returns {string|null} Attribute value or null
+ */
+function getMessageAttribute(messageBlock, name) {
+  if (!messageBlock) return null;
+  const element = messageBlock.closest?.(`[${name}]`) || messageBlock.querySelector?.(`[${name}]`);
+  return element?.getAttribute(name) || null;
+}
+
+/**
+ * Gets who wrote a message.
+ * @param {HTMLElement} messageBlock - Message container element
+ * @returns {string|null} 'user', 'assistant' (or another role ChatGPT uses), or null
+ */
+export function getMessageRole(messageBlock) {
+  const role = getMessageAttribute(messageBlock, 'data-message-author-role');
+  return role ? role.toLowerCase() : null;
+}
+
+/**
+ * Gets the slug of the model that wrote a message, where the page shows it.
+ * @param {HTMLElement} messageBlock - Message container element
+ * @returns {string|null} Model slug (e.g. "gpt-4o") or null
+ */
+export function getMessageModel(messageBlock) {
+  return getMessageAttribute(messageBlock, 'data-message-model-slug');
+}
+
+/**
+ * Gets the text of the first sidebar link whose URL passes a test.
+ * @param {Function} matches - (pathname) => boolean
+ * @returns {string|null} Link text or null
+ */
+function getSidebarLinkText(matches) {
+  const link = Array.from(document.querySelectorAll('nav a[href]')).find((anchor) => {
+    try {
+      return matches(decodeURIComponent(new URL(anchor.getAttribute('href'), window.location.href).pathname)) && anchor.textContent.trim();
+    } catch (error) {
+      return false;
+    }
+  });
+  return link ? link.textContent.trim() : null;
+}
+
+/**
+ * Gets the title of a conversation from its sidebar link, or from the page title
+ * for the open conversation.
+ * @param {string|null} conversationId - Conversation ID (default: the open one)
+ * @returns {string|null} Title, or null while the conversation has no title yet
+ */
+export function getConversationTitle(conversationId = getConversationId()) {
+  if (!conversationId) return null;
+  const linkTitle = getSidebarLinkText(pathname => pathname.endsWith(`/c/${conversationId}`));
+  if (linkTitle) return linkTitle;
+
+  if (conversationId !== getConversationId()) return null;
+  const pageTitle = (document.title || '').replace(TITLE_SUFFIX_PATTERN, '').trim();
+  return pageTitle && !GENERIC_TITLES.includes(pageTitle.toLowerCase()) ? pageTitle : null;
+}
+
+/**
+ * Gets the name of a project from its sidebar link.
+ * @param {string|null} projectId - Project ID
+ * @returns {string|null} Project name or null
+ */
+export function getProjectName(projectId) {
+  if (!projectId) return null;
+  const prefix = `/g/${projectId}`;
+  return getSidebarLinkText(pathname => (pathname === prefix || pathname.startsWith(`${prefix}/`)) && !pathname.includes('/c/'));
+}
+
 /**
  * Checks if a selection is inside the extension UI.
  * @param {Selection} selection - DOM Selection object
@@ -112,6 +215,26 @@ export function isSelectionInExtensionUI(selection) {
   return false;
 }
 
+/**
+ * Checks if a node is inside an editable field (input, textarea, contenteditable).
+ * ChatGPT's prompt box is a contenteditable element.
+ * @param {Node} node - DOM node (usually an event target)
+ * @returns {boolean} True if the node is editable
+ */
+export function isEditableTarget(node) {
+  const element = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+  if (!element) return false;
+  
+  const tagName = element.tagName;
+  if (tagName === 'TEXTAREA' || tagName === 'SELECT') return true;
+  if (tagName === 'INPUT') {
+    const nonTextTypes = ['button', 'checkbox', 'radio', 'submit', 'reset', 'file', 'range', 'color'];
+    return !nonTextTypes.includes((element.type || 'text').toLowerCase());
+  }
+  
+  return Boolean(element.closest?.('[contenteditable]:not([contenteditable="false"])'));
+}
+
 /**
  * Gets the selected text from the current selection.
  * @returns {string} Selected text or empty string
@@ -125,6 +248,10 @@ export function getSelectionText() {
 
 /**
  * Builds a snippet object from the current selection.
+ * Selections across messages get segments (see shared/segments.js).
+ * Besides the snippet's own fields (role, model, messageIndex), it carries the
+ * conversationTitle and projectName seen on the page, which callers keep in the
+ * per-conversation metadata (see upsertConversation in storage.js).
  * @returns {Object|null} Snippet object or null if creation fails
  */
 export function buildSnippetFromSelection() {
@@ -156,15 +283,53 @@ export function buildSnippetFromSelection() {
   const startNode = range.startContainer;
   const messageBlock = findMessageBlock(startNode);
   
+  // Keep code blocks, lists, tables, links and math as Markdown next to the plain text
+  const rich = truncated ? { markdown: null, html: null } : extractRichContent(range);
+  
+  const projectId = getProjectIdFromUrl(window.location.href);
+  
+  // A selection across messages (e.g. a question and its answer) keeps one segment per message
+  const parts = getSelectedMessageParts(range);
+  if (parts.length > 1) {
+    const conversationId = getConversationId();
+    const segments = buildSegments(parts, conversationId, truncated);
+    const [first] = segments;
+    return {
+      id: generateSnippetId(),
+      text: finalText,
+      markdown: rich.markdown,
+      html: rich.html,
+      conversationId,
+      projectId,
+      sourceUrl: window.location.href,
+      anchor: first.anchor,
+      role: first.role,
+      model: first.model,
+      messageIndex: first.messageIndex,
+      segments,
+      conversationTitle: getConversationTitle(conversationId),
+      projectName: getProjectName(projectId),
+      createdAt: Date.now(),
+      truncated
+    };
+  }
+  
   if (!messageBlock) {
     // Couldn't find message block - still create snippet but without anchor
     return {
       id: generateSnippetId(),
       text: finalText,
+      markdown: rich.markdown,
+      html: rich.html,
       conversationId: getConversationId(),
-      projectId: getProjectIdFromUrl(window.location.href),
+      projectId,
       sourceUrl: window.location.href,
       anchor: null,
+      role: null,
+      model: null,
+      messageIndex: null,
+      conversationTitle: getConversationTitle(),
+      projectName: getProjectName(projectId),
       createdAt: Date.now(),
       truncated
     };
@@ -175,16 +340,19 @@ export function buildSnippetFromSelection() {
   const messageText = getMessageText(messageBlock);
   const conversationId = getConversationId();
   
-  // Find selection offsets within message text
-  const offsets = findSelectionOffsets(messageText, finalText);
+  // Find selection offsets within message text (near where the selection starts, if the text repeats)
+  const offsets = findSelectionOffsets(messageText, finalText, getSelectionStartHint(messageBlock, range));
   const selectionStart = offsets?.start ?? 0;
   const selectionEnd = offsets?.end ?? finalText.length;
   
   // Build anchor
+  const position = getMessagePosition(messageBlock);
   const anchor = buildAnchor({
     conversationId,
     messageId,
     messageText,
+    messageOrdinal: position?.ordinal,
+    messageCount: position?.count,
     selectionText: finalText,
     selectionStart,
     selectionEnd
@@ -193,15 +361,97 @@ export function buildSnippetFromSelection() {
   return {
     id: generateSnippetId(),
     text: finalText,
+    markdown: rich.markdown,
+    html: rich.html,
     conversationId,
-    projectId: getProjectIdFromUrl(window.location.href),
+    projectId,
     sourceUrl: window.location.href,
     anchor,
+    role: getMessageRole(messageBlock),
+    model: getMessageModel(messageBlock),
+    messageIndex: position ? position.ordinal : null,
+    conversationTitle: getConversationTitle(conversationId),
+    projectName: getProjectName(projectId),
     createdAt: Date.now(),
     truncated
   };
 }
 
+/**
+ * Splits a selection into the parts inside each message it covers.
+ * @param {Range} range - Selected range
+ * @returns {Array<{block: HTMLElement, range: Range}>} Messages in page order with their
+ *   part of the selection; messages the selection only touches are left out
+ */
+function getSelectedMessageParts(range) {
+  return getMessageBlocks()
+    .filter(block => range.intersectsNode(block))
+    .map((block) => {
+      const part = range.cloneRange();
+      if (!block.contains(range.startContainer)) part.setStart(block, 0);
+      if (!block.contains(range.endContainer)) part.setEnd(block, block.childNodes.length);
+      return { block, range: part };
+    })
+    .filter(({ range: part }) => part.toString().trim());
+}
+
+/**
+ * Builds the segments of a selection across messages, each anchored in its message.
+ * Truncated selections keep segments up to the size limit.
+ * @param {Array<{block: HTMLElement, range: Range}>} parts - From getSelectedMessageParts
+ * @param {string|null} conversationId - Conversation ID
+ * @param {boolean} truncated - Whether the selection was truncated
+ * @returns {Array<{text: string, markdown: string|null, anchor: Object, role: string|null, model: string|null, messageIndex: number|null}>} Segments
+ */
+function buildSegments(parts, conversationId, truncated) {
+  let remaining = MAX_SELECTION_SIZE;
+  const segments = [];
+  parts.forEach(({ block, range }) => {
+    if (remaining <= 0) return;
+    const text = range.toString().trim().substring(0, remaining);
+    remaining -= text.length;
+    
+    const messageText = getMessageText(block);
+    const offsets = findSelectionOffsets(messageText, text, getSelectionStartHint(block, range));
+    const position = getMessagePosition(block);
+    segments.push({
+      text,
+      markdown: truncated ? null : extractRichContent(range).markdown,
+      anchor: buildAnchor({
+        conversationId,
+        messageId: getMessageAttribute(block, 'data-message-id'),
+        messageText,
+        messageOrdinal: position?.ordinal,
+        messageCount: position?.count,
+        selectionText: text,
+        selectionStart: offsets?.start ?? 0,
+        selectionEnd: offsets?.end ?? text.length
+      }),
+      role: getMessageRole(block),
+      model: getMessageModel(block),
+      messageIndex: position ? position.ordinal : null
+    });
+  });
+  return segments;
+}
+
+/**
+ * Estimates where a selection starts within its message's normalized text.
+ * @param {HTMLElement} messageBlock - Message container element
+ * @param {Range} range - Selected range
+ * @returns {number|null} Approximate start offset or null
+ */
+function getSelectionStartHint(messageBlock, range) {
+  try {
+    const before = document.createRange();
+    before.setStart(messageBlock, 0);
+    before.setEnd(range.startContainer, range.startOffset);
+    return before.toString().replace(/\s+/g, ' ').trimStart().length;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Generates a unique ID for a snippet.
  * @returns {string} Unique snippet ID
@@ -0,0 +1,212 @@
+/**
+ * Keyboard shortcut parsing and matching for the snippet panel and capture.
+ */
+
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+const KEY_ALIASES = {
+  ' ': 'Space',
+  Esc: 'Escape',
+  Up: 'ArrowUp',
+  Down: 'ArrowDown',
+  Left: 'ArrowLeft',
+  Right: 'ArrowRight',
+  Del: 'Delete',
+  Control: 'Ctrl',
+  Cmd: 'Meta',
+  Command: 'Meta',
+  Option: 'Alt'
+};
+
+/**
+ * Actions that can be bound to a shortcut, in display order.
+ */
+export const SHORTCUT_ACTIONS = [
+  { id: 'togglePanel', label: 'Toggle panel' },
+  { id: 'saveSelection', label: 'Save current selection' },
+  { id: 'focusSearch', label: 'Focus search' },
+  { id: 'nextSnippet', label: 'Next snippet' },
+  { id: 'previousSnippet', label: 'Previous snippet' },
+  { id: 'openSource', label: 'Open focused snippet source' },
+  { id: 'deleteSnippet', label: 'Delete focused snippet' },
+  { id: 'copySnippet', label: 'Copy focused snippet' },
+  { id: 'undo', label: 'Undo' },
+  { id: 'redo', label: 'Redo' },
+  { id: 'saveColor1', label: 'Save selection with color 1' },
+  { id: 'saveColor2', label: 'Save selection with color 2' },
+  { id: 'saveColor3', label: 'Save selection with color 3' },
+  { id: 'saveColor4', label: 'Save selection with color 4' },
+  { id: 'saveColor5', label: 'Save selection with color 5' }
+];
+
+/**
+ * Default shortcut map (action -> shortcut string).
+ */
+export const DEFAULT_SHORTCUTS = {
+  togglePanel: 'Alt+Shift+P',
+  saveSelection: 'Alt+Shift+S',
+  focusSearch: 'Alt+Shift+F',
+  nextSnippet: 'Alt+Shift+J',
+  previousSnippet: 'Alt+Shift+K',
+  openSource: 'Alt+Shift+O',
+  deleteSnippet: 'Alt+Shift+D',
+  copySnippet: 'Alt+Shift+C',
+  undo: 'Alt+Shift+Z',
+  redo: 'Alt+Shift+Y',
+  saveColor1: 'Alt+Shift+1',
+  saveColor2: 'Alt+Shift+2',
+  saveColor3: 'Alt+Shift+3',
+  saveColor4: 'Alt+Shift+4',
+  saveColor5: 'Alt+Shift+5'
+};
+
+/**
+ * Normalizes a key name (single letters upper-cased, aliases resolved).
+ * @param {string} key - Key name
+ * @returns {string} Normalized key name
+ */
+function normalizeKey(key) {
+  const aliased = KEY_ALIASES[key] || key;
+  return aliased.length === 1 ? aliased.toUpperCase() : aliased;
+}
+
+/**
+ * Resolves a shortcut part to a modifier name, case-insensitively.
+ * @param {string} part - Shortcut part
+ * @returns {string|null} Modifier name or null
+ */
+function toModifier(part) {
+  const lower = part.toLowerCase();
+  const aliasMatch = Object.keys(KEY_ALIASES).find(alias => alias.toLowerCase() === lower);
+  const candidate = aliasMatch ? KEY_ALIASES[aliasMatch] : part;
+  return MODIFIERS.find(mod => mod.toLowerCase() === candidate.toLowerCase()) || null;
+}
+
+/**
+ * Normalizes a shortcut string to canonical form ("Ctrl+Alt+Shift+Meta+Key").
+ * @param {string} shortcut - Shortcut string, e.g. "shift+alt+s"
+ * @returns {string} Canonical shortcut or empty string if invalid
+ */
+export function normalizeShortcut(shortcut) {
+  if (!shortcut || typeof shortcut !== 'string') return '';
+
+  // Split on "+" but keep a trailing "+" key ("Ctrl++")
+  const parts = shortcut.trim().split(/\+(?!$)/).map(part => part.trim()).filter(Boolean);
+  const modifiers = new Set();
+  let key = '';
+
+  parts.forEach((part) => {
+    const modifier = toModifier(part);
+    if (modifier) {
+      modifiers.add(modifier);
+    } else {
+      key = normalizeKey(part);
+    }
+  });
+
+  if (!key) return '';
+  return [...MODIFIERS.filter(mod => modifiers.has(mod)), key].join('+');
+}
+
+/**
+ * Converts a keyboard event to a canonical shortcut string.
+ * Letters and digits use the physical key (e.code), so Alt+letter works on macOS
+ * where e.key is a special character.
+ * @param {KeyboardEvent} event - Keyboard event
+ * @returns {string|null} Canonical shortcut or null for modifier-only presses
+ */
+export function eventToShortcut(event) {
+  if (!event || !event.key) return null;
+  if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) return null;
+
+  let key = event.key;
+  const code = event.code || '';
+  if (/^Key[A-Z]$/.test(code)) {
+    key = code.substring(3);
+  } else if (/^Digit[0-9]$/.test(code)) {
+    key = code.substring(5);
+  }
+
+  const parts = [];
+  if (event.ctrlKey) parts.push('Ctrl');
+  if (event.altKey) parts.push('Alt');
+  if (event.shiftKey) parts.push('Shift');
+  if (event.metaKey) parts.push('Meta');
+  parts.push(normalizeKey(key));
+  return parts.join('+');
+}
+
+/**
+ * Checks whether a shortcut uses Ctrl, Alt or Meta (safe to handle inside text fields).
+ * @param {string} shortcut - Canonical shortcut
+ * @returns {boolean} True if the shortcut has a non-Shift modifier
+ */
+export function hasCommandModifier(shortcut) {
+  return /(^|\+)(Ctrl|Alt|Meta)\+/.test(shortcut || '');
+}
+
+/**
+ * Finds the action bound to a shortcut.
+ * @param {Object} shortcuts - Shortcut map (action -> shortcut)
+ * @param {string} shortcut - Canonical shortcut from eventToShortcut()
+ * @returns {string|null} Action ID or null
+ */
+export function findShortcutAction(shortcuts, shortcut) {
+  if (!shortcut || !shortcuts) return null;
+  const normalized = normalizeShortcut(shortcut);
+  const match = Object.entries(shortcuts).find(([, bound]) => normalizeShortcut(bound) === normalized);
+  return match ? match[0] : null;
+}
+
+/**
+ * Assigns a shortcut to an action, unbinding any other action that used it.
+ * @param {Object} shortcuts - Shortcut map (action -> shortcut)
+ * @param {string} action - Action ID
+ * @param {string} shortcut - Shortcut string, or empty string to unbind
+ * @returns {Object} New shortcut map
+ */
+export function assignShortcut(shortcuts, action, shortcut) {
+  const normalized = normalizeShortcut(shortcut);
+  const updated = { ...shortcuts };
+
+  if (normalized) {
+    Object.keys(updated).forEach((otherAction) => {
+      if (otherAction !== action && normalizeShortcut(updated[otherAction]) === normalized) {
+        updated[otherAction] = '';
+      }
+    });
+  }
+
+  updated[action] = normalized;
+  return updated;
+}
+
+/**
+ * Merges saved shortcuts with defaults, so newly added actions get a binding.
+ * @param {Object|undefined} saved - Shortcut map from settings
+ * @returns {Object} Complete shortcut map
+ */
+export function resolveShortcuts(saved) {
+  const resolved = { ...DEFAULT_SHORTCUTS };
+  if (saved && typeof saved === 'object') {
+    Object.keys(DEFAULT_SHORTCUTS).forEach((action) => {
+      if (typeof saved[action] === 'string') {
+        resolved[action] = normalizeShortcut(saved[action]);
+      }
+    });
+  }
+  return resolved;
+}
+
+/**
+ * Formats a shortcut for display.
+ * @param {string} shortcut - Canonical shortcut
+ * @returns {string} Display string (e.g. "Alt + Shift + S") or "Not set"
+ */
+export function formatShortcut(shortcut) {
+  if (!shortcut) return 'Not set';
+  return shortcut
+    .split(/\+(?!$)/)
+    .map(part => part.replace(/^Arrow/, ''))
+    .join(' + ');
+}
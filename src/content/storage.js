@@ -1,24 +1,37 @@
 /**
  * Storage adapter for chrome.storage.local
- * Schema v2: Normalized structure with snippetsById + indexes
+ * Schema v3: Normalized structure with snippetsById + indexes, trash and tombstones.
+ * Every snippet carries updatedAt, revision and deletedAt (null while live).
  */
 
 const STORAGE_KEY = 'snippets';
-const SCHEMA_VERSION = 2;
+const BACKUP_KEY_PREFIX = 'snippets_backup_v';
+export const SCHEMA_VERSION = 3;
+export const READ_ONLY_MESSAGE = 'Snippets were saved by a newer version of the extension. Update it to make changes.';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOMBSTONE_TTL_MS = 30 * DAY_MS; // 30 days
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
 
 /**
- * Creates an empty v2 storage structure.
- * @returns {Object} Empty v2 storage structure
+ * Creates an empty storage structure.
+ * @returns {Object} Empty storage structure
  */
-function createEmptyStorage() {
+export function createEmptyStorage() {
   return {
     schemaVersion: SCHEMA_VERSION,
     snippetsById: {},
     index: {
-      byThread: {},
-      byProject: {},
+      byThread: createIndexMap(),
+      byProject: createIndexMap(),
+      byTag: createIndexMap(),
       byTime: []
     },
+    // Soft-deleted snippets (ID -> snippet with deletedAt), restorable until purged
+    trash: {},
+    // Permanently deleted snippet IDs -> purgedAt, so other tabs don't resurrect them
+    tombstones: {},
+    // Conversation ID -> {title, projectId, projectName, updatedAt}, shared by its snippets
+    conversations: {},
     meta: {
       lastUpdatedAt: Date.now(),
       totalCount: 0
@@ -26,15 +39,115 @@ function createEmptyStorage() {
   };
 }
 
+/**
+ * Gets the version timestamp of a snippet for last-writer-wins comparison.
+ * @param {Object} snippet - Snippet object
+ * @returns {number} updatedAt, falling back to createdAt
+ */
+function getSnippetVersion(snippet) {
+  return snippet?.updatedAt || snippet?.createdAt || 0;
+}
+
+/**
+ * Gets a snippet's tags, without duplicates or non-string entries.
+ * @param {Object} snippet - Snippet object (optional)
+ * @returns {Array<string>} Tags
+ */
+function getSnippetTags(snippet) {
+  if (!Array.isArray(snippet?.tags)) return [];
+  return [...new Set(snippet.tags.filter(tag => typeof tag === 'string' && tag))];
+}
+
+/**
+ * Copies an index map into an object without a prototype, so a key such as a
+ * "constructor" or "toString" tag never resolves to an Object.prototype member.
+ * @param {Object} buckets - Map of key to snippet IDs (optional)
+ * @returns {Object} Prototype-free copy
+ */
+function createIndexMap(buckets) {
+  return Object.assign(Object.create(null), buckets);
+}
+
+/**
+ * Adds a snippet ID to an index bucket (copy-on-write).
+ * @param {Object} buckets - Map of key to snippet IDs (mutated)
+ * @param {string} key - Bucket key
+ * @param {string} id - Snippet ID
+ */
+function addToBucket(buckets, key, id) {
+  const ids = buckets[key] || [];
+  if (!ids.includes(id)) {
+    buckets[key] = [...ids, id];
+  }
+}
+
+/**
+ * Removes a snippet ID from an index bucket (copy-on-write), dropping empty buckets.
+ * @param {Object} buckets - Map of key to snippet IDs (mutated)
+ * @param {string} key - Bucket key
+ * @param {string} id - Snippet ID
+ */
+function removeFromBucket(buckets, key, id) {
+  if (!buckets[key]) return;
+  const ids = buckets[key].filter(sid => sid !== id);
+  if (ids.length === 0) {
+    delete buckets[key];
+  } else {
+    buckets[key] = ids;
+  }
+}
+
+/**
+ * Builds byThread, byProject, byTag and byTime indexes from snippetsById.
+ * @param {Object} snippetsById - Map of snippet ID to snippet
+ * @returns {Object} Index structure
+ */
+export function buildIndexes(snippetsById) {
+  const byThread = createIndexMap();
+  const byProject = createIndexMap();
+  const byTag = createIndexMap();
+  const snippets = Object.values(snippetsById);
+
+  snippets.forEach((snippet) => {
+    const conversationId = snippet.conversationId || null;
+    if (conversationId !== null) {
+      if (!byThread[conversationId]) {
+        byThread[conversationId] = [];
+      }
+      byThread[conversationId].push(snippet.id);
+    }
+
+    const projectId = snippet.projectId || null;
+    if (projectId !== null) {
+      if (!byProject[projectId]) {
+        byProject[projectId] = [];
+      }
+      byProject[projectId].push(snippet.id);
+    }
+
+    getSnippetTags(snippet).forEach((tag) => {
+      if (!byTag[tag]) {
+        byTag[tag] = [];
+      }
+      byTag[tag].push(snippet.id);
+    });
+  });
+
+  const byTime = snippets
+    .slice()
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+    .map(snippet => snippet.id);
+
+  return { byThread, byProject, byTag, byTime };
+}
+
 /**
  * Migrates v1 data structure to v2.
  * @param {Object} v1Data - v1 data structure
  * @returns {Object} v2 data structure
  */
 function migrateV1ToV2(v1Data) {
-  if (!v1Data || !Array.isArray(v1Data.items)) {
-    return createEmptyStorage();
-  }
+  const items = Array.isArray(v1Data?.items) ? v1Data.items : [];
 
   const snippetsById = {};
   const byThread = {};
@@ -42,7 +155,7 @@ function migrateV1ToV2(v1Data) {
   const byTime = [];
 
   // Process each snippet
-  v1Data.items.forEach((snippet) => {
+  items.forEach((snippet) => {
     if (!snippet || !snippet.id) {
       return; // Skip invalid snippets
     }
@@ -81,7 +194,7 @@ function migrateV1ToV2(v1Data) {
   });
 
   return {
-    schemaVersion: SCHEMA_VERSION,
+    schemaVersion: 2,
     snippetsById,
     index: {
       byThread,
@@ -95,10 +208,115 @@ function migrateV1ToV2(v1Data) {
   };
 }
 
+/**
+ * Migrates v2 data structure to v3.
+ * Adds updatedAt, revision and deletedAt to every snippet and rebuilds the indexes.
+ * @param {Object} v2Data - v2 data structure
+ * @returns {Object} v3 data structure
+ */
+function migrateV2ToV3(v2Data) {
+  const stamp = (snippet, deletedAt) => ({
+    ...snippet,
+    updatedAt: snippet.updatedAt || snippet.createdAt || 0,
+    revision: snippet.revision || 1,
+    deletedAt
+  });
+
+  const snippetsById = {};
+  Object.values(v2Data?.snippetsById || {}).forEach((snippet) => {
+    if (snippet && snippet.id) {
+      snippetsById[snippet.id] = stamp(snippet, null);
+    }
+  });
+
+  const trash = {};
+  Object.values(v2Data?.trash || {}).forEach((snippet) => {
+    if (snippet && snippet.id) {
+      trash[snippet.id] = stamp(snippet, snippet.deletedAt || Date.now());
+    }
+  });
+
+  return {
+    schemaVersion: 3,
+    snippetsById,
+    index: buildIndexes(snippetsById),
+    trash,
+    tombstones: { ...v2Data?.tombstones },
+    meta: {
+      ...v2Data?.meta,
+      lastUpdatedAt: v2Data?.meta?.lastUpdatedAt || Date.now(),
+      totalCount: Object.keys(snippetsById).length
+    }
+  };
+}
+
+/**
+ * Registered migrations, applied in order until data reaches SCHEMA_VERSION.
+ * To change the schema, bump SCHEMA_VERSION and append a step here.
+ */
+export const MIGRATIONS = [
+  { from: 1, to: 2, migrate: migrateV1ToV2 },
+  { from: 2, to: 3, migrate: migrateV2ToV3 }
+];
+
+/**
+ * Migrates stored data to the current schema version.
+ * @param {Object} data - Stored data of any known version
+ * @returns {Object|null} Current-version data, or null if no migration path exists
+ */
+export function migrateStorage(data) {
+  let current = data;
+  while (current.schemaVersion !== SCHEMA_VERSION) {
+    const migration = MIGRATIONS.find(step => step.from === current.schemaVersion);
+    if (!migration) {
+      return null;
+    }
+    current = { ...migration.migrate(current), schemaVersion: migration.to };
+  }
+  return current;
+}
+
+/**
+ * Checks whether stored data was written by a newer build (or is otherwise unreadable).
+ * @param {Object} data - Stored data
+ * @returns {boolean} True if this build must not write over it
+ */
+function isUnsupportedVersion(data) {
+  if (data.schemaVersion === SCHEMA_VERSION) return false;
+  return !MIGRATIONS.some(step => step.from === data.schemaVersion);
+}
+
+/**
+ * Reads what this build understands from data saved by a newer version: live
+ * snippets shaped like ours and the conversation metadata. The result is flagged
+ * read-only so it is shown but never written over the newer data.
+ * @param {Object} data - Stored data of an unsupported version
+ * @returns {Object} Storage flagged readOnly
+ */
+function createReadOnlyStorage(data) {
+  const snippetsById = {};
+  Object.values(data.snippetsById && typeof data.snippetsById === 'object' ? data.snippetsById : {}).forEach((snippet) => {
+    if (snippet && typeof snippet.id === 'string' && typeof snippet.text === 'string' && !snippet.deletedAt) {
+      snippetsById[snippet.id] = snippet;
+    }
+  });
+  const empty = createEmptyStorage();
+  return {
+    ...empty,
+    snippetsById,
+    index: buildIndexes(snippetsById),
+    conversations: data.conversations && typeof data.conversations === 'object' ? { ...data.conversations } : {},
+    meta: { ...empty.meta, totalCount: Object.keys(snippetsById).length },
+    readOnly: true,
+    unsupportedSchemaVersion: data.schemaVersion
+  };
+}
+
 /**
  * Loads storage from chrome.storage.local.
- * Automatically migrates v1 to v2 if needed.
- * @returns {Promise<Object>} v2 storage structure
+ * Older versions are migrated (after backing up the original blob); newer or
+ * unknown versions are left untouched and the snippets they hold open read-only.
+ * @returns {Promise<Object>} Current-version storage structure
  */
 export async function loadStorage() {
   try {
@@ -109,14 +327,21 @@ export async function loadStorage() {
       return createEmptyStorage();
     }
 
-    // Handle v1 migration
-    if (data.schemaVersion === 1) {
-      console.log('Migrating snippets from v1 to v2...');
-      const migrated = migrateV1ToV2(data);
+    if (isUnsupportedVersion(data)) {
+      console.warn(`Unsupported schema version: ${data.schemaVersion}, opening read-only`);
+      return createReadOnlyStorage(data);
+    }
+
+    if (data.schemaVersion !== SCHEMA_VERSION) {
+      console.log(`Migrating snippets from v${data.schemaVersion} to v${SCHEMA_VERSION}...`);
+      const migrated = migrateStorage(data);
       
-      // Save migrated data
+      // Save migrated data together with a backup of the original
       try {
-        await chrome.storage.local.set({ [STORAGE_KEY]: migrated });
+        await chrome.storage.local.set({
+          [`${BACKUP_KEY_PREFIX}${data.schemaVersion}`]: data,
+          [STORAGE_KEY]: migrated
+        });
         console.log('Migration completed successfully');
       } catch (error) {
         console.error('Failed to save migrated data:', error);
@@ -126,23 +351,30 @@ export async function loadStorage() {
       return migrated;
     }
 
-    // Handle v2
-    if (data.schemaVersion === SCHEMA_VERSION) {
-      // Validate structure
-      if (!data.snippetsById || !data.index) {
-        console.warn('Invalid v2 structure, creating empty storage');
-        return createEmptyStorage();
-      }
-      // Ensure byProject index exists for backward compatibility
-      if (!data.index.byProject) {
-        data.index.byProject = {};
-      }
-      return data;
+    // Validate structure
+    if (!data.snippetsById || !data.index) {
+      console.warn(`Invalid v${SCHEMA_VERSION} structure, creating empty storage`);
+      return createEmptyStorage();
     }
-
-    // Unknown schema version
-    console.warn(`Unknown schema version: ${data.schemaVersion}, creating empty storage`);
-    return createEmptyStorage();
+    // Ensure optional areas exist
+    if (!data.index.byTag) {
+      // Libraries saved before the tag index existed
+      data.index.byTag = buildIndexes(data.snippetsById).byTag;
+    }
+    // Stored index maps come back as plain objects
+    data.index.byThread = createIndexMap(data.index.byThread);
+    data.index.byProject = createIndexMap(data.index.byProject);
+    data.index.byTag = createIndexMap(data.index.byTag);
+    if (!data.tombstones) {
+      data.tombstones = {};
+    }
+    if (!data.trash) {
+      data.trash = {};
+    }
+    if (!data.conversations) {
+      data.conversations = {};
+    }
+    return data;
   } catch (error) {
     console.error('Failed to load storage:', error);
     return createEmptyStorage();
@@ -151,11 +383,15 @@ export async function loadStorage() {
 
 /**
  * Saves storage to chrome.storage.local.
- * @param {Object} storage - v2 storage structure
+ * @param {Object} storage - Storage structure
  * @returns {Promise<void>}
- * @throws {Error} With user-friendly message if quota exceeded
+ * @throws {Error} With user-friendly message if quota exceeded or storage is read-only
  */
 export async function saveStorage(storage) {
+  if (storage.readOnly) {
+    throw new Error(READ_ONLY_MESSAGE);
+  }
+
   try {
     // Update meta
     storage.meta = {
@@ -190,7 +426,7 @@ export async function saveStorage(storage) {
 
 /**
  * Upserts a snippet (adds or updates).
- * @param {Object} storage - v2 storage structure
+ * @param {Object} storage - Storage structure
  * @param {Object} snippet - Snippet object with id, text, conversationId, createdAt, etc.
  * @returns {Object} Updated storage structure
  */
@@ -201,8 +437,9 @@ export function upsertSnippet(storage, snippet) {
 
   const snippetsById = { ...storage.snippetsById };
   const index = {
-    byThread: { ...storage.index.byThread },
-    byProject: { ...storage.index.byProject },
+    byThread: createIndexMap(storage.index.byThread),
+    byProject: createIndexMap(storage.index.byProject),
+    byTag: createIndexMap(storage.index.byTag),
     byTime: [...storage.index.byTime]
   };
 
@@ -217,8 +454,30 @@ export function upsertSnippet(storage, snippet) {
     snippet.createdAt = existingSnippet?.createdAt || Date.now();
   }
 
-  // Update snippetsById
-  snippetsById[snippet.id] = { ...snippet };
+  // Update snippetsById (updatedAt drives cross-tab last-writer-wins, revision counts edits)
+  const previousRevision = Math.max(
+    existingSnippet?.revision || 0,
+    storage.trash?.[snippet.id]?.revision || 0,
+    snippet.revision || 0
+  );
+  snippetsById[snippet.id] = {
+    ...snippet,
+    updatedAt: Date.now(),
+    revision: previousRevision + 1,
+    deletedAt: null
+  };
+
+  // A re-added snippet is no longer deleted
+  let tombstones = storage.tombstones;
+  if (tombstones && tombstones[snippet.id] !== undefined) {
+    tombstones = { ...tombstones };
+    delete tombstones[snippet.id];
+  }
+  let trash = storage.trash;
+  if (trash && trash[snippet.id]) {
+    trash = { ...trash };
+    delete trash[snippet.id];
+  }
 
   // Update byThread index if conversationId changed
   if (oldConversationId !== newConversationId) {
@@ -274,6 +533,12 @@ export function upsertSnippet(storage, snippet) {
     index.byProject[newProjectId].push(snippet.id);
   }
 
+  // Update byTag index for added and removed tags
+  const oldTags = getSnippetTags(existingSnippet);
+  const newTags = getSnippetTags(snippet);
+  oldTags.filter(tag => !newTags.includes(tag)).forEach(tag => removeFromBucket(index.byTag, tag, snippet.id));
+  newTags.forEach(tag => addToBucket(index.byTag, tag, snippet.id));
+
   // Update byTime index
   const timeIndex = index.byTime.indexOf(snippet.id);
   if (timeIndex !== -1) {
@@ -298,17 +563,30 @@ export function upsertSnippet(storage, snippet) {
   return {
     ...storage,
     snippetsById,
-    index
+    index,
+    trash,
+    tombstones
   };
 }
 
 /**
- * Removes a snippet by ID.
- * @param {Object} storage - v2 storage structure
+ * Builds the trash entry for a deleted snippet.
+ * @param {Object} snippet - Live snippet
+ * @param {number} deletedAt - Deletion time
+ * @returns {Object} Snippet with deletedAt set and revision bumped
+ */
+function trashEntry(snippet, deletedAt) {
+  return { ...snippet, deletedAt, revision: (snippet.revision || 0) + 1 };
+}
+
+/**
+ * Removes a snippet by ID, moving it to the trash.
+ * @param {Object} storage - Storage structure
  * @param {string} id - Snippet ID
+ * @param {number} deletedAt - Deletion time (optional)
  * @returns {Object} Updated storage structure
  */
-export function removeSnippet(storage, id) {
+export function removeSnippet(storage, id, deletedAt = Date.now()) {
   const snippet = storage.snippetsById[id];
   if (!snippet) {
     return storage; // Already removed
@@ -318,8 +596,9 @@ export function removeSnippet(storage, id) {
   delete snippetsById[id];
 
   const index = {
-    byThread: { ...storage.index.byThread },
-    byProject: { ...storage.index.byProject },
+    byThread: createIndexMap(storage.index.byThread),
+    byProject: createIndexMap(storage.index.byProject),
+    byTag: createIndexMap(storage.index.byTag),
     byTime: [...storage.index.byTime]
   };
 
@@ -341,19 +620,225 @@ export function removeSnippet(storage, id) {
     }
   }
 
+  // Remove from byTag index
+  getSnippetTags(snippet).forEach(tag => removeFromBucket(index.byTag, tag, id));
+
   // Remove from byTime index
   index.byTime = index.byTime.filter(sid => sid !== id);
 
   return {
     ...storage,
     snippetsById,
-    index
+    index,
+    trash: { ...storage.trash, [id]: trashEntry(snippet, deletedAt) }
   };
 }
 
+/**
+ * Restores a snippet from the trash.
+ * @param {Object} storage - Storage structure
+ * @param {string} id - Snippet ID
+ * @returns {Object} Updated storage structure
+ */
+export function restoreSnippet(storage, id) {
+  const trashed = storage.trash?.[id];
+  if (!trashed) {
+    return storage;
+  }
+
+  const snippet = { ...trashed };
+  delete snippet.deletedAt;
+  return upsertSnippet(storage, snippet);
+}
+
+/**
+ * Permanently deletes snippets from the trash, leaving tombstones for other tabs.
+ * @param {Object} storage - Storage structure
+ * @param {Array<string>} ids - Snippet IDs
+ * @param {number} purgedAt - Purge time (optional)
+ * @returns {Object} Updated storage structure
+ */
+export function purgeSnippets(storage, ids, purgedAt = Date.now()) {
+  const purgeIds = ids.filter(id => storage.trash?.[id]);
+  if (purgeIds.length === 0) {
+    return storage;
+  }
+
+  const trash = { ...storage.trash };
+  const tombstones = { ...storage.tombstones };
+  purgeIds.forEach((id) => {
+    delete trash[id];
+    tombstones[id] = purgedAt;
+  });
+
+  return { ...storage, trash, tombstones };
+}
+
+/**
+ * Permanently deletes everything in the trash.
+ * @param {Object} storage - Storage structure
+ * @param {number} purgedAt - Purge time (optional)
+ * @returns {Object} Updated storage structure
+ */
+export function emptyTrash(storage, purgedAt = Date.now()) {
+  return purgeSnippets(storage, Object.keys(storage.trash || {}), purgedAt);
+}
+
+/**
+ * Permanently deletes trashed snippets older than the retention period.
+ * @param {Object} storage - Storage structure
+ * @param {number} retentionDays - Days to keep trashed snippets
+ * @param {number} now - Current time (optional)
+ * @returns {Object} Updated storage structure (same object if nothing expired)
+ */
+export function purgeExpiredTrash(storage, retentionDays = DEFAULT_TRASH_RETENTION_DAYS, now = Date.now()) {
+  const cutoff = now - retentionDays * DAY_MS;
+  const expiredIds = Object.values(storage.trash || {})
+    .filter(snippet => (snippet.deletedAt || 0) < cutoff)
+    .map(snippet => snippet.id);
+  return purgeSnippets(storage, expiredIds, now);
+}
+
+/**
+ * Gets trashed snippets, most recently deleted first.
+ * @param {Object} storage - Storage structure
+ * @returns {Array} Trashed snippets (with deletedAt)
+ */
+export function getTrashedSnippets(storage) {
+  return Object.values(storage.trash || {}).sort((a, b) => (b.deletedAt || 0) - (a.deletedAt || 0));
+}
+
+/**
+ * Gets every tag in use with the number of live snippets carrying it.
+ * @param {Object} storage - Storage structure
+ * @returns {Array<{tag: string, count: number}>} Tags, most used first, then by name
+ */
+export function getTagCounts(storage) {
+  return Object.entries(storage.index.byTag || {})
+    .map(([tag, ids]) => ({ tag, count: ids.length }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Renames a tag on every live snippet carrying it.
+ * Renaming to a tag that already exists merges the two.
+ * @param {Object} storage - Storage structure
+ * @param {string} fromTag - Current tag
+ * @param {string} toTag - New tag
+ * @returns {Object} Updated storage structure (same object if nothing changed)
+ */
+export function renameTag(storage, fromTag, toTag) {
+  const ids = storage.index.byTag?.[fromTag] || [];
+  if (!toTag || fromTag === toTag || ids.length === 0) {
+    return storage;
+  }
+
+  return ids.reduce((updated, id) => {
+    const snippet = updated.snippetsById[id];
+    if (!snippet) return updated;
+    const tags = [...new Set(getSnippetTags(snippet).map(tag => (tag === fromTag ? toTag : tag)))];
+    return upsertSnippet(updated, { ...snippet, tags });
+  }, storage);
+}
+
+/**
+ * Merges several tags into one, rewriting every live snippet carrying any of them.
+ * @param {Object} storage - Storage structure
+ * @param {Array<string>} tags - Tags to merge
+ * @param {string} targetTag - Tag they become
+ * @returns {Object} Updated storage structure
+ */
+export function mergeTags(storage, tags, targetTag) {
+  return tags.reduce((updated, tag) => renameTag(updated, tag, targetTag), storage);
+}
+
+/**
+ * Records metadata of a conversation (copy-on-write). Empty values don't erase
+ * what is already known, e.g. a title the page no longer shows.
+ * @param {Object} storage - Storage structure
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} fields - Metadata {title, projectId, projectName}
+ * @param {number} updatedAt - Change time, for merging with other tabs (optional)
+ * @returns {Object} Updated storage structure, or the same one if nothing changed
+ */
+export function upsertConversation(storage, conversationId, fields, updatedAt = Date.now()) {
+  if (!conversationId) {
+    return storage;
+  }
+  const existing = storage.conversations?.[conversationId] || {};
+  const changes = {};
+  ['title', 'projectId', 'projectName'].forEach((key) => {
+    const value = typeof fields[key] === 'string' ? fields[key].trim() : '';
+    if (value && value !== existing[key]) {
+      changes[key] = value;
+    }
+  });
+  if (Object.keys(changes).length === 0) {
+    return storage;
+  }
+  return {
+    ...storage,
+    conversations: {
+      ...storage.conversations,
+      [conversationId]: { ...existing, ...changes, updatedAt }
+    }
+  };
+}
+
+/**
+ * Gets the recorded metadata of a conversation.
+ * @param {Object} storage - Storage structure
+ * @param {string|null} conversationId - Conversation ID
+ * @returns {Object|null} {title, projectId, projectName, updatedAt} or null
+ */
+export function getConversation(storage, conversationId) {
+  return (conversationId && storage.conversations?.[conversationId]) || null;
+}
+
+/**
+ * Gets the name of a project from the metadata of its conversations.
+ * @param {Object} storage - Storage structure
+ * @param {string|null} projectId - Project ID
+ * @returns {string|null} Most recently recorded name, or null
+ */
+export function findProjectName(storage, projectId) {
+  if (!projectId) {
+    return null;
+  }
+  const named = Object.values(storage.conversations || {})
+    .filter(conversation => conversation.projectId === projectId && conversation.projectName)
+    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+  return named.length > 0 ? named[0].projectName : null;
+}
+
+/**
+ * Merges conversation metadata per conversation; the newer record wins.
+ * @param {Object} local - Local conversations map
+ * @param {Object} remote - Remote conversations map
+ * @returns {{conversations: Object, localChanged: boolean, remoteChanged: boolean}}
+ */
+function mergeConversations(local = {}, remote = {}) {
+  const conversations = { ...local };
+  let localChanged = false;
+  let remoteChanged = false;
+  new Set([...Object.keys(local), ...Object.keys(remote)]).forEach((id) => {
+    const localEntry = local[id];
+    const remoteEntry = remote[id];
+    if (!remoteEntry) {
+      remoteChanged = true;
+    } else if (!localEntry || (remoteEntry.updatedAt || 0) > (localEntry.updatedAt || 0)) {
+      conversations[id] = remoteEntry;
+      localChanged = true;
+    } else if (JSON.stringify(localEntry) !== JSON.stringify(remoteEntry)) {
+      remoteChanged = true;
+    }
+  });
+  return { conversations, localChanged, remoteChanged };
+}
+
 /**
  * Clears all snippets for a specific thread.
- * @param {Object} storage - v2 storage structure
+ * @param {Object} storage - Storage structure
  * @param {string} conversationId - Conversation ID
  * @returns {Object} Updated storage structure
  */
@@ -373,11 +858,246 @@ export function clearThread(storage, conversationId) {
 
 /**
  * Clears all snippets.
- * @param {Object} storage - v2 storage structure
- * @returns {Object} Empty storage structure
+ * @param {Object} storage - Storage structure
+ * @returns {Object} Empty storage structure (cleared snippets moved to the trash)
  */
 export function clearAll(storage) {
-  return createEmptyStorage();
+  const cleared = createEmptyStorage();
+  const deletedAt = Date.now();
+  cleared.tombstones = { ...storage.tombstones };
+  cleared.trash = { ...storage.trash };
+  // Trashed snippets still need their conversation titles
+  cleared.conversations = { ...storage.conversations };
+  Object.values(storage.snippetsById || {}).forEach((snippet) => {
+    cleared.trash[snippet.id] = trashEntry(snippet, deletedAt);
+  });
+  return cleared;
+}
+
+/**
+ * Picks the winning version of a snippet present on both sides.
+ * Newer updatedAt wins, then the higher revision. Every write bumps both, so a snippet with the
+ * same updatedAt and revision on both sides is the same write and counts as equal without
+ * comparing its content. Snippets without a revision (saved before revisions existed) tie-break
+ * on the more recently written storage, then on a stable content comparison so every tab picks
+ * the same side.
+ * @returns {'local'|'remote'|'equal'} Winning side, or 'equal' if both hold the same version
+ */
+function pickSnippetWinner(localSnippet, remoteSnippet, localMeta, remoteMeta) {
+  const localVersion = getSnippetVersion(localSnippet);
+  const remoteVersion = getSnippetVersion(remoteSnippet);
+  if (localVersion !== remoteVersion) {
+    return localVersion > remoteVersion ? 'local' : 'remote';
+  }
+
+  const localRevision = localSnippet?.revision || 0;
+  const remoteRevision = remoteSnippet?.revision || 0;
+  if (localRevision !== remoteRevision) {
+    return localRevision > remoteRevision ? 'local' : 'remote';
+  }
+  if (localRevision > 0) {
+    return 'equal';
+  }
+
+  const localJson = JSON.stringify(localSnippet);
+  const remoteJson = JSON.stringify(remoteSnippet);
+  if (localJson === remoteJson) {
+    return 'equal';
+  }
+
+  const localWrittenAt = localMeta?.lastUpdatedAt || 0;
+  const remoteWrittenAt = remoteMeta?.lastUpdatedAt || 0;
+  if (localWrittenAt !== remoteWrittenAt) {
+    return localWrittenAt > remoteWrittenAt ? 'local' : 'remote';
+  }
+
+  return localJson > remoteJson ? 'local' : 'remote';
+}
+
+// Deletion wins ties: a purge beats a trash entry, which beats a live snippet
+const ENTRY_RANK = { live: 0, trash: 1, purged: 2 };
+
+/**
+ * Gets the state of a snippet ID in one storage structure: live, trashed or purged.
+ * @param {Object} storage - Storage structure
+ * @param {string} id - Snippet ID
+ * @returns {{kind: string, version: number, value: *, conflicting: boolean}|null} Newest entry, or null if unknown
+ */
+function getSnippetEntry(storage, id) {
+  const entries = [];
+  const live = storage?.snippetsById?.[id];
+  if (live) {
+    entries.push({ kind: 'live', version: getSnippetVersion(live), value: live });
+  }
+  const trashed = storage?.trash?.[id];
+  if (trashed) {
+    entries.push({ kind: 'trash', version: trashed.deletedAt || 0, value: trashed });
+  }
+  const purgedAt = storage?.tombstones?.[id];
+  if (purgedAt !== undefined) {
+    entries.push({ kind: 'purged', version: purgedAt, value: purgedAt });
+  }
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const newest = entries.reduce((best, entry) => (compareEntries(entry, best) > 0 ? entry : best));
+  // An ID present in more than one area needs rewriting on this side
+  return { ...newest, conflicting: entries.length > 1 };
+}
+
+/**
+ * Compares two entries by version, then by kind.
+ * @returns {number} Positive if a is newer, negative if b is newer, 0 if tied
+ */
+function compareEntries(a, b) {
+  if (a.version !== b.version) {
+    return a.version - b.version;
+  }
+  return ENTRY_RANK[a.kind] - ENTRY_RANK[b.kind];
+}
+
+/**
+ * Merges two storage structures per snippet (last writer wins).
+ * Used to combine this tab's in-memory storage with storage written by another tab.
+ * Each ID is live, trashed or purged on each side; the newest state wins.
+ * Conversation metadata merges the same way, per conversation.
+ * @param {Object} local - This tab's storage structure
+ * @param {Object} remote - Storage structure read from chrome.storage.local
+ * @param {number} now - Current time, used to prune old tombstones (optional)
+ * @returns {{storage: Object, localChanged: boolean, remoteChanged: boolean}}
+ *   Merged storage, whether it differs from local (needs re-render) and from remote (needs write-back)
+ */
+export function mergeStorage(local, remote, now = Date.now()) {
+  const ids = new Set();
+  [local, remote].forEach((side) => {
+    ['snippetsById', 'trash', 'tombstones'].forEach((area) => {
+      Object.keys(side?.[area] || {}).forEach(id => ids.add(id));
+    });
+  });
+
+  const snippetsById = {};
+  const trash = {};
+  const tombstones = {};
+  let localChanged = false;
+  let remoteChanged = false;
+
+  ids.forEach((id) => {
+    const localEntry = getSnippetEntry(local, id);
+    const remoteEntry = getSnippetEntry(remote, id);
+
+    let winningSide;
+    if (!remoteEntry) {
+      winningSide = 'local';
+    } else if (!localEntry) {
+      winningSide = 'remote';
+    } else {
+      const order = compareEntries(localEntry, remoteEntry);
+      if (order !== 0) {
+        winningSide = order > 0 ? 'local' : 'remote';
+      } else if (localEntry.kind === 'purged') {
+        winningSide = 'equal';
+      } else {
+        winningSide = pickSnippetWinner(localEntry.value, remoteEntry.value, local.meta, remote.meta);
+      }
+    }
+
+    const winner = winningSide === 'remote' ? remoteEntry : localEntry;
+    const expired = winner.kind === 'purged' && now - winner.value >= TOMBSTONE_TTL_MS;
+    if (winner.kind === 'live') {
+      snippetsById[id] = winner.value;
+    } else if (winner.kind === 'trash') {
+      trash[id] = winner.value;
+    } else if (!expired) {
+      tombstones[id] = winner.value;
+    }
+
+    // A side changes if it didn't hold the winning state. Dropping an expired
+    // tombstone is housekeeping and only counts where it removes a snippet.
+    const sideChanged = (entry, heldWinner) => {
+      if (entry?.conflicting) return true;
+      if (expired) return Boolean(entry) && entry.kind !== 'purged';
+      return !heldWinner;
+    };
+    if (sideChanged(localEntry, winningSide !== 'remote')) localChanged = true;
+    if (sideChanged(remoteEntry, winningSide !== 'local')) remoteChanged = true;
+  });
+
+  const merged = mergeConversations(local?.conversations, remote?.conversations);
+  if (merged.localChanged) localChanged = true;
+  if (merged.remoteChanged) remoteChanged = true;
+
+  const localWrittenAt = local?.meta?.lastUpdatedAt || 0;
+  const remoteWrittenAt = remote?.meta?.lastUpdatedAt || 0;
+
+  return {
+    storage: {
+      ...local,
+      schemaVersion: SCHEMA_VERSION,
+      snippetsById,
+      index: buildIndexes(snippetsById),
+      trash,
+      tombstones,
+      conversations: merged.conversations,
+      meta: {
+        ...local?.meta,
+        lastUpdatedAt: Math.max(localWrittenAt, remoteWrittenAt),
+        totalCount: Object.keys(snippetsById).length
+      }
+    },
+    localChanged,
+    remoteChanged
+  };
+}
+
+// Default backend for commitStorage(): the whole library in one chrome.storage.local key
+const chromeBackend = {
+  load: () => loadStorage(),
+  save: storage => saveStorage(storage)
+};
+
+/**
+ * Removes the stored library from chrome.storage.local.
+ * @returns {Promise<void>}
+ */
+export async function removeStorage() {
+  await chrome.storage.local.remove(STORAGE_KEY);
+}
+
+/**
+ * Saves storage without clobbering changes made by other tabs.
+ * Reads the stored structure, merges it per snippet and writes the result.
+ * @param {Object} storage - Storage structure
+ * @param {Object} adapter - Storage adapter with load/save (optional, defaults to chrome.storage.local)
+ * @returns {Promise<Object>} Merged storage structure that was written
+ * @throws {Error} With user-friendly message if quota exceeded or stored data is from a newer version
+ */
+export async function commitStorage(storage, adapter = chromeBackend) {
+  const remote = await adapter.load();
+  if (remote.readOnly) {
+    throw new Error(READ_ONLY_MESSAGE);
+  }
+  const { storage: merged } = mergeStorage(storage, remote);
+  await adapter.save(merged);
+  return merged;
+}
+
+/**
+ * Subscribes to storage changes made by any tab (including this one).
+ * @param {Function} onChange - Called with the new storage structure
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToStorageChanges(onChange) {
+  const listener = (changes, areaName) => {
+    if (areaName !== 'local' || !changes[STORAGE_KEY]) return;
+    const newValue = changes[STORAGE_KEY].newValue;
+    if (!newValue || !newValue.snippetsById) return;
+    // Data written by a newer build isn't ours to interpret
+    if (newValue.schemaVersion > SCHEMA_VERSION) return;
+    onChange(newValue);
+  };
+  chrome.storage.onChanged.addListener(listener);
+  return () => chrome.storage.onChanged.removeListener(listener);
 }
 
 // Backward compatibility: keep old function names that return arrays
@@ -403,7 +1123,7 @@ export async function loadSnippets() {
 export async function saveSnippets(snippets) {
   let storage = createEmptyStorage();
   
-  // Convert array to v2 structure
+  // Convert array to storage structure
   snippets.forEach(snippet => {
     if (snippet && snippet.id) {
       // Ensure createdAt exists
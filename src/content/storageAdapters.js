@@ -0,0 +1,63 @@
+/**
+ * Storage adapter interface for the snippet library.
+ *
+ * Every adapter implements the same interface:
+ *   name                                  - Backend ID
+ *   load()                                - Resolves to a storage structure (see storage.js)
+ *   save(storage)                         - Persists a storage structure
+ *   subscribe(onChange)                   - Calls onChange(storage) after any tab saves; returns unsubscribe
+ *   getSnippetsByConversation(id)         - Live snippets of a conversation, oldest first
+ *   getSnippetsByProject(id)              - Live snippets of a project, oldest first
+ *   getRecentSnippets(limit)              - Newest live snippets first
+ *   clear()                               - Removes everything the backend stored
+ *
+ * The only backend is chrome.storage.local (with the unlimitedStorage permission), which
+ * keeps the whole library in one key. It belongs to the extension, so every ChatGPT domain
+ * shares it. IndexedDB opened from a content script would belong to the page's origin
+ * instead, one database per domain, so it isn't used here.
+ */
+
+import {
+  loadStorage,
+  saveStorage,
+  removeStorage,
+  subscribeToStorageChanges
+} from './storage.js';
+
+/**
+ * Sorts snippets by createdAt, oldest first.
+ * @param {Array} snippets - Snippets
+ * @returns {Array} Sorted copy
+ */
+function sortByCreatedAt(snippets) {
+  return [...snippets].sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+}
+
+/**
+ * Creates the adapter backed by chrome.storage.local.
+ * @returns {Object} Storage adapter
+ */
+export function createChromeStorageAdapter() {
+  const getSnippets = async (ids) => {
+    const storage = await loadStorage();
+    return ids(storage).map(id => storage.snippetsById[id]).filter(Boolean);
+  };
+
+  return {
+    name: 'chrome',
+    load: () => loadStorage(),
+    save: storage => saveStorage(storage),
+    subscribe: onChange => subscribeToStorageChanges(onChange),
+    async getSnippetsByConversation(conversationId) {
+      return sortByCreatedAt(await getSnippets(storage => storage.index.byThread[conversationId] || []));
+    },
+    async getSnippetsByProject(projectId) {
+      return sortByCreatedAt(await getSnippets(storage => storage.index.byProject?.[projectId] || []));
+    },
+    async getRecentSnippets(limit = Infinity) {
+      const snippets = await getSnippets(storage => Object.keys(storage.snippetsById));
+      return sortByCreatedAt(snippets).reverse().slice(0, limit);
+    },
+    clear: () => removeStorage()
+  };
+}
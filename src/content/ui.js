@@ -2,7 +2,22 @@
  * UI components: FAB, panel, and toast notifications.
  */
 
+import { SHORTCUT_ACTIONS, eventToShortcut, formatShortcut } from './shortcuts.js';
+import { colorVar, isColorId } from '../shared/palette.js';
+import { MAX_TAG_LENGTH, normalizeTag, suggestTags } from '../shared/tags.js';
+import { parseQuery } from '../shared/query.js';
+import { findMatchRanges } from '../shared/searchIndex.js';
+import { GROUP_OPTIONS, SORT_OPTIONS } from '../shared/listView.js';
+import { PANEL_MODE_LABELS } from '../shared/panelModes.js';
+
 const CONTAINER_ID = 'ce-root';
+const TRASH_RETENTION_OPTIONS = [7, 14, 30, 90];
+const PALETTE_STYLE_ID = 'ce-palette-style';
+export const MAX_NOTE_LENGTH = 2000;
+// The note counter turns to a warning this close to the limit
+const NOTE_COUNTER_WARNING = 0.9;
+// Tags shown in the tag filter row (most used first); the active tag is always shown
+const MAX_FILTER_TAGS = 15;
 
 /**
  * Creates the extension UI container.
@@ -46,19 +61,32 @@ export function createFAB(count, onClick) {
  * @param {Function} config.onClose - Close handler
  * @param {Function} config.onRemove - Remove handler (id) => void
  * @param {Function} config.onSnippetClick - Snippet click handler (snippet) => void
- * @param {Function} config.onToggleAutoSave - Toggle auto-save handler (optional)
- * @param {boolean} config.autoSaveEnabled - Whether auto-save is enabled (optional)
+ * @param {Function} config.onNoteChange - Note edit handler (id, note) => void, enables inline note editing (optional)
+ * @param {Function} config.onCycleCaptureMode - Capture mode toggle handler (optional)
+ * @param {string} config.captureMode - Capture mode: 'auto', 'bubble', or 'off' (optional)
+ * @param {Function} config.onCyclePanelMode - Panel mode toggle handler (optional)
+ * @param {string} config.panelMode - Panel mode: 'overlay', 'sidepanel', or 'both' (optional)
  * @param {Function} config.onToggleTheme - Toggle theme handler (optional)
  * @param {string} config.currentTheme - Current theme: 'light', 'dark', or 'auto' (optional)
+ * @param {Function} config.onToggleHighlights - Persistent page highlights toggle handler (optional)
+ * @param {boolean} config.highlightsEnabled - Whether persistent page highlights are on (optional)
  * @param {number} config.totalCount - Total count for search counter (optional)
  * @param {string} config.searchQuery - Current search query (optional)
  * @param {Function} config.onScopeChange - Scope change handler (optional)
  * @param {string} config.currentScope - Current scope: 'thread', 'project', or 'all' (optional)
  * @param {string|null} config.currentProjectId - Current project ID (optional)
  * @param {Function} config.onSearch - Search handler (optional)
+ * @param {Function} config.onOpenShortcuts - Keyboard shortcuts editor handler (optional)
+ * @param {Function} config.onOpenLibrary - Opens the full-page library (optional)
+ * @param {Object} config.selection - Multi-select state and bulk handlers, see createBulkActionBar (optional)
+ * @param {Object} config.trash - Trash state and handlers, see createTrashView (optional)
+ * @param {Object} config.colors - Palette and color filter state, see createColorFilter (optional)
+ * @param {Object} config.tags - Tag editing and tag filter state, see createTagFilter (optional)
+ * @param {Object} config.search - Match highlighting and result order, see createSearchSortToggle (optional)
+ * @param {Object} config.view - List sort and grouping, see createListControls (optional)
  * @returns {HTMLElement} Panel element
  */
-export function createPanel({ snippets, onCopy, onClear, onClose, onRemove, onSnippetClick, onManage, onToggleAutoSave, autoSaveEnabled, onToggleTheme, currentTheme, totalCount, searchQuery, onScopeChange, currentScope, currentProjectId, onSearch }) {
+export function createPanel({ snippets, onCopy, onClear, onClose, onRemove, onSnippetClick, onNoteChange, onManage, onOpenLibrary, onOpenShortcuts, onCycleCaptureMode, captureMode, onCyclePanelMode, panelMode, onToggleTheme, currentTheme, onToggleHighlights, highlightsEnabled, totalCount, searchQuery, onScopeChange, currentScope, currentProjectId, onSearch, selection, trash, colors, tags, search, view }) {
   const panel = document.createElement('div');
   panel.className = 'ce-panel';
   panel.setAttribute('role', 'dialog');
@@ -69,22 +97,44 @@ export function createPanel({ snippets, onCopy, onClear, onClose, onRemove, onSn
     onClear, 
     onClose, 
     onManage, 
-    onToggleAutoSave,
-    autoSaveEnabled,
+    onOpenLibrary,
+    onOpenShortcuts,
+    onCycleCaptureMode,
+    captureMode,
+    onCyclePanelMode,
+    panelMode,
     onToggleTheme,
     currentTheme,
+    onToggleHighlights,
+    highlightsEnabled,
     snippetCount: snippets.length,
     totalCount: totalCount !== undefined ? totalCount : snippets.length,
     searchQuery: searchQuery || '',
     onSearch,
     onScopeChange,
     currentScope: currentScope || 'thread',
-    currentProjectId: currentProjectId || null
+    currentProjectId: currentProjectId || null,
+    trash,
+    colors,
+    tags,
+    search,
+    view
   });
-  const list = createSnippetList({ snippets, onRemove, onSnippetClick });
+  panel.appendChild(header);
+  
+  if (trash && trash.open) {
+    panel.classList.add('ce-panel-trash');
+    panel.appendChild(createTrashView(trash));
+    panel.appendChild(createPanelFooter(`Trashed snippets are deleted permanently after ${trash.retentionDays} days`));
+    return panel;
+  }
+  
+  const list = createSnippetList({ snippets, onRemove, onSnippetClick, onNoteChange, selection, tags, search, view });
   const footer = createPanelFooter();
   
-  panel.appendChild(header);
+  if (selection) {
+    panel.appendChild(createBulkActionBar(snippets, selection));
+  }
   panel.appendChild(list);
   panel.appendChild(footer);
   
@@ -94,7 +144,7 @@ export function createPanel({ snippets, onCopy, onClear, onClose, onRemove, onSn
 /**
  * Creates the panel header.
  */
-function createPanelHeader({ onCopy, onClear, onClose, onManage, onToggleAutoSave, autoSaveEnabled, onToggleTheme, currentTheme, snippetCount, totalCount, searchQuery, onSearch, onScopeChange, currentScope, currentProjectId }) {
+function createPanelHeader({ onCopy, onClear, onClose, onManage, onOpenLibrary, onOpenShortcuts, onCycleCaptureMode, captureMode, onCyclePanelMode, panelMode, onToggleTheme, currentTheme, onToggleHighlights, highlightsEnabled, snippetCount, totalCount, searchQuery, onSearch, onScopeChange, currentScope, currentProjectId, trash, colors, tags, search, view }) {
   const header = document.createElement('div');
   header.className = 'ce-panel-header';
   
@@ -123,41 +173,7 @@ function createPanelHeader({ onCopy, onClear, onClose, onManage, onToggleAutoSav
   
   // Search box
   if (onSearch) {
-    const searchContainer = document.createElement('div');
-    searchContainer.className = 'ce-search-container';
-    const searchWrapper = document.createElement('div');
-    searchWrapper.className = 'ce-search-wrapper';
-    
-    const searchInput = document.createElement('input');
-    searchInput.type = 'text';
-    searchInput.className = 'ce-search-input';
-    searchInput.placeholder = 'Search snippets...';
-    searchInput.value = searchQuery || '';
-    searchInput.setAttribute('aria-label', 'Search snippets');
-    searchInput.addEventListener('input', (e) => {
-      if (onSearch) {
-        onSearch(e.target.value);
-      }
-    });
-    
-    const clearSearchBtn = document.createElement('button');
-    clearSearchBtn.className = 'ce-search-clear';
-    clearSearchBtn.innerHTML = '×';
-    clearSearchBtn.setAttribute('aria-label', 'Clear search');
-    clearSearchBtn.title = 'Clear search';
-    clearSearchBtn.style.display = (searchQuery && searchQuery.trim()) ? 'flex' : 'none';
-    clearSearchBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      searchInput.value = '';
-      if (onSearch) {
-        onSearch('');
-      }
-    });
-    
-    searchWrapper.appendChild(searchInput);
-    searchWrapper.appendChild(clearSearchBtn);
-    searchContainer.appendChild(searchWrapper);
-    header.appendChild(searchContainer);
+    header.appendChild(createSearchBox({ searchQuery, onSearch, search }));
   }
   
   // Actions row (without close button)
@@ -177,17 +193,65 @@ function createPanelHeader({ onCopy, onClear, onClose, onManage, onToggleAutoSav
     actions.appendChild(themeBtn);
   }
   
-  // Auto-save toggle button
-  if (onToggleAutoSave) {
+  // Persistent page highlights toggle
+  if (onToggleHighlights) {
+    const highlightsBtn = document.createElement('button');
+    highlightsBtn.className = 'ce-btn ce-btn-icon ce-btn-highlights';
+    highlightsBtn.classList.toggle('ce-btn-active', Boolean(highlightsEnabled));
+    highlightsBtn.innerHTML = '🖍';
+    highlightsBtn.setAttribute('aria-label', 'Highlight snippets in the page');
+    highlightsBtn.setAttribute('aria-pressed', highlightsEnabled ? 'true' : 'false');
+    highlightsBtn.title = highlightsEnabled ? 'Page highlights: on (click to turn off)' : 'Page highlights: off (click to highlight saved snippets in the conversation)';
+    highlightsBtn.addEventListener('click', onToggleHighlights);
+    actions.appendChild(highlightsBtn);
+  }
+  
+  // Keyboard shortcuts editor button
+  if (onOpenShortcuts) {
+    const shortcutsBtn = document.createElement('button');
+    shortcutsBtn.className = 'ce-btn ce-btn-icon ce-btn-shortcuts';
+    shortcutsBtn.innerHTML = '⌨';
+    shortcutsBtn.setAttribute('aria-label', 'Keyboard shortcuts');
+    shortcutsBtn.title = 'Keyboard shortcuts';
+    shortcutsBtn.addEventListener('click', onOpenShortcuts);
+    actions.appendChild(shortcutsBtn);
+  }
+  
+  // Capture mode toggle button (auto-save -> bubble -> off)
+  if (onCycleCaptureMode) {
+    const modeLabels = { auto: 'Auto-save', bubble: 'Manual', off: 'Off' };
+    const modeTitles = {
+      auto: 'Selections are saved automatically (click to switch to manual)',
+      bubble: 'Selections show a Save bubble (click to turn capture off)',
+      off: 'Selections are not captured (click to enable auto-save)'
+    };
+    const mode = modeLabels[captureMode] ? captureMode : 'auto';
     const autoSaveBtn = document.createElement('button');
     autoSaveBtn.className = 'ce-btn ce-btn-secondary ce-btn-auto-save';
-    autoSaveBtn.textContent = autoSaveEnabled ? 'Auto-save: ON' : 'Auto-save: OFF';
-    autoSaveBtn.setAttribute('aria-label', `Auto-save is ${autoSaveEnabled ? 'enabled' : 'disabled'}`);
-    autoSaveBtn.title = autoSaveEnabled ? 'Click to disable auto-save' : 'Click to enable auto-save';
-    autoSaveBtn.addEventListener('click', onToggleAutoSave);
+    autoSaveBtn.textContent = `Capture: ${modeLabels[mode]}`;
+    autoSaveBtn.setAttribute('aria-label', `Capture mode: ${modeLabels[mode]}`);
+    autoSaveBtn.title = modeTitles[mode];
+    autoSaveBtn.addEventListener('click', onCycleCaptureMode);
     actions.appendChild(autoSaveBtn);
   }
   
+  // Panel mode toggle button (overlay -> side panel -> both)
+  if (onCyclePanelMode) {
+    const mode = PANEL_MODE_LABELS[panelMode] ? panelMode : 'overlay';
+    const modeTitles = {
+      overlay: 'Snippets are shown in this panel (click to use the side panel instead)',
+      sidepanel: 'Snippets are shown in the side panel (click to show them in both)',
+      both: 'Snippets are shown here and in the side panel (click to use this panel only)'
+    };
+    const panelModeBtn = document.createElement('button');
+    panelModeBtn.className = 'ce-btn ce-btn-secondary ce-btn-panel-mode';
+    panelModeBtn.textContent = `Panel: ${PANEL_MODE_LABELS[mode]}`;
+    panelModeBtn.setAttribute('aria-label', `Panel mode: ${PANEL_MODE_LABELS[mode]}`);
+    panelModeBtn.title = modeTitles[mode];
+    panelModeBtn.addEventListener('click', onCyclePanelMode);
+    actions.appendChild(panelModeBtn);
+  }
+  
   const copyBtn = document.createElement('button');
   copyBtn.className = 'ce-btn ce-btn-secondary ce-btn-copy';
   copyBtn.textContent = 'Copy';
@@ -212,6 +276,27 @@ function createPanelHeader({ onCopy, onClear, onClose, onManage, onToggleAutoSav
   actions.appendChild(clearBtn);
   actions.appendChild(manageBtn);
   
+  // Full-page library (extension page)
+  if (onOpenLibrary) {
+    const libraryBtn = document.createElement('button');
+    libraryBtn.className = 'ce-btn ce-btn-secondary ce-btn-library';
+    libraryBtn.textContent = 'Library';
+    libraryBtn.setAttribute('aria-label', 'Open the snippet library in a tab');
+    libraryBtn.title = 'Browse and manage all snippets in a tab';
+    libraryBtn.addEventListener('click', onOpenLibrary);
+    actions.appendChild(libraryBtn);
+  }
+  
+  // Trash view toggle
+  if (trash) {
+    const trashBtn = document.createElement('button');
+    trashBtn.className = 'ce-btn ce-btn-secondary ce-btn-trash';
+    trashBtn.textContent = trash.open ? '← Snippets' : `Trash (${trash.count})`;
+    trashBtn.setAttribute('aria-label', trash.open ? 'Back to snippets' : `Trash: ${trash.count} snippets`);
+    trashBtn.addEventListener('click', trash.onToggle);
+    actions.appendChild(trashBtn);
+  }
+  
   header.appendChild(titleRow);
   
   // Scope selector (only shown when search is active)
@@ -245,45 +330,743 @@ function createPanelHeader({ onCopy, onClear, onClose, onManage, onToggleAutoSav
     header.appendChild(scopeSelector);
   }
   
+  // Color filter chips (not in the trash view)
+  if (colors && !(trash && trash.open)) {
+    header.appendChild(createColorFilter(colors));
+  }
+  
+  // Tag filter chips (not in the trash view)
+  if (tags && !(trash && trash.open)) {
+    header.appendChild(createTagFilter(tags));
+  }
+  
+  // Sort and grouping menus (not in the trash view)
+  if (view && !(trash && trash.open)) {
+    header.appendChild(createListControls(view));
+  }
+  
   header.appendChild(actions);
   
   return header;
 }
 
+/**
+ * Creates the search box: query input with clear button, the relevance/time toggle
+ * while searching, and syntax errors of the query.
+ * @param {Object} options
+ * @param {string} options.searchQuery - Current search query
+ * @param {Function} options.onSearch - (query) => void, called on every edit
+ * @param {Object} options.search - Result order, see createSearchSortToggle (optional)
+ * @returns {HTMLElement} Search container
+ */
+export function createSearchBox({ searchQuery, onSearch, search = null }) {
+  const searchContainer = document.createElement('div');
+  searchContainer.className = 'ce-search-container';
+  const searchWrapper = document.createElement('div');
+  searchWrapper.className = 'ce-search-wrapper';
+  
+  const searchInput = document.createElement('input');
+  searchInput.type = 'text';
+  searchInput.className = 'ce-search-input';
+  searchInput.placeholder = 'Search snippets...';
+  searchInput.value = searchQuery || '';
+  searchInput.setAttribute('aria-label', 'Search snippets');
+  searchInput.title = 'Words and "phrases", -exclude, OR. Filters: tag: color: conv: project: before: after: role:user|assistant has:note truncated:true';
+  searchInput.addEventListener('input', (e) => {
+    onSearch(e.target.value);
+  });
+  
+  const clearSearchBtn = document.createElement('button');
+  clearSearchBtn.className = 'ce-search-clear';
+  clearSearchBtn.innerHTML = '×';
+  clearSearchBtn.setAttribute('aria-label', 'Clear search');
+  clearSearchBtn.title = 'Clear search';
+  clearSearchBtn.style.display = (searchQuery && searchQuery.trim()) ? 'flex' : 'none';
+  clearSearchBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    searchInput.value = '';
+    onSearch('');
+  });
+  
+  const feedback = document.createElement('div');
+  feedback.className = 'ce-search-feedback';
+  feedback.id = 'ce-search-feedback';
+  feedback.setAttribute('role', 'status');
+  searchInput.setAttribute('aria-describedby', feedback.id);
+  
+  searchWrapper.appendChild(searchInput);
+  searchWrapper.appendChild(clearSearchBtn);
+  searchContainer.appendChild(searchWrapper);
+  if (search && searchQuery && searchQuery.trim()) {
+    searchContainer.appendChild(createSearchSortToggle(search));
+  }
+  searchContainer.appendChild(feedback);
+  renderSearchFeedback(searchContainer, searchQuery);
+  return searchContainer;
+}
+
+/**
+ * Shows the syntax errors of a search query under the search box.
+ * @param {HTMLElement} root - Element containing the search input and feedback
+ * @param {string} searchQuery - Current search query
+ */
+export function renderSearchFeedback(root, searchQuery) {
+  const input = root.querySelector('.ce-search-input');
+  const feedback = root.querySelector('.ce-search-feedback');
+  if (!input || !feedback) return;
+  
+  const { errors } = parseQuery(searchQuery || '');
+  input.classList.toggle('ce-search-input-invalid', errors.length > 0);
+  input.setAttribute('aria-invalid', errors.length > 0 ? 'true' : 'false');
+  feedback.hidden = errors.length === 0;
+  feedback.textContent = errors.map(({ message }) => message).join(' · ');
+}
+
+/**
+ * Creates the button switching search results between relevance and time order.
+ * @param {Object} search - Search configuration
+ * @param {string} search.sort - 'relevance' or 'time'
+ * @param {Function} search.onSortChange - (sort) => void
+ * @returns {HTMLElement} Toggle button
+ */
+export function createSearchSortToggle({ sort, onSortChange }) {
+  const byRelevance = sort !== 'time';
+  const btn = document.createElement('button');
+  btn.className = 'ce-search-sort';
+  btn.textContent = byRelevance ? 'Sort: Relevance' : 'Sort: Time';
+  btn.setAttribute('aria-label', byRelevance ? 'Results sorted by relevance' : 'Results sorted by time');
+  btn.title = byRelevance ? 'Best matches first (click to sort by time)' : 'Sorted by time (click to sort by relevance)';
+  btn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    onSortChange(byRelevance ? 'time' : 'relevance');
+  });
+  return btn;
+}
+
+/**
+ * Fills an element with text, wrapping the parts matched by the search in <mark>.
+ * @param {HTMLElement} element - Element to fill
+ * @param {string} text - Text
+ * @param {Array<{value: string, phrase: boolean}>} terms - Search terms (optional)
+ */
+function setHighlightedText(element, text, terms) {
+  const ranges = findMatchRanges(text, terms);
+  if (ranges.length === 0) {
+    element.textContent = text;
+    return;
+  }
+  element.textContent = '';
+  let position = 0;
+  ranges.forEach(({ start, end }) => {
+    if (start > position) {
+      element.appendChild(document.createTextNode(text.slice(position, start)));
+    }
+    const mark = document.createElement('mark');
+    mark.className = 'ce-search-match';
+    mark.textContent = text.slice(start, end);
+    element.appendChild(mark);
+    position = end;
+  });
+  if (position < text.length) {
+    element.appendChild(document.createTextNode(text.slice(position)));
+  }
+}
+
+/**
+ * Creates the color filter chip row.
+ * @param {Object} colors - Color configuration
+ * @param {Array} colors.palette - Palette entries {id, label, color}
+ * @param {string|null} colors.activeColor - Color ID being filtered on, or null for all
+ * @param {Function} colors.onFilterChange - (colorId|null) => void
+ * @param {Function} colors.onEditPalette - Opens the palette editor (optional)
+ * @returns {HTMLElement} Chip row element
+ */
+export function createColorFilter({ palette, activeColor, onFilterChange, onEditPalette }) {
+  const row = document.createElement('div');
+  row.className = 'ce-color-filter';
+  row.setAttribute('role', 'group');
+  row.setAttribute('aria-label', 'Filter by color');
+  
+  const addChip = (colorId, label) => {
+    const chip = document.createElement('button');
+    chip.className = 'ce-color-chip';
+    chip.classList.toggle('active', activeColor === colorId);
+    chip.setAttribute('aria-pressed', activeColor === colorId ? 'true' : 'false');
+    if (colorId) {
+      chip.setAttribute('data-color', colorId);
+      const dot = document.createElement('span');
+      dot.className = 'ce-color-dot';
+      dot.style.background = colorVar(colorId);
+      chip.appendChild(dot);
+    }
+    chip.appendChild(document.createTextNode(label));
+    chip.addEventListener('click', () => onFilterChange(colorId));
+    row.appendChild(chip);
+  };
+  
+  addChip(null, 'All');
+  palette.forEach(({ id, label }) => addChip(id, label));
+  
+  if (onEditPalette) {
+    const editBtn = document.createElement('button');
+    editBtn.className = 'ce-color-chip ce-color-edit';
+    editBtn.textContent = '✎';
+    editBtn.title = 'Edit colors';
+    editBtn.setAttribute('aria-label', 'Edit colors');
+    editBtn.addEventListener('click', onEditPalette);
+    row.appendChild(editBtn);
+  }
+  
+  return row;
+}
+
+/**
+ * Creates a row of color swatches for picking a snippet color.
+ * Clicking the selected swatch again clears the color.
+ * @param {Array} palette - Palette entries {id, label, color}
+ * @param {Function} onChange - (colorId|null) => void
+ * @returns {HTMLElement} Swatch row element
+ */
+function createColorSwatches(palette, onChange) {
+  const row = document.createElement('div');
+  row.className = 'ce-color-swatches';
+  row.setAttribute('role', 'group');
+  row.setAttribute('aria-label', 'Color');
+  let selected = null;
+  
+  palette.forEach(({ id, label }) => {
+    const swatch = document.createElement('button');
+    swatch.className = 'ce-color-swatch';
+    swatch.setAttribute('data-color', id);
+    swatch.setAttribute('aria-label', label);
+    swatch.setAttribute('aria-pressed', 'false');
+    swatch.title = label;
+    swatch.style.background = colorVar(id);
+    swatch.addEventListener('click', () => {
+      selected = selected === id ? null : id;
+      row.querySelectorAll('.ce-color-swatch').forEach((el) => {
+        el.setAttribute('aria-pressed', el.getAttribute('data-color') === selected ? 'true' : 'false');
+      });
+      onChange(selected);
+    });
+    row.appendChild(swatch);
+  });
+  
+  return row;
+}
+
+/**
+ * Exposes the palette to the page (color variables and per-color highlights).
+ * @param {string} css - Stylesheet from buildPaletteCss
+ */
+export function applyPaletteStyle(css) {
+  let style = document.getElementById(PALETTE_STYLE_ID);
+  if (!style) {
+    style = document.createElement('style');
+    style.id = PALETTE_STYLE_ID;
+    (document.head || document.documentElement).appendChild(style);
+  }
+  style.textContent = css;
+}
+
 /**
  * Creates the snippet list.
+ * @param {Object} options - Snippets, handlers and configs, as passed to createPanel
+ * @param {string} options.emptyMessage - Shown when there are no snippets (optional)
+ * @returns {HTMLElement} List element
  */
-function createSnippetList({ snippets, onRemove, onSnippetClick }) {
+export function createSnippetList({ snippets, onRemove, onSnippetClick, onNoteChange, selection, tags, search, view, emptyMessage = 'Select text to save a snippet' }) {
   const list = document.createElement('div');
   list.className = 'ce-snippet-list';
   
-  if (snippets.length === 0) {
+  if (snippets.length === 0 && !view?.groups?.length) {
     const emptyState = document.createElement('div');
     emptyState.className = 'ce-empty-state';
-    emptyState.textContent = 'Select text to save a snippet';
+    emptyState.textContent = emptyMessage;
     list.appendChild(emptyState);
     return list;
   }
   
-  snippets.forEach((snippet, index) => {
-    const item = createSnippetItem(snippet, index, onRemove, onSnippetClick);
-    list.appendChild(item);
-  });
+  appendSnippetItems(list, snippets, view, (snippet, index) => (
+    createSnippetItem(snippet, index, onRemove, onSnippetClick, selection, onNoteChange, tags, search, view)
+  ));
   
   return list;
 }
 
+/**
+ * Appends snippet items to the list, under collapsible group headers when grouping.
+ * Snippets of collapsed groups are not in `snippets`; the groups say how many each has.
+ * @param {HTMLElement} list - List element
+ * @param {Array} snippets - Snippets in list order
+ * @param {Object} view - List view config, see createListControls (optional)
+ * @param {Function} createItem - (snippet, index) => item element
+ */
+function appendSnippetItems(list, snippets, view, createItem) {
+  if (!view || !view.groups) {
+    snippets.forEach((snippet, index) => list.appendChild(createItem(snippet, index)));
+    return;
+  }
+  let position = 0;
+  view.groups.forEach((group) => {
+    list.appendChild(createGroupHeader(group, view.onToggleGroup));
+    if (group.collapsed) return;
+    snippets.slice(position, position + group.count).forEach((snippet, offset) => {
+      list.appendChild(createItem(snippet, position + offset));
+    });
+    position += group.count;
+  });
+}
+
+/**
+ * Creates a list group header, which collapses or expands the group.
+ * @param {Object} group - Group {key, label, count, collapsed}
+ * @param {Function} onToggle - (key) => void
+ * @returns {HTMLElement} Header button
+ */
+function createGroupHeader({ key, label, count, collapsed }, onToggle) {
+  const header = document.createElement('button');
+  header.className = 'ce-group-header';
+  header.classList.toggle('ce-group-collapsed', collapsed);
+  header.setAttribute('data-group', key);
+  header.setAttribute('aria-expanded', collapsed ? 'false' : 'true');
+  header.title = collapsed ? 'Expand group' : 'Collapse group';
+  
+  const chevron = document.createElement('span');
+  chevron.className = 'ce-group-chevron';
+  chevron.textContent = collapsed ? '▸' : '▾';
+  const labelEl = document.createElement('span');
+  labelEl.className = 'ce-group-label';
+  labelEl.textContent = label;
+  const countEl = document.createElement('span');
+  countEl.className = 'ce-group-count';
+  countEl.textContent = String(count);
+  
+  header.appendChild(chevron);
+  header.appendChild(labelEl);
+  header.appendChild(countEl);
+  header.addEventListener('click', () => onToggle(key));
+  return header;
+}
+
+/**
+ * Creates the sort and grouping menus of the snippet list.
+ * @param {Object} view - List view configuration
+ * @param {string} view.sort - Sort option ID (see SORT_OPTIONS)
+ * @param {string} view.group - Grouping mode (see GROUP_OPTIONS)
+ * @param {Array|null} view.groups - Groups {key, label, count, collapsed} in list order, or null
+ * @param {Function} view.onSortChange - (sort) => void
+ * @param {Function} view.onGroupChange - (group) => void
+ * @param {Function} view.onToggleGroup - (key) => void, collapses or expands a group
+ * @returns {HTMLElement} Controls row
+ */
+export function createListControls({ sort, group, onSortChange, onGroupChange }) {
+  const row = document.createElement('div');
+  row.className = 'ce-list-controls';
+  
+  const createSelect = (className, label, options, value, onChange) => {
+    const select = document.createElement('select');
+    select.className = className;
+    select.setAttribute('aria-label', label);
+    select.title = label;
+    options.forEach(({ id, label: optionLabel }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = optionLabel;
+      select.appendChild(option);
+    });
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+  };
+  
+  row.appendChild(createSelect('ce-sort-select', 'Sort snippets', SORT_OPTIONS, sort, onSortChange));
+  row.appendChild(createSelect('ce-group-select', 'Group snippets', GROUP_OPTIONS, group, onGroupChange));
+  return row;
+}
+
+/**
+ * Shows a snippet's note under its text (or nothing without a note), replacing any
+ * note or open editor in the item. The add-note button is only shown without a note.
+ * @param {HTMLElement} item - Snippet item
+ * @param {Object} snippet - Snippet object
+ * @param {Function} onNoteChange - Note edit handler, null for a read-only note
+ * @param {Array} searchTerms - Search terms to highlight (optional)
+ */
+function renderNote(item, snippet, onNoteChange, searchTerms = null) {
+  item.querySelectorAll('.ce-snippet-note, .ce-note-edit').forEach(element => element.remove());
+  const addBtn = item.querySelector('.ce-note-add');
+  if (addBtn) {
+    addBtn.hidden = Boolean(snippet.note);
+  }
+  if (!snippet.note) return;
+  
+  const note = document.createElement('div');
+  note.className = 'ce-snippet-note';
+  setHighlightedText(note, snippet.note, searchTerms);
+  if (onNoteChange) {
+    note.classList.add('ce-snippet-note-editable');
+    note.title = 'Click to edit note';
+    note.tabIndex = 0;
+    note.setAttribute('role', 'button');
+    note.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openNoteEditor(item, snippet, onNoteChange);
+    });
+    note.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        e.stopPropagation();
+        openNoteEditor(item, snippet, onNoteChange);
+      }
+    });
+  }
+  item.querySelector('.ce-snippet-text').after(note);
+}
+
+/**
+ * Edits a snippet's note in place. The note is saved when the editor loses focus;
+ * Ctrl/Cmd+Enter saves right away and Escape discards the edit.
+ * @param {HTMLElement} item - Snippet item
+ * @param {Object} snippet - Snippet object
+ * @param {Function} onNoteChange - Note edit handler (id, note) => void
+ * @param {string} draft - Text to start from (default: the saved note)
+ * @returns {HTMLTextAreaElement} Editor textarea
+ */
+function openNoteEditor(item, snippet, onNoteChange, draft = snippet.note || '') {
+  renderNote(item, { ...snippet, note: '' }, onNoteChange);
+  const addBtn = item.querySelector('.ce-note-add');
+  if (addBtn) {
+    addBtn.hidden = true;
+  }
+  
+  const editor = document.createElement('div');
+  editor.className = 'ce-note-edit';
+  
+  const textarea = document.createElement('textarea');
+  textarea.className = 'ce-note-editor';
+  textarea.rows = 3;
+  textarea.maxLength = MAX_NOTE_LENGTH;
+  textarea.placeholder = 'Add a note (Markdown)…';
+  textarea.setAttribute('aria-label', 'Snippet note');
+  textarea.value = draft.slice(0, MAX_NOTE_LENGTH);
+  
+  const counter = document.createElement('div');
+  counter.className = 'ce-note-counter';
+  const updateCounter = () => {
+    counter.textContent = `${textarea.value.length}/${MAX_NOTE_LENGTH}`;
+    counter.classList.toggle('ce-note-counter-warning', textarea.value.length >= MAX_NOTE_LENGTH * NOTE_COUNTER_WARNING);
+  };
+  updateCounter();
+  
+  let closed = false;
+  const close = (save) => {
+    if (closed) return;
+    closed = true;
+    const note = save ? textarea.value.trim() : snippet.note || '';
+    renderNote(item, { ...snippet, note }, onNoteChange);
+    if (save) {
+      onNoteChange(snippet.id, note);
+    }
+  };
+  
+  textarea.addEventListener('input', updateCounter);
+  textarea.addEventListener('blur', () => {
+    // Removed by a re-render (which restores the draft), not left by the user
+    if (!editor.isConnected) return;
+    close(true);
+  });
+  textarea.addEventListener('keydown', (e) => {
+    // Keep typing from reaching page and extension shortcuts
+    e.stopPropagation();
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      close(false);
+    } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      close(true);
+    }
+  });
+  editor.addEventListener('click', e => e.stopPropagation());
+  
+  editor.appendChild(textarea);
+  editor.appendChild(counter);
+  item.querySelector('.ce-snippet-text').after(editor);
+  textarea.focus();
+  return textarea;
+}
+
+/**
+ * Creates a tag input with autocomplete from existing tags.
+ * Arrow keys move through the suggestions, Tab completes one, Enter adds the highlighted
+ * suggestion (or the typed tag) and Escape or leaving the input cancels.
+ * @param {Object} config
+ * @param {Array<string>} config.suggestions - Known tags, most used first
+ * @param {Array<string>} config.exclude - Tags not to suggest (optional)
+ * @param {Function} config.onSubmit - (tag) => void, with a normalized tag
+ * @param {Function} config.onCancel - Called on Escape or blur (optional)
+ * @param {string} config.placeholder - Placeholder (optional)
+ * @returns {HTMLElement} Wrapper element (focus its .ce-tag-input)
+ */
+export function createTagInput({ suggestions, exclude = [], onSubmit, onCancel = () => {}, placeholder = 'Tag…' }) {
+  const wrapper = document.createElement('span');
+  wrapper.className = 'ce-tag-input-wrapper';
+  
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'ce-tag-input';
+  input.placeholder = placeholder;
+  input.maxLength = MAX_TAG_LENGTH;
+  input.setAttribute('aria-label', 'Add tag');
+  input.setAttribute('aria-autocomplete', 'list');
+  
+  const list = document.createElement('div');
+  list.className = 'ce-tag-suggestions';
+  list.setAttribute('role', 'listbox');
+  
+  let matches = [];
+  let activeIndex = -1;
+  
+  const submit = (value) => {
+    const tag = normalizeTag(value);
+    input.value = '';
+    activeIndex = -1;
+    renderSuggestions();
+    if (tag) {
+      onSubmit(tag);
+    }
+  };
+  
+  const renderSuggestions = () => {
+    matches = suggestTags(suggestions, input.value, exclude);
+    activeIndex = Math.min(activeIndex, matches.length - 1);
+    list.innerHTML = '';
+    list.hidden = matches.length === 0;
+    matches.forEach((tag, i) => {
+      const option = document.createElement('div');
+      option.className = 'ce-tag-suggestion';
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', i === activeIndex ? 'true' : 'false');
+      option.classList.toggle('active', i === activeIndex);
+      option.textContent = `#${tag}`;
+      // mousedown keeps the focus in the input, so blur doesn't cancel first
+      option.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        submit(tag);
+      });
+      list.appendChild(option);
+    });
+  };
+  
+  input.addEventListener('input', () => {
+    activeIndex = -1;
+    renderSuggestions();
+  });
+  input.addEventListener('focus', renderSuggestions);
+  input.addEventListener('blur', () => onCancel());
+  input.addEventListener('keydown', (e) => {
+    // Keep typing from reaching page and extension shortcuts
+    e.stopPropagation();
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (matches.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      activeIndex = (activeIndex + step + matches.length) % matches.length;
+      renderSuggestions();
+    } else if (e.key === 'Tab' && activeIndex >= 0) {
+      e.preventDefault();
+      input.value = matches[activeIndex];
+      activeIndex = -1;
+      renderSuggestions();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      submit(activeIndex >= 0 ? matches[activeIndex] : input.value);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onCancel();
+    }
+  });
+  input.addEventListener('click', e => e.stopPropagation());
+  
+  list.hidden = true;
+  wrapper.appendChild(input);
+  wrapper.appendChild(list);
+  return wrapper;
+}
+
+/**
+ * Creates a snippet's editable tag list: removable tag chips and an add button that
+ * opens an autocompleting tag input. Clicking a tag filters the list by it.
+ * @param {Object} snippet - Snippet object
+ * @param {Object} tagging - Tag config, see createTagFilter
+ * @returns {HTMLElement} Tag list element
+ */
+function createSnippetTagEditor(snippet, tagging) {
+  const tags = Array.isArray(snippet.tags) ? snippet.tags : [];
+  const container = document.createElement('span');
+  container.className = 'ce-snippet-tags';
+  
+  tags.forEach((tag) => {
+    const tagEl = document.createElement('span');
+    tagEl.className = 'ce-tag ce-tag-editable';
+    tagEl.setAttribute('data-tag', tag);
+    
+    const label = document.createElement('button');
+    label.className = 'ce-tag-label';
+    label.textContent = `#${tag}`;
+    label.title = `Show snippets tagged #${tag}`;
+    label.addEventListener('click', (e) => {
+      e.stopPropagation();
+      tagging.onFilterChange(tag);
+    });
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'ce-tag-remove';
+    removeBtn.textContent = '×';
+    removeBtn.setAttribute('aria-label', `Remove tag ${tag}`);
+    removeBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      tagging.onTagsChange(snippet.id, tags.filter(other => other !== tag));
+    });
+    
+    tagEl.appendChild(label);
+    tagEl.appendChild(removeBtn);
+    container.appendChild(tagEl);
+  });
+  
+  const addBtn = document.createElement('button');
+  addBtn.className = 'ce-tag-add';
+  addBtn.textContent = '+ Tag';
+  addBtn.setAttribute('aria-label', 'Add tag');
+  addBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const tagInput = createTagInput({
+      suggestions: tagging.all,
+      exclude: tags,
+      onSubmit: (tag) => {
+        if (!tags.includes(tag)) {
+          tagging.onTagsChange(snippet.id, [...tags, tag]);
+        }
+      },
+      onCancel: () => {
+        if (tagInput.isConnected) {
+          tagInput.replaceWith(addBtn);
+        }
+      }
+    });
+    addBtn.replaceWith(tagInput);
+    tagInput.querySelector('.ce-tag-input').focus();
+  });
+  container.appendChild(addBtn);
+  
+  return container;
+}
+
+/**
+ * Creates the tag filter row: one chip per tag of the shown snippets, most used first.
+ * Clicking a chip filters the list by that tag, clicking it again clears the filter.
+ * @param {Object} tags - Tag configuration
+ * @param {Array<string>} tags.all - Every tag in the library, most used first (for autocomplete)
+ * @param {Array<{tag: string, count: number}>} tags.visible - Tags of the shown snippets
+ * @param {string|null} tags.activeTag - Tag being filtered on, or null
+ * @param {Function} tags.onFilterChange - (tag|null) => void
+ * @param {Function} tags.onTagsChange - (id, tags) => void, edits a snippet's tags
+ * @param {Function} tags.onManage - Opens the tag manager (optional)
+ * @returns {HTMLElement} Tag filter row (empty when there are no tags)
+ */
+export function createTagFilter({ all, visible, activeTag, onFilterChange, onManage }) {
+  const row = document.createElement('div');
+  row.className = 'ce-tag-filter';
+  row.setAttribute('role', 'group');
+  row.setAttribute('aria-label', 'Filter by tag');
+  
+  let shown = visible.slice(0, MAX_FILTER_TAGS);
+  if (activeTag && !shown.some(({ tag }) => tag === activeTag)) {
+    shown = [{ tag: activeTag, count: 0 }, ...shown];
+  }
+  row.hidden = shown.length === 0 && all.length === 0;
+  
+  shown.forEach(({ tag, count }) => {
+    const isActive = tag === activeTag;
+    const chip = document.createElement('button');
+    chip.className = 'ce-tag-chip';
+    chip.classList.toggle('active', isActive);
+    chip.setAttribute('data-tag', tag);
+    chip.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    chip.textContent = `#${tag}`;
+    if (count > 0) {
+      const countEl = document.createElement('span');
+      countEl.className = 'ce-tag-chip-count';
+      countEl.textContent = String(count);
+      chip.appendChild(countEl);
+    }
+    chip.addEventListener('click', () => onFilterChange(isActive ? null : tag));
+    row.appendChild(chip);
+  });
+  
+  if (onManage && all.length > 0) {
+    const manageBtn = document.createElement('button');
+    manageBtn.className = 'ce-tag-chip ce-tag-manage';
+    manageBtn.textContent = '✎';
+    manageBtn.title = 'Rename or merge tags';
+    manageBtn.setAttribute('aria-label', 'Rename or merge tags');
+    manageBtn.addEventListener('click', onManage);
+    row.appendChild(manageBtn);
+  }
+  
+  return row;
+}
+
+/**
+ * Formats where a snippet came from, e.g. "from: Trip planning · assistant".
+ * @param {Object} source - {title, role, model} (any may be null)
+ * @param {Object} options
+ * @param {boolean} options.includeModel - Append the model (optional)
+ * @returns {string|null} Label, or null if nothing is known
+ */
+export function formatSnippetSource({ title, role, model } = {}, { includeModel = false } = {}) {
+  const parts = [title, role, includeModel ? model : null].filter(Boolean);
+  return parts.length > 0 ? `from: ${parts.join(' · ')}` : null;
+}
+
 /**
  * Creates a single snippet item.
+ * Terms of an active search are highlighted in the text and note; the list view
+ * supplies the source shown next to the time.
  */
-function createSnippetItem(snippet, index, onRemove, onSnippetClick) {
+function createSnippetItem(snippet, index, onRemove, onSnippetClick, selection, onNoteChange = null, tagging = null, search = null, view = null) {
   const item = document.createElement('div');
   item.className = 'ce-snippet-item';
   item.setAttribute('data-snippet-id', snippet.id);
   
+  // Color stripe
+  if (isColorId(snippet.color)) {
+    item.classList.add('ce-snippet-colored');
+    item.setAttribute('data-color', snippet.color);
+    item.style.setProperty('--ce-snippet-color', colorVar(snippet.color));
+  }
+  
+  if (selection) {
+    const isSelected = selection.selectedIds.has(snippet.id);
+    item.classList.toggle('ce-snippet-selected', isSelected);
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'ce-snippet-checkbox';
+    checkbox.checked = isSelected;
+    checkbox.setAttribute('aria-label', 'Select snippet');
+    checkbox.addEventListener('click', (e) => {
+      e.stopPropagation();
+      // Shift-click selects the range from the last clicked item
+      selection.onToggleSelect(snippet.id, checkbox.checked, e.shiftKey);
+    });
+    item.appendChild(checkbox);
+  }
+  
   const text = document.createElement('div');
   text.className = 'ce-snippet-text';
-  text.textContent = snippet.text;
+  setHighlightedText(text, snippet.text, search?.terms);
   text.setAttribute('title', snippet.text);
   
   // Make text clickable for navigation
@@ -299,6 +1082,16 @@ function createSnippetItem(snippet, index, onRemove, onSnippetClick) {
   timeEl.textContent = timeStr;
   meta.appendChild(timeEl);
   
+  const source = view?.getSource?.(snippet);
+  const sourceLabel = source ? formatSnippetSource(source) : null;
+  if (sourceLabel) {
+    const sourceEl = document.createElement('span');
+    sourceEl.className = 'ce-snippet-source';
+    sourceEl.textContent = sourceLabel;
+    sourceEl.title = formatSnippetSource(source, { includeModel: true });
+    meta.appendChild(sourceEl);
+  }
+  
   if (snippet.duplicateIndex && snippet.duplicateIndex > 1) {
     const dup = document.createElement('span');
     dup.className = 'ce-duplicate-badge';
@@ -306,6 +1099,32 @@ function createSnippetItem(snippet, index, onRemove, onSnippetClick) {
     meta.appendChild(dup);
   }
   
+  if (tagging) {
+    meta.appendChild(createSnippetTagEditor(snippet, tagging));
+  } else if (Array.isArray(snippet.tags) && snippet.tags.length > 0) {
+    const tags = document.createElement('span');
+    tags.className = 'ce-snippet-tags';
+    snippet.tags.forEach((tag) => {
+      const tagEl = document.createElement('span');
+      tagEl.className = 'ce-tag';
+      tagEl.textContent = `#${tag}`;
+      tags.appendChild(tagEl);
+    });
+    meta.appendChild(tags);
+  }
+  
+  if (onNoteChange) {
+    const addNoteBtn = document.createElement('button');
+    addNoteBtn.className = 'ce-note-add';
+    addNoteBtn.textContent = '+ Note';
+    addNoteBtn.setAttribute('aria-label', 'Add note');
+    addNoteBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openNoteEditor(item, snippet, onNoteChange);
+    });
+    meta.appendChild(addNoteBtn);
+  }
+  
   const removeBtn = document.createElement('button');
   removeBtn.className = 'ce-btn ce-btn-icon ce-btn-small';
   removeBtn.setAttribute('aria-label', 'Remove snippet');
@@ -318,34 +1137,244 @@ function createSnippetItem(snippet, index, onRemove, onSnippetClick) {
   item.appendChild(text);
   item.appendChild(meta);
   item.appendChild(removeBtn);
+  renderNote(item, snippet, onNoteChange, search?.terms);
   
   return item;
 }
 
 /**
- * Creates the panel footer.
+ * Creates the bulk action bar (select-all-visible checkbox, selection count, bulk actions).
+ * @param {Array} snippets - Visible snippets
+ * @param {Object} selection - Multi-select state and handlers
+ * @param {Set<string>} selection.selectedIds - Selected snippet IDs
+ * @param {Function} selection.onToggleSelect - (id, selected, shiftKey) => void
+ * @param {Function} selection.onSelectAll - (selected) => void, applies to visible snippets
+ * @param {Function} selection.onBulkDelete - Delete selected handler
+ * @param {Function} selection.onBulkCopy - Copy selected handler
+ * @param {Function} selection.onBulkExportJson - Export selected as JSON handler
+ * @param {Function} selection.onBulkExportMarkdown - Export selected as Markdown handler
+ * @param {Function} selection.onBulkTag - (tag) => void, tags selected snippets
+ * @returns {HTMLElement} Button bar element
  */
-function createPanelFooter() {
-  const footer = document.createElement('div');
-  footer.className = 'ce-panel-footer';
-  footer.textContent = 'Click a snippet to navigate to its source';
-  return footer;
+export function createBulkActionBar(snippets, selection) {
+  const bar = document.createElement('div');
+  bar.className = 'ce-button-bar';
+  
+  const selectedCount = snippets.filter(snippet => selection.selectedIds.has(snippet.id)).length;
+  const hasSelection = selectedCount > 0;
+  
+  const selectAllWrapper = document.createElement('label');
+  selectAllWrapper.className = 'ce-select-all-wrapper';
+  selectAllWrapper.title = 'Select all visible snippets';
+  
+  const selectAll = document.createElement('input');
+  selectAll.type = 'checkbox';
+  selectAll.className = 'ce-select-all-checkbox';
+  selectAll.setAttribute('aria-label', 'Select all visible snippets');
+  selectAll.checked = snippets.length > 0 && selectedCount === snippets.length;
+  selectAll.indeterminate = hasSelection && selectedCount < snippets.length;
+  selectAll.disabled = snippets.length === 0;
+  selectAll.addEventListener('change', () => selection.onSelectAll(selectAll.checked));
+  selectAllWrapper.appendChild(selectAll);
+  bar.appendChild(selectAllWrapper);
+  
+  const addButton = (icon, label, onClick) => {
+    const btn = document.createElement('button');
+    btn.className = 'ce-button-bar-btn';
+    btn.textContent = icon;
+    btn.title = label;
+    btn.setAttribute('aria-label', label);
+    btn.disabled = !hasSelection;
+    btn.addEventListener('click', (e) => {
+      // The bar is re-rendered by the action, so keep the click from reaching the outside-click handler
+      e.stopPropagation();
+      onClick();
+    });
+    bar.appendChild(btn);
+    return btn;
+  };
+  
+  addButton('🗑', 'Delete selected', selection.onBulkDelete);
+  addButton('⧉', 'Copy selected', selection.onBulkCopy);
+  
+  const separator = document.createElement('span');
+  separator.className = 'ce-button-bar-separator';
+  bar.appendChild(separator);
+  
+  addButton('{}', 'Export selected as JSON', selection.onBulkExportJson);
+  addButton('MD', 'Export selected as Markdown', selection.onBulkExportMarkdown);
+  
+  // Tag: the button reveals an inline input, Enter applies the tag
+  const tagInput = document.createElement('input');
+  tagInput.type = 'text';
+  tagInput.className = 'ce-bulk-tag-input';
+  tagInput.placeholder = 'Tag…';
+  tagInput.setAttribute('aria-label', 'Tag selected snippets');
+  tagInput.style.display = 'none';
+  tagInput.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key === 'Enter') {
+      const tag = normalizeTag(tagInput.value);
+      if (tag) {
+        selection.onBulkTag(tag);
+      }
+      tagInput.value = '';
+      tagInput.style.display = 'none';
+    } else if (e.key === 'Escape') {
+      tagInput.value = '';
+      tagInput.style.display = 'none';
+    }
+  });
+  
+  addButton('#', 'Tag selected', () => {
+    tagInput.style.display = '';
+    tagInput.focus();
+  });
+  bar.appendChild(tagInput);
+  
+  const counter = document.createElement('span');
+  counter.className = 'ce-snippet-counter';
+  counter.textContent = hasSelection ? `${selectedCount} selected` : `${snippets.length} shown`;
+  bar.appendChild(counter);
+  
+  return bar;
 }
 
 /**
- * Creates the import/export modal.
- * @param {Object} config - Modal configuration
- * @returns {HTMLElement} Modal overlay
+ * Creates the trash view: retention setting, empty trash, and trashed snippets
+ * with restore and permanent delete.
+ * @param {Object} trash - Trash state and handlers
+ * @param {Array} trash.snippets - Trashed snippets (with deletedAt), newest first
+ * @param {number} trash.retentionDays - Days before trashed snippets are purged
+ * @param {Function} trash.onRestore - (id) => void
+ * @param {Function} trash.onDeletePermanently - (id) => void
+ * @param {Function} trash.onEmptyTrash - Empty trash handler
+ * @param {Function} trash.onRetentionChange - (days) => void
+ * @returns {HTMLElement} Trash view element
  */
-export function createImportExportModal({ snippetCount, onClose, onExportJson, onExportMarkdown, onPreview, onConfirm }) {
-  const overlay = document.createElement('div');
-  overlay.className = 'ce-modal-overlay ce-extension';
-  overlay.addEventListener('click', (e) => {
-    if (e.target === overlay) {
-      onClose();
-    }
+export function createTrashView({ snippets, retentionDays, onRestore, onDeletePermanently, onEmptyTrash, onRetentionChange }) {
+  const view = document.createElement('div');
+  view.className = 'ce-trash-view';
+  
+  const bar = document.createElement('div');
+  bar.className = 'ce-button-bar ce-trash-bar';
+  
+  const retentionLabel = document.createElement('label');
+  retentionLabel.className = 'ce-trash-retention';
+  retentionLabel.textContent = 'Keep for ';
+  
+  const retentionSelect = document.createElement('select');
+  retentionSelect.className = 'ce-trash-retention-select';
+  retentionSelect.setAttribute('aria-label', 'Days to keep trashed snippets');
+  const options = TRASH_RETENTION_OPTIONS.includes(retentionDays)
+    ? TRASH_RETENTION_OPTIONS
+    : [...TRASH_RETENTION_OPTIONS, retentionDays].sort((a, b) => a - b);
+  options.forEach((days) => {
+    const option = document.createElement('option');
+    option.value = String(days);
+    option.textContent = `${days} days`;
+    option.selected = days === retentionDays;
+    retentionSelect.appendChild(option);
   });
-
+  retentionSelect.addEventListener('change', () => onRetentionChange(Number(retentionSelect.value)));
+  retentionLabel.appendChild(retentionSelect);
+  bar.appendChild(retentionLabel);
+  
+  const emptyBtn = document.createElement('button');
+  emptyBtn.className = 'ce-btn ce-btn-secondary ce-btn-danger ce-btn-empty-trash';
+  emptyBtn.textContent = 'Empty trash';
+  emptyBtn.disabled = snippets.length === 0;
+  emptyBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    onEmptyTrash();
+  });
+  bar.appendChild(emptyBtn);
+  view.appendChild(bar);
+  
+  const list = document.createElement('div');
+  list.className = 'ce-snippet-list ce-trash-list';
+  
+  if (snippets.length === 0) {
+    const emptyState = document.createElement('div');
+    emptyState.className = 'ce-empty-state';
+    emptyState.textContent = 'Trash is empty';
+    list.appendChild(emptyState);
+  }
+  
+  snippets.forEach((snippet) => {
+    const item = document.createElement('div');
+    item.className = 'ce-snippet-item ce-trash-item';
+    item.setAttribute('data-snippet-id', snippet.id);
+    
+    const text = document.createElement('div');
+    text.className = 'ce-snippet-text';
+    text.textContent = snippet.text;
+    text.setAttribute('title', snippet.text);
+    
+    const meta = document.createElement('div');
+    meta.className = 'ce-snippet-meta';
+    const deletedAt = new Date(snippet.deletedAt || Date.now());
+    meta.textContent = `Deleted ${deletedAt.toLocaleDateString()} ${deletedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+    
+    const actions = document.createElement('div');
+    actions.className = 'ce-trash-actions';
+    
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'ce-btn ce-btn-secondary ce-btn-restore';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.setAttribute('aria-label', 'Restore snippet');
+    restoreBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onRestore(snippet.id);
+    });
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'ce-btn ce-btn-icon ce-btn-small ce-btn-delete-forever';
+    deleteBtn.innerHTML = '×';
+    deleteBtn.setAttribute('aria-label', 'Delete permanently');
+    deleteBtn.title = 'Delete permanently';
+    deleteBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onDeletePermanently(snippet.id);
+    });
+    
+    actions.appendChild(restoreBtn);
+    actions.appendChild(deleteBtn);
+    item.appendChild(text);
+    item.appendChild(meta);
+    item.appendChild(actions);
+    list.appendChild(item);
+  });
+  
+  view.appendChild(list);
+  return view;
+}
+
+/**
+ * Creates the panel footer.
+ * @param {string} message - Footer text (optional)
+ */
+function createPanelFooter(message = 'Click a snippet to navigate to its source') {
+  const footer = document.createElement('div');
+  footer.className = 'ce-panel-footer';
+  footer.textContent = message;
+  return footer;
+}
+
+/**
+ * Creates the import/export modal.
+ * @param {Object} config - Modal configuration
+ * @returns {HTMLElement} Modal overlay
+ */
+export function createImportExportModal({ snippetCount, onClose, onExportJson, onExportMarkdown, onPreview, onConfirm }) {
+  const overlay = document.createElement('div');
+  overlay.className = 'ce-modal-overlay ce-extension';
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      onClose();
+    }
+  });
+
   const modal = document.createElement('div');
   modal.className = 'ce-modal ce-modal-show';
 
@@ -543,19 +1572,141 @@ export function createImportExportModal({ snippetCount, onClose, onExportJson, o
   return overlay;
 }
 
+/**
+ * Computes the position of the save bubble next to a selection.
+ * Prefers above the selection, flips below when there is no room, and stays inside the viewport.
+ * @param {{top: number, bottom: number, left: number, right: number}} rect - Selection bounding rect
+ * @param {{width: number, height: number}} size - Bubble size
+ * @param {{width: number, height: number}} viewport - Viewport size
+ * @param {number} gap - Distance from the selection in px (default: 8)
+ * @returns {{top: number, left: number, placement: string}} Position in viewport coordinates
+ */
+export function getBubblePosition(rect, size, viewport, gap = 8) {
+  const margin = 8;
+  const centerX = (rect.left + rect.right) / 2;
+  const maxLeft = Math.max(margin, viewport.width - size.width - margin);
+  const left = Math.min(Math.max(centerX - size.width / 2, margin), maxLeft);
+
+  const above = rect.top - size.height - gap;
+  if (above >= margin) {
+    return { top: above, left, placement: 'above' };
+  }
+
+  const below = rect.bottom + gap;
+  const maxTop = Math.max(margin, viewport.height - size.height - margin);
+  return { top: Math.min(below, maxTop), left, placement: 'below' };
+}
+
+/**
+ * Creates the floating "Save snippet" bubble shown next to a selection.
+ * @param {Object} config - Bubble configuration
+ * @param {Function} config.onSave - Save handler () => void
+ * @param {Function} config.onSaveWithNote - Save with note handler (note) => void
+ * @param {Function} config.onSaveWithTag - Save with tag handler (tag) => void
+ * @param {Function} config.onDismiss - Dismiss handler () => void
+ * @param {Array} config.palette - Palette entries to pick a color from (optional)
+ * @param {Function} config.onColorChange - Color picked handler (colorId|null) => void (optional)
+ * @returns {HTMLElement} Bubble element
+ */
+export function createSaveBubble({ onSave, onSaveWithNote, onSaveWithTag, onDismiss, palette, onColorChange }) {
+  const bubble = document.createElement('div');
+  bubble.className = 'ce-save-bubble ce-extension';
+  bubble.setAttribute('role', 'toolbar');
+  bubble.setAttribute('aria-label', 'Save snippet');
+  
+  // Keep the page selection intact while interacting with the buttons
+  bubble.addEventListener('mousedown', (e) => {
+    if (e.target.tagName !== 'INPUT') {
+      e.preventDefault();
+    }
+  });
+  
+  const actions = document.createElement('div');
+  actions.className = 'ce-save-bubble-actions';
+  
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'ce-toolbar-btn ce-save-bubble-btn';
+  saveBtn.textContent = 'Save';
+  saveBtn.setAttribute('aria-label', 'Save snippet');
+  saveBtn.addEventListener('click', () => onSave());
+  
+  const noteBtn = document.createElement('button');
+  noteBtn.className = 'ce-toolbar-btn ce-save-bubble-btn';
+  noteBtn.textContent = '+ Note';
+  noteBtn.setAttribute('aria-label', 'Save snippet with note');
+  
+  const tagBtn = document.createElement('button');
+  tagBtn.className = 'ce-toolbar-btn ce-save-bubble-btn';
+  tagBtn.textContent = '+ Tag';
+  tagBtn.setAttribute('aria-label', 'Save snippet with tag');
+  
+  actions.appendChild(saveBtn);
+  actions.appendChild(noteBtn);
+  actions.appendChild(tagBtn);
+  bubble.appendChild(actions);
+  
+  if (palette && palette.length > 0 && onColorChange) {
+    bubble.appendChild(createColorSwatches(palette, onColorChange));
+  }
+  
+  // Inline input for note/tag, shown on demand
+  const showInput = (placeholder, onSubmit) => {
+    bubble.querySelector('.ce-save-bubble-input')?.remove();
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'ce-search-input ce-save-bubble-input';
+    input.placeholder = placeholder;
+    input.setAttribute('aria-label', placeholder);
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        onSubmit(input.value.trim());
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        onDismiss();
+      }
+    });
+    
+    bubble.appendChild(input);
+    input.focus();
+  };
+  
+  noteBtn.addEventListener('click', () => showInput('Note… (Enter to save)', onSaveWithNote));
+  tagBtn.addEventListener('click', () => showInput('Tag… (Enter to save)', onSaveWithTag));
+  
+  return bubble;
+}
+
 /**
  * Creates a toast notification.
  * @param {string} message - Toast message
  * @param {number} duration - Duration in milliseconds
+ * @param {Object} action - Optional action button: { label, onClick }
  * @returns {HTMLElement} Toast element
  */
-export function createToast(message, duration = 3000) {
+export function createToast(message, duration = 3000, action = null) {
   const toast = document.createElement('div');
   toast.className = 'ce-toast';
   toast.textContent = message;
   toast.setAttribute('role', 'status');
   toast.setAttribute('aria-live', 'polite');
   
+  if (action) {
+    const actionBtn = document.createElement('button');
+    actionBtn.className = 'ce-toast-action';
+    actionBtn.textContent = action.label;
+    actionBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      action.onClick();
+      if (toast.parentNode) {
+        toast.parentNode.removeChild(toast);
+      }
+    });
+    toast.appendChild(actionBtn);
+  }
+  
   const container = document.getElementById(CONTAINER_ID) || createContainer();
   container.appendChild(toast);
   
@@ -577,6 +1728,501 @@ export function createToast(message, duration = 3000) {
   return toast;
 }
 
+/**
+ * Creates a toast that stays open while a long task runs, with a progress bar and Cancel button.
+ * @param {Object} params
+ * @param {string} params.message - Toast message
+ * @param {Function} params.onCancel - Cancel handler (the toast closes itself)
+ * @returns {{element: HTMLElement, update: Function, close: Function}} Toast element, progress
+ *   update (takes a 0-1 fraction) and close function
+ */
+export function createProgressToast({ message, onCancel }) {
+  const toast = document.createElement('div');
+  toast.className = 'ce-toast ce-toast-progress';
+  toast.setAttribute('role', 'status');
+  toast.setAttribute('aria-live', 'polite');
+
+  const text = document.createElement('span');
+  text.textContent = message;
+  toast.appendChild(text);
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.className = 'ce-toast-action';
+  cancelBtn.textContent = 'Cancel';
+  toast.appendChild(cancelBtn);
+
+  const bar = document.createElement('div');
+  bar.className = 'ce-toast-progress-bar';
+  bar.setAttribute('role', 'progressbar');
+  bar.setAttribute('aria-valuemin', '0');
+  bar.setAttribute('aria-valuemax', '100');
+  const fill = document.createElement('div');
+  fill.className = 'ce-toast-progress-fill';
+  bar.appendChild(fill);
+  toast.appendChild(bar);
+
+  const close = () => {
+    toast.classList.remove('ce-toast-show');
+    setTimeout(() => {
+      if (toast.parentNode) {
+        toast.parentNode.removeChild(toast);
+      }
+    }, 300); // Wait for fade-out animation
+  };
+
+  const update = (fraction) => {
+    const percent = Math.round(Math.min(1, Math.max(0, fraction)) * 100);
+    fill.style.width = `${percent}%`;
+    bar.setAttribute('aria-valuenow', String(percent));
+  };
+
+  cancelBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    close();
+    onCancel();
+  });
+
+  const container = document.getElementById(CONTAINER_ID) || createContainer();
+  container.appendChild(toast);
+  requestAnimationFrame(() => {
+    toast.classList.add('ce-toast-show');
+  });
+
+  return { element: toast, update, close };
+}
+
+/**
+ * Marks a snippet item as keyboard-focused and scrolls it into view.
+ * @param {HTMLElement} panel - Panel element
+ * @param {string|null} id - Snippet ID, or null to clear focus
+ */
+export function setFocusedSnippet(panel, id) {
+  if (!panel) return;
+  
+  panel.querySelectorAll('.ce-snippet-focused').forEach((item) => {
+    item.classList.remove('ce-snippet-focused');
+  });
+  if (!id) return;
+  
+  const item = Array.from(panel.querySelectorAll('.ce-snippet-item'))
+    .find(el => el.getAttribute('data-snippet-id') === id);
+  if (item) {
+    item.classList.add('ce-snippet-focused');
+    item.scrollIntoView?.({ block: 'nearest' });
+  }
+}
+
+/**
+ * Creates the keyboard shortcuts editor modal.
+ * @param {Object} config - Modal configuration
+ * @param {Object} config.shortcuts - Shortcut map (action -> shortcut)
+ * @param {Function} config.onChange - (action, shortcut) => updated shortcut map
+ * @param {Function} config.onReset - () => default shortcut map
+ * @param {Function} config.onClose - Close handler
+ * @returns {HTMLElement} Modal overlay
+ */
+export function createShortcutsModal({ shortcuts, onChange, onReset, onClose }) {
+  let currentShortcuts = { ...shortcuts };
+  
+  const overlay = document.createElement('div');
+  overlay.className = 'ce-modal-overlay ce-extension';
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      onClose();
+    }
+  });
+  
+  const modal = document.createElement('div');
+  modal.className = 'ce-modal ce-modal-show';
+  
+  const body = document.createElement('div');
+  body.className = 'ce-modal-body';
+  
+  const titleRow = document.createElement('div');
+  titleRow.className = 'ce-modal-title-row';
+  
+  const title = document.createElement('h3');
+  title.className = 'ce-modal-title';
+  title.textContent = 'Keyboard Shortcuts';
+  
+  const closeIcon = document.createElement('button');
+  closeIcon.className = 'ce-btn ce-btn-icon';
+  closeIcon.setAttribute('aria-label', 'Close keyboard shortcuts');
+  closeIcon.innerHTML = '×';
+  closeIcon.addEventListener('click', onClose);
+  
+  titleRow.appendChild(title);
+  titleRow.appendChild(closeIcon);
+  
+  const message = document.createElement('p');
+  message.className = 'ce-modal-message';
+  message.textContent = 'Click a shortcut, then press the new key combination. Shortcuts never fire while typing in ChatGPT\'s prompt.';
+  
+  const list = document.createElement('div');
+  list.className = 'ce-shortcut-list';
+  
+  const renderRows = () => {
+    list.innerHTML = '';
+    SHORTCUT_ACTIONS.forEach(({ id, label }) => {
+      const row = document.createElement('div');
+      row.className = 'ce-shortcut-row';
+      
+      const labelEl = document.createElement('span');
+      labelEl.className = 'ce-shortcut-label';
+      labelEl.textContent = label;
+      
+      const keyBtn = document.createElement('button');
+      keyBtn.className = 'ce-btn ce-btn-secondary ce-shortcut-key';
+      keyBtn.setAttribute('data-action', id);
+      keyBtn.textContent = formatShortcut(currentShortcuts[id]);
+      keyBtn.setAttribute('aria-label', `${label}: ${formatShortcut(currentShortcuts[id])}. Click to change`);
+      
+      keyBtn.addEventListener('click', () => {
+        keyBtn.textContent = 'Press keys…';
+        keyBtn.classList.add('ce-shortcut-recording');
+        
+        const onKeyDown = (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          if (e.key === 'Escape') {
+            stopRecording();
+            renderRows();
+            return;
+          }
+          if (e.key === 'Backspace' || e.key === 'Delete') {
+            stopRecording();
+            currentShortcuts = onChange(id, '');
+            renderRows();
+            return;
+          }
+          const shortcut = eventToShortcut(e);
+          if (!shortcut) return; // Modifier only, keep waiting
+          stopRecording();
+          currentShortcuts = onChange(id, shortcut);
+          renderRows();
+        };
+        const stopRecording = () => {
+          document.removeEventListener('keydown', onKeyDown, true);
+        };
+        document.addEventListener('keydown', onKeyDown, true);
+      });
+      
+      row.appendChild(labelEl);
+      row.appendChild(keyBtn);
+      list.appendChild(row);
+    });
+  };
+  renderRows();
+  
+  const actions = document.createElement('div');
+  actions.className = 'ce-modal-actions';
+  
+  const resetBtn = document.createElement('button');
+  resetBtn.className = 'ce-btn ce-btn-secondary';
+  resetBtn.textContent = 'Reset to defaults';
+  resetBtn.addEventListener('click', () => {
+    currentShortcuts = onReset();
+    renderRows();
+  });
+  
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'ce-btn ce-btn-secondary';
+  closeBtn.textContent = 'Close';
+  closeBtn.addEventListener('click', onClose);
+  
+  actions.appendChild(resetBtn);
+  actions.appendChild(closeBtn);
+  
+  body.appendChild(titleRow);
+  body.appendChild(message);
+  body.appendChild(list);
+  
+  modal.appendChild(body);
+  modal.appendChild(actions);
+  overlay.appendChild(modal);
+  
+  return overlay;
+}
+
+/**
+ * Creates the palette editor modal (label and color of each palette entry).
+ * @param {Object} config - Modal configuration
+ * @param {Array} config.palette - Palette entries {id, label, color}
+ * @param {Function} config.onChange - (id, {label?, color?}) => updated palette
+ * @param {Function} config.onReset - Restores the default palette, returns it
+ * @param {Function} config.onClose - Close handler
+ * @returns {HTMLElement} Modal overlay element
+ */
+export function createPaletteModal({ palette, onChange, onReset, onClose }) {
+  let currentPalette = palette;
+  
+  const overlay = document.createElement('div');
+  overlay.className = 'ce-modal-overlay ce-extension';
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      onClose();
+    }
+  });
+  
+  const modal = document.createElement('div');
+  modal.className = 'ce-modal ce-modal-show';
+  
+  const body = document.createElement('div');
+  body.className = 'ce-modal-body';
+  
+  const titleRow = document.createElement('div');
+  titleRow.className = 'ce-modal-title-row';
+  
+  const title = document.createElement('h3');
+  title.className = 'ce-modal-title';
+  title.textContent = 'Colors';
+  
+  const closeIcon = document.createElement('button');
+  closeIcon.className = 'ce-btn ce-btn-icon';
+  closeIcon.setAttribute('aria-label', 'Close colors');
+  closeIcon.innerHTML = '×';
+  closeIcon.addEventListener('click', onClose);
+  
+  titleRow.appendChild(title);
+  titleRow.appendChild(closeIcon);
+  
+  const message = document.createElement('p');
+  message.className = 'ce-modal-message';
+  message.textContent = 'Name each color after what you use it for. Colors are picked in the Save bubble or with the Save with color shortcuts.';
+  
+  const list = document.createElement('div');
+  list.className = 'ce-palette-list';
+  
+  const renderRows = () => {
+    list.innerHTML = '';
+    currentPalette.forEach(({ id, label, color }) => {
+      const row = document.createElement('div');
+      row.className = 'ce-palette-row';
+      row.setAttribute('data-color', id);
+      
+      const colorInput = document.createElement('input');
+      colorInput.type = 'color';
+      colorInput.className = 'ce-palette-color';
+      colorInput.value = color;
+      colorInput.setAttribute('aria-label', `${label} color`);
+      colorInput.addEventListener('change', () => {
+        currentPalette = onChange(id, { color: colorInput.value });
+      });
+      
+      const labelInput = document.createElement('input');
+      labelInput.type = 'text';
+      labelInput.className = 'ce-search-input ce-palette-label';
+      labelInput.value = label;
+      labelInput.maxLength = 24;
+      labelInput.setAttribute('aria-label', `Label for ${label}`);
+      labelInput.addEventListener('keydown', e => e.stopPropagation());
+      labelInput.addEventListener('change', () => {
+        currentPalette = onChange(id, { label: labelInput.value });
+        // Empty labels are rejected: show the stored one again
+        labelInput.value = currentPalette.find(entry => entry.id === id)?.label || label;
+      });
+      
+      row.appendChild(colorInput);
+      row.appendChild(labelInput);
+      list.appendChild(row);
+    });
+  };
+  renderRows();
+  
+  const actions = document.createElement('div');
+  actions.className = 'ce-modal-actions';
+  
+  const resetBtn = document.createElement('button');
+  resetBtn.className = 'ce-btn ce-btn-secondary';
+  resetBtn.textContent = 'Reset to defaults';
+  resetBtn.addEventListener('click', () => {
+    currentPalette = onReset();
+    renderRows();
+  });
+  
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'ce-btn ce-btn-secondary';
+  closeBtn.textContent = 'Close';
+  closeBtn.addEventListener('click', onClose);
+  
+  actions.appendChild(resetBtn);
+  actions.appendChild(closeBtn);
+  
+  body.appendChild(titleRow);
+  body.appendChild(message);
+  body.appendChild(list);
+  
+  modal.appendChild(body);
+  modal.appendChild(actions);
+  overlay.appendChild(modal);
+  
+  return overlay;
+}
+
+/**
+ * Creates the tag manager modal: rename a tag (renaming to an existing tag merges them)
+ * or tick several tags and merge them into one.
+ * @param {Object} config - Modal configuration
+ * @param {Array<{tag: string, count: number}>} config.tags - Tags with snippet counts
+ * @param {Function} config.onRename - (fromTag, toTag) => updated tags
+ * @param {Function} config.onMerge - (tags, targetTag) => updated tags
+ * @param {Function} config.onClose - Close handler
+ * @returns {HTMLElement} Modal overlay element
+ */
+export function createTagManagerModal({ tags, onRename, onMerge, onClose }) {
+  let currentTags = tags;
+  const selected = new Set();
+  
+  const overlay = document.createElement('div');
+  overlay.className = 'ce-modal-overlay ce-extension';
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      onClose();
+    }
+  });
+  
+  const modal = document.createElement('div');
+  modal.className = 'ce-modal ce-modal-show';
+  
+  const body = document.createElement('div');
+  body.className = 'ce-modal-body';
+  
+  const titleRow = document.createElement('div');
+  titleRow.className = 'ce-modal-title-row';
+  
+  const title = document.createElement('h3');
+  title.className = 'ce-modal-title';
+  title.textContent = 'Tags';
+  
+  const closeIcon = document.createElement('button');
+  closeIcon.className = 'ce-btn ce-btn-icon';
+  closeIcon.setAttribute('aria-label', 'Close tags');
+  closeIcon.innerHTML = '×';
+  closeIcon.addEventListener('click', onClose);
+  
+  titleRow.appendChild(title);
+  titleRow.appendChild(closeIcon);
+  
+  const message = document.createElement('p');
+  message.className = 'ce-modal-message';
+  message.textContent = 'Rename a tag on every snippet that has it. Renaming to an existing tag merges the two.';
+  
+  const list = document.createElement('div');
+  list.className = 'ce-tag-manager-list';
+  
+  const mergeRow = document.createElement('div');
+  mergeRow.className = 'ce-tag-manager-merge';
+  
+  const targetInput = document.createElement('input');
+  targetInput.type = 'text';
+  targetInput.className = 'ce-search-input ce-tag-manager-target';
+  targetInput.placeholder = 'Merge into…';
+  targetInput.maxLength = MAX_TAG_LENGTH;
+  targetInput.setAttribute('aria-label', 'Tag to merge the selected tags into');
+  targetInput.addEventListener('keydown', e => e.stopPropagation());
+  
+  const mergeBtn = document.createElement('button');
+  mergeBtn.className = 'ce-btn ce-btn-secondary';
+  mergeBtn.textContent = 'Merge selected';
+  
+  const updateMergeState = () => {
+    mergeBtn.disabled = selected.size < 2 && !(selected.size === 1 && normalizeTag(targetInput.value));
+  };
+  targetInput.addEventListener('input', updateMergeState);
+  
+  const renderRows = () => {
+    list.innerHTML = '';
+    if (currentTags.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'ce-empty-state';
+      empty.textContent = 'No tags yet';
+      list.appendChild(empty);
+    }
+    currentTags.forEach(({ tag, count }) => {
+      const row = document.createElement('div');
+      row.className = 'ce-tag-manager-row';
+      row.setAttribute('data-tag', tag);
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'ce-tag-manager-select';
+      checkbox.checked = selected.has(tag);
+      checkbox.setAttribute('aria-label', `Select #${tag}`);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          selected.add(tag);
+        } else {
+          selected.delete(tag);
+        }
+        updateMergeState();
+      });
+      
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.className = 'ce-search-input ce-tag-manager-name';
+      nameInput.value = tag;
+      nameInput.maxLength = MAX_TAG_LENGTH;
+      nameInput.setAttribute('aria-label', `Rename #${tag}`);
+      nameInput.addEventListener('keydown', e => e.stopPropagation());
+      nameInput.addEventListener('change', () => {
+        const newTag = normalizeTag(nameInput.value);
+        if (!newTag || newTag === tag) {
+          nameInput.value = tag;
+          return;
+        }
+        selected.delete(tag);
+        currentTags = onRename(tag, newTag);
+        renderRows();
+      });
+      
+      const countEl = document.createElement('span');
+      countEl.className = 'ce-tag-manager-count';
+      countEl.textContent = `${count} snippet${count !== 1 ? 's' : ''}`;
+      
+      row.appendChild(checkbox);
+      row.appendChild(nameInput);
+      row.appendChild(countEl);
+      list.appendChild(row);
+    });
+    updateMergeState();
+  };
+  
+  mergeBtn.addEventListener('click', () => {
+    const sources = currentTags.map(({ tag }) => tag).filter(tag => selected.has(tag));
+    // Without a typed target, merge into the most used selected tag
+    const target = normalizeTag(targetInput.value) || sources[0];
+    if (!target || sources.length === 0) return;
+    currentTags = onMerge(sources, target);
+    selected.clear();
+    targetInput.value = '';
+    renderRows();
+  });
+  
+  renderRows();
+  mergeRow.appendChild(targetInput);
+  mergeRow.appendChild(mergeBtn);
+  
+  const actions = document.createElement('div');
+  actions.className = 'ce-modal-actions';
+  
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'ce-btn ce-btn-secondary';
+  closeBtn.textContent = 'Close';
+  closeBtn.addEventListener('click', onClose);
+  actions.appendChild(closeBtn);
+  
+  body.appendChild(titleRow);
+  body.appendChild(message);
+  body.appendChild(list);
+  body.appendChild(mergeRow);
+  
+  modal.appendChild(body);
+  modal.appendChild(actions);
+  overlay.appendChild(modal);
+  
+  return overlay;
+}
+
 /**
  * Updates the FAB count.
  * @param {HTMLElement} fab - FAB element
@@ -602,15 +2248,40 @@ export function updateFABCount(fab, count) {
  * @param {Function} onScopeChange - Scope change handler (optional)
  * @param {string} currentScope - Current scope (optional)
  * @param {string|null} currentProjectId - Current project ID (optional)
+ * @param {Object} selection - Multi-select state and bulk handlers (optional)
+ * @param {Object} colors - Palette and color filter state, see createColorFilter (optional)
+ * @param {Function} onNoteChange - Note edit handler (id, note) => void (optional)
+ * @param {Object} tags - Tag editing and tag filter state, see createTagFilter (optional)
+ * @param {Object} search - Match highlighting and result order, see createSearchSortToggle (optional)
+ * @param {Object} view - List sort and grouping, see createListControls (optional)
  */
-export function updatePanel(panel, snippets, onRemove, onSnippetClick, totalCount, searchQuery, onSearch, onScopeChange, currentScope, currentProjectId) {
+export function updatePanel(panel, snippets, onRemove, onSnippetClick, totalCount, searchQuery, onSearch, onScopeChange, currentScope, currentProjectId, selection, colors, onNoteChange, tags, search, view) {
   const list = panel.querySelector('.ce-snippet-list');
   if (!list) return;
   
+  // Keep a note being edited open, with its draft, across the rebuild (e.g. a change from another tab)
+  const openEditor = list.querySelector('.ce-note-editor');
+  const noteDraft = openEditor && document.activeElement === openEditor
+    ? { id: openEditor.closest('.ce-snippet-item').getAttribute('data-snippet-id'), value: openEditor.value }
+    : null;
+  
+  // Rebuild the bulk action bar so counts and disabled states follow the list
+  const existingBar = panel.querySelector('.ce-button-bar');
+  if (selection) {
+    const bar = createBulkActionBar(snippets, selection);
+    if (existingBar) {
+      existingBar.replaceWith(bar);
+    } else {
+      list.parentNode.insertBefore(bar, list);
+    }
+  } else if (existingBar) {
+    existingBar.remove();
+  }
+  
   // Clear existing items
   list.innerHTML = '';
   
-  if (snippets.length === 0) {
+  if (snippets.length === 0 && !view?.groups?.length) {
     const emptyState = document.createElement('div');
     emptyState.className = 'ce-empty-state';
     emptyState.textContent = searchQuery && searchQuery.trim() 
@@ -618,9 +2289,14 @@ export function updatePanel(panel, snippets, onRemove, onSnippetClick, totalCoun
       : 'Select text to save a snippet';
     list.appendChild(emptyState);
   } else {
-    snippets.forEach((snippet, index) => {
-      const item = createSnippetItem(snippet, index, onRemove, onSnippetClick);
-      list.appendChild(item);
+    appendSnippetItems(list, snippets, view, (snippet, index) => {
+      const item = createSnippetItem(snippet, index, onRemove, onSnippetClick, selection, onNoteChange, tags, search, view);
+      if (noteDraft && noteDraft.id === snippet.id && onNoteChange) {
+        // The editor can only take focus once the item is in the document
+        list.appendChild(item);
+        openNoteEditor(item, snippet, onNoteChange, noteDraft.value);
+      }
+      return item;
     });
   }
   
@@ -633,6 +2309,21 @@ export function updatePanel(panel, snippets, onRemove, onSnippetClick, totalCoun
   if (clearSearchBtn) {
     clearSearchBtn.style.display = (searchQuery && searchQuery.trim()) ? 'flex' : 'none';
   }
+  renderSearchFeedback(panel, searchQuery);
+  
+  // Show the relevance/time toggle while searching
+  const sortToggle = panel.querySelector('.ce-search-sort');
+  if (search && searchQuery && searchQuery.trim()) {
+    const newSortToggle = createSearchSortToggle(search);
+    const feedback = panel.querySelector('.ce-search-feedback');
+    if (sortToggle) {
+      sortToggle.replaceWith(newSortToggle);
+    } else if (feedback) {
+      feedback.before(newSortToggle);
+    }
+  } else if (sortToggle) {
+    sortToggle.remove();
+  }
   
   // Update scope selector
   const scopeSelector = panel.querySelector('.ce-scope-selector');
@@ -723,6 +2414,48 @@ export function updatePanel(panel, snippets, onRemove, onSnippetClick, totalCoun
     scopeSelector.remove();
   }
   
+  // Rebuild the color filter so the active chip and labels follow state
+  const colorFilter = panel.querySelector('.ce-color-filter');
+  if (colors) {
+    const newColorFilter = createColorFilter(colors);
+    const actions = panel.querySelector('.ce-panel-actions');
+    if (colorFilter) {
+      colorFilter.replaceWith(newColorFilter);
+    } else if (actions) {
+      actions.parentNode.insertBefore(newColorFilter, actions);
+    }
+  } else if (colorFilter) {
+    colorFilter.remove();
+  }
+  
+  // Rebuild the tag filter so chips and counts follow the list
+  const tagFilter = panel.querySelector('.ce-tag-filter');
+  if (tags) {
+    const newTagFilter = createTagFilter(tags);
+    const actions = panel.querySelector('.ce-panel-actions');
+    if (tagFilter) {
+      tagFilter.replaceWith(newTagFilter);
+    } else if (actions) {
+      actions.parentNode.insertBefore(newTagFilter, actions);
+    }
+  } else if (tagFilter) {
+    tagFilter.remove();
+  }
+  
+  // Rebuild the sort and grouping menus (the scope, and with it the view, may have changed)
+  const listControls = panel.querySelector('.ce-list-controls');
+  if (view) {
+    const newListControls = createListControls(view);
+    const actions = panel.querySelector('.ce-panel-actions');
+    if (listControls) {
+      listControls.replaceWith(newListControls);
+    } else if (actions) {
+      actions.parentNode.insertBefore(newListControls, actions);
+    }
+  } else if (listControls) {
+    listControls.remove();
+  }
+  
   // Update title with search counter if search is active
   const title = panel.querySelector('.ce-panel-title');
   if (title && searchQuery && searchQuery.trim() && totalCount !== undefined && totalCount !== snippets.length) {
@@ -0,0 +1,816 @@
+/**
+ * Library page entry point: an extension page (the options page, opened in a tab)
+ * for browsing and managing every snippet without ChatGPT open.
+ * A tree of projects, conversations and tags on the left narrows the list; the
+ * list reuses the panel's search, bulk actions and inline note and tag editing;
+ * clicking a snippet shows its details, clicking its text opens it in ChatGPT.
+ * Reads and writes the same chrome.storage.local library as the content script,
+ * so changes show up in open ChatGPT tabs and vice versa.
+ */
+
+import { createEmptyStorage, findProjectName, getConversation, removeSnippet, upsertSnippet, READ_ONLY_MESSAGE } from '../content/storage.js';
+import { createChromeStorageAdapter } from '../content/storageAdapters.js';
+import { applyPageSettings, createLibrarySession, watchPageSettings } from '../content/pageSession.js';
+import { applyImport, buildJsonExport, buildMarkdownExport, downloadTextFile, exportFilename, formatImportStatus, getSnippetSource, previewImportFile, writeSnippetsToClipboard } from '../content/exchange.js';
+import { MAX_NOTE_LENGTH, createBulkActionBar, createColorFilter, createContainer, createImportExportModal, createListControls, createSearchBox, createSnippetList, createToast, formatSnippetSource, renderSearchFeedback, setFocusedSnippet } from '../content/ui.js';
+import { createSnippetSearch } from '../shared/snippetSearch.js';
+import { getQueryTerms, parseQuery } from '../shared/query.js';
+import { DEFAULT_LIST_VIEW, groupSnippets, sortSnippets } from '../shared/listView.js';
+import { getColorLabel, resolvePalette } from '../shared/palette.js';
+import { normalizeTag } from '../shared/tags.js';
+import { getSegmentLabel, isCompoundSnippet } from '../shared/segments.js';
+import { computeLibraryStats } from '../shared/stats.js';
+import { ALL_NODE, buildLibraryTree, getConversationLabel, getNodeLabel, getNodeSnippets, getProjectLabel, isNodeAvailable } from './tree.js';
+import { getSnippetUrl } from './links.js';
+
+// State
+const state = {
+  storage: createEmptyStorage(),
+  settings: {
+    theme: 'auto',
+    palette: resolvePalette(null)
+  },
+  // Tree node the list shows (see tree.js)
+  node: ALL_NODE,
+  searchQuery: '',
+  searchSort: 'relevance', // 'relevance' or 'time' (the list's sort)
+  colorFilter: null,
+  view: { ...DEFAULT_LIST_VIEW },
+  collapsedGroups: new Set(), // '<group mode>:<group key>' of collapsed list groups
+  selectedIds: new Set(),
+  // Last checkbox clicked, the anchor for shift-click range selection
+  selectionAnchorId: null,
+  // Snippet shown in the detail pane
+  detailId: null
+};
+
+// Page elements
+let root = null;
+let searchBox = null;
+let nav = null;
+let main = null;
+let detail = null;
+let importExportModal = null;
+
+const storageAdapter = createChromeStorageAdapter();
+const snippetSearch = createSnippetSearch();
+// Saving, merging and undo of the library (see pageSession.js)
+const session = createLibrarySession({
+  adapter: storageAdapter,
+  getStorage: () => state.storage,
+  setStorage: (storage) => {
+    state.storage = storage;
+  },
+  onChange: () => refresh()
+});
+
+/**
+ * Initializes the page.
+ */
+async function init() {
+  root = document.getElementById('ce-library');
+  createContainer(); // Holds toasts
+
+  await loadState();
+  applyPageSettings(state.settings);
+
+  renderPage();
+
+  storageAdapter.subscribe(session.mergeRemote);
+  // Follows theme and palette changes made in a ChatGPT tab
+  watchPageSettings({ getSettings: () => state.settings, applySettings, render: renderPage });
+  document.addEventListener('keydown', handleKeydown);
+}
+
+/**
+ * Loads settings (theme, palette) and the library.
+ */
+async function loadState() {
+  try {
+    const { settings } = await chrome.storage.local.get('settings');
+    applySettings(settings);
+    state.storage = await storageAdapter.load();
+    snippetSearch.sync(state.storage.snippetsById);
+  } catch (error) {
+    console.error('Failed to load state:', error);
+    createToast('Failed to load snippets');
+  }
+}
+
+/**
+ * Takes the settings this page uses from the saved settings. The page never
+ * writes settings: the content script owns them.
+ * @param {Object} settings - Saved settings (may be missing)
+ */
+function applySettings(settings) {
+  state.settings = {
+    theme: settings?.theme || 'auto',
+    palette: resolvePalette(settings?.palette)
+  };
+}
+
+/**
+ * Re-renders everything but the search box (which keeps focus while typing)
+ * after storage or filters changed.
+ */
+function refresh() {
+  snippetSearch.sync(state.storage.snippetsById);
+  // Drop what no longer exists (deleted here or in another tab)
+  state.selectedIds.forEach((id) => {
+    if (!state.storage.snippetsById[id]) {
+      state.selectedIds.delete(id);
+    }
+  });
+  if (!isNodeAvailable(state.storage, state.node)) {
+    state.node = ALL_NODE;
+  }
+  if (state.detailId && !state.storage.snippetsById[state.detailId]) {
+    state.detailId = null;
+  }
+  renderNav();
+  renderMain();
+  renderDetail();
+}
+
+/**
+ * Builds the page.
+ */
+function renderPage() {
+  root.innerHTML = '';
+
+  const header = document.createElement('header');
+  header.className = 'ce-library-header';
+  const title = document.createElement('h1');
+  title.className = 'ce-library-title';
+  title.textContent = 'Snippet Library';
+  header.appendChild(title);
+
+  searchBox = createSearchBox({ searchQuery: state.searchQuery, onSearch: handleSearch, search: getSearchConfig() });
+  header.appendChild(searchBox);
+
+  const actions = document.createElement('div');
+  actions.className = 'ce-library-actions';
+  const manageBtn = document.createElement('button');
+  manageBtn.className = 'ce-btn ce-btn-secondary ce-btn-manage';
+  manageBtn.textContent = 'Import/Export';
+  manageBtn.setAttribute('aria-label', 'Import or export snippets');
+  manageBtn.addEventListener('click', handleOpenImportExport);
+  actions.appendChild(manageBtn);
+  header.appendChild(actions);
+  root.appendChild(header);
+
+  if (state.storage.readOnly) {
+    const notice = document.createElement('div');
+    notice.className = 'ce-library-notice';
+    notice.setAttribute('role', 'note');
+    notice.textContent = 'Snippets were saved by a newer version of the extension. Changes won\'t be saved until you update it.';
+    root.appendChild(notice);
+  }
+
+  const body = document.createElement('div');
+  body.className = 'ce-library-body';
+  nav = document.createElement('nav');
+  nav.className = 'ce-library-nav';
+  nav.setAttribute('aria-label', 'Projects, conversations and tags');
+  main = document.createElement('main');
+  main.className = 'ce-library-main';
+  detail = document.createElement('aside');
+  detail.className = 'ce-library-detail';
+  detail.setAttribute('aria-label', 'Snippet details');
+  body.appendChild(nav);
+  body.appendChild(main);
+  body.appendChild(detail);
+  root.appendChild(body);
+
+  refresh();
+}
+
+/**
+ * Renders the statistics and the navigation tree.
+ */
+function renderNav() {
+  nav.innerHTML = '';
+  nav.appendChild(createStats(computeLibraryStats(state.storage)));
+
+  const tree = buildLibraryTree(state.storage);
+  const addSection = (label, nodes) => {
+    if (nodes.length === 0) return;
+    const heading = document.createElement('h2');
+    heading.className = 'ce-library-nav-heading';
+    heading.textContent = label;
+    nav.appendChild(heading);
+    const list = document.createElement('ul');
+    list.className = 'ce-library-tree';
+    nodes.forEach(({ node, label: nodeLabel, count, children = [] }) => {
+      const entry = document.createElement('li');
+      entry.appendChild(createNavButton(node, nodeLabel, count));
+      if (children.length > 0) {
+        const nested = document.createElement('ul');
+        nested.className = 'ce-library-tree';
+        children.forEach((child) => {
+          const childEntry = document.createElement('li');
+          childEntry.appendChild(createNavButton(child.node, child.label, child.count));
+          nested.appendChild(childEntry);
+        });
+        entry.appendChild(nested);
+      }
+      list.appendChild(entry);
+    });
+    nav.appendChild(list);
+  };
+
+  addSection('Library', [
+    { node: ALL_NODE, label: 'All snippets', count: tree.total },
+    ...(tree.unfiled > 0 ? [{ node: { type: 'unfiled', id: null }, label: 'No conversation', count: tree.unfiled }] : [])
+  ]);
+  addSection('Projects', tree.projects.map(project => ({
+    node: { type: 'project', id: project.id },
+    label: project.label,
+    count: project.count,
+    children: project.conversations.map(conversation => ({
+      node: { type: 'conversation', id: conversation.id },
+      label: conversation.label,
+      count: conversation.count
+    }))
+  })));
+  addSection('Conversations', tree.conversations.map(conversation => ({
+    node: { type: 'conversation', id: conversation.id },
+    label: conversation.label,
+    count: conversation.count
+  })));
+  addSection('Tags', tree.tags.map(({ tag, count }) => ({ node: { type: 'tag', id: tag }, label: `#${tag}`, count })));
+}
+
+/**
+ * Creates a navigation tree entry.
+ * @param {Object} node - Tree node
+ * @param {string} label - Label
+ * @param {number} count - Snippet count
+ * @returns {HTMLElement} Button
+ */
+function createNavButton(node, label, count) {
+  const active = state.node.type === node.type && state.node.id === node.id;
+  const btn = document.createElement('button');
+  btn.className = 'ce-library-node';
+  btn.classList.toggle('active', active);
+  btn.setAttribute('aria-current', active ? 'true' : 'false');
+  btn.title = label;
+  const labelEl = document.createElement('span');
+  labelEl.className = 'ce-library-node-label';
+  labelEl.textContent = label;
+  const countEl = document.createElement('span');
+  countEl.className = 'ce-library-node-count';
+  countEl.textContent = String(count);
+  btn.appendChild(labelEl);
+  btn.appendChild(countEl);
+  btn.addEventListener('click', () => handleSelectNode(node));
+  return btn;
+}
+
+/**
+ * Creates the statistics block.
+ * @param {Object} stats - From computeLibraryStats
+ * @returns {HTMLElement} Stats element
+ */
+function createStats(stats) {
+  const list = document.createElement('dl');
+  list.className = 'ce-library-stats';
+  const rows = [
+    ['Snippets', stats.snippets],
+    ['Conversations', stats.conversations],
+    ['Projects', stats.projects],
+    ['Tags', stats.tags],
+    ['Saved this week', stats.recent],
+    ['With notes', stats.withNotes],
+    ['From your messages', stats.byRole.user || 0],
+    ['From ChatGPT', stats.byRole.assistant || 0],
+    ['In trash', stats.trashed]
+  ];
+  rows.forEach(([label, value]) => {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const description = document.createElement('dd');
+    description.textContent = String(value);
+    list.appendChild(term);
+    list.appendChild(description);
+  });
+  return list;
+}
+
+/**
+ * Gets the snippets of the list: the selected node, searched, filtered and sorted.
+ * Snippets of collapsed groups are left out.
+ * @returns {{snippets: Array, shown: Array, groups: Array|null}} Every matching
+ *   snippet, those shown (expanded groups), and the groups
+ */
+function getListSnippets() {
+  let snippets = getNodeSnippets(state.storage, state.node);
+  const searching = Boolean(state.searchQuery.trim());
+  if (searching) {
+    snippets = snippetSearch.filter(snippets, state.searchQuery, {
+      palette: state.settings.palette,
+      getConversationTitle: snippet => getConversation(state.storage, snippet.conversationId)?.title || null,
+      getProjectName: snippet => findProjectName(state.storage, snippet.projectId)
+    });
+  }
+  snippets = sortSnippets(snippets, state.view.sort);
+  if (searching && state.searchSort === 'relevance') {
+    snippets = snippetSearch.rank(snippets, state.searchQuery);
+  }
+  if (state.colorFilter) {
+    snippets = snippets.filter(snippet => snippet.color === state.colorFilter);
+  }
+
+  let groups = groupSnippets(snippets, state.view.group, { palette: state.settings.palette });
+  if (!groups) {
+    return { snippets, shown: snippets, groups: null };
+  }
+  groups = groups.map(({ key, snippets: items }) => ({
+    key,
+    label: getGroupLabel(state.view.group, key),
+    count: items.length,
+    collapsed: state.collapsedGroups.has(`${state.view.group}:${key}`),
+    snippets: items
+  }));
+  return {
+    snippets,
+    shown: groups.flatMap(group => (group.collapsed ? [] : group.snippets)),
+    groups: groups.map(({ key, label, count, collapsed }) => ({ key, label, count, collapsed }))
+  };
+}
+
+/**
+ * Gets the header label of a list group.
+ * @param {string} group - Grouping mode
+ * @param {string} key - Conversation ID, project ID or color ID ('' for none)
+ * @returns {string} Label
+ */
+function getGroupLabel(group, key) {
+  if (group === 'color') {
+    return key ? getColorLabel(state.settings.palette, key) || key : 'No color';
+  }
+  if (group === 'project') {
+    return key ? getProjectLabel(state.storage, key) : 'No project';
+  }
+  return key ? getConversationLabel(state.storage, key) : 'No conversation';
+}
+
+/**
+ * Builds the search config for match highlighting and result order.
+ * @returns {Object} Highlighted terms, result order and handler
+ */
+function getSearchConfig() {
+  return {
+    terms: getQueryTerms(parseQuery(state.searchQuery).ast),
+    sort: state.searchSort,
+    onSortChange: handleSearchSortChange
+  };
+}
+
+/**
+ * Renders the list pane: heading, filters, bulk actions and snippets.
+ */
+function renderMain() {
+  main.innerHTML = '';
+  const { snippets, shown, groups } = getListSnippets();
+
+  const heading = document.createElement('div');
+  heading.className = 'ce-library-main-heading';
+  const title = document.createElement('h2');
+  title.textContent = getNodeLabel(state.storage, state.node);
+  const count = document.createElement('span');
+  count.className = 'ce-library-count';
+  count.textContent = `${snippets.length} snippet${snippets.length !== 1 ? 's' : ''}`;
+  heading.appendChild(title);
+  heading.appendChild(count);
+  main.appendChild(heading);
+
+  const controls = document.createElement('div');
+  controls.className = 'ce-library-controls';
+  controls.appendChild(createColorFilter({
+    palette: state.settings.palette,
+    activeColor: state.colorFilter,
+    onFilterChange: handleColorFilterChange
+  }));
+  controls.appendChild(createListControls({
+    sort: state.view.sort,
+    group: state.view.group,
+    onSortChange: sort => handleListViewChange({ sort }),
+    onGroupChange: group => handleListViewChange({ group })
+  }));
+  main.appendChild(controls);
+
+  const selection = getSelectionConfig();
+  main.appendChild(createBulkActionBar(shown, selection));
+
+  const list = createSnippetList({
+    snippets: shown,
+    onRemove: handleRemove,
+    onSnippetClick: handleOpenSource,
+    onNoteChange: handleNoteChange,
+    selection,
+    tags: {
+      all: Object.keys(state.storage.index.byTag || {}),
+      onFilterChange: tag => handleSelectNode({ type: 'tag', id: tag }),
+      onTagsChange: handleTagsChange
+    },
+    search: getSearchConfig(),
+    view: {
+      groups,
+      getSource: snippet => getSnippetSource(state.storage, snippet),
+      onToggleGroup: handleToggleGroup
+    },
+    emptyMessage: state.searchQuery.trim() ? 'No snippets match your search' : 'No snippets here yet'
+  });
+  // The text opens the source; anywhere else on the item shows its details
+  list.addEventListener('click', (e) => {
+    if (e.target.closest('button, input, textarea, a, .ce-snippet-text')) return;
+    const item = e.target.closest('.ce-snippet-item');
+    if (item) {
+      handleShowDetail(item.getAttribute('data-snippet-id'));
+    }
+  });
+  main.appendChild(list);
+  setFocusedSnippet(list, state.detailId);
+}
+
+/**
+ * Renders the detail pane of the selected snippet.
+ */
+function renderDetail() {
+  detail.innerHTML = '';
+  const snippet = state.detailId ? state.storage.snippetsById[state.detailId] : null;
+  detail.hidden = !snippet;
+  if (!snippet) return;
+
+  const header = document.createElement('div');
+  header.className = 'ce-library-detail-header';
+  const title = document.createElement('h2');
+  title.textContent = snippet.conversationId ? getConversationLabel(state.storage, snippet.conversationId) : 'Snippet';
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'ce-btn ce-btn-icon';
+  closeBtn.setAttribute('aria-label', 'Close details');
+  closeBtn.innerHTML = '×';
+  closeBtn.addEventListener('click', () => handleShowDetail(null));
+  header.appendChild(title);
+  header.appendChild(closeBtn);
+  detail.appendChild(header);
+
+  const parts = isCompoundSnippet(snippet)
+    ? snippet.segments.map(segment => ({ label: getSegmentLabel(segment.role), text: segment.text }))
+    : [{ label: null, text: snippet.text }];
+  parts.forEach(({ label, text }) => {
+    const block = document.createElement('div');
+    block.className = 'ce-library-detail-text';
+    if (label) {
+      const labelEl = document.createElement('strong');
+      labelEl.textContent = `${label}: `;
+      block.appendChild(labelEl);
+    }
+    block.appendChild(document.createTextNode(text));
+    detail.appendChild(block);
+  });
+
+  const facts = document.createElement('dl');
+  facts.className = 'ce-library-detail-facts';
+  const source = getSnippetSource(state.storage, snippet);
+  const formatTime = time => (time ? new Date(time).toLocaleString() : null);
+  [
+    ['Source', formatSnippetSource({ role: source.role, model: source.model }, { includeModel: true })?.replace(/^from: /, '')],
+    ['Project', snippet.projectId ? getProjectLabel(state.storage, snippet.projectId) : null],
+    ['Color', getColorLabel(state.settings.palette, snippet.color)],
+    ['Tags', Array.isArray(snippet.tags) && snippet.tags.length > 0 ? snippet.tags.map(tag => `#${tag}`).join(' ') : null],
+    ['Note', snippet.note || null],
+    ['Saved', formatTime(snippet.createdAt)],
+    ['Edited', snippet.updatedAt && snippet.updatedAt !== snippet.createdAt ? formatTime(snippet.updatedAt) : null],
+    ['Truncated', snippet.truncated ? 'Yes, at 10,000 characters' : null]
+  ].filter(([, value]) => value).forEach(([label, value]) => {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const description = document.createElement('dd');
+    description.textContent = value;
+    facts.appendChild(term);
+    facts.appendChild(description);
+  });
+  detail.appendChild(facts);
+
+  const actions = document.createElement('div');
+  actions.className = 'ce-library-detail-actions';
+  const addAction = (label, onClick, disabled = false) => {
+    const btn = document.createElement('button');
+    btn.className = 'ce-btn ce-btn-secondary';
+    btn.textContent = label;
+    btn.disabled = disabled;
+    btn.addEventListener('click', onClick);
+    actions.appendChild(btn);
+  };
+  addAction('Open in ChatGPT', () => handleOpenSource(snippet), !getSnippetUrl(snippet));
+  addAction('Copy', () => copySnippets([snippet]));
+  addAction('Delete', () => handleRemove(snippet.id));
+  detail.appendChild(actions);
+}
+
+/**
+ * Updates the search box after the query or result order changed.
+ */
+function updateSearchBox() {
+  const clearSearchBtn = searchBox.querySelector('.ce-search-clear');
+  clearSearchBtn.style.display = state.searchQuery.trim() ? 'flex' : 'none';
+  renderSearchFeedback(searchBox, state.searchQuery);
+  const replacement = createSearchBox({ searchQuery: state.searchQuery, onSearch: handleSearch, search: getSearchConfig() });
+  const sortToggle = searchBox.querySelector('.ce-search-sort');
+  const newSortToggle = replacement.querySelector('.ce-search-sort');
+  if (sortToggle && newSortToggle) {
+    sortToggle.replaceWith(newSortToggle);
+  } else if (sortToggle) {
+    sortToggle.remove();
+  } else if (newSortToggle) {
+    searchBox.querySelector('.ce-search-feedback').before(newSortToggle);
+  }
+}
+
+function handleSearch(query) {
+  state.searchQuery = query;
+  updateSearchBox();
+  renderMain();
+}
+
+function handleSearchSortChange(sort) {
+  state.searchSort = sort;
+  updateSearchBox();
+  renderMain();
+}
+
+/**
+ * Shows the snippets under a tree node.
+ * @param {Object} node - Tree node
+ */
+function handleSelectNode(node) {
+  state.node = node;
+  state.selectedIds.clear();
+  state.selectionAnchorId = null;
+  renderNav();
+  renderMain();
+}
+
+function handleColorFilterChange(colorId) {
+  state.colorFilter = colorId;
+  renderMain();
+}
+
+/**
+ * Changes the sort or grouping of the list.
+ * @param {Object} changes - {sort} or {group}
+ */
+function handleListViewChange(changes) {
+  state.view = { ...state.view, ...changes };
+  renderMain();
+}
+
+/**
+ * Collapses or expands a list group.
+ * @param {string} key - Group key
+ */
+function handleToggleGroup(key) {
+  const id = `${state.view.group}:${key}`;
+  if (state.collapsedGroups.has(id)) {
+    state.collapsedGroups.delete(id);
+  } else {
+    state.collapsedGroups.add(id);
+  }
+  renderMain();
+}
+
+/**
+ * Shows a snippet in the detail pane.
+ * @param {string|null} id - Snippet ID, or null to close the pane
+ */
+function handleShowDetail(id) {
+  state.detailId = id;
+  renderMain();
+  renderDetail();
+}
+
+/**
+ * Opens a snippet's conversation in a new ChatGPT tab.
+ * @param {Object} snippet - Snippet object
+ */
+function handleOpenSource(snippet) {
+  const url = getSnippetUrl(snippet);
+  if (!url) {
+    createToast('Source conversation unknown');
+    return;
+  }
+  chrome.tabs.create({ url });
+}
+
+function handleRemove(id) {
+  if (session.isReadOnly()) return;
+  state.selectedIds.delete(id);
+  session.applyMutation('Delete snippet', storage => removeSnippet(storage, id));
+  createToast('Snippet moved to trash', 5000, session.undoAction);
+}
+
+function handleNoteChange(id, note) {
+  const snippet = state.storage.snippetsById[id];
+  const value = note.trim().slice(0, MAX_NOTE_LENGTH);
+  if (!snippet || value === (snippet.note || '')) return;
+  session.applyMutation(value ? 'Edit note' : 'Remove note', storage => upsertSnippet(storage, { ...snippet, note: value }));
+}
+
+function handleTagsChange(id, tags) {
+  const snippet = state.storage.snippetsById[id];
+  if (!snippet) return;
+  const previous = Array.isArray(snippet.tags) ? snippet.tags : [];
+  const added = tags.find(tag => !previous.includes(tag));
+  session.applyMutation(added ? `Tag #${added}` : 'Remove tag', storage => upsertSnippet(storage, { ...snippet, tags }));
+}
+
+/**
+ * Builds the multi-select config of the list.
+ * @returns {Object} Selection state and bulk action handlers
+ */
+function getSelectionConfig() {
+  return {
+    selectedIds: state.selectedIds,
+    onToggleSelect: handleToggleSelect,
+    onSelectAll: handleSelectAllVisible,
+    onBulkDelete: handleBulkDelete,
+    onBulkCopy: () => copySnippets(getSelectedVisibleSnippets()),
+    onBulkExportJson: () => exportSnippetsAsJson(getSelectedVisibleSnippets()),
+    onBulkExportMarkdown: () => exportSnippetsAsMarkdown(getSelectedVisibleSnippets()),
+    onBulkTag: handleBulkTag
+  };
+}
+
+/**
+ * Gets the selected snippets shown in the list. Bulk actions only apply to
+ * these, so hidden snippets are never touched.
+ * @returns {Array} Selected visible snippets, in list order
+ */
+function getSelectedVisibleSnippets() {
+  return getListSnippets().shown.filter(snippet => state.selectedIds.has(snippet.id));
+}
+
+function handleToggleSelect(id, selected, shiftKey) {
+  const { shown } = getListSnippets();
+  const index = shown.findIndex(snippet => snippet.id === id);
+  const anchorIndex = shown.findIndex(snippet => snippet.id === state.selectionAnchorId);
+  const range = shiftKey && index !== -1 && anchorIndex !== -1
+    ? shown.slice(Math.min(index, anchorIndex), Math.max(index, anchorIndex) + 1).map(snippet => snippet.id)
+    : [id];
+  range.forEach((rangeId) => {
+    if (selected) {
+      state.selectedIds.add(rangeId);
+    } else {
+      state.selectedIds.delete(rangeId);
+    }
+  });
+  state.selectionAnchorId = id;
+  renderMain();
+}
+
+function handleSelectAllVisible(selected) {
+  getListSnippets().shown.forEach((snippet) => {
+    if (selected) {
+      state.selectedIds.add(snippet.id);
+    } else {
+      state.selectedIds.delete(snippet.id);
+    }
+  });
+  state.selectionAnchorId = null;
+  renderMain();
+}
+
+function handleBulkDelete() {
+  if (session.isReadOnly()) return;
+  const snippets = getSelectedVisibleSnippets();
+  if (snippets.length === 0) return;
+  snippets.forEach(snippet => state.selectedIds.delete(snippet.id));
+  state.selectionAnchorId = null;
+
+  const label = `Delete ${snippets.length} snippet${snippets.length !== 1 ? 's' : ''}`;
+  session.applyMutation(label, storage => snippets.reduce((updated, snippet) => removeSnippet(updated, snippet.id), storage));
+  createToast(`Moved ${snippets.length} snippet${snippets.length !== 1 ? 's' : ''} to trash`, 5000, session.undoAction);
+}
+
+function handleBulkTag(rawTag) {
+  if (session.isReadOnly()) return;
+  const snippets = getSelectedVisibleSnippets();
+  const tag = normalizeTag(rawTag);
+  if (snippets.length === 0 || !tag) return;
+
+  session.applyMutation(`Tag #${tag}`, storage => snippets.reduce((updated, snippet) => {
+    const tags = Array.isArray(snippet.tags) ? snippet.tags : [];
+    return tags.includes(tag) ? updated : upsertSnippet(updated, { ...snippet, tags: [...tags, tag] });
+  }, storage));
+  createToast(`Tagged ${snippets.length} snippet${snippets.length !== 1 ? 's' : ''} #${tag}`, 5000, session.undoAction);
+}
+
+async function copySnippets(snippets) {
+  if (snippets.length === 0) return;
+  try {
+    await writeSnippetsToClipboard(snippets);
+    createToast(`Copied ${snippets.length} snippet${snippets.length !== 1 ? 's' : ''} to clipboard`);
+  } catch (error) {
+    console.error('Failed to copy:', error);
+    createToast('Failed to copy to clipboard');
+  }
+}
+
+function exportSnippetsAsJson(snippets) {
+  if (snippets.length === 0) {
+    createToast('No snippets to export');
+    return;
+  }
+  const payload = buildJsonExport(state.storage, snippets, state.settings.palette);
+  downloadTextFile(exportFilename('json'), JSON.stringify(payload, null, 2), 'application/json');
+  createToast(`Exported ${snippets.length} snippet${snippets.length !== 1 ? 's' : ''}`);
+}
+
+function exportSnippetsAsMarkdown(snippets) {
+  if (snippets.length === 0) {
+    createToast('No snippets to export');
+    return;
+  }
+  const markdown = buildMarkdownExport(state.storage, snippets, state.settings.palette);
+  downloadTextFile(exportFilename('md'), markdown, 'text/markdown');
+  createToast(`Exported ${snippets.length} snippet${snippets.length !== 1 ? 's' : ''}`);
+}
+
+function handleOpenImportExport() {
+  if (importExportModal) return;
+  const getAll = () => getNodeSnippets(state.storage, ALL_NODE);
+  importExportModal = createImportExportModal({
+    snippetCount: state.storage.meta.totalCount || 0,
+    onClose: handleCloseImportExport,
+    onExportJson: () => exportSnippetsAsJson(getAll()),
+    onExportMarkdown: () => exportSnippetsAsMarkdown(getAll()),
+    onPreview: handlePreviewImport,
+    onConfirm: handleConfirmImport
+  });
+  document.body.appendChild(importExportModal);
+}
+
+function handleCloseImportExport() {
+  if (!importExportModal) return;
+  importExportModal.remove();
+  importExportModal = null;
+}
+
+async function handlePreviewImport(file, mode, setStatus, setPreview, setPending) {
+  try {
+    const { items, preview } = await previewImportFile(state.storage, file, mode);
+    setStatus('Preview ready.', 'success');
+    setPreview(preview, 'success');
+    setPending({ items });
+  } catch (error) {
+    console.error('Failed to import snippets:', error);
+    setStatus(error.message, 'error');
+    setPreview('Preview unavailable.', 'error');
+    setPending(null);
+  }
+}
+
+async function handleConfirmImport(pending, mode, setStatus, setPreview, setPending) {
+  if (!pending?.items) {
+    setStatus('No preview data available.', 'error');
+    return;
+  }
+  if (state.storage.readOnly) {
+    setStatus(READ_ONLY_MESSAGE, 'error');
+    return;
+  }
+  try {
+    if (mode === 'replace') {
+      state.selectedIds.clear();
+    }
+    let result = null;
+    await session.applyMutation(mode === 'replace' ? 'Replace with import' : 'Import snippets', (storage) => {
+      result = applyImport(storage, pending.items, mode);
+      return result.storage;
+    });
+    setStatus(formatImportStatus(result), 'success');
+    setPreview('Import complete. You can select another file to import.', 'success');
+    setPending(null);
+    createToast(mode === 'replace' ? 'Snippets replaced with import' : 'Snippets imported', 5000, session.undoAction);
+  } catch (error) {
+    console.error('Failed to import snippets:', error);
+    setStatus('Failed to import snippets.', 'error');
+  }
+}
+
+/**
+ * Escape closes the import/export dialog, then the detail pane.
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleKeydown(e) {
+  if (e.key !== 'Escape') return;
+  if (importExportModal) {
+    handleCloseImportExport();
+  } else if (state.detailId) {
+    handleShowDetail(null);
+  }
+}
+
+init();
@@ -0,0 +1,41 @@
+/**
+ * Links from the library page back to ChatGPT.
+ */
+
+import { getConversationIdFromUrl } from '../shared/urlIds.js';
+import { getSnippetConversationId } from '../content/pendingNavigation.js';
+
+// Hosts the content script runs on (see manifest.json); other saved URLs are not opened
+const CHATGPT_HOSTS = ['chatgpt.com', 'chat.openai.com'];
+const DEFAULT_ORIGIN = 'https://chatgpt.com';
+
+/**
+ * Checks that a URL is an https ChatGPT page.
+ * @param {string} url - URL
+ * @returns {boolean} True if safe to open
+ */
+export function isChatGptUrl(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'https:' && CHATGPT_HOSTS.includes(hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Gets the URL to open a snippet's conversation at. The saved source URL is used
+ * when it is a ChatGPT page of the same conversation (it keeps the project path).
+ * @param {Object} snippet - Snippet object
+ * @returns {string|null} URL, or null if the conversation is unknown
+ */
+export function getSnippetUrl(snippet) {
+  const conversationId = getSnippetConversationId(snippet);
+  const sourceUrl = snippet?.sourceUrl;
+  if (sourceUrl && isChatGptUrl(sourceUrl) && (!conversationId || getConversationIdFromUrl(sourceUrl) === conversationId)) {
+    return sourceUrl;
+  }
+  if (!conversationId) return null;
+  const origin = sourceUrl && isChatGptUrl(sourceUrl) ? new URL(sourceUrl).origin : DEFAULT_ORIGIN;
+  return `${origin}/c/${encodeURIComponent(conversationId)}`;
+}
@@ -0,0 +1,145 @@
+/**
+ * Navigation tree of the library page: projects with their conversations,
+ * conversations outside projects, and tags. Selecting a node filters the list.
+ *
+ * Nodes are {type, id}: {type: 'all'}, {type: 'conversation', id},
+ * {type: 'project', id}, {type: 'tag', id} or {type: 'unfiled'} (snippets without
+ * a conversation, e.g. imported from elsewhere).
+ */
+
+import { findProjectName, getConversation, getTagCounts } from '../content/storage.js';
+
+export const ALL_NODE = { type: 'all', id: null };
+
+/**
+ * Gets the label of a conversation: its recorded title, else a short ID.
+ * @param {Object} storage - Storage structure
+ * @param {string} conversationId - Conversation ID
+ * @returns {string} Label
+ */
+export function getConversationLabel(storage, conversationId) {
+  return getConversation(storage, conversationId)?.title || `Conversation ${conversationId.slice(0, 8)}`;
+}
+
+/**
+ * Gets the label of a project: its recorded name, else its ID.
+ * @param {Object} storage - Storage structure
+ * @param {string} projectId - Project ID
+ * @returns {string} Label
+ */
+export function getProjectLabel(storage, projectId) {
+  return findProjectName(storage, projectId) || `Project ${projectId}`;
+}
+
+/**
+ * Gets the newest createdAt among snippets.
+ * @param {Object} storage - Storage structure
+ * @param {Array<string>} ids - Snippet IDs
+ * @returns {number} Time, 0 if none
+ */
+function getLatestTime(storage, ids) {
+  return ids.reduce((latest, id) => Math.max(latest, storage.snippetsById[id]?.createdAt || 0), 0);
+}
+
+/**
+ * Builds the navigation tree. Projects and conversations come most recently
+ * active first; tags most used first.
+ * @param {Object} storage - Storage structure
+ * @returns {{total: number, unfiled: number, projects: Array, conversations: Array, tags: Array}}
+ *   Projects are {id, label, count, conversations}; conversations {id, label, count};
+ *   tags {tag, count}. Conversations of a project only appear under it.
+ */
+export function buildLibraryTree(storage) {
+  const { byThread = {}, byProject = {} } = storage.index;
+  const snippets = Object.values(storage.snippetsById);
+
+  const conversations = Object.entries(byThread)
+    .filter(([, ids]) => ids.length > 0)
+    .map(([id, ids]) => {
+      const recorded = getConversation(storage, id)?.projectId;
+      const projectId = recorded || ids.map(sid => storage.snippetsById[sid]?.projectId).find(Boolean) || null;
+      return { id, label: getConversationLabel(storage, id), count: ids.length, projectId, latest: getLatestTime(storage, ids) };
+    })
+    .sort((a, b) => b.latest - a.latest);
+
+  const projects = Object.entries(byProject)
+    .filter(([, ids]) => ids.length > 0)
+    .map(([id, ids]) => ({
+      id,
+      label: getProjectLabel(storage, id),
+      count: ids.length,
+      latest: getLatestTime(storage, ids),
+      conversations: conversations
+        .filter(conversation => conversation.projectId === id)
+        .map(({ id: conversationId, label, count }) => ({ id: conversationId, label, count }))
+    }))
+    .sort((a, b) => b.latest - a.latest)
+    .map(({ id, label, count, conversations: projectConversations }) => ({ id, label, count, conversations: projectConversations }));
+
+  const projectIds = new Set(projects.map(project => project.id));
+  return {
+    total: snippets.length,
+    unfiled: snippets.filter(snippet => !snippet.conversationId).length,
+    projects,
+    conversations: conversations
+      .filter(conversation => !projectIds.has(conversation.projectId))
+      .map(({ id, label, count }) => ({ id, label, count })),
+    tags: getTagCounts(storage)
+  };
+}
+
+/**
+ * Gets the snippets under a tree node, newest first.
+ * @param {Object} storage - Storage structure
+ * @param {Object} node - Tree node {type, id}
+ * @returns {Array} Snippets
+ */
+export function getNodeSnippets(storage, node) {
+  const { snippetsById, index } = storage;
+  const all = index.byTime.map(id => snippetsById[id]).filter(Boolean);
+  switch (node?.type) {
+    case 'conversation':
+    case 'project':
+    case 'tag': {
+      const buckets = { conversation: index.byThread, project: index.byProject, tag: index.byTag }[node.type];
+      const ids = new Set(buckets?.[node.id] || []);
+      return all.filter(snippet => ids.has(snippet.id));
+    }
+    case 'unfiled':
+      return all.filter(snippet => !snippet.conversationId);
+    default:
+      return all;
+  }
+}
+
+/**
+ * Checks if a node still exists, e.g. after its last snippet was deleted.
+ * @param {Object} storage - Storage structure
+ * @param {Object} node - Tree node
+ * @returns {boolean} True if the node has snippets (or is "all")
+ */
+export function isNodeAvailable(storage, node) {
+  if (!node || node.type === 'all') return true;
+  return getNodeSnippets(storage, node).length > 0;
+}
+
+/**
+ * Gets the heading of a node's list.
+ * @param {Object} storage - Storage structure
+ * @param {Object} node - Tree node
+ * @returns {string} Label
+ */
+export function getNodeLabel(storage, node) {
+  switch (node?.type) {
+    case 'conversation':
+      return getConversationLabel(storage, node.id);
+    case 'project':
+      return getProjectLabel(storage, node.id);
+    case 'tag':
+      return `#${node.id}`;
+    case 'unfiled':
+      return 'No conversation';
+    default:
+      return 'All snippets';
+  }
+}
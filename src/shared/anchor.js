@@ -1,9 +1,54 @@
 /**
  * Anchor creation and matching utilities for source navigation.
+ *
+ * Anchors follow the W3C Web Annotation selectors: a TextQuoteSelector
+ * (`quote`: exact text plus prefix/suffix context) and a TextPositionSelector
+ * (`selectionOffsets`). All offsets and quotes use whitespace-normalized
+ * message text (trimmed, runs of whitespace collapsed to one space).
  */
 
 import { hashText } from './hash.js';
 
+// Characters of context stored before and after the quote
+const QUOTE_CONTEXT_LENGTH = 32;
+// Long quotes are fuzzy-matched by their first and last characters
+const FUZZY_PART_LENGTH = 32;
+// Share of characters that may differ in a fuzzy match
+const MAX_ERROR_RATE = 0.25;
+// Matches scoring below this are rejected
+const MIN_MATCH_CONFIDENCE = 0.5;
+
+/**
+ * Matches below this confidence are approximate: worth telling the user about.
+ */
+export const APPROXIMATE_MATCH_CONFIDENCE = 0.9;
+
+/**
+ * Normalizes text for anchoring (trim + collapse whitespace).
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export function normalizeAnchorText(text) {
+  return (text || '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Creates a text quote selector for a range of message text.
+ * @param {string} messageText - Full message text
+ * @param {string} selectionText - Selected text
+ * @param {number} start - Start offset in normalized message text
+ * @param {number} end - End offset in normalized message text
+ * @returns {{exact: string, prefix: string, suffix: string}} Text quote
+ */
+export function buildTextQuote(messageText, selectionText, start, end) {
+  const normalized = normalizeAnchorText(messageText);
+  return {
+    exact: normalizeAnchorText(selectionText),
+    prefix: normalized.substring(Math.max(0, start - QUOTE_CONTEXT_LENGTH), start),
+    suffix: normalized.substring(end, end + QUOTE_CONTEXT_LENGTH)
+  };
+}
+
 /**
  * Creates an anchor object from selection context.
  * @param {Object} params
@@ -13,9 +58,11 @@ import { hashText } from './hash.js';
  * @param {string} params.selectionText - Selected text
  * @param {number} params.selectionStart - Start offset in message text
  * @param {number} params.selectionEnd - End offset in message text
+ * @param {number} params.messageOrdinal - Zero-based position of the message in the conversation (optional)
+ * @param {number} params.messageCount - Number of messages in the conversation at capture time (optional)
  * @returns {Object} Anchor object
  */
-export function buildAnchor({ conversationId, messageId, messageText, selectionText, selectionStart, selectionEnd }) {
+export function buildAnchor({ conversationId, messageId, messageText, selectionText, selectionStart, selectionEnd, messageOrdinal, messageCount }) {
   const textHash = hashText(messageText);
   const selectionPrefix = selectionText.substring(0, 32).trim();
   
@@ -24,6 +71,10 @@ export function buildAnchor({ conversationId, messageId, messageText, selectionT
     messageId: messageId || null,
     textHash,
     selectionPrefix,
+    quote: buildTextQuote(messageText, selectionText, selectionStart, selectionEnd),
+    // Where the message sits in the thread, so lazy-loaded conversations can be scrolled toward it
+    messageOrdinal: Number.isInteger(messageOrdinal) ? messageOrdinal : null,
+    messageCount: Number.isInteger(messageCount) ? messageCount : null,
     selectionOffsets: {
       start: selectionStart,
       end: selectionEnd
@@ -31,36 +82,202 @@ export function buildAnchor({ conversationId, messageId, messageText, selectionT
   };
 }
 
+/**
+ * Computes the Levenshtein edit distance between two strings.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j - 1] + cost, previous[j] + 1, current[j - 1] + 1);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Scores how similar two strings are.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity from 0 (unrelated) to 1 (identical)
+ */
+function similarity(a, b) {
+  const length = Math.max(a.length, b.length);
+  if (length === 0) return 1;
+  return 1 - editDistance(a, b) / length;
+}
+
+/**
+ * Finds every occurrence of a pattern in text.
+ * @param {string} text - Text to search
+ * @param {string} pattern - Pattern
+ * @returns {Array<{start: number, end: number, errors: number}>} Exact matches
+ */
+function findExactMatches(text, pattern) {
+  const matches = [];
+  let index = text.indexOf(pattern);
+  while (index !== -1) {
+    matches.push({ start: index, end: index + pattern.length, errors: 0 });
+    index = text.indexOf(pattern, index + 1);
+  }
+  return matches;
+}
+
+/**
+ * Finds approximate occurrences of a pattern in text (Sellers' algorithm).
+ * Overlapping matches are collapsed to the one with the fewest errors.
+ * @param {string} text - Text to search
+ * @param {string} pattern - Pattern
+ * @param {number} maxErrors - Maximum edit distance
+ * @returns {Array<{start: number, end: number, errors: number}>} Matches
+ */
+function findApproximateMatches(text, pattern, maxErrors) {
+  const m = pattern.length;
+  // Edit distance of each pattern prefix ending at the previous text position, and where that match starts
+  let distances = Int32Array.from({ length: m + 1 }, (_, i) => i);
+  let starts = new Int32Array(m + 1);
+  let nextDistances = new Int32Array(m + 1);
+  let nextStarts = new Int32Array(m + 1);
+  const matches = [];
+
+  for (let j = 0; j < text.length; j++) {
+    nextDistances[0] = 0;
+    nextStarts[0] = j + 1;
+    for (let i = 1; i <= m; i++) {
+      let best = distances[i - 1] + (pattern[i - 1] === text[j] ? 0 : 1);
+      let start = starts[i - 1];
+      if (nextDistances[i - 1] + 1 < best) {
+        best = nextDistances[i - 1] + 1;
+        start = nextStarts[i - 1];
+      }
+      if (distances[i] + 1 < best) {
+        best = distances[i] + 1;
+        start = starts[i];
+      }
+      nextDistances[i] = best;
+      nextStarts[i] = start;
+    }
+    if (nextDistances[m] <= maxErrors) {
+      matches.push({ start: nextStarts[m], end: j + 1, errors: nextDistances[m] });
+    }
+    [distances, nextDistances] = [nextDistances, distances];
+    [starts, nextStarts] = [nextStarts, starts];
+  }
+
+  const accepted = [];
+  matches
+    .sort((a, b) => a.errors - b.errors || (b.end - b.start) - (a.end - a.start))
+    .forEach((match) => {
+      if (!accepted.some(other => match.start < other.end && other.start < match.end)) {
+        accepted.push(match);
+      }
+    });
+  return accepted;
+}
+
+/**
+ * Finds candidate positions for a quote, each with a quote similarity score.
+ * Exact occurrences are used when present; otherwise the quote (or, for long
+ * quotes, its first and last characters) is matched approximately.
+ * @param {string} text - Normalized text
+ * @param {string} exact - Normalized quote
+ * @returns {Array<{start: number, end: number, quoteScore: number}>} Candidates
+ */
+function findQuoteCandidates(text, exact) {
+  const exactMatches = findExactMatches(text, exact);
+  if (exactMatches.length > 0) {
+    return exactMatches.map(match => ({ start: match.start, end: match.end, quoteScore: 1 }));
+  }
+
+  if (exact.length <= FUZZY_PART_LENGTH * 2) {
+    const maxErrors = Math.floor(exact.length * MAX_ERROR_RATE);
+    return findApproximateMatches(text, exact, maxErrors).map(match => ({
+      start: match.start,
+      end: match.end,
+      quoteScore: 1 - match.errors / exact.length
+    }));
+  }
+
+  // Long quote: pair approximate matches of its head and tail that span about the right length
+  const maxErrors = Math.floor(FUZZY_PART_LENGTH * MAX_ERROR_RATE);
+  const heads = findApproximateMatches(text, exact.substring(0, FUZZY_PART_LENGTH), maxErrors);
+  const tails = findApproximateMatches(text, exact.substring(exact.length - FUZZY_PART_LENGTH), maxErrors);
+  const candidates = [];
+  heads.forEach((head) => {
+    tails.forEach((tail) => {
+      const length = tail.end - head.start;
+      if (tail.start >= head.start && Math.abs(length - exact.length) <= exact.length * MAX_ERROR_RATE) {
+        candidates.push({
+          start: head.start,
+          end: tail.end,
+          quoteScore: 1 - (head.errors + tail.errors) / (FUZZY_PART_LENGTH * 2)
+        });
+      }
+    });
+  });
+  return candidates;
+}
+
+/**
+ * Locates a text quote in message text.
+ * Candidates are scored by how closely they match the quote and its prefix/suffix
+ * context, so the right occurrence wins when the same phrase appears twice and small
+ * edits (whitespace, re-rendered Markdown, streamed text) are tolerated.
+ * @param {string} messageText - Full message text
+ * @param {{exact: string, prefix?: string, suffix?: string}} quote - Text quote
+ * @param {number|null} positionHint - Expected start offset, breaks ties (optional)
+ * @returns {{start: number, end: number, confidence: number}|null} Offsets in normalized text and
+ *   confidence from 0 to 1, or null if nothing matches well enough
+ */
+export function matchTextQuote(messageText, quote, positionHint = null) {
+  const text = normalizeAnchorText(messageText);
+  const exact = normalizeAnchorText(quote?.exact);
+  if (!text || !exact) return null;
+
+  const prefix = quote.prefix || '';
+  const suffix = quote.suffix || '';
+  let best = null;
+
+  findQuoteCandidates(text, exact).forEach((candidate) => {
+    const before = text.substring(Math.max(0, candidate.start - prefix.length), candidate.start);
+    const after = text.substring(candidate.end, candidate.end + suffix.length);
+    const contextScore = (similarity(before, prefix) + similarity(after, suffix)) / 2;
+    const confidence = candidate.quoteScore * (0.8 + 0.2 * contextScore);
+    // Position only breaks ties between otherwise equal candidates
+    const proximity = typeof positionHint === 'number'
+      ? 1 - Math.min(1, Math.abs(candidate.start - positionHint) / text.length)
+      : 0;
+    const rank = confidence + proximity * 0.001;
+
+    if (!best || rank > best.rank) {
+      best = { start: candidate.start, end: candidate.end, confidence, rank };
+    }
+  });
+
+  if (!best || best.confidence < MIN_MATCH_CONFIDENCE) {
+    return null;
+  }
+  return { start: best.start, end: best.end, confidence: Math.round(best.confidence * 1000) / 1000 };
+}
+
 /**
  * Finds the start and end offsets of selection text within message text.
- * Best-effort matching that handles whitespace normalization.
+ * Tolerates whitespace differences and small edits; when the text occurs more
+ * than once, the occurrence closest to positionHint wins.
  * @param {string} messageText - Full message text
  * @param {string} selectionText - Selected text to locate
+ * @param {number|null} positionHint - Approximate start offset of the selection (optional)
  * @returns {{start: number, end: number}|null} Offsets or null if not found
  */
-export function findSelectionOffsets(messageText, selectionText) {
+export function findSelectionOffsets(messageText, selectionText, positionHint = null) {
   if (!selectionText || !messageText) return null;
-  
-  // Normalize both texts for matching (collapse whitespace)
-  const normalizedMessage = messageText.replace(/\s+/g, ' ');
-  const normalizedSelection = selectionText.trim().replace(/\s+/g, ' ');
-  
-  const index = normalizedMessage.indexOf(normalizedSelection);
-  if (index === -1) {
-    // Fallback: try to find a substring match
-    const firstWords = normalizedSelection.split(' ').slice(0, 3).join(' ');
-    const fallbackIndex = normalizedMessage.indexOf(firstWords);
-    if (fallbackIndex !== -1) {
-      return {
-        start: fallbackIndex,
-        end: fallbackIndex + normalizedSelection.length
-      };
-    }
-    return null;
-  }
-  
-  return {
-    start: index,
-    end: index + normalizedSelection.length
-  };
+
+  const match = matchTextQuote(messageText, { exact: selectionText }, positionHint);
+  return match ? { start: match.start, end: match.end } : null;
 }
@@ -0,0 +1,97 @@
+/**
+ * Sort orders and grouping modes of the snippet list.
+ * The chosen view is saved per list scope (current thread, project, all snippets).
+ */
+
+export const SORT_OPTIONS = [
+  { id: 'newest', label: 'Newest' },
+  { id: 'oldest', label: 'Oldest' },
+  { id: 'alphabetical', label: 'A–Z' },
+  { id: 'longest', label: 'Longest' },
+  { id: 'edited', label: 'Recently edited' }
+];
+
+export const GROUP_OPTIONS = [
+  { id: 'none', label: 'No grouping' },
+  { id: 'conversation', label: 'By conversation' },
+  { id: 'project', label: 'By project' },
+  { id: 'color', label: 'By color' }
+];
+
+export const LIST_SCOPES = ['thread', 'project', 'all'];
+
+export const DEFAULT_LIST_VIEW = { sort: 'newest', group: 'none' };
+
+/**
+ * Fills in the list view of every scope from saved settings, dropping unknown values.
+ * @param {Object} saved - Saved views by scope (may be missing or partial)
+ * @returns {Object} Scope -> {sort, group}
+ */
+export function resolveListViews(saved) {
+  const views = {};
+  LIST_SCOPES.forEach((scope) => {
+    const view = saved && typeof saved === 'object' ? saved[scope] : null;
+    views[scope] = {
+      sort: SORT_OPTIONS.some(({ id }) => id === view?.sort) ? view.sort : DEFAULT_LIST_VIEW.sort,
+      group: GROUP_OPTIONS.some(({ id }) => id === view?.group) ? view.group : DEFAULT_LIST_VIEW.group
+    };
+  });
+  return views;
+}
+
+const byNewest = (a, b) => (b.createdAt || 0) - (a.createdAt || 0);
+
+const COMPARATORS = {
+  newest: byNewest,
+  oldest: (a, b) => (a.createdAt || 0) - (b.createdAt || 0),
+  alphabetical: (a, b) => (a.text || '').trim().localeCompare((b.text || '').trim(), undefined, { sensitivity: 'base' }) || byNewest(a, b),
+  longest: (a, b) => (b.text || '').length - (a.text || '').length || byNewest(a, b),
+  edited: (a, b) => (b.updatedAt || b.createdAt || 0) - (a.updatedAt || a.createdAt || 0) || byNewest(a, b)
+};
+
+/**
+ * Sorts snippets.
+ * @param {Array} snippets - Snippets
+ * @param {string} sort - Sort option ID (see SORT_OPTIONS)
+ * @returns {Array} New sorted array
+ */
+export function sortSnippets(snippets, sort) {
+  return [...snippets].sort(COMPARATORS[sort] || byNewest);
+}
+
+const GROUP_KEYS = {
+  conversation: snippet => snippet.conversationId || '',
+  project: snippet => snippet.projectId || '',
+  color: snippet => snippet.color || ''
+};
+
+/**
+ * Splits a sorted list into groups. Conversation and project groups come in the
+ * order of their first snippet; color groups follow the palette. Snippets without
+ * a conversation, project or color form the last group (key '').
+ * @param {Array} snippets - Sorted snippets
+ * @param {string} group - Grouping mode (see GROUP_OPTIONS)
+ * @param {Object} options
+ * @param {Array} options.palette - Palette entries, for the order of color groups (optional)
+ * @returns {Array<{key: string, snippets: Array}>|null} Groups, or null when not grouping
+ */
+export function groupSnippets(snippets, group, { palette = [] } = {}) {
+  const getKey = GROUP_KEYS[group];
+  if (!getKey) return null;
+
+  const groups = new Map();
+  snippets.forEach((snippet) => {
+    const key = getKey(snippet);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(snippet);
+  });
+
+  const rank = (key) => {
+    if (key === '') return Infinity;
+    if (group !== 'color') return 0;
+    const index = palette.findIndex(({ id }) => id === key);
+    return index === -1 ? palette.length : index;
+  };
+  return Array.from(groups, ([key, items]) => ({ key, snippets: items }))
+    .sort((a, b) => rank(a.key) - rank(b.key));
+}
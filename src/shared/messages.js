@@ -0,0 +1,78 @@
+/**
+ * Messages between the background service worker, the side panel and the content script.
+ * Every message is a plain object {type, ...payload}; createMessage() refuses
+ * payloads that don't fit their type and isValidMessage() checks what arrives, so
+ * neither side acts on a malformed message.
+ *
+ *   RUN_ACTION     background -> content  {action}  Runs a shortcut action (see
+ *                                                   SHORTCUT_ACTIONS), e.g. 'saveSelection'
+ *   SNIPPET_COUNT  content -> background  {count}   Snippet count shown on the toolbar badge
+ *   OPEN_LIBRARY   content -> background  {}        Opens the library page in a tab
+ *   GET_PANEL_STATE  side panel -> content  {}     Asks for the tab's snippets; answered
+ *                                                   with a PANEL_STATE message
+ *   PANEL_STATE    content -> side panel  {conversationId, snippets, conversations}
+ *                                                   The tab's snippets (those of its
+ *                                                   conversation, or all of them on the home
+ *                                                   page) and their conversations' metadata;
+ *                                                   sent again whenever they change
+ *   NAVIGATE_TO_SNIPPET  side panel -> content  {id}  Navigates the page to a snippet's source
+ *   DELETE_SNIPPET side panel -> content  {id}      Moves a snippet to the trash
+ *   SET_PANEL_MODE side panel -> content  {mode}    Changes the panel mode (see panelModes.js)
+ */
+
+import { PANEL_MODES } from './panelModes.js';
+
+export const MESSAGE_TYPES = {
+  RUN_ACTION: 'gpt-snippets/run-action',
+  SNIPPET_COUNT: 'gpt-snippets/snippet-count',
+  OPEN_LIBRARY: 'gpt-snippets/open-library',
+  GET_PANEL_STATE: 'gpt-snippets/get-panel-state',
+  PANEL_STATE: 'gpt-snippets/panel-state',
+  NAVIGATE_TO_SNIPPET: 'gpt-snippets/navigate-to-snippet',
+  DELETE_SNIPPET: 'gpt-snippets/delete-snippet',
+  SET_PANEL_MODE: 'gpt-snippets/set-panel-mode'
+};
+
+const isSnippetId = id => typeof id === 'string' && id.length > 0;
+
+const PAYLOAD_CHECKS = {
+  [MESSAGE_TYPES.RUN_ACTION]: ({ action }) => typeof action === 'string' && action.length > 0,
+  [MESSAGE_TYPES.SNIPPET_COUNT]: ({ count }) => Number.isInteger(count) && count >= 0,
+  [MESSAGE_TYPES.OPEN_LIBRARY]: () => true,
+  [MESSAGE_TYPES.GET_PANEL_STATE]: () => true,
+  [MESSAGE_TYPES.PANEL_STATE]: ({ conversationId, snippets, conversations }) =>
+    (conversationId === null || typeof conversationId === 'string') &&
+    Array.isArray(snippets) &&
+    Boolean(conversations) && typeof conversations === 'object',
+  [MESSAGE_TYPES.NAVIGATE_TO_SNIPPET]: ({ id }) => isSnippetId(id),
+  [MESSAGE_TYPES.DELETE_SNIPPET]: ({ id }) => isSnippetId(id),
+  [MESSAGE_TYPES.SET_PANEL_MODE]: ({ mode }) => PANEL_MODES.includes(mode)
+};
+
+/**
+ * Checks that a value is a message of a known type with a valid payload.
+ * @param {*} message - Received value
+ * @param {string} type - Expected type (optional)
+ * @returns {boolean} True if the message can be acted on
+ */
+export function isValidMessage(message, type = null) {
+  if (!message || typeof message !== 'object') return false;
+  if (type && message.type !== type) return false;
+  const check = PAYLOAD_CHECKS[message.type];
+  return Boolean(check && check(message));
+}
+
+/**
+ * Creates a message.
+ * @param {string} type - Message type (see MESSAGE_TYPES)
+ * @param {Object} payload - Fields of the message type
+ * @returns {Object} Message
+ * @throws {Error} If the type is unknown or the payload doesn't fit it
+ */
+export function createMessage(type, payload = {}) {
+  const message = { ...payload, type };
+  if (!isValidMessage(message)) {
+    throw new Error(`Invalid message: ${type}`);
+  }
+  return message;
+}
@@ -0,0 +1,129 @@
+/**
+ * Snippet color palette.
+ * Each snippet may carry a color ID from the palette; the palette maps IDs to a label
+ * (the category, e.g. "Fact") and a color. Colors are exposed to the page as CSS custom
+ * properties, so the UI and highlights only need the ID.
+ */
+
+/**
+ * Default palette, in display order.
+ */
+export const DEFAULT_PALETTE = [
+  { id: 'yellow', label: 'Fact', color: '#facc15' },
+  { id: 'green', label: 'To-do', color: '#22c55e' },
+  { id: 'red', label: 'Question', color: '#ef4444' },
+  { id: 'blue', label: 'Idea', color: '#3b82f6' },
+  { id: 'purple', label: 'Quote', color: '#a855f7' }
+];
+
+const COLOR_ID_PATTERN = /^[a-z0-9-]{1,24}$/;
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const MAX_LABEL_LENGTH = 24;
+// Opacity of highlight backgrounds, so the text stays readable
+const HIGHLIGHT_ALPHA = 0.35;
+
+/**
+ * Checks if a value is a usable color ID (safe in CSS names).
+ * @param {*} id - Value to check
+ * @returns {boolean} True for a valid color ID
+ */
+export function isColorId(id) {
+  return typeof id === 'string' && COLOR_ID_PATTERN.test(id);
+}
+
+/**
+ * Validates a saved palette, falling back to the default palette.
+ * Invalid or duplicate entries are dropped.
+ * @param {Array} saved - Palette from settings
+ * @returns {Array<{id: string, label: string, color: string}>} Usable palette
+ */
+export function resolvePalette(saved) {
+  if (!Array.isArray(saved)) return DEFAULT_PALETTE.map(entry => ({ ...entry }));
+
+  const seen = new Set();
+  const palette = saved.filter((entry) => {
+    if (!entry || !isColorId(entry.id) || seen.has(entry.id)) return false;
+    if (typeof entry.label !== 'string' || !entry.label.trim() || !HEX_COLOR_PATTERN.test(entry.color)) return false;
+    seen.add(entry.id);
+    return true;
+  }).map(entry => ({ id: entry.id, label: entry.label.trim().slice(0, MAX_LABEL_LENGTH), color: entry.color.toLowerCase() }));
+
+  return palette.length > 0 ? palette : DEFAULT_PALETTE.map(entry => ({ ...entry }));
+}
+
+/**
+ * Changes the label and/or color of a palette entry.
+ * Empty labels and malformed colors are ignored.
+ * @param {Array} palette - Palette
+ * @param {string} id - Color ID
+ * @param {{label?: string, color?: string}} changes - New values
+ * @returns {Array} Updated palette (new array)
+ */
+export function updatePaletteEntry(palette, id, changes) {
+  return palette.map((entry) => {
+    if (entry.id !== id) return entry;
+    const label = typeof changes.label === 'string' && changes.label.trim()
+      ? changes.label.trim().slice(0, MAX_LABEL_LENGTH)
+      : entry.label;
+    const color = HEX_COLOR_PATTERN.test(changes.color || '') ? changes.color.toLowerCase() : entry.color;
+    return { ...entry, label, color };
+  });
+}
+
+/**
+ * Finds a palette entry by color ID.
+ * @param {Array} palette - Palette
+ * @param {string|null} id - Color ID
+ * @returns {{id: string, label: string, color: string}|null} Entry or null
+ */
+export function findPaletteEntry(palette, id) {
+  if (!id || !Array.isArray(palette)) return null;
+  return palette.find(entry => entry.id === id) || null;
+}
+
+/**
+ * Gets the label of a color, e.g. for exports.
+ * @param {Array} palette - Palette
+ * @param {string|null} id - Color ID
+ * @returns {string|null} Label, or null for no color or a color no longer in the palette
+ */
+export function getColorLabel(palette, id) {
+  return findPaletteEntry(palette, id)?.label || null;
+}
+
+/**
+ * Gets the CSS custom property holding a color.
+ * @param {string} id - Color ID
+ * @param {boolean} background - Use the translucent highlight background instead (optional)
+ * @returns {string} CSS var() expression
+ */
+export function colorVar(id, background = false) {
+  return `var(--ce-color-${id}${background ? '-bg' : ''})`;
+}
+
+/**
+ * Converts a hex color to rgba().
+ * @param {string} hex - Color as #rrggbb
+ * @param {number} alpha - Opacity (0-1)
+ * @returns {string} rgba() color
+ */
+export function hexToRgba(hex, alpha) {
+  const value = parseInt(hex.slice(1), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+/**
+ * Builds the stylesheet exposing a palette: color variables on :root and custom
+ * highlights per color, for saved snippets and the transient highlight (see rangePainter.js).
+ * @param {Array} palette - Palette
+ * @returns {string} CSS text
+ */
+export function buildPaletteCss(palette) {
+  const variables = palette.map(({ id, color }) =>
+    `  --ce-color-${id}: ${color};\n  --ce-color-${id}-bg: ${hexToRgba(color, HIGHLIGHT_ALPHA)};`
+  );
+  const highlights = palette.map(({ id, color }) =>
+    `::highlight(ce-snippet-${id}),\n::highlight(ce-transient-${id}) {\n  background-color: ${hexToRgba(color, HIGHLIGHT_ALPHA)};\n}`
+  );
+  return [`:root {\n${variables.join('\n')}\n}`, ...highlights].join('\n\n');
+}
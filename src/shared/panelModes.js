@@ -0,0 +1,40 @@
+/**
+ * Where the snippet list is shown: the overlay panel injected into ChatGPT's page,
+ * the browser's side panel, or both. Saved as settings.panelMode.
+ */
+
+export const PANEL_MODES = ['overlay', 'sidepanel', 'both'];
+export const DEFAULT_PANEL_MODE = 'overlay';
+
+export const PANEL_MODE_LABELS = {
+  overlay: 'Overlay',
+  sidepanel: 'Side panel',
+  both: 'Both'
+};
+
+/**
+ * Fills in the panel mode for settings saved before it existed.
+ * @param {*} mode - Saved panel mode
+ * @returns {string} A known panel mode
+ */
+export function resolvePanelMode(mode) {
+  return PANEL_MODES.includes(mode) ? mode : DEFAULT_PANEL_MODE;
+}
+
+/**
+ * Checks if a mode shows the overlay panel (and its floating button) in the page.
+ * @param {string} mode - Panel mode
+ * @returns {boolean} True for 'overlay' and 'both'
+ */
+export function showsOverlay(mode) {
+  return resolvePanelMode(mode) !== 'sidepanel';
+}
+
+/**
+ * Checks if a mode offers the side panel.
+ * @param {string} mode - Panel mode
+ * @returns {boolean} True for 'sidepanel' and 'both'
+ */
+export function showsSidePanel(mode) {
+  return resolvePanelMode(mode) !== 'overlay';
+}
@@ -0,0 +1,327 @@
+/**
+ * Search query language for snippets.
+ *
+ *   word "exact phrase"     text or note contains each of them
+ *   -word  -tag:draft       negation
+ *   a OR b  (a OR b) c      alternatives, grouped with parentheses (AND binds tighter)
+ *   tag:name  color:id|label  conv:title|id  project:name|id
+ *   before:YYYY-MM-DD  after:YYYY-MM-DD   (YYYY-MM and YYYY work too)
+ *   role:user|assistant  has:note|tag|color  truncated:true|false
+ *
+ * parseQuery() never throws: problems are returned as errors with their position in
+ * the input, and the rest of the query still applies.
+ */
+
+import { normalizeTag } from './tags.js';
+
+const FIELDS = ['tag', 'color', 'conv', 'project', 'before', 'after', 'role', 'has', 'truncated'];
+const ROLES = ['user', 'assistant'];
+const HAS_VALUES = ['note', 'tag', 'color'];
+const BOOLEAN_VALUES = ['true', 'false'];
+const DATE_PATTERN = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/;
+
+/**
+ * Splits a query into tokens.
+ * @param {string} input - Query text
+ * @param {Array} errors - Collects syntax errors
+ * @returns {Array<{type: string, value?: string, field?: string, negated?: boolean, start: number, end: number}>} Tokens
+ */
+function tokenize(input, errors) {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = (start) => {
+    const close = input.indexOf('"', start + 1);
+    if (close === -1) {
+      errors.push({ message: 'Missing closing quote', start, end: input.length });
+      return { value: input.slice(start + 1), end: input.length };
+    }
+    return { value: input.slice(start + 1, close), end: close + 1 };
+  };
+
+  const readWord = (start) => {
+    let end = start;
+    while (end < input.length && !/[\s()"]/.test(input[end])) end++;
+    return { value: input.slice(start, end), end };
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'open' : 'close', start: i, end: i + 1 });
+      i++;
+      continue;
+    }
+
+    const start = i;
+    let negated = false;
+    if (char === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+      negated = true;
+      i++;
+    }
+
+    if (input[i] === '"') {
+      const { value, end } = readQuoted(i);
+      tokens.push({ type: 'text', value, phrase: true, negated, start, end });
+      i = end;
+      continue;
+    }
+    if (input[i] === '(') {
+      tokens.push({ type: 'not', start, end: i });
+      continue;
+    }
+
+    const { value, end } = readWord(i);
+    const fieldMatch = /^([a-z]+):(.*)$/i.exec(value);
+    if (fieldMatch && FIELDS.includes(fieldMatch[1].toLowerCase())) {
+      const field = fieldMatch[1].toLowerCase();
+      let fieldValue = fieldMatch[2];
+      let fieldEnd = end;
+      if (!fieldValue && input[end] === '"') {
+        ({ value: fieldValue, end: fieldEnd } = readQuoted(end));
+      }
+      tokens.push({ type: 'field', field, value: fieldValue, negated, start, end: fieldEnd });
+      i = fieldEnd;
+      continue;
+    }
+    if (!negated && (value === 'OR' || value === '|')) {
+      tokens.push({ type: 'or', start, end });
+    } else if (value === '-') {
+      errors.push({ message: 'Nothing to exclude after "-"', start, end });
+    } else {
+      tokens.push({ type: 'text', value, phrase: false, negated, start, end });
+    }
+    i = end;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parses a date filter value into the local-time day (or month, or year) it names.
+ * @param {string} value - YYYY, YYYY-MM or YYYY-MM-DD
+ * @returns {{start: number, end: number}|null} Time range [start, end), or null if invalid
+ */
+export function parseDateRange(value) {
+  const match = DATE_PATTERN.exec(value);
+  if (!match) return null;
+  const year = Number(match[1]);
+  const month = match[2] ? Number(match[2]) - 1 : 0;
+  const day = match[3] ? Number(match[3]) : 1;
+  const start = new Date(year, month, day);
+  // Rejects e.g. 2024-02-31, which Date would roll over into March
+  if (start.getFullYear() !== year || start.getMonth() !== month || start.getDate() !== day) return null;
+
+  const end = match[3]
+    ? new Date(year, month, day + 1)
+    : match[2] ? new Date(year, month + 1, 1) : new Date(year + 1, 0, 1);
+  return { start: start.getTime(), end: end.getTime() };
+}
+
+/**
+ * Validates a field filter, returning an error message for bad values.
+ * @param {Object} token - Field token
+ * @returns {string|null} Error message or null
+ */
+function validateField({ field, value }) {
+  if (!value) return `"${field}:" needs a value`;
+  const lower = value.toLowerCase();
+  switch (field) {
+    case 'before':
+    case 'after':
+      return parseDateRange(value) ? null : `"${value}" is not a date (use YYYY-MM-DD)`;
+    case 'role':
+      return ROLES.includes(lower) ? null : `role: must be ${ROLES.join(' or ')}`;
+    case 'has':
+      return HAS_VALUES.includes(lower) ? null : `has: must be ${HAS_VALUES.join(', ')}`;
+    case 'truncated':
+      return BOOLEAN_VALUES.includes(lower) ? null : 'truncated: must be true or false';
+    case 'tag':
+      return normalizeTag(value) ? null : `"${value}" is not a tag`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parses a search query.
+ * @param {string} input - Query text
+ * @returns {{ast: Object|null, errors: Array<{message: string, start: number, end: number}>}}
+ *   Expression tree (null for an empty query) and syntax errors
+ */
+export function parseQuery(input) {
+  const errors = [];
+  const tokens = tokenize(typeof input === 'string' ? input : '', errors);
+  let position = 0;
+
+  const peek = () => tokens[position];
+
+  const parseOperand = () => {
+    const token = tokens[position++];
+    if (token.type === 'open' || token.type === 'not') {
+      const negated = token.type === 'not';
+      if (negated) position++; // The "(" after "-"
+      const inner = parseOr(true);
+      if (peek()?.type === 'close') {
+        position++;
+      } else {
+        errors.push({ message: 'Missing closing parenthesis', start: token.start, end: token.end + 1 });
+      }
+      if (!inner) return null;
+      return negated ? { type: 'not', child: inner } : inner;
+    }
+    if (token.type === 'field') {
+      const message = validateField(token);
+      if (message) {
+        errors.push({ message, start: token.start, end: token.end });
+        return null;
+      }
+      const node = { type: 'field', field: token.field, value: token.value };
+      return token.negated ? { type: 'not', child: node } : node;
+    }
+    if (!token.value) return null;
+    const node = { type: 'text', value: token.value.toLowerCase(), phrase: token.phrase };
+    return token.negated ? { type: 'not', child: node } : node;
+  };
+
+  const parseAnd = (nested) => {
+    const children = [];
+    while (position < tokens.length) {
+      const token = peek();
+      if (token.type === 'or') break;
+      if (token.type === 'close') {
+        if (nested) break;
+        errors.push({ message: 'Unmatched ")"', start: token.start, end: token.end });
+        position++;
+        continue;
+      }
+      const operand = parseOperand();
+      if (operand) children.push(operand);
+    }
+    if (children.length === 0) return null;
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  function parseOr(nested = false) {
+    const children = [];
+    let orToken = null;
+    for (;;) {
+      const branch = parseAnd(nested);
+      if (branch) {
+        children.push(branch);
+      } else if (orToken) {
+        errors.push({ message: 'OR needs a search term on both sides', start: orToken.start, end: orToken.end });
+      }
+      if (peek()?.type !== 'or') break;
+      orToken = tokens[position++];
+      if (children.length === 0) {
+        errors.push({ message: 'OR needs a search term on both sides', start: orToken.start, end: orToken.end });
+      }
+    }
+    if (children.length === 0) return null;
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  const ast = tokens.length > 0 ? parseOr() : null;
+  return { ast, errors };
+}
+
+/**
+ * Checks a text term against a snippet's text and note.
+ */
+function matchesText(snippet, term) {
+  return [snippet.text, snippet.note].some(field => typeof field === 'string' && field.toLowerCase().includes(term));
+}
+
+/**
+ * Collects the text terms a snippet has to contain (not those under a negation),
+ * for ranking and highlighting.
+ * @param {Object|null} ast - Expression tree from parseQuery
+ * @returns {Array<{value: string, phrase: boolean}>} Text terms
+ */
+export function getQueryTerms(ast) {
+  if (!ast) return [];
+  switch (ast.type) {
+    case 'and':
+    case 'or':
+      return ast.children.flatMap(getQueryTerms);
+    case 'text':
+      return [{ value: ast.value, phrase: ast.phrase }];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Checks a field filter against a snippet.
+ * @param {Object} snippet - Snippet object
+ * @param {Object} node - Field node
+ * @param {Object} context - See matchesQuery
+ * @returns {boolean} True if the snippet passes the filter
+ */
+function matchesField(snippet, { field, value }, context) {
+  const lower = value.toLowerCase();
+  const includes = (text) => typeof text === 'string' && text.toLowerCase().includes(lower);
+
+  switch (field) {
+    case 'tag':
+      return Array.isArray(snippet.tags) && snippet.tags.includes(normalizeTag(value));
+    case 'color': {
+      if (!snippet.color) return false;
+      const entry = (context.palette || []).find(({ id }) => id === snippet.color);
+      return snippet.color === lower || Boolean(entry && entry.label.toLowerCase() === lower);
+    }
+    case 'conv':
+      return snippet.conversationId === value || includes(context.getConversationTitle?.(snippet));
+    case 'project':
+      return snippet.projectId === value || includes(context.getProjectName?.(snippet));
+    case 'before':
+      return (snippet.createdAt || 0) < parseDateRange(value).start;
+    case 'after':
+      return (snippet.createdAt || 0) >= parseDateRange(value).start;
+    case 'role':
+      // Snippets spanning several messages match the role of any of them
+      return snippet.role === lower || (Array.isArray(snippet.segments) && snippet.segments.some(segment => segment.role === lower));
+    case 'has':
+      if (lower === 'note') return Boolean(snippet.note && snippet.note.trim());
+      if (lower === 'tag') return Array.isArray(snippet.tags) && snippet.tags.length > 0;
+      return Boolean(snippet.color);
+    case 'truncated':
+      return Boolean(snippet.truncated) === (lower === 'true');
+    default:
+      return false;
+  }
+}
+
+/**
+ * Checks if a snippet matches a parsed query.
+ * after: includes the named day; before: stops at its start.
+ * @param {Object} snippet - Snippet object
+ * @param {Object|null} ast - Expression tree from parseQuery (null matches everything)
+ * @param {Object} context - Lookups for filters that need more than the snippet (optional)
+ * @param {Array} context.palette - Palette entries, so color: accepts labels
+ * @param {Function} context.getConversationTitle - (snippet) => title or null, for conv:
+ * @param {Function} context.getProjectName - (snippet) => name or null, for project:
+ * @param {Function} context.matchText - (snippet, textNode) => boolean, replaces the plain
+ *   substring match of text terms (e.g. with a search index)
+ * @returns {boolean} True if the snippet matches
+ */
+export function matchesQuery(snippet, ast, context = {}) {
+  if (!ast) return true;
+  switch (ast.type) {
+    case 'and':
+      return ast.children.every(child => matchesQuery(snippet, child, context));
+    case 'or':
+      return ast.children.some(child => matchesQuery(snippet, child, context));
+    case 'not':
+      return !matchesQuery(snippet, ast.child, context);
+    case 'field':
+      return matchesField(snippet, ast, context);
+    default:
+      return context.matchText ? context.matchText(snippet, ast) : matchesText(snippet, ast.value);
+  }
+}
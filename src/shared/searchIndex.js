@@ -0,0 +1,299 @@
+/**
+ * In-memory inverted index for full-text snippet search.
+ * Snippet text and note are folded (lowercase, diacritics removed) and split into
+ * terms. A query term matches its exact term, longer terms it is a prefix of, and
+ * terms a typo or two away; matches are ranked with BM25, exact matches first.
+ * The index follows the copy-on-write storage: sync() re-indexes only the snippets
+ * whose objects changed, or, for copies (the side panel's), whose revision changed.
+ */
+
+// BM25 parameters: term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+// Weights of the kinds of term matches
+const EXACT_WEIGHT = 1;
+const PREFIX_WEIGHT = 0.7;
+const FUZZY_WEIGHT = 0.4;
+// Shortest query terms that match as a prefix, or with one or two typos
+const MIN_PREFIX_LENGTH = 2;
+const MIN_FUZZY_LENGTH = 4;
+const MIN_TWO_TYPO_LENGTH = 8;
+
+const TERM_PATTERN = /[\p{L}\p{N}]+/gu;
+const MARKS_PATTERN = /\p{M}/gu;
+
+/**
+ * Folds text for matching: lowercase without diacritics ("Café" -> "cafe").
+ * @param {string} text - Text
+ * @returns {string} Folded text
+ */
+export function foldText(text) {
+  return String(text || '').normalize('NFD').replace(MARKS_PATTERN, '').toLowerCase();
+}
+
+/**
+ * Splits text into folded terms.
+ * @param {string} text - Text
+ * @returns {Array<string>} Terms in order
+ */
+export function tokenizeText(text) {
+  return foldText(text).match(TERM_PATTERN) || [];
+}
+
+/**
+ * Computes the edit distance between two strings (adjacent swaps count as one edit),
+ * giving up once it exceeds a maximum.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance, or max + 1 if larger than max
+ */
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+}
+
+/**
+ * Gets how a document term matches a query term.
+ * @param {string} queryTerm - Folded query term
+ * @param {string} term - Folded document term
+ * @param {boolean} exactOnly - Only exact matches (phrases)
+ * @returns {number} Match weight, 0 for no match
+ */
+export function getTermMatchWeight(queryTerm, term, exactOnly = false) {
+  if (term === queryTerm) return EXACT_WEIGHT;
+  if (exactOnly) return 0;
+  if (queryTerm.length >= MIN_PREFIX_LENGTH && term.startsWith(queryTerm)) return PREFIX_WEIGHT;
+  if (queryTerm.length >= MIN_FUZZY_LENGTH) {
+    const maxTypos = queryTerm.length >= MIN_TWO_TYPO_LENGTH ? 2 : 1;
+    if (editDistance(queryTerm, term, maxTypos) <= maxTypos) return FUZZY_WEIGHT;
+  }
+  return 0;
+}
+
+/**
+ * Finds the parts of a text matched by search terms, for highlighting.
+ * Words match like in the index; phrases match as folded substrings.
+ * @param {string} text - Displayed text
+ * @param {Array<{value: string, phrase: boolean}>} terms - Query terms (see getQueryTerms)
+ * @returns {Array<{start: number, end: number}>} Sorted, non-overlapping ranges in text
+ */
+export function findMatchRanges(text, terms) {
+  if (!text || !terms || terms.length === 0) return [];
+
+  // Fold character by character so folded offsets map back to the original text
+  let folded = '';
+  const offsets = [];
+  Array.from(text).reduce((position, char) => {
+    const foldedChar = foldText(char);
+    for (let i = 0; i < foldedChar.length; i++) offsets.push(position);
+    folded += foldedChar;
+    return position + char.length;
+  }, 0);
+  offsets.push(text.length);
+  const toOriginal = (start, end) => ({ start: offsets[start], end: offsets[end] });
+
+  const ranges = [];
+  const words = terms.filter(term => !term.phrase).flatMap(term => tokenizeText(term.value));
+  for (const match of folded.matchAll(TERM_PATTERN)) {
+    if (words.some(word => getTermMatchWeight(word, match[0]) > 0)) {
+      ranges.push(toOriginal(match.index, match.index + match[0].length));
+    }
+  }
+  terms.filter(term => term.phrase).forEach(({ value }) => {
+    const phrase = foldText(value);
+    if (!phrase) return;
+    let index = folded.indexOf(phrase);
+    while (index !== -1) {
+      ranges.push(toOriginal(index, index + phrase.length));
+      index = folded.indexOf(phrase, index + phrase.length);
+    }
+  });
+
+  ranges.sort((a, b) => a.start - b.start);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Gets the searchable text of a snippet.
+ * @param {Object} snippet - Snippet object
+ * @returns {string} Text and note
+ */
+function getSearchableText(snippet) {
+  return [snippet.text, snippet.note].filter(field => typeof field === 'string' && field).join('\n');
+}
+
+/**
+ * Creates an empty search index.
+ * @returns {Object} Search index
+ */
+export function createSearchIndex() {
+  // term -> Map(snippet ID -> term frequency)
+  const postings = new Map();
+  // snippet ID -> {source snippet object, length in terms, distinct terms, folded text}
+  const docs = new Map();
+  let totalLength = 0;
+  let version = 0;
+
+  /**
+   * Indexes a snippet (replacing its previous entry).
+   * @param {Object} snippet - Snippet object
+   */
+  function add(snippet) {
+    if (docs.has(snippet.id)) remove(snippet.id);
+    const text = getSearchableText(snippet);
+    const terms = tokenizeText(text);
+    const frequencies = new Map();
+    terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+    frequencies.forEach((frequency, term) => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(snippet.id, frequency);
+    });
+    docs.set(snippet.id, { source: snippet, length: terms.length, terms: [...frequencies.keys()], folded: foldText(text) });
+    totalLength += terms.length;
+    version += 1;
+  }
+
+  /**
+   * Removes a snippet from the index.
+   * @param {string} id - Snippet ID
+   */
+  function remove(id) {
+    const doc = docs.get(id);
+    if (!doc) return;
+    doc.terms.forEach((term) => {
+      const ids = postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) postings.delete(term);
+    });
+    docs.delete(id);
+    totalLength -= doc.length;
+    version += 1;
+  }
+
+  /**
+   * Checks whether an indexed snippet is the same version as a snippet to sync.
+   * Snippets copied out of storage (e.g. sent over messaging) are new objects every
+   * time, so they match on revision and updatedAt, like pickSnippetWinner in storage.js.
+   * @param {Object|undefined} doc - Indexed entry
+   * @param {Object} snippet - Snippet to sync
+   * @returns {boolean} True if the snippet doesn't need re-indexing
+   */
+  function isIndexed(doc, snippet) {
+    if (!doc) return false;
+    if (doc.source === snippet) return true;
+    return Number.isInteger(snippet.revision) && snippet.revision > 0
+      && doc.source.revision === snippet.revision
+      && doc.source.updatedAt === snippet.updatedAt;
+  }
+
+  /**
+   * Brings the index in line with a snippet map. Storage is copy-on-write, so only
+   * snippets whose object changed (or that appeared or disappeared) are re-indexed;
+   * copies of unchanged snippets are recognized by their revision.
+   * @param {Object} snippetsById - Map of snippet ID to snippet
+   * @returns {boolean} True if anything changed
+   */
+  function sync(snippetsById) {
+    const before = version;
+    Array.from(docs.keys()).forEach((id) => {
+      if (!snippetsById[id]) remove(id);
+    });
+    Object.values(snippetsById).forEach((snippet) => {
+      if (!isIndexed(docs.get(snippet.id), snippet)) add(snippet);
+    });
+    return version !== before;
+  }
+
+  /**
+   * Scores the documents matching one folded query term (best matching term per document).
+   * @param {string} queryTerm - Folded query term
+   * @param {boolean} exactOnly - Only exact matches
+   * @returns {Map<string, number>} Snippet ID -> score
+   */
+  function scoreTerm(queryTerm, exactOnly) {
+    const scores = new Map();
+    const averageLength = docs.size > 0 ? totalLength / docs.size : 0;
+    postings.forEach((ids, term) => {
+      const weight = getTermMatchWeight(queryTerm, term, exactOnly);
+      if (weight === 0) return;
+      const idf = Math.log(1 + (docs.size - ids.size + 0.5) / (ids.size + 0.5));
+      ids.forEach((frequency, id) => {
+        const lengthNorm = averageLength > 0 ? docs.get(id).length / averageLength : 1;
+        const score = weight * idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * lengthNorm));
+        if (score > (scores.get(id) || 0)) scores.set(id, score);
+      });
+    });
+    return scores;
+  }
+
+  /**
+   * Finds the snippets matching a search term: every word of it must match.
+   * Phrases must also appear verbatim (after folding).
+   * @param {string} value - Word(s) or phrase
+   * @param {Object} options
+   * @param {boolean} options.phrase - Match as a phrase (optional)
+   * @returns {Map<string, number>} Snippet ID -> relevance score
+   */
+  function search(value, { phrase = false } = {}) {
+    const queryTerms = tokenizeText(value);
+    if (queryTerms.length === 0) return new Map();
+
+    let results = null;
+    queryTerms.forEach((queryTerm) => {
+      const scores = scoreTerm(queryTerm, phrase);
+      if (results === null) {
+        results = scores;
+        return;
+      }
+      const combined = new Map();
+      results.forEach((score, id) => {
+        if (scores.has(id)) combined.set(id, score + scores.get(id));
+      });
+      results = combined;
+    });
+
+    if (phrase) {
+      const folded = foldText(value).trim();
+      Array.from(results.keys()).forEach((id) => {
+        if (!docs.get(id).folded.includes(folded)) results.delete(id);
+      });
+    }
+    return results;
+  }
+
+  return {
+    add,
+    remove,
+    sync,
+    search,
+    size: () => docs.size,
+    getVersion: () => version
+  };
+}
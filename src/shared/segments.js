@@ -0,0 +1,58 @@
+/**
+ * Segments of snippets whose selection spanned several messages (e.g. a question and
+ * its answer). Such a compound snippet keeps its whole text, plus one segment per
+ * message with that message's part of the text, anchor, role, model and position.
+ * The snippet's own anchor, role and model are those of its first segment.
+ */
+
+const SEGMENT_LABELS = { user: 'Q', assistant: 'A' };
+
+/**
+ * Checks if a snippet spans several messages.
+ * @param {Object} snippet - Snippet object
+ * @returns {boolean} True if the snippet has segments
+ */
+export function isCompoundSnippet(snippet) {
+  return Array.isArray(snippet?.segments) && snippet.segments.length > 1;
+}
+
+/**
+ * Gets the label a segment is exported under.
+ * @param {string|null} role - Message role
+ * @returns {string} "Q" for user messages, "A" for assistant ones, else the role
+ */
+export function getSegmentLabel(role) {
+  if (SEGMENT_LABELS[role]) return SEGMENT_LABELS[role];
+  return role ? role.charAt(0).toUpperCase() + role.slice(1) : 'Excerpt';
+}
+
+/**
+ * Formats segments as a Q/A excerpt, one labelled paragraph per message.
+ * @param {Array} segments - Snippet segments
+ * @returns {string} Markdown, e.g. "**Q:** ...\n\n**A:** ..."
+ */
+export function formatSegmentsMarkdown(segments) {
+  return segments
+    .map(segment => `**${getSegmentLabel(segment.role)}:** ${segment.markdown || segment.text}`)
+    .join('\n\n');
+}
+
+/**
+ * Cleans up segments read from an import file.
+ * @param {*} raw - Imported segments value
+ * @returns {Array|null} Segments, or null unless there are at least two valid ones
+ */
+export function normalizeSegments(raw) {
+  if (!Array.isArray(raw)) return null;
+  const segments = raw
+    .filter(segment => segment && typeof segment.text === 'string' && segment.text.trim())
+    .map(segment => ({
+      text: segment.text.trim(),
+      markdown: typeof segment.markdown === 'string' ? segment.markdown : null,
+      anchor: segment.anchor && typeof segment.anchor === 'object' ? segment.anchor : null,
+      role: typeof segment.role === 'string' ? segment.role : null,
+      model: typeof segment.model === 'string' ? segment.model : null,
+      messageIndex: Number.isInteger(segment.messageIndex) ? segment.messageIndex : null
+    }));
+  return segments.length > 1 ? segments : null;
+}
@@ -0,0 +1,77 @@
+/**
+ * Snippet search: the query language (query.js) over the full-text index
+ * (searchIndex.js), with relevance ranking. Used by the in-page panel and the
+ * library page.
+ */
+
+import { getQueryTerms, matchesQuery, parseQuery } from './query.js';
+import { createSearchIndex } from './searchIndex.js';
+
+/**
+ * Creates a snippet search over an index kept in line with storage.
+ * @returns {{sync: Function, filter: Function, rank: Function}} Search
+ */
+export function createSnippetSearch() {
+  const index = createSearchIndex();
+  // Index lookups of the search terms typed so far, valid for one index version
+  let termCache = { version: -1, results: new Map() };
+
+  /**
+   * Looks up a search term in the index. Results are kept until the index changes,
+   * so typing a query doesn't repeat the lookups of its earlier terms.
+   * @param {Object} term - Text term {value, phrase} of a parsed query
+   * @returns {Map<string, number>} Snippet ID -> relevance score
+   */
+  function lookup({ value, phrase }) {
+    const version = index.getVersion();
+    if (termCache.version !== version) {
+      termCache = { version, results: new Map() };
+    }
+    const key = `${phrase ? 'phrase' : 'word'}:${value}`;
+    if (!termCache.results.has(key)) {
+      termCache.results.set(key, index.search(value, { phrase }));
+    }
+    return termCache.results.get(key);
+  }
+
+  /**
+   * Brings the index up to date. Only snippets changed since the last call are re-indexed.
+   * @param {Object} snippetsById - Map of snippet ID to snippet
+   */
+  function sync(snippetsById) {
+    index.sync(snippetsById);
+  }
+
+  /**
+   * Filters snippets by a search query (see query.js for the syntax). The valid part
+   * of a query with syntax errors still applies.
+   * @param {Array} snippets - Snippets
+   * @param {string} searchQuery - Query text
+   * @param {Object} context - Lookups for field filters, see matchesQuery (optional)
+   * @returns {Array} Matching snippets
+   */
+  function filter(snippets, searchQuery, context = {}) {
+    const { ast } = parseQuery(searchQuery);
+    const matchContext = { ...context, matchText: (snippet, term) => lookup(term).has(snippet.id) };
+    return snippets.filter(snippet => matchesQuery(snippet, ast, matchContext));
+  }
+
+  /**
+   * Orders search results by relevance, best match first. Snippets scoring the same
+   * keep their order.
+   * @param {Array} snippets - Results of filter()
+   * @param {string} searchQuery - Query text
+   * @returns {Array} Sorted snippets
+   */
+  function rank(snippets, searchQuery) {
+    const terms = getQueryTerms(parseQuery(searchQuery).ast);
+    if (terms.length === 0) return snippets;
+    const scores = new Map(snippets.map(snippet => [
+      snippet.id,
+      terms.reduce((sum, term) => sum + (lookup(term).get(snippet.id) || 0), 0)
+    ]));
+    return [...snippets].sort((a, b) => scores.get(b.id) - scores.get(a.id));
+  }
+
+  return { sync, filter, rank };
+}
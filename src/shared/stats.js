@@ -0,0 +1,43 @@
+/**
+ * Statistics of the snippet library, shown on the library page.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// "Recent" snippets were saved within this many days
+export const RECENT_DAYS = 7;
+
+/**
+ * Computes statistics of a library.
+ * @param {Object} storage - Storage structure
+ * @param {number} now - Current time (optional, for tests)
+ * @returns {Object} {snippets, conversations, projects, tags, withNotes, colored,
+ *   truncated, compound, recent, trashed, byRole: {role -> count}, oldest, newest}
+ */
+export function computeLibraryStats(storage, now = Date.now()) {
+  const snippets = Object.values(storage.snippetsById || {});
+  const index = storage.index || {};
+  const countBuckets = buckets => Object.values(buckets || {}).filter(ids => ids.length > 0).length;
+
+  const byRole = {};
+  snippets.forEach((snippet) => {
+    const role = snippet.role || 'unknown';
+    byRole[role] = (byRole[role] || 0) + 1;
+  });
+  const times = snippets.map(snippet => snippet.createdAt).filter(Number.isFinite);
+
+  return {
+    snippets: snippets.length,
+    conversations: countBuckets(index.byThread),
+    projects: countBuckets(index.byProject),
+    tags: countBuckets(index.byTag),
+    withNotes: snippets.filter(snippet => typeof snippet.note === 'string' && snippet.note.trim()).length,
+    colored: snippets.filter(snippet => snippet.color).length,
+    truncated: snippets.filter(snippet => snippet.truncated).length,
+    compound: snippets.filter(snippet => Array.isArray(snippet.segments) && snippet.segments.length > 1).length,
+    recent: times.filter(time => time >= now - RECENT_DAYS * DAY_MS).length,
+    trashed: Object.keys(storage.trash || {}).length,
+    byRole,
+    oldest: times.length > 0 ? times.reduce((a, b) => Math.min(a, b)) : null,
+    newest: times.length > 0 ? times.reduce((a, b) => Math.max(a, b)) : null
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * Tag helpers shared by the panel and storage callers.
+ * Tags are stored as typed by the user once normalized: lowercase, without a leading
+ * "#", spaces turned into dashes.
+ */
+
+export const MAX_TAG_LENGTH = 40;
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Normalizes user input into a tag.
+ * @param {string} value - Raw input, e.g. "#Machine Learning"
+ * @returns {string} Tag (e.g. "machine-learning"), or '' if nothing usable is left
+ */
+export function normalizeTag(value) {
+  if (typeof value !== 'string') return '';
+  return value
+    .trim()
+    .replace(/^#+/, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .toLowerCase()
+    .slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Suggests existing tags for a partially typed one.
+ * Tags starting with the input come first, then tags containing it; each group keeps
+ * the order of `tags` (most used first, see getTagCounts).
+ * @param {Array<string>} tags - Known tags
+ * @param {string} input - Typed text
+ * @param {Array<string>} exclude - Tags to leave out, e.g. the snippet's own (optional)
+ * @param {number} limit - Maximum suggestions (optional)
+ * @returns {Array<string>} Suggested tags
+ */
+export function suggestTags(tags, input, exclude = [], limit = MAX_SUGGESTIONS) {
+  const query = normalizeTag(input);
+  const candidates = tags.filter(tag => !exclude.includes(tag));
+  if (!query) return candidates.slice(0, limit);
+
+  const prefixed = candidates.filter(tag => tag.startsWith(query));
+  const containing = candidates.filter(tag => !tag.startsWith(query) && tag.includes(query));
+  return [...prefixed, ...containing].slice(0, limit);
+}
@@ -0,0 +1,368 @@
+/**
+ * Side panel entry point: the browser's side panel, an alternative to the overlay
+ * panel (see panelModes.js) listing the snippets of the active tab's conversation.
+ * The content script of that tab owns the snippets. The side panel asks it for them
+ * (GET_PANEL_STATE), is sent them again whenever they change (PANEL_STATE), and asks
+ * it to navigate to or delete a snippet, so the page keeps its undo history and
+ * highlights. Searching happens here, over the snippets received.
+ */
+
+import { findProjectName } from '../content/storage.js';
+import { getSnippetSource } from '../content/exchange.js';
+import { applyPageSettings, watchPageSettings } from '../content/pageSession.js';
+import { createContainer, createSearchBox, createSnippetList, createToast, renderSearchFeedback } from '../content/ui.js';
+import { createSnippetSearch } from '../shared/snippetSearch.js';
+import { getQueryTerms, parseQuery } from '../shared/query.js';
+import { resolvePalette } from '../shared/palette.js';
+import { MESSAGE_TYPES, createMessage, isValidMessage } from '../shared/messages.js';
+import { PANEL_MODES, PANEL_MODE_LABELS, resolvePanelMode } from '../shared/panelModes.js';
+
+// State
+const state = {
+  settings: {
+    theme: 'auto',
+    palette: resolvePalette(null),
+    panelMode: resolvePanelMode(null)
+  },
+  // Window this side panel belongs to, and its active tab
+  windowId: null,
+  tabId: null,
+  // Whether the active tab answered (a ChatGPT page with the content script)
+  connected: false,
+  // Conversation open in the tab, null on the home page (which lists all snippets)
+  conversationId: null,
+  snippets: [],
+  // Conversation ID -> {title, projectId, projectName} of the listed snippets
+  conversations: {},
+  searchQuery: '',
+  searchSort: 'relevance' // 'relevance' or 'time' (newest first)
+};
+
+// Page elements
+let root = null;
+let searchBox = null;
+let main = null;
+let footer = null;
+
+const snippetSearch = createSnippetSearch();
+
+/**
+ * Initializes the side panel.
+ */
+async function init() {
+  root = document.getElementById('ce-sidepanel');
+  createContainer(); // Holds toasts
+
+  try {
+    const { settings } = await chrome.storage.local.get('settings');
+    applySettings(settings);
+  } catch (error) {
+    console.error('Failed to load settings:', error);
+  }
+  applyPageSettings(state.settings);
+  renderPage();
+
+  chrome.runtime.onMessage.addListener(handleRuntimeMessage);
+  chrome.tabs.onActivated.addListener(handleTabActivated);
+  chrome.tabs.onUpdated.addListener(handleTabUpdated);
+  // Follows theme, palette and panel mode changes made in a ChatGPT tab
+  watchPageSettings({
+    getSettings: () => state.settings,
+    applySettings,
+    render: () => {
+      renderMain();
+      renderFooter();
+    }
+  });
+
+  const currentWindow = await chrome.windows.getCurrent();
+  state.windowId = currentWindow.id;
+  const [tab] = await chrome.tabs.query({ active: true, windowId: state.windowId });
+  state.tabId = tab?.id ?? null;
+  requestPanelState();
+}
+
+/**
+ * Takes the settings this page uses from the saved settings. The side panel never
+ * writes settings: the content script owns them (see handlePanelModeChange).
+ * @param {Object} settings - Saved settings (may be missing)
+ */
+function applySettings(settings) {
+  state.settings = {
+    theme: settings?.theme || 'auto',
+    palette: resolvePalette(settings?.palette),
+    panelMode: resolvePanelMode(settings?.panelMode)
+  };
+}
+
+/**
+ * Asks the active tab for its snippets. Tabs without the content script (other
+ * sites, or ChatGPT tabs opened before the extension was installed) don't answer.
+ * @returns {Promise} Resolves once the answer (or its absence) is shown
+ */
+async function requestPanelState() {
+  const { tabId } = state;
+  let response = null;
+  if (typeof tabId === 'number') {
+    try {
+      response = await chrome.tabs.sendMessage(tabId, createMessage(MESSAGE_TYPES.GET_PANEL_STATE));
+    } catch (error) {
+      response = null;
+    }
+  }
+  // The user switched tabs while waiting
+  if (tabId !== state.tabId) return;
+  applyPanelState(isValidMessage(response, MESSAGE_TYPES.PANEL_STATE) ? response : null);
+}
+
+/**
+ * Shows the snippets sent by the active tab.
+ * @param {Object|null} message - PANEL_STATE message, or null if the tab didn't answer
+ */
+function applyPanelState(message) {
+  state.connected = Boolean(message);
+  state.conversationId = message?.conversationId || null;
+  state.snippets = message?.snippets || [];
+  state.conversations = message?.conversations || {};
+  snippetSearch.sync(Object.fromEntries(state.snippets.map(snippet => [snippet.id, snippet])));
+  renderMain();
+  renderFooter();
+}
+
+/**
+ * Takes the snippets the active tab sends when they change.
+ * @param {Object} message - Received message (see shared/messages.js)
+ * @param {Object} sender - chrome.runtime.MessageSender
+ */
+function handleRuntimeMessage(message, sender) {
+  if (!isValidMessage(message, MESSAGE_TYPES.PANEL_STATE)) return;
+  if (sender?.id !== chrome.runtime.id || sender.tab?.id !== state.tabId) return;
+  applyPanelState(message);
+}
+
+function handleTabActivated({ tabId, windowId }) {
+  if (windowId !== state.windowId) return;
+  state.tabId = tabId;
+  requestPanelState();
+}
+
+/**
+ * Asks again after the active tab loaded a page. Navigation inside ChatGPT doesn't
+ * reload it; the content script sends its new snippets itself then.
+ */
+function handleTabUpdated(tabId, changeInfo) {
+  if (tabId !== state.tabId || changeInfo.status !== 'complete') return;
+  requestPanelState();
+}
+
+/**
+ * Sends a message to the active tab's content script.
+ * @param {Object} message - Message (see createMessage)
+ * @returns {Promise<boolean>} True if the message was delivered
+ */
+async function sendToTab(message) {
+  try {
+    await chrome.tabs.sendMessage(state.tabId, message);
+    return true;
+  } catch (error) {
+    createToast('Can\'t reach the ChatGPT tab. Reload it and try again.');
+    return false;
+  }
+}
+
+/**
+ * Builds the page.
+ */
+function renderPage() {
+  root.innerHTML = '';
+
+  const header = document.createElement('header');
+  header.className = 'ce-sidepanel-header';
+  searchBox = createSearchBox({ searchQuery: state.searchQuery, onSearch: handleSearch, search: getSearchConfig() });
+  header.appendChild(searchBox);
+  root.appendChild(header);
+
+  main = document.createElement('main');
+  main.className = 'ce-sidepanel-main';
+  root.appendChild(main);
+
+  footer = document.createElement('footer');
+  footer.className = 'ce-sidepanel-footer';
+  root.appendChild(footer);
+
+  renderMain();
+  renderFooter();
+}
+
+/**
+ * Gets the snippets of the list: all received ones, searched.
+ * @returns {Array} Snippets
+ */
+function getListSnippets() {
+  if (!state.searchQuery.trim()) {
+    return state.snippets;
+  }
+  const lookup = { conversations: state.conversations };
+  const snippets = snippetSearch.filter(state.snippets, state.searchQuery, {
+    palette: state.settings.palette,
+    getConversationTitle: snippet => state.conversations[snippet.conversationId]?.title || null,
+    getProjectName: snippet => findProjectName(lookup, snippet.projectId)
+  });
+  return state.searchSort === 'relevance' ? snippetSearch.rank(snippets, state.searchQuery) : snippets;
+}
+
+/**
+ * Builds the search config for match highlighting and result order.
+ * @returns {Object} Highlighted terms, result order and handler
+ */
+function getSearchConfig() {
+  return {
+    terms: getQueryTerms(parseQuery(state.searchQuery).ast),
+    sort: state.searchSort,
+    onSortChange: handleSearchSortChange
+  };
+}
+
+/**
+ * Renders the heading and the snippet list, or why there is none.
+ */
+function renderMain() {
+  if (!main) return;
+  main.innerHTML = '';
+
+  if (!state.connected) {
+    const notice = document.createElement('div');
+    notice.className = 'ce-sidepanel-notice';
+    notice.setAttribute('role', 'note');
+    notice.textContent = 'Open a ChatGPT conversation to see its snippets here. If ChatGPT is already open in this tab, reload it.';
+    main.appendChild(notice);
+    return;
+  }
+
+  const snippets = getListSnippets();
+  const heading = document.createElement('div');
+  heading.className = 'ce-sidepanel-heading';
+  const title = document.createElement('h1');
+  title.textContent = state.conversationId
+    ? state.conversations[state.conversationId]?.title || 'This conversation'
+    : 'All snippets';
+  title.title = title.textContent;
+  const count = document.createElement('span');
+  count.className = 'ce-sidepanel-count';
+  count.textContent = state.searchQuery.trim()
+    ? `${snippets.length} of ${state.snippets.length}`
+    : `${snippets.length} snippet${snippets.length !== 1 ? 's' : ''}`;
+  heading.appendChild(title);
+  heading.appendChild(count);
+  main.appendChild(heading);
+
+  let emptyMessage = 'Select text in the conversation to save a snippet';
+  if (state.searchQuery.trim()) {
+    emptyMessage = 'No snippets match your search';
+  } else if (!state.conversationId) {
+    emptyMessage = 'No snippets saved yet';
+  }
+  main.appendChild(createSnippetList({
+    snippets,
+    onRemove: handleRemove,
+    onSnippetClick: handleSnippetClick,
+    search: getSearchConfig(),
+    view: { getSource: snippet => getSnippetSource({ conversations: state.conversations }, snippet) },
+    emptyMessage
+  }));
+}
+
+/**
+ * Renders the panel mode choice and the library link.
+ */
+function renderFooter() {
+  if (!footer) return;
+  footer.innerHTML = '';
+
+  const label = document.createElement('label');
+  label.className = 'ce-sidepanel-mode';
+  label.textContent = 'Show snippets in ';
+  const select = document.createElement('select');
+  select.className = 'ce-sidepanel-mode-select';
+  PANEL_MODES.forEach((mode) => {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = PANEL_MODE_LABELS[mode];
+    option.selected = mode === state.settings.panelMode;
+    select.appendChild(option);
+  });
+  // The content script saves the setting, so it needs a ChatGPT tab
+  select.disabled = !state.connected;
+  select.title = state.connected ? 'Where snippets are shown' : 'Open ChatGPT in this tab to change this';
+  select.addEventListener('change', () => handlePanelModeChange(select.value));
+  label.appendChild(select);
+  footer.appendChild(label);
+
+  const libraryBtn = document.createElement('button');
+  libraryBtn.className = 'ce-btn ce-btn-secondary ce-btn-library';
+  libraryBtn.textContent = 'Library';
+  libraryBtn.setAttribute('aria-label', 'Open the snippet library in a tab');
+  libraryBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+  footer.appendChild(libraryBtn);
+}
+
+/**
+ * Updates the search box after the query or result order changed.
+ */
+function updateSearchBox() {
+  const clearSearchBtn = searchBox.querySelector('.ce-search-clear');
+  clearSearchBtn.style.display = state.searchQuery.trim() ? 'flex' : 'none';
+  renderSearchFeedback(searchBox, state.searchQuery);
+  const replacement = createSearchBox({ searchQuery: state.searchQuery, onSearch: handleSearch, search: getSearchConfig() });
+  const sortToggle = searchBox.querySelector('.ce-search-sort');
+  const newSortToggle = replacement.querySelector('.ce-search-sort');
+  if (sortToggle && newSortToggle) {
+    sortToggle.replaceWith(newSortToggle);
+  } else if (sortToggle) {
+    sortToggle.remove();
+  } else if (newSortToggle) {
+    searchBox.querySelector('.ce-search-feedback').before(newSortToggle);
+  }
+}
+
+function handleSearch(query) {
+  state.searchQuery = query;
+  updateSearchBox();
+  renderMain();
+}
+
+function handleSearchSortChange(sort) {
+  state.searchSort = sort;
+  updateSearchBox();
+  renderMain();
+}
+
+/**
+ * Navigates the tab to a snippet's source (opening its conversation if needed).
+ * @param {Object} snippet - Snippet object
+ */
+function handleSnippetClick(snippet) {
+  sendToTab(createMessage(MESSAGE_TYPES.NAVIGATE_TO_SNIPPET, { id: snippet.id }));
+}
+
+/**
+ * Moves a snippet to the trash. The tab records the deletion for undo.
+ * @param {string} id - Snippet ID
+ */
+async function handleRemove(id) {
+  if (!await sendToTab(createMessage(MESSAGE_TYPES.DELETE_SNIPPET, { id }))) return;
+  createToast('Snippet moved to trash', 5000, {
+    label: 'Undo',
+    onClick: () => sendToTab(createMessage(MESSAGE_TYPES.RUN_ACTION, { action: 'undo' }))
+  });
+}
+
+/**
+ * Asks the tab to save a new panel mode. Choosing the overlay only closes the side panel.
+ * @param {string} mode - Panel mode
+ */
+function handlePanelModeChange(mode) {
+  sendToTab(createMessage(MESSAGE_TYPES.SET_PANEL_MODE, { mode }));
+}
+
+init();
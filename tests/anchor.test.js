@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { buildAnchor, findSelectionOffsets } from '../src/shared/anchor.js';
+import { buildAnchor, buildTextQuote, findSelectionOffsets, matchTextQuote } from '../src/shared/anchor.js';
 
 describe('buildAnchor', () => {
   it('builds an anchor with hash, prefix and offsets', () => {
@@ -17,6 +17,37 @@ describe('buildAnchor', () => {
     expect(anchor.textHash).toBeTruthy();
     expect(anchor.selectionPrefix).toBe('world, how');
     expect(anchor.selectionOffsets).toEqual({ start: 6, end: 16 });
+    expect(anchor.messageOrdinal).toBeNull();
+    expect(anchor.messageCount).toBeNull();
+  });
+
+  it('stores the message position in the conversation', () => {
+    const anchor = buildAnchor({
+      conversationId: 'conv-123',
+      messageId: 'msg-1',
+      messageText: 'Hello world',
+      messageOrdinal: 3,
+      messageCount: 12,
+      selectionText: 'world',
+      selectionStart: 6,
+      selectionEnd: 11
+    });
+
+    expect(anchor.messageOrdinal).toBe(3);
+    expect(anchor.messageCount).toBe(12);
+  });
+
+  it('stores a text quote with prefix and suffix context', () => {
+    const anchor = buildAnchor({
+      conversationId: 'conv-123',
+      messageId: 'msg-1',
+      messageText: 'Hello world, how are you?',
+      selectionText: 'world, how',
+      selectionStart: 6,
+      selectionEnd: 16
+    });
+
+    expect(anchor.quote).toEqual({ exact: 'world, how', prefix: 'Hello ', suffix: ' are you?' });
   });
 
   it('normalizes empty messageId to null', () => {
@@ -114,6 +145,11 @@ describe('findSelectionOffsets', () => {
     expect(offsets.end).toBeLessThanOrEqual(message.length);
   });
 
+  it('prefers the occurrence closest to the position hint', () => {
+    const offsets = findSelectionOffsets('same phrase, then same phrase', 'same phrase', 18);
+    expect(offsets).toEqual({ start: 18, end: 29 });
+  });
+
   it('handles null or undefined inputs', () => {
     expect(findSelectionOffsets(null, 'test')).toBeNull();
     expect(findSelectionOffsets('test', null)).toBeNull();
@@ -122,3 +158,63 @@ describe('findSelectionOffsets', () => {
   });
 });
 
+describe('buildTextQuote', () => {
+  it('limits context to 32 characters and normalizes whitespace', () => {
+    const before = 'a'.repeat(40);
+    const after = 'b'.repeat(40);
+    const quote = buildTextQuote(`${before} middle\n\n text ${after}`, 'middle\n text', 41, 52);
+
+    expect(quote.exact).toBe('middle text');
+    expect(quote.prefix).toBe(`${'a'.repeat(31)} `);
+    expect(quote.suffix).toBe(` ${'b'.repeat(31)}`);
+  });
+});
+
+describe('matchTextQuote', () => {
+  const message = 'Install it with npm install. Later, to update, run npm install again.';
+
+  it('uses prefix and suffix to pick the right occurrence', () => {
+    const match = matchTextQuote(message, { exact: 'npm install', prefix: 'update, run ', suffix: ' again.' });
+    expect(match.start).toBe(message.lastIndexOf('npm install'));
+    expect(match.confidence).toBe(1);
+
+    const first = matchTextQuote(message, { exact: 'npm install', prefix: 'it with ', suffix: '. Later' });
+    expect(first.start).toBe(message.indexOf('npm install'));
+  });
+
+  it('uses the position hint to break ties', () => {
+    const match = matchTextQuote('foo bar foo', { exact: 'foo' }, 8);
+    expect(match.start).toBe(8);
+  });
+
+  it('tolerates whitespace changes', () => {
+    const match = matchTextQuote('Hello\n\n  world,   friend', { exact: 'world, friend', prefix: 'Hello ' });
+    expect(match).toEqual({ start: 6, end: 19, confidence: 1 });
+  });
+
+  it('tolerates small edits with a lower confidence', () => {
+    const text = 'Streaming responses can change by a character or two.';
+    const match = matchTextQuote(text, { exact: 'responses can chnage by a charcter', prefix: 'Streaming ', suffix: ' or two.' });
+
+    expect(match).not.toBeNull();
+    expect(match.start).toBe(text.indexOf('responses'));
+    expect(match.confidence).toBeGreaterThan(0.8);
+    expect(match.confidence).toBeLessThan(1);
+  });
+
+  it('matches long quotes whose middle was re-rendered', () => {
+    const original = 'Start of a long passage that goes on. * item one * item two. And it ends right here, finally.';
+    const rendered = 'Intro. Start of a long passage that goes on. • item one • item two. And it ends right here, finally. Outro.';
+    const match = matchTextQuote(rendered, { exact: original, prefix: 'Intro. ', suffix: ' Outro.' });
+
+    expect(match.start).toBe(rendered.indexOf('Start'));
+    expect(match.end).toBe(rendered.indexOf(' Outro.'));
+    expect(match.confidence).toBeGreaterThan(0.9);
+  });
+
+  it('returns null when nothing is similar enough', () => {
+    expect(matchTextQuote('Completely different text', { exact: 'does not exist here' })).toBeNull();
+    expect(matchTextQuote('', { exact: 'x' })).toBeNull();
+    expect(matchTextQuote('text', null)).toBeNull();
+  });
+});
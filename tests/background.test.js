@@ -0,0 +1,203 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  CONTEXT_MENU_ID,
+  applyPanelMode,
+  formatBadgeCount,
+  handleActionClick,
+  handleCommand,
+  handleContextMenuClick,
+  handleRuntimeMessage,
+  handleSettingsChange,
+  loadPanelMode,
+  registerContextMenu,
+  sendToTab,
+  setupBackground
+} from '../src/background/handlers.js';
+import { MESSAGE_TYPES } from '../src/shared/messages.js';
+
+const listener = () => ({ addListener: vi.fn() });
+
+beforeEach(() => {
+  globalThis.chrome = {
+    runtime: {
+      id: 'extension-id',
+      getManifest: () => ({ content_scripts: [{ matches: ['https://chatgpt.com/*', 'https://chat.openai.com/*'] }] }),
+      onInstalled: listener(),
+      onMessage: listener(),
+      openOptionsPage: vi.fn(async () => undefined)
+    },
+    tabs: {
+      sendMessage: vi.fn(async () => undefined),
+      query: vi.fn(async () => [{ id: 7 }])
+    },
+    contextMenus: {
+      removeAll: vi.fn(callback => callback()),
+      create: vi.fn(),
+      onClicked: listener()
+    },
+    commands: { onCommand: listener() },
+    action: {
+      setBadgeText: vi.fn(),
+      setBadgeBackgroundColor: vi.fn(),
+      onClicked: listener()
+    },
+    storage: {
+      local: { get: vi.fn(async () => ({})) },
+      onChanged: listener()
+    },
+    sidePanel: {
+      open: vi.fn(async () => undefined),
+      setOptions: vi.fn(async () => undefined),
+      setPanelBehavior: vi.fn(async () => undefined)
+    }
+  };
+});
+
+describe('context menu', () => {
+  it('registers a selection item for ChatGPT pages', () => {
+    registerContextMenu();
+
+    expect(chrome.contextMenus.create).toHaveBeenCalledWith({
+      id: CONTEXT_MENU_ID,
+      title: 'Save selection to GPT Snippets',
+      contexts: ['selection'],
+      documentUrlPatterns: ['https://chatgpt.com/*', 'https://chat.openai.com/*']
+    });
+  });
+
+  it('asks the tab to save its selection', async () => {
+    await expect(handleContextMenuClick({ menuItemId: CONTEXT_MENU_ID }, { id: 3 })).resolves.toBe(true);
+
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(3, { type: MESSAGE_TYPES.RUN_ACTION, action: 'saveSelection' });
+  });
+
+  it('ignores other menu items', async () => {
+    await expect(handleContextMenuClick({ menuItemId: 'other' }, { id: 3 })).resolves.toBe(false);
+    expect(chrome.tabs.sendMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe('commands and toolbar button', () => {
+  it('forwards commands as shortcut actions', async () => {
+    await handleCommand('toggle-panel', { id: 3 });
+    await handleCommand('focus-search', { id: 3 });
+
+    expect(chrome.tabs.sendMessage.mock.calls.map(([, message]) => message.action)).toEqual(['togglePanel', 'focusSearch']);
+    await expect(handleCommand('unknown', { id: 3 })).resolves.toBe(false);
+  });
+
+  it('falls back to the active tab', async () => {
+    await handleCommand('save-selection');
+
+    expect(chrome.tabs.query).toHaveBeenCalledWith({ active: true, currentWindow: true });
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, { type: MESSAGE_TYPES.RUN_ACTION, action: 'saveSelection' });
+  });
+
+  it('toggles the panel from the toolbar button', async () => {
+    await handleActionClick({ id: 3 });
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(3, { type: MESSAGE_TYPES.RUN_ACTION, action: 'togglePanel' });
+    expect(chrome.runtime.openOptionsPage).not.toHaveBeenCalled();
+  });
+
+  it('opens the library from the toolbar button outside ChatGPT', async () => {
+    chrome.tabs.sendMessage.mockRejectedValue(new Error('Receiving end does not exist.'));
+
+    await expect(handleActionClick({ id: 3 })).resolves.toBe(false);
+    expect(chrome.runtime.openOptionsPage).toHaveBeenCalled();
+  });
+
+  it('ignores tabs without the content script', async () => {
+    chrome.tabs.sendMessage.mockRejectedValue(new Error('Could not establish connection. Receiving end does not exist.'));
+
+    await expect(sendToTab(3, { type: MESSAGE_TYPES.RUN_ACTION, action: 'togglePanel' })).resolves.toBe(false);
+    await expect(sendToTab(undefined, {})).resolves.toBe(false);
+  });
+});
+
+describe('side panel', () => {
+  afterEach(() => {
+    applyPanelMode('overlay');
+  });
+
+  it('is only offered when the panel mode includes it', () => {
+    applyPanelMode('overlay');
+    expect(chrome.sidePanel.setOptions).toHaveBeenLastCalledWith({ enabled: false });
+    expect(chrome.sidePanel.setPanelBehavior).toHaveBeenLastCalledWith({ openPanelOnActionClick: false });
+
+    applyPanelMode('both');
+    expect(chrome.sidePanel.setOptions).toHaveBeenLastCalledWith({ enabled: true });
+    expect(chrome.sidePanel.setPanelBehavior).toHaveBeenLastCalledWith({ openPanelOnActionClick: true });
+  });
+
+  it('reads the panel mode from the settings and follows changes', async () => {
+    chrome.storage.local.get.mockResolvedValue({ settings: { panelMode: 'sidepanel' } });
+    await loadPanelMode();
+    expect(chrome.sidePanel.setOptions).toHaveBeenLastCalledWith({ enabled: true });
+
+    handleSettingsChange({ settings: { newValue: { panelMode: 'sidepanel', theme: 'dark' } } }, 'local');
+    expect(chrome.sidePanel.setOptions).toHaveBeenCalledTimes(1);
+    handleSettingsChange({ settings: { newValue: { panelMode: 'overlay' } } }, 'local');
+    expect(chrome.sidePanel.setOptions).toHaveBeenLastCalledWith({ enabled: false });
+  });
+
+  it('opens the side panel for the toggle command without the overlay', async () => {
+    applyPanelMode('sidepanel');
+
+    await expect(handleCommand('toggle-panel', { id: 3, windowId: 1 })).resolves.toBe(true);
+    expect(chrome.sidePanel.open).toHaveBeenCalledWith({ windowId: 1 });
+    expect(chrome.tabs.sendMessage).not.toHaveBeenCalled();
+
+    await handleCommand('save-selection', { id: 3, windowId: 1 });
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(3, { type: MESSAGE_TYPES.RUN_ACTION, action: 'saveSelection' });
+  });
+
+  it('keeps toggling the overlay in both modes', async () => {
+    applyPanelMode('both');
+
+    await handleCommand('toggle-panel', { id: 3, windowId: 1 });
+    expect(chrome.sidePanel.open).not.toHaveBeenCalled();
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(3, { type: MESSAGE_TYPES.RUN_ACTION, action: 'togglePanel' });
+  });
+});
+
+describe('badge', () => {
+  it('formats counts', () => {
+    expect(formatBadgeCount(0)).toBe('');
+    expect(formatBadgeCount(12)).toBe('12');
+    expect(formatBadgeCount(1500)).toBe('999+');
+  });
+
+  it('shows the count reported by a tab', () => {
+    const handled = handleRuntimeMessage({ type: MESSAGE_TYPES.SNIPPET_COUNT, count: 4 }, { id: 'extension-id', tab: { id: 3 } });
+
+    expect(handled).toBe(true);
+    expect(chrome.action.setBadgeText).toHaveBeenCalledWith({ tabId: 3, text: '4' });
+  });
+
+  it('opens the library for a tab that asks', () => {
+    expect(handleRuntimeMessage({ type: MESSAGE_TYPES.OPEN_LIBRARY }, { id: 'extension-id', tab: { id: 3 } })).toBe(true);
+    expect(chrome.runtime.openOptionsPage).toHaveBeenCalled();
+  });
+
+  it('ignores malformed messages and other senders', () => {
+    expect(handleRuntimeMessage({ type: MESSAGE_TYPES.SNIPPET_COUNT, count: 'many' }, { id: 'extension-id', tab: { id: 3 } })).toBe(false);
+    expect(handleRuntimeMessage({ type: MESSAGE_TYPES.SNIPPET_COUNT, count: 4 }, { id: 'other-extension', tab: { id: 3 } })).toBe(false);
+    expect(handleRuntimeMessage({ type: MESSAGE_TYPES.SNIPPET_COUNT, count: 4 }, { id: 'extension-id' })).toBe(false);
+    expect(chrome.action.setBadgeText).not.toHaveBeenCalled();
+  });
+});
+
+describe('setupBackground', () => {
+  it('registers every listener', () => {
+    setupBackground();
+
+    expect(chrome.runtime.onInstalled.addListener).toHaveBeenCalledWith(registerContextMenu);
+    expect(chrome.contextMenus.onClicked.addListener).toHaveBeenCalledWith(handleContextMenuClick);
+    expect(chrome.commands.onCommand.addListener).toHaveBeenCalledWith(handleCommand);
+    expect(chrome.action.onClicked.addListener).toHaveBeenCalledWith(handleActionClick);
+    expect(chrome.runtime.onMessage.addListener).toHaveBeenCalledTimes(1);
+    expect(chrome.storage.onChanged.addListener).toHaveBeenCalledWith(handleSettingsChange);
+    expect(chrome.storage.local.get).toHaveBeenCalledWith('settings');
+    expect(chrome.action.setBadgeBackgroundColor).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import {
+  applyImport,
+  buildHtmlFromSnippets,
+  buildJsonExport,
+  buildMarkdownExport,
+  formatImportStatus,
+  formatSnippetMarkdown,
+  getSnippetSource,
+  normalizeImportedSnippet,
+  previewImportFile
+} from '../src/content/exchange.js';
+import { createEmptyStorage, upsertConversation, upsertSnippet } from '../src/content/storage.js';
+import { DEFAULT_PALETTE } from '../src/shared/palette.js';
+
+function createLibrary() {
+  let storage = createEmptyStorage();
+  storage = upsertSnippet(storage, { id: 'a', text: 'First', conversationId: 'conv-1', role: 'assistant', model: 'gpt-4o', createdAt: 1000 });
+  storage = upsertSnippet(storage, { id: 'b', text: 'Second', conversationId: 'conv-1', createdAt: 2000 });
+  return upsertConversation(storage, 'conv-1', { title: 'Planning', projectId: 'p1', projectName: 'Work' });
+}
+
+const file = payload => ({ text: async () => (typeof payload === 'string' ? payload : JSON.stringify(payload)) });
+
+describe('previewImportFile', () => {
+  it('rejects unreadable, malformed and empty files', async () => {
+    const storage = createLibrary();
+    await expect(previewImportFile(storage, file('{'), 'merge')).rejects.toThrow('Failed to read import file.');
+    await expect(previewImportFile(storage, file({ snippets: [] }), 'merge')).rejects.toThrow('Invalid JSON format.');
+    await expect(previewImportFile(storage, file({ items: [{ text: '  ' }] }), 'merge')).rejects.toThrow('No valid snippets found.');
+  });
+
+  it('describes a merge and a replace', async () => {
+    const storage = { ...createLibrary(), meta: { totalCount: 2 } };
+    const payload = { items: [{ id: 'a', text: 'First', conversationId: 'conv-1' }, { text: 'New' }] };
+
+    const merge = await previewImportFile(storage, file(payload), 'merge');
+    expect(merge.items).toHaveLength(2);
+    expect(merge.preview).toBe('Preview: add 1 new, skip 1 duplicate. Total after import: 3.');
+
+    const replace = await previewImportFile(storage, file(payload), 'replace');
+    expect(replace.preview).toBe('Preview: 2 snippets will replace 2.');
+  });
+
+  it('sanitizes imported HTML', () => {
+    const snippet = normalizeImportedSnippet({
+      text: 'Click',
+      html: '<a href="javascript:alert(1)" style="color:red">Click</a><iframe src="https://example.com"></iframe>'
+    });
+    expect(snippet.html).toBe('<a>Click</a>');
+    expect(normalizeImportedSnippet({ text: 'Plain', html: 42 }).html).toBeNull();
+  });
+});
+
+describe('applyImport', () => {
+  it('merges new snippets and records their conversation metadata', () => {
+    const storage = createLibrary();
+    const items = [
+      { id: 'a', text: 'First', conversationId: 'conv-1', createdAt: 1000 },
+      { id: 'c', text: 'Third', conversationId: 'conv-2', conversationTitle: 'Imported', createdAt: 3000 }
+    ];
+    const result = applyImport(storage, items, 'merge');
+
+    expect(result.added).toBe(1);
+    expect(result.skipped).toBe(1);
+    expect(Object.keys(result.storage.snippetsById).sort()).toEqual(['a', 'b', 'c']);
+    expect(result.storage.conversations['conv-2'].title).toBe('Imported');
+    expect(storage.snippetsById.c).toBeUndefined();
+  });
+
+  it('leaves snippets the library already has untouched when merging', () => {
+    const storage = createLibrary();
+    const exported = buildJsonExport(storage, Object.values(storage.snippetsById), DEFAULT_PALETTE).items;
+    const result = applyImport(storage, exported, 'merge');
+
+    expect(result.added).toBe(0);
+    expect(result.skipped).toBe(2);
+    expect(result.storage.snippetsById).toEqual(storage.snippetsById);
+    expect(result.storage.snippetsById.a).toBe(storage.snippetsById.a);
+    expect(Object.keys(result.storage.trash)).toHaveLength(0);
+  });
+
+  it('updates snippets edited since the library copy and keeps clashing IDs apart', () => {
+    const storage = createLibrary();
+    const edited = { ...storage.snippetsById.a, note: 'Edited elsewhere', updatedAt: storage.snippetsById.a.updatedAt + 1000 };
+    const clash = { id: 'b', text: 'Unrelated', createdAt: 3000 };
+    const result = applyImport(storage, [edited, clash], 'merge');
+
+    expect(result).toMatchObject({ added: 1, updated: 1, skipped: 0 });
+    expect(result.storage.snippetsById.a.note).toBe('Edited elsewhere');
+    expect(result.storage.snippetsById.a.revision).toBe(2);
+    expect(result.storage.snippetsById.b).toBe(storage.snippetsById.b);
+    expect(Object.values(result.storage.snippetsById).map(snippet => snippet.text)).toContain('Unrelated');
+    expect(formatImportStatus(result)).toBe('Imported 1 new snippet (1 updated).');
+  });
+
+  it('moves the current library to the trash when replacing', () => {
+    const result = applyImport(createLibrary(), [{ id: 'c', text: 'Third', createdAt: 3000 }], 'replace');
+
+    expect(result.added).toBe(1);
+    expect(Object.keys(result.storage.snippetsById)).toEqual(['c']);
+    expect(Object.keys(result.storage.trash).sort()).toEqual(['a', 'b']);
+  });
+});
+
+describe('exports', () => {
+  it('adds the source line to Markdown when asked', () => {
+    const storage = createLibrary();
+    const snippet = storage.snippetsById.a;
+
+    expect(formatSnippetMarkdown(snippet)).toBe('- First');
+    expect(formatSnippetMarkdown(snippet, { getSource: s => getSnippetSource(storage, s) }))
+      .toBe('- First\n\n  _from: Planning · assistant · gpt-4o_');
+    expect(buildMarkdownExport(storage, [storage.snippetsById.b], DEFAULT_PALETTE)).toBe('- Second\n\n  _from: Planning_');
+  });
+
+  it('sanitizes stored HTML before writing it to the clipboard', () => {
+    const snippets = [
+      { text: 'Bold', html: '<b onclick="x()">Bold</b><form><input></form>' },
+      { text: 'a < b', html: '<script>x()</script>' }
+    ];
+    expect(buildHtmlFromSnippets(snippets)).toBe('<ul><li><b>Bold</b></li><li>a &lt; b</li></ul>');
+  });
+
+  it('carries timestamps, color labels and conversation metadata in JSON', () => {
+    const storage = upsertSnippet(createLibrary(), { id: 'a', text: 'First', conversationId: 'conv-1', projectId: 'p1', color: 'yellow', createdAt: 1000 });
+    const payload = buildJsonExport(storage, [storage.snippetsById.a], DEFAULT_PALETTE);
+
+    expect(payload.schemaVersion).toBe(1);
+    expect(payload.items[0]).toMatchObject({
+      id: 'a',
+      timestamp: 1000,
+      colorLabel: 'Fact',
+      conversationTitle: 'Planning',
+      projectName: 'Work'
+    });
+  });
+});
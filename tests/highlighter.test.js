@@ -0,0 +1,186 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createHighlighter, resolveSnippetRanges } from '../src/content/highlighter.js';
+import { supportsCustomHighlights } from '../src/content/rangePainter.js';
+
+const snippet = {
+  id: 'snippet-1',
+  text: 'quoted passage',
+  note: 'Check this later',
+  tags: ['research'],
+  conversationId: 'conv-1',
+  anchor: {
+    conversationId: 'conv-1',
+    messageId: 'msg-1',
+    quote: { exact: 'quoted passage', prefix: 'The ', suffix: ' here.' }
+  }
+};
+
+const missing = {
+  id: 'snippet-2',
+  text: 'not on the page',
+  conversationId: 'conv-1',
+  anchor: { conversationId: 'conv-1', messageId: 'msg-9', quote: { exact: 'not on the page', prefix: '', suffix: '' } }
+};
+
+function renderMessage(text = 'The quoted passage here.') {
+  const message = document.createElement('div');
+  message.setAttribute('data-message-id', 'msg-1');
+  message.textContent = text;
+  document.body.appendChild(message);
+  return message;
+}
+
+beforeEach(() => {
+  document.body.innerHTML = '';
+  Object.defineProperty(window, 'location', {
+    value: { href: 'https://chatgpt.com/c/conv-1', pathname: '/c/conv-1' },
+    writable: true
+  });
+  Range.prototype.getClientRects = () => [{ top: 10, left: 20, right: 120, bottom: 30, width: 100, height: 20 }];
+});
+
+afterEach(() => {
+  document.body.innerHTML = '';
+  delete globalThis.CSS;
+  delete globalThis.Highlight;
+});
+
+describe('resolveSnippetRanges', () => {
+  it('finds the text range of each snippet on the page', () => {
+    renderMessage();
+
+    const entries = resolveSnippetRanges([snippet, missing]);
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0].snippet).toBe(snippet);
+    expect(entries[0].range.toString()).toBe('quoted passage');
+  });
+
+  it('finds a range per segment of a snippet spanning several messages', () => {
+    renderMessage();
+    const answer = document.createElement('div');
+    answer.setAttribute('data-message-id', 'msg-2');
+    answer.textContent = 'An answer follows.';
+    document.body.appendChild(answer);
+    const segments = [
+      { text: 'quoted passage', anchor: snippet.anchor },
+      { text: 'An answer', anchor: { conversationId: 'conv-1', messageId: 'msg-2', quote: { exact: 'An answer', prefix: '', suffix: ' follows.' } } }
+    ];
+
+    const entries = resolveSnippetRanges([{ ...snippet, segments }]);
+
+    expect(entries.map(({ range }) => range.toString())).toEqual(['quoted passage', 'An answer']);
+  });
+});
+
+describe('createHighlighter', () => {
+  it('paints with the CSS Custom Highlight API without changing the page', () => {
+    globalThis.Highlight = class {
+      constructor(...ranges) {
+        this.ranges = ranges;
+      }
+    };
+    globalThis.CSS = { highlights: new Map() };
+    const message = renderMessage();
+    const html = message.innerHTML;
+
+    const highlighter = createHighlighter({ getSnippets: () => [snippet] });
+    expect(supportsCustomHighlights()).toBe(true);
+    expect(highlighter.getMode()).toBe('custom');
+    highlighter.start();
+
+    expect(CSS.highlights.get('ce-snippet').ranges.map(range => range.toString())).toEqual(['quoted passage']);
+    expect(message.innerHTML).toBe(html);
+
+    highlighter.stop();
+    expect(CSS.highlights.has('ce-snippet')).toBe(false);
+  });
+
+  it('paints colored snippets with their color', () => {
+    globalThis.Highlight = class {
+      constructor(...ranges) {
+        this.ranges = ranges;
+      }
+    };
+    globalThis.CSS = { highlights: new Map() };
+    renderMessage();
+    let snippets = [{ ...snippet, color: 'green' }];
+
+    const highlighter = createHighlighter({ getSnippets: () => snippets });
+    highlighter.start();
+    expect([...CSS.highlights.keys()]).toEqual(['ce-snippet-green']);
+
+    // Recoloring drops the old highlight
+    snippets = [{ ...snippet, color: 'red' }];
+    highlighter.refresh();
+    expect([...CSS.highlights.keys()]).toEqual(['ce-snippet-red']);
+    highlighter.stop();
+  });
+
+  it('falls back to overlay rectangles', () => {
+    renderMessage();
+
+    const highlighter = createHighlighter({ getSnippets: () => [snippet] });
+    expect(highlighter.getMode()).toBe('overlay');
+    highlighter.start();
+
+    const box = document.querySelector('#ce-highlight-layer .ce-highlight-overlay');
+    expect(box.style.top).toBe('10px');
+    expect(box.style.width).toBe('100px');
+
+    highlighter.stop();
+    expect(document.getElementById('ce-highlight-layer')).toBeNull();
+  });
+
+  it('re-applies highlights when a message re-renders', async () => {
+    const message = renderMessage('Streaming...');
+    const highlighter = createHighlighter({ getSnippets: () => [snippet], mode: 'overlay' });
+    highlighter.start();
+    expect(document.querySelectorAll('.ce-highlight-overlay')).toHaveLength(0);
+
+    message.textContent = 'The quoted passage here.';
+
+    await vi.waitFor(() => expect(document.querySelectorAll('.ce-highlight-overlay')).toHaveLength(1));
+    highlighter.stop();
+  });
+
+  it('shows the note and tags when hovering a highlight', () => {
+    renderMessage();
+    const highlighter = createHighlighter({ getSnippets: () => [snippet], mode: 'overlay' });
+    highlighter.start();
+
+    document.dispatchEvent(new MouseEvent('mousemove', { clientX: 50, clientY: 20 }));
+    const tooltip = document.getElementById('ce-highlight-tooltip');
+    expect(tooltip.classList.contains('ce-highlight-tooltip-show')).toBe(true);
+    expect(tooltip.querySelector('.ce-snippet-note').textContent).toBe('Check this later');
+    expect(tooltip.querySelector('.ce-tag').textContent).toBe('#research');
+
+    document.dispatchEvent(new MouseEvent('mousemove', { clientX: 500, clientY: 500 }));
+    expect(tooltip.classList.contains('ce-highlight-tooltip-show')).toBe(false);
+    highlighter.stop();
+  });
+
+  it('hit-tests hovering against rectangles measured once per paint', () => {
+    globalThis.Highlight = class {
+      constructor(...ranges) {
+        this.ranges = ranges;
+      }
+    };
+    globalThis.CSS = { highlights: new Map() };
+    renderMessage();
+    const highlighter = createHighlighter({ getSnippets: () => [snippet] });
+    highlighter.start();
+    const getClientRects = vi.spyOn(Range.prototype, 'getClientRects');
+
+    document.dispatchEvent(new MouseEvent('mousemove', { clientX: 50, clientY: 20 }));
+    document.dispatchEvent(new MouseEvent('mousemove', { clientX: 60, clientY: 25 }));
+    document.dispatchEvent(new MouseEvent('mousemove', { clientX: 500, clientY: 500 }));
+    expect(getClientRects).toHaveBeenCalledTimes(1);
+
+    // Scrolling moves the ranges, so the next hover measures again
+    window.dispatchEvent(new Event('scroll'));
+    document.dispatchEvent(new MouseEvent('mousemove', { clientX: 50, clientY: 20 }));
+    expect(getClientRects).toHaveBeenCalledTimes(2);
+    highlighter.stop();
+  });
+});
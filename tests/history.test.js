@@ -0,0 +1,156 @@
+import { describe, it, expect } from 'vitest';
+import { createHistory, diffSnippets, applyChanges } from '../src/content/history.js';
+import { upsertSnippet, removeSnippet, clearAll, purgeSnippets } from '../src/content/storage.js';
+
+function emptyStorage() {
+  return clearAll({ snippetsById: {}, tombstones: {} });
+}
+
+function snippet(id, text = `Snippet ${id}`) {
+  return { id, text, conversationId: 'conv-1', createdAt: 1 };
+}
+
+function withSnippets(...ids) {
+  return ids.reduce((storage, id) => upsertSnippet(storage, snippet(id)), emptyStorage());
+}
+
+describe('diffSnippets', () => {
+  it('reports added, removed and changed snippets only', () => {
+    const before = withSnippets('a', 'b', 'c');
+    let after = removeSnippet(before, 'a');
+    after = upsertSnippet(after, { ...before.snippetsById.b, text: 'edited' });
+    after = upsertSnippet(after, snippet('d'));
+
+    const changes = diffSnippets(before.snippetsById, after.snippetsById);
+    const byId = Object.fromEntries(changes.map(change => [change.id, change]));
+
+    expect(Object.keys(byId).sort()).toEqual(['a', 'b', 'd']);
+    expect(byId.a.after).toBeNull();
+    expect(byId.b.before.text).toBe('Snippet b');
+    expect(byId.b.after.text).toBe('edited');
+    expect(byId.d.before).toBeNull();
+  });
+});
+
+describe('applyChanges', () => {
+  it('restores the before side and replays the after side', () => {
+    const before = withSnippets('a', 'b');
+    const after = removeSnippet(before, 'a');
+    const changes = diffSnippets(before.snippetsById, after.snippetsById);
+
+    const undone = applyChanges(after, changes, 'before');
+    expect(undone.snippetsById.a.text).toBe('Snippet a');
+    expect(undone.trash.a).toBeUndefined();
+    expect(undone.index.byThread['conv-1']).toContain('a');
+
+    const redone = applyChanges(undone, changes, 'after');
+    expect(redone.snippetsById.a).toBeUndefined();
+    expect(redone.trash.a).toBeDefined();
+  });
+});
+
+describe('createHistory', () => {
+  it('undoes and redoes multiple steps in order', () => {
+    const history = createHistory();
+    let storage = emptyStorage();
+
+    const step = (label, mutate) => {
+      const before = storage;
+      storage = mutate(storage);
+      history.record(label, before, storage);
+    };
+
+    step('Save a', s => upsertSnippet(s, snippet('a')));
+    step('Save b', s => upsertSnippet(s, snippet('b')));
+    step('Delete a', s => removeSnippet(s, 'a'));
+
+    let result = history.undo(storage);
+    expect(result.entry.label).toBe('Delete a');
+    storage = result.storage;
+    expect(Object.keys(storage.snippetsById).sort()).toEqual(['a', 'b']);
+
+    storage = history.undo(storage).storage;
+    expect(Object.keys(storage.snippetsById)).toEqual(['a']);
+
+    result = history.redo(storage);
+    expect(result.entry.label).toBe('Save b');
+    storage = result.storage;
+    expect(Object.keys(storage.snippetsById).sort()).toEqual(['a', 'b']);
+    expect(history.canRedo()).toBe(true);
+  });
+
+  it('undoes a clear of all snippets in one step', () => {
+    const history = createHistory();
+    const before = withSnippets('a', 'b', 'c');
+    const after = clearAll(before);
+    history.record('Clear all', before, after);
+
+    const { storage } = history.undo(after);
+    expect(Object.keys(storage.snippetsById).sort()).toEqual(['a', 'b', 'c']);
+    expect(Object.keys(storage.trash)).toHaveLength(0);
+  });
+
+  it('ignores mutations that changed nothing', () => {
+    const history = createHistory();
+    const storage = withSnippets('a');
+    expect(history.record('No-op', storage, removeSnippet(storage, 'missing'))).toBeNull();
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it('drops the redo stack when a new mutation is recorded', () => {
+    const history = createHistory();
+    const one = withSnippets('a');
+    const two = upsertSnippet(one, snippet('b'));
+    history.record('Save b', one, two);
+    history.undo(two);
+    expect(history.canRedo()).toBe(true);
+
+    history.record('Save c', one, upsertSnippet(one, snippet('c')));
+    expect(history.canRedo()).toBe(false);
+    expect(history.redo(one)).toBeNull();
+  });
+
+  it('keeps at most the configured number of entries', () => {
+    const history = createHistory({ limit: 2 });
+    let storage = emptyStorage();
+    ['a', 'b', 'c'].forEach((id) => {
+      const before = storage;
+      storage = upsertSnippet(storage, snippet(id));
+      history.record(`Save ${id}`, before, storage);
+    });
+
+    expect(history.undo(storage).entry.label).toBe('Save c');
+    expect(history.undo(storage).entry.label).toBe('Save b');
+    expect(history.undo(storage)).toBeNull();
+  });
+
+  it('keeps permanently deleted snippets deleted on undo', () => {
+    const history = createHistory();
+    const before = withSnippets('a', 'b');
+    history.record('Save c', before, upsertSnippet(before, snippet('c')));
+    const deleted = removeSnippet(removeSnippet(before, 'a'), 'b');
+    history.record('Delete a and b', before, deleted);
+    const purged = purgeSnippets(deleted, ['a'], 5000);
+
+    const { storage, entry } = history.undo(purged);
+    expect(entry.label).toBe('Delete a and b');
+    expect(Object.keys(storage.snippetsById)).toEqual(['b']);
+    expect(storage.tombstones.a).toBe(5000);
+  });
+
+  it('skips entries that only touched permanently deleted snippets', () => {
+    const history = createHistory();
+    const before = withSnippets('a');
+    history.record('Save b', before, upsertSnippet(before, snippet('b')));
+    const deleted = removeSnippet(before, 'a');
+    history.record('Delete a', before, deleted);
+    const purged = purgeSnippets(deleted, ['a'], 5000);
+
+    expect(history.undo(purged).entry.label).toBe('Save b');
+    expect(history.undo(purged)).toBeNull();
+  });
+
+  it('returns null when there is nothing to undo', () => {
+    expect(createHistory().undo(emptyStorage())).toBeNull();
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { ALL_NODE, buildLibraryTree, getNodeLabel, getNodeSnippets, isNodeAvailable } from '../src/library/tree.js';
+import { getSnippetUrl, isChatGptUrl } from '../src/library/links.js';
+import { createEmptyStorage, upsertConversation, upsertSnippet } from '../src/content/storage.js';
+
+function createLibrary() {
+  let storage = createEmptyStorage();
+  storage = upsertSnippet(storage, { id: 'a', text: 'A', conversationId: 'conv-old', projectId: 'p1', tags: ['ml'], createdAt: 1000 });
+  storage = upsertSnippet(storage, { id: 'b', text: 'B', conversationId: 'conv-new', tags: ['ml', 'todo'], createdAt: 3000 });
+  storage = upsertSnippet(storage, { id: 'c', text: 'C', conversationId: 'conv-new', createdAt: 2000 });
+  storage = upsertSnippet(storage, { id: 'd', text: 'D', createdAt: 500 });
+  return upsertConversation(storage, 'conv-old', { title: 'Old chat', projectId: 'p1', projectName: 'Research' });
+}
+
+const ids = snippets => snippets.map(snippet => snippet.id);
+
+describe('buildLibraryTree', () => {
+  it('groups conversations under their projects, most recent first', () => {
+    const tree = buildLibraryTree(createLibrary());
+
+    expect(tree.total).toBe(4);
+    expect(tree.unfiled).toBe(1);
+    expect(tree.projects).toEqual([
+      { id: 'p1', label: 'Research', count: 1, conversations: [{ id: 'conv-old', label: 'Old chat', count: 1 }] }
+    ]);
+    expect(tree.conversations).toEqual([{ id: 'conv-new', label: 'Conversation conv-new', count: 2 }]);
+    expect(tree.tags).toEqual([{ tag: 'ml', count: 2 }, { tag: 'todo', count: 1 }]);
+  });
+});
+
+describe('tree nodes', () => {
+  it('lists the snippets under a node, newest first', () => {
+    const storage = createLibrary();
+
+    expect(ids(getNodeSnippets(storage, ALL_NODE))).toEqual(['b', 'c', 'a', 'd']);
+    expect(ids(getNodeSnippets(storage, { type: 'conversation', id: 'conv-new' }))).toEqual(['b', 'c']);
+    expect(ids(getNodeSnippets(storage, { type: 'project', id: 'p1' }))).toEqual(['a']);
+    expect(ids(getNodeSnippets(storage, { type: 'tag', id: 'ml' }))).toEqual(['b', 'a']);
+    expect(ids(getNodeSnippets(storage, { type: 'unfiled', id: null }))).toEqual(['d']);
+  });
+
+  it('labels nodes and notices emptied ones', () => {
+    const storage = createLibrary();
+
+    expect(getNodeLabel(storage, ALL_NODE)).toBe('All snippets');
+    expect(getNodeLabel(storage, { type: 'project', id: 'p1' })).toBe('Research');
+    expect(getNodeLabel(storage, { type: 'tag', id: 'ml' })).toBe('#ml');
+    expect(isNodeAvailable(storage, { type: 'tag', id: 'ml' })).toBe(true);
+    expect(isNodeAvailable(storage, { type: 'tag', id: 'gone' })).toBe(false);
+    expect(isNodeAvailable(storage, ALL_NODE)).toBe(true);
+  });
+});
+
+describe('getSnippetUrl', () => {
+  it('only trusts https ChatGPT URLs', () => {
+    expect(isChatGptUrl('https://chatgpt.com/c/abc')).toBe(true);
+    expect(isChatGptUrl('https://chat.openai.com/c/abc')).toBe(true);
+    expect(isChatGptUrl('http://chatgpt.com/c/abc')).toBe(false);
+    expect(isChatGptUrl('javascript:alert(1)')).toBe(false);
+    expect(isChatGptUrl('https://evil.example/c/abc')).toBe(false);
+  });
+
+  it('prefers the saved URL of the same conversation', () => {
+    const projectUrl = 'https://chatgpt.com/g/g-p-123-research/c/abc';
+    expect(getSnippetUrl({ conversationId: 'abc', sourceUrl: projectUrl })).toBe(projectUrl);
+    expect(getSnippetUrl({ conversationId: 'abc', sourceUrl: 'https://chat.openai.com/c/other' })).toBe('https://chat.openai.com/c/abc');
+    expect(getSnippetUrl({ conversationId: 'abc', sourceUrl: 'https://evil.example/c/abc' })).toBe('https://chatgpt.com/c/abc');
+    expect(getSnippetUrl({ conversationId: null, sourceUrl: null })).toBeNull();
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_LIST_VIEW, groupSnippets, resolveListViews, sortSnippets } from '../src/shared/listView.js';
+
+const snippets = [
+  { id: 'a', text: 'banana split', conversationId: 'conv-1', color: 'red', createdAt: 3, updatedAt: 3 },
+  { id: 'b', text: 'Apple pie with cream', conversationId: 'conv-2', projectId: 'proj-1', createdAt: 2, updatedAt: 9 },
+  { id: 'c', text: 'cherry', conversationId: 'conv-1', color: 'yellow', createdAt: 1, updatedAt: 1 }
+];
+
+const ids = list => list.map(snippet => snippet.id);
+
+describe('resolveListViews', () => {
+  it('fills in every scope and drops unknown values', () => {
+    const views = resolveListViews({ thread: { sort: 'oldest', group: 'bogus' }, all: 'x' });
+
+    expect(views).toEqual({
+      thread: { sort: 'oldest', group: 'none' },
+      project: DEFAULT_LIST_VIEW,
+      all: DEFAULT_LIST_VIEW
+    });
+  });
+});
+
+describe('sortSnippets', () => {
+  it('sorts by time, text, length and last edit', () => {
+    expect(ids(sortSnippets(snippets, 'newest'))).toEqual(['a', 'b', 'c']);
+    expect(ids(sortSnippets(snippets, 'oldest'))).toEqual(['c', 'b', 'a']);
+    expect(ids(sortSnippets(snippets, 'alphabetical'))).toEqual(['b', 'a', 'c']);
+    expect(ids(sortSnippets(snippets, 'longest'))).toEqual(['b', 'a', 'c']);
+    expect(ids(sortSnippets(snippets, 'edited'))).toEqual(['b', 'a', 'c']);
+    expect(ids(snippets)).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('groupSnippets', () => {
+  it('groups by conversation and project in list order, ungrouped last', () => {
+    expect(groupSnippets(snippets, 'conversation').map(({ key, snippets: items }) => [key, ids(items)])).toEqual([
+      ['conv-1', ['a', 'c']],
+      ['conv-2', ['b']]
+    ]);
+    expect(groupSnippets(snippets, 'project').map(({ key }) => key)).toEqual(['proj-1', '']);
+    expect(groupSnippets(snippets, 'none')).toBeNull();
+  });
+
+  it('orders color groups like the palette', () => {
+    const palette = [{ id: 'yellow' }, { id: 'red' }];
+
+    expect(groupSnippets(snippets, 'color', { palette }).map(({ key }) => key)).toEqual(['yellow', 'red', '']);
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { MESSAGE_TYPES, createMessage, isValidMessage } from '../src/shared/messages.js';
+
+describe('messages', () => {
+  it('creates messages of known types', () => {
+    expect(createMessage(MESSAGE_TYPES.RUN_ACTION, { action: 'togglePanel' })).toEqual({ type: MESSAGE_TYPES.RUN_ACTION, action: 'togglePanel' });
+    expect(createMessage(MESSAGE_TYPES.SNIPPET_COUNT, { count: 0 })).toEqual({ type: MESSAGE_TYPES.SNIPPET_COUNT, count: 0 });
+    expect(createMessage(MESSAGE_TYPES.OPEN_LIBRARY)).toEqual({ type: MESSAGE_TYPES.OPEN_LIBRARY });
+    expect(createMessage(MESSAGE_TYPES.PANEL_STATE, { conversationId: null, snippets: [], conversations: {} }))
+      .toEqual({ type: MESSAGE_TYPES.PANEL_STATE, conversationId: null, snippets: [], conversations: {} });
+    expect(createMessage(MESSAGE_TYPES.DELETE_SNIPPET, { id: 'a' })).toEqual({ type: MESSAGE_TYPES.DELETE_SNIPPET, id: 'a' });
+  });
+
+  it('refuses payloads that do not fit the type', () => {
+    expect(() => createMessage(MESSAGE_TYPES.RUN_ACTION, {})).toThrow('Invalid message');
+    expect(() => createMessage(MESSAGE_TYPES.SNIPPET_COUNT, { count: -1 })).toThrow('Invalid message');
+    expect(() => createMessage('unknown')).toThrow('Invalid message');
+    expect(() => createMessage(MESSAGE_TYPES.PANEL_STATE, { conversationId: 3, snippets: [], conversations: {} })).toThrow('Invalid message');
+    expect(() => createMessage(MESSAGE_TYPES.NAVIGATE_TO_SNIPPET, { id: '' })).toThrow('Invalid message');
+    expect(() => createMessage(MESSAGE_TYPES.SET_PANEL_MODE, { mode: 'popup' })).toThrow('Invalid message');
+  });
+
+  it('checks received messages, optionally for a type', () => {
+    const message = { type: MESSAGE_TYPES.SNIPPET_COUNT, count: 3 };
+    expect(isValidMessage(message)).toBe(true);
+    expect(isValidMessage(message, MESSAGE_TYPES.SNIPPET_COUNT)).toBe(true);
+    expect(isValidMessage(message, MESSAGE_TYPES.RUN_ACTION)).toBe(false);
+    expect(isValidMessage({ type: MESSAGE_TYPES.SNIPPET_COUNT, count: '3' })).toBe(false);
+    expect(isValidMessage(null)).toBe(false);
+    expect(isValidMessage('gpt-snippets/run-action')).toBe(false);
+  });
+});
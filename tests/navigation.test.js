@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { findMessageById, findMessageByTextHash, findMessageByPrefix, navigateToSource } from '../src/content/navigation.js';
+import { findMessageById, findMessageByTextHash, findMessageByPrefix, findMessageByQuote, navigateToSource } from '../src/content/navigation.js';
 import { hashText } from '../src/shared/hash.js';
 
 // Setup DOM environment
@@ -7,8 +7,23 @@ beforeEach(() => {
   document.body.innerHTML = '';
   // Mock scrollIntoView for jsdom
   Element.prototype.scrollIntoView = vi.fn();
+  // Stub the CSS Custom Highlight API, which paints transient highlights
+  globalThis.Highlight = class {
+    constructor(...ranges) {
+      this.ranges = ranges;
+    }
+  };
+  globalThis.CSS = { highlights: new Map() };
 });
 
+/**
+ * Gets the ranges painted as transient highlights.
+ * @returns {Array<Range>} Highlighted ranges
+ */
+function getHighlightedRanges() {
+  return Array.from(CSS.highlights.values()).flatMap(highlight => highlight.ranges);
+}
+
 afterEach(() => {
   document.body.innerHTML = '';
 });
@@ -149,6 +164,39 @@ describe('findMessageByPrefix', () => {
   });
 });
 
+describe('findMessageByQuote', () => {
+  function addMessage(id, text) {
+    const message = document.createElement('div');
+    message.setAttribute('data-message-id', id);
+    message.textContent = text;
+    document.body.appendChild(message);
+    return message;
+  }
+
+  it('picks the message whose context matches the quote', () => {
+    addMessage('msg-1', 'Use npm install to add it.');
+    const second = addMessage('msg-2', 'Then run npm install again after editing.');
+
+    const found = findMessageByQuote({ exact: 'npm install', prefix: 'Then run ', suffix: ' again' });
+    expect(found.element).toBe(second);
+    expect(found.match.confidence).toBe(1);
+  });
+
+  it('fuzzy-matches a quote in a re-rendered message', () => {
+    const message = addMessage('msg-1', 'The quick brown fox jumps over the lazy dog.');
+
+    const found = findMessageByQuote({ exact: 'quick brown fox jumped over', prefix: 'The ', suffix: ' the lazy' });
+    expect(found.element).toBe(message);
+    expect(found.match.confidence).toBeLessThan(1);
+  });
+
+  it('returns null when no message contains the quote', () => {
+    addMessage('msg-1', 'Unrelated text');
+    expect(findMessageByQuote({ exact: 'something else entirely' })).toBeNull();
+    expect(findMessageByQuote(null)).toBeNull();
+  });
+});
+
 describe('navigateToSource', () => {
   beforeEach(() => {
     // Mock window.location.href
@@ -168,6 +216,41 @@ describe('navigateToSource', () => {
     expect(result.reason).toContain('no anchor');
   });
 
+  it('highlights every segment of a snippet spanning several messages', () => {
+    document.body.innerHTML = `
+      <div data-message-id="msg-1">What is a learning rate?</div>
+      <div data-message-id="msg-2">The learning rate sets the step size.</div>`;
+    const segment = (messageId, exact) => ({
+      text: exact,
+      anchor: { conversationId: 'conv-123', messageId, quote: { exact, prefix: '', suffix: '' } }
+    });
+    const segments = [segment('msg-1', 'What is a learning rate?'), segment('msg-2', 'The learning rate sets')];
+    const snippet = { id: 'snippet-1', text: 'What is a learning rate? The learning rate sets', anchor: segments[0].anchor, segments };
+    const html = document.body.innerHTML;
+
+    const result = navigateToSource(snippet);
+
+    expect(result).toEqual({ success: true, confidence: 1 });
+    const ranges = getHighlightedRanges();
+    expect(ranges.map(range => range.toString())).toEqual(['What is a learning rate?', 'The learning rate sets']);
+    expect(document.body.innerHTML).toBe(html);
+    expect(Element.prototype.scrollIntoView).toHaveBeenCalledTimes(1);
+    expect(Element.prototype.scrollIntoView.mock.instances[0]).toBe(document.querySelector('[data-message-id="msg-1"]'));
+  });
+
+  it('reports segments it cannot find', () => {
+    document.body.innerHTML = '<div data-message-id="msg-1">What is a learning rate?</div>';
+    const segments = [
+      { text: 'What is a learning rate?', anchor: { conversationId: 'conv-123', messageId: 'msg-1', quote: { exact: 'What is a learning rate?', prefix: '', suffix: '' } } },
+      { text: 'Gone', anchor: { conversationId: 'conv-123', messageId: 'msg-2', quote: { exact: 'An answer that was deleted', prefix: '', suffix: '' } } }
+    ];
+
+    const result = navigateToSource({ id: 'snippet-1', text: 'x', anchor: segments[0].anchor, segments });
+
+    expect(result.success).toBe(true);
+    expect(result.missingSegments).toBe(1);
+  });
+
   it('finds message by messageId and highlights', () => {
     const message = document.createElement('div');
     message.setAttribute('data-message-id', 'msg-123');
@@ -280,6 +363,104 @@ describe('navigateToSource', () => {
 
     const result = navigateToSource(snippet);
     expect(result.success).toBe(true);
-    // Message should have highlight class (will be removed after timeout)
+    expect(getHighlightedRanges()[0].toString()).toBe('Test message');
+  });
+
+  it('paints the highlight in the snippet color and clears it after a while', () => {
+    vi.useFakeTimers();
+    const message = document.createElement('div');
+    message.setAttribute('data-message-id', 'msg-123');
+    message.textContent = 'Say hello.';
+    document.body.appendChild(message);
+
+    const snippet = {
+      id: 'snippet-1',
+      text: 'hello',
+      color: 'green',
+      anchor: {
+        conversationId: 'conv-123',
+        messageId: 'msg-123',
+        quote: { exact: 'hello', prefix: 'Say ', suffix: '.' }
+      }
+    };
+
+    navigateToSource(snippet);
+    expect(CSS.highlights.get('ce-transient-green').ranges.map(range => range.toString())).toEqual(['hello']);
+
+    vi.advanceTimersByTime(2500);
+    expect(CSS.highlights.size).toBe(0);
+    vi.useRealTimers();
+  });
+
+  it('reports full confidence for an exact quote with matching context', () => {
+    const message = document.createElement('div');
+    message.setAttribute('data-message-id', 'msg-123');
+    message.textContent = 'Say hello. Then say hello again.';
+    document.body.appendChild(message);
+
+    const snippet = {
+      id: 'snippet-1',
+      text: 'hello',
+      anchor: {
+        conversationId: 'conv-123',
+        messageId: 'msg-123',
+        quote: { exact: 'hello', prefix: 'Then say ', suffix: ' again.' },
+        selectionOffsets: { start: 4, end: 9 }
+      }
+    };
+
+    const result = navigateToSource(snippet);
+    expect(result).toEqual({ success: true, confidence: 1 });
+    expect(getHighlightedRanges().map(range => range.toString())).toEqual(['hello']);
+    // The message's text node isn't split or wrapped
+    expect(message.childNodes).toHaveLength(1);
+  });
+
+  it('re-anchors in another message when the original message changed', () => {
+    const original = document.createElement('div');
+    original.setAttribute('data-message-id', 'msg-123');
+    original.textContent = 'Completely rewritten reply';
+    const other = document.createElement('div');
+    other.setAttribute('data-message-id', 'msg-456');
+    other.textContent = 'Here is the   quoted passage, unchanged.';
+    document.body.appendChild(original);
+    document.body.appendChild(other);
+
+    const snippet = {
+      id: 'snippet-1',
+      text: 'quoted passage',
+      anchor: {
+        conversationId: 'conv-123',
+        messageId: 'msg-123',
+        quote: { exact: 'quoted passage', prefix: 'Here is the ', suffix: ', unchanged.' }
+      }
+    };
+
+    const result = navigateToSource(snippet);
+    expect(result.success).toBe(true);
+    expect(result.confidence).toBe(1);
+    expect(getHighlightedRanges()[0].startContainer.parentElement).toBe(other);
+  });
+
+  it('reports zero confidence when only the message is found', () => {
+    const message = document.createElement('div');
+    message.setAttribute('data-message-id', 'msg-123');
+    message.textContent = 'Nothing from the snippet is left here';
+    document.body.appendChild(message);
+
+    const snippet = {
+      id: 'snippet-1',
+      text: 'original passage',
+      anchor: {
+        conversationId: 'conv-123',
+        messageId: 'msg-123',
+        quote: { exact: 'an original passage of text', prefix: '', suffix: '' }
+      }
+    };
+
+    const result = navigateToSource(snippet);
+    expect(result).toEqual({ success: true, confidence: 0 });
+    expect(getHighlightedRanges()[0].toString()).toBe('Nothing from the snippet is left here');
+    expect(message.hasAttribute('class')).toBe(false);
   });
 });
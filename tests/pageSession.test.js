@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { applyTheme, createLibrarySession, resolveTheme } from '../src/content/pageSession.js';
+import { clearAll, createEmptyStorage, upsertSnippet } from '../src/content/storage.js';
+
+function snippet(id, text = `Snippet ${id}`) {
+  return { id, text, conversationId: 'conv-1', createdAt: 1 };
+}
+
+// In-memory storage adapter standing in for chrome.storage.local
+function createMemoryAdapter(initial = createEmptyStorage()) {
+  let saved = initial;
+  return {
+    load: vi.fn(async () => saved),
+    save: vi.fn(async (storage) => {
+      saved = storage;
+    }),
+    getSaved: () => saved
+  };
+}
+
+function createSession(adapter, storage = createEmptyStorage(), options = {}) {
+  const page = { storage, changes: 0 };
+  const session = createLibrarySession({
+    adapter,
+    getStorage: () => page.storage,
+    setStorage: (next) => {
+      page.storage = next;
+    },
+    onChange: () => {
+      page.changes += 1;
+    },
+    ...options
+  });
+  return { page, session };
+}
+
+const toastTexts = () => Array.from(document.querySelectorAll('.ce-toast'), toast => toast.firstChild.textContent);
+
+beforeEach(() => {
+  document.body.innerHTML = '';
+  document.documentElement.className = '';
+});
+
+describe('theme', () => {
+  it('resolves auto to the system theme', () => {
+    expect(resolveTheme('dark')).toBe('dark');
+    window.matchMedia = vi.fn(() => ({ matches: true }));
+    expect(resolveTheme('auto')).toBe('dark');
+    delete window.matchMedia;
+    expect(resolveTheme('auto')).toBe('light');
+  });
+
+  it('replaces the theme class of every element', () => {
+    const element = document.createElement('div');
+    element.className = 'ce-extension ce-theme-dark';
+    applyTheme('light', [element, document.documentElement]);
+    expect(element.className).toBe('ce-extension ce-theme-light');
+    expect(document.documentElement.classList.contains('ce-theme-light')).toBe(true);
+  });
+});
+
+describe('createLibrarySession', () => {
+  it('saves mutations and undoes and redoes them', async () => {
+    const adapter = createMemoryAdapter();
+    const { page, session } = createSession(adapter);
+
+    await session.applyMutation('Save snippet', storage => upsertSnippet(storage, snippet('a')));
+    expect(adapter.getSaved().snippetsById.a.text).toBe('Snippet a');
+    expect(page.changes).toBe(1);
+
+    session.undo();
+    expect(page.storage.snippetsById.a).toBeUndefined();
+    await vi.waitFor(() => expect(adapter.getSaved().snippetsById.a).toBeUndefined());
+
+    session.redo();
+    expect(page.storage.snippetsById.a.text).toBe('Snippet a');
+    expect(toastTexts()).toEqual(['Undone: Save snippet', 'Redone: Save snippet']);
+  });
+
+  it('blocks changes to a library saved by a newer version', async () => {
+    const adapter = createMemoryAdapter();
+    const { page, session } = createSession(adapter, { ...createEmptyStorage(), readOnly: true });
+
+    await session.applyMutation('Save snippet', storage => upsertSnippet(storage, snippet('a')));
+    expect(page.storage.snippetsById.a).toBeUndefined();
+    expect(adapter.save).not.toHaveBeenCalled();
+    expect(toastTexts()[0]).toContain('newer version');
+  });
+
+  it('merges another tab\'s write and writes back what it lacked', async () => {
+    const adapter = createMemoryAdapter();
+    const local = upsertSnippet(createEmptyStorage(), snippet('a'));
+    const { page, session } = createSession(adapter, local);
+    const remote = upsertSnippet(clearAll(createEmptyStorage()), snippet('b'));
+
+    session.mergeRemote(remote);
+    expect(Object.keys(page.storage.snippetsById).sort()).toEqual(['a', 'b']);
+    expect(page.changes).toBe(1);
+    await vi.waitFor(() => expect(Object.keys(adapter.getSaved().snippetsById).sort()).toEqual(['a', 'b']));
+  });
+
+  it('saves settings with the library and reports failures', async () => {
+    const saveSettings = vi.fn(async () => {});
+    const adapter = createMemoryAdapter();
+    const { session } = createSession(adapter, createEmptyStorage(), { saveSettings });
+
+    await session.save();
+    expect(saveSettings).toHaveBeenCalledTimes(1);
+
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    adapter.save.mockRejectedValueOnce(new Error('QUOTA_BYTES quota exceeded'));
+    await session.save();
+    expect(toastTexts()).toEqual(['Storage full. Please clear some snippets or export your data.']);
+  });
+});
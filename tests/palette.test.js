@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_PALETTE,
+  isColorId,
+  resolvePalette,
+  updatePaletteEntry,
+  getColorLabel,
+  hexToRgba,
+  buildPaletteCss
+} from '../src/shared/palette.js';
+
+describe('resolvePalette', () => {
+  it('uses the default palette when nothing is saved', () => {
+    expect(resolvePalette(undefined)).toEqual(DEFAULT_PALETTE);
+    expect(resolvePalette(undefined)).not.toBe(DEFAULT_PALETTE);
+  });
+
+  it('keeps valid entries and drops invalid or duplicate ones', () => {
+    const palette = resolvePalette([
+      { id: 'yellow', label: ' Fact ', color: '#FACC15' },
+      { id: 'yellow', label: 'Again', color: '#000000' },
+      { id: 'Bad Id', label: 'Nope', color: '#000000' },
+      { id: 'green', label: '', color: '#22c55e' },
+      { id: 'blue', label: 'Idea', color: 'blue' }
+    ]);
+
+    expect(palette).toEqual([{ id: 'yellow', label: 'Fact', color: '#facc15' }]);
+  });
+
+  it('falls back to the default palette when no entry is valid', () => {
+    expect(resolvePalette([{ id: 'x' }])).toEqual(DEFAULT_PALETTE);
+  });
+});
+
+describe('updatePaletteEntry', () => {
+  it('renames and recolors one entry', () => {
+    const palette = updatePaletteEntry(DEFAULT_PALETTE, 'green', { label: 'Follow up', color: '#00FF00' });
+
+    expect(palette[1]).toEqual({ id: 'green', label: 'Follow up', color: '#00ff00' });
+    expect(palette[0]).toBe(DEFAULT_PALETTE[0]);
+  });
+
+  it('ignores empty labels and malformed colors', () => {
+    const palette = updatePaletteEntry(DEFAULT_PALETTE, 'green', { label: '  ', color: 'green' });
+    expect(palette[1]).toEqual(DEFAULT_PALETTE[1]);
+  });
+});
+
+describe('getColorLabel', () => {
+  it('returns the label of a palette color', () => {
+    expect(getColorLabel(DEFAULT_PALETTE, 'red')).toBe('Question');
+    expect(getColorLabel(DEFAULT_PALETTE, 'unknown')).toBeNull();
+    expect(getColorLabel(DEFAULT_PALETTE, null)).toBeNull();
+  });
+});
+
+describe('isColorId', () => {
+  it('accepts only CSS-safe IDs', () => {
+    expect(isColorId('yellow')).toBe(true);
+    expect(isColorId('a;b')).toBe(false);
+    expect(isColorId(null)).toBe(false);
+  });
+});
+
+describe('buildPaletteCss', () => {
+  it('defines color variables and a highlight per color', () => {
+    const css = buildPaletteCss([{ id: 'yellow', label: 'Fact', color: '#facc15' }]);
+
+    expect(hexToRgba('#facc15', 0.35)).toBe('rgba(250, 204, 21, 0.35)');
+    expect(css).toContain('--ce-color-yellow: #facc15;');
+    expect(css).toContain('--ce-color-yellow-bg: rgba(250, 204, 21, 0.35);');
+    expect(css).toContain('::highlight(ce-snippet-yellow)');
+  });
+});
@@ -0,0 +1,17 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_PANEL_MODE, resolvePanelMode, showsOverlay, showsSidePanel } from '../src/shared/panelModes.js';
+
+describe('panel modes', () => {
+  it('defaults to the overlay for missing or unknown modes', () => {
+    expect(DEFAULT_PANEL_MODE).toBe('overlay');
+    expect(resolvePanelMode(undefined)).toBe('overlay');
+    expect(resolvePanelMode('popup')).toBe('overlay');
+    expect(resolvePanelMode('both')).toBe('both');
+  });
+
+  it('tells which panels a mode shows', () => {
+    expect([showsOverlay('overlay'), showsSidePanel('overlay')]).toEqual([true, false]);
+    expect([showsOverlay('sidepanel'), showsSidePanel('sidepanel')]).toEqual([false, true]);
+    expect([showsOverlay('both'), showsSidePanel('both')]).toEqual([true, true]);
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  PENDING_NAVIGATION_TIMEOUT_MS,
+  getConversationUrl,
+  savePendingNavigation,
+  getPendingNavigation,
+  takePendingNavigation,
+  openConversation,
+  waitForSource
+} from '../src/content/pendingNavigation.js';
+
+const snippet = {
+  id: 'snippet-1',
+  text: 'quoted passage',
+  conversationId: 'conv-target',
+  sourceUrl: 'https://chatgpt.com/g/g-p-abc/c/conv-target',
+  anchor: {
+    conversationId: 'conv-target',
+    messageId: 'msg-1',
+    quote: { exact: 'quoted passage', prefix: 'The ', suffix: ' here.' }
+  }
+};
+
+function setLocation(href) {
+  Object.defineProperty(window, 'location', {
+    value: { href, assign: vi.fn() },
+    writable: true
+  });
+}
+
+beforeEach(() => {
+  document.body.innerHTML = '';
+  sessionStorage.clear();
+  Element.prototype.scrollIntoView = vi.fn();
+  Range.prototype.getClientRects = () => [{ top: 10, left: 20, right: 120, bottom: 30, width: 100, height: 20 }];
+  setLocation('https://chatgpt.com/c/conv-current');
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  document.body.innerHTML = '';
+});
+
+describe('getConversationUrl', () => {
+  it('uses sourceUrl when it points to the snippet conversation', () => {
+    expect(getConversationUrl(snippet)).toBe('https://chatgpt.com/g/g-p-abc/c/conv-target');
+  });
+
+  it('builds a conversation URL otherwise', () => {
+    expect(getConversationUrl({ ...snippet, sourceUrl: 'https://chatgpt.com/' })).toBe('https://chatgpt.com/c/conv-target');
+    expect(getConversationUrl({ id: 'x', anchor: null })).toBeNull();
+  });
+});
+
+describe('pending navigation record', () => {
+  it('is taken once the target conversation is shown', () => {
+    savePendingNavigation(snippet, 1000);
+
+    expect(takePendingNavigation('conv-other', 2000)).toBeNull();
+    expect(takePendingNavigation('conv-target', 2000)).toEqual({ snippetId: 'snippet-1', conversationId: 'conv-target', createdAt: 1000 });
+    expect(takePendingNavigation('conv-target', 2000)).toBeNull();
+  });
+
+  it('expires after the timeout', () => {
+    savePendingNavigation(snippet, 1000);
+
+    expect(getPendingNavigation(1000 + PENDING_NAVIGATION_TIMEOUT_MS + 1)).toBeNull();
+    expect(sessionStorage.length).toBe(0);
+  });
+
+  it('ignores corrupt records', () => {
+    sessionStorage.setItem('ce-pending-navigation', '{not json');
+    expect(getPendingNavigation()).toBeNull();
+  });
+});
+
+describe('openConversation', () => {
+  it('clicks a page link to the conversation for client-side navigation', () => {
+    vi.useFakeTimers();
+    const link = document.createElement('a');
+    link.href = 'https://chatgpt.com/c/conv-target';
+    const onClick = vi.fn(event => event.preventDefault());
+    link.addEventListener('click', onClick);
+    document.body.appendChild(link);
+
+    expect(openConversation('https://chatgpt.com/g/g-p-abc/c/conv-target')).toBe('spa');
+    expect(onClick).toHaveBeenCalled();
+
+    // The page picked up the click: no reload
+    window.location.href = 'https://chatgpt.com/c/conv-target';
+    vi.advanceTimersByTime(2000);
+    expect(window.location.assign).not.toHaveBeenCalled();
+  });
+
+  it('reloads when client-side navigation does not happen', () => {
+    vi.useFakeTimers();
+    const link = document.createElement('a');
+    link.href = 'https://chatgpt.com/c/conv-target';
+    link.addEventListener('click', event => event.preventDefault());
+    document.body.appendChild(link);
+
+    expect(openConversation('https://chatgpt.com/c/conv-target')).toBe('spa');
+    expect(window.location.assign).not.toHaveBeenCalled();
+    vi.advanceTimersByTime(2000);
+
+    expect(window.location.assign).toHaveBeenCalledWith('https://chatgpt.com/c/conv-target');
+  });
+
+  it('does not reload once the user has moved to another conversation', () => {
+    vi.useFakeTimers();
+    const link = document.createElement('a');
+    link.href = 'https://chatgpt.com/c/conv-target';
+    link.addEventListener('click', event => event.preventDefault());
+    document.body.appendChild(link);
+
+    openConversation('https://chatgpt.com/c/conv-target');
+    window.location.href = 'https://chatgpt.com/c/conv-other';
+    vi.advanceTimersByTime(1000);
+    window.location.href = 'https://chatgpt.com/';
+    vi.advanceTimersByTime(1000);
+
+    expect(window.location.assign).not.toHaveBeenCalled();
+  });
+
+  it('loads the page when there is no link to the conversation', () => {
+    expect(openConversation('https://chatgpt.com/c/conv-target')).toBe('reload');
+    expect(window.location.assign).toHaveBeenCalledWith('https://chatgpt.com/c/conv-target');
+  });
+});
+
+describe('waitForSource', () => {
+  it('highlights the source once its message renders', async () => {
+    setLocation('https://chatgpt.com/c/conv-target');
+    const pending = waitForSource(snippet, { timeout: 2000 });
+
+    const message = document.createElement('div');
+    message.setAttribute('data-message-id', 'msg-1');
+    message.textContent = 'The quoted passage here.';
+    document.body.appendChild(message);
+
+    const result = await pending;
+    expect(result).toEqual({ success: true, confidence: 1 });
+    expect(document.querySelector('#ce-transient-layer .ce-highlight-transient')).not.toBeNull();
+    expect(message.innerHTML).toBe('The quoted passage here.');
+  });
+
+  it('fails with a clear reason after the timeout', async () => {
+    setLocation('https://chatgpt.com/c/conv-target');
+
+    const result = await waitForSource(snippet, { timeout: 50 });
+
+    expect(result.success).toBe(false);
+    expect(result.reason).toContain('did not appear');
+  });
+
+  it('stops early when the conversation has rendered without the message', async () => {
+    setLocation('https://chatgpt.com/c/conv-target');
+    const other = document.createElement('div');
+    other.setAttribute('data-message-id', 'msg-other');
+    other.textContent = 'Unrelated message';
+    document.body.appendChild(other);
+
+    const result = await waitForSource(snippet, { timeout: 2000, quietPeriod: 20 });
+
+    expect(result.success).toBe(false);
+    expect(result.notRendered).toBe(true);
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuery, matchesQuery, parseDateRange, getQueryTerms } from '../src/shared/query.js';
+
+const snippets = [
+  { id: 'a', text: 'Gradient descent converges slowly', note: 'check the proof', tags: ['ml', 'todo'], color: 'yellow', conversationId: 'conv-1', projectId: 'proj-1', role: 'assistant', createdAt: new Date(2024, 4, 10, 12).getTime() },
+  { id: 'b', text: 'What is gradient clipping?', tags: ['ml'], conversationId: 'conv-2', role: 'user', createdAt: new Date(2024, 5, 1, 9).getTime() },
+  { id: 'c', text: 'Use a learning rate schedule', color: 'red', conversationId: 'conv-2', truncated: true, createdAt: new Date(2023, 11, 31, 23).getTime() }
+];
+
+const context = {
+  palette: [{ id: 'yellow', label: 'Fact', color: '#facc15' }, { id: 'red', label: 'Question', color: '#ef4444' }],
+  getConversationTitle: snippet => ({ 'conv-1': 'Optimization notes', 'conv-2': 'Training tips' })[snippet.conversationId] || null
+};
+
+function search(query) {
+  const { ast, errors } = parseQuery(query);
+  expect(errors).toEqual([]);
+  return snippets.filter(snippet => matchesQuery(snippet, ast, context)).map(snippet => snippet.id);
+}
+
+function errorsOf(query) {
+  return parseQuery(query).errors.map(({ message }) => message);
+}
+
+describe('parseQuery', () => {
+  it('returns no expression for an empty query', () => {
+    expect(parseQuery('   ')).toEqual({ ast: null, errors: [] });
+  });
+
+  it('parses words, phrases, negation, OR and groups', () => {
+    expect(parseQuery('a "b c" -d (e OR f)').ast).toEqual({
+      type: 'and',
+      children: [
+        { type: 'text', value: 'a', phrase: false },
+        { type: 'text', value: 'b c', phrase: true },
+        { type: 'not', child: { type: 'text', value: 'd', phrase: false } },
+        { type: 'or', children: [{ type: 'text', value: 'e', phrase: false }, { type: 'text', value: 'f', phrase: false }] }
+      ]
+    });
+  });
+
+  it('parses field filters, including quoted values', () => {
+    expect(parseQuery('conv:"Training tips" -tag:ml').ast).toEqual({
+      type: 'and',
+      children: [
+        { type: 'field', field: 'conv', value: 'Training tips' },
+        { type: 'not', child: { type: 'field', field: 'tag', value: 'ml' } }
+      ]
+    });
+  });
+
+  it('keeps unknown prefixes as plain text', () => {
+    expect(parseQuery('https://example.com').ast).toEqual({ type: 'text', value: 'https://example.com', phrase: false });
+  });
+
+  it('reports syntax errors with their position', () => {
+    expect(parseQuery('tag:ml "open').errors).toEqual([{ message: 'Missing closing quote', start: 7, end: 12 }]);
+    expect(errorsOf('(a OR b')).toEqual(['Missing closing parenthesis']);
+    expect(errorsOf('a)')).toEqual(['Unmatched ")"']);
+    expect(errorsOf('a OR')).toEqual(['OR needs a search term on both sides']);
+    expect(errorsOf('tag:')).toEqual(['"tag:" needs a value']);
+  });
+
+  it('reports invalid filter values', () => {
+    expect(errorsOf('before:yesterday')).toEqual(['"yesterday" is not a date (use YYYY-MM-DD)']);
+    expect(errorsOf('after:2024-02-30')).toEqual(['"2024-02-30" is not a date (use YYYY-MM-DD)']);
+    expect(errorsOf('role:system')).toEqual(['role: must be user or assistant']);
+    expect(errorsOf('has:link')).toEqual(['has: must be note, tag, color']);
+    expect(errorsOf('truncated:maybe')).toEqual(['truncated: must be true or false']);
+  });
+
+  it('still applies the valid part of an invalid query', () => {
+    const { ast, errors } = parseQuery('gradient role:system');
+    expect(errors).toHaveLength(1);
+    expect(ast).toEqual({ type: 'text', value: 'gradient', phrase: false });
+  });
+});
+
+describe('parseDateRange', () => {
+  it('covers a day, a month or a year in local time', () => {
+    expect(parseDateRange('2024-05-10')).toEqual({ start: new Date(2024, 4, 10).getTime(), end: new Date(2024, 4, 11).getTime() });
+    expect(parseDateRange('2024-12')).toEqual({ start: new Date(2024, 11, 1).getTime(), end: new Date(2025, 0, 1).getTime() });
+    expect(parseDateRange('2024').end).toBe(new Date(2025, 0, 1).getTime());
+    expect(parseDateRange('05/10/2024')).toBeNull();
+  });
+});
+
+describe('matchesQuery', () => {
+  it('matches words in text and notes, case-insensitively', () => {
+    expect(search('GRADIENT')).toEqual(['a', 'b']);
+    expect(search('proof')).toEqual(['a']);
+    expect(search('gradient -clipping')).toEqual(['a']);
+    expect(search('"learning rate" OR clipping')).toEqual(['b', 'c']);
+    expect(search('-(gradient OR schedule)')).toEqual([]);
+  });
+
+  it('filters by tag, color and conversation', () => {
+    expect(search('tag:ML')).toEqual(['a', 'b']);
+    expect(search('tag:ml -tag:todo')).toEqual(['b']);
+    expect(search('color:red')).toEqual(['c']);
+    expect(search('color:fact')).toEqual(['a']);
+    expect(search('conv:training')).toEqual(['b', 'c']);
+    expect(search('conv:conv-1 project:proj-1')).toEqual(['a']);
+  });
+
+  it('filters by date, role, note and truncation', () => {
+    expect(search('after:2024-05-10')).toEqual(['a', 'b']);
+    expect(search('before:2024-05-10')).toEqual(['c']);
+    expect(search('after:2024 before:2024-06')).toEqual(['a']);
+    expect(search('role:user')).toEqual(['b']);
+    expect(search('has:note')).toEqual(['a']);
+    expect(search('has:color -has:tag')).toEqual(['c']);
+    expect(search('truncated:true')).toEqual(['c']);
+  });
+
+  it('matches the role of any segment of a snippet spanning several messages', () => {
+    const compound = {
+      id: 'd',
+      text: 'Why? Because.',
+      role: 'user',
+      segments: [{ text: 'Why?', role: 'user' }, { text: 'Because.', role: 'assistant' }]
+    };
+    const { ast } = parseQuery('role:assistant');
+    expect(matchesQuery(compound, ast, context)).toBe(true);
+  });
+});
+
+describe('getQueryTerms', () => {
+  it('collects the text terms that are not negated', () => {
+    const { ast } = parseQuery('gradient "learning rate" -clipping (tag:ml OR schedule)');
+
+    expect(getQueryTerms(ast)).toEqual([
+      { value: 'gradient', phrase: false },
+      { value: 'learning rate', phrase: true },
+      { value: 'schedule', phrase: false }
+    ]);
+    expect(getQueryTerms(null)).toEqual([]);
+  });
+});
+
+describe('matchesQuery with a text matcher', () => {
+  it('delegates text terms to context.matchText', () => {
+    const { ast } = parseQuery('anything -other tag:ml');
+    const matchText = (snippet, term) => term.value === 'anything' && snippet.id !== 'b';
+
+    expect(snippets.filter(snippet => matchesQuery(snippet, ast, { matchText })).map(snippet => snippet.id)).toEqual(['a']);
+  });
+});
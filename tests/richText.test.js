@@ -0,0 +1,199 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { getCodeLanguage, nodeToMarkdown, rangeToMarkdown, rangeToHtml, extractRichContent, sanitizeHtml } from '../src/content/richText.js';
+
+function html(markup) {
+  const container = document.createElement('div');
+  container.innerHTML = markup;
+  document.body.appendChild(container);
+  return container;
+}
+
+function rangeOver(node) {
+  const range = document.createRange();
+  range.selectNodeContents(node);
+  return range;
+}
+
+beforeEach(() => {
+  document.body.innerHTML = '';
+});
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+describe('getCodeLanguage', () => {
+  it('reads language from code class name', () => {
+    const container = html('<pre><code class="hljs language-python">print(1)</code></pre>');
+    expect(getCodeLanguage(container.querySelector('pre'))).toBe('python');
+  });
+
+  it('returns empty string when no language is present', () => {
+    const container = html('<pre><code>plain</code></pre>');
+    expect(getCodeLanguage(container.querySelector('pre'))).toBe('');
+  });
+});
+
+describe('nodeToMarkdown', () => {
+  it('converts paragraphs with bold, italic and inline code', () => {
+    const container = html('<p>Use <strong>bold</strong>, <em>italic</em> and <code>npm test</code>.</p><p>Second</p>');
+    expect(nodeToMarkdown(container)).toBe('Use **bold**, *italic* and `npm test`.\n\nSecond');
+  });
+
+  it('converts fenced code blocks with language label and skips the copy button', () => {
+    const container = html(
+      '<pre><div><span>python</span><button>Copy code</button></div>' +
+      '<code class="language-python">def f():\n    return 1\n</code></pre>'
+    );
+    // The header label is part of ChatGPT's chrome, so only the code is fenced
+    const markdown = nodeToMarkdown(container.querySelector('pre'));
+    expect(markdown).toBe('```python\ndef f():\n    return 1\n```');
+  });
+
+  it('uses a longer fence when code contains backticks', () => {
+    const container = html('<pre><code>```js\nx\n```</code></pre>');
+    expect(nodeToMarkdown(container)).toBe('````\n```js\nx\n```\n````');
+  });
+
+  it('converts nested lists', () => {
+    const container = html(
+      '<ul><li>One<ul><li>Nested A</li><li>Nested B</li></ul></li><li>Two</li></ul>' +
+      '<ol start="3"><li>Three</li><li>Four</li></ol>'
+    );
+    expect(nodeToMarkdown(container)).toBe(
+      '- One\n  - Nested A\n  - Nested B\n- Two\n\n3. Three\n4. Four'
+    );
+  });
+
+  it('indents code blocks inside list items', () => {
+    const container = html('<ul><li>Run:<pre><code class="language-bash">npm test</code></pre></li></ul>');
+    expect(nodeToMarkdown(container)).toBe('- Run:\n  ```bash\n  npm test\n  ```');
+  });
+
+  it('converts tables to GFM', () => {
+    const container = html(
+      '<table><thead><tr><th>Name</th><th>Value</th></tr></thead>' +
+      '<tbody><tr><td>a|b</td><td><strong>1</strong></td></tr></tbody></table>'
+    );
+    expect(nodeToMarkdown(container)).toBe('| Name | Value |\n| --- | --- |\n| a\\|b | **1** |');
+  });
+
+  it('converts links and headings', () => {
+    const container = html('<h3>Title</h3><p>See <a href="https://example.com">docs</a></p>');
+    expect(nodeToMarkdown(container)).toBe('### Title\n\nSee [docs](https://example.com)');
+  });
+
+  it('emits KaTeX source for inline and display math', () => {
+    const container = html(
+      '<p>Energy <span class="katex"><span class="katex-mathml"><math><semantics><mrow></mrow>' +
+      '<annotation encoding="application/x-tex">E = mc^2</annotation></semantics></math></span>' +
+      '<span class="katex-html" aria-hidden="true">E=mc2</span></span></p>' +
+      '<span class="katex-display"><span class="katex"><annotation encoding="application/x-tex">\\int_0^1 x\\,dx</annotation></span></span>'
+    );
+    expect(nodeToMarkdown(container)).toBe('Energy $E = mc^2$\n\n$$\n\\int_0^1 x\\,dx\n$$');
+  });
+
+  it('prefixes blockquote lines', () => {
+    const container = html('<blockquote><p>Quoted</p><p>Lines</p></blockquote>');
+    expect(nodeToMarkdown(container)).toBe('> Quoted\n>\n> Lines');
+  });
+});
+
+describe('rangeToMarkdown', () => {
+  it('converts a range spanning multiple blocks', () => {
+    const container = html('<p>Intro <strong>text</strong></p><ul><li>Item</li></ul>');
+    expect(rangeToMarkdown(rangeOver(container))).toBe('Intro **text**\n\n- Item');
+  });
+
+  it('keeps a selection inside a code block fenced', () => {
+    const container = html('<pre><code class="language-js">const a = 1;\nconst b = 2;</code></pre>');
+    const textNode = container.querySelector('code').firstChild;
+    const range = document.createRange();
+    range.setStart(textNode, 0);
+    range.setEnd(textNode, 12);
+
+    expect(rangeToMarkdown(range)).toBe('```js\nconst a = 1;\n```');
+  });
+
+  it('keeps a selection inside inline code as code', () => {
+    const container = html('<p>Run <code>npm run build</code> now</p>');
+    const textNode = container.querySelector('code').firstChild;
+    const range = document.createRange();
+    range.setStart(textNode, 4);
+    range.setEnd(textNode, 13);
+
+    expect(rangeToMarkdown(range)).toBe('`run build`');
+  });
+
+  it('returns TeX source for a selection inside math', () => {
+    const container = html(
+      '<span class="katex"><annotation encoding="application/x-tex">a^2</annotation>' +
+      '<span class="katex-html">a2</span></span>'
+    );
+    const textNode = container.querySelector('.katex-html').firstChild;
+    const range = document.createRange();
+    range.setStart(textNode, 0);
+    range.setEnd(textNode, 2);
+
+    expect(rangeToMarkdown(range)).toBe('$a^2$');
+  });
+});
+
+describe('rangeToHtml', () => {
+  it('serializes HTML without buttons, scripts or event handlers', () => {
+    const container = html('<p onclick="alert(1)">Hi <b>there</b></p><button>Copy</button><script>x()</script>');
+    const result = rangeToHtml(rangeOver(container));
+    expect(result).toBe('<p>Hi <b>there</b></p>');
+  });
+
+  it('returns null for empty ranges', () => {
+    const container = html('<p>Text</p>');
+    const range = document.createRange();
+    range.setStart(container, 0);
+    range.setEnd(container, 0);
+    expect(rangeToHtml(range)).toBeNull();
+  });
+
+  it('keeps only allowlisted tags, attributes and URL schemes', () => {
+    const container = html([
+      '<p style="color:red" data-id="1"><a href="javascript:alert(1)">bad</a> <a href="https://example.com" target="_blank">good</a></p>',
+      '<img src="data:image/png;base64,AAAA" alt="inline"><img src="https://example.com/a.png" alt="remote">',
+      '<iframe src="https://example.com"></iframe><object data="x"></object><embed src="x"><form><input value="x"></form>',
+      '<custom-tag>kept text</custom-tag>',
+      '<pre class="language-js"><code class="language-js">x</code></pre>'
+    ].join(''));
+    expect(rangeToHtml(rangeOver(container))).toBe([
+      '<p><a>bad</a> <a href="https://example.com">good</a></p>',
+      '<img alt="inline"><img src="https://example.com/a.png" alt="remote">',
+      'kept text',
+      '<pre class="language-js"><code class="language-js">x</code></pre>'
+    ].join(''));
+  });
+});
+
+describe('sanitizeHtml', () => {
+  it('sanitizes an HTML string like captured HTML', () => {
+    expect(sanitizeHtml('<p onmouseover="x()">Hi <a href=" JAVA\tSCRIPT:alert(1)">there</a></p><script>x()</script>'))
+      .toBe('<p>Hi <a>there</a></p>');
+    expect(sanitizeHtml('<a href="mailto:me@example.com">mail</a>')).toBe('<a href="mailto:me@example.com">mail</a>');
+  });
+
+  it('returns null for non-strings and empty results', () => {
+    expect(sanitizeHtml(null)).toBeNull();
+    expect(sanitizeHtml('<script>x()</script>')).toBeNull();
+  });
+});
+
+describe('extractRichContent', () => {
+  it('returns markdown and html for a range', () => {
+    const container = html('<p><em>Rich</em> text</p>');
+    const rich = extractRichContent(rangeOver(container));
+    expect(rich.markdown).toBe('*Rich* text');
+    expect(rich.html).toBe('<p><em>Rich</em> text</p>');
+  });
+
+  it('returns nulls when conversion fails', () => {
+    const rich = extractRichContent({ commonAncestorContainer: null, cloneContents: () => { throw new Error('boom'); } });
+    expect(rich).toEqual({ markdown: null, html: null });
+  });
+});
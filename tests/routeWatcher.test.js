@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { resolveRoute, hasRouteChanged, watchRouteChanges } from '../src/content/routeWatcher.js';
+
+describe('resolveRoute', () => {
+  it('resolves conversation and project IDs from URL', () => {
+    const route = resolveRoute('https://chatgpt.com/g/g-p-123/c/conv-1');
+    expect(route).toEqual({
+      url: 'https://chatgpt.com/g/g-p-123/c/conv-1',
+      conversationId: 'conv-1',
+      projectId: 'g-p-123'
+    });
+  });
+
+  it('returns null IDs for the main page', () => {
+    const route = resolveRoute('https://chatgpt.com/');
+    expect(route.conversationId).toBeNull();
+    expect(route.projectId).toBeNull();
+  });
+});
+
+describe('hasRouteChanged', () => {
+  it('returns true when there is no previous route', () => {
+    expect(hasRouteChanged(null, resolveRoute('https://chatgpt.com/c/a'))).toBe(true);
+  });
+
+  it('returns true when conversation changes', () => {
+    const prev = resolveRoute('https://chatgpt.com/c/a');
+    const next = resolveRoute('https://chatgpt.com/c/b');
+    expect(hasRouteChanged(prev, next)).toBe(true);
+  });
+
+  it('returns true when project changes', () => {
+    const prev = resolveRoute('https://chatgpt.com/g/p1/c/a');
+    const next = resolveRoute('https://chatgpt.com/g/p2/c/a');
+    expect(hasRouteChanged(prev, next)).toBe(true);
+  });
+
+  it('returns false when only query or hash changes', () => {
+    const prev = resolveRoute('https://chatgpt.com/c/a');
+    const next = resolveRoute('https://chatgpt.com/c/a?model=gpt-4o#top');
+    expect(hasRouteChanged(prev, next)).toBe(false);
+  });
+});
+
+describe('watchRouteChanges', () => {
+  let stop;
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  afterEach(() => {
+    if (stop) {
+      stop();
+      stop = null;
+    }
+    window.history.replaceState(null, '', '/');
+  });
+
+  it('calls onChange when pushState switches conversation', () => {
+    const onChange = vi.fn();
+    stop = watchRouteChanges(onChange, { pollInterval: 0 });
+
+    window.history.pushState(null, '', '/c/conv-1');
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    const [next, previous] = onChange.mock.calls[0];
+    expect(next.conversationId).toBe('conv-1');
+    expect(previous.conversationId).toBeNull();
+  });
+
+  it('calls onChange for each pushState transition between conversations', () => {
+    const onChange = vi.fn();
+    stop = watchRouteChanges(onChange, { pollInterval: 0 });
+
+    window.history.pushState(null, '', '/c/conv-1');
+    window.history.pushState(null, '', '/c/conv-2');
+    window.history.pushState(null, '', '/g/proj-1/c/conv-3');
+
+    expect(onChange).toHaveBeenCalledTimes(3);
+    expect(onChange.mock.calls[1][0].conversationId).toBe('conv-2');
+    expect(onChange.mock.calls[2][0]).toMatchObject({ conversationId: 'conv-3', projectId: 'proj-1' });
+  });
+
+  it('detects replaceState transitions', () => {
+    const onChange = vi.fn();
+    stop = watchRouteChanges(onChange, { pollInterval: 0 });
+
+    window.history.replaceState(null, '', '/c/conv-1');
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange.mock.calls[0][0].conversationId).toBe('conv-1');
+  });
+
+  it('ignores URL changes within the same conversation', () => {
+    window.history.replaceState(null, '', '/c/conv-1');
+    const onChange = vi.fn();
+    stop = watchRouteChanges(onChange, { pollInterval: 0 });
+
+    window.history.pushState(null, '', '/c/conv-1?model=gpt-4o');
+
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  it('detects popstate (back/forward) transitions', () => {
+    window.history.replaceState(null, '', '/c/conv-1');
+    const onChange = vi.fn();
+    stop = watchRouteChanges(onChange, { pollInterval: 0 });
+
+    // Simulate a history traversal: URL changes without going through the patched API
+    History.prototype.replaceState.call(window.history, null, '', '/c/conv-0');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange.mock.calls[0][0].conversationId).toBe('conv-0');
+  });
+
+  it('detects URL changes made outside the patched history API via polling', () => {
+    vi.useFakeTimers();
+    try {
+      const onChange = vi.fn();
+      stop = watchRouteChanges(onChange, { pollInterval: 500 });
+
+      // Page-world navigation bypasses our patched methods
+      History.prototype.pushState.call(window.history, null, '', '/c/conv-9');
+      expect(onChange).not.toHaveBeenCalled();
+
+      vi.advanceTimersByTime(500);
+      expect(onChange).toHaveBeenCalledTimes(1);
+      expect(onChange.mock.calls[0][0].conversationId).toBe('conv-9');
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('restores the history API when stopped', () => {
+    const originalPushState = window.history.pushState;
+    const onChange = vi.fn();
+    const stopWatcher = watchRouteChanges(onChange, { pollInterval: 0 });
+    expect(window.history.pushState).not.toBe(originalPushState);
+
+    stopWatcher();
+    expect(window.history.pushState).toBe(originalPushState);
+
+    window.history.pushState(null, '', '/c/conv-1');
+    expect(onChange).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { createSearchIndex, editDistance, findMatchRanges, foldText, tokenizeText } from '../src/shared/searchIndex.js';
+
+const snippets = {
+  a: { id: 'a', text: 'Gradient descent converges when the learning rate is small' },
+  b: { id: 'b', text: 'Gradient clipping, gradient noise and gradient checkpointing', note: 'Café notes' },
+  c: { id: 'c', text: 'Schedule the learning rate with warmup' }
+};
+
+function buildIndex(byId = snippets) {
+  const index = createSearchIndex();
+  index.sync(byId);
+  return index;
+}
+
+const ids = results => Array.from(results.keys()).sort();
+
+describe('tokenizeText', () => {
+  it('folds case and diacritics', () => {
+    expect(foldText('Crème BRÛLÉE')).toBe('creme brulee');
+    expect(tokenizeText('Naïve café, e-mail 42')).toEqual(['naive', 'cafe', 'e', 'mail', '42']);
+  });
+});
+
+describe('editDistance', () => {
+  it('counts edits and adjacent swaps, up to a maximum', () => {
+    expect(editDistance('gradient', 'gradeint', 2)).toBe(1);
+    expect(editDistance('rate', 'rates', 1)).toBe(1);
+    expect(editDistance('warmup', 'schedule', 2)).toBe(3);
+  });
+});
+
+describe('createSearchIndex', () => {
+  it('finds exact, prefix, folded and misspelled terms', () => {
+    const index = buildIndex();
+
+    expect(ids(index.search('gradient'))).toEqual(['a', 'b']);
+    expect(ids(index.search('grad'))).toEqual(['a', 'b']);
+    expect(ids(index.search('CAFE'))).toEqual(['b']);
+    expect(ids(index.search('gradeint'))).toEqual(['a', 'b']);
+    expect(ids(index.search('learning rate'))).toEqual(['a', 'c']);
+    expect(ids(index.search('xyz'))).toEqual([]);
+  });
+
+  it('matches phrases only verbatim', () => {
+    const index = buildIndex();
+
+    expect(ids(index.search('learning rate', { phrase: true }))).toEqual(['a', 'c']);
+    expect(ids(index.search('rate learning', { phrase: true }))).toEqual([]);
+    expect(ids(index.search('gradeint', { phrase: true }))).toEqual([]);
+  });
+
+  it('ranks frequent and exact matches higher', () => {
+    const index = buildIndex();
+
+    const gradient = index.search('gradient');
+    expect(gradient.get('b')).toBeGreaterThan(gradient.get('a'));
+    const rate = index.search('rate');
+    const rat = index.search('rat');
+    expect(rate.get('c')).toBeGreaterThan(rat.get('c'));
+  });
+
+  it('re-indexes only snippets whose object changed', () => {
+    const index = buildIndex();
+    const version = index.getVersion();
+
+    expect(index.sync({ ...snippets })).toBe(false);
+    expect(index.getVersion()).toBe(version);
+
+    // Note added to "a", "c" deleted
+    expect(index.sync({ a: { ...snippets.a, note: 'warmup' }, b: snippets.b })).toBe(true);
+    expect(index.size()).toBe(2);
+    expect(ids(index.search('warmup'))).toEqual(['a']);
+    expect(ids(index.search('descent'))).toEqual(['a']);
+  });
+
+  it('recognizes copies of unchanged snippets by revision and updatedAt', () => {
+    const versioned = { a: { ...snippets.a, revision: 2, updatedAt: 1000 }, c: { ...snippets.c, revision: 1, updatedAt: 500 } };
+    const index = buildIndex(versioned);
+    const version = index.getVersion();
+
+    // Fresh copies, as deserialized from each side panel message
+    expect(index.sync(structuredClone(versioned))).toBe(false);
+    expect(index.getVersion()).toBe(version);
+
+    const edited = { ...structuredClone(versioned), a: { ...versioned.a, note: 'warmup', revision: 3, updatedAt: 2000 } };
+    expect(index.sync(edited)).toBe(true);
+    expect(index.getVersion()).toBe(version + 2);
+    expect(ids(index.search('warmup'))).toEqual(['a', 'c']);
+  });
+});
+
+describe('findMatchRanges', () => {
+  it('finds matched words and phrases in the original text', () => {
+    const text = 'Crème brûlée, then more crème';
+
+    expect(findMatchRanges(text, [{ value: 'creme', phrase: false }])).toEqual([
+      { start: 0, end: 5 },
+      { start: 24, end: 29 }
+    ]);
+    expect(findMatchRanges(text, [{ value: 'crème brûlée', phrase: true }, { value: 'brul', phrase: false }])).toEqual([
+      { start: 0, end: 12 }
+    ]);
+    expect(findMatchRanges(text, [])).toEqual([]);
+  });
+});
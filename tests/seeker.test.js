@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { getRelativeMessagePosition, findScrollContainer, nextSeekPosition, seekSource } from '../src/content/seeker.js';
+
+const snippet = {
+  id: 'snippet-1',
+  text: 'quoted passage',
+  conversationId: 'conv-1',
+  anchor: {
+    conversationId: 'conv-1',
+    messageId: 'msg-old',
+    messageOrdinal: 0,
+    messageCount: 10,
+    quote: { exact: 'quoted passage', prefix: 'The ', suffix: ' here.' }
+  }
+};
+
+/**
+ * Builds a scrollable conversation whose scrollTop setter runs onScroll, standing in for lazy loading.
+ */
+function createConversation(onScroll) {
+  const scroller = document.createElement('div');
+  scroller.style.overflowY = 'auto';
+  let scrollTop = 4000;
+  Object.defineProperty(scroller, 'scrollHeight', { value: 5000, configurable: true });
+  Object.defineProperty(scroller, 'clientHeight', { value: 1000, configurable: true });
+  Object.defineProperty(scroller, 'scrollTop', {
+    get: () => scrollTop,
+    set: (value) => {
+      scrollTop = value;
+      onScroll(scroller, value);
+    },
+    configurable: true
+  });
+
+  const latest = document.createElement('div');
+  latest.setAttribute('data-message-id', 'msg-latest');
+  latest.textContent = 'Latest message';
+  scroller.appendChild(latest);
+  document.body.appendChild(scroller);
+  return scroller;
+}
+
+function appendOldMessage(scroller) {
+  const message = document.createElement('div');
+  message.setAttribute('data-message-id', 'msg-old');
+  message.textContent = 'The quoted passage here.';
+  scroller.prepend(message);
+  return message;
+}
+
+beforeEach(() => {
+  document.body.innerHTML = '';
+  Element.prototype.scrollIntoView = vi.fn();
+  Range.prototype.getClientRects = () => [{ top: 10, left: 20, right: 120, bottom: 30, width: 100, height: 20 }];
+  Object.defineProperty(window, 'location', {
+    value: { href: 'https://chatgpt.com/c/conv-1', pathname: '/c/conv-1' },
+    writable: true
+  });
+});
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+describe('getRelativeMessagePosition', () => {
+  it('maps the stored ordinal to a 0-1 position', () => {
+    expect(getRelativeMessagePosition({ messageOrdinal: 0, messageCount: 5 })).toBe(0);
+    expect(getRelativeMessagePosition({ messageOrdinal: 2, messageCount: 5 })).toBe(0.5);
+    expect(getRelativeMessagePosition({ messageOrdinal: 0, messageCount: 1 })).toBe(1);
+  });
+
+  it('returns null for anchors saved without a position', () => {
+    expect(getRelativeMessagePosition({ messageId: 'm1' })).toBeNull();
+    expect(getRelativeMessagePosition(null)).toBeNull();
+  });
+});
+
+describe('findScrollContainer', () => {
+  it('finds the scrollable ancestor of the messages', () => {
+    const scroller = createConversation(() => {});
+    expect(findScrollContainer()).toBe(scroller);
+  });
+});
+
+describe('nextSeekPosition', () => {
+  const base = { maxScroll: 4000, viewport: 1000, target: 2000 };
+
+  it('approaches the target one stride at a time', () => {
+    expect(nextSeekPosition({ ...base, scrollTop: 4000, phase: 'approach' })).toEqual({ scrollTop: 3200, phase: 'approach' });
+    expect(nextSeekPosition({ ...base, scrollTop: 2500, phase: 'approach' })).toEqual({ scrollTop: 2000, phase: 'approach' });
+  });
+
+  it('sweeps up from the target, then down past it', () => {
+    expect(nextSeekPosition({ ...base, scrollTop: 2000, phase: 'approach' })).toEqual({ scrollTop: 1200, phase: 'up' });
+    expect(nextSeekPosition({ ...base, scrollTop: 0, phase: 'up' })).toEqual({ scrollTop: 2800, phase: 'down' });
+    expect(nextSeekPosition({ ...base, scrollTop: 3600, phase: 'down' })).toEqual({ scrollTop: 4000, phase: 'down' });
+  });
+
+  it('stops at the bottom', () => {
+    expect(nextSeekPosition({ ...base, scrollTop: 4000, phase: 'down' })).toBeNull();
+  });
+});
+
+describe('seekSource', () => {
+  it('scrolls until the source message renders and highlights it', async () => {
+    let loaded = null;
+    createConversation((scroller, value) => {
+      // Older messages load once the view nears the top
+      if (value < 1000 && !loaded) {
+        setTimeout(() => {
+          loaded = appendOldMessage(scroller);
+        }, 0);
+      }
+    });
+    const onProgress = vi.fn();
+
+    const result = await seekSource(snippet, { settleMs: 50, onProgress }).promise;
+
+    expect(result).toEqual({ success: true, confidence: 1 });
+    expect(document.querySelector('#ce-transient-layer .ce-highlight-transient')).not.toBeNull();
+    expect(loaded.innerHTML).toBe('The quoted passage here.');
+    expect(onProgress).toHaveBeenCalledWith({ step: 1, maxSteps: 40 });
+  });
+
+  it('gives up with a reason once the conversation is exhausted', async () => {
+    const scroller = createConversation(() => {});
+    scroller.scrollTop = 2500;
+
+    const result = await seekSource(snippet, { settleMs: 5 }).promise;
+
+    expect(result.success).toBe(false);
+    expect(result.reason).toContain('could not find');
+    expect(scroller.scrollTop).toBe(2500);
+  });
+
+  it('can be canceled', async () => {
+    createConversation(() => {});
+    const seek = seekSource(snippet, { settleMs: 1000 });
+
+    seek.cancel();
+
+    expect(await seek.promise).toMatchObject({ success: false, canceled: true });
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { isCompoundSnippet, getSegmentLabel, formatSegmentsMarkdown, normalizeSegments } from '../src/shared/segments.js';
+
+const segments = [
+  { text: 'What is a learning rate?', markdown: null, role: 'user' },
+  { text: 'The step size.', markdown: 'The **step size**.', role: 'assistant' }
+];
+
+describe('segments', () => {
+  it('detects snippets spanning several messages', () => {
+    expect(isCompoundSnippet({ segments })).toBe(true);
+    expect(isCompoundSnippet({ segments: [segments[0]] })).toBe(false);
+    expect(isCompoundSnippet({ text: 'plain' })).toBe(false);
+  });
+
+  it('labels segments by role', () => {
+    expect(getSegmentLabel('user')).toBe('Q');
+    expect(getSegmentLabel('assistant')).toBe('A');
+    expect(getSegmentLabel('tool')).toBe('Tool');
+    expect(getSegmentLabel(null)).toBe('Excerpt');
+  });
+
+  it('formats segments as a Q/A excerpt, preferring Markdown', () => {
+    expect(formatSegmentsMarkdown(segments)).toBe('**Q:** What is a learning rate?\n\n**A:** The **step size**.');
+  });
+
+  it('cleans up imported segments', () => {
+    expect(normalizeSegments([{ text: ' Why? ', role: 'user', anchor: 'bad', messageIndex: 2 }, { text: 'Because.', model: 7 }, { text: '' }])).toEqual([
+      { text: 'Why?', markdown: null, anchor: null, role: 'user', model: null, messageIndex: 2 },
+      { text: 'Because.', markdown: null, anchor: null, role: null, model: null, messageIndex: null }
+    ]);
+    expect(normalizeSegments([{ text: 'Alone' }])).toBeNull();
+    expect(normalizeSegments('nope')).toBeNull();
+  });
+});
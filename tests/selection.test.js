@@ -4,8 +4,14 @@ import {
   findMessageBlock,
   getMessageId,
   getMessageText,
+  getMessagePosition,
   isSelectionInExtensionUI,
   getSelectionText,
+  isEditableTarget,
+  getMessageRole,
+  getMessageModel,
+  getConversationTitle,
+  getProjectName,
   buildSnippetFromSelection
 } from '../src/content/selection.js';
 import { getConversationIdFromUrl, getProjectIdFromUrl } from '../src/shared/urlIds.js';
@@ -158,6 +164,98 @@ describe('getMessageText', () => {
   });
 });
 
+describe('getMessagePosition', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('counts only outermost message blocks', () => {
+    document.body.innerHTML = `
+      <div data-message-author-role="user"><div data-message-id="m1">Question</div></div>
+      <div data-message-author-role="assistant"><div data-message-id="m2">Answer</div></div>
+      <div data-message-author-role="user"><div data-message-id="m3">Follow-up</div></div>`;
+
+    expect(getMessagePosition(document.querySelector('[data-message-id="m2"]'))).toEqual({ ordinal: 1, count: 3 });
+  });
+
+  it('returns null for blocks outside the conversation', () => {
+    expect(getMessagePosition(document.createElement('div'))).toBeNull();
+    expect(getMessagePosition(null)).toBeNull();
+  });
+});
+
+describe('getMessageRole and getMessageModel', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('reads the role from the block or an ancestor', () => {
+    document.body.innerHTML = '<div data-message-author-role="Assistant"><div data-message-id="m1">Hi</div></div>';
+    expect(getMessageRole(document.querySelector('[data-message-id]'))).toBe('assistant');
+  });
+
+  it('reads the model from a descendant', () => {
+    document.body.innerHTML = '<div data-message-id="m1"><div data-message-model-slug="gpt-4o">Hi</div></div>';
+    expect(getMessageModel(document.querySelector('[data-message-id]'))).toBe('gpt-4o');
+  });
+
+  it('returns null when the page does not say', () => {
+    document.body.innerHTML = '<div data-message-id="m1">Hi</div>';
+    const block = document.querySelector('[data-message-id]');
+    expect(getMessageRole(block)).toBeNull();
+    expect(getMessageModel(block)).toBeNull();
+    expect(getMessageRole(null)).toBeNull();
+  });
+});
+
+describe('getConversationTitle and getProjectName', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    document.title = '';
+    Object.defineProperty(window, 'location', {
+      value: { href: 'https://chatgpt.com/c/conv-123' },
+      writable: true
+    });
+    getConversationIdFromUrl.mockReturnValue('conv-123');
+  });
+
+  it('prefers the sidebar link text', () => {
+    document.title = 'Something else';
+    document.body.innerHTML = `
+      <nav>
+        <a href="/c/conv-999">Other chat</a>
+        <a href="/c/conv-123"> Trip planning </a>
+      </nav>`;
+    expect(getConversationTitle()).toBe('Trip planning');
+    expect(getConversationTitle('conv-999')).toBe('Other chat');
+  });
+
+  it('falls back to the page title for the open conversation', () => {
+    document.title = 'Trip planning - ChatGPT';
+    expect(getConversationTitle()).toBe('Trip planning');
+    expect(getConversationTitle('conv-999')).toBeNull();
+  });
+
+  it('ignores generic page titles', () => {
+    document.title = 'ChatGPT';
+    expect(getConversationTitle()).toBeNull();
+    document.title = 'New chat';
+    expect(getConversationTitle()).toBeNull();
+  });
+
+  it('reads project names from project links only', () => {
+    document.body.innerHTML = `
+      <nav>
+        <a href="/g/g-p-abc/c/conv-1">A chat in the project</a>
+        <a href="/g/g-p-abc/project">Research</a>
+        <a href="/g/g-p-abcdef/project">Other</a>
+      </nav>`;
+    expect(getProjectName('g-p-abc')).toBe('Research');
+    expect(getProjectName('g-p-xyz')).toBeNull();
+    expect(getProjectName(null)).toBeNull();
+  });
+});
+
 describe('isSelectionInExtensionUI', () => {
   beforeEach(() => {
     document.body.innerHTML = '';
@@ -272,6 +370,38 @@ describe('getSelectionText', () => {
   });
 });
 
+describe('isEditableTarget', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('returns true for textarea and text inputs', () => {
+    const textarea = document.createElement('textarea');
+    const input = document.createElement('input');
+    input.type = 'text';
+    expect(isEditableTarget(textarea)).toBe(true);
+    expect(isEditableTarget(input)).toBe(true);
+  });
+
+  it('returns false for non-text inputs', () => {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    expect(isEditableTarget(checkbox)).toBe(false);
+  });
+
+  it('returns true inside a contenteditable prompt box', () => {
+    document.body.innerHTML = '<div id="prompt-textarea" contenteditable="true"><p>Hello</p></div>';
+    const textNode = document.querySelector('#prompt-textarea p').firstChild;
+    expect(isEditableTarget(textNode)).toBe(true);
+  });
+
+  it('returns false for regular content and null', () => {
+    document.body.innerHTML = '<div contenteditable="false"><p>Read only</p></div>';
+    expect(isEditableTarget(document.querySelector('p'))).toBe(false);
+    expect(isEditableTarget(null)).toBe(false);
+  });
+});
+
 describe('buildSnippetFromSelection', () => {
   beforeEach(() => {
     document.body.innerHTML = '';
@@ -344,6 +474,90 @@ describe('buildSnippetFromSelection', () => {
     expect(result.anchor.messageId).toBe('msg-123');
   });
 
+  it('anchors the selected occurrence of a repeated phrase', () => {
+    const message = document.createElement('div');
+    message.setAttribute('data-message-id', 'msg-123');
+    message.textContent = 'Run the tests. Later, run the tests again.';
+    document.body.appendChild(message);
+
+    const textNode = message.firstChild;
+    const start = textNode.textContent.lastIndexOf('run the tests');
+    const range = document.createRange();
+    range.setStart(textNode, start);
+    range.setEnd(textNode, start + 'run the tests'.length);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    const result = buildSnippetFromSelection();
+    expect(result.anchor.selectionOffsets).toEqual({ start, end: start + 13 });
+    expect(result.anchor.quote).toEqual({ exact: 'run the tests', prefix: 'Run the tests. Later, ', suffix: ' again.' });
+  });
+
+  it('records the message role, model, position and conversation title', () => {
+    document.title = 'Trip planning - ChatGPT';
+    document.body.innerHTML = `
+      <div data-message-author-role="user" data-message-id="msg-1">Where should we go?</div>
+      <div data-message-author-role="assistant" data-message-id="msg-2" data-message-model-slug="gpt-4o">Try the coast in spring</div>`;
+    const message = document.querySelector('[data-message-id="msg-2"]');
+
+    const range = document.createRange();
+    range.selectNodeContents(message);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    const result = buildSnippetFromSelection();
+    expect(result.role).toBe('assistant');
+    expect(result.model).toBe('gpt-4o');
+    expect(result.messageIndex).toBe(1);
+    expect(result.conversationTitle).toBe('Trip planning');
+    expect(result.projectName).toBeNull();
+  });
+
+  it('splits a selection across messages into segments', () => {
+    document.body.innerHTML = `
+      <div data-message-author-role="user" data-message-id="msg-1">Intro. What is a learning rate?</div>
+      <div data-message-author-role="assistant" data-message-id="msg-2" data-message-model-slug="gpt-4o">It sets the step size. More detail.</div>`;
+    const [question, answer] = document.querySelectorAll('[data-message-id]');
+
+    const range = document.createRange();
+    range.setStart(question.firstChild, 'Intro. '.length);
+    range.setEnd(answer.firstChild, 'It sets the step size.'.length);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    const result = buildSnippetFromSelection();
+    expect(result.segments).toHaveLength(2);
+    expect(result.segments.map(segment => segment.text)).toEqual(['What is a learning rate?', 'It sets the step size.']);
+    expect(result.segments.map(segment => segment.role)).toEqual(['user', 'assistant']);
+    expect(result.segments[1].model).toBe('gpt-4o');
+    expect(result.segments[1].messageIndex).toBe(1);
+    expect(result.segments[0].anchor.messageId).toBe('msg-1');
+    expect(result.segments[0].anchor.selectionOffsets).toEqual({ start: 7, end: 31 });
+    expect(result.segments[1].anchor.messageId).toBe('msg-2');
+    expect(result.segments[1].anchor.selectionOffsets).toEqual({ start: 0, end: 22 });
+    // The snippet itself is anchored like its first segment
+    expect(result.anchor).toEqual(result.segments[0].anchor);
+    expect(result.role).toBe('user');
+  });
+
+  it('keeps a single message selection without segments', () => {
+    document.body.innerHTML = `
+      <div data-message-id="msg-1">First message</div>
+      <div data-message-id="msg-2">Second message</div>`;
+    const range = document.createRange();
+    range.selectNodeContents(document.querySelector('[data-message-id="msg-2"]'));
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    const result = buildSnippetFromSelection();
+    expect(result.segments).toBeUndefined();
+    expect(result.anchor.messageId).toBe('msg-2');
+  });
+
   it('creates snippet without anchor if message block not found', () => {
     const div = document.createElement('div');
     div.textContent = 'Test content';
@@ -397,4 +611,38 @@ describe('buildSnippetFromSelection', () => {
     const result = buildSnippetFromSelection();
     expect(result.projectId).toBe('proj-123');
   });
+
+  it('stores markdown and html next to plain text', () => {
+    const message = document.createElement('div');
+    message.setAttribute('data-message-id', 'msg-123');
+    message.innerHTML = '<p>Run <code>npm test</code></p><ul><li>First</li><li>Second</li></ul>';
+    document.body.appendChild(message);
+
+    const range = document.createRange();
+    range.selectNodeContents(message);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    const result = buildSnippetFromSelection();
+    expect(result.markdown).toBe('Run `npm test`\n\n- First\n- Second');
+    expect(result.html).toContain('<code>npm test</code>');
+  });
+
+  it('skips rich content for truncated selections', () => {
+    const message = document.createElement('div');
+    message.setAttribute('data-message-id', 'msg-123');
+    message.textContent = 'a'.repeat(15000);
+    document.body.appendChild(message);
+
+    const range = document.createRange();
+    range.selectNodeContents(message);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    const result = buildSnippetFromSelection();
+    expect(result.markdown).toBeNull();
+    expect(result.html).toBeNull();
+  });
 });
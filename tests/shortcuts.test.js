@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_SHORTCUTS,
+  normalizeShortcut,
+  eventToShortcut,
+  hasCommandModifier,
+  findShortcutAction,
+  assignShortcut,
+  resolveShortcuts,
+  formatShortcut
+} from '../src/content/shortcuts.js';
+
+describe('normalizeShortcut', () => {
+  it('orders modifiers canonically and upper-cases letters', () => {
+    expect(normalizeShortcut('shift+alt+s')).toBe('Alt+Shift+S');
+    expect(normalizeShortcut('Cmd+Control+k')).toBe('Ctrl+Meta+K');
+  });
+
+  it('resolves key aliases and keeps a literal plus key', () => {
+    expect(normalizeShortcut('Alt+Down')).toBe('Alt+ArrowDown');
+    expect(normalizeShortcut('Ctrl++')).toBe('Ctrl++');
+  });
+
+  it('returns empty string for modifier-only or invalid input', () => {
+    expect(normalizeShortcut('Alt+Shift')).toBe('');
+    expect(normalizeShortcut('')).toBe('');
+    expect(normalizeShortcut(null)).toBe('');
+  });
+});
+
+describe('eventToShortcut', () => {
+  it('builds a shortcut from modifiers and the physical key', () => {
+    // macOS reports Alt+Shift+S as a special character in e.key
+    const event = new KeyboardEvent('keydown', { key: 'Í', code: 'KeyS', altKey: true, shiftKey: true });
+    expect(eventToShortcut(event)).toBe('Alt+Shift+S');
+  });
+
+  it('uses e.key for non-letter keys', () => {
+    const event = new KeyboardEvent('keydown', { key: 'ArrowDown', code: 'ArrowDown', ctrlKey: true });
+    expect(eventToShortcut(event)).toBe('Ctrl+ArrowDown');
+  });
+
+  it('returns null for modifier-only presses', () => {
+    expect(eventToShortcut(new KeyboardEvent('keydown', { key: 'Shift', shiftKey: true }))).toBeNull();
+  });
+});
+
+describe('hasCommandModifier', () => {
+  it('is true for Ctrl, Alt or Meta combinations', () => {
+    expect(hasCommandModifier('Alt+Shift+S')).toBe(true);
+    expect(hasCommandModifier('Meta+K')).toBe(true);
+  });
+
+  it('is false for plain or Shift-only keys', () => {
+    expect(hasCommandModifier('J')).toBe(false);
+    expect(hasCommandModifier('Shift+J')).toBe(false);
+    expect(hasCommandModifier('')).toBe(false);
+  });
+});
+
+describe('findShortcutAction', () => {
+  it('finds the action bound to a shortcut', () => {
+    expect(findShortcutAction(DEFAULT_SHORTCUTS, 'Alt+Shift+P')).toBe('togglePanel');
+    expect(findShortcutAction(DEFAULT_SHORTCUTS, 'Alt+Shift+J')).toBe('nextSnippet');
+    expect(findShortcutAction(DEFAULT_SHORTCUTS, 'Alt+Shift+2')).toBe('saveColor2');
+  });
+
+  it('returns null for unbound shortcuts', () => {
+    expect(findShortcutAction(DEFAULT_SHORTCUTS, 'Ctrl+Z')).toBeNull();
+    expect(findShortcutAction(DEFAULT_SHORTCUTS, null)).toBeNull();
+  });
+});
+
+describe('assignShortcut', () => {
+  it('rebinds an action and unbinds any conflicting action', () => {
+    const updated = assignShortcut(DEFAULT_SHORTCUTS, 'nextSnippet', 'alt+shift+p');
+    expect(updated.nextSnippet).toBe('Alt+Shift+P');
+    expect(updated.togglePanel).toBe('');
+    expect(DEFAULT_SHORTCUTS.togglePanel).toBe('Alt+Shift+P');
+  });
+
+  it('clears a binding with an empty shortcut', () => {
+    expect(assignShortcut(DEFAULT_SHORTCUTS, 'copySnippet', '').copySnippet).toBe('');
+  });
+});
+
+describe('resolveShortcuts', () => {
+  it('returns defaults when nothing is saved', () => {
+    expect(resolveShortcuts(undefined)).toEqual(DEFAULT_SHORTCUTS);
+  });
+
+  it('keeps saved bindings and fills in missing actions', () => {
+    const resolved = resolveShortcuts({ togglePanel: 'ctrl+shift+y', deleteSnippet: '', unknown: 'X' });
+    expect(resolved.togglePanel).toBe('Ctrl+Shift+Y');
+    expect(resolved.deleteSnippet).toBe('');
+    expect(resolved.focusSearch).toBe(DEFAULT_SHORTCUTS.focusSearch);
+    expect(resolved).not.toHaveProperty('unknown');
+  });
+});
+
+describe('formatShortcut', () => {
+  it('formats shortcuts for display', () => {
+    expect(formatShortcut('Alt+Shift+S')).toBe('Alt + Shift + S');
+    expect(formatShortcut('Ctrl+ArrowDown')).toBe('Ctrl + Down');
+    expect(formatShortcut('')).toBe('Not set');
+  });
+});
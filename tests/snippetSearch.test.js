@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { createSnippetSearch } from '../src/shared/snippetSearch.js';
+
+const snippetsById = {
+  a: { id: 'a', text: 'Learning rate warmup', tags: ['ml'] },
+  b: { id: 'b', text: 'Gradient descent with a learning rate schedule and learning rate decay' },
+  c: { id: 'c', text: 'Unrelated note about cooking' }
+};
+const snippets = Object.values(snippetsById);
+
+function createSearch(byId = snippetsById) {
+  const search = createSnippetSearch();
+  search.sync(byId);
+  return search;
+}
+
+describe('createSnippetSearch', () => {
+  it('filters with the query language over the index', () => {
+    const search = createSearch();
+    expect(search.filter(snippets, 'learning').map(s => s.id)).toEqual(['a', 'b']);
+    expect(search.filter(snippets, 'learning -gradient').map(s => s.id)).toEqual(['a']);
+    expect(search.filter(snippets, 'tag:ml').map(s => s.id)).toEqual(['a']);
+    expect(search.filter(snippets, '').map(s => s.id)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('ranks the better match first', () => {
+    const search = createSearch();
+    const results = search.filter(snippets, 'learning OR gradient');
+    expect(results.map(s => s.id)).toEqual(['a', 'b']);
+    expect(search.rank(results, 'learning OR gradient').map(s => s.id)).toEqual(['b', 'a']);
+    expect(search.rank(results, 'tag:ml')).toBe(results);
+  });
+
+  it('sees snippets added after a sync', () => {
+    const search = createSearch();
+    expect(search.filter(snippets, 'cooking').map(s => s.id)).toEqual(['c']);
+
+    const updated = { ...snippetsById, d: { id: 'd', text: 'More cooking tips' } };
+    search.sync(updated);
+    expect(search.filter(Object.values(updated), 'cooking').map(s => s.id)).toEqual(['c', 'd']);
+  });
+});
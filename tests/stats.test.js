@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { computeLibraryStats, RECENT_DAYS } from '../src/shared/stats.js';
+import { createEmptyStorage, removeSnippet, upsertSnippet } from '../src/content/storage.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = 100 * DAY_MS;
+
+describe('computeLibraryStats', () => {
+  it('counts an empty library', () => {
+    expect(computeLibraryStats(createEmptyStorage(), NOW)).toMatchObject({
+      snippets: 0, conversations: 0, tags: 0, recent: 0, trashed: 0, byRole: {}, oldest: null, newest: null
+    });
+  });
+
+  it('counts snippets, their buckets and kinds', () => {
+    let storage = createEmptyStorage();
+    storage = upsertSnippet(storage, { id: 'a', text: 'A', conversationId: 'c1', projectId: 'p1', role: 'user', tags: ['x'], note: 'Note', createdAt: NOW - DAY_MS });
+    storage = upsertSnippet(storage, { id: 'b', text: 'B', conversationId: 'c2', role: 'assistant', color: 'yellow', truncated: true, createdAt: NOW - (RECENT_DAYS + 1) * DAY_MS });
+    storage = upsertSnippet(storage, {
+      id: 'c', text: 'C', conversationId: 'c2', createdAt: NOW - 2 * DAY_MS,
+      segments: [{ text: 'Q', role: 'user' }, { text: 'A', role: 'assistant' }]
+    });
+    storage = upsertSnippet(storage, { id: 'd', text: 'D', createdAt: NOW });
+    storage = removeSnippet(storage, 'd', NOW);
+
+    expect(computeLibraryStats(storage, NOW)).toEqual({
+      snippets: 3,
+      conversations: 2,
+      projects: 1,
+      tags: 1,
+      withNotes: 1,
+      colored: 1,
+      truncated: 1,
+      compound: 1,
+      recent: 2,
+      trashed: 1,
+      byRole: { user: 1, assistant: 1, unknown: 1 },
+      oldest: NOW - (RECENT_DAYS + 1) * DAY_MS,
+      newest: NOW - DAY_MS
+    });
+  });
+});
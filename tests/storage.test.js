@@ -5,19 +5,39 @@ import {
   upsertSnippet,
   removeSnippet,
   clearThread,
-  clearAll
+  clearAll,
+  restoreSnippet,
+  purgeSnippets,
+  emptyTrash,
+  purgeExpiredTrash,
+  getTrashedSnippets,
+  mergeStorage,
+  commitStorage,
+  subscribeToStorageChanges,
+  migrateStorage,
+  getTagCounts,
+  renameTag,
+  mergeTags,
+  upsertConversation,
+  getConversation,
+  findProjectName,
+  buildIndexes,
+  SCHEMA_VERSION
 } from '../src/content/storage.js';
 
 // Helper to create empty storage (matches internal implementation)
 function createEmptyStorage() {
   return {
-    schemaVersion: 2,
+    schemaVersion: 3,
     snippetsById: {},
     index: {
       byThread: {},
       byProject: {},
+      byTag: {},
       byTime: []
     },
+    trash: {},
+    tombstones: {},
     meta: {
       lastUpdatedAt: Date.now(),
       totalCount: 0
@@ -53,6 +73,15 @@ const chromeMock = {
         Object.assign(mockStorage, items);
         return Promise.resolve();
       })
+    },
+    onChanged: {
+      listeners: [],
+      addListener: vi.fn((listener) => {
+        chromeMock.storage.onChanged.listeners.push(listener);
+      }),
+      removeListener: vi.fn((listener) => {
+        chromeMock.storage.onChanged.listeners = chromeMock.storage.onChanged.listeners.filter(l => l !== listener);
+      })
     }
   },
   runtime: {
@@ -63,9 +92,9 @@ const chromeMock = {
 globalThis.chrome = chromeMock;
 
 describe('createEmptyStorage', () => {
-  it('creates empty v2 storage structure', () => {
+  it('creates empty v3 storage structure', () => {
     const storage = createEmptyStorage();
-    expect(storage.schemaVersion).toBe(2);
+    expect(storage.schemaVersion).toBe(SCHEMA_VERSION);
     expect(storage.snippetsById).toEqual({});
     expect(storage.index.byThread).toEqual({});
     expect(storage.index.byProject).toEqual({});
@@ -83,12 +112,12 @@ describe('loadStorage', () => {
 
   it('creates empty storage when no data exists', async () => {
     const storage = await loadStorage();
-    expect(storage.schemaVersion).toBe(2);
+    expect(storage.schemaVersion).toBe(3);
     expect(storage.snippetsById).toEqual({});
     expect(storage.meta.totalCount).toBe(0);
   });
 
-  it('loads v2 storage structure', async () => {
+  it('migrates v2 storage to v3 and keeps a backup', async () => {
     const v2Data = {
       schemaVersion: 2,
       snippetsById: {
@@ -112,12 +141,44 @@ describe('loadStorage', () => {
     mockStorage.snippets = v2Data;
 
     const storage = await loadStorage();
-    expect(storage.schemaVersion).toBe(2);
-    expect(storage.snippetsById['snippet-1']).toBeDefined();
+    expect(storage.schemaVersion).toBe(3);
     expect(storage.snippetsById['snippet-1'].text).toBe('Test snippet');
+    expect(storage.snippetsById['snippet-1']).toMatchObject({ updatedAt: 1000, revision: 1, deletedAt: null });
+    expect(storage.trash).toEqual({});
+    expect(storage.tombstones).toEqual({});
+    expect(mockStorage.snippets_backup_v2).toEqual(v2Data);
+    expect(mockStorage.snippets.schemaVersion).toBe(3);
+  });
+
+  it('loads v3 storage without migrating', async () => {
+    chromeMock.storage.local.set.mockClear();
+    const v3Data = upsertSnippet(createEmptyStorage(), { id: 'snippet-1', text: 'Test', createdAt: 1000 });
+    mockStorage.snippets = v3Data;
+
+    const storage = await loadStorage();
+    expect(storage.snippetsById['snippet-1'].revision).toBe(1);
+    expect(chromeMock.storage.local.set).not.toHaveBeenCalled();
+  });
+
+  it('builds the tag index for libraries saved without one', async () => {
+    const v3Data = upsertSnippet(createEmptyStorage(), { id: 'snippet-1', text: 'Test', tags: ['a'], createdAt: 1000 });
+    delete v3Data.index.byTag;
+    mockStorage.snippets = v3Data;
+
+    const storage = await loadStorage();
+    expect(storage.index.byTag).toEqual({ a: ['snippet-1'] });
+  });
+
+  it('keeps loaded index maps safe for keys like "constructor"', async () => {
+    mockStorage.snippets = JSON.parse(JSON.stringify(createEmptyStorage()));
+
+    const storage = await loadStorage();
+    const updated = upsertSnippet(storage, { id: 'snippet-1', text: 'Test', conversationId: 'constructor', tags: ['constructor'], createdAt: 1000 });
+    expect(updated.index.byThread.constructor).toEqual(['snippet-1']);
+    expect(updated.index.byTag.constructor).toEqual(['snippet-1']);
   });
 
-  it('migrates v1 to v2 structure', async () => {
+  it('migrates v1 through v2 to v3', async () => {
     const v1Data = {
       schemaVersion: 1,
       items: [
@@ -138,48 +199,121 @@ describe('loadStorage', () => {
     mockStorage.snippets = v1Data;
 
     const storage = await loadStorage();
-    expect(storage.schemaVersion).toBe(2);
+    expect(storage.schemaVersion).toBe(3);
     expect(storage.snippetsById['snippet-1']).toBeDefined();
     expect(storage.snippetsById['snippet-1'].createdAt).toBe(1000);
+    expect(storage.snippetsById['snippet-1'].revision).toBe(1);
     expect(storage.snippetsById['snippet-2'].createdAt).toBe(2000);
     expect(storage.index.byThread['conv-1']).toContain('snippet-1');
     expect(storage.index.byThread['conv-1']).toContain('snippet-2');
     expect(storage.meta.totalCount).toBe(2);
+    expect(mockStorage.snippets_backup_v1).toEqual(v1Data);
   });
 
-  it('handles invalid v2 structure by creating empty storage', async () => {
+  it('handles invalid v3 structure by creating empty storage', async () => {
     const invalidData = {
-      schemaVersion: 2,
+      schemaVersion: 3,
       // Missing required fields
     };
     mockStorage.snippets = invalidData;
 
     const storage = await loadStorage();
-    expect(storage.schemaVersion).toBe(2);
+    expect(storage.schemaVersion).toBe(3);
+    expect(storage.meta.totalCount).toBe(0);
+  });
+
+  it('migrates an invalid v2 structure to empty v3 storage', async () => {
+    mockStorage.snippets = { schemaVersion: 2 };
+
+    const storage = await loadStorage();
+    expect(storage.schemaVersion).toBe(3);
     expect(storage.meta.totalCount).toBe(0);
+    expect(mockStorage.snippets_backup_v2).toEqual({ schemaVersion: 2 });
   });
 
-  it('handles unknown schema version by creating empty storage', async () => {
-    const unknownData = {
+  it('opens newer schema versions read-only without touching stored data', async () => {
+    const newerData = {
       schemaVersion: 999,
       items: []
     };
-    mockStorage.snippets = unknownData;
+    mockStorage.snippets = newerData;
+    chromeMock.storage.local.set.mockClear();
 
     const storage = await loadStorage();
-    expect(storage.schemaVersion).toBe(2);
+    expect(storage.readOnly).toBe(true);
+    expect(storage.unsupportedSchemaVersion).toBe(999);
     expect(storage.meta.totalCount).toBe(0);
+    expect(mockStorage.snippets).toBe(newerData);
+    expect(chromeMock.storage.local.set).not.toHaveBeenCalled();
+  });
+
+  it('shows the snippets of newer schema versions and refuses to save them', async () => {
+    const newerData = {
+      schemaVersion: 999,
+      snippetsById: {
+        a: { id: 'a', text: 'Readable', conversationId: 'conv-1', createdAt: 1000, futureField: { x: 1 } },
+        b: { id: 'b', blocks: ['not text'] },
+        c: { id: 'c', text: 'Trashed', deletedAt: 2000 }
+      },
+      conversations: { 'conv-1': { title: 'Chat' } }
+    };
+    mockStorage.snippets = newerData;
+
+    const storage = await loadStorage();
+    expect(storage.readOnly).toBe(true);
+    expect(Object.keys(storage.snippetsById)).toEqual(['a']);
+    expect(storage.index.byThread['conv-1']).toEqual(['a']);
+    expect(storage.conversations['conv-1'].title).toBe('Chat');
+    expect(storage.meta.totalCount).toBe(1);
+
+    await expect(saveStorage(upsertSnippet(storage, { id: 'd', text: 'New' }))).rejects.toThrow('newer version');
+    expect(mockStorage.snippets).toBe(newerData);
   });
 
   it('handles errors gracefully', async () => {
     chromeMock.storage.local.get.mockRejectedValueOnce(new Error('Storage error'));
     
     const storage = await loadStorage();
-    expect(storage.schemaVersion).toBe(2);
+    expect(storage.schemaVersion).toBe(3);
     expect(storage.meta.totalCount).toBe(0);
   });
 });
 
+describe('migrateStorage', () => {
+  it('stamps trash entries with a revision and keeps deletedAt', () => {
+    const migrated = migrateStorage({
+      schemaVersion: 2,
+      snippetsById: {},
+      index: { byThread: {}, byProject: {}, byTime: [] },
+      trash: { a: { id: 'a', text: 'A', createdAt: 1000, updatedAt: 2000, deletedAt: 3000 } },
+      tombstones: { b: 4000 },
+      meta: { lastUpdatedAt: 3000, totalCount: 0 }
+    });
+
+    expect(migrated.trash.a).toMatchObject({ updatedAt: 2000, revision: 1, deletedAt: 3000 });
+    expect(migrated.tombstones).toEqual({ b: 4000 });
+  });
+
+  it('rebuilds indexes from migrated snippets', () => {
+    const migrated = migrateStorage({
+      schemaVersion: 2,
+      snippetsById: { a: { id: 'a', text: 'A', conversationId: 'conv-1', projectId: 'p-1', createdAt: 1000 } },
+      index: { byThread: {}, byTime: [] },
+      meta: {}
+    });
+
+    expect(migrated.index.byThread).toEqual({ 'conv-1': ['a'] });
+    expect(migrated.index.byProject).toEqual({ 'p-1': ['a'] });
+    expect(migrated.index.byTime).toEqual(['a']);
+    expect(migrated.meta.totalCount).toBe(1);
+  });
+
+  it('returns null when no migration path exists', () => {
+    expect(migrateStorage({ schemaVersion: 0 })).toBeNull();
+    expect(migrateStorage({ schemaVersion: 4 })).toBeNull();
+  });
+});
+
 describe('saveStorage', () => {
   beforeEach(() => {
     Object.keys(mockStorage).forEach(key => delete mockStorage[key]);
@@ -188,7 +322,7 @@ describe('saveStorage', () => {
 
   it('saves storage and updates meta', async () => {
     const storage = {
-      schemaVersion: 2,
+      schemaVersion: 3,
       snippetsById: {
         'snippet-1': { id: 'snippet-1', text: 'Test' }
       },
@@ -213,6 +347,12 @@ describe('saveStorage', () => {
     const storage = createEmptyStorage();
     await expect(saveStorage(storage)).rejects.toThrow('Storage quota exceeded');
   });
+
+  it('refuses to save read-only storage', async () => {
+    const storage = { ...createEmptyStorage(), readOnly: true };
+    await expect(saveStorage(storage)).rejects.toThrow('newer version');
+    expect(mockStorage.snippets).toBeUndefined();
+  });
 });
 
 describe('upsertSnippet', () => {
@@ -222,6 +362,20 @@ describe('upsertSnippet', () => {
     storage = createEmptyStorage();
   });
 
+  it('increments the revision on every write, including through the trash', () => {
+    let updated = upsertSnippet(storage, { id: 'snippet-1', text: 'One', createdAt: 1000 });
+    expect(updated.snippetsById['snippet-1']).toMatchObject({ revision: 1, deletedAt: null });
+
+    updated = upsertSnippet(updated, { ...updated.snippetsById['snippet-1'], text: 'Two' });
+    expect(updated.snippetsById['snippet-1'].revision).toBe(2);
+
+    updated = removeSnippet(updated, 'snippet-1', 5000);
+    expect(updated.trash['snippet-1']).toMatchObject({ revision: 3, deletedAt: 5000 });
+
+    updated = restoreSnippet(updated, 'snippet-1');
+    expect(updated.snippetsById['snippet-1']).toMatchObject({ revision: 4, deletedAt: null });
+  });
+
   it('adds a new snippet', () => {
     const snippet = {
       id: 'snippet-1',
@@ -365,6 +519,24 @@ describe('upsertSnippet', () => {
     expect(updated.index.byProject['proj-2']).toContain('snippet-1');
   });
 
+  it('indexes tags once per snippet', () => {
+    const updated = upsertSnippet(storage, { id: 'snippet-1', text: 'Test', tags: ['a', 'b', 'a'], createdAt: 1000 });
+
+    expect(updated.index.byTag).toEqual({ a: ['snippet-1'], b: ['snippet-1'] });
+  });
+
+  it('moves snippets between tags when their tags change', () => {
+    let updated = upsertSnippet(storage, { id: 'snippet-1', text: 'One', tags: ['a', 'b'], createdAt: 1000 });
+    updated = upsertSnippet(updated, { id: 'snippet-2', text: 'Two', tags: ['a'], createdAt: 2000 });
+    const before = updated.index.byTag;
+
+    updated = upsertSnippet(updated, { ...updated.snippetsById['snippet-1'], tags: ['a', 'c'] });
+
+    expect(updated.index.byTag).toEqual({ a: ['snippet-1', 'snippet-2'], c: ['snippet-1'] });
+    // Copy-on-write: the previous index is untouched
+    expect(before).toEqual({ a: ['snippet-1', 'snippet-2'], b: ['snippet-1'] });
+  });
+
   it('handles snippet without createdAt by using current time', () => {
     const snippet = {
       id: 'snippet-1',
@@ -410,6 +582,16 @@ describe('removeSnippet', () => {
     expect(updated).toBe(original);
   });
 
+  it('removes the snippet from its tags', () => {
+    storage = upsertSnippet(storage, { id: 'snippet-1', text: 'One', tags: ['a', 'b'], createdAt: 1000 });
+    storage = upsertSnippet(storage, { id: 'snippet-2', text: 'Two', tags: ['a'], createdAt: 2000 });
+
+    const updated = removeSnippet(storage, 'snippet-1');
+
+    expect(updated.index.byTag).toEqual({ a: ['snippet-2'] });
+    expect(restoreSnippet(updated, 'snippet-1').index.byTag).toEqual({ a: ['snippet-2', 'snippet-1'], b: ['snippet-1'] });
+  });
+
   it('removes empty thread from index', () => {
     const snippet = {
       id: 'snippet-1',
@@ -425,6 +607,96 @@ describe('removeSnippet', () => {
   });
 });
 
+describe('tags', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = createEmptyStorage();
+    storage = upsertSnippet(storage, { id: 'snippet-1', text: 'One', tags: ['ml', 'todo'], createdAt: 1000 });
+    storage = upsertSnippet(storage, { id: 'snippet-2', text: 'Two', tags: ['ML'], createdAt: 2000 });
+    storage = upsertSnippet(storage, { id: 'snippet-3', text: 'Three', tags: ['todo'], createdAt: 3000 });
+  });
+
+  it('counts tags, most used first', () => {
+    expect(getTagCounts(storage)).toEqual([
+      { tag: 'todo', count: 2 },
+      { tag: 'ml', count: 1 },
+      { tag: 'ML', count: 1 }
+    ]);
+  });
+
+  it('renames a tag on every snippet carrying it', () => {
+    const updated = renameTag(storage, 'todo', 'later');
+
+    expect(updated.snippetsById['snippet-1'].tags).toEqual(['ml', 'later']);
+    expect(updated.snippetsById['snippet-3'].tags).toEqual(['later']);
+    expect(updated.index.byTag.todo).toBeUndefined();
+    expect(updated.index.byTag.later).toEqual(['snippet-1', 'snippet-3']);
+  });
+
+  it('merges when renaming to an existing tag', () => {
+    storage = upsertSnippet(storage, { ...storage.snippetsById['snippet-1'], tags: ['ml', 'ML', 'todo'] });
+
+    const updated = renameTag(storage, 'ML', 'ml');
+
+    expect(updated.snippetsById['snippet-1'].tags).toEqual(['ml', 'todo']);
+    expect(updated.snippetsById['snippet-2'].tags).toEqual(['ml']);
+    expect(updated.index.byTag).toEqual({ ml: ['snippet-1', 'snippet-2'], todo: ['snippet-1', 'snippet-3'] });
+  });
+
+  it('leaves storage unchanged when nothing is renamed', () => {
+    expect(renameTag(storage, 'todo', 'todo')).toBe(storage);
+    expect(renameTag(storage, 'unknown', 'other')).toBe(storage);
+  });
+
+  it('merges several tags into one', () => {
+    const updated = mergeTags(storage, ['ml', 'ML', 'todo'], 'research');
+
+    expect(getTagCounts(updated)).toEqual([{ tag: 'research', count: 3 }]);
+    expect(updated.snippetsById['snippet-1'].tags).toEqual(['research']);
+  });
+
+  it('indexes tags named like Object.prototype members', () => {
+    const updated = upsertSnippet(storage, { id: 'snippet-4', text: 'Four', tags: ['constructor', 'toString'], createdAt: 4000 });
+
+    expect(updated.index.byTag.constructor).toEqual(['snippet-4']);
+    expect(buildIndexes(updated.snippetsById).byTag.toString).toEqual(['snippet-4']);
+    expect(removeSnippet(updated, 'snippet-4').index.byTag.constructor).toBeUndefined();
+  });
+});
+
+describe('conversations', () => {
+  it('records conversation metadata without touching the input', () => {
+    const storage = createEmptyStorage();
+    const updated = upsertConversation(storage, 'conv-1', { title: ' Trip planning ', projectId: 'proj-1', projectName: 'Travel' }, 1000);
+
+    expect(getConversation(updated, 'conv-1')).toEqual({ title: 'Trip planning', projectId: 'proj-1', projectName: 'Travel', updatedAt: 1000 });
+    expect(storage.conversations).toBeUndefined();
+    expect(getConversation(updated, 'conv-2')).toBeNull();
+  });
+
+  it('keeps known values when the page shows none', () => {
+    const storage = upsertConversation(createEmptyStorage(), 'conv-1', { title: 'Trip planning' }, 1000);
+
+    expect(upsertConversation(storage, 'conv-1', { title: '', projectName: null }, 2000)).toBe(storage);
+    expect(upsertConversation(storage, 'conv-1', { title: 'Trip planning' }, 2000)).toBe(storage);
+    expect(upsertConversation(storage, null, { title: 'Untitled' })).toBe(storage);
+
+    const renamed = upsertConversation(storage, 'conv-1', { title: 'Spring trip' }, 2000);
+    expect(getConversation(renamed, 'conv-1')).toEqual({ title: 'Spring trip', updatedAt: 2000 });
+  });
+
+  it('finds the most recently recorded project name', () => {
+    let storage = upsertConversation(createEmptyStorage(), 'conv-1', { projectId: 'proj-1', projectName: 'Travel' }, 1000);
+    storage = upsertConversation(storage, 'conv-2', { projectId: 'proj-1', projectName: 'Trips' }, 2000);
+    storage = upsertConversation(storage, 'conv-3', { projectId: 'proj-2' }, 3000);
+
+    expect(findProjectName(storage, 'proj-1')).toBe('Trips');
+    expect(findProjectName(storage, 'proj-2')).toBeNull();
+    expect(findProjectName(storage, null)).toBeNull();
+  });
+});
+
 describe('clearThread', () => {
   let storage;
 
@@ -457,7 +729,372 @@ describe('clearThread', () => {
   });
 });
 
+describe('tombstones', () => {
+  it('records a tombstone when a trashed snippet is purged', () => {
+    let storage = createEmptyStorage();
+    storage = upsertSnippet(storage, { id: 'snippet-1', text: 'Test', conversationId: 'conv-1', createdAt: 1000 });
+    storage = removeSnippet(storage, 'snippet-1');
+
+    const updated = purgeSnippets(storage, ['snippet-1']);
+
+    expect(updated.trash['snippet-1']).toBeUndefined();
+    expect(updated.tombstones['snippet-1']).toBeGreaterThan(0);
+  });
+
+  it('clears the tombstone when a snippet is re-added', () => {
+    let storage = createEmptyStorage();
+    storage = upsertSnippet(storage, { id: 'snippet-1', text: 'Test', conversationId: 'conv-1', createdAt: 1000 });
+    storage = purgeSnippets(removeSnippet(storage, 'snippet-1'), ['snippet-1']);
+
+    const updated = upsertSnippet(storage, { id: 'snippet-1', text: 'Test', conversationId: 'conv-1', createdAt: 1000 });
+
+    expect(updated.tombstones['snippet-1']).toBeUndefined();
+    expect(updated.snippetsById['snippet-1']).toBeDefined();
+  });
+
+  it('stamps updatedAt on upsert', () => {
+    const storage = upsertSnippet(createEmptyStorage(), { id: 'snippet-1', text: 'Test', createdAt: 1000 });
+    expect(storage.snippetsById['snippet-1'].updatedAt).toBeGreaterThanOrEqual(1000);
+  });
+});
+
+describe('trash', () => {
+  const snippet = { id: 'snippet-1', text: 'Test', conversationId: 'conv-1', projectId: 'proj-1', createdAt: 1000 };
+
+  it('moves removed snippets to the trash with deletedAt', () => {
+    const storage = upsertSnippet(createEmptyStorage(), snippet);
+
+    const updated = removeSnippet(storage, 'snippet-1', 5000);
+
+    expect(updated.snippetsById['snippet-1']).toBeUndefined();
+    expect(updated.trash['snippet-1']).toMatchObject({ text: 'Test', deletedAt: 5000 });
+    expect(getTrashedSnippets(updated).map(s => s.id)).toEqual(['snippet-1']);
+  });
+
+  it('moves snippets cleared from a thread to the trash', () => {
+    let storage = upsertSnippet(createEmptyStorage(), snippet);
+    storage = upsertSnippet(storage, { ...snippet, id: 'snippet-2' });
+
+    const updated = clearThread(storage, 'conv-1');
+
+    expect(Object.keys(updated.trash).sort()).toEqual(['snippet-1', 'snippet-2']);
+  });
+
+  it('restores a trashed snippet with its indexes', () => {
+    const storage = removeSnippet(upsertSnippet(createEmptyStorage(), snippet), 'snippet-1');
+
+    const restored = restoreSnippet(storage, 'snippet-1');
+
+    expect(restored.trash['snippet-1']).toBeUndefined();
+    expect(restored.snippetsById['snippet-1'].deletedAt).toBeNull();
+    expect(restored.index.byThread['conv-1']).toEqual(['snippet-1']);
+    expect(restored.index.byProject['proj-1']).toEqual(['snippet-1']);
+  });
+
+  it('returns unchanged storage when restoring an unknown snippet', () => {
+    const storage = createEmptyStorage();
+    expect(restoreSnippet(storage, 'missing')).toBe(storage);
+  });
+
+  it('removes a snippet from the trash when it is saved again', () => {
+    const storage = removeSnippet(upsertSnippet(createEmptyStorage(), snippet), 'snippet-1');
+    const updated = upsertSnippet(storage, { ...snippet });
+    expect(updated.trash['snippet-1']).toBeUndefined();
+  });
+
+  it('empties the trash permanently', () => {
+    let storage = upsertSnippet(createEmptyStorage(), snippet);
+    storage = upsertSnippet(storage, { ...snippet, id: 'snippet-2' });
+    storage = clearAll(storage);
+
+    const emptied = emptyTrash(storage, 9000);
+
+    expect(Object.keys(emptied.trash)).toHaveLength(0);
+    expect(emptied.tombstones).toEqual({ 'snippet-1': 9000, 'snippet-2': 9000 });
+  });
+
+  it('purges only trashed snippets older than the retention period', () => {
+    const day = 24 * 60 * 60 * 1000;
+    const now = 100 * day;
+    let storage = upsertSnippet(createEmptyStorage(), snippet);
+    storage = upsertSnippet(storage, { ...snippet, id: 'snippet-2' });
+    storage = removeSnippet(storage, 'snippet-1', now - 8 * day);
+    storage = removeSnippet(storage, 'snippet-2', now - 2 * day);
+
+    const purged = purgeExpiredTrash(storage, 7, now);
+
+    expect(Object.keys(purged.trash)).toEqual(['snippet-2']);
+    expect(purged.tombstones['snippet-1']).toBe(now);
+    expect(purgeExpiredTrash(purged, 7, now)).toBe(purged);
+  });
+
+  it('keeps trashed snippets out of counts and indexes', () => {
+    const storage = clearAll(upsertSnippet(createEmptyStorage(), snippet));
+    expect(storage.meta.totalCount).toBe(0);
+    expect(storage.index.byTime).toEqual([]);
+    expect(storage.trash['snippet-1']).toBeDefined();
+  });
+});
+
+describe('mergeStorage', () => {
+  function storageWith(snippets, { tombstones = {}, trash = {}, lastUpdatedAt = 1000 } = {}) {
+    const storage = createEmptyStorage();
+    snippets.forEach((snippet) => {
+      storage.snippetsById[snippet.id] = snippet;
+    });
+    storage.tombstones = tombstones;
+    storage.trash = trash;
+    storage.meta.lastUpdatedAt = lastUpdatedAt;
+    return storage;
+  }
+
+  it('keeps snippets that exist on only one side', () => {
+    const local = storageWith([{ id: 'a', text: 'A', conversationId: 'conv-1', createdAt: 1000, updatedAt: 1000 }]);
+    const remote = storageWith([{ id: 'b', text: 'B', conversationId: 'conv-1', createdAt: 2000, updatedAt: 2000 }]);
+
+    const { storage, localChanged, remoteChanged } = mergeStorage(local, remote, 3000);
+
+    expect(Object.keys(storage.snippetsById).sort()).toEqual(['a', 'b']);
+    expect(storage.index.byThread['conv-1']).toEqual(expect.arrayContaining(['a', 'b']));
+    expect(storage.index.byTime).toEqual(['b', 'a']);
+    expect(storage.meta.totalCount).toBe(2);
+    expect(localChanged).toBe(true);
+    expect(remoteChanged).toBe(true);
+  });
+
+  it('merges conversation metadata per conversation, newer first', () => {
+    const local = {
+      ...storageWith([]),
+      conversations: { 'conv-1': { title: 'Old', updatedAt: 1000 }, 'conv-2': { title: 'Local only', updatedAt: 1000 } }
+    };
+    const remote = {
+      ...storageWith([]),
+      conversations: { 'conv-1': { title: 'Renamed', updatedAt: 2000 } }
+    };
+
+    const { storage, localChanged, remoteChanged } = mergeStorage(local, remote, 3000);
+
+    expect(storage.conversations).toEqual({
+      'conv-1': { title: 'Renamed', updatedAt: 2000 },
+      'conv-2': { title: 'Local only', updatedAt: 1000 }
+    });
+    expect(localChanged).toBe(true);
+    expect(remoteChanged).toBe(true);
+  });
+
+  it('picks the snippet with the newer updatedAt', () => {
+    const local = storageWith([{ id: 'a', text: 'Old', createdAt: 1000, updatedAt: 1000 }]);
+    const remote = storageWith([{ id: 'a', text: 'New', createdAt: 1000, updatedAt: 2000 }]);
+
+    const { storage, localChanged, remoteChanged } = mergeStorage(local, remote, 3000);
+
+    expect(storage.snippetsById.a.text).toBe('New');
+    expect(localChanged).toBe(true);
+    expect(remoteChanged).toBe(false);
+  });
+
+  it('uses meta.lastUpdatedAt as tie-breaker for snippets without updatedAt', () => {
+    const local = storageWith([{ id: 'a', text: 'Local', createdAt: 1000 }], { lastUpdatedAt: 5000 });
+    const remote = storageWith([{ id: 'a', text: 'Remote', createdAt: 1000 }], { lastUpdatedAt: 4000 });
+
+    const { storage } = mergeStorage(local, remote, 6000);
+
+    expect(storage.snippetsById.a.text).toBe('Local');
+  });
+
+  it('reports no changes when both sides are identical', () => {
+    const snippet = { id: 'a', text: 'Same', createdAt: 1000, updatedAt: 1000 };
+    const local = storageWith([snippet]);
+    const remote = storageWith([{ ...snippet }]);
+
+    const { localChanged, remoteChanged } = mergeStorage(local, remote, 2000);
+
+    expect(localChanged).toBe(false);
+    expect(remoteChanged).toBe(false);
+  });
+
+  it('treats snippets with the same updatedAt and revision as one write without serializing them', () => {
+    const html = `<p>${'x'.repeat(1000)}</p>`;
+    const local = storageWith([{ id: 'a', text: 'Same', html, createdAt: 1000, updatedAt: 2000, revision: 3 }], { lastUpdatedAt: 5000 });
+    const remote = storageWith([{ id: 'a', text: 'Same', html, createdAt: 1000, updatedAt: 2000, revision: 3 }], { lastUpdatedAt: 4000 });
+    const stringify = vi.spyOn(JSON, 'stringify');
+
+    const { storage, localChanged, remoteChanged } = mergeStorage(local, remote, 6000);
+
+    const serializedSnippets = stringify.mock.calls.filter(([value]) => value?.id === 'a');
+    stringify.mockRestore();
+    expect(serializedSnippets).toHaveLength(0);
+    expect(storage.snippetsById.a).toBe(local.snippetsById.a);
+    expect(localChanged).toBe(false);
+    expect(remoteChanged).toBe(false);
+  });
+
+  it('applies remote deletions that are newer than the local snippet', () => {
+    const local = storageWith([{ id: 'a', text: 'A', conversationId: 'conv-1', createdAt: 1000, updatedAt: 1000 }]);
+    const remote = storageWith([], { tombstones: { a: 2000 } });
+
+    const { storage, localChanged, remoteChanged } = mergeStorage(local, remote, 3000);
+
+    expect(storage.snippetsById.a).toBeUndefined();
+    expect(storage.index.byThread['conv-1']).toBeUndefined();
+    expect(storage.tombstones.a).toBe(2000);
+    expect(localChanged).toBe(true);
+    expect(remoteChanged).toBe(false);
+  });
+
+  it('keeps snippets edited after a remote deletion', () => {
+    const local = storageWith([{ id: 'a', text: 'A', createdAt: 1000, updatedAt: 3000 }]);
+    const remote = storageWith([], { tombstones: { a: 2000 } });
+
+    const { storage } = mergeStorage(local, remote, 4000);
+
+    expect(storage.snippetsById.a).toBeDefined();
+    expect(storage.tombstones.a).toBeUndefined();
+  });
+
+  it('applies remote trashing that is newer than the local snippet', () => {
+    const local = storageWith([{ id: 'a', text: 'A', createdAt: 1000, updatedAt: 1000 }]);
+    const remote = storageWith([], { trash: { a: { id: 'a', text: 'A', createdAt: 1000, updatedAt: 1000, deletedAt: 2000 } } });
+
+    const { storage, localChanged, remoteChanged } = mergeStorage(local, remote, 3000);
+
+    expect(storage.snippetsById.a).toBeUndefined();
+    expect(storage.trash.a.deletedAt).toBe(2000);
+    expect(localChanged).toBe(true);
+    expect(remoteChanged).toBe(false);
+  });
+
+  it('keeps a snippet restored after it was trashed in another tab', () => {
+    const local = storageWith([{ id: 'a', text: 'A', createdAt: 1000, updatedAt: 3000 }]);
+    const remote = storageWith([], { trash: { a: { id: 'a', text: 'A', createdAt: 1000, deletedAt: 2000 } } });
+
+    const { storage, remoteChanged } = mergeStorage(local, remote, 4000);
+
+    expect(storage.snippetsById.a).toBeDefined();
+    expect(storage.trash.a).toBeUndefined();
+    expect(remoteChanged).toBe(true);
+  });
+
+  it('lets a permanent delete win over a trash entry', () => {
+    const local = storageWith([], { trash: { a: { id: 'a', text: 'A', deletedAt: 2000 } } });
+    const remote = storageWith([], { tombstones: { a: 2500 } });
+
+    const { storage, localChanged } = mergeStorage(local, remote, 3000);
+
+    expect(storage.trash.a).toBeUndefined();
+    expect(storage.tombstones.a).toBe(2500);
+    expect(localChanged).toBe(true);
+  });
+
+  it('reports no changes when both trashes are identical', () => {
+    const trashed = { id: 'a', text: 'A', createdAt: 1000, deletedAt: 2000 };
+    const local = storageWith([], { trash: { a: trashed } });
+    const remote = storageWith([], { trash: { a: { ...trashed } } });
+
+    const { localChanged, remoteChanged } = mergeStorage(local, remote, 3000);
+
+    expect(localChanged).toBe(false);
+    expect(remoteChanged).toBe(false);
+  });
+
+  it('prunes expired tombstones', () => {
+    const local = storageWith([], { tombstones: { a: 1000 } });
+    const remote = storageWith([]);
+
+    const { storage } = mergeStorage(local, remote, 1000 + 31 * 24 * 60 * 60 * 1000);
+
+    expect(storage.tombstones.a).toBeUndefined();
+  });
+});
+
+describe('commitStorage', () => {
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach(key => delete mockStorage[key]);
+    chromeMock.runtime.lastError = null;
+  });
+
+  it('does not drop snippets saved by another tab', async () => {
+    // Tab A saves a snippet
+    const tabA = upsertSnippet(createEmptyStorage(), { id: 'a', text: 'From A', conversationId: 'conv-1', createdAt: 1000 });
+    await commitStorage(tabA);
+
+    // Tab B loaded before A saved, then saves its own snippet
+    const tabB = upsertSnippet(createEmptyStorage(), { id: 'b', text: 'From B', conversationId: 'conv-1', createdAt: 2000 });
+    const merged = await commitStorage(tabB);
+
+    expect(Object.keys(merged.snippetsById).sort()).toEqual(['a', 'b']);
+    expect(Object.keys(mockStorage.snippets.snippetsById).sort()).toEqual(['a', 'b']);
+    expect(mockStorage.snippets.meta.totalCount).toBe(2);
+  });
+
+  it('propagates deletions made in this tab', async () => {
+    let storage = upsertSnippet(createEmptyStorage(), { id: 'a', text: 'A', createdAt: 1000 });
+    await commitStorage(storage);
+
+    storage = removeSnippet(storage, 'a');
+    await commitStorage(storage);
+
+    expect(mockStorage.snippets.snippetsById.a).toBeUndefined();
+    expect(mockStorage.snippets.trash.a).toBeDefined();
+  });
+
+  it('refuses to overwrite storage written by a newer version', async () => {
+    const newerData = { schemaVersion: 4, snippetsById: {}, index: {}, meta: {} };
+    mockStorage.snippets = newerData;
+
+    const storage = upsertSnippet(createEmptyStorage(), { id: 'a', text: 'A', createdAt: 1000 });
+    await expect(commitStorage(storage)).rejects.toThrow('newer version');
+    expect(mockStorage.snippets).toBe(newerData);
+  });
+});
+
+describe('subscribeToStorageChanges', () => {
+  it('calls back with new storage for local snippet changes', () => {
+    const onChange = vi.fn();
+    const unsubscribe = subscribeToStorageChanges(onChange);
+    const newValue = createEmptyStorage();
+
+    chromeMock.storage.onChanged.listeners.forEach(l => l({ snippets: { newValue } }, 'local'));
+    chromeMock.storage.onChanged.listeners.forEach(l => l({ settings: { newValue: {} } }, 'local'));
+    chromeMock.storage.onChanged.listeners.forEach(l => l({ snippets: { newValue } }, 'sync'));
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith(newValue);
+
+    unsubscribe();
+    expect(chromeMock.storage.onChanged.listeners).toHaveLength(0);
+  });
+
+  it('ignores storage written by a newer version', () => {
+    const onChange = vi.fn();
+    const unsubscribe = subscribeToStorageChanges(onChange);
+    const newValue = { ...createEmptyStorage(), schemaVersion: SCHEMA_VERSION + 1 };
+
+    chromeMock.storage.onChanged.listeners.forEach(l => l({ snippets: { newValue } }, 'local'));
+
+    expect(onChange).not.toHaveBeenCalled();
+    unsubscribe();
+  });
+});
+
 describe('clearAll', () => {
+  it('moves cleared snippets to the trash', () => {
+    let storage = createEmptyStorage();
+    storage = upsertSnippet(storage, { id: 'snippet-1', text: 'Test', conversationId: 'conv-1', createdAt: 1000 });
+
+    const cleared = clearAll(storage);
+
+    expect(cleared.trash['snippet-1'].deletedAt).toBeGreaterThan(0);
+    expect(cleared.tombstones['snippet-1']).toBeUndefined();
+  });
+
+  it('keeps conversation metadata for the trashed snippets', () => {
+    let storage = upsertSnippet(createEmptyStorage(), { id: 'snippet-1', text: 'Test', conversationId: 'conv-1', createdAt: 1000 });
+    storage = upsertConversation(storage, 'conv-1', { title: 'Trip planning' }, 1000);
+
+    expect(getConversation(clearAll(storage), 'conv-1').title).toBe('Trip planning');
+  });
+
   it('returns empty storage structure', () => {
     let storage = createEmptyStorage();
     const snippet = { id: 'snippet-1', text: 'Test', conversationId: 'conv-1', createdAt: 1000 };
@@ -465,7 +1102,7 @@ describe('clearAll', () => {
 
     const cleared = clearAll(storage);
 
-    expect(cleared.schemaVersion).toBe(2);
+    expect(cleared.schemaVersion).toBe(3);
     expect(cleared.meta.totalCount).toBe(0);
     expect(Object.keys(cleared.snippetsById)).toHaveLength(0);
   });
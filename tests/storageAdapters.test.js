@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { upsertSnippet, removeSnippet, purgeSnippets, createEmptyStorage, upsertConversation, SCHEMA_VERSION } from '../src/content/storage.js';
+import { createChromeStorageAdapter } from '../src/content/storageAdapters.js';
+
+// Mock chrome.storage.local (fires onChanged like the real API)
+const mockStorage = {};
+const listeners = new Set();
+function notify(changes) {
+  listeners.forEach(listener => listener(changes, 'local'));
+}
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: vi.fn(async (key) => (mockStorage[key] !== undefined ? { [key]: mockStorage[key] } : {})),
+      set: vi.fn(async (items) => {
+        Object.assign(mockStorage, items);
+        notify(Object.fromEntries(Object.entries(items).map(([key, newValue]) => [key, { newValue }])));
+      }),
+      remove: vi.fn(async (key) => {
+        delete mockStorage[key];
+        notify({ [key]: { newValue: undefined } });
+      })
+    },
+    onChanged: {
+      addListener: listener => listeners.add(listener),
+      removeListener: listener => listeners.delete(listener)
+    }
+  },
+  runtime: { lastError: null }
+};
+
+function snippet(id, overrides = {}) {
+  return { id, text: `Text ${id}`, conversationId: 'conv-1', projectId: null, createdAt: 1000, ...overrides };
+}
+
+beforeEach(() => {
+  Object.keys(mockStorage).forEach(key => delete mockStorage[key]);
+  listeners.clear();
+});
+
+// Each backend entry creates two adapters over the same backing store, standing in for two tabs
+describe.each([
+  ['chrome', () => {
+    return () => createChromeStorageAdapter();
+  }]
+])('%s storage adapter contract', (name, createBackend) => {
+  let createAdapter;
+
+  beforeEach(() => {
+    createAdapter = createBackend();
+  });
+
+  it('reports its backend name', () => {
+    expect(createAdapter().name).toBe(name);
+  });
+
+  it('loads empty storage when nothing was saved', async () => {
+    const storage = await createAdapter().load();
+    expect(storage.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(storage.snippetsById).toEqual({});
+    expect(storage.trash).toEqual({});
+    expect(storage.tombstones).toEqual({});
+  });
+
+  it('round-trips snippets, indexes, trash and tombstones', async () => {
+    let storage = createEmptyStorage();
+    storage = upsertSnippet(storage, snippet('a', { projectId: 'proj-1' }));
+    storage = upsertSnippet(storage, snippet('b', { createdAt: 2000 }));
+    storage = upsertSnippet(storage, snippet('c'));
+    storage = removeSnippet(storage, 'b', 3000);
+    storage = upsertSnippet(storage, snippet('d'));
+    storage = purgeSnippets(removeSnippet(storage, 'd', 3000), ['d'], 4000);
+
+    await createAdapter().save(storage);
+    const loaded = await createAdapter().load();
+
+    expect(loaded.snippetsById).toEqual(storage.snippetsById);
+    expect(loaded.index.byThread['conv-1'].sort()).toEqual(['a', 'c']);
+    expect(loaded.index.byProject).toEqual({ 'proj-1': ['a'] });
+    expect(loaded.trash.b.deletedAt).toBe(3000);
+    expect(loaded.tombstones).toEqual({ d: 4000 });
+    expect(loaded.meta.totalCount).toBe(2);
+  });
+
+  it('round-trips conversation metadata', async () => {
+    let storage = upsertSnippet(createEmptyStorage(), snippet('a'));
+    storage = upsertConversation(storage, 'conv-1', { title: 'Trip planning', projectId: 'proj-1', projectName: 'Travel' }, 1000);
+
+    await createAdapter().save(storage);
+    const loaded = await createAdapter().load();
+
+    expect(loaded.conversations).toEqual({
+      'conv-1': { title: 'Trip planning', projectId: 'proj-1', projectName: 'Travel', updatedAt: 1000 }
+    });
+  });
+
+  it('persists later edits and deletions', async () => {
+    const adapter = createAdapter();
+    let storage = upsertSnippet(upsertSnippet(createEmptyStorage(), snippet('a')), snippet('b'));
+    await adapter.save(storage);
+
+    storage = upsertSnippet(storage, { ...storage.snippetsById.a, text: 'Edited' });
+    storage = removeSnippet(storage, 'b');
+    await adapter.save(storage);
+
+    const loaded = await createAdapter().load();
+    expect(loaded.snippetsById.a.text).toBe('Edited');
+    expect(loaded.snippetsById.b).toBeUndefined();
+    expect(loaded.trash.b).toBeDefined();
+  });
+
+  it('queries snippets by conversation, project and recency', async () => {
+    let storage = createEmptyStorage();
+    storage = upsertSnippet(storage, snippet('late', { createdAt: 3000, projectId: 'proj-1' }));
+    storage = upsertSnippet(storage, snippet('early', { createdAt: 1000, projectId: 'proj-1' }));
+    storage = upsertSnippet(storage, snippet('other', { createdAt: 2000, conversationId: 'conv-2' }));
+    const adapter = createAdapter();
+    await adapter.save(storage);
+
+    expect((await adapter.getSnippetsByConversation('conv-1')).map(s => s.id)).toEqual(['early', 'late']);
+    expect((await adapter.getSnippetsByProject('proj-1')).map(s => s.id)).toEqual(['early', 'late']);
+    expect((await adapter.getRecentSnippets(2)).map(s => s.id)).toEqual(['late', 'other']);
+  });
+
+  it('notifies subscribers after another adapter saves', async () => {
+    const onChange = vi.fn();
+    const unsubscribe = createAdapter().subscribe(onChange);
+
+    await createAdapter().save(upsertSnippet(createEmptyStorage(), snippet('a')));
+
+    await vi.waitFor(() => expect(onChange).toHaveBeenCalled());
+    expect(onChange.mock.calls[0][0].snippetsById.a.text).toBe('Text a');
+    unsubscribe();
+  });
+
+  it('clears everything it stored', async () => {
+    const adapter = createAdapter();
+    await adapter.save(upsertSnippet(createEmptyStorage(), snippet('a')));
+
+    await adapter.clear();
+
+    expect((await createAdapter().load()).snippetsById).toEqual({});
+  });
+
+  it('refuses to save read-only storage', async () => {
+    const storage = { ...createEmptyStorage(), readOnly: true };
+    await expect(createAdapter().save(storage)).rejects.toThrow('newer version');
+  });
+});
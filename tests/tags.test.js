@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeTag, suggestTags } from '../src/shared/tags.js';
+
+describe('normalizeTag', () => {
+  it('lowercases, drops the leading # and turns spaces into dashes', () => {
+    expect(normalizeTag('  #Machine  Learning ')).toBe('machine-learning');
+    expect(normalizeTag('##todo')).toBe('todo');
+  });
+
+  it('returns an empty string for unusable input', () => {
+    expect(normalizeTag('  # ')).toBe('');
+    expect(normalizeTag(null)).toBe('');
+  });
+});
+
+describe('suggestTags', () => {
+  const tags = ['research', 'todo', 'ml-research', 'reading'];
+
+  it('lists tags starting with the input before tags containing it', () => {
+    expect(suggestTags(tags, 're')).toEqual(['research', 'reading', 'ml-research']);
+  });
+
+  it('leaves out excluded tags and respects the limit', () => {
+    expect(suggestTags(tags, '', ['todo'], 2)).toEqual(['research', 'ml-research']);
+    expect(suggestTags(tags, '#RE', ['research'])).toEqual(['reading', 'ml-research']);
+  });
+});
@@ -0,0 +1,792 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { getBubblePosition, createSaveBubble, createToast, createProgressToast, setFocusedSnippet, createShortcutsModal, createBulkActionBar, createPanel, updatePanel, createTrashView, createColorFilter, createPaletteModal, createTagInput, createTagFilter, createTagManagerModal, createListControls, formatSnippetSource, createSearchBox, createSnippetList } from '../src/content/ui.js';
+import { DEFAULT_SHORTCUTS, assignShortcut } from '../src/content/shortcuts.js';
+
+beforeEach(() => {
+  document.body.innerHTML = '';
+});
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+describe('getBubblePosition', () => {
+  const viewport = { width: 1000, height: 800 };
+  const size = { width: 200, height: 40 };
+
+  it('places the bubble above the selection, centered', () => {
+    const rect = { top: 300, bottom: 320, left: 400, right: 600 };
+    expect(getBubblePosition(rect, size, viewport)).toEqual({ top: 252, left: 400, placement: 'above' });
+  });
+
+  it('flips below the selection when there is no room above', () => {
+    const rect = { top: 20, bottom: 40, left: 400, right: 600 };
+    expect(getBubblePosition(rect, size, viewport)).toEqual({ top: 48, left: 400, placement: 'below' });
+  });
+
+  it('keeps the bubble inside the viewport horizontally', () => {
+    expect(getBubblePosition({ top: 300, bottom: 320, left: 0, right: 20 }, size, viewport).left).toBe(8);
+    expect(getBubblePosition({ top: 300, bottom: 320, left: 980, right: 1000 }, size, viewport).left).toBe(792);
+  });
+
+  it('keeps the bubble inside the viewport vertically for tall selections', () => {
+    const rect = { top: 0, bottom: 900, left: 400, right: 600 };
+    expect(getBubblePosition(rect, size, viewport).top).toBe(752);
+  });
+});
+
+describe('createSaveBubble', () => {
+  function setup() {
+    const handlers = {
+      onSave: vi.fn(),
+      onSaveWithNote: vi.fn(),
+      onSaveWithTag: vi.fn(),
+      onDismiss: vi.fn()
+    };
+    const bubble = createSaveBubble(handlers);
+    document.body.appendChild(bubble);
+    const buttons = bubble.querySelectorAll('.ce-save-bubble-btn');
+    return { bubble, handlers, buttons };
+  }
+
+  it('renders Save, Note and Tag actions inside the extension scope', () => {
+    const { bubble, buttons } = setup();
+    expect(bubble.classList.contains('ce-extension')).toBe(true);
+    expect(Array.from(buttons).map(b => b.textContent)).toEqual(['Save', '+ Note', '+ Tag']);
+  });
+
+  it('calls onSave when Save is clicked', () => {
+    const { handlers, buttons } = setup();
+    buttons[0].click();
+    expect(handlers.onSave).toHaveBeenCalledTimes(1);
+  });
+
+  it('saves with a note after entering it', () => {
+    const { bubble, handlers, buttons } = setup();
+    buttons[1].click();
+
+    const input = bubble.querySelector('.ce-save-bubble-input');
+    input.value = '  remember this  ';
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+
+    expect(handlers.onSaveWithNote).toHaveBeenCalledWith('remember this');
+  });
+
+  it('saves with a tag after entering it', () => {
+    const { bubble, handlers, buttons } = setup();
+    buttons[2].click();
+
+    const input = bubble.querySelector('.ce-save-bubble-input');
+    input.value = 'research';
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+
+    expect(handlers.onSaveWithTag).toHaveBeenCalledWith('research');
+  });
+
+  it('dismisses on Escape inside the input', () => {
+    const { bubble, handlers, buttons } = setup();
+    buttons[1].click();
+
+    const input = bubble.querySelector('.ce-save-bubble-input');
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+    expect(handlers.onDismiss).toHaveBeenCalledTimes(1);
+  });
+
+  it('prevents mousedown on buttons from clearing the page selection', () => {
+    const { buttons } = setup();
+    const event = new MouseEvent('mousedown', { bubbles: true, cancelable: true });
+    buttons[0].dispatchEvent(event);
+    expect(event.defaultPrevented).toBe(true);
+  });
+});
+
+describe('createToast', () => {
+  it('renders an action button that runs the action and removes the toast', () => {
+    const onClick = vi.fn();
+    const toast = createToast('Snippet removed', 5000, { label: 'Undo', onClick });
+
+    const actionBtn = toast.querySelector('.ce-toast-action');
+    expect(actionBtn.textContent).toBe('Undo');
+
+    actionBtn.click();
+    expect(onClick).toHaveBeenCalledTimes(1);
+    expect(document.body.contains(toast)).toBe(false);
+  });
+
+  it('renders no action button by default', () => {
+    const toast = createToast('Snippet saved');
+    expect(toast.querySelector('.ce-toast-action')).toBeNull();
+  });
+});
+
+describe('createProgressToast', () => {
+  it('shows progress and cancels from its button', () => {
+    vi.useFakeTimers();
+    const onCancel = vi.fn();
+    const { element, update } = createProgressToast({ message: 'Scrolling...', onCancel });
+
+    update(0.25);
+    expect(element.querySelector('.ce-toast-progress-fill').style.width).toBe('25%');
+    expect(element.querySelector('[role="progressbar"]').getAttribute('aria-valuenow')).toBe('25');
+
+    element.querySelector('.ce-toast-action').click();
+    vi.advanceTimersByTime(300);
+    expect(onCancel).toHaveBeenCalledTimes(1);
+    expect(document.body.contains(element)).toBe(false);
+    vi.useRealTimers();
+  });
+});
+
+describe('setFocusedSnippet', () => {
+  it('marks only the matching snippet item as focused', () => {
+    const panel = document.createElement('div');
+    panel.innerHTML = '<div class="ce-snippet-item" data-snippet-id="a"></div><div class="ce-snippet-item" data-snippet-id="b"></div>';
+
+    setFocusedSnippet(panel, 'a');
+    setFocusedSnippet(panel, 'b');
+    const focused = panel.querySelectorAll('.ce-snippet-focused');
+    expect(focused).toHaveLength(1);
+    expect(focused[0].getAttribute('data-snippet-id')).toBe('b');
+
+    setFocusedSnippet(panel, null);
+    expect(panel.querySelector('.ce-snippet-focused')).toBeNull();
+  });
+});
+
+describe('createShortcutsModal', () => {
+  function setup() {
+    let shortcuts = { ...DEFAULT_SHORTCUTS };
+    const handlers = {
+      onChange: vi.fn((action, shortcut) => {
+        shortcuts = assignShortcut(shortcuts, action, shortcut);
+        return shortcuts;
+      }),
+      onReset: vi.fn(() => ({ ...DEFAULT_SHORTCUTS })),
+      onClose: vi.fn()
+    };
+    const modal = createShortcutsModal({ shortcuts, ...handlers });
+    document.body.appendChild(modal);
+    const keyButton = action => modal.querySelector(`.ce-shortcut-key[data-action="${action}"]`);
+    return { modal, handlers, keyButton };
+  }
+
+  it('lists every action with its current binding', () => {
+    const { modal, keyButton } = setup();
+    expect(modal.querySelectorAll('.ce-shortcut-row')).toHaveLength(Object.keys(DEFAULT_SHORTCUTS).length);
+    expect(keyButton('togglePanel').textContent).toBe('Alt + Shift + P');
+  });
+
+  it('records the next key combination for an action', () => {
+    const { handlers, keyButton } = setup();
+    keyButton('togglePanel').click();
+
+    const event = new KeyboardEvent('keydown', { key: 'y', code: 'KeyY', ctrlKey: true, shiftKey: true, bubbles: true, cancelable: true });
+    document.dispatchEvent(event);
+
+    expect(event.defaultPrevented).toBe(true);
+    expect(handlers.onChange).toHaveBeenCalledWith('togglePanel', 'Ctrl+Shift+Y');
+    expect(keyButton('togglePanel').textContent).toBe('Ctrl + Shift + Y');
+  });
+
+  it('clears a binding with Backspace and cancels recording with Escape', () => {
+    const { handlers, keyButton } = setup();
+
+    keyButton('copySnippet').click();
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    expect(handlers.onChange).not.toHaveBeenCalled();
+    expect(keyButton('copySnippet').textContent).toBe('Alt + Shift + C');
+
+    keyButton('copySnippet').click();
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Backspace', bubbles: true }));
+    expect(handlers.onChange).toHaveBeenCalledWith('copySnippet', '');
+    expect(keyButton('copySnippet').textContent).toBe('Not set');
+  });
+});
+
+describe('multi-select', () => {
+  const snippets = [
+    { id: 'a', text: 'First snippet', createdAt: 1 },
+    { id: 'b', text: 'Second snippet', createdAt: 2 },
+    { id: 'c', text: 'Third snippet', createdAt: 3 }
+  ];
+
+  function createSelection(selectedIds = []) {
+    return {
+      selectedIds: new Set(selectedIds),
+      onToggleSelect: vi.fn(),
+      onSelectAll: vi.fn(),
+      onBulkDelete: vi.fn(),
+      onBulkCopy: vi.fn(),
+      onBulkExportJson: vi.fn(),
+      onBulkExportMarkdown: vi.fn(),
+      onBulkTag: vi.fn()
+    };
+  }
+
+  function buttonByLabel(bar, label) {
+    return bar.querySelector(`.ce-button-bar-btn[aria-label="${label}"]`);
+  }
+
+  it('disables bulk actions when nothing is selected', () => {
+    const bar = createBulkActionBar(snippets, createSelection());
+    bar.querySelectorAll('.ce-button-bar-btn').forEach(btn => expect(btn.disabled).toBe(true));
+    expect(bar.querySelector('.ce-snippet-counter').textContent).toBe('3 shown');
+  });
+
+  it('reflects partial and full selection in the select-all checkbox', () => {
+    const partial = createBulkActionBar(snippets, createSelection(['a']));
+    const partialCheckbox = partial.querySelector('.ce-select-all-checkbox');
+    expect(partialCheckbox.checked).toBe(false);
+    expect(partialCheckbox.indeterminate).toBe(true);
+    expect(partial.querySelector('.ce-snippet-counter').textContent).toBe('1 selected');
+
+    const full = createBulkActionBar(snippets, createSelection(['a', 'b', 'c']));
+    expect(full.querySelector('.ce-select-all-checkbox').checked).toBe(true);
+  });
+
+  it('only counts selected snippets that are visible', () => {
+    const bar = createBulkActionBar(snippets.slice(0, 2), createSelection(['a', 'c']));
+    expect(bar.querySelector('.ce-snippet-counter').textContent).toBe('1 selected');
+  });
+
+  it('calls onSelectAll when the select-all checkbox changes', () => {
+    const selection = createSelection();
+    const bar = createBulkActionBar(snippets, selection);
+    const checkbox = bar.querySelector('.ce-select-all-checkbox');
+    checkbox.checked = true;
+    checkbox.dispatchEvent(new Event('change'));
+    expect(selection.onSelectAll).toHaveBeenCalledWith(true);
+  });
+
+  it('runs bulk actions without letting the click bubble out of the panel', () => {
+    const selection = createSelection(['a']);
+    const bar = createBulkActionBar(snippets, selection);
+    document.body.appendChild(bar);
+    const outsideClick = vi.fn();
+    document.addEventListener('click', outsideClick);
+
+    buttonByLabel(bar, 'Delete selected').click();
+    buttonByLabel(bar, 'Copy selected').click();
+    buttonByLabel(bar, 'Export selected as JSON').click();
+    buttonByLabel(bar, 'Export selected as Markdown').click();
+
+    expect(selection.onBulkDelete).toHaveBeenCalledTimes(1);
+    expect(selection.onBulkCopy).toHaveBeenCalledTimes(1);
+    expect(selection.onBulkExportJson).toHaveBeenCalledTimes(1);
+    expect(selection.onBulkExportMarkdown).toHaveBeenCalledTimes(1);
+    expect(outsideClick).not.toHaveBeenCalled();
+    document.removeEventListener('click', outsideClick);
+  });
+
+  it('tags selected snippets from the inline tag input', () => {
+    const selection = createSelection(['a']);
+    const bar = createBulkActionBar(snippets, selection);
+    buttonByLabel(bar, 'Tag selected').click();
+
+    const input = bar.querySelector('.ce-bulk-tag-input');
+    input.value = '#research ';
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+
+    expect(selection.onBulkTag).toHaveBeenCalledWith('research');
+    expect(input.style.display).toBe('none');
+  });
+
+  it('renders checkboxes and passes shift-click to onToggleSelect', () => {
+    const selection = createSelection(['b']);
+    const panel = createPanel({ snippets, onRemove: vi.fn(), onSnippetClick: vi.fn(), selection });
+
+    const items = panel.querySelectorAll('.ce-snippet-item');
+    expect(items[1].classList.contains('ce-snippet-selected')).toBe(true);
+    expect(items[1].querySelector('.ce-snippet-checkbox').checked).toBe(true);
+
+    const checkbox = items[2].querySelector('.ce-snippet-checkbox');
+    checkbox.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, shiftKey: true }));
+    expect(selection.onToggleSelect).toHaveBeenCalledWith('c', true, true);
+  });
+
+  it('rebuilds the bulk action bar on updatePanel', () => {
+    const panel = createPanel({ snippets, onRemove: vi.fn(), onSnippetClick: vi.fn(), selection: createSelection() });
+    updatePanel(panel, snippets, vi.fn(), vi.fn(), 3, '', null, null, 'thread', null, createSelection(['a', 'b']));
+
+    expect(panel.querySelectorAll('.ce-button-bar')).toHaveLength(1);
+    expect(panel.querySelector('.ce-snippet-counter').textContent).toBe('2 selected');
+    expect(panel.querySelectorAll('.ce-snippet-selected')).toHaveLength(2);
+  });
+});
+
+describe('snippet notes', () => {
+  const renderPanel = (snippet, onNoteChange = vi.fn()) => {
+    const panel = createPanel({ snippets: [snippet], onRemove: vi.fn(), onSnippetClick: vi.fn(), onNoteChange });
+    document.body.appendChild(panel);
+    return panel;
+  };
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('shows the note under the snippet text', () => {
+    const panel = renderPanel({ id: 'a', text: 'Text', note: 'Line 1\nLine 2', createdAt: 1 });
+
+    const note = panel.querySelector('.ce-snippet-text + .ce-snippet-note');
+    expect(note.textContent).toBe('Line 1\nLine 2');
+    expect(panel.querySelector('.ce-note-add').hidden).toBe(true);
+  });
+
+  it('edits the note in place and saves it on blur', () => {
+    const onNoteChange = vi.fn();
+    const panel = renderPanel({ id: 'a', text: 'Text', note: 'Old', createdAt: 1 }, onNoteChange);
+
+    panel.querySelector('.ce-snippet-note').click();
+    const editor = panel.querySelector('.ce-note-editor');
+    expect(document.activeElement).toBe(editor);
+    expect(panel.querySelector('.ce-note-counter').textContent).toBe('3/2000');
+
+    editor.value = '**New** note ';
+    editor.dispatchEvent(new Event('input'));
+    expect(panel.querySelector('.ce-note-counter').textContent).toBe('13/2000');
+    editor.blur();
+
+    expect(onNoteChange).toHaveBeenCalledWith('a', '**New** note');
+    expect(panel.querySelector('.ce-note-editor')).toBeNull();
+    expect(panel.querySelector('.ce-snippet-note').textContent).toBe('**New** note');
+  });
+
+  it('adds a note from the add button and discards it on Escape', () => {
+    const onNoteChange = vi.fn();
+    const panel = renderPanel({ id: 'a', text: 'Text', createdAt: 1 }, onNoteChange);
+
+    panel.querySelector('.ce-note-add').click();
+    const editor = panel.querySelector('.ce-note-editor');
+    editor.value = 'Draft';
+    editor.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+    expect(onNoteChange).not.toHaveBeenCalled();
+    expect(panel.querySelector('.ce-snippet-note')).toBeNull();
+    expect(panel.querySelector('.ce-note-add').hidden).toBe(false);
+  });
+
+  it('keeps an open editor and its draft when the panel updates', () => {
+    const onNoteChange = vi.fn();
+    const snippet = { id: 'a', text: 'Text', note: 'Old', createdAt: 1 };
+    const panel = renderPanel(snippet, onNoteChange);
+
+    panel.querySelector('.ce-snippet-note').click();
+    panel.querySelector('.ce-note-editor').value = 'Half-typed';
+    updatePanel(panel, [snippet], vi.fn(), vi.fn(), 1, '', null, null, 'thread', null, null, null, onNoteChange);
+
+    const editor = panel.querySelector('.ce-note-editor');
+    expect(editor.value).toBe('Half-typed');
+    expect(onNoteChange).not.toHaveBeenCalled();
+  });
+});
+
+describe('search feedback', () => {
+  it('shows query syntax errors under the search box', () => {
+    const onSearch = vi.fn();
+    const panel = createPanel({ snippets: [], onRemove: vi.fn(), onSnippetClick: vi.fn(), onSearch, searchQuery: 'role:bot' });
+
+    const input = panel.querySelector('.ce-search-input');
+    const feedback = panel.querySelector('.ce-search-feedback');
+    expect(input.getAttribute('aria-invalid')).toBe('true');
+    expect(feedback.hidden).toBe(false);
+    expect(feedback.textContent).toBe('role: must be user or assistant');
+
+    updatePanel(panel, [], vi.fn(), vi.fn(), 0, 'role:user', onSearch);
+    expect(input.getAttribute('aria-invalid')).toBe('false');
+    expect(feedback.hidden).toBe(true);
+  });
+
+  it('highlights matched terms and toggles relevance/time order', () => {
+    const onSortChange = vi.fn();
+    const search = { terms: [{ value: 'cafe', phrase: false }], sort: 'relevance', onSortChange };
+    const snippets = [{ id: 'a', text: 'Meet at the <b>Café</b>', note: 'cafés nearby', createdAt: 1 }];
+    const panel = createPanel({ snippets, onRemove: vi.fn(), onSnippetClick: vi.fn(), onSearch: vi.fn(), searchQuery: 'cafe', search });
+
+    const text = panel.querySelector('.ce-snippet-text');
+    expect(text.textContent).toBe('Meet at the <b>Café</b>');
+    expect(Array.from(text.querySelectorAll('mark.ce-search-match')).map(mark => mark.textContent)).toEqual(['Café']);
+    expect(panel.querySelector('.ce-snippet-note mark').textContent).toBe('cafés');
+
+    const toggle = panel.querySelector('.ce-search-sort');
+    expect(toggle.textContent).toBe('Sort: Relevance');
+    toggle.click();
+    expect(onSortChange).toHaveBeenCalledWith('time');
+
+    updatePanel(panel, snippets, vi.fn(), vi.fn(), 1, 'cafe', vi.fn(), null, 'thread', null, null, null, null, null, { ...search, sort: 'time' });
+    expect(panel.querySelector('.ce-search-sort').textContent).toBe('Sort: Time');
+    updatePanel(panel, snippets, vi.fn(), vi.fn(), 1, '', vi.fn(), null, 'thread', null, null, null, null, null, { ...search, terms: [] });
+    expect(panel.querySelector('.ce-search-sort')).toBeNull();
+    expect(panel.querySelector('.ce-search-match')).toBeNull();
+  });
+});
+
+describe('library page parts', () => {
+  it('builds a standalone search box', () => {
+    const onSearch = vi.fn();
+    const box = createSearchBox({ searchQuery: 'notes', onSearch });
+    document.body.appendChild(box);
+
+    expect(box.querySelector('.ce-search-input').value).toBe('notes');
+    box.querySelector('.ce-search-clear').click();
+    expect(onSearch).toHaveBeenCalledWith('');
+  });
+
+  it('lists snippets with a custom empty message', () => {
+    const empty = createSnippetList({ snippets: [], onRemove: vi.fn(), onSnippetClick: vi.fn(), emptyMessage: 'Nothing here' });
+    expect(empty.querySelector('.ce-empty-state').textContent).toBe('Nothing here');
+
+    const list = createSnippetList({ snippets: [{ id: 'a', text: 'Text', createdAt: 1 }], onRemove: vi.fn(), onSnippetClick: vi.fn() });
+    expect(list.querySelectorAll('.ce-snippet-item')).toHaveLength(1);
+  });
+
+  it('cycles the panel mode from the panel', () => {
+    const onCyclePanelMode = vi.fn();
+    const panel = createPanel({ snippets: [], onRemove: vi.fn(), onSnippetClick: vi.fn(), onCyclePanelMode, panelMode: 'both' });
+
+    const btn = panel.querySelector('.ce-btn-panel-mode');
+    expect(btn.textContent).toBe('Panel: Both');
+    btn.click();
+    expect(onCyclePanelMode).toHaveBeenCalled();
+  });
+
+  it('opens the library from the panel', () => {
+    const onOpenLibrary = vi.fn();
+    const panel = createPanel({ snippets: [], onRemove: vi.fn(), onSnippetClick: vi.fn(), onOpenLibrary });
+
+    panel.querySelector('.ce-btn-library').click();
+    expect(onOpenLibrary).toHaveBeenCalled();
+  });
+});
+
+describe('tags', () => {
+  const tagConfig = (overrides = {}) => ({
+    all: ['research', 'reading', 'todo'],
+    visible: [{ tag: 'research', count: 2 }, { tag: 'todo', count: 1 }],
+    activeTag: null,
+    onFilterChange: vi.fn(),
+    onTagsChange: vi.fn(),
+    onManage: vi.fn(),
+    ...overrides
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('autocompletes tags from existing ones', () => {
+    const onSubmit = vi.fn();
+    const wrapper = createTagInput({ suggestions: ['research', 'reading', 'todo'], exclude: ['reading'], onSubmit });
+    document.body.appendChild(wrapper);
+    const input = wrapper.querySelector('.ce-tag-input');
+
+    input.value = 're';
+    input.dispatchEvent(new Event('input'));
+    expect(Array.from(wrapper.querySelectorAll('.ce-tag-suggestion')).map(el => el.textContent)).toEqual(['#research']);
+
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown' }));
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+    expect(onSubmit).toHaveBeenLastCalledWith('research');
+
+    input.value = '#New Topic';
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+    expect(onSubmit).toHaveBeenLastCalledWith('new-topic');
+  });
+
+  it('adds and removes tags on a snippet', () => {
+    const tags = tagConfig();
+    const panel = createPanel({ snippets: [{ id: 'a', text: 'Text', tags: ['research'], createdAt: 1 }], onRemove: vi.fn(), onSnippetClick: vi.fn(), tags });
+    document.body.appendChild(panel);
+
+    panel.querySelector('.ce-tag-editable[data-tag="research"] .ce-tag-remove').click();
+    expect(tags.onTagsChange).toHaveBeenLastCalledWith('a', []);
+
+    panel.querySelector('.ce-tag-add').click();
+    const input = panel.querySelector('.ce-snippet-item .ce-tag-input');
+    expect(document.activeElement).toBe(input);
+    input.value = 'todo';
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+    expect(tags.onTagsChange).toHaveBeenLastCalledWith('a', ['research', 'todo']);
+
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(panel.querySelector('.ce-snippet-item .ce-tag-input')).toBeNull();
+    expect(panel.querySelector('.ce-tag-add')).not.toBeNull();
+  });
+
+  it('filters by tag from the tag row and toggles the filter off', () => {
+    const tags = tagConfig({ activeTag: 'todo' });
+    const row = createTagFilter(tags);
+
+    const chips = row.querySelectorAll('.ce-tag-chip[data-tag]');
+    expect(Array.from(chips).map(chip => chip.getAttribute('data-tag'))).toEqual(['research', 'todo']);
+    expect(chips[0].querySelector('.ce-tag-chip-count').textContent).toBe('2');
+
+    chips[0].click();
+    chips[1].click();
+    expect(tags.onFilterChange.mock.calls).toEqual([['research'], [null]]);
+  });
+
+  it('rebuilds the tag row on updatePanel', () => {
+    const panel = createPanel({ snippets: [], onRemove: vi.fn(), onSnippetClick: vi.fn(), tags: tagConfig() });
+
+    updatePanel(panel, [], vi.fn(), vi.fn(), 0, '', null, null, 'thread', null, null, null, null, tagConfig({ visible: [{ tag: 'new', count: 1 }] }));
+
+    expect(panel.querySelectorAll('.ce-tag-filter')).toHaveLength(1);
+    expect(panel.querySelector('.ce-tag-chip[data-tag]').getAttribute('data-tag')).toBe('new');
+  });
+
+  it('renames and merges tags in the tag manager', () => {
+    const onRename = vi.fn(() => [{ tag: 'reading', count: 2 }, { tag: 'todo', count: 1 }]);
+    const onMerge = vi.fn(() => [{ tag: 'reading', count: 3 }]);
+    const modal = createTagManagerModal({ tags: [{ tag: 'research', count: 2 }, { tag: 'todo', count: 1 }], onRename, onMerge, onClose: vi.fn() });
+
+    const name = modal.querySelector('.ce-tag-manager-row[data-tag="research"] .ce-tag-manager-name');
+    name.value = 'Reading';
+    name.dispatchEvent(new Event('change'));
+    expect(onRename).toHaveBeenCalledWith('research', 'reading');
+    expect(modal.querySelector('.ce-tag-manager-row').getAttribute('data-tag')).toBe('reading');
+
+    modal.querySelectorAll('.ce-tag-manager-select').forEach((checkbox) => {
+      checkbox.checked = true;
+      checkbox.dispatchEvent(new Event('change'));
+    });
+    const mergeBtn = modal.querySelector('.ce-tag-manager-merge .ce-btn');
+    expect(mergeBtn.disabled).toBe(false);
+    mergeBtn.click();
+    expect(onMerge).toHaveBeenCalledWith(['reading', 'todo'], 'reading');
+    expect(modal.querySelectorAll('.ce-tag-manager-row')).toHaveLength(1);
+  });
+});
+
+describe('snippet colors', () => {
+  const palette = [
+    { id: 'yellow', label: 'Fact', color: '#facc15' },
+    { id: 'green', label: 'To-do', color: '#22c55e' }
+  ];
+
+  it('shows a color stripe on colored snippets', () => {
+    const panel = createPanel({
+      snippets: [{ id: 'a', text: 'Colored', color: 'yellow', createdAt: 1 }, { id: 'b', text: 'Plain', createdAt: 1 }],
+      onRemove: vi.fn(),
+      onSnippetClick: vi.fn()
+    });
+
+    const [colored, plain] = panel.querySelectorAll('.ce-snippet-item');
+    expect(colored.classList.contains('ce-snippet-colored')).toBe(true);
+    expect(colored.style.getPropertyValue('--ce-snippet-color')).toBe('var(--ce-color-yellow)');
+    expect(plain.classList.contains('ce-snippet-colored')).toBe(false);
+  });
+
+  it('renders filter chips and reports the picked color', () => {
+    const onFilterChange = vi.fn();
+    const row = createColorFilter({ palette, activeColor: 'green', onFilterChange });
+
+    const chips = row.querySelectorAll('.ce-color-chip');
+    expect(Array.from(chips).map(chip => chip.textContent)).toEqual(['All', 'Fact', 'To-do']);
+    expect(chips[2].getAttribute('aria-pressed')).toBe('true');
+
+    chips[1].click();
+    chips[0].click();
+    expect(onFilterChange.mock.calls).toEqual([['yellow'], [null]]);
+  });
+
+  it('rebuilds the filter chips on updatePanel', () => {
+    const colors = { palette, activeColor: null, onFilterChange: vi.fn() };
+    const panel = createPanel({ snippets: [], onRemove: vi.fn(), onSnippetClick: vi.fn(), colors });
+
+    updatePanel(panel, [], vi.fn(), vi.fn(), 0, '', null, null, 'thread', null, null, { ...colors, activeColor: 'yellow' });
+
+    expect(panel.querySelectorAll('.ce-color-filter')).toHaveLength(1);
+    expect(panel.querySelector('.ce-color-chip.active').textContent).toBe('Fact');
+  });
+
+  it('lets the save bubble pick a color, and unpick it', () => {
+    const onColorChange = vi.fn();
+    const bubble = createSaveBubble({ onSave: vi.fn(), onSaveWithNote: vi.fn(), onSaveWithTag: vi.fn(), onDismiss: vi.fn(), palette, onColorChange });
+
+    const swatch = bubble.querySelector('.ce-color-swatch[data-color="green"]');
+    swatch.click();
+    expect(swatch.getAttribute('aria-pressed')).toBe('true');
+    swatch.click();
+    expect(onColorChange.mock.calls).toEqual([['green'], [null]]);
+  });
+
+  it('edits palette labels in the palette modal', () => {
+    const onChange = vi.fn(() => [{ ...palette[0], label: 'Source' }, palette[1]]);
+    const modal = createPaletteModal({ palette, onChange, onReset: vi.fn(), onClose: vi.fn() });
+
+    const input = modal.querySelector('.ce-palette-row[data-color="yellow"] .ce-palette-label');
+    input.value = 'Source';
+    input.dispatchEvent(new Event('change'));
+
+    expect(onChange).toHaveBeenCalledWith('yellow', { label: 'Source' });
+    expect(input.value).toBe('Source');
+  });
+});
+
+describe('page highlights toggle', () => {
+  it('reflects the setting and calls the toggle handler', () => {
+    const onToggleHighlights = vi.fn();
+    const panel = createPanel({ snippets: [], onRemove: vi.fn(), onSnippetClick: vi.fn(), onToggleHighlights, highlightsEnabled: true });
+
+    const button = panel.querySelector('.ce-btn-highlights');
+    expect(button.getAttribute('aria-pressed')).toBe('true');
+    expect(button.classList.contains('ce-btn-active')).toBe(true);
+
+    button.click();
+    expect(onToggleHighlights).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('trash view', () => {
+  const trashed = [
+    { id: 'x', text: 'Trashed snippet', createdAt: 1, deletedAt: 2000 },
+    { id: 'y', text: 'Older trashed snippet', createdAt: 1, deletedAt: 1000 }
+  ];
+
+  function createTrash(overrides = {}) {
+    return {
+      open: true,
+      count: trashed.length,
+      snippets: trashed,
+      retentionDays: 30,
+      onToggle: vi.fn(),
+      onRestore: vi.fn(),
+      onDeletePermanently: vi.fn(),
+      onEmptyTrash: vi.fn(),
+      onRetentionChange: vi.fn(),
+      ...overrides
+    };
+  }
+
+  it('lists trashed snippets with restore and permanent delete', () => {
+    const trash = createTrash();
+    const view = createTrashView(trash);
+    const items = view.querySelectorAll('.ce-trash-item');
+    expect(items).toHaveLength(2);
+
+    items[0].querySelector('.ce-btn-restore').click();
+    items[1].querySelector('.ce-btn-delete-forever').click();
+    expect(trash.onRestore).toHaveBeenCalledWith('x');
+    expect(trash.onDeletePermanently).toHaveBeenCalledWith('y');
+  });
+
+  it('empties the trash and changes retention', () => {
+    const trash = createTrash();
+    const view = createTrashView(trash);
+
+    view.querySelector('.ce-btn-empty-trash').click();
+    expect(trash.onEmptyTrash).toHaveBeenCalledTimes(1);
+
+    const select = view.querySelector('.ce-trash-retention-select');
+    expect(select.value).toBe('30');
+    select.value = '7';
+    select.dispatchEvent(new Event('change'));
+    expect(trash.onRetentionChange).toHaveBeenCalledWith(7);
+  });
+
+  it('shows an empty state and disables Empty trash when there is nothing trashed', () => {
+    const view = createTrashView(createTrash({ snippets: [], count: 0 }));
+    expect(view.querySelector('.ce-empty-state').textContent).toBe('Trash is empty');
+    expect(view.querySelector('.ce-btn-empty-trash').disabled).toBe(true);
+  });
+
+  it('keeps a custom retention period selectable', () => {
+    const view = createTrashView(createTrash({ retentionDays: 45 }));
+    expect(view.querySelector('.ce-trash-retention-select').value).toBe('45');
+  });
+
+  it('replaces the snippet list with the trash view when open', () => {
+    const snippets = [{ id: 'a', text: 'Live snippet', createdAt: 1 }];
+    const closed = createPanel({ snippets, onRemove: vi.fn(), onSnippetClick: vi.fn(), trash: createTrash({ open: false, snippets: [] }) });
+    expect(closed.querySelector('.ce-btn-trash').textContent).toBe('Trash (2)');
+    expect(closed.querySelector('.ce-trash-view')).toBeNull();
+
+    const trash = createTrash();
+    const open = createPanel({ snippets, onRemove: vi.fn(), onSnippetClick: vi.fn(), trash });
+    expect(open.querySelector('.ce-trash-view')).not.toBeNull();
+    expect(open.querySelector('[data-snippet-id="a"]')).toBeNull();
+
+    open.querySelector('.ce-btn-trash').click();
+    expect(trash.onToggle).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('list sort and grouping', () => {
+  it('reports sort and grouping changes', () => {
+    const onSortChange = vi.fn();
+    const onGroupChange = vi.fn();
+    const row = createListControls({ sort: 'newest', group: 'none', groups: null, onSortChange, onGroupChange, onToggleGroup: vi.fn() });
+
+    const sortSelect = row.querySelector('.ce-sort-select');
+    expect(sortSelect.value).toBe('newest');
+    sortSelect.value = 'longest';
+    sortSelect.dispatchEvent(new Event('change'));
+    expect(onSortChange).toHaveBeenCalledWith('longest');
+
+    const groupSelect = row.querySelector('.ce-group-select');
+    groupSelect.value = 'conversation';
+    groupSelect.dispatchEvent(new Event('change'));
+    expect(onGroupChange).toHaveBeenCalledWith('conversation');
+  });
+
+  it('renders collapsible group headers', () => {
+    const onToggleGroup = vi.fn();
+    const view = {
+      sort: 'newest',
+      group: 'conversation',
+      groups: [
+        { key: 'conv-1', label: 'Trip planning', count: 2, collapsed: false },
+        { key: 'conv-2', label: 'Recipes', count: 1, collapsed: true }
+      ],
+      onSortChange: vi.fn(),
+      onGroupChange: vi.fn(),
+      onToggleGroup
+    };
+    const snippets = [{ id: 'a', text: 'A', createdAt: 2 }, { id: 'b', text: 'B', createdAt: 1 }];
+    const panel = createPanel({ snippets, onRemove: vi.fn(), onSnippetClick: vi.fn(), view });
+
+    const list = panel.querySelector('.ce-snippet-list');
+    expect(Array.from(list.children).map(el => el.getAttribute('data-group') || el.getAttribute('data-snippet-id'))).toEqual(['conv-1', 'a', 'b', 'conv-2']);
+    const headers = list.querySelectorAll('.ce-group-header');
+    expect(headers[0].querySelector('.ce-group-label').textContent).toBe('Trip planning');
+    expect(headers[0].querySelector('.ce-group-count').textContent).toBe('2');
+    expect(headers[1].getAttribute('aria-expanded')).toBe('false');
+    headers[1].click();
+    expect(onToggleGroup).toHaveBeenCalledWith('conv-2');
+    expect(panel.querySelector('.ce-group-select').value).toBe('conversation');
+
+    // All groups collapsed: headers stay instead of the empty state
+    const collapsed = view.groups.map(group => ({ ...group, collapsed: true }));
+    updatePanel(panel, [], vi.fn(), vi.fn(), 3, '', null, null, 'thread', null, null, null, null, null, null, { ...view, groups: collapsed });
+    expect(list.querySelectorAll('.ce-group-header')).toHaveLength(2);
+    expect(list.querySelector('.ce-empty-state')).toBeNull();
+  });
+});
+
+describe('snippet source', () => {
+  it('formats the conversation title, role and model', () => {
+    expect(formatSnippetSource({ title: 'Trip planning', role: 'assistant', model: 'gpt-4o' })).toBe('from: Trip planning · assistant');
+    expect(formatSnippetSource({ title: 'Trip planning', role: 'assistant', model: 'gpt-4o' }, { includeModel: true })).toBe('from: Trip planning · assistant · gpt-4o');
+    expect(formatSnippetSource({ title: null, role: 'user', model: null })).toBe('from: user');
+    expect(formatSnippetSource({ title: null, role: null, model: null })).toBeNull();
+  });
+
+  it('shows where each snippet came from next to its time', () => {
+    const view = {
+      sort: 'newest',
+      group: 'none',
+      groups: null,
+      getSource: snippet => ({ title: snippet.id === 'a' ? 'Trip planning' : null, role: snippet.role || null, model: null }),
+      onSortChange: vi.fn(),
+      onGroupChange: vi.fn(),
+      onToggleGroup: vi.fn()
+    };
+    const snippets = [{ id: 'a', text: 'A', role: 'assistant', createdAt: 2 }, { id: 'b', text: 'B', createdAt: 1 }];
+    const panel = createPanel({ snippets, onRemove: vi.fn(), onSnippetClick: vi.fn(), view });
+
+    expect(panel.querySelector('[data-snippet-id="a"] .ce-snippet-source').textContent).toBe('from: Trip planning · assistant');
+    expect(panel.querySelector('[data-snippet-id="b"] .ce-snippet-source')).toBeNull();
+  });
+});